@@ -0,0 +1,151 @@
+// config/errorCodes.js
+
+/**
+ * Stable, machine-readable error codes -> default HTTP status.
+ * Clients (Flutter app, Pi gateway) branch on `code`; the English `message`
+ * is for humans and may change. Never rename an existing code.
+ */
+export const ERROR_CODES = {
+  // Generic
+  BAD_REQUEST: 400,
+  VALIDATION_FAILED: 422,
+  UNAUTHENTICATED: 401,
+  INVALID_TOKEN: 401,
+  FORBIDDEN: 403,
+  NOT_FOUND: 404,
+  METHOD_DISABLED: 405,
+  CONFLICT: 409,
+  RATE_LIMITED: 429,
+  DATABASE_ERROR: 500,
+  INTERNAL_ERROR: 500,
+  UPSTREAM_ERROR: 502,
+
+  // Authentication & accounts
+  INVALID_CREDENTIALS: 401,
+  TOO_MANY_LOGIN_ATTEMPTS: 429,
+  REFRESH_TOKEN_INVALID: 401,
+  REFRESH_TOKEN_REUSED: 401,
+  VERIFICATION_CODE_INVALID: 400,
+  TOO_MANY_VERIFICATION_ATTEMPTS: 429,
+  VERIFICATION_RESEND_LIMIT: 429,
+  CONTACT_NOT_VERIFIED: 403,
+  EMAIL_TAKEN: 409,
+  USERNAME_TAKEN: 409,
+  GUEST_NOT_FOUND: 404,
+  ADMIN_NOT_FOUND: 404,
+
+  // Rooms & occupancy
+  ROOM_NOT_FOUND: 404,
+  ROOM_NOT_AVAILABLE: 409,
+  ROOM_OCCUPIED: 409,
+  OCCUPANCY_RECORD_NOT_FOUND: 404,
+
+  // Stays (multi-room bookings)
+  STAY_NOT_FOUND: 404,
+  STAY_CLOSED: 409,
+  STAY_CARD_NOT_FOUND: 404,
+  GUEST_NOT_ON_STAY: 409,
+  ROOM_NOT_ON_STAY: 409,
+
+  // Reservations (advance bookings)
+  RESERVATION_NOT_FOUND: 404,
+  RESERVATION_CONFLICT: 409,
+  RESERVATION_NOT_BOOKED: 409,
+  ROOM_CAPACITY_EXCEEDED: 400,
+
+  // Scheduled jobs
+  JOB_NOT_FOUND: 404,
+  JOB_INVALID_STATUS: 409,
+
+  // System settings
+  SETTING_NOT_FOUND: 404,
+  SETTING_READ_ONLY: 409,
+
+  // RFID & door access
+  RFID_NOT_FOUND: 404,
+  RFID_NOT_AVAILABLE: 409,
+  RFID_NOT_ASSIGNED: 403,
+  RFID_INVALID_STATUS: 400,
+  ROOM_ACCESS_DENIED: 403,
+  STAY_NOT_STARTED: 403,
+  STAY_ENDED: 403,
+  DOOR_REQUIRED: 400,
+  SYNC_SIGNING_UNAVAILABLE: 503,
+  CARD_CREDENTIAL_REQUIRED: 401,
+  CARD_CHALLENGE_INVALID: 401,
+  CARD_RESPONSE_INVALID: 401,
+  CARD_KEYS_UNAVAILABLE: 503,
+
+  // Mobile keys
+  MOBILE_KEY_NOT_FOUND: 404,
+  MOBILE_KEY_INVALID: 401,
+  MOBILE_KEY_EXPIRED: 401,
+  MOBILE_KEY_REVOKED: 403,
+  MOBILE_KEY_DEVICE_MISMATCH: 403,
+  MOBILE_KEY_SIGNING_UNAVAILABLE: 503,
+
+  // Visitor passes
+  VISITOR_PASS_NOT_FOUND: 404,
+  VISITOR_PASS_INVALID: 401,
+  VISITOR_PASS_REVOKED: 403,
+  VISITOR_PASS_NOT_YET_VALID: 403,
+  VISITOR_PASS_EXPIRED: 403,
+  VISITOR_PASS_USED_UP: 403,
+  VISITOR_PASS_WINDOW_INVALID: 400,
+  GUEST_NOT_CHECKED_IN: 409,
+
+  // Keypad PINs
+  STAY_PIN_NOT_FOUND: 404,
+  PIN_REQUIRED: 401,
+  PIN_INVALID: 401,
+  PIN_CARD_REQUIRED: 401,
+  KEYPAD_LOCKED: 429,
+
+  // Door readers & gateways
+  INVALID_DEVICE_KEY: 401,
+  DEVICE_NOT_FOUND: 404,
+  DEVICE_CODE_TAKEN: 409,
+  DEVICE_DISABLED: 403,
+  DEVICE_NOT_AUTHORIZED: 403,
+  DEVICE_DOOR_MISMATCH: 409,
+
+  // Access zones & policies
+  ZONE_NOT_FOUND: 404,
+  ZONE_CODE_TAKEN: 409,
+  ZONE_ACCESS_DENIED: 403,
+  ACCESS_POLICY_NOT_FOUND: 404,
+
+  // Staff cards
+  SHIFT_NOT_FOUND: 404,
+  STAFF_RULE_NOT_FOUND: 404,
+  ASSIGNMENT_NOT_FOUND: 404,
+
+  // Access anomalies
+  ANOMALY_NOT_FOUND: 404,
+  ANOMALY_RESOLVED: 409,
+
+  // Guest network
+  MAC_NOT_FOUND: 404,
+  MAC_NOT_AUTHENTICATED: 403,
+  WIFI_LOGIN_FAILED: 401,
+  WIFI_DEVICE_LIMIT: 409,
+  WIFI_DEVICE_NOT_FOUND: 404,
+  WIFI_VOUCHER_NOT_FOUND: 404,
+
+  // Service requests, feedback, notifications
+  SERVICE_REQUEST_NOT_FOUND: 404,
+  FEEDBACK_NOT_FOUND: 404,
+  NOTIFICATION_NOT_FOUND: 404,
+};
+
+/**
+ * Default HTTP status for a code. Unknown codes are reported and mapped to 500.
+ */
+export const statusForCode = (code) => {
+  const status = ERROR_CODES[code];
+  if (!status) {
+    console.warn(`[errorCodes] Unknown error code: ${code}`);
+    return 500;
+  }
+  return status;
+};
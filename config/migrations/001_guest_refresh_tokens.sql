@@ -0,0 +1,21 @@
+-- config/migrations/001_guest_refresh_tokens.sql
+-- Server-side store for rotating guest refresh tokens.
+-- Only the SHA-256 hash of each token is stored. Tokens issued from the same
+-- login share a family_id so the whole chain can be revoked at once.
+
+CREATE TABLE IF NOT EXISTS guest_refresh_tokens (
+  id             BIGSERIAL PRIMARY KEY,
+  guest_id       BIGINT NOT NULL REFERENCES guests(id) ON DELETE CASCADE,
+  family_id      UUID NOT NULL,
+  token_hash     TEXT NOT NULL UNIQUE,
+  expires_at     TIMESTAMPTZ NOT NULL,
+  revoked_at     TIMESTAMPTZ,
+  revoked_reason TEXT,
+  replaced_by    BIGINT REFERENCES guest_refresh_tokens(id),
+  user_agent     TEXT,
+  ip             TEXT,
+  created_at     TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_guest_refresh_tokens_guest ON guest_refresh_tokens (guest_id);
+CREATE INDEX IF NOT EXISTS idx_guest_refresh_tokens_family ON guest_refresh_tokens (family_id);
@@ -0,0 +1,23 @@
+-- config/migrations/002_verification_codes.sql
+-- Single-use, expiring codes for password resets and contact verification.
+-- Codes are stored as an HMAC, never in clear text.
+
+CREATE TABLE IF NOT EXISTS verification_codes (
+  id            BIGSERIAL PRIMARY KEY,
+  subject_type  TEXT NOT NULL CHECK (subject_type IN ('guest', 'admin')),
+  subject_id    BIGINT NOT NULL,
+  purpose       TEXT NOT NULL CHECK (purpose IN ('password_reset', 'verify_email', 'verify_phone')),
+  channel       TEXT NOT NULL CHECK (channel IN ('email', 'sms')),
+  destination   TEXT NOT NULL,
+  code_hash     TEXT NOT NULL,
+  attempts      INTEGER NOT NULL DEFAULT 0,
+  expires_at    TIMESTAMPTZ NOT NULL,
+  consumed_at   TIMESTAMPTZ,
+  created_at    TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_verification_codes_subject
+  ON verification_codes (subject_type, subject_id, purpose);
+
+ALTER TABLE guests ADD COLUMN IF NOT EXISTS email_verified_at TIMESTAMPTZ;
+ALTER TABLE guests ADD COLUMN IF NOT EXISTS phone_verified_at TIMESTAMPTZ;
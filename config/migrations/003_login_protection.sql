@@ -0,0 +1,28 @@
+-- config/migrations/003_login_protection.sql
+-- Per-identifier failed-login counters / lockouts and a persisted login audit trail.
+
+CREATE TABLE IF NOT EXISTS login_lockouts (
+  subject_type   TEXT NOT NULL CHECK (subject_type IN ('guest', 'admin')),
+  identifier     TEXT NOT NULL,           -- normalised (trimmed, lower-case) email/phone/username
+  failed_count   INTEGER NOT NULL DEFAULT 0,
+  lockout_count  INTEGER NOT NULL DEFAULT 0,
+  last_failed_at TIMESTAMPTZ,
+  locked_until   TIMESTAMPTZ,
+  updated_at     TIMESTAMPTZ NOT NULL DEFAULT now(),
+  PRIMARY KEY (subject_type, identifier)
+);
+
+CREATE TABLE IF NOT EXISTS login_audit (
+  id           BIGSERIAL PRIMARY KEY,
+  subject_type TEXT NOT NULL CHECK (subject_type IN ('guest', 'admin')),
+  identifier   TEXT NOT NULL,
+  subject_id   BIGINT,
+  success      BOOLEAN NOT NULL,
+  reason       TEXT,
+  ip           TEXT,
+  user_agent   TEXT,
+  created_at   TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_login_audit_identifier ON login_audit (subject_type, identifier, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_login_audit_created ON login_audit (created_at DESC);
@@ -0,0 +1,58 @@
+-- config/migrations/004_stays.sql
+-- A stay (booking) groups several rooms, several guests and several RFID cards.
+-- The primary guest holds the rooms (rooms.guest_id); companions get their own
+-- cards. A card may be limited to a subset of the stay's rooms via room_ids
+-- (NULL = every room on the stay).
+
+CREATE TABLE IF NOT EXISTS stays (
+  id               BIGSERIAL PRIMARY KEY,
+  primary_guest_id BIGINT NOT NULL REFERENCES guests(id) ON DELETE CASCADE,
+  status           TEXT NOT NULL DEFAULT 'reserved'
+                     CHECK (status IN ('reserved', 'active', 'checked_out', 'canceled')),
+  check_in         TIMESTAMPTZ NOT NULL,
+  check_out        TIMESTAMPTZ NOT NULL,
+  notes            TEXT,
+  created_by       BIGINT REFERENCES admins(id) ON DELETE SET NULL,
+  created_at       TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at       TIMESTAMPTZ NOT NULL DEFAULT now(),
+  CHECK (check_out > check_in)
+);
+
+CREATE INDEX IF NOT EXISTS idx_stays_primary_guest ON stays (primary_guest_id);
+CREATE INDEX IF NOT EXISTS idx_stays_status ON stays (status);
+
+CREATE TABLE IF NOT EXISTS stay_rooms (
+  stay_id     BIGINT NOT NULL REFERENCES stays(id) ON DELETE CASCADE,
+  room_id     BIGINT NOT NULL REFERENCES rooms(id) ON DELETE CASCADE,
+  added_at    TIMESTAMPTZ NOT NULL DEFAULT now(),
+  released_at TIMESTAMPTZ,                 -- set when the room is checked out
+  PRIMARY KEY (stay_id, room_id)
+);
+
+-- A room can only be held by one open stay at a time.
+CREATE UNIQUE INDEX IF NOT EXISTS uq_stay_rooms_open_room ON stay_rooms (room_id) WHERE released_at IS NULL;
+
+CREATE TABLE IF NOT EXISTS stay_guests (
+  stay_id  BIGINT NOT NULL REFERENCES stays(id) ON DELETE CASCADE,
+  guest_id BIGINT NOT NULL REFERENCES guests(id) ON DELETE CASCADE,
+  role     TEXT NOT NULL DEFAULT 'companion' CHECK (role IN ('primary', 'companion')),
+  added_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  PRIMARY KEY (stay_id, guest_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_stay_guests_guest ON stay_guests (guest_id);
+
+CREATE TABLE IF NOT EXISTS stay_cards (
+  id             BIGSERIAL PRIMARY KEY,
+  stay_id        BIGINT NOT NULL REFERENCES stays(id) ON DELETE CASCADE,
+  rfid_id        BIGINT NOT NULL REFERENCES rfid_tags(id) ON DELETE CASCADE,
+  guest_id       BIGINT NOT NULL REFERENCES guests(id) ON DELETE CASCADE,
+  room_ids       BIGINT[],
+  issued_at      TIMESTAMPTZ NOT NULL DEFAULT now(),
+  revoked_at     TIMESTAMPTZ,
+  revoked_reason TEXT
+);
+
+-- A physical card can only be live on one stay at a time.
+CREATE UNIQUE INDEX IF NOT EXISTS uq_stay_cards_live_rfid ON stay_cards (rfid_id) WHERE revoked_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_stay_cards_stay ON stay_cards (stay_id);
@@ -0,0 +1,39 @@
+-- config/migrations/005_reservations.sql
+-- Advance bookings for future date ranges. A reservation holds a room for
+-- [check_in, check_out); at check-in time it is promoted into a stay (004),
+-- which is when the room row itself becomes 'reserved'. When that stay closes
+-- the reservation is marked 'completed' and stops blocking the range.
+
+-- Searchable room attributes for availability queries.
+ALTER TABLE rooms ADD COLUMN IF NOT EXISTS room_type TEXT NOT NULL DEFAULT 'standard';
+ALTER TABLE rooms ADD COLUMN IF NOT EXISTS capacity  INTEGER NOT NULL DEFAULT 2 CHECK (capacity > 0);
+
+CREATE EXTENSION IF NOT EXISTS btree_gist;
+
+CREATE TABLE IF NOT EXISTS reservations (
+  id           BIGSERIAL PRIMARY KEY,
+  room_id      BIGINT NOT NULL REFERENCES rooms(id) ON DELETE CASCADE,
+  guest_id     BIGINT NOT NULL REFERENCES guests(id) ON DELETE CASCADE,
+  stay_id      BIGINT REFERENCES stays(id) ON DELETE SET NULL,   -- set on promotion
+  check_in     TIMESTAMPTZ NOT NULL,
+  check_out    TIMESTAMPTZ NOT NULL,
+  guests_count INTEGER NOT NULL DEFAULT 1 CHECK (guests_count > 0),
+  status       TEXT NOT NULL DEFAULT 'booked'
+                 CHECK (status IN ('booked', 'promoted', 'completed', 'canceled', 'no_show')),
+  notes        TEXT,
+  created_by   BIGINT REFERENCES admins(id) ON DELETE SET NULL,
+  promoted_at  TIMESTAMPTZ,
+  canceled_at  TIMESTAMPTZ,
+  created_at   TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at   TIMESTAMPTZ NOT NULL DEFAULT now(),
+  CHECK (check_out > check_in),
+  -- Last line of defence against double-booking; the API checks first so it
+  -- can report the conflicting reservation.
+  CONSTRAINT reservations_no_overlap EXCLUDE USING gist (
+    room_id WITH =,
+    tstzrange(check_in, check_out, '[)') WITH &&
+  ) WHERE (status IN ('booked', 'promoted'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_reservations_guest ON reservations (guest_id);
+CREATE INDEX IF NOT EXISTS idx_reservations_due ON reservations (status, check_in);
@@ -0,0 +1,293 @@
+-- config/migrations/006_occupancy_functions.sql
+-- Check-in and check-out workflows as single Postgres functions, called through
+-- supabase.rpc (see models/occupancyFlowModel.js). Each call runs in one
+-- transaction: it either fully succeeds or leaves nothing behind.
+--
+-- Expected failures are raised with SQLSTATE P0001, MESSAGE set to one of the
+-- API error codes (config/errorCodes.js), HINT set to the human message and
+-- DETAIL optionally holding a JSON object for the response's `details`.
+
+-- ---------------------------------------------------------------------------
+-- register_flow: reserve a room, assign the RFID card, open the occupancy
+-- record and group everything under a single-room stay.
+-- ---------------------------------------------------------------------------
+CREATE OR REPLACE FUNCTION register_flow(
+  p_guest_id          BIGINT,
+  p_room_number       TEXT,
+  p_check_in          TIMESTAMPTZ,
+  p_check_out         TIMESTAMPTZ,
+  p_rfid_id           BIGINT,
+  p_created_by        BIGINT DEFAULT NULL,
+  p_occupant_snapshot JSONB DEFAULT '{}'::jsonb
+) RETURNS JSONB
+LANGUAGE plpgsql AS $$
+DECLARE
+  v_room         rooms%ROWTYPE;
+  v_rfid         rfid_tags%ROWTYPE;
+  v_conflict     reservations%ROWTYPE;
+  v_hours        NUMERIC;
+  v_stay_id      BIGINT;
+  v_occupancy_id BIGINT;
+BEGIN
+  IF p_check_out <= p_check_in THEN
+    RAISE EXCEPTION USING ERRCODE = 'P0001', MESSAGE = 'BAD_REQUEST',
+      HINT = 'Invalid check_in/check_out range';
+  END IF;
+  v_hours := EXTRACT(EPOCH FROM (p_check_out - p_check_in)) / 3600;
+
+  SELECT * INTO v_room FROM rooms WHERE room_number = p_room_number FOR UPDATE;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION USING ERRCODE = 'P0001', MESSAGE = 'ROOM_NOT_FOUND',
+      HINT = format('Room %s not found', p_room_number);
+  END IF;
+  IF v_room.status <> 'available' THEN
+    RAISE EXCEPTION USING ERRCODE = 'P0001', MESSAGE = 'ROOM_NOT_AVAILABLE',
+      HINT = format('Room %s is not available', p_room_number);
+  END IF;
+
+  SELECT * INTO v_conflict FROM reservations
+   WHERE room_id = v_room.id
+     AND status IN ('booked', 'promoted')
+     AND check_in < p_check_out
+     AND check_out > p_check_in
+   ORDER BY check_in
+   LIMIT 1;
+  IF FOUND THEN
+    RAISE EXCEPTION USING ERRCODE = 'P0001', MESSAGE = 'RESERVATION_CONFLICT',
+      HINT = format('Room %s is already booked for part of that period.', p_room_number),
+      DETAIL = jsonb_build_object('conflicts', jsonb_build_array(jsonb_build_object(
+        'reservation_id', v_conflict.id,
+        'check_in', v_conflict.check_in,
+        'check_out', v_conflict.check_out)))::text;
+  END IF;
+
+  SELECT * INTO v_rfid FROM rfid_tags WHERE id = p_rfid_id FOR UPDATE;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION USING ERRCODE = 'P0001', MESSAGE = 'RFID_NOT_FOUND',
+      HINT = 'RFID not found or already in use';
+  END IF;
+  IF NOT (v_rfid.status = 'available'
+          OR (v_rfid.status IN ('assigned', 'active') AND v_rfid.guest_id = p_guest_id)) THEN
+    RAISE EXCEPTION USING ERRCODE = 'P0001', MESSAGE = 'RFID_NOT_AVAILABLE',
+      HINT = format('RFID %s is not available (status: %s)', v_rfid.rfid_uid, v_rfid.status);
+  END IF;
+  IF EXISTS (SELECT 1 FROM stay_cards WHERE rfid_id = v_rfid.id AND revoked_at IS NULL) THEN
+    RAISE EXCEPTION USING ERRCODE = 'P0001', MESSAGE = 'RFID_NOT_AVAILABLE',
+      HINT = 'RFID is already issued on another stay';
+  END IF;
+
+  UPDATE rooms
+     SET guest_id = p_guest_id,
+         hours_stay = v_hours,
+         status = 'reserved',
+         registration_time = now(),
+         check_in = p_check_in,
+         check_out = p_check_out,
+         ten_min_warning_sent = false
+   WHERE id = v_room.id;
+
+  UPDATE rfid_tags
+     SET guest_id = p_guest_id,
+         status = CASE WHEN status = 'available' THEN 'assigned' ELSE status END
+   WHERE id = v_rfid.id;
+
+  INSERT INTO room_occupancy_history (
+    room_id, guest_id, rfid_id, registration_time, check_in, check_out, hours_stay,
+    check_out_reason, was_early_checkout, occupant_snapshot, mac_addresses_snapshot, event_indicator
+  ) VALUES (
+    v_room.id, p_guest_id, v_rfid.id, now(), NULL, NULL, v_hours,
+    NULL, false, COALESCE(p_occupant_snapshot, '{}'::jsonb), '{}'::jsonb, 'registered'
+  ) RETURNING id INTO v_occupancy_id;
+
+  INSERT INTO stays (primary_guest_id, check_in, check_out, created_by)
+  VALUES (p_guest_id, p_check_in, p_check_out, p_created_by)
+  RETURNING id INTO v_stay_id;
+  INSERT INTO stay_guests (stay_id, guest_id, role) VALUES (v_stay_id, p_guest_id, 'primary');
+  INSERT INTO stay_rooms (stay_id, room_id) VALUES (v_stay_id, v_room.id);
+  INSERT INTO stay_cards (stay_id, rfid_id, guest_id) VALUES (v_stay_id, v_rfid.id, p_guest_id);
+
+  RETURN jsonb_build_object(
+    'room_id', v_room.id,
+    'stay_id', v_stay_id,
+    'occupancy_record_id', v_occupancy_id,
+    'rfid_id', v_rfid.id,
+    'rfid_uid', v_rfid.rfid_uid
+  );
+END;
+$$;
+
+-- ---------------------------------------------------------------------------
+-- check_in_by_card: the state changes of a successful door tap. Promotes a
+-- reserved room to occupied (stay rooms keep the stay's check_out, legacy rooms
+-- run hours_stay from now), activates the stay and the card, and finds or
+-- opens the room's occupancy record. Card/door validation happens before the
+-- call; the room status is re-checked here under the row lock.
+-- ---------------------------------------------------------------------------
+CREATE OR REPLACE FUNCTION check_in_by_card(
+  p_rfid_id           BIGINT,
+  p_room_id           BIGINT,
+  p_guest_id          BIGINT,
+  p_stay_id           BIGINT DEFAULT NULL,
+  p_occupant_snapshot JSONB DEFAULT '{}'::jsonb
+) RETURNS JSONB
+LANGUAGE plpgsql AS $$
+DECLARE
+  v_room         rooms%ROWTYPE;
+  v_rfid         rfid_tags%ROWTYPE;
+  v_hours        NUMERIC;
+  v_check_out    TIMESTAMPTZ;
+  v_occupant_id  BIGINT;
+  v_occupancy_id BIGINT;
+BEGIN
+  SELECT * INTO v_room FROM rooms WHERE id = p_room_id FOR UPDATE;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION USING ERRCODE = 'P0001', MESSAGE = 'ROOM_NOT_FOUND', HINT = 'Room not found.';
+  END IF;
+  IF v_room.status = 'available'
+     OR (v_room.status = 'occupied' AND v_room.check_out IS NOT NULL AND v_room.check_out <= now()) THEN
+    RAISE EXCEPTION USING ERRCODE = 'P0001', MESSAGE = 'STAY_ENDED', HINT = 'Access denied: Your stay has ended.';
+  END IF;
+
+  IF v_room.status = 'reserved' THEN
+    IF p_stay_id IS NOT NULL THEN
+      SELECT check_out INTO v_check_out FROM stays WHERE id = p_stay_id;
+    END IF;
+    IF v_check_out IS NULL THEN
+      v_hours := COALESCE(NULLIF(v_room.hours_stay, 0), 1);
+      IF v_hours < 0 THEN v_hours := 1; END IF;
+      v_check_out := now() + make_interval(secs => v_hours * 3600);
+    END IF;
+
+    UPDATE rooms
+       SET status = 'occupied', check_in = now(), check_out = v_check_out
+     WHERE id = v_room.id
+    RETURNING * INTO v_room;
+  END IF;
+
+  IF p_stay_id IS NOT NULL THEN
+    UPDATE stays SET status = 'active', updated_at = now()
+     WHERE id = p_stay_id AND status = 'reserved';
+  END IF;
+
+  UPDATE rfid_tags SET status = 'active'
+   WHERE id = p_rfid_id AND status = 'assigned'
+  RETURNING * INTO v_rfid;
+  IF NOT FOUND THEN
+    SELECT * INTO v_rfid FROM rfid_tags WHERE id = p_rfid_id;
+  END IF;
+
+  -- The room is held by its primary guest; companions tap into that guest's record.
+  v_occupant_id := COALESCE(v_room.guest_id, p_guest_id);
+  SELECT id INTO v_occupancy_id FROM room_occupancy_history
+   WHERE guest_id = v_occupant_id AND room_id = v_room.id AND check_out IS NULL
+   ORDER BY id
+   LIMIT 1;
+  IF v_occupancy_id IS NULL THEN
+    INSERT INTO room_occupancy_history (
+      room_id, guest_id, rfid_id, registration_time, check_in, check_out, hours_stay, occupant_snapshot
+    ) VALUES (
+      v_room.id, v_occupant_id, p_rfid_id, now(), NULL, NULL, v_room.hours_stay,
+      CASE WHEN v_occupant_id = p_guest_id THEN COALESCE(p_occupant_snapshot, '{}'::jsonb) ELSE '{}'::jsonb END
+    ) RETURNING id INTO v_occupancy_id;
+  END IF;
+
+  RETURN jsonb_build_object(
+    'room', to_jsonb(v_room),
+    'rfid', to_jsonb(v_rfid),
+    'occupancy_history_id', v_occupancy_id
+  );
+END;
+$$;
+
+-- ---------------------------------------------------------------------------
+-- check_out_room: clear the room and, if it was on an open stay, release it:
+-- revoke cards that no longer open any remaining room (all cards once the last
+-- room goes), free their RFID tags, close the stay and complete the reservation
+-- it was promoted from. Rooms not on a stay free every tag of their guest.
+-- ---------------------------------------------------------------------------
+CREATE OR REPLACE FUNCTION check_out_room(
+  p_room_id BIGINT,
+  p_reason  TEXT DEFAULT 'room_checked_out'
+) RETURNS JSONB
+LANGUAGE plpgsql AS $$
+DECLARE
+  v_room        rooms%ROWTYPE;
+  v_updated     rooms%ROWTYPE;
+  v_stay_id     BIGINT;
+  v_stay_closed BOOLEAN := false;
+  v_card_ids    BIGINT[] := '{}';
+  v_rfid_ids    BIGINT[] := '{}';
+BEGIN
+  SELECT * INTO v_room FROM rooms WHERE id = p_room_id FOR UPDATE;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION USING ERRCODE = 'P0001', MESSAGE = 'ROOM_NOT_FOUND', HINT = 'Room not found.';
+  END IF;
+
+  UPDATE rooms
+     SET guest_id = NULL,
+         registration_time = NULL,
+         hours_stay = NULL,
+         check_in = NULL,
+         check_out = NULL,
+         status = 'available',
+         ten_min_warning_sent = false
+   WHERE id = p_room_id
+  RETURNING * INTO v_updated;
+
+  SELECT s.id INTO v_stay_id
+    FROM stay_rooms sr
+    JOIN stays s ON s.id = sr.stay_id
+   WHERE sr.room_id = p_room_id
+     AND sr.released_at IS NULL
+     AND s.status IN ('reserved', 'active')
+   LIMIT 1
+     FOR UPDATE OF s;
+
+  IF v_stay_id IS NOT NULL THEN
+    UPDATE stay_rooms SET released_at = now()
+     WHERE stay_id = v_stay_id AND room_id = p_room_id;
+
+    v_stay_closed := NOT EXISTS (
+      SELECT 1 FROM stay_rooms WHERE stay_id = v_stay_id AND released_at IS NULL
+    );
+
+    WITH dead AS (
+      UPDATE stay_cards c
+         SET revoked_at = now(),
+             revoked_reason = CASE WHEN v_stay_closed THEN 'stay_checked_out' ELSE p_reason END
+       WHERE c.stay_id = v_stay_id
+         AND c.revoked_at IS NULL
+         AND (
+           v_stay_closed
+           OR (c.room_ids IS NOT NULL AND NOT EXISTS (
+                 SELECT 1 FROM stay_rooms sr
+                  WHERE sr.stay_id = v_stay_id
+                    AND sr.released_at IS NULL
+                    AND sr.room_id = ANY (c.room_ids)))
+         )
+      RETURNING c.id, c.rfid_id
+    )
+    SELECT COALESCE(array_agg(id), '{}'), COALESCE(array_agg(rfid_id), '{}')
+      INTO v_card_ids, v_rfid_ids
+      FROM dead;
+
+    UPDATE rfid_tags SET guest_id = NULL, status = 'available' WHERE id = ANY (v_rfid_ids);
+
+    IF v_stay_closed THEN
+      UPDATE stays SET status = 'checked_out', updated_at = now() WHERE id = v_stay_id;
+      UPDATE reservations SET status = 'completed', updated_at = now()
+       WHERE stay_id = v_stay_id AND status = 'promoted';
+    END IF;
+  ELSIF v_room.guest_id IS NOT NULL THEN
+    UPDATE rfid_tags SET guest_id = NULL, status = 'available' WHERE guest_id = v_room.guest_id;
+  END IF;
+
+  RETURN jsonb_build_object(
+    'room', to_jsonb(v_updated),
+    'occupant_id', v_room.guest_id,
+    'stay_id', v_stay_id,
+    'stay_closed', v_stay_closed,
+    'revoked_card_ids', to_jsonb(v_card_ids)
+  );
+END;
+$$;
@@ -0,0 +1,59 @@
+-- config/migrations/007_scheduled_jobs.sql
+-- Durable job queue replacing the in-process 30-second polling cron. Jobs are
+-- scheduled for an exact run_at when a stay/reservation is created or changed
+-- and claimed with FOR UPDATE SKIP LOCKED, so each job runs once no matter how
+-- many server instances poll the table.
+
+CREATE TABLE IF NOT EXISTS scheduled_jobs (
+  id           BIGSERIAL PRIMARY KEY,
+  type         TEXT NOT NULL,                 -- handler name, e.g. 'room.checkout'
+  subject      TEXT,                          -- what it acts on, e.g. 'room:12'
+  payload      JSONB NOT NULL DEFAULT '{}'::jsonb,
+  run_at       TIMESTAMPTZ NOT NULL,
+  status       TEXT NOT NULL DEFAULT 'pending'
+                 CHECK (status IN ('pending', 'running', 'done', 'failed', 'canceled')),
+  attempts     INTEGER NOT NULL DEFAULT 0,
+  max_attempts INTEGER NOT NULL DEFAULT 5 CHECK (max_attempts > 0),
+  last_error   TEXT,
+  result       JSONB,
+  dedupe_key   TEXT,                          -- same key = same job; scheduling it again is a no-op
+  locked_by    TEXT,
+  locked_at    TIMESTAMPTZ,
+  completed_at TIMESTAMPTZ,
+  created_at   TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at   TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS uq_scheduled_jobs_dedupe ON scheduled_jobs (dedupe_key);
+CREATE INDEX IF NOT EXISTS idx_scheduled_jobs_due ON scheduled_jobs (run_at) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS idx_scheduled_jobs_subject ON scheduled_jobs (subject, status);
+
+-- Claim up to p_limit due jobs for one worker. Jobs left 'running' longer than
+-- p_lock_timeout (the worker died mid-job) are claimed again.
+CREATE OR REPLACE FUNCTION claim_scheduled_jobs(
+  p_worker       TEXT,
+  p_limit        INTEGER DEFAULT 10,
+  p_lock_timeout INTERVAL DEFAULT interval '5 minutes'
+) RETURNS SETOF scheduled_jobs
+LANGUAGE plpgsql AS $$
+BEGIN
+  RETURN QUERY
+  WITH due AS (
+    SELECT id FROM scheduled_jobs
+     WHERE (status = 'pending' AND run_at <= now())
+        OR (status = 'running' AND locked_at < now() - p_lock_timeout)
+     ORDER BY run_at
+     LIMIT p_limit
+       FOR UPDATE SKIP LOCKED
+  )
+  UPDATE scheduled_jobs j
+     SET status = 'running',
+         attempts = j.attempts + 1,
+         locked_by = p_worker,
+         locked_at = now(),
+         updated_at = now()
+    FROM due
+   WHERE j.id = due.id
+  RETURNING j.*;
+END;
+$$;
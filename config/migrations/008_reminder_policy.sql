@@ -0,0 +1,9 @@
+-- config/migrations/008_reminder_policy.sql
+-- Reminder policy lives in system_settings ('reminder_policy', JSON); the
+-- defaults are in services/reminderService.js, so no row is seeded. Staff
+-- copies of reminders go to admins flagged on duty.
+
+ALTER TABLE admins ADD COLUMN IF NOT EXISTS on_duty BOOLEAN NOT NULL DEFAULT TRUE;
+
+-- Settings are written with upsert on setting_name
+CREATE UNIQUE INDEX IF NOT EXISTS uq_system_settings_name ON system_settings (setting_name);
@@ -0,0 +1,84 @@
+-- config/migrations/009_settings.sql
+-- Operator-tunable settings (services/settingsService.js) are stored in
+-- system_settings and need no schema of their own. check_in_by_card gains
+-- p_default_hours so the first-tap fallback stay length comes from the
+-- default_stay_hours setting instead of a hardcoded hour.
+
+DROP FUNCTION IF EXISTS check_in_by_card(BIGINT, BIGINT, BIGINT, BIGINT, JSONB);
+
+CREATE OR REPLACE FUNCTION check_in_by_card(
+  p_rfid_id           BIGINT,
+  p_room_id           BIGINT,
+  p_guest_id          BIGINT,
+  p_stay_id           BIGINT DEFAULT NULL,
+  p_occupant_snapshot JSONB DEFAULT '{}'::jsonb,
+  p_default_hours     NUMERIC DEFAULT 1
+) RETURNS JSONB
+LANGUAGE plpgsql AS $$
+DECLARE
+  v_room         rooms%ROWTYPE;
+  v_rfid         rfid_tags%ROWTYPE;
+  v_hours        NUMERIC;
+  v_check_out    TIMESTAMPTZ;
+  v_occupant_id  BIGINT;
+  v_occupancy_id BIGINT;
+BEGIN
+  SELECT * INTO v_room FROM rooms WHERE id = p_room_id FOR UPDATE;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION USING ERRCODE = 'P0001', MESSAGE = 'ROOM_NOT_FOUND', HINT = 'Room not found.';
+  END IF;
+  IF v_room.status = 'available'
+     OR (v_room.status = 'occupied' AND v_room.check_out IS NOT NULL AND v_room.check_out <= now()) THEN
+    RAISE EXCEPTION USING ERRCODE = 'P0001', MESSAGE = 'STAY_ENDED', HINT = 'Access denied: Your stay has ended.';
+  END IF;
+
+  IF v_room.status = 'reserved' THEN
+    IF p_stay_id IS NOT NULL THEN
+      SELECT check_out INTO v_check_out FROM stays WHERE id = p_stay_id;
+    END IF;
+    IF v_check_out IS NULL THEN
+      v_hours := COALESCE(NULLIF(v_room.hours_stay, 0), p_default_hours, 1);
+      IF v_hours < 0 THEN v_hours := COALESCE(p_default_hours, 1); END IF;
+      v_check_out := now() + make_interval(secs => v_hours * 3600);
+    END IF;
+
+    UPDATE rooms
+       SET status = 'occupied', check_in = now(), check_out = v_check_out
+     WHERE id = v_room.id
+    RETURNING * INTO v_room;
+  END IF;
+
+  IF p_stay_id IS NOT NULL THEN
+    UPDATE stays SET status = 'active', updated_at = now()
+     WHERE id = p_stay_id AND status = 'reserved';
+  END IF;
+
+  UPDATE rfid_tags SET status = 'active'
+   WHERE id = p_rfid_id AND status = 'assigned'
+  RETURNING * INTO v_rfid;
+  IF NOT FOUND THEN
+    SELECT * INTO v_rfid FROM rfid_tags WHERE id = p_rfid_id;
+  END IF;
+
+  -- The room is held by its primary guest; companions tap into that guest's record.
+  v_occupant_id := COALESCE(v_room.guest_id, p_guest_id);
+  SELECT id INTO v_occupancy_id FROM room_occupancy_history
+   WHERE guest_id = v_occupant_id AND room_id = v_room.id AND check_out IS NULL
+   ORDER BY id
+   LIMIT 1;
+  IF v_occupancy_id IS NULL THEN
+    INSERT INTO room_occupancy_history (
+      room_id, guest_id, rfid_id, registration_time, check_in, check_out, hours_stay, occupant_snapshot
+    ) VALUES (
+      v_room.id, v_occupant_id, p_rfid_id, now(), NULL, NULL, v_room.hours_stay,
+      CASE WHEN v_occupant_id = p_guest_id THEN COALESCE(p_occupant_snapshot, '{}'::jsonb) ELSE '{}'::jsonb END
+    ) RETURNING id INTO v_occupancy_id;
+  END IF;
+
+  RETURN jsonb_build_object(
+    'room', to_jsonb(v_room),
+    'rfid', to_jsonb(v_rfid),
+    'occupancy_history_id', v_occupancy_id
+  );
+END;
+$$;
@@ -0,0 +1,264 @@
+-- config/migrations/010_card_sync.sql
+-- Versioned card sync for the Pi gateway. Triggers append the UID of every
+-- card whose door access may have changed to card_sync_changes; the gateway
+-- keeps the last seq it applied as its cursor and asks for changes since then.
+-- Entries are recomputed from current state, so a change log row only says
+-- "look at this card again" and replaying one twice is harmless.
+--
+-- Cursor safety: writers log under a shared advisory lock held until commit;
+-- readers take the exclusive lock before reading max(seq), so every seq at or
+-- below the cursor they hand out is committed and visible.
+
+CREATE TABLE IF NOT EXISTS card_sync_changes (
+  seq        BIGSERIAL PRIMARY KEY,
+  rfid_uid   TEXT NOT NULL,
+  changed_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_card_sync_changes_changed_at ON card_sync_changes (changed_at);
+
+CREATE OR REPLACE FUNCTION log_card_changes(p_uids TEXT[]) RETURNS VOID
+LANGUAGE plpgsql AS $$
+BEGIN
+  IF p_uids IS NULL OR cardinality(p_uids) = 0 THEN
+    RETURN;
+  END IF;
+  PERFORM pg_advisory_xact_lock_shared(hashtext('card_sync_changes'));
+  INSERT INTO card_sync_changes (rfid_uid)
+  SELECT DISTINCT u FROM unnest(p_uids) AS u WHERE u IS NOT NULL;
+END;
+$$;
+
+-- ---------------------------------------------------------------------------
+-- Triggers: anything that changes which doors a card opens, or until when
+-- ---------------------------------------------------------------------------
+
+CREATE OR REPLACE FUNCTION trg_card_sync_rfid_tags() RETURNS TRIGGER
+LANGUAGE plpgsql AS $$
+BEGIN
+  IF TG_OP = 'INSERT' THEN
+    PERFORM log_card_changes(ARRAY[NEW.rfid_uid]);
+  ELSIF TG_OP = 'DELETE' THEN
+    PERFORM log_card_changes(ARRAY[OLD.rfid_uid]);
+  ELSIF (OLD.status, OLD.guest_id, OLD.rfid_uid) IS DISTINCT FROM (NEW.status, NEW.guest_id, NEW.rfid_uid) THEN
+    PERFORM log_card_changes(ARRAY[OLD.rfid_uid, NEW.rfid_uid]);
+  END IF;
+  RETURN NULL;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS card_sync_rfid_tags ON rfid_tags;
+CREATE TRIGGER card_sync_rfid_tags
+  AFTER INSERT OR UPDATE OR DELETE ON rfid_tags
+  FOR EACH ROW EXECUTE FUNCTION trg_card_sync_rfid_tags();
+
+CREATE OR REPLACE FUNCTION trg_card_sync_stay_cards() RETURNS TRIGGER
+LANGUAGE plpgsql AS $$
+BEGIN
+  PERFORM log_card_changes(ARRAY(
+    SELECT rfid_uid FROM rfid_tags
+     WHERE id IN (
+       CASE WHEN TG_OP <> 'INSERT' THEN OLD.rfid_id END,
+       CASE WHEN TG_OP <> 'DELETE' THEN NEW.rfid_id END
+     )
+  ));
+  RETURN NULL;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS card_sync_stay_cards ON stay_cards;
+CREATE TRIGGER card_sync_stay_cards
+  AFTER INSERT OR UPDATE OR DELETE ON stay_cards
+  FOR EACH ROW EXECUTE FUNCTION trg_card_sync_stay_cards();
+
+-- Every card issued on the given stays
+CREATE OR REPLACE FUNCTION stay_card_uids(p_stay_ids BIGINT[]) RETURNS TEXT[]
+LANGUAGE sql STABLE AS $$
+  SELECT ARRAY(
+    SELECT t.rfid_uid
+      FROM stay_cards c
+      JOIN rfid_tags t ON t.id = c.rfid_id
+     WHERE c.stay_id = ANY(p_stay_ids)
+  );
+$$;
+
+CREATE OR REPLACE FUNCTION trg_card_sync_stay_rooms() RETURNS TRIGGER
+LANGUAGE plpgsql AS $$
+BEGIN
+  PERFORM log_card_changes(stay_card_uids(ARRAY[
+    CASE WHEN TG_OP <> 'INSERT' THEN OLD.stay_id END,
+    CASE WHEN TG_OP <> 'DELETE' THEN NEW.stay_id END
+  ]));
+  RETURN NULL;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS card_sync_stay_rooms ON stay_rooms;
+CREATE TRIGGER card_sync_stay_rooms
+  AFTER INSERT OR UPDATE OR DELETE ON stay_rooms
+  FOR EACH ROW EXECUTE FUNCTION trg_card_sync_stay_rooms();
+
+CREATE OR REPLACE FUNCTION trg_card_sync_stays() RETURNS TRIGGER
+LANGUAGE plpgsql AS $$
+BEGIN
+  IF (OLD.status, OLD.check_out) IS DISTINCT FROM (NEW.status, NEW.check_out) THEN
+    PERFORM log_card_changes(stay_card_uids(ARRAY[NEW.id]));
+  END IF;
+  RETURN NULL;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS card_sync_stays ON stays;
+CREATE TRIGGER card_sync_stays
+  AFTER UPDATE ON stays
+  FOR EACH ROW EXECUTE FUNCTION trg_card_sync_stays();
+
+-- Rooms: legacy cards follow rooms.guest_id; stay cards follow stay_rooms
+CREATE OR REPLACE FUNCTION trg_card_sync_rooms() RETURNS TRIGGER
+LANGUAGE plpgsql AS $$
+BEGIN
+  IF (OLD.guest_id, OLD.status, OLD.room_number, OLD.check_out)
+     IS DISTINCT FROM (NEW.guest_id, NEW.status, NEW.room_number, NEW.check_out) THEN
+    PERFORM log_card_changes(
+      ARRAY(SELECT rfid_uid FROM rfid_tags WHERE guest_id IN (OLD.guest_id, NEW.guest_id))
+      || stay_card_uids(ARRAY(SELECT stay_id FROM stay_rooms WHERE room_id = NEW.id AND released_at IS NULL))
+    );
+  END IF;
+  RETURN NULL;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS card_sync_rooms ON rooms;
+CREATE TRIGGER card_sync_rooms
+  AFTER UPDATE ON rooms
+  FOR EACH ROW EXECUTE FUNCTION trg_card_sync_rooms();
+
+-- ---------------------------------------------------------------------------
+-- card_sync_entries: the gateway's view of assigned/active cards (all of them,
+-- or the given UIDs). Stay cards open their stay's unreleased rooms (or the
+-- subset on the card) until the stay's check_out; legacy cards open the rooms
+-- held by their guest. One query instead of one rooms query per card.
+-- ---------------------------------------------------------------------------
+CREATE OR REPLACE FUNCTION card_sync_entries(p_uids TEXT[] DEFAULT NULL) RETURNS JSONB
+LANGUAGE sql STABLE AS $$
+  SELECT COALESCE(jsonb_object_agg(t.rfid_uid, jsonb_build_object(
+           'rfid_uid', t.rfid_uid,
+           'guest_id', t.guest_id,
+           'status', t.status,
+           'created_at', t.created_at,
+           'stay_id', c.stay_id,
+           'room_number', rm.room_numbers[1],
+           'room_numbers', COALESCE(to_jsonb(rm.room_numbers), '[]'::jsonb),
+           'valid_until', CASE WHEN c.stay_id IS NOT NULL THEN c.check_out ELSE rm.max_check_out END
+         )), '{}'::jsonb)
+    FROM rfid_tags t
+    LEFT JOIN LATERAL (
+      SELECT sc.stay_id, sc.room_ids, st.check_out
+        FROM stay_cards sc
+        JOIN stays st ON st.id = sc.stay_id
+       WHERE sc.rfid_id = t.id
+         AND sc.revoked_at IS NULL
+         AND st.status IN ('reserved', 'active')
+       LIMIT 1
+    ) c ON TRUE
+    LEFT JOIN LATERAL (
+      SELECT array_agg(r.room_number ORDER BY r.room_number) AS room_numbers,
+             max(r.check_out) AS max_check_out
+        FROM rooms r
+       WHERE CASE
+               WHEN c.stay_id IS NOT NULL THEN
+                 EXISTS (SELECT 1 FROM stay_rooms sr
+                          WHERE sr.stay_id = c.stay_id AND sr.room_id = r.id AND sr.released_at IS NULL)
+                 AND (c.room_ids IS NULL OR r.id = ANY(c.room_ids))
+               ELSE r.guest_id = t.guest_id AND r.status IN ('reserved', 'occupied')
+             END
+    ) rm ON TRUE
+   WHERE t.status IN ('assigned', 'active')
+     AND (p_uids IS NULL OR t.rfid_uid = ANY(p_uids));
+$$;
+
+-- Exclusive side of the cursor lock; see the header.
+CREATE OR REPLACE FUNCTION card_sync_settled_cursor() RETURNS BIGINT
+LANGUAGE plpgsql AS $$
+BEGIN
+  PERFORM pg_advisory_xact_lock(hashtext('card_sync_changes'));
+  RETURN COALESCE((SELECT max(seq) FROM card_sync_changes), 0);
+END;
+$$;
+
+-- Full card list and the cursor it is current as of.
+CREATE OR REPLACE FUNCTION card_sync_snapshot() RETURNS JSONB
+LANGUAGE plpgsql AS $$
+DECLARE
+  v_cursor BIGINT := card_sync_settled_cursor();
+BEGIN
+  RETURN jsonb_build_object('cursor', v_cursor, 'cards', card_sync_entries(NULL));
+END;
+$$;
+
+-- ---------------------------------------------------------------------------
+-- card_sync_delta: cards changed after p_since (at most p_limit change rows),
+-- as current entries plus the UIDs that no longer open anything. A cursor the
+-- log cannot serve (pruned past it, or ahead of it) gets a full snapshot with
+-- full_resync = true.
+-- ---------------------------------------------------------------------------
+CREATE OR REPLACE FUNCTION card_sync_delta(p_since BIGINT, p_limit INTEGER DEFAULT 1000) RETURNS JSONB
+LANGUAGE plpgsql AS $$
+DECLARE
+  v_max    BIGINT := card_sync_settled_cursor();
+  v_oldest BIGINT;
+  v_to     BIGINT;
+  v_more   BOOLEAN;
+  v_uids   TEXT[];
+  v_cards  JSONB;
+BEGIN
+  SELECT min(seq) INTO v_oldest FROM card_sync_changes;
+  IF p_since > v_max OR (v_oldest IS NOT NULL AND p_since < v_oldest - 1) THEN
+    RETURN jsonb_build_object(
+      'cursor', v_max, 'full_resync', TRUE, 'has_more', FALSE,
+      'cards', card_sync_entries(NULL), 'revoked', '[]'::jsonb
+    );
+  END IF;
+
+  SELECT max(seq), count(*) > p_limit INTO v_to, v_more
+    FROM (SELECT seq FROM card_sync_changes
+           WHERE seq > p_since AND seq <= v_max
+           ORDER BY seq
+           LIMIT p_limit + 1) batch;
+  IF v_more THEN
+    SELECT max(seq) INTO v_to
+      FROM (SELECT seq FROM card_sync_changes
+             WHERE seq > p_since AND seq <= v_max
+             ORDER BY seq
+             LIMIT p_limit) batch;
+  END IF;
+  v_to := COALESCE(v_to, v_max);
+
+  SELECT ARRAY(SELECT DISTINCT rfid_uid FROM card_sync_changes WHERE seq > p_since AND seq <= v_to)
+    INTO v_uids;
+  v_cards := card_sync_entries(v_uids);
+
+  RETURN jsonb_build_object(
+    'cursor', v_to,
+    'full_resync', FALSE,
+    'has_more', v_more,
+    'cards', v_cards,
+    'revoked', to_jsonb(ARRAY(SELECT u FROM unnest(v_uids) AS u WHERE NOT v_cards ? u ORDER BY u))
+  );
+END;
+$$;
+
+-- Housekeeping: drop old change rows but always keep the newest, so an empty
+-- log never hides that changes were pruned.
+CREATE OR REPLACE FUNCTION prune_card_sync_changes(p_before TIMESTAMPTZ) RETURNS INTEGER
+LANGUAGE plpgsql AS $$
+DECLARE
+  v_deleted INTEGER;
+BEGIN
+  DELETE FROM card_sync_changes
+   WHERE changed_at < p_before
+     AND seq < (SELECT max(seq) FROM card_sync_changes);
+  GET DIAGNOSTICS v_deleted = ROW_COUNT;
+  RETURN v_deleted;
+END;
+$$;
@@ -0,0 +1,24 @@
+-- config/migrations/011_access_log_ingest.sql
+-- Door controllers buffer access events while offline and upload them later
+-- through POST /api/access-logs/batch. Each event keeps the controller's own
+-- clock (device_time) next to the time the server received it (received_at);
+-- `timestamp` stays the event time that lists and reports order by.
+-- (device_id, idempotency_key) makes a re-sent batch a no-op.
+
+ALTER TABLE access_logs
+  ADD COLUMN IF NOT EXISTS device_id       TEXT,
+  ADD COLUMN IF NOT EXISTS door_id         TEXT,
+  ADD COLUMN IF NOT EXISTS device_time     TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS received_at     TIMESTAMPTZ NOT NULL DEFAULT now(),
+  ADD COLUMN IF NOT EXISTS idempotency_key TEXT;
+
+-- NULLs never collide, so events logged one at a time (no key) are unaffected.
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'uq_access_logs_device_event') THEN
+    ALTER TABLE access_logs
+      ADD CONSTRAINT uq_access_logs_device_event UNIQUE (device_id, idempotency_key);
+  END IF;
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_access_logs_door_time ON access_logs (door_id, "timestamp" DESC);
@@ -0,0 +1,28 @@
+-- config/migrations/012_devices.sql
+-- Registry of the physical door readers and Pi gateways. Each device has its
+-- own API key (only the SHA-256 hash is stored) and reports a heartbeat. A
+-- door reader guards one room, or a named area (lobby, gym, ...); readers
+-- behind a gateway name it in gateway_id so the gateway may speak for them.
+-- `code` is the identifier devices use on the wire (access_logs.device_id).
+
+CREATE TABLE IF NOT EXISTS devices (
+  id               BIGSERIAL PRIMARY KEY,
+  code             TEXT NOT NULL UNIQUE,
+  name             TEXT NOT NULL,
+  kind             TEXT NOT NULL CHECK (kind IN ('door_reader', 'gateway')),
+  status           TEXT NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'disabled')),
+  room_id          BIGINT REFERENCES rooms(id) ON DELETE SET NULL,
+  area             TEXT,
+  gateway_id       BIGINT REFERENCES devices(id) ON DELETE SET NULL,
+  api_key_hash     TEXT NOT NULL UNIQUE,
+  api_key_prefix   TEXT NOT NULL,                 -- first characters, to recognise a key in logs
+  firmware_version TEXT,
+  last_seen_at     TIMESTAMPTZ,
+  last_ip          TEXT,
+  created_at       TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at       TIMESTAMPTZ NOT NULL DEFAULT now(),
+  CHECK (kind = 'door_reader' OR (room_id IS NULL AND gateway_id IS NULL))
+);
+
+CREATE INDEX IF NOT EXISTS idx_devices_room ON devices (room_id);
+CREATE INDEX IF NOT EXISTS idx_devices_gateway ON devices (gateway_id);
@@ -0,0 +1,48 @@
+-- config/migrations/013_access_zones.sql
+-- Common-area doors (gym, pool, parking, elevator floors, staff-only doors).
+-- A door reader guards either a room or an access zone. Guests enter a zone
+-- when an enabled policy for it matches their membership level and their
+-- stay's add-ons inside the policy's weekday/time-of-day window. A room's own
+-- zone (its floor) opens for whoever may open the room.
+
+CREATE TABLE IF NOT EXISTS access_zones (
+  id          BIGSERIAL PRIMARY KEY,
+  code        TEXT NOT NULL UNIQUE,             -- e.g. 'gym', 'parking', 'floor-3'
+  name        TEXT NOT NULL,
+  description TEXT,
+  staff_only  BOOLEAN NOT NULL DEFAULT FALSE,   -- guest cards never open it
+  created_at  TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at  TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+-- NULL list columns mean "no restriction". Windows are local times in
+-- `timezone`; an end_time earlier than start_time runs past midnight and the
+-- weekday is the one the window starts on (0 = Sunday).
+CREATE TABLE IF NOT EXISTS access_policies (
+  id                BIGSERIAL PRIMARY KEY,
+  zone_id           BIGINT NOT NULL REFERENCES access_zones(id) ON DELETE CASCADE,
+  name              TEXT NOT NULL,
+  membership_levels TEXT[],                     -- guests.membership_level values
+  add_on            TEXT,                       -- required entry in stays.add_ons
+  weekdays          SMALLINT[] CHECK (weekdays <@ ARRAY[0, 1, 2, 3, 4, 5, 6]::SMALLINT[]),
+  start_time        TIME,
+  end_time          TIME,
+  timezone          TEXT NOT NULL DEFAULT 'UTC',
+  enabled           BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at        TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at        TIMESTAMPTZ NOT NULL DEFAULT now(),
+  CHECK ((start_time IS NULL) = (end_time IS NULL))
+);
+
+CREATE INDEX IF NOT EXISTS idx_access_policies_zone ON access_policies (zone_id) WHERE enabled;
+
+ALTER TABLE devices ADD COLUMN IF NOT EXISTS zone_id BIGINT REFERENCES access_zones(id) ON DELETE SET NULL;
+ALTER TABLE devices DROP CONSTRAINT IF EXISTS devices_door_binding;
+ALTER TABLE devices ADD CONSTRAINT devices_door_binding CHECK (room_id IS NULL OR zone_id IS NULL);
+CREATE INDEX IF NOT EXISTS idx_devices_zone ON devices (zone_id);
+
+ALTER TABLE rooms ADD COLUMN IF NOT EXISTS zone_id BIGINT REFERENCES access_zones(id) ON DELETE SET NULL;
+
+-- Booking add-ons ('parking', 'spa', ...) carried from reservation to stay.
+ALTER TABLE stays        ADD COLUMN IF NOT EXISTS add_ons TEXT[] NOT NULL DEFAULT '{}';
+ALTER TABLE reservations ADD COLUMN IF NOT EXISTS add_ons TEXT[] NOT NULL DEFAULT '{}';
@@ -0,0 +1,115 @@
+-- config/migrations/014_staff_cards.sql
+-- Staff RFID cards. A card is held by a guest (recycled at checkout, as
+-- before) or by a staff member (admins row) and keeps its holder until it is
+-- unassigned. Staff cards open doors only during one of the holder's shifts
+-- and only where a room rule for the holder's role allows it. A master card
+-- opens every door at any time, and every use raises an alert to staff.
+-- Every staff or master card tap, granted or denied, lands in access_logs.
+
+ALTER TABLE rfid_tags ADD COLUMN IF NOT EXISTS admin_id BIGINT REFERENCES admins(id) ON DELETE SET NULL;
+ALTER TABLE rfid_tags ADD COLUMN IF NOT EXISTS card_type TEXT NOT NULL DEFAULT 'guest'
+  CHECK (card_type IN ('guest', 'staff', 'master'));
+ALTER TABLE rfid_tags DROP CONSTRAINT IF EXISTS rfid_tags_single_holder;
+ALTER TABLE rfid_tags ADD CONSTRAINT rfid_tags_single_holder CHECK (guest_id IS NULL OR admin_id IS NULL);
+CREATE INDEX IF NOT EXISTS idx_rfid_tags_admin ON rfid_tags (admin_id) WHERE admin_id IS NOT NULL;
+
+CREATE TABLE IF NOT EXISTS staff_shifts (
+  id         BIGSERIAL PRIMARY KEY,
+  admin_id   BIGINT NOT NULL REFERENCES admins(id) ON DELETE CASCADE,
+  starts_at  TIMESTAMPTZ NOT NULL,
+  ends_at    TIMESTAMPTZ NOT NULL,
+  notes      TEXT,
+  created_by BIGINT REFERENCES admins(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  CHECK (ends_at > starts_at)
+);
+
+CREATE INDEX IF NOT EXISTS idx_staff_shifts_admin_time ON staff_shifts (admin_id, starts_at, ends_at);
+
+-- What a staff role may open. room_statuses NULL = a room in any status;
+-- assigned_only = the holder must also have the room assigned right now.
+CREATE TABLE IF NOT EXISTS staff_room_rules (
+  id            BIGSERIAL PRIMARY KEY,
+  role          TEXT NOT NULL,                  -- admins.role
+  room_statuses TEXT[],
+  assigned_only BOOLEAN NOT NULL DEFAULT FALSE,
+  description   TEXT,
+  enabled       BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at    TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at    TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_staff_room_rules_role ON staff_room_rules (role) WHERE enabled;
+
+CREATE TABLE IF NOT EXISTS staff_room_assignments (
+  id         BIGSERIAL PRIMARY KEY,
+  admin_id   BIGINT NOT NULL REFERENCES admins(id) ON DELETE CASCADE,
+  room_id    BIGINT NOT NULL REFERENCES rooms(id) ON DELETE CASCADE,
+  starts_at  TIMESTAMPTZ NOT NULL DEFAULT now(),
+  ends_at    TIMESTAMPTZ,                       -- NULL = until removed
+  created_by BIGINT REFERENCES admins(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  CHECK (ends_at IS NULL OR ends_at > starts_at)
+);
+
+CREATE INDEX IF NOT EXISTS idx_staff_room_assignments_admin ON staff_room_assignments (admin_id, room_id);
+
+-- Starter rules; edit or disable them through /api/staff-access/rules.
+INSERT INTO staff_room_rules (role, room_statuses, assigned_only, description)
+SELECT * FROM (VALUES
+  ('housekeeping', ARRAY['cleaning']::TEXT[], FALSE, 'Rooms flagged for cleaning'),
+  ('housekeeping', ARRAY['occupied', 'reserved']::TEXT[], TRUE, 'Assigned occupied rooms (turndown, service requests)'),
+  ('maintenance', ARRAY['maintenance']::TEXT[], FALSE, 'Rooms under maintenance'),
+  ('maintenance', NULL::TEXT[], TRUE, 'Any assigned room'),
+  ('security', NULL::TEXT[], FALSE, 'Every room')
+) AS seed (role, room_statuses, assigned_only, description)
+WHERE NOT EXISTS (SELECT 1 FROM staff_room_rules);
+
+ALTER TABLE access_logs ADD COLUMN IF NOT EXISTS admin_id  BIGINT REFERENCES admins(id) ON DELETE SET NULL;
+ALTER TABLE access_logs ADD COLUMN IF NOT EXISTS card_type TEXT;
+ALTER TABLE access_logs ADD COLUMN IF NOT EXISTS room_number TEXT;
+ALTER TABLE access_logs ADD COLUMN IF NOT EXISTS zone_id BIGINT REFERENCES access_zones(id) ON DELETE SET NULL;
+ALTER TABLE access_logs ADD COLUMN IF NOT EXISTS reason TEXT;
+CREATE INDEX IF NOT EXISTS idx_access_logs_admin ON access_logs (admin_id, "timestamp" DESC) WHERE admin_id IS NOT NULL;
+
+-- Staff and master cards stay out of the gateway's offline card list: their
+-- shift, rule and alert checks only run online. Same function as in
+-- 010_card_sync.sql plus the card_type filter.
+CREATE OR REPLACE FUNCTION card_sync_entries(p_uids TEXT[] DEFAULT NULL) RETURNS JSONB
+LANGUAGE sql STABLE AS $$
+  SELECT COALESCE(jsonb_object_agg(t.rfid_uid, jsonb_build_object(
+           'rfid_uid', t.rfid_uid,
+           'guest_id', t.guest_id,
+           'status', t.status,
+           'created_at', t.created_at,
+           'stay_id', c.stay_id,
+           'room_number', rm.room_numbers[1],
+           'room_numbers', COALESCE(to_jsonb(rm.room_numbers), '[]'::jsonb),
+           'valid_until', CASE WHEN c.stay_id IS NOT NULL THEN c.check_out ELSE rm.max_check_out END
+         )), '{}'::jsonb)
+    FROM rfid_tags t
+    LEFT JOIN LATERAL (
+      SELECT sc.stay_id, sc.room_ids, st.check_out
+        FROM stay_cards sc
+        JOIN stays st ON st.id = sc.stay_id
+       WHERE sc.rfid_id = t.id
+         AND sc.revoked_at IS NULL
+         AND st.status IN ('reserved', 'active')
+       LIMIT 1
+    ) c ON TRUE
+    LEFT JOIN LATERAL (
+      SELECT array_agg(r.room_number ORDER BY r.room_number) AS room_numbers,
+             max(r.check_out) AS max_check_out
+        FROM rooms r
+       WHERE CASE
+               WHEN c.stay_id IS NOT NULL THEN
+                 EXISTS (SELECT 1 FROM stay_rooms sr
+                          WHERE sr.stay_id = c.stay_id AND sr.room_id = r.id AND sr.released_at IS NULL)
+                 AND (c.room_ids IS NULL OR r.id = ANY(c.room_ids))
+               ELSE r.guest_id = t.guest_id AND r.status IN ('reserved', 'occupied')
+             END
+    ) rm ON TRUE
+   WHERE t.status IN ('assigned', 'active')
+     AND t.card_type = 'guest'
+     AND (p_uids IS NULL OR t.rfid_uid = ANY(p_uids));
+$$;
@@ -0,0 +1,37 @@
+-- config/migrations/015_access_anomalies.sql
+-- Access anomalies raised by the rules in services/anomalyService.js (the
+-- 'anomaly_policy' system setting; defaults live in the service, so no row is
+-- seeded). Every access_logs event is checked after it is stored; a match is
+-- recorded here, staff on duty are alerted, and the rule may suspend the card.
+
+-- 'suspended': taken out of service by an anomaly rule until staff resolve it.
+ALTER TABLE rfid_tags DROP CONSTRAINT IF EXISTS rfid_tags_status_check;
+ALTER TABLE rfid_tags ADD CONSTRAINT rfid_tags_status_check
+  CHECK (status IN ('available', 'assigned', 'active', 'lost', 'suspended'));
+
+CREATE TABLE IF NOT EXISTS access_anomalies (
+  id              BIGSERIAL PRIMARY KEY,
+  rule            TEXT NOT NULL
+                  CHECK (rule IN ('repeated_denials', 'door_hopping', 'lost_card', 'outside_stay')),
+  rfid_uid        TEXT NOT NULL,
+  rfid_id         BIGINT REFERENCES rfid_tags(id) ON DELETE SET NULL,
+  guest_id        BIGINT REFERENCES guests(id) ON DELETE SET NULL,
+  admin_id        BIGINT REFERENCES admins(id) ON DELETE SET NULL,
+  access_log_id   BIGINT REFERENCES access_logs(id) ON DELETE SET NULL,
+  details         JSONB NOT NULL DEFAULT '{}'::jsonb,
+  suspended       BOOLEAN NOT NULL DEFAULT FALSE,
+  previous_status TEXT,                          -- card status before suspension
+  staff_notified  INTEGER NOT NULL DEFAULT 0,
+  status          TEXT NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'resolved')),
+  resolved_by     BIGINT REFERENCES admins(id) ON DELETE SET NULL,
+  resolved_at     TIMESTAMPTZ,
+  resolution_note TEXT,
+  created_at      TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+-- Cooldown lookups (same rule, same card) and the open-anomaly list
+CREATE INDEX IF NOT EXISTS idx_access_anomalies_card_rule ON access_anomalies (rfid_uid, rule, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_access_anomalies_open ON access_anomalies (created_at DESC) WHERE status = 'open';
+
+-- Per-card window queries behind the rules
+CREATE INDEX IF NOT EXISTS idx_access_logs_rfid_time ON access_logs (rfid_uid, "timestamp" DESC);
@@ -0,0 +1,126 @@
+-- config/migrations/016_card_replacement.sql
+-- Replacing a lost guest card in one transaction (see models/occupancyFlowModel.js
+-- and POST /api/rfid/replace). The old card is marked lost and taken off its
+-- stay, an available card is issued on the same stay for the same guest and
+-- rooms, and open occupancy records move to the new card with the swap
+-- appended to card_history. The card sync triggers (010_card_sync.sql) log
+-- both UIDs, so gateways drop the old one on their next delta.
+-- Errors follow 006_occupancy_functions.sql (P0001, MESSAGE = error code).
+
+ALTER TABLE room_occupancy_history ADD COLUMN IF NOT EXISTS card_history JSONB NOT NULL DEFAULT '[]'::jsonb;
+
+CREATE OR REPLACE FUNCTION replace_card(
+  p_old_rfid_id BIGINT,
+  p_new_rfid_id BIGINT,
+  p_replaced_by BIGINT DEFAULT NULL,
+  p_note        TEXT DEFAULT NULL
+) RETURNS JSONB
+LANGUAGE plpgsql AS $$
+DECLARE
+  v_old        rfid_tags%ROWTYPE;
+  v_new        rfid_tags%ROWTYPE;
+  v_card       stay_cards%ROWTYPE;
+  v_stay       stays%ROWTYPE;
+  v_card_id    BIGINT;
+  v_records    BIGINT[];
+  v_rooms      TEXT[];
+BEGIN
+  IF p_old_rfid_id = p_new_rfid_id THEN
+    RAISE EXCEPTION USING ERRCODE = 'P0001', MESSAGE = 'BAD_REQUEST',
+      HINT = 'The replacement must be a different card';
+  END IF;
+
+  -- Lock both cards in id order so two concurrent swaps cannot deadlock
+  PERFORM 1 FROM rfid_tags WHERE id IN (p_old_rfid_id, p_new_rfid_id) ORDER BY id FOR UPDATE;
+
+  SELECT * INTO v_old FROM rfid_tags WHERE id = p_old_rfid_id;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION USING ERRCODE = 'P0001', MESSAGE = 'RFID_NOT_FOUND', HINT = 'Lost card not found';
+  END IF;
+  IF v_old.card_type <> 'guest' OR v_old.status NOT IN ('assigned', 'active', 'lost', 'suspended') THEN
+    RAISE EXCEPTION USING ERRCODE = 'P0001', MESSAGE = 'RFID_INVALID_STATUS',
+      HINT = format('RFID %s is not a guest card in use (status: %s)', v_old.rfid_uid, v_old.status);
+  END IF;
+
+  -- The stay the card is on: its live stay card, or the one taken off when
+  -- the card was marked lost. Once replaced it is neither.
+  SELECT c.* INTO v_card
+    FROM stay_cards c
+    JOIN stays s ON s.id = c.stay_id
+   WHERE c.rfid_id = v_old.id
+     AND s.status IN ('reserved', 'active')
+     AND (c.revoked_at IS NULL OR c.revoked_reason = 'lost')
+   ORDER BY c.revoked_at DESC NULLS FIRST
+   LIMIT 1
+   FOR UPDATE OF c;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION USING ERRCODE = 'P0001', MESSAGE = 'STAY_CARD_NOT_FOUND',
+      HINT = format('RFID %s is not issued on an open stay', v_old.rfid_uid);
+  END IF;
+  SELECT * INTO v_stay FROM stays WHERE id = v_card.stay_id;
+
+  SELECT * INTO v_new FROM rfid_tags WHERE id = p_new_rfid_id;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION USING ERRCODE = 'P0001', MESSAGE = 'RFID_NOT_FOUND', HINT = 'Replacement card not found';
+  END IF;
+  IF v_new.status <> 'available' THEN
+    RAISE EXCEPTION USING ERRCODE = 'P0001', MESSAGE = 'RFID_NOT_AVAILABLE',
+      HINT = format('RFID %s is not available (status: %s)', v_new.rfid_uid, v_new.status);
+  END IF;
+  IF EXISTS (SELECT 1 FROM stay_cards WHERE rfid_id = v_new.id AND revoked_at IS NULL) THEN
+    RAISE EXCEPTION USING ERRCODE = 'P0001', MESSAGE = 'RFID_NOT_AVAILABLE',
+      HINT = 'RFID is already issued on another stay';
+  END IF;
+
+  UPDATE rfid_tags SET status = 'lost' WHERE id = v_old.id RETURNING * INTO v_old;
+  UPDATE stay_cards
+     SET revoked_at = COALESCE(revoked_at, now()), revoked_reason = 'replaced'
+   WHERE id = v_card.id;
+
+  -- A guest already checked in gets a card that works at once
+  UPDATE rfid_tags
+     SET guest_id = v_card.guest_id,
+         admin_id = NULL,
+         card_type = 'guest',
+         status = CASE WHEN v_stay.status = 'active' THEN 'active' ELSE 'assigned' END
+   WHERE id = v_new.id
+  RETURNING * INTO v_new;
+  INSERT INTO stay_cards (stay_id, rfid_id, guest_id, room_ids)
+  VALUES (v_card.stay_id, v_new.id, v_card.guest_id, v_card.room_ids)
+  RETURNING id INTO v_card_id;
+
+  WITH moved AS (
+    UPDATE room_occupancy_history h
+       SET rfid_id = v_new.id,
+           card_history = h.card_history || jsonb_build_array(jsonb_build_object(
+             'rfid_id', v_old.id,
+             'rfid_uid', v_old.rfid_uid,
+             'replaced_by_rfid_id', v_new.id,
+             'replaced_by_rfid_uid', v_new.rfid_uid,
+             'replaced_at', now(),
+             'reason', 'lost',
+             'replaced_by', p_replaced_by,
+             'note', p_note))
+     WHERE h.rfid_id = v_old.id AND h.check_out IS NULL
+    RETURNING h.id
+  )
+  SELECT COALESCE(array_agg(id), '{}') INTO v_records FROM moved;
+
+  SELECT COALESCE(array_agg(r.room_number ORDER BY r.room_number), '{}') INTO v_rooms
+    FROM stay_rooms sr
+    JOIN rooms r ON r.id = sr.room_id
+   WHERE sr.stay_id = v_card.stay_id
+     AND sr.released_at IS NULL
+     AND (v_card.room_ids IS NULL OR r.id = ANY (v_card.room_ids));
+
+  RETURN jsonb_build_object(
+    'stay_id', v_card.stay_id,
+    'guest_id', v_card.guest_id,
+    'stay_card_id', v_card_id,
+    'old_rfid', to_jsonb(v_old),
+    'new_rfid', to_jsonb(v_new),
+    'occupancy_record_ids', to_jsonb(v_records),
+    'room_numbers', to_jsonb(v_rooms)
+  );
+END;
+$$;
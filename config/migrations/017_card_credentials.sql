@@ -0,0 +1,86 @@
+-- config/migrations/017_card_credentials.sql
+-- Challenge-response card credentials (services/cardCredentialService.js).
+-- A card in 'challenge' mode holds a secret key diversified from its UID; the
+-- server keeps the key encrypted (AES-256-GCM) and only accepts a tap with the
+-- card's answer to a fresh, single-use challenge. Cards in 'legacy_uid' mode
+-- (every existing card) keep matching on the UID alone until they are
+-- provisioned; the 'legacy_uid_cards_allowed' setting turns that off.
+
+ALTER TABLE rfid_tags ADD COLUMN IF NOT EXISTS credential_mode TEXT NOT NULL DEFAULT 'legacy_uid'
+  CHECK (credential_mode IN ('legacy_uid', 'challenge'));
+ALTER TABLE rfid_tags ADD COLUMN IF NOT EXISTS key_ciphertext TEXT;   -- base64 iv | tag | ciphertext
+ALTER TABLE rfid_tags ADD COLUMN IF NOT EXISTS key_version INTEGER;
+ALTER TABLE rfid_tags ADD COLUMN IF NOT EXISTS key_provisioned_at TIMESTAMPTZ;
+ALTER TABLE rfid_tags DROP CONSTRAINT IF EXISTS rfid_tags_challenge_key;
+ALTER TABLE rfid_tags ADD CONSTRAINT rfid_tags_challenge_key
+  CHECK (credential_mode = 'legacy_uid' OR (key_ciphertext IS NOT NULL AND key_version IS NOT NULL));
+
+CREATE TABLE IF NOT EXISTS card_challenges (
+  id          UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  rfid_id     BIGINT NOT NULL REFERENCES rfid_tags(id) ON DELETE CASCADE,
+  challenge   TEXT NOT NULL,                    -- hex
+  device_code TEXT,                             -- reader that asked, when known
+  expires_at  TIMESTAMPTZ NOT NULL,
+  used_at     TIMESTAMPTZ,
+  created_at  TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_card_challenges_expires ON card_challenges (expires_at);
+
+-- A change of credential mode changes what the gateway may accept offline.
+CREATE OR REPLACE FUNCTION trg_card_sync_rfid_tags() RETURNS TRIGGER
+LANGUAGE plpgsql AS $$
+BEGIN
+  IF TG_OP = 'INSERT' THEN
+    PERFORM log_card_changes(ARRAY[NEW.rfid_uid]);
+  ELSIF TG_OP = 'DELETE' THEN
+    PERFORM log_card_changes(ARRAY[OLD.rfid_uid]);
+  ELSIF (OLD.status, OLD.guest_id, OLD.rfid_uid, OLD.credential_mode)
+        IS DISTINCT FROM (NEW.status, NEW.guest_id, NEW.rfid_uid, NEW.credential_mode) THEN
+    PERFORM log_card_changes(ARRAY[OLD.rfid_uid, NEW.rfid_uid]);
+  END IF;
+  RETURN NULL;
+END;
+$$;
+
+-- Same function as in 014_staff_cards.sql plus credential_mode, so a gateway
+-- working offline knows a UID match alone does not prove a 'challenge' card.
+CREATE OR REPLACE FUNCTION card_sync_entries(p_uids TEXT[] DEFAULT NULL) RETURNS JSONB
+LANGUAGE sql STABLE AS $$
+  SELECT COALESCE(jsonb_object_agg(t.rfid_uid, jsonb_build_object(
+           'rfid_uid', t.rfid_uid,
+           'guest_id', t.guest_id,
+           'status', t.status,
+           'credential_mode', t.credential_mode,
+           'created_at', t.created_at,
+           'stay_id', c.stay_id,
+           'room_number', rm.room_numbers[1],
+           'room_numbers', COALESCE(to_jsonb(rm.room_numbers), '[]'::jsonb),
+           'valid_until', CASE WHEN c.stay_id IS NOT NULL THEN c.check_out ELSE rm.max_check_out END
+         )), '{}'::jsonb)
+    FROM rfid_tags t
+    LEFT JOIN LATERAL (
+      SELECT sc.stay_id, sc.room_ids, st.check_out
+        FROM stay_cards sc
+        JOIN stays st ON st.id = sc.stay_id
+       WHERE sc.rfid_id = t.id
+         AND sc.revoked_at IS NULL
+         AND st.status IN ('reserved', 'active')
+       LIMIT 1
+    ) c ON TRUE
+    LEFT JOIN LATERAL (
+      SELECT array_agg(r.room_number ORDER BY r.room_number) AS room_numbers,
+             max(r.check_out) AS max_check_out
+        FROM rooms r
+       WHERE CASE
+               WHEN c.stay_id IS NOT NULL THEN
+                 EXISTS (SELECT 1 FROM stay_rooms sr
+                          WHERE sr.stay_id = c.stay_id AND sr.room_id = r.id AND sr.released_at IS NULL)
+                 AND (c.room_ids IS NULL OR r.id = ANY(c.room_ids))
+               ELSE r.guest_id = t.guest_id AND r.status IN ('reserved', 'occupied')
+             END
+    ) rm ON TRUE
+   WHERE t.status IN ('assigned', 'active')
+     AND t.card_type = 'guest'
+     AND (p_uids IS NULL OR t.rfid_uid = ANY(p_uids));
+$$;
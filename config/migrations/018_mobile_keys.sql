@@ -0,0 +1,53 @@
+-- config/migrations/018_mobile_keys.sql
+-- Mobile keys: the guest app unlocks doors over BLE or a QR code with a
+-- signed, time-bound token bound to one stay, one guest and one phone (see
+-- services/mobileKeyService.js). The token itself is not stored; a row here
+-- lets the server revoke it before it expires. Checking out or canceling the
+-- stay revokes its keys in the same transaction.
+-- access_logs.credential_type records what was presented at the door.
+
+CREATE TABLE IF NOT EXISTS mobile_keys (
+  id             UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  stay_id        BIGINT NOT NULL REFERENCES stays(id) ON DELETE CASCADE,
+  guest_id       BIGINT NOT NULL REFERENCES guests(id) ON DELETE CASCADE,
+  phone_hash     TEXT NOT NULL,                 -- SHA-256 of the app's install id
+  expires_at     TIMESTAMPTZ NOT NULL,
+  issued_by      BIGINT REFERENCES admins(id) ON DELETE SET NULL,
+  issued_at      TIMESTAMPTZ NOT NULL DEFAULT now(),
+  last_used_at   TIMESTAMPTZ,
+  revoked_at     TIMESTAMPTZ,
+  revoked_reason TEXT
+);
+
+-- One live key per guest and phone on a stay; reissuing revokes the old one.
+CREATE UNIQUE INDEX IF NOT EXISTS uq_mobile_keys_live_phone
+  ON mobile_keys (stay_id, guest_id, phone_hash) WHERE revoked_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_mobile_keys_guest ON mobile_keys (guest_id);
+
+CREATE OR REPLACE FUNCTION trg_revoke_stay_mobile_keys() RETURNS TRIGGER
+LANGUAGE plpgsql AS $$
+BEGIN
+  UPDATE mobile_keys
+     SET revoked_at = now(),
+         revoked_reason = 'stay_' || NEW.status
+   WHERE stay_id = NEW.id
+     AND revoked_at IS NULL;
+  RETURN NULL;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS revoke_stay_mobile_keys ON stays;
+CREATE TRIGGER revoke_stay_mobile_keys
+  AFTER UPDATE OF status ON stays
+  FOR EACH ROW
+  WHEN (NEW.status IN ('checked_out', 'canceled') AND OLD.status IS DISTINCT FROM NEW.status)
+  EXECUTE FUNCTION trg_revoke_stay_mobile_keys();
+
+-- Existing rows are all card taps.
+ALTER TABLE access_logs ADD COLUMN IF NOT EXISTS credential_type TEXT NOT NULL DEFAULT 'rfid';
+ALTER TABLE access_logs DROP CONSTRAINT IF EXISTS access_logs_credential_type_check;
+ALTER TABLE access_logs ADD CONSTRAINT access_logs_credential_type_check
+  CHECK (credential_type IN ('rfid', 'mobile_key'));
+ALTER TABLE access_logs ALTER COLUMN rfid_uid DROP NOT NULL;   -- no card behind a mobile key
+ALTER TABLE access_logs ADD COLUMN IF NOT EXISTS mobile_key_id UUID REFERENCES mobile_keys(id) ON DELETE SET NULL;
+CREATE INDEX IF NOT EXISTS idx_access_logs_mobile_key ON access_logs (mobile_key_id) WHERE mobile_key_id IS NOT NULL;
@@ -0,0 +1,55 @@
+-- config/migrations/019_visitor_passes.sql
+-- Visitor passes: a checked-in guest lets a visitor or a delivery into one of
+-- their rooms with a QR code or a PIN (see services/visitorPassService.js).
+-- A pass is one-time or good for any number of uses inside its window, and the
+-- window never reaches past the guest's stay. Only a hash of the code is kept.
+-- Checking out or canceling the stay revokes its passes with its mobile keys.
+
+CREATE TABLE IF NOT EXISTS visitor_passes (
+  id             UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  stay_id        BIGINT NOT NULL REFERENCES stays(id) ON DELETE CASCADE,
+  guest_id       BIGINT NOT NULL REFERENCES guests(id) ON DELETE CASCADE,   -- who issued it
+  room_id        BIGINT NOT NULL REFERENCES rooms(id) ON DELETE CASCADE,
+  visitor_name   TEXT,
+  code_type      TEXT NOT NULL CHECK (code_type IN ('qr', 'pin')),
+  code_hash      TEXT NOT NULL,
+  max_uses       INTEGER CHECK (max_uses IS NULL OR max_uses > 0),       -- NULL = any number
+  use_count      INTEGER NOT NULL DEFAULT 0,
+  valid_from     TIMESTAMPTZ NOT NULL,
+  valid_until    TIMESTAMPTZ NOT NULL,
+  last_used_at   TIMESTAMPTZ,
+  revoked_at     TIMESTAMPTZ,
+  revoked_reason TEXT,
+  created_at     TIMESTAMPTZ NOT NULL DEFAULT now(),
+  CHECK (valid_until > valid_from)
+);
+
+CREATE INDEX IF NOT EXISTS idx_visitor_passes_guest ON visitor_passes (guest_id);
+CREATE INDEX IF NOT EXISTS idx_visitor_passes_room_live ON visitor_passes (room_id) WHERE revoked_at IS NULL;
+-- A PIN is typed at one door, so it must not match two live passes there.
+CREATE UNIQUE INDEX IF NOT EXISTS uq_visitor_passes_live_pin
+  ON visitor_passes (room_id, code_hash) WHERE revoked_at IS NULL AND code_type = 'pin';
+
+-- Same function as in 018_mobile_keys.sql plus visitor passes.
+CREATE OR REPLACE FUNCTION trg_revoke_stay_mobile_keys() RETURNS TRIGGER
+LANGUAGE plpgsql AS $$
+BEGIN
+  UPDATE mobile_keys
+     SET revoked_at = now(),
+         revoked_reason = 'stay_' || NEW.status
+   WHERE stay_id = NEW.id
+     AND revoked_at IS NULL;
+  UPDATE visitor_passes
+     SET revoked_at = now(),
+         revoked_reason = 'stay_' || NEW.status
+   WHERE stay_id = NEW.id
+     AND revoked_at IS NULL;
+  RETURN NULL;
+END;
+$$;
+
+ALTER TABLE access_logs DROP CONSTRAINT IF EXISTS access_logs_credential_type_check;
+ALTER TABLE access_logs ADD CONSTRAINT access_logs_credential_type_check
+  CHECK (credential_type IN ('rfid', 'mobile_key', 'visitor_pass'));
+ALTER TABLE access_logs ADD COLUMN IF NOT EXISTS visitor_pass_id UUID REFERENCES visitor_passes(id) ON DELETE SET NULL;
+CREATE INDEX IF NOT EXISTS idx_access_logs_visitor_pass ON access_logs (visitor_pass_id) WHERE visitor_pass_id IS NOT NULL;
@@ -0,0 +1,49 @@
+-- config/migrations/020_keypad_pins.sql
+-- Keypad PINs (see services/keypadPinService.js). A stay may have one PIN,
+-- generated at registration or by staff and stored as a bcrypt hash; it opens
+-- the stay's rooms at the door keypad when the card fails or is left inside.
+-- Rooms with requires_card_and_pin ask for the card and the PIN together and
+-- never open on either alone. Wrong PINs lock a room's keypad for a while.
+
+CREATE TABLE IF NOT EXISTS stay_keypad_pins (
+  stay_id    BIGINT PRIMARY KEY REFERENCES stays(id) ON DELETE CASCADE,
+  pin_hash   TEXT NOT NULL,
+  created_by BIGINT REFERENCES admins(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+ALTER TABLE rooms ADD COLUMN IF NOT EXISTS requires_card_and_pin BOOLEAN NOT NULL DEFAULT false;
+
+-- Same counters as login_lockouts (003_login_protection.sql), per room keypad.
+CREATE TABLE IF NOT EXISTS keypad_lockouts (
+  room_id        BIGINT PRIMARY KEY REFERENCES rooms(id) ON DELETE CASCADE,
+  failed_count   INTEGER NOT NULL DEFAULT 0,
+  lockout_count  INTEGER NOT NULL DEFAULT 0,
+  last_failed_at TIMESTAMPTZ,
+  locked_until   TIMESTAMPTZ,
+  updated_at     TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+-- Same function as in 019_visitor_passes.sql; a closed stay's PIN is dropped.
+CREATE OR REPLACE FUNCTION trg_revoke_stay_mobile_keys() RETURNS TRIGGER
+LANGUAGE plpgsql AS $$
+BEGIN
+  UPDATE mobile_keys
+     SET revoked_at = now(),
+         revoked_reason = 'stay_' || NEW.status
+   WHERE stay_id = NEW.id
+     AND revoked_at IS NULL;
+  UPDATE visitor_passes
+     SET revoked_at = now(),
+         revoked_reason = 'stay_' || NEW.status
+   WHERE stay_id = NEW.id
+     AND revoked_at IS NULL;
+  DELETE FROM stay_keypad_pins WHERE stay_id = NEW.id;
+  RETURN NULL;
+END;
+$$;
+
+-- 'pin' = PIN alone at the keypad, 'rfid_pin' = card and PIN together.
+ALTER TABLE access_logs DROP CONSTRAINT IF EXISTS access_logs_credential_type_check;
+ALTER TABLE access_logs ADD CONSTRAINT access_logs_credential_type_check
+  CHECK (credential_type IN ('rfid', 'mobile_key', 'visitor_pass', 'pin', 'rfid_pin'));
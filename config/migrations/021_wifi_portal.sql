@@ -0,0 +1,38 @@
+-- config/migrations/021_wifi_portal.sql
+-- Captive portal for guest Wi-Fi (see services/wifiPortalService.js). A device
+-- on guest_dhcp signs in with room number + last name or a voucher; its MAC is
+-- then bound to the guest's stay in mac_addresses and whitelisted on the
+-- router until the stay's check-out. Each stay may bind a limited number of
+-- devices (setting wifi_devices_per_stay).
+
+-- Vouchers are handed out at the desk for a stay; only SHA-256 hashes are kept.
+CREATE TABLE IF NOT EXISTS wifi_vouchers (
+  id         UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  stay_id    BIGINT NOT NULL REFERENCES stays(id) ON DELETE CASCADE,
+  code_hash  TEXT NOT NULL UNIQUE,
+  created_by BIGINT REFERENCES admins(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  revoked_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_wifi_vouchers_stay ON wifi_vouchers (stay_id);
+
+ALTER TABLE mac_addresses ADD COLUMN IF NOT EXISTS stay_id BIGINT REFERENCES stays(id) ON DELETE SET NULL;
+ALTER TABLE mac_addresses ADD COLUMN IF NOT EXISTS auth_method TEXT
+  CHECK (auth_method IN ('room_last_name', 'voucher'));
+ALTER TABLE mac_addresses ADD COLUMN IF NOT EXISTS voucher_id UUID REFERENCES wifi_vouchers(id) ON DELETE SET NULL;
+ALTER TABLE mac_addresses ADD COLUMN IF NOT EXISTS authenticated_at TIMESTAMPTZ;
+ALTER TABLE mac_addresses ADD COLUMN IF NOT EXISTS expires_at TIMESTAMPTZ;
+
+-- Devices counted against a stay's limit.
+CREATE INDEX IF NOT EXISTS idx_mac_addresses_stay_live
+  ON mac_addresses (stay_id) WHERE status = 'authenticated';
+
+-- Wrong portal sign-ins are throttled per MAC with the login lockouts
+-- (003_login_protection.sql).
+ALTER TABLE login_lockouts DROP CONSTRAINT IF EXISTS login_lockouts_subject_type_check;
+ALTER TABLE login_lockouts ADD CONSTRAINT login_lockouts_subject_type_check
+  CHECK (subject_type IN ('guest', 'admin', 'wifi'));
+ALTER TABLE login_audit DROP CONSTRAINT IF EXISTS login_audit_subject_type_check;
+ALTER TABLE login_audit ADD CONSTRAINT login_audit_subject_type_check
+  CHECK (subject_type IN ('guest', 'admin', 'wifi'));
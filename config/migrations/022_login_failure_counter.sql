@@ -0,0 +1,44 @@
+-- config/migrations/022_login_failure_counter.sql
+-- Failed logins are counted inside the database (services/loginGuardService.js).
+-- The upsert holds the lockout row's lock until the call returns, so parallel
+-- failures for one identifier are counted one after another instead of each
+-- reading the same old count and writing back the same new one.
+
+-- Count a failure; an expired lock starts a fresh count. At p_max_attempts the
+-- identifier is locked for p_base_minutes, doubling with each lockout up to
+-- p_max_minutes. Returns the updated row: failed_count = 0 with locked_until
+-- in the future means this failure set the lock.
+CREATE OR REPLACE FUNCTION record_login_failure(
+  p_subject_type TEXT,
+  p_identifier   TEXT,
+  p_max_attempts INTEGER,
+  p_base_minutes INTEGER,
+  p_max_minutes  INTEGER DEFAULT 24 * 60
+) RETURNS login_lockouts
+LANGUAGE plpgsql AS $$
+DECLARE
+  v_row login_lockouts%ROWTYPE;
+BEGIN
+  INSERT INTO login_lockouts AS l (subject_type, identifier, failed_count, last_failed_at)
+  VALUES (p_subject_type, p_identifier, 1, now())
+  ON CONFLICT (subject_type, identifier) DO UPDATE
+     SET failed_count   = CASE WHEN l.locked_until <= now() THEN 1 ELSE l.failed_count + 1 END,
+         locked_until   = CASE WHEN l.locked_until <= now() THEN NULL ELSE l.locked_until END,
+         last_failed_at = now(),
+         updated_at     = now()
+  RETURNING * INTO v_row;
+
+  IF v_row.failed_count >= p_max_attempts THEN
+    UPDATE login_lockouts
+       SET locked_until  = now() + make_interval(
+                             mins => LEAST(p_base_minutes * 2 ^ LEAST(lockout_count, 20), p_max_minutes)::INTEGER),
+           lockout_count = lockout_count + 1,
+           failed_count  = 0,
+           updated_at    = now()
+     WHERE subject_type = p_subject_type AND identifier = p_identifier
+    RETURNING * INTO v_row;
+  END IF;
+
+  RETURN v_row;
+END;
+$$;
@@ -0,0 +1,41 @@
+-- config/migrations/023_keypad_failure_counter.sql
+-- Wrong keypad PINs are counted inside the database like failed logins
+-- (022_login_failure_counter.sql), so parallel wrong PINs at one room's
+-- keypad are all counted (services/keypadPinService.js).
+
+-- Count a wrong PIN; an expired lock starts a fresh count. At p_max_attempts
+-- the keypad is locked for p_base_minutes, doubling with each lockout up to
+-- p_max_minutes. Returns the updated row, as record_login_failure does.
+CREATE OR REPLACE FUNCTION record_keypad_failure(
+  p_room_id      BIGINT,
+  p_max_attempts INTEGER,
+  p_base_minutes INTEGER,
+  p_max_minutes  INTEGER DEFAULT 24 * 60
+) RETURNS keypad_lockouts
+LANGUAGE plpgsql AS $$
+DECLARE
+  v_row keypad_lockouts%ROWTYPE;
+BEGIN
+  INSERT INTO keypad_lockouts AS k (room_id, failed_count, last_failed_at)
+  VALUES (p_room_id, 1, now())
+  ON CONFLICT (room_id) DO UPDATE
+     SET failed_count   = CASE WHEN k.locked_until <= now() THEN 1 ELSE k.failed_count + 1 END,
+         locked_until   = CASE WHEN k.locked_until <= now() THEN NULL ELSE k.locked_until END,
+         last_failed_at = now(),
+         updated_at     = now()
+  RETURNING * INTO v_row;
+
+  IF v_row.failed_count >= p_max_attempts THEN
+    UPDATE keypad_lockouts
+       SET locked_until  = now() + make_interval(
+                             mins => LEAST(p_base_minutes * 2 ^ LEAST(lockout_count, 20), p_max_minutes)::INTEGER),
+           lockout_count = lockout_count + 1,
+           failed_count  = 0,
+           updated_at    = now()
+     WHERE room_id = p_room_id
+    RETURNING * INTO v_row;
+  END IF;
+
+  RETURN v_row;
+END;
+$$;
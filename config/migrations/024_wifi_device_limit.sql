@@ -0,0 +1,69 @@
+-- config/migrations/024_wifi_device_limit.sql
+-- Captive portal sign-ins (services/wifiPortalService.js) check the stay's
+-- device limit and bind the MAC in one call. The stay row is locked first, so
+-- two devices signing in at once cannot both take the last slot.
+--
+-- Failures are raised like the occupancy functions (006_occupancy_functions.sql).
+
+CREATE OR REPLACE FUNCTION bind_wifi_device(
+  p_mac         TEXT,
+  p_ip          TEXT,
+  p_guest_id    BIGINT,
+  p_stay_id     BIGINT,
+  p_auth_method TEXT,
+  p_voucher_id  UUID,
+  p_expires_at  TIMESTAMPTZ,
+  p_limit       INTEGER
+) RETURNS mac_addresses
+LANGUAGE plpgsql AS $$
+DECLARE
+  v_devices JSONB;
+  v_bound   BOOLEAN;
+  v_row     mac_addresses%ROWTYPE;
+BEGIN
+  PERFORM 1 FROM stays WHERE id = p_stay_id FOR UPDATE;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION USING ERRCODE = 'P0001', MESSAGE = 'STAY_NOT_FOUND',
+      HINT = format('Stay %s not found.', p_stay_id);
+  END IF;
+
+  SELECT COALESCE(jsonb_agg(jsonb_build_object(
+           'id', id, 'mac', mac, 'ip', ip, 'status', status, 'guest_id', guest_id,
+           'stay_id', stay_id, 'auth_method', auth_method,
+           'authenticated_at', authenticated_at, 'expires_at', expires_at)
+           ORDER BY authenticated_at), '[]'::jsonb),
+         COALESCE(bool_or(mac = p_mac), false)
+    INTO v_devices, v_bound
+    FROM mac_addresses
+   WHERE stay_id = p_stay_id
+     AND status = 'authenticated'
+     AND expires_at > now();
+
+  -- Signing in again from a bound device does not take another slot
+  IF NOT v_bound AND jsonb_array_length(v_devices) >= p_limit THEN
+    RAISE EXCEPTION USING ERRCODE = 'P0001', MESSAGE = 'WIFI_DEVICE_LIMIT',
+      HINT = format('This stay already has %s devices signed in. Sign one out to add this one.', p_limit),
+      DETAIL = jsonb_build_object('limit', p_limit, 'devices', v_devices)::text;
+  END IF;
+
+  -- Leases stored by /api/mikrotik/store-leases already have a row
+  UPDATE mac_addresses
+     SET ip = p_ip,
+         guest_id = p_guest_id,
+         stay_id = p_stay_id,
+         auth_method = p_auth_method,
+         voucher_id = p_voucher_id,
+         expires_at = p_expires_at,
+         status = 'authenticated',
+         authenticated_at = now()
+   WHERE id = (SELECT id FROM mac_addresses WHERE mac = p_mac ORDER BY id LIMIT 1)
+  RETURNING * INTO v_row;
+  IF NOT FOUND THEN
+    INSERT INTO mac_addresses (mac, ip, guest_id, stay_id, auth_method, voucher_id, expires_at, status, authenticated_at, created_at)
+    VALUES (p_mac, p_ip, p_guest_id, p_stay_id, p_auth_method, p_voucher_id, p_expires_at, 'authenticated', now(), now())
+    RETURNING * INTO v_row;
+  END IF;
+
+  RETURN v_row;
+END;
+$$;
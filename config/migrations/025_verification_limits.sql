@@ -0,0 +1,20 @@
+-- config/migrations/025_verification_limits.sql
+-- POST /api/guests/verify and /resend-verification are public.
+--  - Wrong codes count against the login lockouts under subject_type
+--    'verification' (per guest and per client IP). Unlike the per-code attempt
+--    counter, that count survives a resend.
+--  - Resends are limited by counting recent codes per guest and per requesting
+--    IP, which is stored with each code.
+
+ALTER TABLE login_lockouts DROP CONSTRAINT IF EXISTS login_lockouts_subject_type_check;
+ALTER TABLE login_lockouts ADD CONSTRAINT login_lockouts_subject_type_check
+  CHECK (subject_type IN ('guest', 'admin', 'wifi', 'verification'));
+ALTER TABLE login_audit DROP CONSTRAINT IF EXISTS login_audit_subject_type_check;
+ALTER TABLE login_audit ADD CONSTRAINT login_audit_subject_type_check
+  CHECK (subject_type IN ('guest', 'admin', 'wifi', 'verification'));
+
+ALTER TABLE verification_codes ADD COLUMN IF NOT EXISTS requested_ip TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_verification_codes_requested_ip
+  ON verification_codes (requested_ip, created_at DESC)
+  WHERE requested_ip IS NOT NULL;
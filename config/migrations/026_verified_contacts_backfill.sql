@@ -0,0 +1,17 @@
+-- config/migrations/026_verified_contacts_backfill.sql
+-- Room registration requires a verified email and phone (CONTACT_NOT_VERIFIED
+-- in controllers/hotelController.js and services/stayService.js). Guests who
+-- registered before 002_verification_codes.sql were never sent a code, so
+-- they are marked verified as of this migration. Guests who have been sent a
+-- code still have to enter it, so re-running this file is safe.
+
+UPDATE guests g
+   SET email_verified_at = COALESCE(g.email_verified_at, now()),
+       phone_verified_at = COALESCE(g.phone_verified_at, now())
+ WHERE (g.email_verified_at IS NULL OR g.phone_verified_at IS NULL)
+   AND NOT EXISTS (
+         SELECT 1 FROM verification_codes v
+          WHERE v.subject_type = 'guest'
+            AND v.subject_id = g.id
+            AND v.purpose IN ('verify_email', 'verify_phone')
+       );
@@ -0,0 +1,21 @@
+-- config/migrations/027_verification_code_attempts.sql
+-- A guess at a verification code (services/verificationService.js checkCode)
+-- claims one of the code's attempts before the code is compared. The count
+-- and the limit are checked in one UPDATE, so parallel guesses cannot all read
+-- the same count and slip past the limit.
+
+-- Returns the code with its new attempt count, or no row when the code is
+-- used, expired or out of attempts.
+CREATE OR REPLACE FUNCTION claim_code_attempt(
+  p_id           BIGINT,
+  p_max_attempts INTEGER
+) RETURNS SETOF verification_codes
+LANGUAGE sql AS $$
+  UPDATE verification_codes
+     SET attempts = attempts + 1
+   WHERE id = p_id
+     AND consumed_at IS NULL
+     AND expires_at > now()
+     AND attempts < p_max_attempts
+  RETURNING *;
+$$;
@@ -0,0 +1,21 @@
+-- config/migrations/028_credential_anomalies.sql
+-- The anomaly rules (services/anomalyService.js) follow every credential, not
+-- only cards. An anomaly is filed under credential_key: the card UID for
+-- cards (so existing rows and cooldowns carry on unchanged), the credential's
+-- id for a recognised mobile key or visitor pass, and credential type plus
+-- door for one that matched nothing and for keypad PINs.
+
+ALTER TABLE access_anomalies ALTER COLUMN rfid_uid DROP NOT NULL;
+ALTER TABLE access_anomalies ADD COLUMN IF NOT EXISTS credential_type TEXT NOT NULL DEFAULT 'rfid';
+ALTER TABLE access_anomalies ADD COLUMN IF NOT EXISTS credential_key TEXT;
+UPDATE access_anomalies SET credential_key = rfid_uid WHERE credential_key IS NULL;
+ALTER TABLE access_anomalies ALTER COLUMN credential_key SET NOT NULL;
+
+-- Cooldown lookups (same rule, same credential)
+CREATE INDEX IF NOT EXISTS idx_access_anomalies_credential_rule
+  ON access_anomalies (credential_key, rule, created_at DESC);
+
+-- Denials of unrecognised credentials are counted per door
+CREATE INDEX IF NOT EXISTS idx_access_logs_credential_device_time
+  ON access_logs (credential_type, device_id, "timestamp" DESC)
+  WHERE rfid_uid IS NULL;
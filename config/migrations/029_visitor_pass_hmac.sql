@@ -0,0 +1,11 @@
+-- config/migrations/029_visitor_pass_hmac.sql
+-- Visitor pass PINs and QR secrets are now stored as a keyed HMAC
+-- (services/visitorPassService.js) instead of a plain SHA-256. The old hashes
+-- can neither be converted nor matched any more, so passes still outstanding
+-- are revoked; the guest issues a new one from the app.
+
+UPDATE visitor_passes
+   SET revoked_at = now(),
+       revoked_reason = 'code_rehashed'
+ WHERE revoked_at IS NULL
+   AND valid_until > now();
@@ -0,0 +1,194 @@
+-- config/migrations/030_stay_functions.sql
+-- Opening a stay, adding a room to one and promoting a reservation as single
+-- Postgres functions, called through supabase.rpc (see models/occupancyFlowModel.js).
+-- Same conventions as 006_occupancy_functions.sql: one transaction per call,
+-- expected failures raised as P0001 with the API error code in MESSAGE.
+
+-- ---------------------------------------------------------------------------
+-- add_stay_room: reserve an available room for an open stay's primary guest,
+-- attach it to the stay and open its occupancy record. No reservation other
+-- than p_exclude_reservation_id may overlap the stay.
+-- ---------------------------------------------------------------------------
+CREATE OR REPLACE FUNCTION add_stay_room(
+  p_stay_id                BIGINT,
+  p_room_number            TEXT,
+  p_occupant_snapshot      JSONB DEFAULT '{}'::jsonb,
+  p_exclude_reservation_id BIGINT DEFAULT NULL
+) RETURNS JSONB
+LANGUAGE plpgsql AS $$
+DECLARE
+  v_stay     stays%ROWTYPE;
+  v_room     rooms%ROWTYPE;
+  v_conflict reservations%ROWTYPE;
+  v_hours    NUMERIC;
+BEGIN
+  SELECT * INTO v_stay FROM stays WHERE id = p_stay_id FOR UPDATE;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION USING ERRCODE = 'P0001', MESSAGE = 'STAY_NOT_FOUND',
+      HINT = format('Stay %s not found.', p_stay_id);
+  END IF;
+  IF v_stay.status NOT IN ('reserved', 'active') THEN
+    RAISE EXCEPTION USING ERRCODE = 'P0001', MESSAGE = 'STAY_CLOSED',
+      HINT = format('Stay %s is %s.', p_stay_id, v_stay.status),
+      DETAIL = jsonb_build_object('status', v_stay.status)::text;
+  END IF;
+  v_hours := EXTRACT(EPOCH FROM (v_stay.check_out - v_stay.check_in)) / 3600;
+
+  SELECT * INTO v_room FROM rooms WHERE room_number = p_room_number FOR UPDATE;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION USING ERRCODE = 'P0001', MESSAGE = 'ROOM_NOT_FOUND',
+      HINT = format('Room %s not found.', p_room_number);
+  END IF;
+  IF v_room.status <> 'available' THEN
+    RAISE EXCEPTION USING ERRCODE = 'P0001', MESSAGE = 'ROOM_NOT_AVAILABLE',
+      HINT = format('Room %s is not available.', p_room_number);
+  END IF;
+  IF EXISTS (SELECT 1 FROM stay_rooms WHERE room_id = v_room.id AND released_at IS NULL) THEN
+    RAISE EXCEPTION USING ERRCODE = 'P0001', MESSAGE = 'ROOM_NOT_AVAILABLE',
+      HINT = format('Room %s already belongs to another stay.', p_room_number);
+  END IF;
+
+  SELECT * INTO v_conflict FROM reservations
+   WHERE room_id = v_room.id
+     AND status IN ('booked', 'promoted')
+     AND id IS DISTINCT FROM p_exclude_reservation_id
+     AND check_in < v_stay.check_out
+     AND check_out > v_stay.check_in
+   ORDER BY check_in
+   LIMIT 1;
+  IF FOUND THEN
+    RAISE EXCEPTION USING ERRCODE = 'P0001', MESSAGE = 'RESERVATION_CONFLICT',
+      HINT = format('Room %s is already booked for part of that period.', p_room_number),
+      DETAIL = jsonb_build_object('conflicts', jsonb_build_array(jsonb_build_object(
+        'reservation_id', v_conflict.id,
+        'check_in', v_conflict.check_in,
+        'check_out', v_conflict.check_out)))::text;
+  END IF;
+
+  UPDATE rooms
+     SET guest_id = v_stay.primary_guest_id,
+         hours_stay = v_hours,
+         status = 'reserved',
+         registration_time = now(),
+         check_in = v_stay.check_in,
+         check_out = v_stay.check_out,
+         ten_min_warning_sent = false
+   WHERE id = v_room.id
+  RETURNING * INTO v_room;
+
+  INSERT INTO stay_rooms (stay_id, room_id) VALUES (v_stay.id, v_room.id);
+
+  INSERT INTO room_occupancy_history (
+    room_id, guest_id, rfid_id, registration_time, check_in, check_out, hours_stay,
+    check_out_reason, was_early_checkout, occupant_snapshot, mac_addresses_snapshot, event_indicator
+  ) VALUES (
+    v_room.id, v_stay.primary_guest_id, NULL, now(), NULL, NULL, v_hours,
+    NULL, false, COALESCE(p_occupant_snapshot, '{}'::jsonb), '{}'::jsonb, 'registered'
+  );
+
+  RETURN to_jsonb(v_room);
+END;
+$$;
+
+-- ---------------------------------------------------------------------------
+-- open_stay: create a stay for a primary guest with one or more rooms and
+-- optional companions. Any room that cannot be reserved undoes the whole stay.
+-- Returns { stay_id, rooms } with the reserved room rows.
+-- ---------------------------------------------------------------------------
+CREATE OR REPLACE FUNCTION open_stay(
+  p_primary_guest_id       BIGINT,
+  p_room_numbers           TEXT[],
+  p_check_in               TIMESTAMPTZ,
+  p_check_out              TIMESTAMPTZ,
+  p_companion_ids          BIGINT[] DEFAULT '{}',
+  p_notes                  TEXT DEFAULT NULL,
+  p_created_by             BIGINT DEFAULT NULL,
+  p_add_ons                TEXT[] DEFAULT '{}',
+  p_occupant_snapshot      JSONB DEFAULT '{}'::jsonb,
+  p_exclude_reservation_id BIGINT DEFAULT NULL
+) RETURNS JSONB
+LANGUAGE plpgsql AS $$
+DECLARE
+  v_stay_id     BIGINT;
+  v_room_number TEXT;
+  v_rooms       JSONB := '[]'::jsonb;
+BEGIN
+  IF p_check_out <= p_check_in THEN
+    RAISE EXCEPTION USING ERRCODE = 'P0001', MESSAGE = 'BAD_REQUEST',
+      HINT = 'Invalid check_in/check_out range';
+  END IF;
+
+  INSERT INTO stays (primary_guest_id, check_in, check_out, notes, created_by, add_ons)
+  VALUES (p_primary_guest_id, p_check_in, p_check_out, p_notes, p_created_by, COALESCE(p_add_ons, '{}'))
+  RETURNING id INTO v_stay_id;
+  INSERT INTO stay_guests (stay_id, guest_id, role) VALUES (v_stay_id, p_primary_guest_id, 'primary');
+
+  FOREACH v_room_number IN ARRAY p_room_numbers LOOP
+    v_rooms := v_rooms || jsonb_build_array(
+      add_stay_room(v_stay_id, v_room_number, p_occupant_snapshot, p_exclude_reservation_id));
+  END LOOP;
+
+  INSERT INTO stay_guests (stay_id, guest_id, role)
+  SELECT v_stay_id, companion_id, 'companion' FROM unnest(COALESCE(p_companion_ids, '{}')) AS companion_id
+  ON CONFLICT (stay_id, guest_id) DO NOTHING;
+
+  RETURN jsonb_build_object('stay_id', v_stay_id, 'rooms', v_rooms);
+END;
+$$;
+
+-- ---------------------------------------------------------------------------
+-- promote_reservation: open the stay for a booked reservation and mark it
+-- promoted. p_check_in moves the start earlier for guests who arrive ahead of
+-- time. Returns { stay_id, rooms, reservation }.
+-- ---------------------------------------------------------------------------
+CREATE OR REPLACE FUNCTION promote_reservation(
+  p_reservation_id    BIGINT,
+  p_check_in          TIMESTAMPTZ DEFAULT NULL,
+  p_created_by        BIGINT DEFAULT NULL,
+  p_occupant_snapshot JSONB DEFAULT '{}'::jsonb
+) RETURNS JSONB
+LANGUAGE plpgsql AS $$
+DECLARE
+  v_reservation reservations%ROWTYPE;
+  v_room_number TEXT;
+  v_result      JSONB;
+BEGIN
+  SELECT * INTO v_reservation FROM reservations WHERE id = p_reservation_id FOR UPDATE;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION USING ERRCODE = 'P0001', MESSAGE = 'RESERVATION_NOT_FOUND',
+      HINT = format('Reservation %s not found.', p_reservation_id);
+  END IF;
+  IF v_reservation.status <> 'booked' THEN
+    RAISE EXCEPTION USING ERRCODE = 'P0001', MESSAGE = 'RESERVATION_NOT_BOOKED',
+      HINT = format('Reservation %s is %s.', p_reservation_id, v_reservation.status),
+      DETAIL = jsonb_build_object('status', v_reservation.status)::text;
+  END IF;
+  SELECT room_number INTO v_room_number FROM rooms WHERE id = v_reservation.room_id;
+
+  v_result := open_stay(
+    p_primary_guest_id       => v_reservation.guest_id,
+    p_room_numbers           => ARRAY[v_room_number],
+    p_check_in               => COALESCE(p_check_in, v_reservation.check_in),
+    p_check_out              => v_reservation.check_out,
+    p_notes                  => v_reservation.notes,
+    p_created_by             => COALESCE(p_created_by, v_reservation.created_by),
+    p_add_ons                => v_reservation.add_ons,
+    p_occupant_snapshot      => p_occupant_snapshot,
+    p_exclude_reservation_id => v_reservation.id
+  );
+
+  UPDATE reservations
+     SET status = 'promoted',
+         stay_id = (v_result->>'stay_id')::BIGINT,
+         check_in = COALESCE(p_check_in, check_in),
+         promoted_at = now()
+   WHERE id = v_reservation.id
+  RETURNING * INTO v_reservation;
+
+  -- Same shape as the API's reservation reads: the row plus its room.
+  RETURN v_result || jsonb_build_object('reservation', to_jsonb(v_reservation) || jsonb_build_object(
+    'rooms', (SELECT jsonb_build_object('id', id, 'room_number', room_number, 'room_type', room_type,
+                                        'capacity', capacity, 'status', status)
+                FROM rooms WHERE id = v_reservation.room_id)));
+END;
+$$;
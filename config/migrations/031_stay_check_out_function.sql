@@ -0,0 +1,92 @@
+-- config/migrations/031_stay_check_out_function.sql
+-- Moving an open stay's check_out (extension or early departure) as a single
+-- Postgres function, called through supabase.rpc (see
+-- models/occupancyFlowModel.js). Same conventions as
+-- 006_occupancy_functions.sql.
+
+-- ---------------------------------------------------------------------------
+-- reschedule_stay_check_out: move the stay's check_out and bring every copy of
+-- it along: the promoted reservations, each open room's check_out and
+-- hours_stay (and its 10-minute warning flag), the open occupancy records and
+-- the expiry of the stay's Wi-Fi devices. An extension must not run into
+-- another reservation on any of the rooms.
+-- Returns { stay_id, old_check_out, rooms } with the updated room rows.
+-- ---------------------------------------------------------------------------
+CREATE OR REPLACE FUNCTION reschedule_stay_check_out(
+  p_stay_id   BIGINT,
+  p_check_out TIMESTAMPTZ
+) RETURNS JSONB
+LANGUAGE plpgsql AS $$
+DECLARE
+  v_stay      stays%ROWTYPE;
+  v_room      rooms%ROWTYPE;
+  v_conflicts JSONB;
+  v_rooms     JSONB := '[]'::jsonb;
+BEGIN
+  SELECT * INTO v_stay FROM stays WHERE id = p_stay_id FOR UPDATE;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION USING ERRCODE = 'P0001', MESSAGE = 'STAY_NOT_FOUND',
+      HINT = format('Stay %s not found.', p_stay_id);
+  END IF;
+  IF v_stay.status NOT IN ('reserved', 'active') THEN
+    RAISE EXCEPTION USING ERRCODE = 'P0001', MESSAGE = 'STAY_CLOSED',
+      HINT = format('Stay %s is %s.', p_stay_id, v_stay.status),
+      DETAIL = jsonb_build_object('status', v_stay.status)::text;
+  END IF;
+  IF p_check_out <= v_stay.check_in THEN
+    RAISE EXCEPTION USING ERRCODE = 'P0001', MESSAGE = 'BAD_REQUEST',
+      HINT = 'check_out must be after check_in';
+  END IF;
+
+  FOR v_room IN
+    SELECT r.* FROM rooms r
+      JOIN stay_rooms sr ON sr.room_id = r.id
+     WHERE sr.stay_id = p_stay_id AND sr.released_at IS NULL
+     ORDER BY r.id
+       FOR UPDATE OF r
+  LOOP
+    IF p_check_out > v_stay.check_out THEN
+      SELECT jsonb_agg(jsonb_build_object(
+               'reservation_id', id, 'check_in', check_in, 'check_out', check_out) ORDER BY check_in)
+        INTO v_conflicts
+        FROM reservations
+       WHERE room_id = v_room.id
+         AND status IN ('booked', 'promoted')
+         AND stay_id IS DISTINCT FROM p_stay_id
+         AND check_in < p_check_out
+         AND check_out > v_stay.check_out;
+      IF v_conflicts IS NOT NULL THEN
+        RAISE EXCEPTION USING ERRCODE = 'P0001', MESSAGE = 'RESERVATION_CONFLICT',
+          HINT = format('Room %s is already booked for part of that period.', v_room.room_number),
+          DETAIL = jsonb_build_object('conflicts', v_conflicts)::text;
+      END IF;
+    END IF;
+
+    UPDATE rooms
+       SET check_out = p_check_out,
+           hours_stay = EXTRACT(EPOCH FROM (p_check_out - COALESCE(check_in, v_stay.check_in))) / 3600,
+           ten_min_warning_sent = false
+     WHERE id = v_room.id
+    RETURNING * INTO v_room;
+
+    UPDATE room_occupancy_history
+       SET hours_stay = v_room.hours_stay
+     WHERE room_id = v_room.id AND check_out IS NULL;
+
+    v_rooms := v_rooms || jsonb_build_array(to_jsonb(v_room));
+  END LOOP;
+
+  UPDATE reservations
+     SET check_out = p_check_out, updated_at = now()
+   WHERE stay_id = p_stay_id AND status = 'promoted';
+
+  UPDATE stays SET check_out = p_check_out, updated_at = now() WHERE id = p_stay_id;
+
+  -- Captive portal devices stay online until the new check-out
+  UPDATE mac_addresses
+     SET expires_at = p_check_out
+   WHERE stay_id = p_stay_id AND status = 'authenticated';
+
+  RETURN jsonb_build_object('stay_id', p_stay_id, 'old_check_out', v_stay.check_out, 'rooms', v_rooms);
+END;
+$$;
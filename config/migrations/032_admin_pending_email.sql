@@ -0,0 +1,6 @@
+-- config/migrations/032_admin_pending_email.sql
+-- A new staff email only replaces the old one once a code sent to it has been
+-- entered (POST /api/admins/verify-email). Until then it waits here; password
+-- reset codes keep going to the verified address.
+
+ALTER TABLE admins ADD COLUMN IF NOT EXISTS pending_email TEXT;
@@ -0,0 +1,154 @@
+// config/roles.js
+
+/**
+ * Roles recognised by the auth layer.
+ *  - Staff roles are stored in admins.role.
+ *  - Guests always carry the 'guest' role in their token.
+ *  - Door gateways (the Pi) and readers authenticate with the shared x-api-key
+ *    or their own x-device-key and get 'gateway'.
+ */
+export const ROLES = {
+  GUEST: 'guest',
+  FRONT_DESK: 'front_desk',
+  HOUSEKEEPING: 'housekeeping',
+  MAINTENANCE: 'maintenance',
+  SECURITY: 'security',
+  MANAGER: 'manager',
+  ADMIN: 'admin',
+  SUPERADMIN: 'superadmin',
+  GATEWAY: 'gateway',
+};
+
+/**
+ * Roles that can be stored on an admins row.
+ */
+export const STAFF_ROLES = [
+  ROLES.FRONT_DESK,
+  ROLES.HOUSEKEEPING,
+  ROLES.MAINTENANCE,
+  ROLES.SECURITY,
+  ROLES.MANAGER,
+  ROLES.ADMIN,
+  ROLES.SUPERADMIN,
+];
+
+const { GUEST, FRONT_DESK, HOUSEKEEPING, MAINTENANCE, SECURITY, MANAGER, ADMIN, GATEWAY } = ROLES;
+
+/**
+ * Permission -> roles allowed to use it.
+ * 'superadmin' is implicitly granted every permission.
+ * Guests mostly reach their own data through the ownership option of authorize().
+ */
+export const PERMISSIONS = {
+  // Guests
+  'guests:read': [FRONT_DESK, MANAGER, ADMIN],
+  'guests:write': [FRONT_DESK, MANAGER, ADMIN],
+
+  // Staff accounts
+  'admins:read': [MANAGER, ADMIN],
+  'admins:manage': [ADMIN],
+
+  // Rooms
+  'rooms:read': [FRONT_DESK, HOUSEKEEPING, MAINTENANCE, SECURITY, MANAGER, ADMIN],
+  'rooms:write': [FRONT_DESK, MANAGER, ADMIN],
+  'rooms:status': [FRONT_DESK, HOUSEKEEPING, MAINTENANCE, MANAGER, ADMIN],
+  'rooms:checkout': [FRONT_DESK, MANAGER, ADMIN],
+  'rooms:delete': [MANAGER, ADMIN],
+
+  // Registration flow & occupancy history
+  'hotel:register': [FRONT_DESK, MANAGER, ADMIN],
+  'occupancy:read': [FRONT_DESK, MANAGER, ADMIN, GATEWAY],
+  'occupancy:write': [FRONT_DESK, MANAGER, ADMIN, GATEWAY],
+
+  // Stays (multi-room bookings with companions)
+  'stays:read': [FRONT_DESK, MANAGER, ADMIN],
+  'stays:write': [FRONT_DESK, MANAGER, ADMIN],
+
+  // Reservations (advance bookings)
+  'reservations:read': [FRONT_DESK, MANAGER, ADMIN],
+  'reservations:write': [FRONT_DESK, MANAGER, ADMIN],
+
+  // RFID
+  'rfid:read': [FRONT_DESK, MANAGER, ADMIN],
+  'rfid:manage': [FRONT_DESK, MANAGER, ADMIN],
+  'rfid:verify': [GATEWAY],
+  'rfid:sync': [GATEWAY, MANAGER, ADMIN],
+
+  // Mobile keys (guests reach their own through ownership)
+  'mobile_keys:read': [FRONT_DESK, MANAGER, ADMIN],
+  'mobile_keys:manage': [FRONT_DESK, MANAGER, ADMIN],
+
+  // Visitor passes (guests issue and revoke their own through ownership)
+  'visitor_passes:read': [FRONT_DESK, SECURITY, MANAGER, ADMIN],
+  'visitor_passes:manage': [FRONT_DESK, MANAGER, ADMIN],
+
+  // Door readers & gateways
+  'devices:read': [MANAGER, ADMIN],
+  'devices:manage': [ADMIN],
+  'devices:heartbeat': [GATEWAY],
+
+  // Common-area access zones & policies
+  'zones:read': [FRONT_DESK, MANAGER, ADMIN],
+  'zones:manage': [MANAGER, ADMIN],
+
+  // Staff cards: shifts, room rules & room assignments
+  'staff_access:read': [FRONT_DESK, MANAGER, ADMIN],
+  'staff_access:manage': [MANAGER, ADMIN],
+
+  // Access logs
+  'access_logs:read': [FRONT_DESK, SECURITY, MANAGER, ADMIN],
+  'access_logs:write': [GATEWAY],
+
+  // Access anomalies (repeated denials, lost cards, ...)
+  'anomalies:read': [FRONT_DESK, SECURITY, MANAGER, ADMIN],
+  'anomalies:manage': [SECURITY, MANAGER, ADMIN],
+
+  // Service requests, feedback, notifications
+  'service_requests:create': [FRONT_DESK, MANAGER, ADMIN],
+  'service_requests:read': [FRONT_DESK, HOUSEKEEPING, MAINTENANCE, MANAGER, ADMIN],
+  'service_requests:update': [FRONT_DESK, HOUSEKEEPING, MAINTENANCE, MANAGER, ADMIN],
+  'request_logs:read': [FRONT_DESK, HOUSEKEEPING, MANAGER, ADMIN],
+  'request_logs:write': [FRONT_DESK, HOUSEKEEPING, MANAGER, ADMIN],
+  'feedback:create': [FRONT_DESK, MANAGER, ADMIN],
+  'feedback:read': [FRONT_DESK, MANAGER, ADMIN],
+  'feedback:reply': [FRONT_DESK, MANAGER, ADMIN],
+  'notifications:create': [FRONT_DESK, HOUSEKEEPING, MANAGER, ADMIN],
+  'notifications:read': [MANAGER, ADMIN],
+  'notifications:update': [GUEST, FRONT_DESK, HOUSEKEEPING, MANAGER, ADMIN],
+
+  // Guest network (MAC addresses & MikroTik)
+  'network:read': [FRONT_DESK, MANAGER, ADMIN, GATEWAY],
+  'network:manage': [FRONT_DESK, MANAGER, ADMIN, GATEWAY],
+  'wifi:portal': [GATEWAY],
+
+  // Login lockouts & audit trail
+  'security:read': [MANAGER, ADMIN],
+  'security:manage': [MANAGER, ADMIN],
+
+  // Hotel settings (tunables, reminder policy)
+  'settings:read': [MANAGER, ADMIN],
+  'settings:manage': [MANAGER, ADMIN],
+
+  // Scheduled jobs (check-outs, warnings, promotions)
+  'jobs:read': [MANAGER, ADMIN],
+  'jobs:manage': [ADMIN],
+};
+
+/**
+ * Returns true when the given role holds the given permission.
+ */
+export const hasPermission = (role, permission) => {
+  if (!role) return false;
+  if (role === ROLES.SUPERADMIN) return true;
+  const allowed = PERMISSIONS[permission];
+  if (!allowed) {
+    console.warn(`[roles] Unknown permission requested: ${permission}`);
+    return false;
+  }
+  return allowed.includes(role);
+};
+
+/**
+ * Returns true when the role belongs to a staff member (admins table).
+ */
+export const isStaffRole = (role) => STAFF_ROLES.includes(role);
@@ -3,41 +3,44 @@
 import {
   saveAccessGranted,
   saveAccessDenied,
+  saveAccessEventBatch,
   getAccessLogs,
-  // getRecentDenialsForRFID,  // Optional helper – not used for alerts in this version
 } from "../models/accessLogModel.js";
+import { resolveReportingDevice } from "../services/deviceService.js";
+import { scheduleAnomalyCheck } from "../services/jobScheduler.js";
+import { AppError } from "../utils/appError.js";
+import { sendSuccess } from "../utils/responseHelper.js";
+
+/**
+ * Queue the anomaly rules (services/anomalyService.js) for stored events.
+ * Logged only: a failure here never fails the upload.
+ */
+const queueAnomalyCheck = async (logIds) => {
+  const { error } = await scheduleAnomalyCheck(logIds);
+  if (error) {
+    console.error("[accessLogsController] Unable to queue anomaly check:", error);
+  }
+};
 
 /**
  * Log Access Granted
  * Logs a successful access event with RFID UID, Guest ID, timestamp, and measured latency.
  */
-export const logAccessGranted = async (req, res) => {
+export const logAccessGranted = async (req, res, next) => {
   try {
     const { rfid_uid, guest_id, latency } = req.body;
     if (!rfid_uid || !guest_id) {
-      return res.status(400).json({
-        success: false,
-        message: "RFID UID and Guest ID are required",
-      });
+      throw new AppError("BAD_REQUEST", "RFID UID and Guest ID are required");
     }
     const timestamp = new Date().toISOString();
     const { data, error } = await saveAccessGranted(rfid_uid, guest_id, timestamp, latency);
     if (error) {
-      console.error("[logAccessGranted] Database error:", error);
-      return res.status(500).json({
-        success: false,
-        message: "Database error: Unable to log access granted",
-        error: error.message,
-      });
+      throw new AppError("DATABASE_ERROR", "Database error: Unable to log access granted", { cause: error });
     }
-    return res.status(201).json({
-      success: true,
-      message: "Access granted saved successfully",
-      data,
-    });
+    await queueAnomalyCheck([data.id]);
+    return sendSuccess(res, "Access granted saved successfully", data, 201);
   } catch (error) {
-    console.error("[logAccessGranted] Unexpected error:", error);
-    return res.status(500).json({ success: false, message: "Internal server error" });
+    return next(error);
   }
 };
 
@@ -45,33 +48,83 @@ export const logAccessGranted = async (req, res) => {
  * Log Access Denied
  * Logs a denied access event with RFID UID, timestamp, and measured latency.
  */
-export const logAccessDenied = async (req, res) => {
+export const logAccessDenied = async (req, res, next) => {
   try {
     const { rfid_uid, latency } = req.body;
     if (!rfid_uid) {
-      return res.status(400).json({
-        success: false,
-        message: "RFID UID is required",
-      });
+      throw new AppError("BAD_REQUEST", "RFID UID is required");
     }
     const timestamp = new Date().toISOString();
     const { data, error } = await saveAccessDenied(rfid_uid, timestamp, latency);
     if (error) {
-      console.error("[logAccessDenied] Database error:", error);
-      return res.status(500).json({
-        success: false,
-        message: "Database error: Unable to log access denied",
-        error: error.message,
+      throw new AppError("DATABASE_ERROR", "Database error: Unable to log access denied", { cause: error });
+    }
+    await queueAnomalyCheck([data.id]);
+    return sendSuccess(res, "Access denied saved successfully", data, 201);
+  } catch (error) {
+    return next(error);
+  }
+};
+
+// Device clocks further ahead than this are not trusted for the event time.
+const MAX_CLOCK_AHEAD_MS = 5 * 60 * 1000;
+
+/**
+ * Log Access Batch
+ * Stores access events a door controller recorded while offline. Each event
+ * keeps its device time and the receive time; `timestamp` is the device time
+ * unless that is implausibly in the future. Events already stored under the
+ * same device_id + idempotency_key are reported as duplicates, so a batch can
+ * be re-sent safely after a lost response.
+ */
+export const logAccessBatch = async (req, res, next) => {
+  try {
+    const { events } = req.body;
+    // A registered device may only upload for itself or the readers behind it.
+    const device_id = req.device
+      ? (await resolveReportingDevice(req.device, req.body.device_id)).code
+      : req.body.device_id;
+    const receivedAt = new Date();
+    const received_at = receivedAt.toISOString();
+
+    const byKey = new Map();
+    for (const event of events) {
+      if (byKey.has(event.idempotency_key)) continue;
+      const deviceTime = new Date(event.device_time);
+      const granted = event.access_status === "granted";
+      byKey.set(event.idempotency_key, {
+        rfid_uid: event.rfid_uid,
+        guest_id: granted ? event.guest_id ?? null : null,
+        access_status: event.access_status,
+        door_unlocked: granted,
+        timestamp: deviceTime - receivedAt > MAX_CLOCK_AHEAD_MS ? received_at : deviceTime.toISOString(),
+        latency: event.latency || 0,
+        device_id,
+        door_id: event.door_id,
+        device_time: deviceTime.toISOString(),
+        received_at,
+        idempotency_key: event.idempotency_key,
       });
     }
-    return res.status(201).json({
-      success: true,
-      message: "Access denied saved successfully",
-      data,
-    });
+
+    const { data, error } = await saveAccessEventBatch([...byKey.values()]);
+    if (error) {
+      throw new AppError("DATABASE_ERROR", "Database error: Unable to store access events", { cause: error });
+    }
+
+    await queueAnomalyCheck(data.map((row) => row.id));
+
+    const inserted = new Set(data.map((row) => row.idempotency_key));
+    const duplicates = [...byKey.keys()].filter((key) => !inserted.has(key));
+    return sendSuccess(res, "Access events stored successfully", {
+      device_id,
+      received: events.length,
+      inserted: inserted.size,
+      duplicates,
+      received_at,
+    }, 201);
   } catch (error) {
-    console.error("[logAccessDenied] Unexpected error:", error);
-    return res.status(500).json({ success: false, message: "Internal server error" });
+    return next(error);
   }
 };
 
@@ -79,33 +132,19 @@ export const logAccessDenied = async (req, res) => {
  * Get Access Logs for a Given Guest ID
  * Retrieves paginated access log entries (including latency data) for the specified guest.
  */
-export const getAccessLogsByGuest = async (req, res) => {
+export const getAccessLogsByGuest = async (req, res, next) => {
   try {
     const { guest_id } = req.params;
     const { limit = 10, offset = 0 } = req.query;
     if (!guest_id) {
-      return res.status(400).json({
-        success: false,
-        message: "Guest ID is required",
-      });
+      throw new AppError("BAD_REQUEST", "Guest ID is required");
     }
     const { data, error } = await getAccessLogs(guest_id, parseInt(limit), parseInt(offset));
     if (error) {
-      console.error("[getAccessLogsByGuest] Database error:", error);
-      return res.status(500).json({
-        success: false,
-        message: "Database error: Unable to fetch access logs",
-        error: error.message,
-      });
+      throw new AppError("DATABASE_ERROR", "Database error: Unable to fetch access logs", { cause: error });
     }
-    return res.status(200).json({
-      success: true,
-      message: "Access logs fetched successfully",
-      data: data || [],
-    });
+    return sendSuccess(res, "Access logs fetched successfully", data || []);
   } catch (error) {
-    console.error("[getAccessLogsByGuest] Unexpected error:", error);
-    return res.status(500).json({ success: false, message: "Internal server error" });
+    return next(error);
   }
 };
-
@@ -0,0 +1,198 @@
+// controllers/accessZoneController.js
+import {
+  createZone,
+  listZones,
+  getZoneById,
+  updateZone,
+  deleteZone,
+  createPolicy,
+  getPolicyById,
+  updatePolicy,
+  deletePolicy,
+} from '../models/accessZoneModel.js';
+import { AppError } from '../utils/appError.js';
+import { sendSuccess } from '../utils/responseHelper.js';
+
+const POLICY_FIELDS = ['name', 'membership_levels', 'add_on', 'weekdays', 'start_time', 'end_time', 'timezone', 'enabled'];
+
+const pick = (body, fields) =>
+  Object.fromEntries(fields.filter((f) => body[f] !== undefined).map((f) => [f, body[f]]));
+
+const loadZone = async (id) => {
+  const { data: zone, error } = await getZoneById(id);
+  if (error) {
+    throw new AppError('DATABASE_ERROR', 'Database error: Unable to fetch access zone.', { cause: error });
+  }
+  if (!zone) {
+    throw new AppError('ZONE_NOT_FOUND', `Access zone ${id} not found.`);
+  }
+  return zone;
+};
+
+const zoneWriteError = (error, code) => {
+  if (error.code === '23505') {
+    return new AppError('ZONE_CODE_TAKEN', `Access zone code '${code}' is already in use.`);
+  }
+  return new AppError('DATABASE_ERROR', 'Database error: Unable to save access zone.', { cause: error });
+};
+
+/**
+ * Both ends of a time window are given together; the database enforces it
+ * too, but this reports it as a client error.
+ */
+const assertWindow = (policy) => {
+  if ((policy.start_time == null) !== (policy.end_time == null)) {
+    throw new AppError('BAD_REQUEST', 'start_time and end_time must be set (or cleared) together.');
+  }
+};
+
+/**
+ * GET /api/access-zones
+ * Every zone with its policies.
+ */
+export const listZonesController = async (req, res, next) => {
+  try {
+    const { data, error } = await listZones();
+    if (error) {
+      throw new AppError('DATABASE_ERROR', 'Database error: Unable to fetch access zones.', { cause: error });
+    }
+    return sendSuccess(res, 'Access zones fetched successfully.', data);
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * GET /api/access-zones/:id
+ */
+export const getZoneController = async (req, res, next) => {
+  try {
+    const zone = await loadZone(req.params.id);
+    return sendSuccess(res, 'Access zone fetched successfully.', zone);
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * POST /api/access-zones
+ */
+export const createZoneController = async (req, res, next) => {
+  try {
+    const { code, name, description = null, staff_only = false } = req.body;
+    const { data, error } = await createZone({ code, name, description, staff_only });
+    if (error) throw zoneWriteError(error, code);
+    return sendSuccess(res, `Access zone ${code} created.`, data, 201);
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * PUT /api/access-zones/:id
+ */
+export const updateZoneController = async (req, res, next) => {
+  try {
+    const fields = pick(req.body, ['code', 'name', 'description', 'staff_only']);
+    if (Object.keys(fields).length === 0) {
+      throw new AppError('BAD_REQUEST', 'Nothing to update.');
+    }
+    const { data, error } = await updateZone(req.params.id, fields);
+    if (error) throw zoneWriteError(error, fields.code);
+    if (!data) {
+      throw new AppError('ZONE_NOT_FOUND', `Access zone ${req.params.id} not found.`);
+    }
+    return sendSuccess(res, `Access zone ${data.code} updated.`, data);
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * DELETE /api/access-zones/:id
+ * Removes the zone and its policies; doors and rooms bound to it are unbound.
+ */
+export const deleteZoneController = async (req, res, next) => {
+  try {
+    const { data, error } = await deleteZone(req.params.id);
+    if (error) {
+      throw new AppError('DATABASE_ERROR', 'Database error: Unable to delete access zone.', { cause: error });
+    }
+    if (!data) {
+      throw new AppError('ZONE_NOT_FOUND', `Access zone ${req.params.id} not found.`);
+    }
+    return sendSuccess(res, `Access zone ${data.code} deleted.`, data);
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * POST /api/access-zones/:id/policies
+ * Grant the zone by membership level and/or booking add-on inside a window.
+ */
+export const createPolicyController = async (req, res, next) => {
+  try {
+    const zone = await loadZone(req.params.id);
+    const fields = pick(req.body, POLICY_FIELDS);
+    assertWindow(fields);
+    const { data, error } = await createPolicy({ ...fields, zone_id: zone.id });
+    if (error) {
+      throw new AppError('DATABASE_ERROR', 'Database error: Unable to create access policy.', { cause: error });
+    }
+    return sendSuccess(res, `Policy added to ${zone.code}.`, data, 201);
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * PUT /api/access-zones/:id/policies/:policyId
+ */
+export const updatePolicyController = async (req, res, next) => {
+  try {
+    const { id, policyId } = req.params;
+    const { data: current, error: fetchError } = await getPolicyById(id, policyId);
+    if (fetchError) {
+      throw new AppError('DATABASE_ERROR', 'Database error: Unable to fetch access policy.', { cause: fetchError });
+    }
+    if (!current) {
+      throw new AppError('ACCESS_POLICY_NOT_FOUND', `Policy ${policyId} not found on zone ${id}.`);
+    }
+    const fields = pick(req.body, POLICY_FIELDS);
+    if (Object.keys(fields).length === 0) {
+      throw new AppError('BAD_REQUEST', 'Nothing to update.');
+    }
+    assertWindow({ ...current, ...fields });
+
+    const { data, error } = await updatePolicy(id, policyId, fields);
+    if (error) {
+      throw new AppError('DATABASE_ERROR', 'Database error: Unable to update access policy.', { cause: error });
+    }
+    if (!data) {
+      throw new AppError('ACCESS_POLICY_NOT_FOUND', `Policy ${policyId} not found on zone ${id}.`);
+    }
+    return sendSuccess(res, 'Access policy updated.', data);
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * DELETE /api/access-zones/:id/policies/:policyId
+ */
+export const deletePolicyController = async (req, res, next) => {
+  try {
+    const { id, policyId } = req.params;
+    const { data, error } = await deletePolicy(id, policyId);
+    if (error) {
+      throw new AppError('DATABASE_ERROR', 'Database error: Unable to delete access policy.', { cause: error });
+    }
+    if (!data) {
+      throw new AppError('ACCESS_POLICY_NOT_FOUND', `Policy ${policyId} not found on zone ${id}.`);
+    }
+    return sendSuccess(res, 'Access policy deleted.', data);
+  } catch (error) {
+    return next(error);
+  }
+};
@@ -3,18 +3,17 @@ import {
   saveActivityLog,
   getActivityLogs,
 } from '../models/activityLogModel.js';
+import { AppError } from '../utils/appError.js';
+import { sendSuccess } from '../utils/responseHelper.js';
 
 /**
  * Create (Log) a Service Request Activity
  */
-export const logServiceRequestActivity = async (req, res) => {
+export const logServiceRequestActivity = async (req, res, next) => {
   try {
     const { request_id, admin_id, guest_id, log_type, log_message } = req.body;
     if (!request_id || !log_type || !log_message) {
-      return res.status(400).json({
-        success: false,
-        message: 'Missing required fields: request_id, log_type, log_message',
-      });
+      throw new AppError('BAD_REQUEST', 'Missing required fields: request_id, log_type, log_message');
     }
     // Generate UTC timestamp
     const timestamp = new Date().toISOString();
@@ -27,32 +26,23 @@ export const logServiceRequestActivity = async (req, res) => {
       timestamp,
     });
     if (error) {
-      return res.status(500).json({
-        success: false,
-        message: 'Database error: Unable to log service request activity',
-        error: error.message,
-      });
+      throw new AppError('DATABASE_ERROR', 'Database error: Unable to log service request activity', { cause: error });
     }
-    return res.status(201).json({
-      success: true,
-      message: 'Service request log saved successfully',
-      data,
-    });
+    return sendSuccess(res, 'Service request log saved successfully', data, 201);
   } catch (error) {
-    console.error('Unexpected Error in logServiceRequestActivity:', error);
-    return res.status(500).json({ success: false, message: 'Internal server error' });
+    return next(error);
   }
 };
 
 /**
  * Fetch Logs for a Specific Service Request
  */
-export const getServiceRequestLogsForRequest = async (req, res) => {
+export const getServiceRequestLogsForRequest = async (req, res, next) => {
   try {
     const { request_id } = req.params;
     const { limit = 10, offset = 0 } = req.query;
     if (!request_id) {
-      return res.status(400).json({ message: 'request_id is required' });
+      throw new AppError('BAD_REQUEST', 'request_id is required');
     }
     const { data, error } = await getActivityLogs(
       parseInt(request_id, 10),
@@ -60,19 +50,10 @@ export const getServiceRequestLogsForRequest = async (req, res) => {
       parseInt(offset, 10)
     );
     if (error) {
-      return res.status(500).json({
-        success: false,
-        message: 'Database error: Unable to fetch service request logs',
-        error: error.message,
-      });
+      throw new AppError('DATABASE_ERROR', 'Database error: Unable to fetch service request logs', { cause: error });
     }
-    return res.status(200).json({
-      success: true,
-      message: 'Service request logs fetched successfully',
-      data: data || [],
-    });
+    return sendSuccess(res, 'Service request logs fetched successfully', data || []);
   } catch (error) {
-    console.error('Unexpected Error in getServiceRequestLogsForRequest:', error);
-    return res.status(500).json({ success: false, message: 'Internal server error' });
+    return next(error);
   }
 };
@@ -1,42 +1,63 @@
 // controllers/adminController.js
 import supabase from '../config/supabase.js';
 import bcrypt from 'bcryptjs';
-import jwt from 'jsonwebtoken';
 import dotenv from 'dotenv';
 import { getAllAdmins } from '../models/adminModel.js';
+import { signStaffAccessToken } from '../services/tokenService.js';
+import {
+  issueCode,
+  checkCode,
+  checkIssueAllowed,
+  checkGuessAllowed,
+  recordWrongCode,
+  recordRightCode,
+  describeCodeFailure,
+} from '../services/verificationService.js';
+import {
+  checkLoginAllowed,
+  recordLoginFailure,
+  recordLoginSuccess,
+  normalizeIdentifier,
+  unlockLogin,
+} from '../services/loginGuardService.js';
+import { getActiveLockouts, getLoginAudit } from '../models/loginAttemptModel.js';
+import { ROLES, STAFF_ROLES, hasPermission } from '../config/roles.js';
+import { AppError } from '../utils/appError.js';
+import { sendSuccess } from '../utils/responseHelper.js';
 
 dotenv.config();
 
 /**
  * Create Admin
  */
-export const createAdmin = async (req, res) => {
+export const createAdmin = async (req, res, next) => {
   try {
     const { username, password, email, role = 'admin' } = req.body;
     if (!username || !password || !email) {
-      return res
-        .status(400)
-        .json({ message: 'All fields are required (username, password, email).' });
+      throw new AppError('BAD_REQUEST', 'All fields are required (username, password, email).');
+    }
+    if (!STAFF_ROLES.includes(role)) {
+      throw new AppError('BAD_REQUEST', 'Invalid role provided.');
+    }
+    if (role === ROLES.SUPERADMIN && req.user?.role !== ROLES.SUPERADMIN) {
+      throw new AppError('FORBIDDEN', 'Only a superadmin can create another superadmin.');
     }
 
     console.log("Checking existing admins...");
-    const { data: existingAdmins, error: findError } = await supabase
+    const { error: findError } = await supabase
       .from('admins')
       .select('id')
       .limit(1);
 
     if (findError) {
-      console.error("Error checking existing admins:", findError);
-      return res
-        .status(500)
-        .json({ message: 'Database error while checking existing admins' });
+      throw new AppError('DATABASE_ERROR', 'Database error while checking existing admins', { cause: findError });
     }
 
     console.log("Hashing password...");
     const hashedPassword = await bcrypt.hash(password, 10);
 
     // Insert the new admin row
-    const { data, error } = await supabase
+    const { error } = await supabase
       .from('admins')
       .insert([
         {
@@ -51,34 +72,40 @@ export const createAdmin = async (req, res) => {
       .single();
 
     if (error) {
-      console.error('Error creating admin:', error);
-      return res
-        .status(500)
-        .json({ message: 'Database error: Unable to create admin' });
+      // 23505 = unique_violation on username/email
+      if (error.code === '23505') {
+        throw new AppError('USERNAME_TAKEN', 'That username or email is already in use.');
+      }
+      throw new AppError('DATABASE_ERROR', 'Database error: Unable to create admin', { cause: error });
     }
 
     console.log("Admin created successfully:", username);
-    return res.status(201).json({ message: 'Admin created successfully' });
+    return sendSuccess(res, 'Admin created successfully', null, 201);
   } catch (error) {
-    console.error('Unexpected Error:', error);
-    return res.status(500).json({ message: 'Internal server error' });
+    return next(error);
   }
 };
 
 /**
  * Login Admin
  */
-export const loginAdmin = async (req, res) => {
+export const loginAdmin = async (req, res, next) => {
   try {
     const { identifier, password } = req.body;
     if (!identifier || !password) {
-      return res
-        .status(400)
-        .json({ message: 'Username/Email and password are required' });
+      throw new AppError('BAD_REQUEST', 'Username/Email and password are required');
     }
 
     console.log("Attempting login with:", identifier);
 
+    const { allowed, retryAfterSeconds } = await checkLoginAllowed('admin', identifier, req);
+    if (!allowed) {
+      res.set('Retry-After', String(retryAfterSeconds));
+      throw new AppError('TOO_MANY_LOGIN_ATTEMPTS', 'Too many failed login attempts. Please try again later.', {
+        details: { retryAfterSeconds },
+      });
+    }
+
     const { data: admin, error } = await supabase
       .from('admins')
       .select('id, username, password, email, role')
@@ -87,7 +114,8 @@ export const loginAdmin = async (req, res) => {
 
     if (error || !admin) {
       console.log("Admin not found:", identifier);
-      return res.status(401).json({ message: 'Invalid credentials' });
+      await recordLoginFailure('admin', identifier, req, { reason: 'unknown_account' });
+      throw new AppError('INVALID_CREDENTIALS', 'Invalid credentials');
     }
 
     console.log("Retrieved Admin Data:", admin);
@@ -96,40 +124,35 @@ export const loginAdmin = async (req, res) => {
     console.log("Password Match Result:", isPasswordValid);
     if (!isPasswordValid) {
       console.log("Incorrect Password");
-      return res.status(401).json({ message: 'Invalid credentials' });
+      await recordLoginFailure('admin', identifier, req, {
+        reason: 'bad_password',
+        subjectId: admin.id,
+      });
+      throw new AppError('INVALID_CREDENTIALS', 'Invalid credentials');
     }
 
+    await recordLoginSuccess('admin', identifier, req, admin.id);
+
     // Remove the password field before sending back
     const { password: _, ...publicAdmin } = admin;
 
-    const token = jwt.sign(
-      { id: admin.id, role: admin.role },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.ACCESS_TOKEN_EXPIRY || '1h' }
-    );
+    const token = signStaffAccessToken(admin);
 
     console.log("Admin login successful:", admin.username);
-    return res.status(200).json({
-      message: 'Admin logged in successfully',
-      token,
-      admin: publicAdmin
-    });
+    return sendSuccess(res, 'Admin logged in successfully', { token, admin: publicAdmin });
   } catch (error) {
-    console.error('Unexpected Login Error:', error);
-    return res.status(500).json({ message: 'Internal server error' });
+    return next(error);
   }
 };
 
 /**
  * Change Admin Password
  */
-export const changeAdminPassword = async (req, res) => {
+export const changeAdminPassword = async (req, res, next) => {
   try {
     const { adminId, currentPassword, newPassword } = req.body;
     if (!adminId || !currentPassword || !newPassword) {
-      return res
-        .status(400)
-        .json({ message: 'All fields are required (adminId, currentPassword, newPassword).' });
+      throw new AppError('BAD_REQUEST', 'All fields are required (adminId, currentPassword, newPassword).');
     }
 
     const { data: admin, error } = await supabase
@@ -139,12 +162,12 @@ export const changeAdminPassword = async (req, res) => {
       .maybeSingle();
 
     if (error || !admin) {
-      return res.status(404).json({ message: 'Admin not found.' });
+      throw new AppError('ADMIN_NOT_FOUND', 'Admin not found.');
     }
 
     const isMatch = await bcrypt.compare(currentPassword, admin.password);
     if (!isMatch) {
-      return res.status(401).json({ message: 'Incorrect current password.' });
+      throw new AppError('INVALID_CREDENTIALS', 'Incorrect current password.');
     }
 
     const hashedPassword = await bcrypt.hash(newPassword, 10);
@@ -155,35 +178,206 @@ export const changeAdminPassword = async (req, res) => {
       .eq('id', adminId);
 
     if (updateError) {
-      return res.status(500).json({ message: 'Error updating password.' });
+      throw new AppError('DATABASE_ERROR', 'Error updating password.', { cause: updateError });
+    }
+
+    return sendSuccess(res, 'Password updated successfully.');
+  } catch (err) {
+    return next(err);
+  }
+};
+
+/**
+ * Forgot Admin Password
+ * Emails a single-use reset code. Always answers with the same message so the
+ * endpoint cannot be used to discover staff accounts.
+ */
+export const forgotAdminPassword = async (req, res, next) => {
+  try {
+    const { identifier } = req.body;
+    if (!identifier) {
+      throw new AppError('BAD_REQUEST', 'Username/Email is required.');
+    }
+
+    // The per-IP limit says nothing about the account, so it may refuse openly
+    const { allowed, retryAfterSeconds, error: limitError } = await checkIssueAllowed({ requestedIp: req.ip });
+    if (limitError) {
+      throw new AppError('DATABASE_ERROR', 'Database error.', { cause: limitError });
+    }
+    if (!allowed) {
+      res.set('Retry-After', String(retryAfterSeconds));
+      throw new AppError('VERIFICATION_RESEND_LIMIT', 'Too many codes requested. Please try again later.', {
+        details: { retryAfterSeconds },
+      });
     }
 
-    return res.status(200).json({ message: 'Password updated successfully.' });
+    const { data: admin, error } = await supabase
+      .from('admins')
+      .select('id, email')
+      .or(`username.eq.${identifier},email.eq.${identifier}`)
+      .maybeSingle();
+    if (error) {
+      console.error('Error looking up admin for password reset:', error);
+    }
+
+    if (admin && admin.email) {
+      // Over the per-admin limit the code is skipped silently, with the same answer
+      const { allowed: adminAllowed } = await checkIssueAllowed({
+        subjectType: 'admin',
+        subjectId: admin.id,
+        purpose: 'password_reset',
+      });
+      if (!adminAllowed) {
+        console.warn(`Reset code limit reached for admin ${admin.id}; no code sent.`);
+      } else {
+        const { success, error: issueError } = await issueCode({
+          subjectType: 'admin',
+          subjectId: admin.id,
+          purpose: 'password_reset',
+          channel: 'email',
+          destination: admin.email,
+          requestedIp: req.ip,
+        });
+        if (!success) {
+          console.error(`Failed to send reset code to admin ${admin.id}:`, issueError);
+        }
+      }
+    }
+
+    return sendSuccess(res, 'If an account matches that identifier, a reset code has been emailed.');
   } catch (err) {
-    console.error('Error changing admin password:', err);
-    return res.status(500).json({ message: 'Internal server error.' });
+    return next(err);
+  }
+};
+
+/**
+ * Reset Admin Password
+ */
+export const resetAdminPassword = async (req, res, next) => {
+  try {
+    const { identifier, code, newPassword } = req.body;
+    if (!identifier || !code || !newPassword) {
+      throw new AppError('BAD_REQUEST', 'All fields are required (identifier, code, newPassword).');
+    }
+
+    const { data: admin, error } = await supabase
+      .from('admins')
+      .select('id')
+      .or(`username.eq.${identifier},email.eq.${identifier}`)
+      .maybeSingle();
+    if (error) {
+      throw new AppError('DATABASE_ERROR', 'Database error.', { cause: error });
+    }
+
+    const subjects = admin ? [{ subjectType: 'admin', subjectId: admin.id }] : [];
+    const { allowed, retryAfterSeconds } = await checkGuessAllowed(subjects, req);
+    if (!allowed) {
+      res.set('Retry-After', String(retryAfterSeconds));
+      throw new AppError('TOO_MANY_VERIFICATION_ATTEMPTS', 'Too many incorrect codes. Please try again later.', {
+        details: { retryAfterSeconds },
+      });
+    }
+    if (!admin) {
+      await recordWrongCode(subjects, req, 'not_found');
+      throw new AppError('VERIFICATION_CODE_INVALID', describeCodeFailure('not_found'), {
+        details: { reason: 'not_found' },
+      });
+    }
+
+    const { valid, reason, error: checkError } = await checkCode({
+      subjectType: 'admin',
+      subjectId: admin.id,
+      purpose: 'password_reset',
+      code,
+    });
+    if (checkError) {
+      throw new AppError('DATABASE_ERROR', 'Database error.', { cause: checkError });
+    }
+    if (!valid) {
+      await recordWrongCode(subjects, req, reason);
+      throw new AppError('VERIFICATION_CODE_INVALID', describeCodeFailure(reason), { details: { reason } });
+    }
+    await recordRightCode(subjects[0], req);
+
+    const hashedPassword = await bcrypt.hash(newPassword, 10);
+    const { error: updateError } = await supabase
+      .from('admins')
+      .update({ password: hashedPassword })
+      .eq('id', admin.id);
+    if (updateError) {
+      throw new AppError('DATABASE_ERROR', 'Error updating password.', { cause: updateError });
+    }
+
+    return sendSuccess(res, 'Password reset successfully.');
+  } catch (err) {
+    return next(err);
   }
 };
 
 /**
  * Update Admin Profile
+ * Superadmin rows can only be edited by a superadmin. A new email is held as
+ * pending_email and a code is sent to it; it replaces the current email once
+ * confirmed through verifyAdminEmail.
  */
-export const updateAdminProfile = async (req, res) => {
+export const updateAdminProfile = async (req, res, next) => {
   try {
-    const { adminId, username, email, role } = req.body;
+    const { adminId, username, email, role, on_duty } = req.body;
     if (!adminId) {
-      return res.status(400).json({ message: 'adminId is required.' });
+      throw new AppError('BAD_REQUEST', 'adminId is required.');
+    }
+
+    if (role && !STAFF_ROLES.includes(role)) {
+      throw new AppError('BAD_REQUEST', 'Invalid role provided.');
+    }
+    // Staff editing their own profile cannot change their own role.
+    if (role && !hasPermission(req.user?.role, 'admins:manage')) {
+      throw new AppError('FORBIDDEN', 'Forbidden: changing roles requires admin access.');
+    }
+    if (role === ROLES.SUPERADMIN && req.user?.role !== ROLES.SUPERADMIN) {
+      throw new AppError('FORBIDDEN', 'Only a superadmin can grant the superadmin role.');
+    }
+
+    const { data: admin, error: findError } = await supabase
+      .from('admins')
+      .select('id, email, role')
+      .eq('id', adminId)
+      .maybeSingle();
+    if (findError) {
+      throw new AppError('DATABASE_ERROR', 'Database error: Unable to fetch admin.', { cause: findError });
+    }
+    if (!admin) {
+      throw new AppError('ADMIN_NOT_FOUND', 'Admin not found.');
+    }
+    if (admin.role === ROLES.SUPERADMIN && req.user?.role !== ROLES.SUPERADMIN) {
+      throw new AppError('FORBIDDEN', 'Only a superadmin can edit a superadmin.');
     }
 
-    const validRoles = ['superadmin', 'admin', 'manager'];
-    if (role && !validRoles.includes(role)) {
-      return res.status(400).json({ message: 'Invalid role provided.' });
+    const emailChanged = Boolean(email) && email !== admin.email;
+    if (emailChanged) {
+      const { allowed, retryAfterSeconds, error: limitError } = await checkIssueAllowed({
+        subjectType: 'admin',
+        subjectId: admin.id,
+        purpose: 'verify_email',
+        requestedIp: req.ip,
+      });
+      if (limitError) {
+        throw new AppError('DATABASE_ERROR', 'Database error.', { cause: limitError });
+      }
+      if (!allowed) {
+        res.set('Retry-After', String(retryAfterSeconds));
+        throw new AppError('VERIFICATION_RESEND_LIMIT', 'Too many codes requested. Please try again later.', {
+          details: { retryAfterSeconds },
+        });
+      }
     }
 
     const updateData = {};
     if (username) updateData.username = username;
-    if (email) updateData.email = email;
+    if (emailChanged) updateData.pending_email = email;
     if (role) updateData.role = role;
+    // Staff on duty receive the staff copies of guest reminders
+    if (on_duty !== undefined) updateData.on_duty = on_duty === true || on_duty === 'true';
 
     const { error } = await supabase
       .from('admins')
@@ -191,30 +385,123 @@ export const updateAdminProfile = async (req, res) => {
       .eq('id', adminId);
 
     if (error) {
-      console.error('Error updating admin profile:', error);
-      return res
-        .status(500)
-        .json({ message: 'Database error: Unable to update admin profile' });
+      throw new AppError('DATABASE_ERROR', 'Database error: Unable to update admin profile', { cause: error });
+    }
+
+    if (emailChanged) {
+      const { success, error: issueError } = await issueCode({
+        subjectType: 'admin',
+        subjectId: admin.id,
+        purpose: 'verify_email',
+        channel: 'email',
+        destination: email,
+        requestedIp: req.ip,
+      });
+      if (!success) {
+        console.error(`Failed to send email verification code to admin ${admin.id}:`, issueError);
+      }
     }
 
     console.log(`Admin (ID: ${adminId}) profile updated successfully.`);
-    return res.status(200).json({ message: 'Admin profile updated successfully.' });
+    return sendSuccess(
+      res,
+      emailChanged
+        ? 'Admin profile updated. The new email takes effect once the code sent to it is verified.'
+        : 'Admin profile updated successfully.',
+      { emailPending: emailChanged }
+    );
   } catch (err) {
-    console.error('Unexpected error updating admin profile:', err);
-    return res.status(500).json({ message: 'Internal server error.' });
+    return next(err);
+  }
+};
+
+/**
+ * Verify Admin Email
+ * Confirms a pending email change with the code sent to the new address.
+ * Body: { adminId, code }
+ */
+export const verifyAdminEmail = async (req, res, next) => {
+  try {
+    const { adminId, code } = req.body;
+    if (!adminId || !code) {
+      throw new AppError('BAD_REQUEST', 'adminId and code are required.');
+    }
+
+    const { data: admin, error } = await supabase
+      .from('admins')
+      .select('id, role, pending_email')
+      .eq('id', adminId)
+      .maybeSingle();
+    if (error) {
+      throw new AppError('DATABASE_ERROR', 'Database error.', { cause: error });
+    }
+    if (!admin) {
+      throw new AppError('ADMIN_NOT_FOUND', 'Admin not found.');
+    }
+    if (admin.role === ROLES.SUPERADMIN && req.user?.role !== ROLES.SUPERADMIN) {
+      throw new AppError('FORBIDDEN', 'Only a superadmin can edit a superadmin.');
+    }
+    if (!admin.pending_email) {
+      throw new AppError('CONFLICT', 'No email change is waiting for verification.');
+    }
+
+    const subject = { subjectType: 'admin', subjectId: admin.id };
+    const { allowed, retryAfterSeconds } = await checkGuessAllowed([subject], req);
+    if (!allowed) {
+      res.set('Retry-After', String(retryAfterSeconds));
+      throw new AppError('TOO_MANY_VERIFICATION_ATTEMPTS', 'Too many incorrect codes. Please try again later.', {
+        details: { retryAfterSeconds },
+      });
+    }
+
+    const { valid, reason, error: checkError } = await checkCode({
+      subjectType: 'admin',
+      subjectId: admin.id,
+      purpose: 'verify_email',
+      code,
+    });
+    if (checkError) {
+      throw new AppError('DATABASE_ERROR', 'Database error.', { cause: checkError });
+    }
+    if (!valid) {
+      await recordWrongCode([subject], req, reason);
+      throw new AppError('VERIFICATION_CODE_INVALID', describeCodeFailure(reason), { details: { reason } });
+    }
+    await recordRightCode(subject, req);
+
+    // Only the address the code was sent to; a newer change needs its own code
+    const { data: updated, error: updateError } = await supabase
+      .from('admins')
+      .update({ email: admin.pending_email, pending_email: null })
+      .eq('id', admin.id)
+      .eq('pending_email', admin.pending_email)
+      .select('id, username, email, role')
+      .maybeSingle();
+    if (updateError) {
+      if (updateError.code === '23505') {
+        throw new AppError('CONFLICT', 'That email is already used by another account.');
+      }
+      throw new AppError('DATABASE_ERROR', 'Error updating email.', { cause: updateError });
+    }
+    if (!updated) {
+      throw new AppError('CONFLICT', 'The pending email changed; verify the latest code.');
+    }
+
+    console.log(`Admin (ID: ${admin.id}) email verified and updated.`);
+    return sendSuccess(res, 'Email verified and updated successfully.', updated);
+  } catch (err) {
+    return next(err);
   }
 };
 
 /**
  * Upload Admin Avatar
  */
-export const uploadAdminAvatar = async (req, res) => {
+export const uploadAdminAvatar = async (req, res, next) => {
   try {
     const { adminId, newAvatarUrl } = req.body;
     if (!adminId || !newAvatarUrl) {
-      return res
-        .status(400)
-        .json({ message: 'adminId and newAvatarUrl are required.' });
+      throw new AppError('BAD_REQUEST', 'adminId and newAvatarUrl are required.');
     }
 
     const { error } = await supabase
@@ -223,31 +510,24 @@ export const uploadAdminAvatar = async (req, res) => {
       .eq('id', adminId);
 
     if (error) {
-      console.error('Error updating admin avatar URL:', error);
-      return res
-        .status(500)
-        .json({ message: 'Database error: Unable to update avatar URL' });
+      throw new AppError('DATABASE_ERROR', 'Database error: Unable to update avatar URL', { cause: error });
     }
 
     console.log(`Admin (ID: ${adminId}) avatar updated to: ${newAvatarUrl}`);
-    return res.status(200).json({
-      message: 'Admin avatar updated successfully.',
-      avatarUrl: newAvatarUrl,
-    });
+    return sendSuccess(res, 'Admin avatar updated successfully.', { avatarUrl: newAvatarUrl });
   } catch (err) {
-    console.error('Error in uploadAdminAvatar:', err);
-    return res.status(500).json({ message: 'Internal server error.' });
+    return next(err);
   }
 };
 
 /**
  * Update Admin FCM Token
  */
-export const updateAdminFcmToken = async (req, res) => {
+export const updateAdminFcmToken = async (req, res, next) => {
   try {
     const { adminId, fcmToken } = req.body;
     if (!adminId || !fcmToken) {
-      return res.status(400).json({ message: 'adminId and fcmToken are required.' });
+      throw new AppError('BAD_REQUEST', 'adminId and fcmToken are required.');
     }
     // Added .select() to return the updated row(s)
     const { data, error } = await supabase
@@ -255,49 +535,108 @@ export const updateAdminFcmToken = async (req, res) => {
       .update({ fcm_token: fcmToken })
       .eq('id', adminId)
       .select();
-    if (error || !data || data.length === 0) {
-      console.error('[Admin] Error updating FCM token:', error);
-      return res.status(500).json({ message: 'Failed to update FCM token.' });
+    if (error) {
+      throw new AppError('DATABASE_ERROR', 'Failed to update FCM token.', { cause: error });
     }
-    return res.status(200).json({ message: 'FCM token updated successfully.' });
+    if (!data || data.length === 0) {
+      throw new AppError('ADMIN_NOT_FOUND', 'Admin not found.');
+    }
+    return sendSuccess(res, 'FCM token updated successfully.');
   } catch (err) {
-    console.error('[Admin] Exception updating FCM token:', err);
-    return res.status(500).json({ message: 'Internal server error.' });
+    return next(err);
   }
 };
 
 /**
  * Sign Out Admin
  */
-export const signOutAdmin = async (req, res) => {
+export const signOutAdmin = async (req, res, next) => {
   try {
     // If you have session or token invalidation logic, do it here
-    return res.status(200).json({ message: 'Admin signed out successfully.' });
+    return sendSuccess(res, 'Admin signed out successfully.');
   } catch (error) {
-    console.error('Error signing out admin:', error);
-    return res.status(500).json({ message: 'Internal server error.' });
+    return next(error);
   }
 };
 
 /**
  * Get All Admins
  */
-export const getAllAdminsController = async (req, res) => {
+export const getAllAdminsController = async (req, res, next) => {
   try {
     const { data, error } = await getAllAdmins();
     if (error) {
-      return res.status(500).json({
-        success: false,
-        message: 'Error fetching admins',
-        error,
-      });
+      throw new AppError('DATABASE_ERROR', 'Error fetching admins', { cause: error });
     }
-    return res.status(200).json({ success: true, admins: data });
+    return sendSuccess(res, 'Admins fetched successfully.', data);
+  } catch (err) {
+    return next(err);
+  }
+};
+
+/**
+ * Unlock a login identifier (guest, admin, a Wi-Fi portal MAC or a contact
+ * verification key) that is currently locked out.
+ */
+export const unlockLoginAccount = async (req, res, next) => {
+  try {
+    const { subject_type, identifier } = req.body;
+    if (!['guest', 'admin', 'wifi', 'verification'].includes(subject_type) || !identifier) {
+      throw new AppError(
+        'BAD_REQUEST',
+        "subject_type ('guest', 'admin', 'wifi' or 'verification') and identifier are required."
+      );
+    }
+
+    const { error } = await unlockLogin(subject_type, identifier);
+    if (error) {
+      throw new AppError('DATABASE_ERROR', 'Error unlocking account.', { cause: error });
+    }
+
+    console.log(`[Admin] ${req.user.id} unlocked ${subject_type} login "${normalizeIdentifier(identifier)}".`);
+    return sendSuccess(res, 'Account unlocked.');
   } catch (err) {
-    console.error('[getAllAdminsController] Unexpected error:', err);
-    return res.status(500).json({
-      success: false,
-      message: 'Server error',
+    return next(err);
+  }
+};
+
+/**
+ * List identifiers that are currently locked out.
+ */
+export const getLockedAccounts = async (req, res, next) => {
+  try {
+    const { data, error } = await getActiveLockouts();
+    if (error) {
+      throw new AppError('DATABASE_ERROR', 'Error fetching lockouts.', { cause: error });
+    }
+    return sendSuccess(res, 'Locked accounts fetched successfully.', data);
+  } catch (err) {
+    return next(err);
+  }
+};
+
+/**
+ * Login audit trail.
+ * Query: subject_type, identifier, success (true|false), limit, offset.
+ */
+export const getLoginAuditController = async (req, res, next) => {
+  try {
+    const { subject_type, identifier, success } = req.query;
+    const limit = Math.min(Number(req.query.limit) || 50, 500);
+    const offset = Number(req.query.offset) || 0;
+
+    const { data, error } = await getLoginAudit({
+      subject_type,
+      identifier: identifier ? normalizeIdentifier(identifier) : undefined,
+      success: success === 'true' ? true : success === 'false' ? false : undefined,
+      limit,
+      offset,
     });
+    if (error) {
+      throw new AppError('DATABASE_ERROR', 'Error fetching login audit.', { cause: error });
+    }
+    return sendSuccess(res, 'Login audit fetched successfully.', data);
+  } catch (err) {
+    return next(err);
   }
 };
@@ -0,0 +1,124 @@
+// controllers/anomalyController.js
+import { listAnomalies, getAnomalyById, resolveAnomaly } from '../models/anomalyModel.js';
+import { reinstateRFID } from '../models/rfidModel.js';
+import { getAnomalyPolicy, saveAnomalyPolicy } from '../services/anomalyService.js';
+import { isStaffRole } from '../config/roles.js';
+import { AppError } from '../utils/appError.js';
+import { sendSuccess } from '../utils/responseHelper.js';
+
+/**
+ * GET /api/access-anomalies/policy
+ * Effective anomaly policy (stored setting merged over the defaults).
+ */
+export const getAnomalyPolicyController = async (req, res, next) => {
+  try {
+    const policy = await getAnomalyPolicy();
+    return sendSuccess(res, 'Anomaly policy fetched successfully.', policy);
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * PUT /api/access-anomalies/policy
+ * Change any part of the policy; applies to events checked from now on.
+ */
+export const updateAnomalyPolicyController = async (req, res, next) => {
+  try {
+    const { data, error } = await saveAnomalyPolicy(req.body);
+    if (error) {
+      throw new AppError('DATABASE_ERROR', 'Database error: Unable to save anomaly policy.', { cause: error });
+    }
+    return sendSuccess(res, 'Anomaly policy updated successfully.', data);
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * GET /api/access-anomalies?status=&rule=&rfid_uid=&credential_type=&limit=&offset=
+ */
+export const listAnomaliesController = async (req, res, next) => {
+  try {
+    const { status, rule, rfid_uid, credential_type } = req.query;
+    const { data, error } = await listAnomalies({
+      status,
+      rule,
+      rfid_uid,
+      credential_type,
+      limit: Number(req.query.limit) || 50,
+      offset: Number(req.query.offset) || 0,
+    });
+    if (error) {
+      throw new AppError('DATABASE_ERROR', 'Database error: Unable to fetch access anomalies.', { cause: error });
+    }
+    return sendSuccess(res, 'Access anomalies fetched successfully.', data);
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * GET /api/access-anomalies/:id
+ */
+export const getAnomalyController = async (req, res, next) => {
+  try {
+    const { data, error } = await getAnomalyById(req.params.id);
+    if (error) {
+      throw new AppError('DATABASE_ERROR', 'Database error: Unable to fetch access anomaly.', { cause: error });
+    }
+    if (!data) {
+      throw new AppError('ANOMALY_NOT_FOUND', `Access anomaly ${req.params.id} not found.`);
+    }
+    return sendSuccess(res, 'Access anomaly fetched successfully.', data);
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * POST /api/access-anomalies/:id/resolve
+ * Close an anomaly. With reinstate=true a card the rule suspended goes back
+ * to its previous status (when it is still suspended).
+ */
+export const resolveAnomalyController = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { note = null, reinstate = false } = req.body;
+
+    const { data: anomaly, error: fetchError } = await getAnomalyById(id);
+    if (fetchError) {
+      throw new AppError('DATABASE_ERROR', 'Database error: Unable to fetch access anomaly.', { cause: fetchError });
+    }
+    if (!anomaly) {
+      throw new AppError('ANOMALY_NOT_FOUND', `Access anomaly ${id} not found.`);
+    }
+    if (anomaly.status !== 'open') {
+      throw new AppError('ANOMALY_RESOLVED', `Access anomaly ${id} is already resolved.`);
+    }
+
+    let card = null;
+    if (reinstate && anomaly.suspended) {
+      const { data, error } = await reinstateRFID(anomaly.rfid_uid, anomaly.previous_status || 'active');
+      if (error) {
+        throw new AppError('DATABASE_ERROR', 'Database error: Unable to reinstate card.', { cause: error });
+      }
+      card = data;
+    }
+
+    const { data, error } = await resolveAnomaly(id, {
+      resolved_by: isStaffRole(req.user?.role) ? req.user.id : null,
+      resolution_note: note,
+    });
+    if (error) {
+      throw new AppError('DATABASE_ERROR', 'Database error: Unable to resolve access anomaly.', { cause: error });
+    }
+    if (!data) {
+      throw new AppError('ANOMALY_RESOLVED', `Access anomaly ${id} is already resolved.`);
+    }
+    const message = card ? `Access anomaly resolved; card ${card.rfid_uid} is ${card.status} again.` : 'Access anomaly resolved.';
+    return sendSuccess(res, message, { ...data, card });
+  } catch (error) {
+    return next(error);
+  }
+};
@@ -1,20 +1,35 @@
 // controllers/authController.js
 import bcrypt from 'bcryptjs';
-import jwt from 'jsonwebtoken';
 import dotenv from 'dotenv';
 import supabase from '../config/supabase.js';
+import { signStaffAccessToken } from '../services/tokenService.js';
+import {
+  checkLoginAllowed,
+  recordLoginFailure,
+  recordLoginSuccess,
+} from '../services/loginGuardService.js';
+import { AppError } from '../utils/appError.js';
+import { sendSuccess } from '../utils/responseHelper.js';
 
 dotenv.config();
 
-export const loginAdmin = async (req, res) => {
+export const loginAdmin = async (req, res, next) => {
   try {
     const { identifier, password } = req.body;
     if (!identifier || !password) {
-      return res.status(400).json({ message: 'Username/Email and password are required.' });
+      throw new AppError('BAD_REQUEST', 'Username/Email and password are required.');
     }
 
     console.log(`[Auth] Attempting login with identifier: ${identifier}`);
 
+    const { allowed, retryAfterSeconds } = await checkLoginAllowed('admin', identifier, req);
+    if (!allowed) {
+      res.set('Retry-After', String(retryAfterSeconds));
+      throw new AppError('TOO_MANY_LOGIN_ATTEMPTS', 'Too many failed login attempts. Please try again later.', {
+        details: { retryAfterSeconds },
+      });
+    }
+
     // Query admin by username or email
     const { data: admin, error } = await supabase
       .from('admins')
@@ -24,7 +39,8 @@ export const loginAdmin = async (req, res) => {
 
     if (error || !admin) {
       console.log(`[Auth] Admin not found for identifier: ${identifier}`);
-      return res.status(401).json({ message: 'Invalid credentials.' });
+      await recordLoginFailure('admin', identifier, req, { reason: 'unknown_account' });
+      throw new AppError('INVALID_CREDENTIALS', 'Invalid credentials.');
     }
 
     console.log(`[Auth] Retrieved admin data for: ${admin.username}`);
@@ -34,21 +50,22 @@ export const loginAdmin = async (req, res) => {
 
     if (!isPasswordValid) {
       console.log(`[Auth] Incorrect password for: ${identifier}`);
-      return res.status(401).json({ message: 'Invalid credentials.' });
+      await recordLoginFailure('admin', identifier, req, {
+        reason: 'bad_password',
+        subjectId: admin.id,
+      });
+      throw new AppError('INVALID_CREDENTIALS', 'Invalid credentials.');
     }
 
+    await recordLoginSuccess('admin', identifier, req, admin.id);
+
     // Generate JWT token. (Token expiry based on UTC)
-    const token = jwt.sign(
-      { id: admin.id, role: admin.role },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.ACCESS_TOKEN_EXPIRY || '1h' }
-    );
+    const token = signStaffAccessToken(admin);
 
     console.log(`[Auth] Admin login successful for: ${admin.username}`);
-    return res.status(200).json({ message: 'Login successful.', token });
+    return sendSuccess(res, 'Login successful.', { token });
   } catch (error) {
-    console.error(`[Auth] Unexpected error during login:`, error);
-    return res.status(500).json({ message: 'Internal server error.' });
+    return next(error);
   }
 };
 
@@ -0,0 +1,283 @@
+// controllers/deviceController.js
+import {
+  createDevice,
+  listDevices,
+  getDeviceById,
+  updateDevice,
+  touchDevice,
+  deleteDevice,
+} from '../models/deviceModel.js';
+import { findRoomByNumber } from '../models/roomsModel.js';
+import { getZoneById } from '../models/accessZoneModel.js';
+import { generateDeviceKey, isDeviceOnline } from '../services/deviceService.js';
+import { getSetting } from '../services/settingsService.js';
+import { AppError } from '../utils/appError.js';
+import { sendSuccess } from '../utils/responseHelper.js';
+
+const toPublicDevice = (device, offlineMinutes) => {
+  const { rooms, access_zones: zone, ...rest } = device;
+  return {
+    ...rest,
+    room_number: rooms?.room_number ?? null,
+    zone_code: zone?.code ?? null,
+    online: isDeviceOnline(device, offlineMinutes),
+  };
+};
+
+const loadDevice = async (id) => {
+  const { data: device, error } = await getDeviceById(id);
+  if (error) {
+    throw new AppError('DATABASE_ERROR', 'Database error: Unable to fetch device.', { cause: error });
+  }
+  if (!device) {
+    throw new AppError('DEVICE_NOT_FOUND', `Device ${id} not found.`);
+  }
+  return device;
+};
+
+/**
+ * Turn room_number / zone_id / gateway_id from the request into column
+ * values. Only door readers guard a door (a room or a zone, not both) or sit
+ * behind a gateway. Fields left out of the request are left out of the result.
+ */
+const resolveBindings = async (kind, body, existing = null) => {
+  const fields = {};
+  const binds = body.room_number != null || body.zone_id != null || body.gateway_id != null;
+  if (kind !== 'door_reader' && binds) {
+    throw new AppError('BAD_REQUEST', 'Only door readers can be bound to a room, a zone or a gateway.');
+  }
+
+  if (body.room_number !== undefined) {
+    if (body.room_number === null) {
+      fields.room_id = null;
+    } else {
+      const { data: room, error } = await findRoomByNumber(body.room_number);
+      if (error) {
+        throw new AppError('DATABASE_ERROR', 'Database error: Unable to look up room.', { cause: error });
+      }
+      if (!room) {
+        throw new AppError('ROOM_NOT_FOUND', `Room ${body.room_number} not found.`);
+      }
+      fields.room_id = room.id;
+    }
+  }
+
+  if (body.zone_id !== undefined) {
+    if (body.zone_id !== null) {
+      const { data: zone, error } = await getZoneById(body.zone_id);
+      if (error) {
+        throw new AppError('DATABASE_ERROR', 'Database error: Unable to look up access zone.', { cause: error });
+      }
+      if (!zone) {
+        throw new AppError('ZONE_NOT_FOUND', `Access zone ${body.zone_id} not found.`);
+      }
+    }
+    fields.zone_id = body.zone_id;
+  }
+
+  const roomId = fields.room_id !== undefined ? fields.room_id : existing?.room_id;
+  const zoneId = fields.zone_id !== undefined ? fields.zone_id : existing?.zone_id;
+  if (roomId != null && zoneId != null) {
+    throw new AppError('BAD_REQUEST', 'A door reader guards either a room or a zone, not both.');
+  }
+
+  if (body.gateway_id !== undefined) {
+    if (body.gateway_id !== null) {
+      if (existing && String(body.gateway_id) === String(existing.id)) {
+        throw new AppError('BAD_REQUEST', 'A device cannot be its own gateway.');
+      }
+      const gateway = await loadDevice(body.gateway_id);
+      if (gateway.kind !== 'gateway') {
+        throw new AppError('BAD_REQUEST', `Device ${gateway.code} is not a gateway.`);
+      }
+    }
+    fields.gateway_id = body.gateway_id;
+  }
+  return fields;
+};
+
+const failOnWrite = (error, code) => {
+  if (error.code === '23505') {
+    throw new AppError('DEVICE_CODE_TAKEN', `Device code '${code}' is already registered.`);
+  }
+  throw new AppError('DATABASE_ERROR', 'Database error: Unable to save device.', { cause: error });
+};
+
+/**
+ * GET /api/devices
+ * Registered readers and gateways, with an `online` flag from the last heartbeat.
+ */
+export const listDevicesController = async (req, res, next) => {
+  try {
+    const { kind, status, room_number } = req.query;
+    let room_id;
+    if (room_number) {
+      const { data: room, error } = await findRoomByNumber(room_number);
+      if (error) {
+        throw new AppError('DATABASE_ERROR', 'Database error: Unable to look up room.', { cause: error });
+      }
+      if (!room) {
+        return sendSuccess(res, 'Devices fetched successfully.', []);
+      }
+      room_id = room.id;
+    }
+    const { data, error } = await listDevices({ kind, status, room_id });
+    if (error) {
+      throw new AppError('DATABASE_ERROR', 'Database error: Unable to fetch devices.', { cause: error });
+    }
+    const offlineMinutes = await getSetting('device_offline_minutes');
+    return sendSuccess(res, 'Devices fetched successfully.', data.map((d) => toPublicDevice(d, offlineMinutes)));
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * GET /api/devices/:id
+ */
+export const getDeviceController = async (req, res, next) => {
+  try {
+    const device = await loadDevice(req.params.id);
+    const offlineMinutes = await getSetting('device_offline_minutes');
+    return sendSuccess(res, 'Device fetched successfully.', toPublicDevice(device, offlineMinutes));
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * POST /api/devices
+ * Register a device. The response carries its API key; it is not shown again.
+ */
+export const createDeviceController = async (req, res, next) => {
+  try {
+    const { code, name, kind, area = null, firmware_version = null } = req.body;
+    const bindings = await resolveBindings(kind, req.body);
+    const { key, api_key_hash, api_key_prefix } = generateDeviceKey();
+
+    const { data, error } = await createDevice({
+      code,
+      name,
+      kind,
+      area,
+      firmware_version,
+      api_key_hash,
+      api_key_prefix,
+      ...bindings,
+    });
+    if (error) failOnWrite(error, code);
+
+    const offlineMinutes = await getSetting('device_offline_minutes');
+    return sendSuccess(res, `Device ${code} registered.`, { ...toPublicDevice(data, offlineMinutes), api_key: key }, 201);
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * PUT /api/devices/:id
+ * Rename, (re)bind, enable or disable a device.
+ */
+export const updateDeviceController = async (req, res, next) => {
+  try {
+    const device = await loadDevice(req.params.id);
+    const { name, status, area, firmware_version } = req.body;
+    const fields = {
+      ...(name !== undefined && { name }),
+      ...(status !== undefined && { status }),
+      ...(area !== undefined && { area }),
+      ...(firmware_version !== undefined && { firmware_version }),
+      ...(await resolveBindings(device.kind, req.body, device)),
+    };
+    if (Object.keys(fields).length === 0) {
+      throw new AppError('BAD_REQUEST', 'Nothing to update.');
+    }
+
+    const { data, error } = await updateDevice(device.id, fields);
+    if (error) failOnWrite(error, device.code);
+    if (!data) {
+      throw new AppError('DEVICE_NOT_FOUND', `Device ${device.id} not found.`);
+    }
+    const offlineMinutes = await getSetting('device_offline_minutes');
+    return sendSuccess(res, `Device ${device.code} updated.`, toPublicDevice(data, offlineMinutes));
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * POST /api/devices/:id/rotate-key
+ * Issue a new API key; the old one stops working immediately.
+ */
+export const rotateDeviceKeyController = async (req, res, next) => {
+  try {
+    const device = await loadDevice(req.params.id);
+    const { key, api_key_hash, api_key_prefix } = generateDeviceKey();
+    const { data, error } = await updateDevice(device.id, { api_key_hash, api_key_prefix });
+    if (error) failOnWrite(error, device.code);
+    if (!data) {
+      throw new AppError('DEVICE_NOT_FOUND', `Device ${device.id} not found.`);
+    }
+    return sendSuccess(res, `New API key issued for ${device.code}.`, {
+      id: data.id,
+      code: data.code,
+      api_key_prefix,
+      api_key: key,
+    });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * DELETE /api/devices/:id
+ */
+export const deleteDeviceController = async (req, res, next) => {
+  try {
+    const { data, error } = await deleteDevice(req.params.id);
+    if (error) {
+      throw new AppError('DATABASE_ERROR', 'Database error: Unable to delete device.', { cause: error });
+    }
+    if (!data) {
+      throw new AppError('DEVICE_NOT_FOUND', `Device ${req.params.id} not found.`);
+    }
+    return sendSuccess(res, `Device ${data.code} deleted.`, data);
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * POST /api/devices/heartbeat
+ * Called by a device with its own key. Returns server_time so controllers
+ * that buffer events offline can keep their clock in step.
+ */
+export const deviceHeartbeatController = async (req, res, next) => {
+  try {
+    if (!req.device) {
+      throw new AppError('BAD_REQUEST', 'Heartbeats require device credentials (x-device-key).');
+    }
+    const { data, error } = await touchDevice(req.device.id, {
+      ip: req.ip,
+      firmware_version: req.body.firmware_version,
+    });
+    if (error) {
+      throw new AppError('DATABASE_ERROR', 'Database error: Unable to record heartbeat.', { cause: error });
+    }
+    if (!data) {
+      throw new AppError('DEVICE_NOT_FOUND', `Device ${req.device.code} not found.`);
+    }
+    return sendSuccess(res, 'Heartbeat recorded.', {
+      id: data.id,
+      code: data.code,
+      room_number: data.rooms?.room_number ?? null,
+      zone_code: data.access_zones?.code ?? null,
+      area: data.area,
+      firmware_version: data.firmware_version,
+      last_seen_at: data.last_seen_at,
+      server_time: new Date().toISOString(),
+    });
+  } catch (error) {
+    return next(error);
+  }
+};
@@ -9,19 +9,18 @@ import { createNotification } from '../models/notificationModel.js';
 
 // For FCM push notifications (if you want to send them directly here)
 import { sendNotification } from '../services/fcmService.js';
+import { AppError } from '../utils/appError.js';
+import { sendSuccess } from '../utils/responseHelper.js';
 
 /**
  * Handle POST /api/feedback/submit
  * Creates new feedback or complaint for a guest.
  */
-export const submitGuestFeedback = async (req, res) => {
+export const submitGuestFeedback = async (req, res, next) => {
   try {
     const { guest_id, guest_name, feedback_type, description } = req.body;
     if (!guest_id || !guest_name || !feedback_type || !description) {
-      return res.status(400).json({
-        message:
-          'All fields are required: guest_id, guest_name, feedback_type, description',
-      });
+      throw new AppError('BAD_REQUEST', 'All fields are required: guest_id, guest_name, feedback_type, description');
     }
 
     // 1) Verify guest exists
@@ -32,14 +31,10 @@ export const submitGuestFeedback = async (req, res) => {
       .maybeSingle();
 
     if (guestError) {
-      console.error('[Feedback] Error checking guest existence:', guestError);
-      return res.status(500).json({
-        message: 'Error checking guest',
-        error: guestError.message
-      });
+      throw new AppError('DATABASE_ERROR', 'Error checking guest', { cause: guestError });
     }
     if (!guest) {
-      return res.status(404).json({ message: 'Guest not found' });
+      throw new AppError('GUEST_NOT_FOUND', 'Guest not found');
     }
 
     // 2) Insert feedback
@@ -54,11 +49,7 @@ export const submitGuestFeedback = async (req, res) => {
     });
 
     if (feedbackError) {
-      console.error('[Feedback] Database Insert Error:', feedbackError);
-      return res.status(500).json({
-        message: 'Database error: Unable to submit feedback',
-        error: feedbackError.message,
-      });
+      throw new AppError('DATABASE_ERROR', 'Database error: Unable to submit feedback', { cause: feedbackError });
     }
 
     // 3) Notify all admins about the new feedback
@@ -109,13 +100,9 @@ export const submitGuestFeedback = async (req, res) => {
       console.error('[Feedback] Unexpected error creating admin notifications:', notifCatchErr);
     }
 
-    return res.status(201).json({
-      message: 'Feedback submitted successfully',
-      data: feedbackData,
-    });
+    return sendSuccess(res, 'Feedback submitted successfully', feedbackData, 201);
   } catch (error) {
-    console.error('[Feedback] Unexpected Error:', error);
-    return res.status(500).json({ message: 'Internal server error' });
+    return next(error);
   }
 };
 
@@ -123,33 +110,25 @@ export const submitGuestFeedback = async (req, res) => {
  * Handle GET /api/feedback/guest/:guest_id
  * Fetches all feedback for a given guest, ordered by created_at DESC.
  */
-export const getGuestFeedback = async (req, res) => {
+export const getGuestFeedback = async (req, res, next) => {
   try {
     const { guest_id } = req.params;
     if (!guest_id) {
-      return res.status(400).json({ message: 'Guest ID is required' });
+      throw new AppError('BAD_REQUEST', 'Guest ID is required');
     }
 
     const { data, error } = await getFeedbackByGuest(guest_id);
     if (error) {
-      console.error('[Feedback] Database Error:', error);
-      return res.status(500).json({
-        message: 'Database error: Unable to fetch feedback',
-        error: error.message
-      });
+      throw new AppError('DATABASE_ERROR', 'Database error: Unable to fetch feedback', { cause: error });
     }
 
     if (!data || data.length === 0) {
-      return res.status(404).json({ message: 'No feedback found for this guest' });
+      throw new AppError('FEEDBACK_NOT_FOUND', 'No feedback found for this guest');
     }
 
-    return res.status(200).json({
-      message: 'Feedback retrieved successfully',
-      data,
-    });
+    return sendSuccess(res, 'Feedback retrieved successfully', data);
   } catch (error) {
-    console.error('[Feedback] Unexpected Error:', error);
-    return res.status(500).json({ message: 'Internal server error' });
+    return next(error);
   }
 };
 
@@ -157,20 +136,16 @@ export const getGuestFeedback = async (req, res) => {
  * Handle PUT /api/feedback/:id/reply
  * Admin updates the feedback with a reply_message and (optional) status.
  */
-export const replyToFeedbackComplaint = async (req, res) => {
+export const replyToFeedbackComplaint = async (req, res, next) => {
   try {
     const { id } = req.params;
     const { admin_reply, status, admin_id, guest_id } = req.body;
 
     if (!id) {
-      return res
-        .status(400)
-        .json({ message: 'Feedback ID is required in the URL.' });
+      throw new AppError('BAD_REQUEST', 'Feedback ID is required in the URL.');
     }
     if (!admin_reply || !admin_id || !guest_id) {
-      return res.status(400).json({
-        message: 'admin_reply, admin_id, and guest_id are required fields.'
-      });
+      throw new AppError('BAD_REQUEST', 'admin_reply, admin_id, and guest_id are required fields.');
     }
 
     // 1) Update the feedback record
@@ -183,16 +158,10 @@ export const replyToFeedbackComplaint = async (req, res) => {
     });
 
     if (updateError) {
-      console.error('[Feedback] Error updating feedback reply:', updateError);
-      return res.status(500).json({
-        message: 'Database error: Unable to update feedback reply',
-        error: updateError.message,
-      });
+      throw new AppError('DATABASE_ERROR', 'Database error: Unable to update feedback reply', { cause: updateError });
     }
     if (!updatedFeedback) {
-      return res
-        .status(404)
-        .json({ message: 'Feedback not found or update failed.' });
+      throw new AppError('FEEDBACK_NOT_FOUND', 'Feedback not found or update failed.');
     }
 
     // 2) Create a notification for the guest
@@ -238,12 +207,8 @@ export const replyToFeedbackComplaint = async (req, res) => {
       console.error('[Feedback] Unexpected error creating guest notification:', notifCatchErr);
     }
 
-    return res.status(200).json({
-      message: 'Feedback reply updated successfully',
-      data: updatedFeedback,
-    });
+    return sendSuccess(res, 'Feedback reply updated successfully', updatedFeedback);
   } catch (error) {
-    console.error('[Feedback] Unexpected Error:', error);
-    return res.status(500).json({ message: 'Internal server error' });
+    return next(error);
   }
 };
\ No newline at end of file
@@ -10,6 +10,36 @@ import {
   searchUsersByQuery,
   getAllUsers,
 } from '../models/userModel.js';
+import {
+  createRefreshToken,
+  findRefreshTokenByHash,
+  markRefreshTokenRotated,
+  setRefreshTokenReplacement,
+  revokeRefreshTokenFamily,
+  revokeAllRefreshTokensForGuest,
+} from '../models/refreshTokenModel.js';
+import {
+  signGuestAccessToken,
+  generateRefreshToken,
+  hashToken,
+  newTokenFamily,
+} from '../services/tokenService.js';
+import {
+  issueCode,
+  checkCode,
+  checkIssueAllowed,
+  checkGuessAllowed,
+  recordWrongCode,
+  recordRightCode,
+  describeCodeFailure,
+} from '../services/verificationService.js';
+import {
+  checkLoginAllowed,
+  recordLoginFailure,
+  recordLoginSuccess,
+} from '../services/loginGuardService.js';
+import { AppError } from '../utils/appError.js';
+import { sendSuccess } from '../utils/responseHelper.js';
 
 /**
  * Helper function to fix ID format.
@@ -25,40 +55,103 @@ function fixId(obj) {
   }
 }
 
+/**
+ * Helper to drop the password hash before a guest row leaves the server.
+ */
+function toPublicGuest(guest) {
+  if (!guest) return guest;
+  const { password, ...publicGuest } = guest;
+  return publicGuest;
+}
+
+/**
+ * Helper: issue a short-lived access token plus a refresh token stored
+ * server-side. Pass an existing familyId when rotating.
+ */
+async function issueGuestSession(guestId, req, familyId = newTokenFamily()) {
+  const { token, tokenHash, expiresAt } = generateRefreshToken();
+  const { data: record, error } = await createRefreshToken({
+    guest_id: guestId,
+    family_id: familyId,
+    token_hash: tokenHash,
+    expires_at: expiresAt,
+    user_agent: req.get('user-agent') || null,
+    ip: req.ip || null,
+  });
+  if (error || !record) {
+    return { session: null, record: null, error: error || new Error('Unable to store refresh token') };
+  }
+  return {
+    session: {
+      token: signGuestAccessToken(guestId),
+      refreshToken: token,
+      refreshTokenExpiresAt: expiresAt,
+    },
+    record,
+    error: null,
+  };
+}
+
+/**
+ * Helper: send email and phone verification codes to a guest.
+ * Delivery failures are logged but never fail the calling request.
+ */
+async function sendGuestVerificationCodes(guest, channels = ['email', 'phone'], requestedIp = null) {
+  for (const channel of channels) {
+    const isEmail = channel === 'email';
+    const { success, error } = await issueCode({
+      subjectType: 'guest',
+      subjectId: guest.id,
+      purpose: isEmail ? 'verify_email' : 'verify_phone',
+      channel: isEmail ? 'email' : 'sms',
+      destination: isEmail ? guest.email : guest.phone,
+      requestedIp,
+    });
+    if (!success) {
+      console.error(`[Guest] Failed to send ${channel} verification code to guest ${guest.id}:`, error);
+    }
+  }
+}
+
+/**
+ * Helper: find the guest account(s) matching an email or phone identifier.
+ * Phone numbers are not unique, so this always returns an array.
+ */
+async function findGuestsByIdentifier(identifier) {
+  if (identifier.includes('@')) {
+    const { data, error } = await findUserByEmail(identifier);
+    return { data: data ? [data] : [], error };
+  }
+  const { data, error } = await findUserByPhone(identifier);
+  return { data: data || [], error };
+}
+
 /**
  * Register a new guest.
  */
-export const registerGuest = async (req, res) => {
+export const registerGuest = async (req, res, next) => {
   try {
-    const { name, email, phone, password, membershipLevel, byte_size } = req.body;
+    const { name, email, phone, password, byte_size } = req.body;
     if (!name || !email || !phone || !password) {
-      return res.status(400).json({
-        message: 'Name, email, phone, and password are required.',
-      });
+      throw new AppError('BAD_REQUEST', 'Name, email, phone, and password are required.');
     }
 
     // Check if email already exists
     const { data: existingEmail, error: emailCheckErr } = await findUserByEmail(email);
     if (emailCheckErr) {
-      console.error('[Guest] Error checking existing email:', emailCheckErr);
-      return res.status(500).json({ message: 'Database error while checking email.' });
+      throw new AppError('DATABASE_ERROR', 'Database error while checking email.', { cause: emailCheckErr });
     }
     if (existingEmail) {
-      return res.status(409).json({
-        message: 'That email is already registered. Please use a different email.',
-      });
+      throw new AppError('EMAIL_TAKEN', 'That email is already registered. Please use a different email.');
     }
 
     // Check if phone already exists
     const { data: existingPhone, error: phoneCheckErr } = await findUserByPhone(phone);
     if (phoneCheckErr) {
-      console.error('[Guest] Error checking existing phone:', phoneCheckErr);
-      return res.status(500).json({ message: 'Database error while checking phone.' });
+      throw new AppError('DATABASE_ERROR', 'Database error while checking phone.', { cause: phoneCheckErr });
     }
     if (existingPhone && existingPhone.length > 0) {
-      return res.status(409).json({
-        message: 'That phone number is already registered. Please use a different phone.',
-      });
+      throw new AppError('CONFLICT', 'That phone number is already registered. Please use a different phone.');
     }
 
     const hashedPassword = await bcrypt.hash(password, 10);
@@ -81,7 +174,7 @@ export const registerGuest = async (req, res) => {
       email,
       phone,
       password: hashedPassword,
-      membership_level: membershipLevel || 'Regular',
+      membership_level: 'Regular',
       membership_start: new Date().toISOString(),
       membership_renewals: 0,
       avatar_url: null,
@@ -93,36 +186,42 @@ export const registerGuest = async (req, res) => {
     const { data, error } = await createUser(newUser);
     if (error) {
       const errorMsg = error.message || '';
-      console.error('[Guest] Database Insert Error:', errorMsg);
       if (errorMsg.includes('duplicate key value')) {
-        return res.status(409).json({
-          message: 'Email or phone is already in use. Please use different credentials.',
-        });
+        throw new AppError('CONFLICT', 'Email or phone is already in use. Please use different credentials.');
       }
-      return res.status(500).json({ message: 'Database error: Unable to register guest.' });
+      throw new AppError('DATABASE_ERROR', 'Database error: Unable to register guest.', { cause: error });
     }
 
     fixId(data);
 
-    return res.status(201).json({
-      message: 'Guest registered successfully.',
-      data,
-    });
+    await sendGuestVerificationCodes(data, ['email', 'phone'], req.ip);
+
+    return sendSuccess(
+      res,
+      'Guest registered successfully. Verification codes were sent to your email and phone.',
+      toPublicGuest(data),
+      201
+    );
   } catch (error) {
-    console.error('[Guest] Unexpected Error (registerGuest):', error);
-    return res.status(500).json({ message: 'Internal server error.' });
+    return next(error);
   }
 };
 
 /**
  * Guest Login (by email or phone).
  */
-export const loginGuest = async (req, res) => {
+export const loginGuest = async (req, res, next) => {
   try {
     const { identifier, password } = req.body;
     if (!identifier || !password) {
-      return res.status(400).json({
-        message: 'Identifier (email or phone) and password are required.',
+      throw new AppError('BAD_REQUEST', 'Identifier (email or phone) and password are required.');
+    }
+
+    const { allowed, retryAfterSeconds } = await checkLoginAllowed('guest', identifier, req);
+    if (!allowed) {
+      res.set('Retry-After', String(retryAfterSeconds));
+      throw new AppError('TOO_MANY_LOGIN_ATTEMPTS', 'Too many failed login attempts. Please try again later.', {
+        details: { retryAfterSeconds },
       });
     }
 
@@ -131,25 +230,29 @@ export const loginGuest = async (req, res) => {
     if (identifier.includes('@')) {
       const { data, error } = await findUserByEmail(identifier);
       if (error) {
-        console.error('[Guest] Error finding user by email:', error);
-        return res.status(500).json({ message: 'Database error.' });
+        throw new AppError('DATABASE_ERROR', 'Database error.', { cause: error });
       }
       if (!data) {
-        return res.status(404).json({ message: 'Guest not found.' });
+        await recordLoginFailure('guest', identifier, req, { reason: 'unknown_account' });
+        throw new AppError('GUEST_NOT_FOUND', 'Guest not found.');
       }
       const isPasswordValid = await bcrypt.compare(password, data.password);
       if (!isPasswordValid) {
-        return res.status(401).json({ message: 'Invalid credentials.' });
+        await recordLoginFailure('guest', identifier, req, {
+          reason: 'bad_password',
+          subjectId: data.id,
+        });
+        throw new AppError('INVALID_CREDENTIALS', 'Invalid credentials.');
       }
       guest = data;
     } else {
       const { data, error } = await findUserByPhone(identifier);
       if (error) {
-        console.error('[Guest] Error finding user by phone:', error);
-        return res.status(500).json({ message: 'Database error.' });
+        throw new AppError('DATABASE_ERROR', 'Database error.', { cause: error });
       }
       if (!data || data.length === 0) {
-        return res.status(404).json({ message: 'Guest not found.' });
+        await recordLoginFailure('guest', identifier, req, { reason: 'unknown_account' });
+        throw new AppError('GUEST_NOT_FOUND', 'Guest not found.');
       }
       let matchedGuest = null;
       for (const candidate of data) {
@@ -160,255 +263,561 @@ export const loginGuest = async (req, res) => {
         }
       }
       if (!matchedGuest) {
-        return res.status(401).json({ message: 'Invalid credentials.' });
+        await recordLoginFailure('guest', identifier, req, { reason: 'bad_password' });
+        throw new AppError('INVALID_CREDENTIALS', 'Invalid credentials.');
       }
       guest = matchedGuest;
     }
 
     fixId(guest);
+    await recordLoginSuccess('guest', identifier, req, guest.id);
+
+    const { session, error: sessionError } = await issueGuestSession(guest.id, req);
+    if (sessionError) {
+      throw new AppError('DATABASE_ERROR', 'Unable to start session.', { cause: sessionError });
+    }
+
+    return sendSuccess(res, 'Guest logged in successfully.', {
+      ...session,
+      guest: toPublicGuest(guest),
+    });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * Refresh a guest session.
+ * Rotates the refresh token: the presented token is retired and a new one in
+ * the same family is returned. Presenting a token that was already retired is
+ * treated as theft and revokes the whole family.
+ */
+export const refreshGuestSession = async (req, res, next) => {
+  try {
+    const { refreshToken } = req.body;
+    if (!refreshToken) {
+      throw new AppError('BAD_REQUEST', 'refreshToken is required.');
+    }
+
+    const { data: stored, error } = await findRefreshTokenByHash(hashToken(refreshToken));
+    if (error) {
+      throw new AppError('DATABASE_ERROR', 'Database error.', { cause: error });
+    }
+    if (!stored) {
+      throw new AppError('REFRESH_TOKEN_INVALID', 'Invalid refresh token.');
+    }
+
+    if (stored.revoked_at) {
+      console.warn(`[Guest] Refresh token reuse detected for guest ${stored.guest_id}; revoking family.`);
+      await revokeRefreshTokenFamily(stored.family_id, 'reuse_detected');
+      throw new AppError('REFRESH_TOKEN_REUSED', 'Refresh token has been revoked. Please log in again.');
+    }
+    if (new Date(stored.expires_at) <= new Date()) {
+      await revokeRefreshTokenFamily(stored.family_id, 'expired');
+      throw new AppError('REFRESH_TOKEN_INVALID', 'Refresh token has expired. Please log in again.');
+    }
+
+    const { data: rotated, error: rotateError } = await markRefreshTokenRotated(stored.id);
+    if (rotateError) {
+      throw new AppError('DATABASE_ERROR', 'Database error.', { cause: rotateError });
+    }
+    if (!rotated) {
+      // Another request rotated this token first.
+      await revokeRefreshTokenFamily(stored.family_id, 'reuse_detected');
+      throw new AppError('REFRESH_TOKEN_REUSED', 'Refresh token has been revoked. Please log in again.');
+    }
+
+    const { session, record, error: sessionError } = await issueGuestSession(
+      stored.guest_id,
+      req,
+      stored.family_id
+    );
+    if (sessionError) {
+      throw new AppError('DATABASE_ERROR', 'Unable to refresh session.', { cause: sessionError });
+    }
+    await setRefreshTokenReplacement(stored.id, record.id);
+
+    return sendSuccess(res, 'Session refreshed successfully.', session);
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * Verify a guest's email or phone with the code sent at registration.
+ * Body: { guestId, channel: 'email' | 'phone', code }
+ */
+export const verifyGuestContact = async (req, res, next) => {
+  try {
+    const { guestId, channel, code } = req.body;
+    if (!guestId || !channel || !code) {
+      throw new AppError('BAD_REQUEST', 'guestId, channel, and code are required.');
+    }
+    if (!['email', 'phone'].includes(channel)) {
+      throw new AppError('BAD_REQUEST', "channel must be 'email' or 'phone'.");
+    }
+
+    const subject = { subjectType: 'guest', subjectId: guestId };
+    const { allowed, retryAfterSeconds } = await checkGuessAllowed([subject], req);
+    if (!allowed) {
+      res.set('Retry-After', String(retryAfterSeconds));
+      throw new AppError('TOO_MANY_VERIFICATION_ATTEMPTS', 'Too many incorrect codes. Please try again later.', {
+        details: { retryAfterSeconds },
+      });
+    }
+
+    const { valid, reason, error } = await checkCode({
+      subjectType: 'guest',
+      subjectId: guestId,
+      purpose: channel === 'email' ? 'verify_email' : 'verify_phone',
+      code,
+    });
+    if (error) {
+      throw new AppError('DATABASE_ERROR', 'Database error.', { cause: error });
+    }
+    if (!valid) {
+      await recordWrongCode([subject], req, reason);
+      throw new AppError('VERIFICATION_CODE_INVALID', describeCodeFailure(reason), { details: { reason } });
+    }
+    await recordRightCode(subject, req);
+
+    const column = channel === 'email' ? 'email_verified_at' : 'phone_verified_at';
+    const { data: updated, error: updateError } = await updateUser(guestId, {
+      [column]: new Date().toISOString(),
+    });
+    if (updateError || !updated) {
+      throw new AppError('DATABASE_ERROR', 'Database error: Unable to mark contact as verified.', {
+        cause: updateError,
+      });
+    }
+
+    fixId(updated);
+    return sendSuccess(res, `Guest ${channel} verified successfully.`, toPublicGuest(updated));
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * Re-send an email or phone verification code.
+ * Body: { guestId, channel: 'email' | 'phone' }
+ */
+export const resendGuestVerification = async (req, res, next) => {
+  try {
+    const { guestId, channel } = req.body;
+    if (!guestId || !['email', 'phone'].includes(channel)) {
+      throw new AppError('BAD_REQUEST', "guestId and channel ('email' or 'phone') are required.");
+    }
+
+    const { data: guest, error } = await findUserById(guestId);
+    if (error) {
+      throw new AppError('DATABASE_ERROR', 'Database error.', { cause: error });
+    }
+    if (!guest) {
+      throw new AppError('GUEST_NOT_FOUND', 'Guest not found.');
+    }
+    const alreadyVerified = channel === 'email' ? guest.email_verified_at : guest.phone_verified_at;
+    if (alreadyVerified) {
+      throw new AppError('CONFLICT', `Guest ${channel} is already verified.`);
+    }
 
-    return res.status(200).json({
-      message: 'Guest logged in successfully.',
-      guest,
+    const { allowed, retryAfterSeconds, error: limitError } = await checkIssueAllowed({
+      subjectType: 'guest',
+      subjectId: guest.id,
+      purpose: channel === 'email' ? 'verify_email' : 'verify_phone',
+      requestedIp: req.ip,
     });
+    if (limitError) {
+      throw new AppError('DATABASE_ERROR', 'Database error.', { cause: limitError });
+    }
+    if (!allowed) {
+      res.set('Retry-After', String(retryAfterSeconds));
+      throw new AppError('VERIFICATION_RESEND_LIMIT', 'Too many codes requested. Please try again later.', {
+        details: { retryAfterSeconds },
+      });
+    }
+
+    await sendGuestVerificationCodes(guest, [channel], req.ip);
+    return sendSuccess(res, `Verification code sent to guest ${channel}.`);
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * Start a password reset.
+ * Body: { identifier } (email or phone). Always answers with the same message
+ * so the endpoint cannot be used to discover registered accounts.
+ */
+export const forgotGuestPassword = async (req, res, next) => {
+  try {
+    const { identifier } = req.body;
+    if (!identifier) {
+      throw new AppError('BAD_REQUEST', 'Identifier (email or phone) is required.');
+    }
+
+    // The per-IP limit says nothing about the account, so it may refuse openly
+    const { allowed, retryAfterSeconds, error: limitError } = await checkIssueAllowed({ requestedIp: req.ip });
+    if (limitError) {
+      throw new AppError('DATABASE_ERROR', 'Database error.', { cause: limitError });
+    }
+    if (!allowed) {
+      res.set('Retry-After', String(retryAfterSeconds));
+      throw new AppError('VERIFICATION_RESEND_LIMIT', 'Too many codes requested. Please try again later.', {
+        details: { retryAfterSeconds },
+      });
+    }
+
+    const { data: guests, error } = await findGuestsByIdentifier(identifier);
+    if (error) {
+      console.error('[Guest] Error looking up guest for password reset:', error);
+    }
+    const viaEmail = identifier.includes('@');
+    for (const guest of guests) {
+      // Over the per-guest limit the code is skipped silently, with the same answer
+      const { allowed: guestAllowed } = await checkIssueAllowed({
+        subjectType: 'guest',
+        subjectId: guest.id,
+        purpose: 'password_reset',
+      });
+      if (!guestAllowed) {
+        console.warn(`[Guest] Reset code limit reached for guest ${guest.id}; no code sent.`);
+        continue;
+      }
+      const { success, error: issueError } = await issueCode({
+        subjectType: 'guest',
+        subjectId: guest.id,
+        purpose: 'password_reset',
+        channel: viaEmail ? 'email' : 'sms',
+        destination: viaEmail ? guest.email : guest.phone,
+        requestedIp: req.ip,
+      });
+      if (!success) {
+        console.error(`[Guest] Failed to send reset code to guest ${guest.id}:`, issueError);
+      }
+    }
+
+    return sendSuccess(res, 'If an account matches that identifier, a reset code has been sent.');
   } catch (error) {
-    console.error('[Guest] Unexpected login error:', error);
-    return res.status(500).json({ message: 'Internal server error.' });
+    return next(error);
+  }
+};
+
+/**
+ * Complete a password reset.
+ * Body: { identifier, code, newPassword }. Signs the guest out everywhere.
+ */
+export const resetGuestPassword = async (req, res, next) => {
+  try {
+    const { identifier, code, newPassword } = req.body;
+    if (!identifier || !code || !newPassword) {
+      throw new AppError('BAD_REQUEST', 'identifier, code, and newPassword are required.');
+    }
+
+    const { data: guests, error } = await findGuestsByIdentifier(identifier);
+    if (error) {
+      throw new AppError('DATABASE_ERROR', 'Database error.', { cause: error });
+    }
+
+    const subjects = guests.map((guest) => ({ subjectType: 'guest', subjectId: guest.id }));
+    const { allowed, retryAfterSeconds } = await checkGuessAllowed(subjects, req);
+    if (!allowed) {
+      res.set('Retry-After', String(retryAfterSeconds));
+      throw new AppError('TOO_MANY_VERIFICATION_ATTEMPTS', 'Too many incorrect codes. Please try again later.', {
+        details: { retryAfterSeconds },
+      });
+    }
+
+    // Phone numbers may be shared: the code identifies which account it was issued for.
+    let matchedGuest = null;
+    let lastReason = 'not_found';
+    for (const candidate of guests) {
+      const { valid, reason, error: checkError } = await checkCode({
+        subjectType: 'guest',
+        subjectId: candidate.id,
+        purpose: 'password_reset',
+        code,
+      });
+      if (checkError) {
+        throw new AppError('DATABASE_ERROR', 'Database error.', { cause: checkError });
+      }
+      if (valid) {
+        matchedGuest = candidate;
+        break;
+      }
+      if (reason !== 'not_found') lastReason = reason;
+    }
+    if (!matchedGuest) {
+      await recordWrongCode(subjects, req, lastReason);
+      throw new AppError('VERIFICATION_CODE_INVALID', describeCodeFailure(lastReason), {
+        details: { reason: lastReason },
+      });
+    }
+    await recordRightCode({ subjectType: 'guest', subjectId: matchedGuest.id }, req);
+
+    const hashedPassword = await bcrypt.hash(newPassword, 10);
+    const { data: updated, error: updateError } = await updateUser(matchedGuest.id, {
+      password: hashedPassword,
+    });
+    if (updateError || !updated) {
+      throw new AppError('DATABASE_ERROR', 'Database error: Unable to update password.', { cause: updateError });
+    }
+    await revokeAllRefreshTokensForGuest(matchedGuest.id, 'password_reset');
+
+    return sendSuccess(res, 'Password reset successfully. Please log in again.');
+  } catch (error) {
+    return next(error);
   }
 };
 
 /**
  * Fetch a single Guest Profile by ID.
  */
-export const fetchGuestProfileById = async (req, res) => {
+export const fetchGuestProfileById = async (req, res, next) => {
   try {
     const { guestId } = req.params;
     if (!guestId) {
-      return res.status(400).json({
-        success: false,
-        statusCode: 400,
-        message: 'Guest ID is required.',
-      });
+      throw new AppError('BAD_REQUEST', 'Guest ID is required.');
     }
 
     const { data: guest, error } = await findUserById(guestId);
     if (error) {
-      return res.status(500).json({
-        success: false,
-        statusCode: 500,
-        message: 'Error fetching guest.',
-        error: error.message || error,
-      });
+      throw new AppError('DATABASE_ERROR', 'Error fetching guest.', { cause: error });
     }
     if (!guest) {
-      return res.status(404).json({
-        success: false,
-        statusCode: 404,
-        message: 'Guest not found.',
-      });
+      throw new AppError('GUEST_NOT_FOUND', 'Guest not found.');
     }
 
     fixId(guest);
 
-    return res.status(200).json({
-      success: true,
-      statusCode: 200,
-      data: guest,
-    });
+    return sendSuccess(res, 'Guest fetched successfully.', toPublicGuest(guest));
   } catch (error) {
-    console.error('[Guest] Error fetching guest profile:', error);
-    return res.status(500).json({
-      success: false,
-      statusCode: 500,
-      message: 'Internal server error.',
-    });
+    return next(error);
   }
 };
 
 /**
  * Change Guest Password.
  */
-export const changeGuestPassword = async (req, res) => {
+export const changeGuestPassword = async (req, res, next) => {
   try {
     const { guestId, currentPassword, newPassword } = req.body;
     if (!guestId || !currentPassword || !newPassword) {
-      return res.status(400).json({
-        message: 'guestId, currentPassword, and newPassword are required.',
-      });
+      throw new AppError('BAD_REQUEST', 'guestId, currentPassword, and newPassword are required.');
     }
     const { data: guest, error: findError } = await findUserById(guestId);
     if (findError || !guest) {
-      return res.status(404).json({ message: 'Guest not found.' });
+      throw new AppError('GUEST_NOT_FOUND', 'Guest not found.');
     }
     const isPasswordValid = await bcrypt.compare(currentPassword, guest.password);
     if (!isPasswordValid) {
-      return res.status(401).json({ message: 'Invalid current password.' });
+      throw new AppError('INVALID_CREDENTIALS', 'Invalid current password.');
     }
     const hashedNewPassword = await bcrypt.hash(newPassword, 10);
     const { data: updated, error: updateError } = await updateUser(guestId, {
       password: hashedNewPassword,
     });
     if (updateError || !updated) {
-      return res
-        .status(500)
-        .json({ message: 'Database error: Unable to update password.' });
+      throw new AppError('DATABASE_ERROR', 'Database error: Unable to update password.', { cause: updateError });
     }
-    return res.status(200).json({ message: 'Guest password changed successfully.' });
+    return sendSuccess(res, 'Guest password changed successfully.');
   } catch (error) {
-    console.error('[Guest] Error changing guest password:', error);
-    return res.status(500).json({ message: 'Internal server error.' });
+    return next(error);
   }
 };
 
 /**
  * Update Guest Profile.
+ * A changed email or phone is unverified again and gets a new code.
  */
-export const updateGuestProfile = async (req, res) => {
+export const updateGuestProfile = async (req, res, next) => {
   try {
-    const { guestId, name, email, phone, membershipLevel, avatarUrl } = req.body;
+    const { guestId, name, email, phone, avatarUrl } = req.body;
     if (!guestId) {
-      return res.status(400).json({ message: 'guestId is required.' });
+      throw new AppError('BAD_REQUEST', 'guestId is required.');
     }
     const updateFields = {};
     if (name) updateFields.name = name;
     if (email) updateFields.email = email;
     if (phone) updateFields.phone = phone;
-    if (membershipLevel) updateFields.membership_level = membershipLevel;
     if (avatarUrl) updateFields.avatar_url = avatarUrl;
 
     if (Object.keys(updateFields).length === 0) {
-      return res.status(400).json({ message: 'No valid fields provided for update.' });
+      throw new AppError('BAD_REQUEST', 'No valid fields provided for update.');
     }
+
+    const changedContacts = [];
+    if (email || phone) {
+      const { data: current, error: findError } = await findUserById(guestId);
+      if (findError) {
+        throw new AppError('DATABASE_ERROR', 'Database error.', { cause: findError });
+      }
+      if (!current) {
+        throw new AppError('GUEST_NOT_FOUND', 'Guest not found.');
+      }
+      if (email && email !== current.email) {
+        updateFields.email_verified_at = null;
+        changedContacts.push('email');
+      }
+      if (phone && phone !== current.phone) {
+        updateFields.phone_verified_at = null;
+        changedContacts.push('phone');
+      }
+    }
+
     const { data: updated, error: updateError } = await updateUser(guestId, updateFields);
     if (updateError || !updated) {
-      return res
-        .status(500)
-        .json({ message: 'Database error: Unable to update guest profile.' });
+      throw new AppError('DATABASE_ERROR', 'Database error: Unable to update guest profile.', { cause: updateError });
+    }
+    fixId(updated);
+    if (changedContacts.length > 0) {
+      await sendGuestVerificationCodes(updated, changedContacts, req.ip);
+      return sendSuccess(
+        res,
+        `Guest profile updated successfully. A verification code was sent to the new ${changedContacts.join(' and ')}.`,
+        toPublicGuest(updated)
+      );
+    }
+    return sendSuccess(res, 'Guest profile updated successfully.', toPublicGuest(updated));
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * Set a guest's membership level (staff only; guests cannot change their own).
+ */
+export const updateGuestMembership = async (req, res, next) => {
+  try {
+    const { guestId } = req.params;
+    const { membershipLevel } = req.body;
+    const { data: updated, error } = await updateUser(guestId, { membership_level: membershipLevel });
+    if (error) {
+      throw new AppError('DATABASE_ERROR', 'Database error: Unable to update membership level.', { cause: error });
+    }
+    if (!updated) {
+      throw new AppError('GUEST_NOT_FOUND', 'Guest not found.');
     }
     fixId(updated);
-    return res
-      .status(200)
-      .json({ message: 'Guest profile updated successfully.', updated });
+    console.log(`[Guest] Guest (ID: ${updated.id}) membership level set to ${membershipLevel}.`);
+    return sendSuccess(res, 'Guest membership level updated successfully.', toPublicGuest(updated));
   } catch (error) {
-    console.error('[Guest] Error updating guest profile:', error);
-    return res.status(500).json({ message: 'Internal server error.' });
+    return next(error);
   }
 };
 
 /**
  * Upload Guest Avatar.
  */
-export const uploadGuestAvatar = async (req, res) => {
+export const uploadGuestAvatar = async (req, res, next) => {
   try {
     const { guestId, newAvatarUrl } = req.body;
     if (!guestId || !newAvatarUrl) {
-      return res
-        .status(400)
-        .json({ message: 'guestId and newAvatarUrl are required.' });
+      throw new AppError('BAD_REQUEST', 'guestId and newAvatarUrl are required.');
     }
     const { data: updated, error } = await updateUser(guestId, { avatar_url: newAvatarUrl });
     if (error || !updated) {
-      console.error('[Guest] Error updating guest avatar URL:', error);
-      return res
-        .status(500)
-        .json({ message: 'Database error: Unable to update avatar URL.' });
+      throw new AppError('DATABASE_ERROR', 'Database error: Unable to update avatar URL.', { cause: error });
     }
     fixId(updated);
     console.log(`[Guest] Guest (ID: ${updated.id}) avatar updated to: ${newAvatarUrl}`);
-    return res
-      .status(200)
-      .json({ message: 'Guest avatar updated successfully.', updated });
+    return sendSuccess(res, 'Guest avatar updated successfully.', toPublicGuest(updated));
   } catch (err) {
-    console.error('[Guest] Error in uploadGuestAvatar:', err);
-    return res.status(500).json({ message: 'Internal server error.' });
+    return next(err);
   }
 };
 
 /**
  * Sign Out Guest.
+ * With a refreshToken, revokes that token's family (this device only);
+ * without one, revokes every session the guest holds.
  */
-export const signOutGuest = async (req, res) => {
+export const signOutGuest = async (req, res, next) => {
   try {
-    const { guestId } = req.body;
+    const { guestId, refreshToken } = req.body;
     if (!guestId) {
-      return res.status(400).json({ message: 'guestId is required.' });
+      throw new AppError('BAD_REQUEST', 'guestId is required.');
     }
-    const { error: signOutError } = await signOutUser(guestId);
+
+    let familyId = null;
+    if (refreshToken) {
+      const { data: stored, error: findError } = await findRefreshTokenByHash(hashToken(refreshToken));
+      if (findError) {
+        throw new AppError('DATABASE_ERROR', 'Database error.', { cause: findError });
+      }
+      if (!stored || String(stored.guest_id) !== String(guestId)) {
+        throw new AppError('REFRESH_TOKEN_INVALID', 'Invalid refresh token.');
+      }
+      familyId = stored.family_id;
+    }
+
+    const { error: signOutError } = await signOutUser(guestId, familyId);
     if (signOutError) {
-      return res.status(500).json({ message: 'Error signing out guest.' });
+      throw new AppError('DATABASE_ERROR', 'Error signing out guest.', { cause: signOutError });
     }
-    return res.status(200).json({ message: 'Guest signed out successfully.' });
+    return sendSuccess(res, 'Guest signed out successfully.');
   } catch (error) {
-    console.error('[Guest] Error signing out guest:', error);
-    return res.status(500).json({ message: 'Internal server error.' });
+    return next(error);
   }
 };
 
 /**
  * Update Guest FCM Token.
  */
-export const updateGuestFcmToken = async (req, res) => {
+export const updateGuestFcmToken = async (req, res, next) => {
   try {
     const { guestId, fcmToken } = req.body;
     if (!guestId || !fcmToken) {
-      return res.status(400).json({ message: 'guestId and fcmToken are required.' });
+      throw new AppError('BAD_REQUEST', 'guestId and fcmToken are required.');
     }
     const { data, error } = await updateUser(guestId, { fcm_token: fcmToken });
     if (error || !data) {
-      console.error('[Guest] Error updating FCM token:', error);
-      return res.status(500).json({ message: 'Failed to update FCM token.' });
+      throw new AppError('DATABASE_ERROR', 'Failed to update FCM token.', { cause: error });
     }
-    return res.status(200).json({ message: 'FCM token updated successfully.' });
+    return sendSuccess(res, 'FCM token updated successfully.');
   } catch (err) {
-    console.error('[Guest] Exception updating FCM token:', err);
-    return res.status(500).json({ message: 'Internal server error.' });
+    return next(err);
   }
 };
 
 /************************************************
  * Search guests by name, email, or phone.
  ************************************************/
-export const searchGuests = async (req, res) => {
+export const searchGuests = async (req, res, next) => {
   try {
     const { query } = req.query;
     console.log('[Guest] searchGuests called with query:', query);
 
     if (!query || query.trim() === '') {
-      return res.status(400).json({ message: 'Query string is required.' });
+      throw new AppError('BAD_REQUEST', 'Query string is required.');
     }
     const { data: guests, error } = await searchUsersByQuery(query);
     if (error) {
-      console.error('[Guest] searchGuests error:', error);
-      return res.status(500).json({ message: 'Database error occurred.' });
+      throw new AppError('DATABASE_ERROR', 'Database error occurred.', { cause: error });
     }
     if (!guests || guests.length === 0) {
-      return res.status(404).json({ message: 'No matching guest found.' });
+      throw new AppError('GUEST_NOT_FOUND', 'No matching guest found.');
     }
     guests.forEach((g) => fixId(g));
     console.log(`[Guest] Found ${guests.length} guest(s). Returning 200...`);
-    return res.status(200).json({ guests });
+    return sendSuccess(res, 'Guests fetched successfully.', guests.map(toPublicGuest));
   } catch (err) {
-    console.error('[Guest] Unexpected error in searchGuests:', err);
-    return res.status(500).json({ message: 'Internal server error.' });
+    return next(err);
   }
 };
 
 /************************************************
  * Get all guests.
  ************************************************/
-export const getAllGuests = async (req, res) => {
+export const getAllGuests = async (req, res, next) => {
   try {
     const { data, error } = await getAllUsers();
     if (error) {
-      console.error('[Guest] Error fetching all guests:', error);
-      return res
-        .status(500)
-        .json({ message: 'Database error fetching all guests.' });
+      throw new AppError('DATABASE_ERROR', 'Database error fetching all guests.', { cause: error });
     }
     data.forEach((g) => fixId(g));
-    return res.status(200).json({ guests: data });
+    return sendSuccess(res, 'Guests fetched successfully.', data.map(toPublicGuest));
   } catch (err) {
-    console.error('[Guest] Unexpected error in getAllGuests:', err);
-    return res.status(500).json({ message: 'Internal server error.' });
+    return next(err);
   }
 };
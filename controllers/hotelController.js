@@ -1,240 +1,111 @@
 // controllers/hotelController.js
 
-import { findRoomByNumber, updateRoomByNumber } from '../models/roomsModel.js';
-import {
-  getAvailableRFIDs,
-  assignRFIDToGuest,
-  findRFIDByUID,
-  getAllRFIDs
-} from '../models/rfidModel.js';
-import {
-  createHistoryRecord,
-  getAllHistoryRecords
-} from '../models/roomOccupancyHistoryModel.js';
+import { getAllHistoryRecords } from '../models/roomOccupancyHistoryModel.js';
 import { findUserById } from '../models/userModel.js'; // for occupant_snapshot
-
-/**
- * Helper to assign a room by its number.
- * (unchanged)
- */
-const assignRoomByNumberModel = async (room_number, guest_id, hours_stay) => {
-  const numericHours = parseFloat(hours_stay);
-  if (isNaN(numericHours) || numericHours <= 0) {
-    return { data: null, error: new Error("Invalid hours_stay") };
-  }
-
-  const { data: room, error: findError } = await findRoomByNumber(room_number);
-  if (findError) return { data: null, error: findError };
-  if (!room) return { data: null, error: new Error(`Room ${room_number} not found`) };
-  if (room.status !== 'available') {
-    return { data: null, error: new Error(`Room ${room_number} is not available`) };
-  }
-
-  // reserve it
-  const updateFields = {
-    guest_id,
-    hours_stay: numericHours,
-    status: 'reserved',
-    registration_time: new Date().toISOString(),
-  };
-  const { data, error } = await updateRoomByNumber(
-    room_number,
-    updateFields,
-    { onlyIfAvailable: false }
-  );
-  return { data, error };
-};
+import { registerFlowTx } from '../models/occupancyFlowModel.js';
+import { scheduleRoomCheckOutJobs } from '../services/jobScheduler.js';
+import { generateStayPin } from '../services/keypadPinService.js';
+import { isStaffRole } from '../config/roles.js';
+import { AppError, appErrorFromRpc } from '../utils/appError.js';
+import { sendSuccess } from '../utils/responseHelper.js';
 
 /**
  * POST /api/hotel/register-flow
- * Now also writes check_in/check_out into the rooms table.
+ * Reserves the room (with check_in/check_out), assigns the RFID, opens the
+ * occupancy record and records them as a single-room stay (see /api/stays for
+ * multi-room stays). The writes happen in one database transaction, so a
+ * failure leaves no half-registered room or card behind. With keypad_pin the
+ * stay also gets a door keypad PIN, returned once as keypadPin.
  */
-export const registerFlow = async (req, res) => {
+export const registerFlow = async (req, res, next) => {
   try {
     const {
       guest_id,
       room_number,
       check_in,
       check_out,
-      rfid_id
+      rfid_id,
+      keypad_pin
     } = req.body;
 
     // 0) Basic validation
     if (!guest_id || !room_number || !check_in || !check_out || !rfid_id) {
-      return res.status(400).json({
-        success: false,
-        message: "Missing required fields: guest_id, room_number, check_in, check_out, rfid_id"
-      });
+      throw new AppError('BAD_REQUEST', "Missing required fields: guest_id, room_number, check_in, check_out, rfid_id");
     }
 
     // 1) parse dates
     const inDate  = new Date(check_in);
     const outDate = new Date(check_out);
     if (isNaN(inDate) || isNaN(outDate) || outDate <= inDate) {
-      return res.status(400).json({
-        success: false,
-        message: "Invalid check_in/check_out range"
-      });
+      throw new AppError('BAD_REQUEST', "Invalid check_in/check_out range");
     }
 
-    // 2) compute hours_stay (we still need it for occupancy history)
-    const hours_stay = (outDate - inDate) / (1000 * 60 * 60);
+    // 1a) only verified guests may be registered into a room
+    const { data: guest, error: guestErr } = await findUserById(guest_id);
+    if (guestErr) {
+      throw new AppError('DATABASE_ERROR', "Error looking up guest", { cause: guestErr });
+    }
+    if (!guest) {
+      throw new AppError('GUEST_NOT_FOUND', "Guest not found");
+    }
+    if (!guest.email_verified_at || !guest.phone_verified_at) {
+      throw new AppError('CONTACT_NOT_VERIFIED', "Guest must verify both email and phone before registration");
+    }
 
-    // 3) ensure no open occupancy for this guest
+    // 2) ensure no open occupancy for this guest
     const { data: existingRecords, error: recordsError } = await getAllHistoryRecords();
     if (recordsError) {
-      return res.status(500).json({
-        success: false,
-        message: "Error checking existing occupancy records",
-        error: recordsError.message,
-      });
+      throw new AppError('DATABASE_ERROR', "Error checking existing occupancy records", { cause: recordsError });
     }
     const existingRecord = existingRecords?.find(
       r => r.guest_id === guest_id && r.check_out === null
     );
     if (existingRecord) {
-      return res.status(200).json({
-        success: true,
-        message: "Occupancy record already exists for this guest.",
-        data: {
-          roomId: existingRecord.room_id,
-          occupancyRecordId: existingRecord.id,
-          assignedRFID: { id: rfid_id },
-        },
-      });
-    }
-
-    // 4) reserve the room
-    const { data: roomData, error: roomError } = await assignRoomByNumberModel(
-      room_number, guest_id, hours_stay
-    );
-    if (roomError || !roomData) {
-      return res.status(500).json({
-        success: false,
-        message: "Failed to assign room",
-        error: roomError?.message || roomError,
+      return sendSuccess(res, "Occupancy record already exists for this guest.", {
+        roomId: existingRecord.room_id,
+        occupancyRecordId: existingRecord.id,
+        assignedRFID: { id: rfid_id },
       });
     }
 
-    // ────────────────────────────────
-    // 5) QUICK FIX: stamp check_in/check_out on rooms table
-    // ────────────────────────────────
-    const checkInISO  = inDate.toISOString();   // e.g. "2025-05-06T14:00:00.000Z"
-    const checkOutISO = outDate.toISOString();  // e.g. "2025-05-07T12:00:00.000Z"
-    const { data: timeData, error: timeError } = await updateRoomByNumber(
+    // 3) reserve the room, assign the RFID, open the occupancy record and
+    //    group them under a stay -- one transaction (register_flow)
+    const { password, ...occupantSnapshot } = guest;
+    const { data: registered, error: registerError } = await registerFlowTx({
+      guest_id,
       room_number,
-      { check_in: checkInISO, check_out: checkOutISO },
-      { onlyIfAvailable: false }
-    );
-    if (timeError) {
-      return res.status(500).json({
-        success: false,
-        message: "Failed to write check_in/check_out into room record",
-        error: timeError.message,
-      });
-    }
-    // ────────────────────────────────
-
-    // 6) pick up the RFID UID
-    let rfidUid;
-    {
-      const { data: availableRFIDs, error: rfidFetchError } = await getAvailableRFIDs();
-      if (!rfidFetchError && availableRFIDs) {
-        const found = availableRFIDs.find(item => item.id === rfid_id);
-        if (found) rfidUid = found.rfid_uid;
-      }
-      if (!rfidUid) {
-        const { data: allRFIDs, error: allErr } = await getAllRFIDs();
-        if (allErr || !allRFIDs) {
-          return res.status(500).json({
-            success: false,
-            message: "Failed to fetch all RFIDs for fallback",
-            error: allErr?.message || allErr,
-          });
-        }
-        const found = allRFIDs.find(item => item.id === rfid_id);
-        if (found) rfidUid = found.rfid_uid;
-      }
-      if (!rfidUid) {
-        return res.status(400).json({
-          success: false,
-          message: "RFID not found or already in use",
-        });
-      }
-    }
-
-    // 7) assign the RFID if available
-    const { data: rfidRecord, error: rfidRecordError } = await findRFIDByUID(rfidUid);
-    if (rfidRecordError || !rfidRecord) {
-      return res.status(500).json({
-        success: false,
-        message: "RFID record not found",
-        error: rfidRecordError?.message || rfidRecordError,
-      });
-    }
-    if (rfidRecord.status === 'available') {
-      const { error: assignErr } = await assignRFIDToGuest(rfidUid, guest_id);
-      if (assignErr) {
-        return res.status(500).json({
-          success: false,
-          message: "Failed to assign RFID",
-          error: assignErr.message || assignErr,
-        });
-      }
+      check_in:          inDate.toISOString(),
+      check_out:         outDate.toISOString(),
+      rfid_id,
+      created_by:        isStaffRole(req.user?.role) ? req.user.id : null,
+      occupant_snapshot: occupantSnapshot,
+    });
+    if (registerError) {
+      throw appErrorFromRpc(registerError, "Registration flow failed; nothing was changed");
     }
-
-    // 8) take a snapshot of the guest record
-    let occupantSnapshot = {};
-    {
-      const { data: guestData, error: guestErr } = await findUserById(guest_id);
-      if (!guestErr && guestData) {
-        const { password, ...safe } = guestData;
-        occupantSnapshot = safe;
+    await scheduleRoomCheckOutJobs({ id: registered.room_id, check_out: outDate.toISOString() });
+
+    // 3a) optional keypad PIN; the stay stands without it and staff can set
+    //     one later (POST /api/stays/:id/keypad-pin)
+    let keypadPin = null;
+    if (keypad_pin) {
+      try {
+        ({ pin: keypadPin } = await generateStayPin(registered.stay_id, isStaffRole(req.user?.role) ? req.user.id : null));
+      } catch (pinErr) {
+        console.error(`[registerFlow] Unable to set keypad PIN for stay ${registered.stay_id}:`, pinErr);
       }
     }
 
-    // 9) write the occupancy_history record
-    const occupancyData = {
-      room_id:            roomData.id,
-      guest_id,
-      rfid_id,
-      registration_time:  new Date().toISOString(),
-      check_in:           null,
-      check_out:          null,
-      hours_stay,               // we still store this too
-      check_out_reason:   null,
-      was_early_checkout: false,
-      occupant_snapshot:  occupantSnapshot,
-      mac_addresses_snapshot: {},
-      event_indicator:    "registered"
-    };
-    const { data: occupancyRecord, error: occErr } = await createHistoryRecord(occupancyData);
-    if (occErr || !occupancyRecord) {
-      console.error("Supabase insert error:", occErr);
-      return res.status(500).json({
-        success: false,
-        message: "Failed to create occupancy record",
-        error: occErr?.message || occErr,
-      });
-    }
-
-    // 10) final success response
-    return res.status(201).json({
-      success: true,
-      message: "Registration flow completed successfully",
-      data: {
-        roomId:              roomData.id,
-        occupancyRecordId:   occupancyRecord.id,
-        assignedRFID:        { id: rfid_id, rfid_uid: rfidUid },
-      },
-    });
+    // 4) final success response
+    return sendSuccess(res, "Registration flow completed successfully", {
+      roomId:              registered.room_id,
+      stayId:              registered.stay_id,
+      occupancyRecordId:   registered.occupancy_record_id,
+      assignedRFID:        { id: registered.rfid_id, rfid_uid: registered.rfid_uid },
+      ...(keypad_pin && { keypadPin }),
+    }, 201);
 
   } catch (e) {
-    console.error("registerFlow Error:", e);
-    return res.status(500).json({
-      success: false,
-      message: "Internal server error",
-      error: e.message,
-    });
+    return next(e);
   }
 };
@@ -0,0 +1,102 @@
+// controllers/jobController.js
+import { listJobs, getJobById, transitionJob } from '../models/scheduledJobModel.js';
+import { AppError } from '../utils/appError.js';
+import { sendSuccess } from '../utils/responseHelper.js';
+
+const loadJob = async (id) => {
+  const { data: job, error } = await getJobById(id);
+  if (error) {
+    throw new AppError('DATABASE_ERROR', 'Database error: Unable to fetch job.', { cause: error });
+  }
+  if (!job) {
+    throw new AppError('JOB_NOT_FOUND', `Job ${id} not found.`);
+  }
+  return job;
+};
+
+/**
+ * Apply a status change the job must still be eligible for; a worker may have
+ * picked it up between the read and the write.
+ */
+const transitionOrThrow = async (job, fromStatuses, fields, action) => {
+  if (!fromStatuses.includes(job.status)) {
+    throw new AppError('JOB_INVALID_STATUS', `Job ${job.id} is ${job.status} and cannot be ${action}.`, {
+      details: { status: job.status },
+    });
+  }
+  const { data, error } = await transitionJob(job.id, fromStatuses, fields);
+  if (error) {
+    throw new AppError('DATABASE_ERROR', 'Database error: Unable to update job.', { cause: error });
+  }
+  if (!data) {
+    throw new AppError('JOB_INVALID_STATUS', `Job ${job.id} changed status in the meantime.`);
+  }
+  return data;
+};
+
+/**
+ * GET /api/jobs
+ * List scheduled jobs with optional status, type and subject filters.
+ */
+export const listJobsController = async (req, res, next) => {
+  try {
+    const { status, type, subject, limit = 50, offset = 0 } = req.query;
+    const { data, error } = await listJobs({
+      status,
+      type,
+      subject,
+      limit: parseInt(limit, 10),
+      offset: parseInt(offset, 10),
+    });
+    if (error) {
+      throw new AppError('DATABASE_ERROR', 'Database error: Unable to fetch jobs.', { cause: error });
+    }
+    return sendSuccess(res, 'Jobs fetched successfully.', data);
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * GET /api/jobs/:id
+ */
+export const getJobController = async (req, res, next) => {
+  try {
+    const job = await loadJob(req.params.id);
+    return sendSuccess(res, 'Job fetched successfully.', job);
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * POST /api/jobs/:id/retry
+ * Queue a failed or canceled job to run now with a fresh attempt budget.
+ */
+export const retryJobController = async (req, res, next) => {
+  try {
+    const job = await loadJob(req.params.id);
+    const data = await transitionOrThrow(
+      job,
+      ['failed', 'canceled'],
+      { status: 'pending', run_at: new Date().toISOString(), attempts: 0, last_error: null },
+      'retried'
+    );
+    return sendSuccess(res, `Job ${job.id} queued for retry.`, data);
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * POST /api/jobs/:id/cancel
+ */
+export const cancelJobController = async (req, res, next) => {
+  try {
+    const job = await loadJob(req.params.id);
+    const data = await transitionOrThrow(job, ['pending'], { status: 'canceled' }, 'canceled');
+    return sendSuccess(res, `Job ${job.id} canceled.`, data);
+  } catch (error) {
+    return next(error);
+  }
+};
@@ -1,16 +1,18 @@
 // controllers/macAddressController.js
 
 import supabase from '../config/supabase.js';
-import { 
-  saveMacAddress, 
-  upsertMacAddress 
+import {
+  saveMacAddress,
+  upsertMacAddress
 } from '../models/macAddressModel.js';
+import { AppError } from '../utils/appError.js';
+import { sendSuccess } from '../utils/responseHelper.js';
 
 /**
  * POST /api/mac-address
  * Create a new MAC address record (if you want a dedicated route).
  */
-export const createMacAddress = async (req, res) => {
+export const createMacAddress = async (req, res, next) => {
   try {
     const {
       guest_id,
@@ -21,10 +23,7 @@ export const createMacAddress = async (req, res) => {
     } = req.body;
 
     if (!mac || !ip) {
-      return res.status(400).json({
-        success: false,
-        message: 'mac and ip are required fields.'
-      });
+      throw new AppError('BAD_REQUEST', 'mac and ip are required fields.');
     }
 
     const { data, error } = await saveMacAddress({
@@ -37,24 +36,12 @@ export const createMacAddress = async (req, res) => {
     });
 
     if (error) {
-      console.error('[createMacAddress] Supabase error:', error);
-      return res.status(500).json({
-        success: false,
-        message: 'Database error: Unable to create MAC address record.',
-      });
+      throw new AppError('DATABASE_ERROR', 'Database error: Unable to create MAC address record.', { cause: error });
     }
 
-    return res.status(201).json({
-      success: true,
-      message: 'MAC address record created successfully.',
-      data,
-    });
+    return sendSuccess(res, 'MAC address record created successfully.', data, 201);
   } catch (error) {
-    console.error('[createMacAddress] Unexpected error:', error);
-    return res.status(500).json({
-      success: false,
-      message: 'Internal server error.',
-    });
+    return next(error);
   }
 };
 
@@ -62,7 +49,7 @@ export const createMacAddress = async (req, res) => {
  * GET /api/mac-address/all
  * Fetch all MAC addresses in the system.
  */
-export const getAllMacAddresses = async (req, res) => {
+export const getAllMacAddresses = async (req, res, next) => {
   try {
     const { data, error } = await supabase
       .from('mac_addresses')
@@ -70,24 +57,12 @@ export const getAllMacAddresses = async (req, res) => {
       .order('id', { ascending: true });
 
     if (error) {
-      console.error('[getAllMacAddresses] Database error:', error);
-      return res.status(500).json({
-        success: false,
-        message: 'Database error: Unable to fetch MAC addresses.',
-      });
+      throw new AppError('DATABASE_ERROR', 'Database error: Unable to fetch MAC addresses.', { cause: error });
     }
 
-    return res.status(200).json({
-      success: true,
-      message: 'All MAC addresses fetched successfully.',
-      data,
-    });
+    return sendSuccess(res, 'All MAC addresses fetched successfully.', data);
   } catch (error) {
-    console.error('[getAllMacAddresses] Unexpected error:', error);
-    return res.status(500).json({
-      success: false,
-      message: 'Internal server error.',
-    });
+    return next(error);
   }
 };
 
@@ -95,7 +70,7 @@ export const getAllMacAddresses = async (req, res) => {
  * GET /api/mac-address/unauthenticated
  * Fetch all MAC addresses that are "unauthenticated".
  */
-export const getUnauthenticatedMacAddresses = async (req, res) => {
+export const getUnauthenticatedMacAddresses = async (req, res, next) => {
   try {
     const { data, error } = await supabase
       .from('mac_addresses')
@@ -104,24 +79,14 @@ export const getUnauthenticatedMacAddresses = async (req, res) => {
       .order('id', { ascending: true });
 
     if (error) {
-      console.error('[getUnauthenticatedMacAddresses] Database error:', error);
-      return res.status(500).json({
-        success: false,
-        message: 'Database error: Unable to fetch unauthenticated MAC addresses.',
+      throw new AppError('DATABASE_ERROR', 'Database error: Unable to fetch unauthenticated MAC addresses.', {
+        cause: error,
       });
     }
 
-    return res.status(200).json({
-      success: true,
-      message: 'Unauthenticated MAC addresses fetched successfully.',
-      data,
-    });
+    return sendSuccess(res, 'Unauthenticated MAC addresses fetched successfully.', data);
   } catch (error) {
-    console.error('[getUnauthenticatedMacAddresses] Unexpected error:', error);
-    return res.status(500).json({
-      success: false,
-      message: 'Internal server error.',
-    });
+    return next(error);
   }
 };
 
@@ -129,14 +94,11 @@ export const getUnauthenticatedMacAddresses = async (req, res) => {
  * POST /api/mac-address/authenticate
  * Mark a MAC address as "authenticated".
  */
-export const authenticateMacAddress = async (req, res) => {
+export const authenticateMacAddress = async (req, res, next) => {
   try {
     const { mac } = req.body; // "mac" in DB
     if (!mac) {
-      return res.status(400).json({
-        success: false,
-        message: 'mac is required.',
-      });
+      throw new AppError('BAD_REQUEST', 'mac is required.');
     }
 
     // Attempt to update the existing record
@@ -145,33 +107,18 @@ export const authenticateMacAddress = async (req, res) => {
       .update({ status: 'authenticated' })
       .eq('mac', mac)
       .select()
-      .single();
+      .maybeSingle();
 
     if (error) {
-      console.error('[authenticateMacAddress] Database error:', error);
-      return res.status(500).json({
-        success: false,
-        message: 'Database error: Unable to authenticate MAC address.',
-      });
+      throw new AppError('DATABASE_ERROR', 'Database error: Unable to authenticate MAC address.', { cause: error });
     }
     if (!data) {
-      return res.status(404).json({
-        success: false,
-        message: `MAC address ${mac} not found.`,
-      });
+      throw new AppError('MAC_NOT_FOUND', `MAC address ${mac} not found.`);
     }
 
-    return res.status(200).json({
-      success: true,
-      message: `MAC address ${mac} authenticated successfully.`,
-      data,
-    });
+    return sendSuccess(res, `MAC address ${mac} authenticated successfully.`, data);
   } catch (error) {
-    console.error('[authenticateMacAddress] Unexpected error:', error);
-    return res.status(500).json({
-      success: false,
-      message: 'Internal server error.',
-    });
+    return next(error);
   }
 };
 
@@ -179,14 +126,11 @@ export const authenticateMacAddress = async (req, res) => {
  * POST /api/mac-address/deauthenticate
  * Mark a MAC address as "unauthenticated".
  */
-export const deauthenticateMacAddress = async (req, res) => {
+export const deauthenticateMacAddress = async (req, res, next) => {
   try {
     const { mac } = req.body;
     if (!mac) {
-      return res.status(400).json({
-        success: false,
-        message: 'mac is required.',
-      });
+      throw new AppError('BAD_REQUEST', 'mac is required.');
     }
 
     // Attempt to update the existing record
@@ -195,33 +139,18 @@ export const deauthenticateMacAddress = async (req, res) => {
       .update({ status: 'unauthenticated' })
       .eq('mac', mac)
       .select()
-      .single();
+      .maybeSingle();
 
     if (error) {
-      console.error('[deauthenticateMacAddress] Database error:', error);
-      return res.status(500).json({
-        success: false,
-        message: 'Database error: Unable to deauthenticate MAC address.',
-      });
+      throw new AppError('DATABASE_ERROR', 'Database error: Unable to deauthenticate MAC address.', { cause: error });
     }
     if (!data) {
-      return res.status(404).json({
-        success: false,
-        message: `MAC address ${mac} not found.`,
-      });
+      throw new AppError('MAC_NOT_FOUND', `MAC address ${mac} not found.`);
     }
 
-    return res.status(200).json({
-      success: true,
-      message: `MAC address ${mac} deauthenticated successfully.`,
-      data,
-    });
+    return sendSuccess(res, `MAC address ${mac} deauthenticated successfully.`, data);
   } catch (error) {
-    console.error('[deauthenticateMacAddress] Unexpected error:', error);
-    return res.status(500).json({
-      success: false,
-      message: 'Internal server error.',
-    });
+    return next(error);
   }
 };
 
@@ -231,37 +160,22 @@ export const deauthenticateMacAddress = async (req, res) => {
  * If the MAC doesn't exist, creates a new record with the given status.
  * If it exists, updates that record.
  */
-export const updateMacAddressStatus = async (req, res) => {
+export const updateMacAddressStatus = async (req, res, next) => {
   try {
     const { mac, status } = req.body;
     if (!mac || !status) {
-      return res.status(400).json({
-        success: false,
-        message: 'mac and status are required.',
-      });
+      throw new AppError('BAD_REQUEST', 'mac and status are required.');
     }
 
     // Perform an upsert (create if not found, update if existing)
     const { data, error } = await upsertMacAddress(mac, status);
     if (error) {
-      console.error('[updateMacAddressStatus] upsert error:', error);
-      return res.status(500).json({
-        success: false,
-        message: 'Database error: Unable to upsert MAC address status.',
-      });
+      throw new AppError('DATABASE_ERROR', 'Database error: Unable to upsert MAC address status.', { cause: error });
     }
 
-    return res.status(200).json({
-      success: true,
-      message: `MAC address ${mac} status set to '${status}'.`,
-      data,
-    });
+    return sendSuccess(res, `MAC address ${mac} status set to '${status}'.`, data);
   } catch (error) {
-    console.error('[updateMacAddressStatus] Unexpected error:', error);
-    return res.status(500).json({
-      success: false,
-      message: 'Internal server error.',
-    });
+    return next(error);
   }
 };
 
@@ -269,14 +183,11 @@ export const updateMacAddressStatus = async (req, res) => {
  * POST /api/mac-address/verify
  * Check if a MAC address is valid and "authenticated".
  */
-export const verifyMacAddress = async (req, res) => {
+export const verifyMacAddress = async (req, res, next) => {
   try {
     const { mac } = req.body;
     if (!mac) {
-      return res.status(400).json({
-        success: false,
-        message: 'mac is required.',
-      });
+      throw new AppError('BAD_REQUEST', 'mac is required.');
     }
 
     // 1) Fetch the MAC record
@@ -284,40 +195,26 @@ export const verifyMacAddress = async (req, res) => {
       .from('mac_addresses')
       .select('*')
       .eq('mac', mac)
-      .single();
+      .maybeSingle();
 
     if (error) {
-      console.error('[verifyMacAddress] Database error:', error);
-      return res.status(500).json({
-        success: false,
-        message: 'Database error: Unable to look up MAC address.',
-      });
+      throw new AppError('DATABASE_ERROR', 'Database error: Unable to look up MAC address.', { cause: error });
     }
     if (!macData) {
-      return res.status(404).json({
-        success: false,
-        message: `MAC address ${mac} not found.`,
-      });
+      throw new AppError('MAC_NOT_FOUND', `MAC address ${mac} not found.`);
     }
 
     // 2) Validate status
     if (macData.status !== 'authenticated') {
-      return res.status(403).json({
-        success: false,
-        message: `MAC address ${mac} is not authenticated. Current status: ${macData.status}`,
-      });
+      throw new AppError(
+        'MAC_NOT_AUTHENTICATED',
+        `MAC address ${mac} is not authenticated. Current status: ${macData.status}`,
+        { details: { status: macData.status } }
+      );
     }
 
-    return res.status(200).json({
-      success: true,
-      message: `MAC address ${mac} is authenticated and valid.`,
-      data: macData,
-    });
+    return sendSuccess(res, `MAC address ${mac} is authenticated and valid.`, macData);
   } catch (error) {
-    console.error('[verifyMacAddress] Unexpected error:', error);
-    return res.status(500).json({
-      success: false,
-      message: 'Internal server error.',
-    });
+    return next(error);
   }
 };
@@ -2,6 +2,8 @@
 import pkg from 'routeros-client';
 const { RouterOSClient } = pkg;
 import supabase from '../config/supabase.js';
+import { AppError } from '../utils/appError.js';
+import { sendSuccess } from '../utils/responseHelper.js';
 
 // MikroTik config from .env
 const MIKROTIK_HOST = process.env.MIKROTIK_HOST || 'pi-gateway.tail1e634e.ts.net';
@@ -34,7 +36,7 @@ function createMikroTikClient() {
  * Retrieves DHCP leases from the MikroTik router,
  * filtered by server === 'guest_dhcp' and status === 'bound'.
  */
-export const getGuestDhcpLeases = async (req, res) => {
+export const getGuestDhcpLeases = async (req, res, next) => {
   let client;
   try {
     client = createMikroTikClient();
@@ -47,18 +49,9 @@ export const getGuestDhcpLeases = async (req, res) => {
       (lease) => lease.server === 'guest_dhcp' && lease.status === 'bound'
     );
 
-    return res.status(200).json({
-      success: true,
-      message: 'DHCP leases fetched successfully from guest_dhcp.',
-      data: guestLeases,
-    });
+    return sendSuccess(res, 'DHCP leases fetched successfully from guest_dhcp.', guestLeases);
   } catch (error) {
-    console.error('[getGuestDhcpLeases] Error:', error);
-    return res.status(500).json({
-      success: false,
-      message: 'Error fetching guest DHCP leases from MikroTik.',
-      error: error.message,
-    });
+    return next(new AppError('UPSTREAM_ERROR', 'Error fetching guest DHCP leases from MikroTik.', { cause: error }));
   } finally {
     if (client) {
       client.close();
@@ -73,7 +66,7 @@ export const getGuestDhcpLeases = async (req, res) => {
  * (table: mac_addresses). If the MAC doesn’t exist, inserts a new row;
  * if it does exist but IP changed, updates the IP.
  */
-export const storeGuestDhcpLeases = async (req, res) => {
+export const storeGuestDhcpLeases = async (req, res, next) => {
   let client;
   try {
     client = createMikroTikClient();
@@ -133,19 +126,12 @@ export const storeGuestDhcpLeases = async (req, res) => {
       }
     }
 
-    return res.status(200).json({
-      success: true,
-      message: 'guest_dhcp leases polled and stored in Supabase successfully.',
+    return sendSuccess(res, 'guest_dhcp leases polled and stored in Supabase successfully.', {
       insertedCount,
       totalLeases: guestLeases.length,
     });
   } catch (error) {
-    console.error('[storeGuestDhcpLeases] Error:', error);
-    return res.status(500).json({
-      success: false,
-      message: 'Error storing guest DHCP leases in Supabase.',
-      error: error.message,
-    });
+    return next(new AppError('UPSTREAM_ERROR', 'Error storing guest DHCP leases in Supabase.', { cause: error }));
   } finally {
     if (client) {
       client.close();
@@ -159,7 +145,7 @@ export const storeGuestDhcpLeases = async (req, res) => {
  * Fetches authenticated MAC addresses from Supabase, 
  * then ensures each IP is whitelisted in the MikroTik’s firewall address-list.
  */
-export const syncMikrotikStatus = async (req, res) => {
+export const syncMikrotikStatus = async (req, res, next) => {
   let client;
   try {
     // Fetch authenticated MAC addresses from Supabase
@@ -169,9 +155,8 @@ export const syncMikrotikStatus = async (req, res) => {
       .eq('status', 'authenticated');
 
     if (error) {
-      return res.status(500).json({
-        success: false,
-        message: 'Database error: Unable to fetch authenticated MAC addresses.',
+      throw new AppError('DATABASE_ERROR', 'Database error: Unable to fetch authenticated MAC addresses.', {
+        cause: error,
       });
     }
 
@@ -202,18 +187,10 @@ export const syncMikrotikStatus = async (req, res) => {
       }
     }
 
-    return res.status(200).json({
-      success: true,
-      message: 'Synchronized authenticated MAC addresses to MikroTik successfully.',
-      data: authenticatedMacs,
-    });
+    return sendSuccess(res, 'Synchronized authenticated MAC addresses to MikroTik successfully.', authenticatedMacs);
   } catch (error) {
-    console.error('[syncMikrotikStatus] Error:', error);
-    return res.status(500).json({
-      success: false,
-      message: 'Error synchronizing MAC addresses with MikroTik.',
-      error: error.message,
-    });
+    if (error instanceof AppError) return next(error);
+    return next(new AppError('UPSTREAM_ERROR', 'Error synchronizing MAC addresses with MikroTik.', { cause: error }));
   } finally {
     if (client) {
       client.close();
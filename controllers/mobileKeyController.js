@@ -0,0 +1,107 @@
+// controllers/mobileKeyController.js
+import {
+  issueMobileKey,
+  listKeys,
+  revokeKey,
+  verifyMobileKey,
+  getMobileKeyPublicKey,
+} from '../services/mobileKeyService.js';
+import { resolveTapDoor } from '../services/deviceService.js';
+import { isStaffRole } from '../config/roles.js';
+import { sendSuccess } from '../utils/responseHelper.js';
+
+/**
+ * POST /api/mobile-keys
+ * Issue a mobile key on a stay for the calling guest's phone (staff may issue
+ * for any guest on the stay). The token is returned once.
+ */
+export const issueMobileKeyController = async (req, res, next) => {
+  try {
+    const { guest_id, stay_id, phone_id } = req.body;
+    const result = await issueMobileKey({
+      stayId: stay_id,
+      guestId: guest_id,
+      phoneId: phone_id,
+      issuedBy: isStaffRole(req.user?.role) ? req.user.id : null,
+    });
+    return sendSuccess(res, 'Mobile key issued successfully.', result, 201);
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * GET /api/mobile-keys/guest/:guest_id?live=true
+ */
+export const getGuestMobileKeysController = async (req, res, next) => {
+  try {
+    const keys = await listKeys({ guestId: req.params.guest_id, liveOnly: req.query.live === 'true' });
+    return sendSuccess(res, 'Mobile keys fetched successfully.', keys);
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * GET /api/mobile-keys/stay/:stay_id?live=true
+ */
+export const getStayMobileKeysController = async (req, res, next) => {
+  try {
+    const keys = await listKeys({ stayId: req.params.stay_id, liveOnly: req.query.live === 'true' });
+    return sendSuccess(res, 'Mobile keys fetched successfully.', keys);
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * DELETE /api/mobile-keys/:id
+ * Revoke a key at once (lost phone, guest left early).
+ */
+export const revokeMobileKeyController = async (req, res, next) => {
+  try {
+    const key = await revokeKey(req.params.id);
+    return sendSuccess(res, 'Mobile key revoked successfully.', key);
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * POST /api/mobile-keys/verify
+ * A door gateway relays a token read over BLE or from a QR code, with the
+ * install id of the phone presenting it. The door is resolved like an RFID
+ * tap (device_id, else room_number); the decision is logged either way.
+ */
+export const verifyMobileKeyController = async (req, res, next) => {
+  try {
+    const { token, phone_id, room_number, device_id } = req.body;
+    const { door, roomNumber } = await resolveTapDoor(req.device, device_id, room_number);
+    const deviceCode = door ? door.code : device_id || null;
+    const access = await verifyMobileKey(token, { phoneId: phone_id, door, roomNumber, deviceCode });
+    const where = access.room ? `room ${access.room.room_number}` : access.zone.name;
+    return sendSuccess(res, `Mobile key access to ${where} granted.`, {
+      key: access.key,
+      guestId: access.key.guest_id,
+      stayId: access.key.stay_id,
+      room: access.room,
+      zone: access.zone,
+      grantedBy: access.reason,
+      deviceId: deviceCode,
+    });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * GET /api/mobile-keys/public-key
+ * Ed25519 public key gateways may pin to drop forged tokens before asking.
+ */
+export const getMobileKeyPublicKeyController = async (req, res, next) => {
+  try {
+    return sendSuccess(res, 'Mobile key public key.', getMobileKeyPublicKey());
+  } catch (error) {
+    return next(error);
+  }
+};
@@ -1,6 +1,7 @@
 // controllers/notificationController.js
 import {
   createNotification,
+  getNotificationById,
   getNotificationsByGuest,
   getNotificationsByAdmin,
   markNotificationAsRead,
@@ -10,17 +11,34 @@ import {
   markAllNotificationsAsReadForGuest,
   deleteAllNotificationsForGuest
 } from '../models/notificationModel.js';
+import { ROLES } from '../config/roles.js';
+import { AppError } from '../utils/appError.js';
+import { sendSuccess } from '../utils/responseHelper.js';
+
+/**
+ * Guests may only touch their own notifications; staff may touch any.
+ * Throws an AppError if the caller may not proceed.
+ */
+const assertNotificationOwnership = async (user, id) => {
+  if (user?.role !== ROLES.GUEST) return;
+  const { data, error } = await getNotificationById(id);
+  if (error) {
+    throw new AppError('DATABASE_ERROR', 'Database error: Unable to fetch notification', { cause: error });
+  }
+  if (!data) throw new AppError('NOTIFICATION_NOT_FOUND', 'Notification not found');
+  if (String(data.recipient_guest_id) !== String(user.id)) {
+    throw new AppError('FORBIDDEN', 'Notification not accessible');
+  }
+};
 
 /**
  * Create a new notification for Guest.
  */
-export const createNewNotification = async (req, res) => {
+export const createNewNotification = async (req, res, next) => {
   try {
     const { recipient_guest_id, title, message, notification_type, note_message } = req.body;
     if (!recipient_guest_id || !title || !message) {
-      return res.status(400).json({
-        message: 'Missing required fields: recipient_guest_id, title, message'
-      });
+      throw new AppError('BAD_REQUEST', 'Missing required fields: recipient_guest_id, title, message');
     }
     const { data, error } = await createNotification({
       recipient_guest_id,
@@ -30,28 +48,22 @@ export const createNewNotification = async (req, res) => {
       notification_type
     });
     if (error) {
-      return res.status(500).json({
-        message: 'Database error: Unable to create notification',
-        error: error.message
-      });
+      throw new AppError('DATABASE_ERROR', 'Database error: Unable to create notification', { cause: error });
     }
-    return res.status(201).json({ message: 'Notification created successfully', data });
+    return sendSuccess(res, 'Notification created successfully', data, 201);
   } catch (err) {
-    console.error('[Notification] Unexpected Error in createNewNotification:', err);
-    return res.status(500).json({ message: 'Internal server error' });
+    return next(err);
   }
 };
 
 /**
  * Create a new notification for Admin.
  */
-export const createAdminNotification = async (req, res) => {
+export const createAdminNotification = async (req, res, next) => {
   try {
     const { recipient_admin_id, title, message, notification_type, note_message } = req.body;
     if (!recipient_admin_id || !title || !message) {
-      return res.status(400).json({
-        message: 'Missing required fields: recipient_admin_id, title, message'
-      });
+      throw new AppError('BAD_REQUEST', 'Missing required fields: recipient_admin_id, title, message');
     }
     const { data, error } = await createNotification({
       recipient_admin_id,
@@ -61,22 +73,18 @@ export const createAdminNotification = async (req, res) => {
       notification_type
     });
     if (error) {
-      return res.status(500).json({
-        message: 'Database error: Unable to create admin notification',
-        error: error.message
-      });
+      throw new AppError('DATABASE_ERROR', 'Database error: Unable to create admin notification', { cause: error });
     }
-    return res.status(201).json({ message: 'Admin notification created successfully', data });
+    return sendSuccess(res, 'Admin notification created successfully', data, 201);
   } catch (err) {
-    console.error('[Notification] Unexpected Error in createAdminNotification:', err);
-    return res.status(500).json({ message: 'Internal server error' });
+    return next(err);
   }
 };
 
 /**
  * Create notifications for BOTH Guest and Admin.
  */
-export const createGuestAndAdminNotification = async (req, res) => {
+export const createGuestAndAdminNotification = async (req, res, next) => {
   try {
     const {
       guest_id,
@@ -90,9 +98,7 @@ export const createGuestAndAdminNotification = async (req, res) => {
     } = req.body;
 
     if (!guest_id || !admin_id || !guest_title || !guest_message || !admin_title || !admin_message) {
-      return res.status(400).json({
-        message: 'Missing required fields: guest_id, admin_id, guest_title, guest_message, admin_title, admin_message'
-      });
+      throw new AppError('BAD_REQUEST', 'Missing required fields: guest_id, admin_id, guest_title, guest_message, admin_title, admin_message');
     }
 
     const { data: guestData, error: guestError } = await createNotification({
@@ -103,10 +109,7 @@ export const createGuestAndAdminNotification = async (req, res) => {
       notification_type
     });
     if (guestError) {
-      return res.status(500).json({
-        message: 'Database error: Unable to create guest notification',
-        error: guestError.message
-      });
+      throw new AppError('DATABASE_ERROR', 'Database error: Unable to create guest notification', { cause: guestError });
     }
 
     const { data: adminData, error: adminError } = await createNotification({
@@ -117,239 +120,180 @@ export const createGuestAndAdminNotification = async (req, res) => {
       notification_type
     });
     if (adminError) {
-      return res.status(500).json({
-        message: 'Database error: Unable to create admin notification',
-        error: adminError.message
-      });
+      throw new AppError('DATABASE_ERROR', 'Database error: Unable to create admin notification', { cause: adminError });
     }
 
-    return res.status(201).json({
-      message: 'Guest and Admin notifications created successfully',
+    return sendSuccess(res, 'Guest and Admin notifications created successfully', {
       guestNotification: guestData,
       adminNotification: adminData
-    });
+    }, 201);
   } catch (err) {
-    console.error('[Notification] Unexpected Error in createGuestAndAdminNotification:', err);
-    return res.status(500).json({ message: 'Internal server error' });
+    return next(err);
   }
 };
 
 /**
  * Get notifications for a specific guest.
  */
-export const getGuestNotifications = async (req, res) => {
+export const getGuestNotifications = async (req, res, next) => {
   try {
     const { guest_id } = req.params;
     if (!guest_id) {
-      return res.status(400).json({ message: 'Guest ID is required' });
+      throw new AppError('BAD_REQUEST', 'Guest ID is required');
     }
     const { data, error } = await getNotificationsByGuest(guest_id);
     if (error) {
-      return res.status(500).json({
-        message: 'Database error: Unable to fetch notifications',
-        error: error.message
-      });
+      throw new AppError('DATABASE_ERROR', 'Database error: Unable to fetch notifications', { cause: error });
     }
     if (!data || data.length === 0) {
-      return res.status(404).json({ message: 'No notifications found for this guest' });
+      throw new AppError('NOTIFICATION_NOT_FOUND', 'No notifications found for this guest');
     }
-    return res.status(200).json({
-      message: 'Notifications retrieved successfully',
-      notifications: data
-    });
+    return sendSuccess(res, 'Notifications retrieved successfully', data);
   } catch (err) {
-    console.error('[Notification] Unexpected Error in getGuestNotifications:', err);
-    return res.status(500).json({ message: 'Internal server error' });
+    return next(err);
   }
 };
 
 /**
  * Get notifications for a specific admin.
  */
-export const getAdminNotifications = async (req, res) => {
+export const getAdminNotifications = async (req, res, next) => {
   try {
     const { admin_id } = req.params;
     if (!admin_id) {
-      return res.status(400).json({ message: 'Admin ID is required' });
+      throw new AppError('BAD_REQUEST', 'Admin ID is required');
     }
     const { data, error } = await getNotificationsByAdmin(admin_id);
     if (error) {
-      return res.status(500).json({
-        message: 'Database error: Unable to fetch admin notifications',
-        error: error.message
-      });
+      throw new AppError('DATABASE_ERROR', 'Database error: Unable to fetch admin notifications', { cause: error });
     }
     if (!data || data.length === 0) {
-      return res.status(404).json({ message: 'No notifications found for this admin' });
+      throw new AppError('NOTIFICATION_NOT_FOUND', 'No notifications found for this admin');
     }
-    return res.status(200).json({
-      message: 'Admin notifications retrieved successfully',
-      notifications: data
-    });
+    return sendSuccess(res, 'Admin notifications retrieved successfully', data);
   } catch (err) {
-    console.error('[Notification] Unexpected Error in getAdminNotifications:', err);
-    return res.status(500).json({ message: 'Internal server error' });
+    return next(err);
   }
 };
 
 /**
  * Mark a single notification as read.
  */
-export const markNotifRead = async (req, res) => {
+export const markNotifRead = async (req, res, next) => {
   try {
     const { id } = req.params;
     if (!id) {
-      return res.status(400).json({ message: 'Notification ID is required' });
+      throw new AppError('BAD_REQUEST', 'Notification ID is required');
     }
+    await assertNotificationOwnership(req.user, id);
     const { data, error } = await markNotificationAsRead(id);
     if (error) {
-      return res.status(500).json({
-        message: 'Database error: Unable to mark notification as read',
-        error: error.message
-      });
+      throw new AppError('DATABASE_ERROR', 'Database error: Unable to mark notification as read', { cause: error });
     }
     if (!data) {
-      return res.status(404).json({ message: 'Notification not found' });
+      throw new AppError('NOTIFICATION_NOT_FOUND', 'Notification not found');
     }
-    return res.status(200).json({
-      message: 'Notification marked as read',
-      data
-    });
+    return sendSuccess(res, 'Notification marked as read', data);
   } catch (err) {
-    console.error('[Notification] Unexpected Error in markNotifRead:', err);
-    return res.status(500).json({ message: 'Internal server error' });
+    return next(err);
   }
 };
 
 /**
  * Mark ALL notifications for a specific admin as read.
  */
-export const markAllAdminNotifsRead = async (req, res) => {
+export const markAllAdminNotifsRead = async (req, res, next) => {
   try {
     const { admin_id } = req.params;
     if (!admin_id) {
-      return res.status(400).json({ message: 'Admin ID is required' });
+      throw new AppError('BAD_REQUEST', 'Admin ID is required');
     }
     const { data, error } = await markAllNotificationsAsRead(admin_id);
     if (error) {
-      return res.status(500).json({
-        message: 'Database error: Unable to mark all notifications as read',
-        error: error.message
-      });
+      throw new AppError('DATABASE_ERROR', 'Database error: Unable to mark all notifications as read', { cause: error });
     }
-    return res.status(200).json({
-      message: 'All notifications marked as read',
-      data
-    });
+    return sendSuccess(res, 'All notifications marked as read', data);
   } catch (err) {
-    console.error('[Notification] Unexpected Error in markAllAdminNotifsRead:', err);
-    return res.status(500).json({ message: 'Internal server error' });
+    return next(err);
   }
 };
 
 /**
  * Mark ALL notifications for a specific guest as read.
  */
-export const markAllGuestNotifsRead = async (req, res) => {
+export const markAllGuestNotifsRead = async (req, res, next) => {
   try {
     const { guest_id } = req.params;
     if (!guest_id) {
-      return res.status(400).json({ message: 'Guest ID is required' });
+      throw new AppError('BAD_REQUEST', 'Guest ID is required');
     }
     const { data, error } = await markAllNotificationsAsReadForGuest(guest_id);
     if (error) {
-      return res.status(500).json({
-        message: 'Database error: Unable to mark all notifications as read for guest',
-        error: error.message
-      });
+      throw new AppError('DATABASE_ERROR', 'Database error: Unable to mark all notifications as read for guest', { cause: error });
     }
-    return res.status(200).json({
-      message: 'All notifications marked as read for guest',
-      data
-    });
+    return sendSuccess(res, 'All notifications marked as read for guest', data);
   } catch (err) {
-    console.error('[Notification] Unexpected Error in markAllGuestNotifsRead:', err);
-    return res.status(500).json({ message: 'Internal server error' });
+    return next(err);
   }
 };
 
 /**
  * Delete a notification (by ID).
  */
-export const removeNotification = async (req, res) => {
+export const removeNotification = async (req, res, next) => {
   try {
     const { id } = req.params;
     if (!id) {
-      return res.status(400).json({ message: 'Notification ID is required' });
+      throw new AppError('BAD_REQUEST', 'Notification ID is required');
     }
+    await assertNotificationOwnership(req.user, id);
     const { data, error } = await deleteNotification(id);
     if (error) {
-      return res.status(500).json({
-        message: 'Database error: Unable to delete notification',
-        error: error.message
-      });
+      throw new AppError('DATABASE_ERROR', 'Database error: Unable to delete notification', { cause: error });
     }
     if (!data) {
-      return res.status(404).json({ message: 'Notification not found' });
+      throw new AppError('NOTIFICATION_NOT_FOUND', 'Notification not found');
     }
-    return res.status(200).json({
-      message: 'Notification deleted successfully',
-      data
-    });
+    return sendSuccess(res, 'Notification deleted successfully', data);
   } catch (err) {
-    console.error('[Notification] Unexpected Error in removeNotification:', err);
-    return res.status(500).json({ message: 'Internal server error' });
+    return next(err);
   }
 };
 
 /**
  * Clear (delete) ALL notifications for a specific admin.
  */
-export const clearAllAdminNotifs = async (req, res) => {
+export const clearAllAdminNotifs = async (req, res, next) => {
   try {
     const { admin_id } = req.params;
     if (!admin_id) {
-      return res.status(400).json({ message: 'Admin ID is required' });
+      throw new AppError('BAD_REQUEST', 'Admin ID is required');
     }
     const { data, error } = await deleteAllNotificationsForAdmin(admin_id);
     if (error) {
-      return res.status(500).json({
-        message: 'Database error: Unable to clear all notifications',
-        error: error.message
-      });
+      throw new AppError('DATABASE_ERROR', 'Database error: Unable to clear all notifications', { cause: error });
     }
-    return res.status(200).json({
-      message: 'All notifications cleared successfully',
-      data
-    });
+    return sendSuccess(res, 'All notifications cleared successfully', data);
   } catch (err) {
-    console.error('[Notification] Unexpected Error in clearAllAdminNotifs:', err);
-    return res.status(500).json({ message: 'Internal server error' });
+    return next(err);
   }
 };
 
 /**
  * Clear (delete) ALL notifications for a specific guest.
  */
-export const clearAllGuestNotifs = async (req, res) => {
+export const clearAllGuestNotifs = async (req, res, next) => {
   try {
     const { guest_id } = req.params;
     if (!guest_id) {
-      return res.status(400).json({ message: 'Guest ID is required' });
+      throw new AppError('BAD_REQUEST', 'Guest ID is required');
     }
     const { data, error } = await deleteAllNotificationsForGuest(guest_id);
     if (error) {
-      return res.status(500).json({
-        message: 'Database error: Unable to clear all notifications for guest',
-        error: error.message
-      });
+      throw new AppError('DATABASE_ERROR', 'Database error: Unable to clear all notifications for guest', { cause: error });
     }
-    return res.status(200).json({
-      message: 'All notifications cleared for guest',
-      data
-    });
+    return sendSuccess(res, 'All notifications cleared for guest', data);
   } catch (err) {
-    console.error('[Notification] Unexpected Error in clearAllGuestNotifs:', err);
-    return res.status(500).json({ message: 'Internal server error' });
+    return next(err);
   }
 };
@@ -0,0 +1,36 @@
+// controllers/reminderController.js
+import { getReminderPolicy, saveReminderPolicy } from '../services/reminderService.js';
+import { JOB_TYPES, enqueueOnce } from '../services/jobScheduler.js';
+import { AppError } from '../utils/appError.js';
+import { sendSuccess } from '../utils/responseHelper.js';
+
+/**
+ * GET /api/reminders/policy
+ * Effective reminder policy (stored setting merged over the defaults).
+ */
+export const getReminderPolicyController = async (req, res, next) => {
+  try {
+    const policy = await getReminderPolicy();
+    return sendSuccess(res, 'Reminder policy fetched successfully.', policy);
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * PUT /api/reminders/policy
+ * Change any part of the policy. Already scheduled reminders are rebuilt in the
+ * background so new offsets apply to current stays and reservations too.
+ */
+export const updateReminderPolicyController = async (req, res, next) => {
+  try {
+    const { data, error } = await saveReminderPolicy(req.body);
+    if (error) {
+      throw new AppError('DATABASE_ERROR', 'Database error: Unable to save reminder policy.', { cause: error });
+    }
+    await enqueueOnce(JOB_TYPES.RECONCILE, `${JOB_TYPES.RECONCILE}:${Date.now()}`);
+    return sendSuccess(res, 'Reminder policy updated successfully.', data);
+  } catch (error) {
+    return next(error);
+  }
+};
@@ -4,12 +4,14 @@ import {
     getRequestLogsByRequestId,
     getAllRequestLogs
   } from '../models/requestLogsModel.js';
+  import { AppError } from '../utils/appError.js';
+  import { sendSuccess } from '../utils/responseHelper.js';
   
   /**
    * POST /api/request-logs
    * Create a new request log entry.
    */
-  export const createNewRequestLog = async (req, res) => {
+  export const createNewRequestLog = async (req, res, next) => {
     try {
       const {
         request_id,
@@ -22,10 +24,7 @@ import {
   
       // Require at least one identifying field.
       if (!request_id && !request_size && !log_type) {
-        return res.status(400).json({
-          success: false,
-          message: 'Missing required fields: provide request_id or request_size or log_type.'
-        });
+        throw new AppError('BAD_REQUEST', 'Missing required fields: provide request_id or request_size or log_type.');
       }
   
       const { data, error } = await createRequestLog({
@@ -38,21 +37,12 @@ import {
       });
   
       if (error) {
-        return res.status(500).json({
-          success: false,
-          message: 'Database error: Unable to create request log',
-          error: error.message
-        });
+        throw new AppError('DATABASE_ERROR', 'Database error: Unable to create request log', { cause: error });
       }
   
-      return res.status(201).json({
-        success: true,
-        message: 'Request log created successfully',
-        data
-      });
+      return sendSuccess(res, 'Request log created successfully', data, 201);
     } catch (error) {
-      console.error('[createNewRequestLog] Unexpected Error:', error);
-      return res.status(500).json({ success: false, message: 'Internal server error' });
+      return next(error);
     }
   };
   
@@ -60,24 +50,15 @@ import {
    * GET /api/request-logs
    * Fetch all request logs.
    */
-  export const getAllLogs = async (req, res) => {
+  export const getAllLogs = async (req, res, next) => {
     try {
       const { data, error } = await getAllRequestLogs();
       if (error) {
-        return res.status(500).json({
-          success: false,
-          message: 'Database error: Unable to fetch request logs',
-          error: error.message
-        });
+        throw new AppError('DATABASE_ERROR', 'Database error: Unable to fetch request logs', { cause: error });
       }
-      return res.status(200).json({
-        success: true,
-        message: 'All request logs fetched successfully',
-        data: data || []
-      });
+      return sendSuccess(res, 'All request logs fetched successfully', data || []);
     } catch (error) {
-      console.error('[getAllLogs] Unexpected Error:', error);
-      return res.status(500).json({ success: false, message: 'Internal server error' });
+      return next(error);
     }
   };
   
@@ -85,16 +66,13 @@ import {
    * GET /api/request-logs/:request_id
    * Fetch logs for a specific request.
    */
-  export const getLogsForRequest = async (req, res) => {
+  export const getLogsForRequest = async (req, res, next) => {
     try {
       const { request_id } = req.params;
       const { limit = 10, offset = 0 } = req.query;
   
       if (!request_id) {
-        return res.status(400).json({
-          success: false,
-          message: 'request_id is required'
-        });
+        throw new AppError('BAD_REQUEST', 'request_id is required');
       }
   
       const { data, error } = await getRequestLogsByRequestId(
@@ -104,21 +82,12 @@ import {
       );
   
       if (error) {
-        return res.status(500).json({
-          success: false,
-          message: 'Database error: Unable to fetch request logs',
-          error: error.message
-        });
+        throw new AppError('DATABASE_ERROR', 'Database error: Unable to fetch request logs', { cause: error });
       }
   
-      return res.status(200).json({
-        success: true,
-        message: `Request logs for request_id #${request_id}`,
-        data: data || []
-      });
+      return sendSuccess(res, `Request logs for request_id #${request_id}`, data || []);
     } catch (error) {
-      console.error('[getLogsForRequest] Unexpected Error:', error);
-      return res.status(500).json({ success: false, message: 'Internal server error' });
+      return next(error);
     }
   };
   
\ No newline at end of file
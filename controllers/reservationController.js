@@ -0,0 +1,270 @@
+// controllers/reservationController.js
+import {
+  createReservation,
+  getReservationById,
+  listReservations,
+  updateReservation,
+} from '../models/reservationModel.js';
+import { findRoomByNumber } from '../models/roomsModel.js';
+import { isStaffRole } from '../config/roles.js';
+import { assertRoomBookable, findAvailableRooms } from '../services/reservationService.js';
+import { loadGuest, promoteReservation } from '../services/stayService.js';
+import { scheduleReservationJobs, cancelReservationJobs } from '../services/jobScheduler.js';
+import { AppError } from '../utils/appError.js';
+import { sendSuccess } from '../utils/responseHelper.js';
+
+/**
+ * Load a reservation or throw RESERVATION_NOT_FOUND; with requireBooked, also
+ * reject reservations that were already promoted, canceled or closed.
+ */
+const loadReservation = async (id, { requireBooked = false } = {}) => {
+  const { data: reservation, error } = await getReservationById(id);
+  if (error) {
+    throw new AppError('DATABASE_ERROR', 'Database error: Unable to fetch reservation.', { cause: error });
+  }
+  if (!reservation) {
+    throw new AppError('RESERVATION_NOT_FOUND', `Reservation ${id} not found.`);
+  }
+  if (requireBooked && reservation.status !== 'booked') {
+    throw new AppError('RESERVATION_NOT_BOOKED', `Reservation ${id} is ${reservation.status}.`, {
+      details: { status: reservation.status },
+    });
+  }
+  return reservation;
+};
+
+const loadRoom = async (roomNumber) => {
+  const { data: room, error } = await findRoomByNumber(roomNumber);
+  if (error) {
+    throw new AppError('DATABASE_ERROR', 'Database error: Could not find room.', { cause: error });
+  }
+  if (!room) {
+    throw new AppError('ROOM_NOT_FOUND', `Room ${roomNumber} not found.`);
+  }
+  return room;
+};
+
+const assertCapacity = (room, guestsCount) => {
+  if (room.capacity && guestsCount > room.capacity) {
+    throw new AppError('ROOM_CAPACITY_EXCEEDED', `Room ${room.room_number} sleeps at most ${room.capacity}.`, {
+      details: { capacity: room.capacity, guests_count: guestsCount },
+    });
+  }
+};
+
+/**
+ * The exclusion constraint (23P01) catches a booking that raced past the API check.
+ */
+const reservationWriteError = (error, message) => {
+  if (error.code === '23P01') {
+    return new AppError('RESERVATION_CONFLICT', 'The room was booked for part of that period in the meantime.');
+  }
+  return new AppError('DATABASE_ERROR', message, { cause: error });
+};
+
+/**
+ * GET /api/reservations/availability
+ * Rooms free for the whole range, optionally by room_type and minimum capacity.
+ */
+export const searchAvailabilityController = async (req, res, next) => {
+  try {
+    const { check_in, check_out, room_type, capacity } = req.query;
+    const rooms = await findAvailableRooms({
+      checkIn: new Date(check_in).toISOString(),
+      checkOut: new Date(check_out).toISOString(),
+      roomType: room_type || null,
+      minCapacity: capacity ? parseInt(capacity, 10) : null,
+    });
+    return sendSuccess(res, `${rooms.length} room(s) available.`, rooms);
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * POST /api/reservations
+ * Book a room for a future date range.
+ */
+export const createReservationController = async (req, res, next) => {
+  try {
+    const { guest_id, room_number, check_in, check_out, guests_count = 1, notes, add_ons = [] } = req.body;
+    await loadGuest(guest_id);
+
+    const room = await loadRoom(room_number);
+    const numericGuests = parseInt(guests_count, 10);
+    assertCapacity(room, numericGuests);
+
+    const checkIn = new Date(check_in).toISOString();
+    const checkOut = new Date(check_out).toISOString();
+    await assertRoomBookable(room, checkIn, checkOut);
+
+    const { data, error } = await createReservation({
+      room_id: room.id,
+      guest_id,
+      check_in: checkIn,
+      check_out: checkOut,
+      guests_count: numericGuests,
+      notes,
+      add_ons,
+      created_by: isStaffRole(req.user?.role) ? req.user.id : null,
+    });
+    if (error) {
+      throw reservationWriteError(error, 'Database error: Unable to create reservation.');
+    }
+    await scheduleReservationJobs(data);
+    return sendSuccess(res, 'Reservation created successfully.', data, 201);
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * GET /api/reservations
+ * List reservations with optional guest, room, status and date-window filters.
+ */
+export const listReservationsController = async (req, res, next) => {
+  try {
+    const { guest_id, room_number, status, from, to, limit = 50, offset = 0 } = req.query;
+    const room = room_number ? await loadRoom(room_number) : null;
+
+    const { data, error } = await listReservations({
+      guest_id,
+      room_id: room?.id,
+      status,
+      from,
+      to,
+      limit: parseInt(limit, 10),
+      offset: parseInt(offset, 10),
+    });
+    if (error) {
+      throw new AppError('DATABASE_ERROR', 'Database error: Unable to fetch reservations.', { cause: error });
+    }
+    return sendSuccess(res, 'Reservations fetched successfully.', data);
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * GET /api/reservations/guest/:guest_id
+ */
+export const getGuestReservationsController = async (req, res, next) => {
+  try {
+    const { data, error } = await listReservations({ guest_id: req.params.guest_id, limit: 500 });
+    if (error) {
+      throw new AppError('DATABASE_ERROR', 'Database error: Unable to fetch reservations.', { cause: error });
+    }
+    return sendSuccess(res, 'Reservations fetched successfully.', data);
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * GET /api/reservations/:id
+ */
+export const getReservationController = async (req, res, next) => {
+  try {
+    const reservation = await loadReservation(req.params.id);
+    return sendSuccess(res, 'Reservation fetched successfully.', reservation);
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * PATCH /api/reservations/:id
+ * Move a booked reservation to another room or date range, or edit its details.
+ */
+export const updateReservationController = async (req, res, next) => {
+  try {
+    const reservation = await loadReservation(req.params.id, { requireBooked: true });
+    const { room_number, check_in, check_out, guests_count, notes, add_ons } = req.body;
+
+    const room = room_number ? await loadRoom(room_number) : reservation.rooms;
+    const checkIn = new Date(check_in || reservation.check_in).toISOString();
+    const checkOut = new Date(check_out || reservation.check_out).toISOString();
+    if (new Date(checkOut) <= new Date(checkIn)) {
+      throw new AppError('BAD_REQUEST', 'check_out must be after check_in.');
+    }
+    const numericGuests = guests_count != null ? parseInt(guests_count, 10) : reservation.guests_count;
+    assertCapacity(room, numericGuests);
+
+    const moved =
+      String(room.id) !== String(reservation.room_id) ||
+      checkIn !== new Date(reservation.check_in).toISOString() ||
+      checkOut !== new Date(reservation.check_out).toISOString();
+    if (moved) {
+      await assertRoomBookable(room, checkIn, checkOut, { excludeId: reservation.id });
+    }
+
+    const { data, error } = await updateReservation(
+      reservation.id,
+      {
+        room_id: room.id,
+        check_in: checkIn,
+        check_out: checkOut,
+        guests_count: numericGuests,
+        ...(notes !== undefined ? { notes } : {}),
+        ...(add_ons !== undefined ? { add_ons } : {}),
+      },
+      { onlyIfStatus: ['booked'] }
+    );
+    if (error) {
+      throw reservationWriteError(error, 'Database error: Unable to update reservation.');
+    }
+    if (!data) {
+      throw new AppError('RESERVATION_NOT_BOOKED', `Reservation ${reservation.id} is no longer booked.`);
+    }
+    await scheduleReservationJobs(data);
+    return sendSuccess(res, 'Reservation updated successfully.', data);
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * POST /api/reservations/:id/cancel
+ * Cancel a booked reservation. Promoted reservations are ended through their stay.
+ */
+export const cancelReservationController = async (req, res, next) => {
+  try {
+    const reservation = await loadReservation(req.params.id, { requireBooked: true });
+    const { data, error } = await updateReservation(
+      reservation.id,
+      { status: 'canceled', canceled_at: new Date().toISOString() },
+      { onlyIfStatus: ['booked'] }
+    );
+    if (error) {
+      throw new AppError('DATABASE_ERROR', 'Database error: Unable to cancel reservation.', { cause: error });
+    }
+    if (!data) {
+      throw new AppError('RESERVATION_NOT_BOOKED', `Reservation ${reservation.id} is no longer booked.`);
+    }
+    await cancelReservationJobs(reservation.id);
+    return sendSuccess(res, `Reservation ${reservation.id} canceled.`, data);
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * POST /api/reservations/:id/promote
+ * Check the guest in now instead of waiting for the promotion job. A guest who
+ * arrives early gets a stay starting now, provided the room is already free.
+ */
+export const promoteReservationController = async (req, res, next) => {
+  try {
+    const reservation = await loadReservation(req.params.id, { requireBooked: true });
+    const now = new Date();
+    const early = now < new Date(reservation.check_in);
+
+    const result = await promoteReservation(reservation, {
+      createdBy: isStaffRole(req.user?.role) ? req.user.id : null,
+      checkIn: early ? now.toISOString() : null,
+    });
+    return sendSuccess(res, `Reservation ${reservation.id} promoted to stay ${result.stay.id}.`, result);
+  } catch (error) {
+    return next(error);
+  }
+};
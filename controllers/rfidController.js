@@ -8,308 +8,283 @@ import {
   activateRFID,
   markRFIDLost,
   unassignRFID,
+  assignRFIDToStaff,
+  suspendRFID,
+  reinstateRFID,
 } from '../models/rfidModel.js';
 import { findUserById } from '../models/userModel.js';
+import { getAdminById } from '../models/adminModel.js';
+import { findRoomByNumber } from '../models/roomsModel.js';
 import supabase from '../config/supabase.js';
-import { findRoomByGuestAndNumber } from '../models/roomsModel.js';
+import {
+  findLiveCardByRFID,
+  getOpenStayRooms,
+  revokeStayCards,
+} from '../models/stayModel.js';
+import { getCardEntries } from '../models/cardSyncModel.js';
+import { checkInByCardTx } from '../models/occupancyFlowModel.js';
+import { scheduleRoomCheckOutJobs } from '../services/jobScheduler.js';
+import { getSetting } from '../services/settingsService.js';
+import { resolveReportingDevice, resolveTapDoor } from '../services/deviceService.js';
+import { evaluateZoneAccess } from '../services/accessPolicyService.js';
+import { verifyStaffTap } from '../services/staffAccessService.js';
+import { replaceLostCard } from '../services/stayService.js';
+import { setCredentialMode, issueChallenge, verifyCardCredential, toPublicCard } from '../services/cardCredentialService.js';
+import { verifyKeypadPin as checkKeypadPin, checkCardPin } from '../services/keypadPinService.js';
+import { isStaffRole } from '../config/roles.js';
+import {
+  buildSignedSnapshot,
+  buildSignedDelta,
+  getSigningPublicKey,
+} from '../services/cardSyncService.js';
 import fetch from 'node-fetch';  // For calling Pi-based endpoints
+import { AppError, appErrorFromRpc } from '../utils/appError.js';
+import { sendSuccess } from '../utils/responseHelper.js';
 
 const BACKEND_BASE_URL = process.env.BACKEND_BASE_URL || "https://smartaccesscontrol-backend-production.up.railway.app/api";
 const PI_GATEWAY_BASE_URL = process.env.PI_GATEWAY_BASE_URL || BACKEND_BASE_URL;
 
+/**
+ * Take a card off its stay once it can no longer open doors (lost/unassigned).
+ * Logged only: the card's own status already blocks verification.
+ */
+const revokeCardOnStay = async (rfidId, reason) => {
+  const { error } = await revokeStayCards('rfid_id', rfidId, reason);
+  if (error) {
+    console.error(`[rfidController] Error revoking stay card for RFID #${rfidId}:`, error);
+  }
+};
+
 // -----------------------------------------------------------------------------
 //  1) GET /api/rfid/all
 // -----------------------------------------------------------------------------
-export const getAllRFIDTags = async (req, res) => {
+export const getAllRFIDTags = async (req, res, next) => {
   try {
     const { data, error } = await getAllRFIDs();
     if (error) {
-      console.error('[getAllRFIDTags] Database error:', error);
-      return res.status(500).json({
-        success: false,
-        message: 'Database error: Unable to fetch all RFID tags.',
-      });
+      throw new AppError('DATABASE_ERROR', 'Database error: Unable to fetch all RFID tags.', { cause: error });
     }
-    return res.status(200).json({
-      success: true,
-      message: 'All RFID tags fetched successfully.',
-      data,
-    });
+    return sendSuccess(res, 'All RFID tags fetched successfully.', data);
   } catch (error) {
-    console.error('[getAllRFIDTags] Unexpected error:', error);
-    return res.status(500).json({
-      success: false,
-      message: 'Internal server error.',
-    });
+    return next(error);
   }
 };
 
 // -----------------------------------------------------------------------------
 //  2) GET /api/rfid/available
 // -----------------------------------------------------------------------------
-export const getAvailableRFIDTags = async (req, res) => {
+export const getAvailableRFIDTags = async (req, res, next) => {
   try {
     const { data, error } = await getAvailableRFIDs();
     if (error) {
-      console.error('[getAvailableRFIDTags] Database error:', error);
-      return res.status(500).json({
-        success: false,
-        message: 'Database error: Unable to fetch available RFID tags.',
-      });
+      throw new AppError('DATABASE_ERROR', 'Database error: Unable to fetch available RFID tags.', { cause: error });
     }
-    return res.status(200).json({
-      success: true,
-      message: 'Available RFID tags fetched successfully.',
-      data,
-    });
+    return sendSuccess(res, 'Available RFID tags fetched successfully.', data);
   } catch (error) {
-    console.error('[getAvailableRFIDTags] Unexpected error:', error);
-    return res.status(500).json({
-      success: false,
-      message: 'Internal server error.',
-    });
+    return next(error);
   }
 };
 
 // -----------------------------------------------------------------------------
 //  3) POST /api/rfid/assign
 // -----------------------------------------------------------------------------
-export const assignRFID = async (req, res) => {
+export const assignRFID = async (req, res, next) => {
   try {
     const { guest_id, rfid_uid } = req.body;
     if (!guest_id || !rfid_uid) {
-      return res.status(400).json({
-        success: false,
-        message: 'Guest ID and rfid_uid are required.',
-      });
+      throw new AppError('BAD_REQUEST', 'Guest ID and rfid_uid are required.');
     }
 
     // Validate guest existence
     const { data: guestData, error: guestError } = await findUserById(guest_id);
     if (guestError) {
-      console.error('[assignRFID] Error finding guest:', guestError);
-      return res.status(500).json({
-        success: false,
-        message: 'Database error: Unable to fetch guest.',
-      });
+      throw new AppError('DATABASE_ERROR', 'Database error: Unable to fetch guest.', { cause: guestError });
     }
     if (!guestData) {
-      return res.status(404).json({
-        success: false,
-        message: 'Guest not found.',
-      });
+      throw new AppError('GUEST_NOT_FOUND', 'Guest not found.');
     }
 
     // Validate RFID existence and availability
     const { data: rfidRecord, error: rfidError } = await findRFIDByUID(rfid_uid);
     if (rfidError) {
-      console.error('[assignRFID] Error finding RFID:', rfidError);
-      return res.status(500).json({
-        success: false,
-        message: 'Database error: Unable to check RFID.',
-      });
+      throw new AppError('DATABASE_ERROR', 'Database error: Unable to check RFID.', { cause: rfidError });
     }
     if (!rfidRecord) {
-      return res.status(404).json({
-        success: false,
-        message: `RFID ${rfid_uid} does not exist in the database.`,
-      });
+      throw new AppError('RFID_NOT_FOUND', `RFID ${rfid_uid} does not exist in the database.`);
     }
     if (rfidRecord.status !== 'available') {
-      return res.status(400).json({
-        success: false,
-        message: `RFID ${rfid_uid} is not available. Current status: ${rfidRecord.status}.`,
-      });
+      throw new AppError('RFID_NOT_AVAILABLE', `RFID ${rfid_uid} is not available. Current status: ${rfidRecord.status}.`);
     }
 
     // Assign the RFID to the guest
     const { data, error } = await assignRFIDToGuest(rfid_uid, guest_id);
     if (error) {
-      console.error('[assignRFID] Database error assigning RFID:', error);
-      return res.status(500).json({
-        success: false,
-        message: 'Database error: Unable to assign RFID.',
-      });
+      throw new AppError('DATABASE_ERROR', 'Database error: Unable to assign RFID.', { cause: error });
     }
     if (!data) {
-      return res.status(400).json({
-        success: false,
-        message: 'Failed to assign RFID. Possibly the RFID is no longer available.',
-      });
+      throw new AppError('RFID_NOT_AVAILABLE', 'Failed to assign RFID. Possibly the RFID is no longer available.');
     }
 
-    return res.status(201).json({
-      success: true,
-      message: `RFID ${rfid_uid} assigned to guest ${guest_id} successfully (status: assigned).`,
-      data,
-    });
+    return sendSuccess(res, `RFID ${rfid_uid} assigned to guest ${guest_id} successfully (status: assigned).`, data, 201);
   } catch (error) {
-    console.error('[assignRFID] Unexpected error:', error);
-    return res.status(500).json({
-      success: false,
-      message: 'Internal server error.',
-    });
+    return next(error);
+  }
+};
+
+// -----------------------------------------------------------------------------
+//  3a) POST /api/rfid/assign-staff
+//  Issue a staff or master card. It is active at once and keeps its holder
+//  across guest check-outs until it is unassigned or marked lost.
+// -----------------------------------------------------------------------------
+export const assignStaffRFID = async (req, res, next) => {
+  try {
+    const { admin_id, rfid_uid, card_type = 'staff' } = req.body;
+
+    const { data: adminData, error: adminError } = await getAdminById(Number(admin_id));
+    if (adminError) {
+      throw new AppError('DATABASE_ERROR', 'Database error: Unable to fetch staff member.', { cause: adminError });
+    }
+    if (!adminData) {
+      throw new AppError('ADMIN_NOT_FOUND', 'Staff member not found.');
+    }
+
+    const { data: rfidRecord, error: rfidError } = await findRFIDByUID(rfid_uid);
+    if (rfidError) {
+      throw new AppError('DATABASE_ERROR', 'Database error: Unable to check RFID.', { cause: rfidError });
+    }
+    if (!rfidRecord) {
+      throw new AppError('RFID_NOT_FOUND', `RFID ${rfid_uid} does not exist in the database.`);
+    }
+    if (rfidRecord.status !== 'available') {
+      throw new AppError('RFID_NOT_AVAILABLE', `RFID ${rfid_uid} is not available. Current status: ${rfidRecord.status}.`);
+    }
+
+    const { data, error } = await assignRFIDToStaff(rfid_uid, adminData.id, card_type);
+    if (error) {
+      throw new AppError('DATABASE_ERROR', 'Database error: Unable to assign RFID.', { cause: error });
+    }
+    if (!data) {
+      throw new AppError('RFID_NOT_AVAILABLE', 'Failed to assign RFID. Possibly the RFID is no longer available.');
+    }
+
+    return sendSuccess(res, `${card_type === 'master' ? 'Master' : 'Staff'} card ${rfid_uid} issued to ${adminData.username}.`, data, 201);
+  } catch (error) {
+    return next(error);
   }
 };
 
 // -----------------------------------------------------------------------------
 //  4) POST /api/rfid/activate
 // -----------------------------------------------------------------------------
-export const activateRFIDTag = async (req, res) => {
+export const activateRFIDTag = async (req, res, next) => {
   try {
     const { rfid_uid } = req.body;
     if (!rfid_uid) {
-      return res.status(400).json({
-        success: false,
-        message: 'rfid_uid is required.',
-      });
+      throw new AppError('BAD_REQUEST', 'rfid_uid is required.');
     }
     const { data, error } = await activateRFID(rfid_uid);
     if (error) {
-      console.error('[activateRFIDTag] Error activating RFID:', error);
-      return res.status(500).json({
-        success: false,
-        message: 'Database error: Unable to activate RFID.',
-      });
+      throw new AppError('DATABASE_ERROR', 'Database error: Unable to activate RFID.', { cause: error });
     }
     if (!data) {
-      return res.status(400).json({
-        success: false,
-        message: 'RFID not found or not in assigned status.',
-      });
+      throw new AppError('RFID_INVALID_STATUS', 'RFID not found or not in assigned status.');
     }
-    return res.status(200).json({
-      success: true,
-      message: `RFID ${rfid_uid} activated successfully (status: active).`,
-      data,
-    });
+    return sendSuccess(res, `RFID ${rfid_uid} activated successfully (status: active).`, data);
   } catch (error) {
-    console.error('[activateRFIDTag] Unexpected error:', error);
-    return res.status(500).json({
-      success: false,
-      message: 'Internal server error.',
-    });
+    return next(error);
   }
 };
 
 // -----------------------------------------------------------------------------
 //  5) POST /api/rfid/lost
 // -----------------------------------------------------------------------------
-export const markRFIDAsLost = async (req, res) => {
+export const markRFIDAsLost = async (req, res, next) => {
   try {
     const { rfid_uid } = req.body;
     if (!rfid_uid) {
-      return res.status(400).json({
-        success: false,
-        message: 'rfid_uid is required.',
-      });
+      throw new AppError('BAD_REQUEST', 'rfid_uid is required.');
     }
     const { data, error } = await markRFIDLost(rfid_uid);
     if (error) {
-      console.error('[markRFIDAsLost] Error marking RFID lost:', error);
-      return res.status(500).json({
-        success: false,
-        message: 'Database error: Unable to mark RFID as lost.',
-      });
+      throw new AppError('DATABASE_ERROR', 'Database error: Unable to mark RFID as lost.', { cause: error });
     }
     if (!data) {
-      return res.status(400).json({
-        success: false,
-        message: 'RFID not found or already lost.',
-      });
+      throw new AppError('RFID_INVALID_STATUS', 'RFID not found or already lost.');
     }
-    return res.status(200).json({
-      success: true,
-      message: `RFID ${rfid_uid} status changed to lost.`,
-      data,
-    });
+    await revokeCardOnStay(data.id, 'lost');
+    return sendSuccess(res, `RFID ${rfid_uid} status changed to lost.`, data);
   } catch (error) {
-    console.error('[markRFIDAsLost] Unexpected error:', error);
-    return res.status(500).json({
-      success: false,
-      message: 'Internal server error.',
+    return next(error);
+  }
+};
+
+// -----------------------------------------------------------------------------
+//  5a) POST /api/rfid/replace
+//  Swap a lost guest card for an available one without touching the stay.
+//  The lost card may already be marked lost.
+// -----------------------------------------------------------------------------
+export const replaceRFIDCard = async (req, res, next) => {
+  try {
+    const { old_rfid_uid, new_rfid_uid, note = null } = req.body;
+    const result = await replaceLostCard({
+      oldRfidUid: old_rfid_uid,
+      newRfidUid: new_rfid_uid,
+      replacedBy: isStaffRole(req.user?.role) ? req.user.id : null,
+      note,
     });
+    return sendSuccess(res, `RFID ${old_rfid_uid} marked lost and replaced by ${new_rfid_uid} on stay ${result.stay_id}.`, result);
+  } catch (error) {
+    return next(error);
   }
 };
 
 // -----------------------------------------------------------------------------
 //  6) POST /api/rfid/unassign
 // -----------------------------------------------------------------------------
-export const unassignRFIDTag = async (req, res) => {
+export const unassignRFIDTag = async (req, res, next) => {
   try {
     const { rfid_uid } = req.body;
     if (!rfid_uid) {
-      return res.status(400).json({
-        success: false,
-        message: 'rfid_uid is required.',
-      });
+      throw new AppError('BAD_REQUEST', 'rfid_uid is required.');
     }
     const { data, error } = await unassignRFID(rfid_uid);
     if (error) {
-      console.error('[unassignRFIDTag] Error unassigning RFID:', error);
-      return res.status(500).json({
-        success: false,
-        message: 'Database error: Unable to unassign RFID.',
-      });
+      throw new AppError('DATABASE_ERROR', 'Database error: Unable to unassign RFID.', { cause: error });
     }
     if (!data) {
-      return res.status(400).json({
-        success: false,
-        message: 'RFID not found or already available.',
-      });
+      throw new AppError('RFID_INVALID_STATUS', 'RFID not found or already available.');
     }
-    return res.status(200).json({
-      success: true,
-      message: `RFID ${rfid_uid} unassigned successfully (status: available).`,
-      data,
-    });
+    await revokeCardOnStay(data.id, 'unassigned');
+    return sendSuccess(res, `RFID ${rfid_uid} unassigned successfully (status: available).`, data);
   } catch (error) {
-    console.error('[unassignRFIDTag] Unexpected error:', error);
-    return res.status(500).json({
-      success: false,
-      message: 'Internal server error.',
-    });
+    return next(error);
   }
 };
 
 // -----------------------------------------------------------------------------
 //  7) PUT /api/rfid/update-status
 // -----------------------------------------------------------------------------
-export const updateRFIDStatus = async (req, res) => {
+export const updateRFIDStatus = async (req, res, next) => {
   try {
     const { rfid_uid, status } = req.body;
     if (!rfid_uid || !status) {
-      return res.status(400).json({
-        success: false,
-        message: 'rfid_uid and status are required.',
-      });
+      throw new AppError('BAD_REQUEST', 'rfid_uid and status are required.');
     }
 
     // 1) Fetch the RFID record
     const { data: rfidRecord, error: findErr } = await findRFIDByUID(rfid_uid);
     if (findErr) {
-      console.error('[updateRFIDStatus] Error finding RFID:', findErr);
-      return res.status(500).json({
-        success: false,
-        message: 'Database error: Unable to look up RFID.',
-      });
+      throw new AppError('DATABASE_ERROR', 'Database error: Unable to look up RFID.', { cause: findErr });
     }
     if (!rfidRecord) {
-      return res.status(404).json({
-        success: false,
-        message: `RFID ${rfid_uid} not found.`,
-      });
+      throw new AppError('RFID_NOT_FOUND', `RFID ${rfid_uid} not found.`);
     }
 
     // 2) If RFID is already in desired status, return it
     const oldStatus = (rfidRecord.status || '').toLowerCase();
     const newStatus = status.toLowerCase();
     if (oldStatus === newStatus) {
-      return res.status(200).json({
-        success: true,
-        message: 'No changes needed. RFID is already in that status.',
-        data: rfidRecord,
-      });
+      return sendSuccess(res, 'No changes needed. RFID is already in that status.', rfidRecord);
     }
 
     // 3) Update status accordingly
@@ -327,379 +302,363 @@ export const updateRFIDStatus = async (req, res) => {
         .select('id, rfid_uid, guest_id, status, created_at')
         .maybeSingle();
       if (error) {
-        console.error('[updateRFIDStatus] Error setting RFID assigned:', error);
-        return res.status(500).json({
-          success: false,
-          message: 'Database error: Unable to set RFID to assigned.',
-        });
+        throw new AppError('DATABASE_ERROR', 'Database error: Unable to set RFID to assigned.', { cause: error });
       }
       updatedData = data;
     } else if (newStatus === 'active') {
-      const { data, error } = await activateRFID(rfid_uid);
+      const { data, error } = oldStatus === 'suspended'
+        ? await reinstateRFID(rfid_uid, 'active')
+        : await activateRFID(rfid_uid);
       if (error) throw error;
       updatedData = data;
     } else if (newStatus === 'lost') {
       const { data, error } = await markRFIDLost(rfid_uid);
       if (error) throw error;
       updatedData = data;
+    } else if (newStatus === 'suspended') {
+      const { data, error } = await suspendRFID(rfid_uid);
+      if (error) throw error;
+      if (!data) {
+        throw new AppError('RFID_INVALID_STATUS', `Only an assigned or active RFID can be suspended (status: ${oldStatus}).`, {
+          status: 409,
+        });
+      }
+      updatedData = data;
     } else {
-      return res.status(400).json({
-        success: false,
-        message: `Unsupported status: ${status}`,
+      throw new AppError('BAD_REQUEST', `Unsupported status: ${status}`);
+    }
+
+    if (updatedData && (newStatus === 'available' || newStatus === 'lost')) {
+      await revokeCardOnStay(updatedData.id, newStatus === 'lost' ? 'lost' : 'unassigned');
+    }
+
+    return sendSuccess(res, `RFID status updated to '${newStatus}'.`, updatedData);
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * Rooms a card opens: a card issued on a stay opens the stay's rooms (or the
+ * subset listed on the card); a legacy card opens the rooms held by its guest.
+ */
+const findCardRooms = async (rfidData) => {
+  const { data: card, error: cardError } = await findLiveCardByRFID(rfidData.id);
+  if (cardError) {
+    throw new AppError('DATABASE_ERROR', 'Database error: Unable to look up stay card.', { cause: cardError });
+  }
+
+  let candidates;
+  if (card) {
+    const { data: openRooms, error: roomsError } = await getOpenStayRooms(card.stay_id);
+    if (roomsError) {
+      throw new AppError('DATABASE_ERROR', 'Error fetching room information.', { cause: roomsError });
+    }
+    const allowed = card.room_ids ? card.room_ids.map(String) : null;
+    candidates = allowed ? openRooms.filter((r) => allowed.includes(String(r.id))) : openRooms;
+  } else {
+    const { data: guestRooms, error: fetchError } = await supabase
+      .from('rooms')
+      .select('*')
+      .eq('guest_id', rfidData.guest_id)
+      .in('status', ['reserved', 'occupied']);
+    if (fetchError) {
+      throw new AppError('DATABASE_ERROR', 'Error fetching room information.', { cause: fetchError });
+    }
+    candidates = guestRooms || [];
+  }
+  return { candidates, stay: card ? card.stays : null };
+};
+
+/**
+ * Work out which room a tap is for and whether the card may open it. When a
+ * card opens more than one room the gateway must say which door was tapped.
+ */
+const resolveDoorRoom = async (rfidData, roomNumber) => {
+  const { candidates, stay } = await findCardRooms(rfidData);
+
+  if (!roomNumber) {
+    if (candidates.length === 0) {
+      throw new AppError('ROOM_ACCESS_DENIED', 'No reserved/occupied room found for this card.');
+    }
+    if (candidates.length > 1) {
+      throw new AppError('DOOR_REQUIRED', 'This card opens several rooms; device_id or room_number of the door is required.', {
+        details: { room_numbers: candidates.map((r) => r.room_number) },
       });
     }
+    return { roomData: candidates[0], stay };
+  }
+
+  const match = candidates.find((r) => String(r.room_number) === String(roomNumber));
+  if (!match) {
+    throw new AppError('ROOM_ACCESS_DENIED', `Access denied: This card does not open room ${roomNumber}.`);
+  }
+  return { roomData: match, stay };
+};
 
-    return res.status(200).json({
-      success: true,
-      message: `RFID status updated to '${newStatus}'.`,
-      data: updatedData,
+const ZONE_DENIAL_MESSAGES = {
+  staff_only: 'Access denied: This door is for staff only.',
+  outside_hours: 'Access denied: This area is closed to you at this time.',
+  not_entitled: 'Access denied: Your booking does not include this area.',
+};
+
+/**
+ * A tap on a zone door (gym, pool, parking, a floor). The card must belong
+ * to a stay that is under way; the zone's policies then decide. Nothing is
+ * checked in, so it has none of the room tap's side effects.
+ */
+const verifyZoneTap = async (rfidData, guestData, door) => {
+  const { candidates, stay } = await findCardRooms(rfidData);
+  const now = new Date();
+  if (stay && now < new Date(stay.check_in)) {
+    throw new AppError('STAY_NOT_STARTED', 'Access denied: Your stay has not started yet.', {
+      details: { check_in: stay.check_in },
     });
-  } catch (error) {
-    console.error('[updateRFIDStatus] Unexpected error:', error);
-    return res.status(500).json({
-      success: false,
-      message: 'Internal server error.',
+  }
+
+  const liveRooms = candidates.filter(
+    (r) =>
+      ['reserved', 'occupied'].includes(r.status) &&
+      !(r.status === 'occupied' && r.check_out && now >= new Date(r.check_out))
+  );
+  if (liveRooms.length === 0) {
+    throw new AppError('STAY_ENDED', 'Access denied: This card has no stay under way.');
+  }
+
+  const access = await evaluateZoneAccess(
+    door.zone_id,
+    {
+      membershipLevel: guestData.membership_level,
+      addOns: stay?.add_ons || [],
+      roomZoneIds: liveRooms.map((r) => r.zone_id).filter(Boolean),
+    },
+    now
+  );
+  if (!access.granted) {
+    throw new AppError('ZONE_ACCESS_DENIED', ZONE_DENIAL_MESSAGES[access.reason], {
+      details: { zone: access.zone.code, reason: access.reason, device_id: door.code },
     });
   }
+  return { ...access, stay };
+};
+
+/**
+ * A tap by a staff or master card. Nothing is checked in: the holder's shift
+ * and the room rules decide (see services/staffAccessService.js), and the tap
+ * is logged either way.
+ */
+const verifyStaffCard = async (rfidData, door, roomNumber, deviceCode) => {
+  if (door?.zone_id) {
+    const decision = await verifyStaffTap(rfidData, { zoneId: door.zone_id, deviceCode });
+    return { ...decision, zone: door.access_zones, room: null };
+  }
+  if (!roomNumber) {
+    throw new AppError('DOOR_REQUIRED', 'Staff cards open several rooms; device_id or room_number of the door is required.');
+  }
+  const { data: room, error } = await findRoomByNumber(roomNumber);
+  if (error) {
+    throw new AppError('DATABASE_ERROR', 'Error fetching room information.', { cause: error });
+  }
+  if (!room) {
+    throw new AppError('ROOM_NOT_FOUND', `Room #${roomNumber} not found.`);
+  }
+  const decision = await verifyStaffTap(rfidData, { room, deviceCode });
+  return { ...decision, zone: null, room };
 };
 
 // -----------------------------------------------------------------------------
 //  8) POST /api/rfid/verify
 // -----------------------------------------------------------------------------
-export const verifyRFID = async (req, res) => {
+export const verifyRFID = async (req, res, next) => {
   try {
-    const { rfid_uid, room_number } = req.body;
+    const { rfid_uid, room_number, device_id, challenge_id, response, pin } = req.body;
     if (!rfid_uid) {
-      return res.status(400).json({
-        success: false,
-        message: 'rfid_uid is required.',
-      });
+      throw new AppError('BAD_REQUEST', 'rfid_uid is required.');
     }
 
+    // 0) The door comes from the reader that saw the tap: the calling reader,
+    //    or device_id when a gateway (or the shared key) relays for one.
+    //    Without a registered reader, room_number (if any) names the door.
+    const { door, roomNumber: doorRoomNumber } = await resolveTapDoor(req.device, device_id, room_number);
+
     // 1) Fetch RFID record
     let { data: rfidData, error: rfidError } = await findRFIDByUID(rfid_uid);
     if (rfidError) {
-      console.error('[verifyRFID] Error finding RFID:', rfidError);
-      return res.status(500).json({
-        success: false,
-        message: 'Database error: Unable to look up RFID.',
-      });
+      throw new AppError('DATABASE_ERROR', 'Database error: Unable to look up RFID.', { cause: rfidError });
     }
     if (!rfidData) {
-      return res.status(404).json({
-        success: false,
-        message: 'RFID not found.',
-      });
+      throw new AppError('RFID_NOT_FOUND', 'RFID not found.');
     }
 
     // 2) Validate status (only 'assigned' or 'active' allowed)
     if (!['assigned', 'active'].includes(rfidData.status)) {
-      return res.status(403).json({
-        success: false,
-        message: `RFID is found but not valid for entry (status: ${rfidData.status}).`,
+      throw new AppError(
+        'RFID_INVALID_STATUS',
+        `RFID is found but not valid for entry (status: ${rfidData.status}).`,
+        { status: 403, details: { status: rfidData.status } }
+      );
+    }
+
+    // 2a) Challenge-response cards must answer a fresh challenge; legacy
+    //    cards still match on the UID while that is allowed
+    const deviceCode = door ? door.code : device_id || null;
+    const credential = await verifyCardCredential(rfidData, { challengeId: challenge_id, response, deviceCode });
+
+    // 2b) Staff and master cards follow shifts and room rules, not stays
+    if (rfidData.card_type !== 'guest') {
+      const access = await verifyStaffCard(rfidData, door, doorRoomNumber, deviceCode);
+      const where = access.room ? `room ${access.room.room_number}` : access.zone.code;
+      return sendSuccess(res, `Staff access to ${where} granted.`, {
+        rfid: rfidData,
+        staff: access.admin,
+        room: access.room,
+        zone: access.zone,
+        grantedBy: access.reason,
+        shiftId: access.shift ? access.shift.id : null,
+        deviceId: deviceCode,
+        credentialMode: credential.credential_mode,
       });
     }
 
     // 3) Ensure RFID is linked to a guest
     if (!rfidData.guest_id) {
-      return res.status(403).json({
-        success: false,
-        message: 'RFID is not assigned to any guest.',
-      });
+      throw new AppError('RFID_NOT_ASSIGNED', 'RFID is not assigned to any guest.');
     }
 
     // 3a) Fetch guest
     const { data: guestData, error: guestError } = await findUserById(rfidData.guest_id);
     if (guestError) {
-      console.error('[verifyRFID] Error finding guest:', guestError);
-      return res.status(500).json({
-        success: false,
-        message: 'Database error: Unable to look up guest.',
-      });
+      throw new AppError('DATABASE_ERROR', 'Database error: Unable to look up guest.', { cause: guestError });
     }
     if (!guestData) {
-      return res.status(404).json({
-        success: false,
-        message: 'Guest not found.',
-      });
+      throw new AppError('GUEST_NOT_FOUND', 'Guest not found.');
     }
 
-    // 4) Auto-detect room if not provided
-    let targetRoomNumber = room_number;
-    if (!targetRoomNumber) {
-      const { data: possibleRooms, error: fetchError } = await supabase
-        .from('rooms')
-        .select('*')
-        .eq('guest_id', rfidData.guest_id)
-        .in('status', ['reserved', 'occupied']);
-      if (fetchError) {
-        console.error('[verifyRFID] Error fetching rooms:', fetchError);
-        return res.status(500).json({
-          success: false,
-          message: 'Error fetching room information.',
-        });
-      }
-      if (!possibleRooms || possibleRooms.length === 0) {
-        return res.status(403).json({
-          success: false,
-          message: 'No reserved/occupied room found for this guest.',
-        });
-      }
-      if (possibleRooms.length > 1) {
-        console.warn(`[verifyRFID] Multiple rooms found; picking #${possibleRooms[0].room_number}`);
-      }
-      targetRoomNumber = possibleRooms[0].room_number;
-    }
-
-    // 5) Fetch relevant room record
-    let { data: roomData, error: roomError } = await findRoomByGuestAndNumber(rfidData.guest_id, targetRoomNumber);
-    if (roomError) {
-      console.error('[verifyRFID] Error checking room reservation:', roomError);
-      return res.status(500).json({
-        success: false,
-        message: 'Error checking room reservation.',
+    // 3b) Common-area doors are decided by the zone's access policies
+    if (door?.zone_id) {
+      const access = await verifyZoneTap(rfidData, guestData, door);
+      return sendSuccess(res, `Access to ${access.zone.name} granted.`, {
+        rfid: rfidData,
+        guest: guestData,
+        zone: access.zone,
+        grantedBy: access.via,
+        policy: access.policy,
+        stayId: access.stay ? access.stay.id : null,
+        deviceId: door.code,
       });
     }
-    if (!roomData) {
-      return res.status(403).json({
-        success: false,
-        message: `Access denied: Guest has not reserved or is not occupying room ${targetRoomNumber}.`,
+
+    // 4) Resolve the door being tapped against the rooms this card opens
+    let { roomData, stay } = await resolveDoorRoom(rfidData, doorRoomNumber);
+
+    // 4a) Stay cards only work inside the booked window
+    if (stay && new Date() < new Date(stay.check_in)) {
+      throw new AppError('STAY_NOT_STARTED', 'Access denied: Your stay has not started yet.', {
+        details: { check_in: stay.check_in },
       });
     }
 
     // 5a) If room status is 'available', guest already checked out
     if (roomData.status === 'available') {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied: Guest has already checked out.',
-        data: { rfid: rfidData, guest: guestData, room: roomData },
-      });
+      throw new AppError('STAY_ENDED', 'Access denied: Guest has already checked out.', {
+        details: { rfid: rfidData, guest: guestData, room: roomData },
+      });
+    }
+
+    // 6) An occupied room past its check_out no longer opens
+    if (roomData.status === 'occupied' && roomData.check_out && new Date() >= new Date(roomData.check_out)) {
+      console.log(`[verifyRFID] Room ${roomData.room_number} check_out time passed. Denying access.`);
+      throw new AppError('STAY_ENDED', 'Access denied: Your stay has ended.', {
+        details: { rfid: rfidData, guest: guestData, room: roomData },
+      });
+    }
+
+    // 6a) Rooms with requires_card_and_pin also need the stay's keypad PIN
+    const pinVerified = await checkCardPin(rfidData.rfid_uid, roomData, pin, deviceCode);
+
+    // 7) Apply the tap in one transaction (check_in_by_card): promote a
+    //    'reserved' room to 'occupied', mark the stay active, activate an
+    //    'assigned' card and find or open the occupancy record.
+    //    Stay rooms keep the booked check-out; legacy rooms run hours_stay
+    //    (or the default_stay_hours setting) from the first tap.
+    const { data: checkIn, error: checkInError } = await checkInByCardTx({
+      rfid_id: rfidData.id,
+      room_id: roomData.id,
+      guest_id: guestData.id,
+      stay_id: stay ? stay.id : null,
+      default_hours: await getSetting('default_stay_hours'),
+      occupant_snapshot: {
+        name: guestData.name,
+        email: guestData.email,
+        phone: guestData.phone,
+        membership_level: guestData.membership_level || 'Regular',
+      },
+    });
+    if (checkInError) {
+      throw appErrorFromRpc(checkInError, 'Error recording check-in for this tap.');
     }
-
-    // 6) If 'reserved', promote to 'occupied'
     if (roomData.status === 'reserved') {
-      const rawHours = roomData.hours_stay;
-      let hoursStay = rawHours ? parseFloat(rawHours) : 0;
-      if (isNaN(hoursStay) || hoursStay <= 0) {
-        console.warn(`[verifyRFID] Invalid hours_stay (${rawHours}). Defaulting to 1 hour.`);
-        hoursStay = 1;
-      }
-      const checkInTime = new Date();
-      const checkOutTime = new Date(checkInTime.getTime() + hoursStay * 3600000);
-
-      console.log(`[verifyRFID] Upgrading room ${roomData.room_number} from 'reserved' to 'occupied'.`);
-      const { data: occupiedRoom, error: checkInError } = await supabase
-        .from('rooms')
-        .update({
-          status: 'occupied',
-          check_in: checkInTime.toISOString(),
-          check_out: checkOutTime.toISOString(),
-        })
-        .eq('id', roomData.id)
-        .select('*')
-        .single();
-      if (checkInError) {
-        console.error('[verifyRFID] Error updating room to occupied:', checkInError);
-        return res.status(500).json({
-          success: false,
-          message: 'Error updating room to occupied.',
-        });
-      }
-      roomData = occupiedRoom;
-    } else if (roomData.status === 'occupied') {
-      if (roomData.check_out) {
-        const now = new Date();
-        const checkOutTime = new Date(roomData.check_out);
-        if (now >= checkOutTime) {
-          console.log(`[verifyRFID] Room ${roomData.room_number} check_out time passed. Denying access.`);
-          return res.status(403).json({
-            success: false,
-            message: 'Access denied: Your stay has ended.',
-            data: { rfid: rfidData, guest: guestData, room: roomData },
-          });
-        }
-      }
-    }
-
-    // 7) If RFID is 'assigned', automatically activate it
-    if (rfidData.status === 'assigned') {
-      const { data: updatedRFID, error: activationError } = await activateRFID(rfid_uid);
-      if (activationError) {
-        const errMsg = activationError.message || "";
-        if (errMsg.includes("PGRST116")) {
-          console.warn(`[verifyRFID] activateRFID returned PGRST116 for RFID ${rfid_uid}; ignoring error.`);
-        } else {
-          console.error('[verifyRFID] Error activating RFID:', activationError);
-          return res.status(500).json({
-            success: false,
-            message: 'Error activating RFID.',
-          });
-        }
-      } else {
-        rfidData = updatedRFID;
-      }
-    }
-
-    // 8) Create or find occupant record in room_occupancy_history
-    let occupantRecordId = null;
-    try {
-      const { data: existingOcc, error: occErr } = await supabase
-        .from('room_occupancy_history')
-        .select('*')
-        .eq('guest_id', guestData.id)
-        .eq('room_id', roomData.id)
-        .is('check_out', null)
-        .maybeSingle();
-      if (!occErr && existingOcc) {
-        occupantRecordId = existingOcc.id;
-      } else {
-        const occupantSnapshot = {
-          name: guestData.name,
-          email: guestData.email,
-          phone: guestData.phone,
-          membership_level: guestData.membership_level || 'Regular',
-        };
-        const recordData = {
-          room_id: roomData.id,
-          guest_id: guestData.id,
-          rfid_id: rfidData.id,
-          registration_time: new Date().toISOString(),
-          check_in: null,
-          check_out: null,
-          hours_stay: roomData.hours_stay ? parseFloat(roomData.hours_stay) : null,
-          occupant_snapshot: occupantSnapshot,
-        };
-        const { data: newOcc, error: newOccErr } = await supabase
-          .from('room_occupancy_history')
-          .insert([recordData])
-          .single();
-        if (!newOccErr && newOcc) {
-          occupantRecordId = newOcc.id;
-        }
-      }
-    } catch (err) {
-      console.error('[verifyRFID] Occupant creation error:', err);
-    }
-
-    if (occupantRecordId === undefined) {
-      occupantRecordId = null;
-    }
-
-    return res.status(200).json({
-      success: true,
-      message: 'RFID verified successfully.',
-      data: {
-        rfid: rfidData,
-        guest: guestData,
-        room: roomData,
-        occupancyHistoryId: occupantRecordId,
-      },
+      console.log(`[verifyRFID] Upgraded room ${roomData.room_number} from 'reserved' to 'occupied'.`);
+      await scheduleRoomCheckOutJobs(checkIn.room);
+    }
+    roomData = checkIn.room;
+    rfidData = toPublicCard(checkIn.rfid);
+    const occupantRecordId = checkIn.occupancy_history_id;
+
+    return sendSuccess(res, 'RFID verified successfully.', {
+      rfid: rfidData,
+      guest: guestData,
+      room: roomData,
+      stayId: stay ? stay.id : null,
+      occupancyHistoryId: occupantRecordId,
+      deviceId: door ? door.code : null,
+      credentialMode: credential.credential_mode,
+      pinVerified,
     });
   } catch (error) {
-    console.error('[verifyRFID] Unexpected error verifying RFID:', error);
-    return res.status(500).json({
-      success: false,
-      message: 'Internal server error.',
-    });
+    if (error.code === 'KEYPAD_LOCKED') res.set('Retry-After', String(error.details.retryAfterSeconds));
+    return next(error);
   }
 };
 
 // -----------------------------------------------------------------------------
 //  9) GET /api/rfid/valid-cards
-//  Now we do a small two-step process to also fetch the 'room_number'
-//  for each assigned/active RFID. This way, the Pi's local cache can
-//  store the correct 'room_number' for fast unlock checks.
+//  Maps each assigned/active RFID to the room numbers it opens so the Pi's
+//  local cache can make fast unlock checks. Cards issued on a stay list every
+//  room on the card; 'room_number' is kept (first room) for older gateways.
+//  Gateways that keep a cursor should use /sync/snapshot and /sync/changes.
 // -----------------------------------------------------------------------------
-export const getValidRFIDCards = async (req, res) => {
+export const getValidRFIDCards = async (req, res, next) => {
   try {
-    // 1) Fetch RFID tags that are 'assigned' or 'active'
-    const { data: rfidRows, error: rfidError } = await supabase
-      .from('rfid_tags')
-      .select('id, rfid_uid, guest_id, status, created_at')
-      .in('status', ['assigned', 'active']);
-    if (rfidError) {
-      console.error('[getValidRFIDCards] Error fetching valid RFID tags:', rfidError);
-      return res.status(500).json({
-        success: false,
-        message: 'Database error: Unable to fetch valid RFID tags.',
-      });
-    }
-
-    const result = {};
-
-    // 2) For each RFID row, find a "reserved" or "occupied" room for that guest
-    //    to determine the correct 'room_number'.
-    for (const row of rfidRows) {
-      let room_number = null;
-      if (row.guest_id) {
-        // Fetch occupant rooms
-        const { data: occupantRooms, error: occupantErr } = await supabase
-          .from('rooms')
-          .select('room_number, status')
-          .eq('guest_id', row.guest_id)
-          .in('status', ['reserved', 'occupied']);
-
-        if (!occupantErr && occupantRooms && occupantRooms.length > 0) {
-          // pick occupantRooms[0] for simplicity
-          room_number = occupantRooms[0].room_number;
-        }
-      }
-
-      result[row.rfid_uid] = {
-        rfid_uid: row.rfid_uid,
-        guest_id: row.guest_id,
-        status: row.status,
-        created_at: row.created_at,
-        room_number,
-      };
+    const { data: result, error } = await getCardEntries();
+    if (error) {
+      throw new AppError('DATABASE_ERROR', 'Database error: Unable to fetch valid RFID tags.', { cause: error });
     }
-
-    return res.status(200).json({
-      success: true,
-      message: 'Valid RFID mappings fetched successfully (including room_number).',
-      data: result,
-    });
+    return sendSuccess(res, 'Valid RFID mappings fetched successfully (including room_number).', result);
   } catch (err) {
-    console.error('[getValidRFIDCards] Unexpected error:', err);
-    return res.status(500).json({
-      success: false,
-      message: 'Internal server error fetching valid cards.',
-    });
+    return next(err);
   }
 };
 
 // -----------------------------------------------------------------------------
 // 10) POST /api/rfid/post-verify-actions
 // -----------------------------------------------------------------------------
-export const postVerifyActions = async (req, res) => {
+export const postVerifyActions = async (req, res, next) => {
   try {
     const { rfid_uid } = req.body;
     if (!rfid_uid) {
-      return res.status(400).json({
-        success: false,
-        message: 'rfid_uid is required.',
-      });
+      throw new AppError('BAD_REQUEST', 'rfid_uid is required.');
     }
     // 1) Look up the RFID record
     const { data: rfidData, error: rfidErr } = await findRFIDByUID(rfid_uid);
     if (rfidErr) {
-      console.error('[postVerifyActions] Error finding RFID:', rfidErr);
-      return res.status(500).json({
-        success: false,
-        message: 'Database error: Could not find RFID.',
-      });
+      throw new AppError('DATABASE_ERROR', 'Database error: Could not find RFID.', { cause: rfidErr });
     }
     if (!rfidData) {
-      return res.status(404).json({
-        success: false,
-        message: `RFID ${rfid_uid} not found.`,
-      });
+      throw new AppError('RFID_NOT_FOUND', `RFID ${rfid_uid} not found.`);
     }
     if (!rfidData.guest_id) {
-      return res.status(400).json({
-        success: false,
-        message: 'RFID is not assigned to any guest, cannot proceed.',
-      });
+      throw new AppError('RFID_NOT_ASSIGNED', 'RFID is not assigned to any guest, cannot proceed.');
     }
 
     // 2) Optionally find an open occupant record
@@ -729,7 +688,10 @@ export const postVerifyActions = async (req, res) => {
       try {
         const resp = await fetch(url, {
           method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
+          headers: {
+            'Content-Type': 'application/json',
+            'x-api-key': process.env.PUBLIC_API_KEY || '',
+          },
           body: JSON.stringify({ check_in: new Date().toISOString() }),
         });
         if (!resp.ok) {
@@ -778,7 +740,7 @@ export const postVerifyActions = async (req, res) => {
       let checkOutIso = occupant.check_out;
       if (!checkOutIso) {
         const checkInTime = new Date(checkInIso);
-        const hoursStay = parseFloat(occupant.hours_stay) || 1;
+        const hoursStay = parseFloat(occupant.hours_stay) || (await getSetting('default_stay_hours'));
         const out = new Date(checkInTime.getTime() + hoursStay * 3600000);
         checkOutIso = out.toISOString();
       }
@@ -812,8 +774,11 @@ export const postVerifyActions = async (req, res) => {
       try {
         const resp = await fetch(`${BACKEND_BASE_URL}/access-logs/granted`, {
           method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ rfid_uid }),
+          headers: {
+            'Content-Type': 'application/json',
+            'x-api-key': process.env.PUBLIC_API_KEY || '',
+          },
+          body: JSON.stringify({ rfid_uid, guest_id: rfidData.guest_id }),
         });
         if (!resp.ok) {
           const txt = await resp.text();
@@ -834,22 +799,131 @@ export const postVerifyActions = async (req, res) => {
       logAccess(),
     ]);
 
-    return res.status(200).json({
-      success: true,
-      message: 'Post-verification actions completed.',
-      details: {
-        occupantCheckIn: checkInMsg,
-        storeLeases: leaseMsg,
-        activateInternet: netMsg,
-        logAccess: logMsg,
-      },
+    return sendSuccess(res, 'Post-verification actions completed.', {
+      occupantCheckIn: checkInMsg,
+      storeLeases: leaseMsg,
+      activateInternet: netMsg,
+      logAccess: logMsg,
     });
   } catch (err) {
-    console.error('[postVerifyActions] Unexpected error:', err);
-    return res.status(500).json({
-      success: false,
-      message: 'Error in post-verify-actions.',
-      error: err.message,
+    return next(err);
+  }
+};
+
+// -----------------------------------------------------------------------------
+// 11) GET /api/rfid/sync/snapshot
+//  Signed full card list with the cursor to continue delta sync from.
+// -----------------------------------------------------------------------------
+export const getCardSyncSnapshot = async (req, res, next) => {
+  try {
+    const envelope = await buildSignedSnapshot();
+    return sendSuccess(res, 'Card snapshot generated.', envelope);
+  } catch (err) {
+    return next(err);
+  }
+};
+
+// -----------------------------------------------------------------------------
+// 12) GET /api/rfid/sync/changes?since=&limit=
+//  Signed changes (including revocations) since the gateway's cursor.
+// -----------------------------------------------------------------------------
+export const getCardSyncChanges = async (req, res, next) => {
+  try {
+    const since = parseInt(req.query.since, 10);
+    const limit = req.query.limit ? parseInt(req.query.limit, 10) : 1000;
+    const envelope = await buildSignedDelta(since, limit);
+    return sendSuccess(res, 'Card changes fetched.', envelope);
+  } catch (err) {
+    return next(err);
+  }
+};
+
+// -----------------------------------------------------------------------------
+// 13) GET /api/rfid/sync/public-key
+//  Ed25519 public key gateways use to verify snapshots and deltas.
+// -----------------------------------------------------------------------------
+export const getCardSyncPublicKey = async (req, res, next) => {
+  try {
+    return sendSuccess(res, 'Card sync public key.', getSigningPublicKey());
+  } catch (err) {
+    return next(err);
+  }
+};
+
+// -----------------------------------------------------------------------------
+// 14) POST /api/rfid/challenge
+//  A reader that reads a challenge-response card asks for a single-use
+//  challenge, has the card answer it and sends both to /verify. Legacy cards
+//  get no challenge and are verified by UID.
+// -----------------------------------------------------------------------------
+export const issueCardChallenge = async (req, res, next) => {
+  try {
+    const { rfid_uid, device_id } = req.body;
+    const reporter = await resolveReportingDevice(req.device, device_id);
+    const deviceCode = reporter?.kind === 'door_reader' ? reporter.code : device_id || null;
+
+    const { data: rfidData, error } = await findRFIDByUID(rfid_uid);
+    if (error) {
+      throw new AppError('DATABASE_ERROR', 'Database error: Unable to look up RFID.', { cause: error });
+    }
+    if (!rfidData) {
+      throw new AppError('RFID_NOT_FOUND', 'RFID not found.');
+    }
+
+    const challenge = await issueChallenge(rfidData, deviceCode);
+    const message = challenge.challenge ? 'Card challenge issued.' : 'This card is verified by UID; no challenge needed.';
+    return sendSuccess(res, message, { rfid_uid: rfidData.rfid_uid, ...challenge });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+// -----------------------------------------------------------------------------
+// 15) POST /api/rfid/credential
+//  Provision a card for challenge-response ('challenge': a new key, returned
+//  once for the encoder to write) or put it back on UID-only matching.
+// -----------------------------------------------------------------------------
+export const setRFIDCredential = async (req, res, next) => {
+  try {
+    const { rfid_uid, mode } = req.body;
+    const { data: rfidData, error } = await findRFIDByUID(rfid_uid);
+    if (error) {
+      throw new AppError('DATABASE_ERROR', 'Database error: Unable to look up RFID.', { cause: error });
+    }
+    if (!rfidData) {
+      throw new AppError('RFID_NOT_FOUND', 'RFID not found.');
+    }
+
+    const { rfid, key } = await setCredentialMode(rfidData, mode);
+    const message = key
+      ? `RFID ${rfid_uid} provisioned for challenge-response. Write the key to the card now; it is not shown again.`
+      : `RFID ${rfid_uid} set to UID-only matching.`;
+    return sendSuccess(res, message, { rfid, key });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+// -----------------------------------------------------------------------------
+// 16) POST /api/rfid/verify-pin
+//  A guest whose card fails or is left inside types the stay's keypad PIN at
+//  the door. Rooms with requires_card_and_pin refuse it (their PIN goes to
+//  /verify with the card). Wrong PINs lock the keypad for a while.
+// -----------------------------------------------------------------------------
+export const verifyKeypadPin = async (req, res, next) => {
+  try {
+    const { pin, room_number, device_id } = req.body;
+    const { door, roomNumber } = await resolveTapDoor(req.device, device_id, room_number);
+    const deviceCode = door ? door.code : device_id || null;
+
+    const access = await checkKeypadPin({ pin, door, roomNumber, deviceCode });
+    return sendSuccess(res, `PIN accepted for room ${access.room.room_number}.`, {
+      room: access.room,
+      stayId: access.stay.id,
+      deviceId: deviceCode,
     });
+  } catch (error) {
+    if (error.code === 'KEYPAD_LOCKED') res.set('Retry-After', String(error.details.retryAfterSeconds));
+    return next(error);
   }
 };
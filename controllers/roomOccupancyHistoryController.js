@@ -9,44 +9,33 @@ import {
   checkInOccupancyRecord,
   checkOutOccupancyRecord,
 } from '../models/roomOccupancyHistoryModel.js';
+import { AppError } from '../utils/appError.js';
+import { sendSuccess } from '../utils/responseHelper.js';
 
 /**
  * POST /api/room-occupancy-history
  * DISABLED to avoid duplicate occupancy record creation.
  */
-export const addHistoryRecord = async (req, res) => {
-  return res.status(405).json({
-    success: false,
-    message: 'Creation of occupancy record is disabled here. Use /api/hotel/checkin-flow instead.'
-  });
+export const addHistoryRecord = async (req, res, next) => {
+  return next(new AppError(
+    'METHOD_DISABLED',
+    'Creation of occupancy record is disabled here. Use /api/hotel/checkin-flow instead.'
+  ));
 };
 
 /**
  * GET /api/room-occupancy-history
  * Returns all occupancy history records, sorted by created_at desc.
  */
-export const getHistoryRecords = async (req, res) => {
+export const getHistoryRecords = async (req, res, next) => {
   try {
     const { data, error } = await getAllHistoryRecords();
     if (error) {
-      return res.status(500).json({
-        success: false,
-        message: 'Error fetching room occupancy history records',
-        error: error.message,
-      });
+      throw new AppError('DATABASE_ERROR', 'Error fetching room occupancy history records', { cause: error });
     }
-    return res.status(200).json({
-      success: true,
-      message: 'Room occupancy history records retrieved successfully',
-      data,
-    });
+    return sendSuccess(res, 'Room occupancy history records retrieved successfully', data);
   } catch (err) {
-    console.error('[RoomOccupancyHistoryController] Unexpected error in getHistoryRecords:', err);
-    return res.status(500).json({
-      success: false,
-      message: 'Internal server error',
-      error: err.message,
-    });
+    return next(err);
   }
 };
 
@@ -54,35 +43,19 @@ export const getHistoryRecords = async (req, res) => {
  * GET /api/room-occupancy-history/:id
  * Returns a single occupancy history record by ID.
  */
-export const getHistoryRecord = async (req, res) => {
+export const getHistoryRecord = async (req, res, next) => {
   try {
     const { id } = req.params;
     const { data, error } = await getHistoryRecordById(id);
     if (error) {
-      return res.status(500).json({
-        success: false,
-        message: 'Error fetching room occupancy history record',
-        error: error.message,
-      });
+      throw new AppError('DATABASE_ERROR', 'Error fetching room occupancy history record', { cause: error });
     }
     if (!data) {
-      return res.status(200).json({
-        success: true,
-        message: `No record found for ID=${id}`,
-        data: null,
-      });
+      return sendSuccess(res, `No record found for ID=${id}`, null);
     }
-    return res.status(200).json({
-      success: true,
-      data,
-    });
+    return sendSuccess(res, 'Room occupancy history record retrieved successfully', data);
   } catch (err) {
-    console.error('[RoomOccupancyHistoryController] Unexpected error in getHistoryRecord:', err);
-    return res.status(500).json({
-      success: false,
-      message: 'Internal server error',
-      error: err.message,
-    });
+    return next(err);
   }
 };
 
@@ -90,12 +63,12 @@ export const getHistoryRecord = async (req, res) => {
  * PUT /api/room-occupancy-history/:id
  * Generic update method for partial updates.
  */
-export const updateHistoryRecord = async (req, res) => {
+export const updateHistoryRecord = async (req, res, next) => {
   try {
     const { id } = req.params;
     const updateData = req.body;
     if (!id) {
-      return res.status(400).json({ success: false, message: 'Missing record ID' });
+      throw new AppError('BAD_REQUEST', 'Missing record ID');
     }
     if (typeof updateData.hours_stay !== 'undefined') {
       const parsed = parseFloat(updateData.hours_stay);
@@ -103,56 +76,30 @@ export const updateHistoryRecord = async (req, res) => {
     }
     const { data, error } = await updateRecordModel(id, updateData);
     if (error) {
-      return res.status(500).json({
-        success: false,
-        message: 'Error updating room occupancy history record',
-        error: error.message,
-      });
+      throw new AppError('DATABASE_ERROR', 'Error updating room occupancy history record', { cause: error });
     }
-    return res.status(200).json({
-      success: true,
-      message: 'Room occupancy history record updated successfully',
-      data,
-    });
+    return sendSuccess(res, 'Room occupancy history record updated successfully', data);
   } catch (err) {
-    console.error('[RoomOccupancyHistoryController] Unexpected error in updateHistoryRecord:', err);
-    return res.status(500).json({
-      success: false,
-      message: 'Internal server error',
-      error: err.message,
-    });
+    return next(err);
   }
 };
 
 /**
  * GET /api/room-occupancy-history/search?query=...
  */
-export const searchHistory = async (req, res) => {
+export const searchHistory = async (req, res, next) => {
   try {
     const { query } = req.query;
     if (!query) {
-      return res.status(400).json({ success: false, message: 'Query parameter is required for search' });
+      throw new AppError('BAD_REQUEST', 'Query parameter is required for search');
     }
     const { data, error } = await searchHistoryRecords(query);
     if (error) {
-      return res.status(500).json({
-        success: false,
-        message: 'Error searching room occupancy history records',
-        error: error.message,
-      });
+      throw new AppError('DATABASE_ERROR', 'Error searching room occupancy history records', { cause: error });
     }
-    return res.status(200).json({
-      success: true,
-      message: 'Room occupancy history search results',
-      data,
-    });
+    return sendSuccess(res, 'Room occupancy history search results', data);
   } catch (err) {
-    console.error('[RoomOccupancyHistoryController] Unexpected error in searchHistory:', err);
-    return res.status(500).json({
-      success: false,
-      message: 'Internal server error',
-      error: err.message,
-    });
+    return next(err);
   }
 };
 
@@ -160,14 +107,11 @@ export const searchHistory = async (req, res) => {
  * POST /api/room-occupancy-history/:id/checkin
  * Now includes validation of the occupancy record ID.
  */
-export const checkInHistory = async (req, res) => {
+export const checkInHistory = async (req, res, next) => {
   try {
     let { id } = req.params;
     if (!id || isNaN(Number(id))) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid occupancy record ID provided.',
-      });
+      throw new AppError('BAD_REQUEST', 'Invalid occupancy record ID provided.');
     }
     const { check_in, hours_stay } = req.body;
     const checkInTime = check_in || new Date().toISOString();
@@ -178,31 +122,18 @@ export const checkInHistory = async (req, res) => {
 
     const { data, error } = await checkInOccupancyRecord(id, checkInTime, hoursValue);
     if (error) {
-      return res.status(500).json({
-        success: false,
-        message: `Error performing occupancy check-in for ID=${id}`,
-        error: error.message,
-      });
+      throw new AppError('DATABASE_ERROR', `Error performing occupancy check-in for ID=${id}`, { cause: error });
     }
-    return res.status(200).json({
-      success: true,
-      message: 'Occupancy record check-in event stored successfully',
-      data: data || {},
-    });
+    return sendSuccess(res, 'Occupancy record check-in event stored successfully', data || {});
   } catch (err) {
-    console.error('[RoomOccupancyHistoryController] Error in checkInHistory:', err);
-    return res.status(500).json({
-      success: false,
-      message: 'Internal server error',
-      error: err.message,
-    });
+    return next(err);
   }
 };
 
 /**
  * POST /api/room-occupancy-history/:id/checkout
  */
-export const checkOutHistory = async (req, res) => {
+export const checkOutHistory = async (req, res, next) => {
   try {
     let { id } = req.params;
     const { check_out: providedCheckOut, check_out_reason: clientReason } = req.body;
@@ -212,11 +143,7 @@ export const checkOutHistory = async (req, res) => {
 
     const { data: existingRecord, error: fetchError } = await getHistoryRecordById(id);
     if (fetchError) {
-      return res.status(500).json({
-        success: false,
-        message: 'Error fetching occupancy record for check-out',
-        error: fetchError.message,
-      });
+      throw new AppError('DATABASE_ERROR', 'Error fetching occupancy record for check-out', { cause: fetchError });
     }
 
     let wasEarly = false;
@@ -234,23 +161,10 @@ export const checkOutHistory = async (req, res) => {
       wasEarly
     );
     if (updateError) {
-      return res.status(500).json({
-        success: false,
-        message: `Error updating occupancy record for check-out (ID=${id})`,
-        error: updateError.message,
-      });
+      throw new AppError('DATABASE_ERROR', `Error updating occupancy record for check-out (ID=${id})`, { cause: updateError });
     }
-    return res.status(200).json({
-      success: true,
-      message: 'Occupancy record check-out event stored successfully',
-      data: data || {},
-    });
+    return sendSuccess(res, 'Occupancy record check-out event stored successfully', data || {});
   } catch (err) {
-    console.error('[RoomOccupancyHistoryController] Error in checkOutHistory:', err);
-    return res.status(500).json({
-      success: false,
-      message: 'Internal server error',
-      error: err.message,
-    });
+    return next(err);
   }
 };
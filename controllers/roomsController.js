@@ -10,48 +10,36 @@ import {
   findRoomByNumber,
   checkOutRoomById,
 } from '../models/roomsModel.js';
-
-import axios from 'axios';
-import dotenv from 'dotenv';
-dotenv.config();
+import { findOpenStayForRoom } from '../models/stayModel.js';
+import { AppError, appErrorFromRpc } from '../utils/appError.js';
+import { sendSuccess } from '../utils/responseHelper.js';
+import { deactivateGuestInternet } from '../services/gatewayService.js';
+import { assertRoomBookable } from '../services/reservationService.js';
+import { scheduleRoomCheckOutJobs, cancelRoomJobs } from '../services/jobScheduler.js';
 
 /**
  * POST /api/rooms
  * Create a new room record with initial status = 'reserved'.
  */
-export const addRoom = async (req, res) => {
+export const addRoom = async (req, res, next) => {
   try {
-    const { guest_id, room_number, hours_stay } = req.body;
+    const { guest_id, room_number, hours_stay, room_type, capacity } = req.body;
     if (!guest_id || !room_number || hours_stay == null) {
-      return res.status(400).json({
-        success: false,
-        message: 'Missing required fields: guest_id, room_number, hours_stay.',
-      });
+      throw new AppError('BAD_REQUEST', 'Missing required fields: guest_id, room_number, hours_stay.');
     }
 
     const numericHoursStay = parseFloat(hours_stay);
     if (isNaN(numericHoursStay) || numericHoursStay <= 0) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid hours_stay. Must be a positive decimal.',
-      });
+      throw new AppError('BAD_REQUEST', 'Invalid hours_stay. Must be a positive decimal.');
     }
 
     // Check if the room_number already exists
     const { data: existingRoom, error: findError } = await findRoomByNumber(room_number);
     if (findError) {
-      console.error('[Rooms] Error checking existing room:', findError);
-      return res.status(500).json({
-        success: false,
-        message: 'Database error: Error checking existing room',
-        error: findError.message,
-      });
+      throw new AppError('DATABASE_ERROR', 'Database error: Error checking existing room', { cause: findError });
     }
     if (existingRoom) {
-      return res.status(400).json({
-        success: false,
-        message: `Room number ${room_number} already exists.`,
-      });
+      throw new AppError('CONFLICT', `Room number ${room_number} already exists.`);
     }
 
     const newRoom = {
@@ -60,26 +48,18 @@ export const addRoom = async (req, res) => {
       hours_stay: numericHoursStay,
       status: 'reserved',
       registration_time: new Date().toISOString(),
+      ...(room_type ? { room_type } : {}),
+      ...(capacity != null ? { capacity: parseInt(capacity, 10) } : {}),
     };
 
     const { data, error } = await createRoom(newRoom);
     if (error) {
-      console.error('[Rooms] Error inserting room data:', error);
-      return res.status(500).json({
-        success: false,
-        message: 'Database error: Error inserting room data',
-        error: error.message,
-      });
+      throw new AppError('DATABASE_ERROR', 'Database error: Error inserting room data', { cause: error });
     }
 
-    return res.status(201).json({
-      success: true,
-      message: 'Room created successfully (status=reserved)',
-      data,
-    });
+    return sendSuccess(res, 'Room created successfully (status=reserved)', data, 201);
   } catch (error) {
-    console.error('[Rooms] Unexpected error in addRoom:', error);
-    return res.status(500).json({ success: false, message: 'Internal server error', error });
+    return next(error);
   }
 };
 
@@ -87,49 +67,37 @@ export const addRoom = async (req, res) => {
  * PUT /api/rooms/assign
  * Assign (reserve) a room by room_number.
  */
-export const assignRoomByNumber = async (req, res) => {
+export const assignRoomByNumber = async (req, res, next) => {
   try {
     const { room_number, guest_id, hours_stay } = req.body;
     if (!room_number || !guest_id || hours_stay == null) {
-      return res.status(400).json({
-        success: false,
-        message: 'Missing required fields: room_number, guest_id, hours_stay.',
-      });
+      throw new AppError('BAD_REQUEST', 'Missing required fields: room_number, guest_id, hours_stay.');
     }
 
     const numericHoursStay = parseFloat(hours_stay);
     if (isNaN(numericHoursStay) || numericHoursStay <= 0) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid hours_stay. Must be a positive decimal.',
-      });
+      throw new AppError('BAD_REQUEST', 'Invalid hours_stay. Must be a positive decimal.');
     }
 
     // First, find the room by number
     const { data: room, error: findError } = await findRoomByNumber(room_number);
     if (findError) {
-      console.error('[Rooms] Error finding room by number:', findError);
-      return res.status(500).json({
-        success: false,
-        message: 'Database error: Could not find room.',
-        error: findError.message,
-      });
+      throw new AppError('DATABASE_ERROR', 'Database error: Could not find room.', { cause: findError });
     }
     if (!room) {
-      return res.status(404).json({
-        success: false,
-        message: `Room ${room_number} not found.`,
-      });
+      throw new AppError('ROOM_NOT_FOUND', `Room ${room_number} not found.`);
     }
 
     // Ensure the room is available before assigning
     if (room.status !== 'available') {
-      return res.status(400).json({
-        success: false,
-        message: `Room ${room_number} is not available.`,
-      });
+      throw new AppError('ROOM_NOT_AVAILABLE', `Room ${room_number} is not available.`);
     }
 
+    // The walk-in stay must end before the room's next reservation starts
+    const now = new Date();
+    const stayEnd = new Date(now.getTime() + numericHoursStay * 60 * 60 * 1000);
+    await assertRoomBookable(room, now.toISOString(), stayEnd.toISOString(), { checkCurrentHold: false });
+
     const updateFields = {
       guest_id,
       hours_stay: numericHoursStay,
@@ -142,28 +110,15 @@ export const assignRoomByNumber = async (req, res) => {
       onlyIfAvailable: false,
     });
     if (error) {
-      console.error('[Rooms] Error updating room by number:', error);
-      return res.status(500).json({
-        success: false,
-        message: 'Database error: Error updating room record',
-        error: error.message,
-      });
+      throw new AppError('DATABASE_ERROR', 'Database error: Error updating room record', { cause: error });
     }
     if (!data) {
-      return res.status(400).json({
-        success: false,
-        message: `No room found with room_number = ${room_number}`,
-      });
+      throw new AppError('ROOM_NOT_FOUND', `No room found with room_number = ${room_number}`);
     }
 
-    return res.status(200).json({
-      success: true,
-      message: 'Room reserved (status=reserved) successfully',
-      data,
-    });
+    return sendSuccess(res, 'Room reserved (status=reserved) successfully', data);
   } catch (error) {
-    console.error('[Rooms] Error in assignRoomByNumber:', error);
-    return res.status(500).json({ success: false, message: 'Internal server error', error });
+    return next(error);
   }
 };
 
@@ -171,25 +126,19 @@ export const assignRoomByNumber = async (req, res) => {
  * GET /api/rooms/:id
  * Fetch a room by its ID.
  */
-export const getRoom = async (req, res) => {
+export const getRoom = async (req, res, next) => {
   try {
     const { id } = req.params;
     const { data, error } = await getRoomById(id);
     if (error) {
-      console.error('[Rooms] Error fetching room data:', error);
-      return res.status(500).json({
-        success: false,
-        message: 'Database error: Error fetching room data',
-        error,
-      });
+      throw new AppError('DATABASE_ERROR', 'Database error: Error fetching room data', { cause: error });
     }
     if (!data) {
-      return res.status(404).json({ success: false, message: 'Room not found' });
+      throw new AppError('ROOM_NOT_FOUND', 'Room not found');
     }
-    return res.status(200).json({ success: true, data });
+    return sendSuccess(res, 'Room fetched successfully', data);
   } catch (error) {
-    console.error('[Rooms] Unexpected error in getRoom:', error);
-    return res.status(500).json({ success: false, message: 'Internal server error', error });
+    return next(error);
   }
 };
 
@@ -197,21 +146,15 @@ export const getRoom = async (req, res) => {
  * GET /api/rooms
  * Fetch all rooms.
  */
-export const getRooms = async (req, res) => {
+export const getRooms = async (req, res, next) => {
   try {
     const { data, error } = await getAllRooms();
     if (error) {
-      console.error('[Rooms] Error fetching rooms:', error);
-      return res.status(500).json({
-        success: false,
-        message: 'Database error: Error fetching rooms',
-        error,
-      });
+      throw new AppError('DATABASE_ERROR', 'Database error: Error fetching rooms', { cause: error });
     }
-    return res.status(200).json({ success: true, data });
+    return sendSuccess(res, 'Rooms fetched successfully', data);
   } catch (error) {
-    console.error('[Rooms] Unexpected error in getRooms:', error);
-    return res.status(500).json({ success: false, message: 'Internal server error', error });
+    return next(error);
   }
 };
 
@@ -219,37 +162,47 @@ export const getRooms = async (req, res) => {
  * PUT /api/rooms/:id
  * Update specific fields of a room by its ID.
  */
-export const modifyRoom = async (req, res) => {
+export const modifyRoom = async (req, res, next) => {
   try {
     const { id } = req.params;
     const updateFields = req.body;
     if (!updateFields || Object.keys(updateFields).length === 0) {
-      return res.status(400).json({ success: false, message: 'No update fields provided.' });
+      throw new AppError('BAD_REQUEST', 'No update fields provided.');
     }
     if (updateFields.hours_stay != null) {
       const numericHoursStay = parseFloat(updateFields.hours_stay);
       if (isNaN(numericHoursStay) || numericHoursStay <= 0) {
-        return res.status(400).json({
-          success: false,
-          message: 'Invalid hours_stay. Must be a positive decimal.',
-        });
+        throw new AppError('BAD_REQUEST', 'Invalid hours_stay. Must be a positive decimal.');
       }
       updateFields.hours_stay = numericHoursStay;
     }
+    if (updateFields.check_out !== undefined) {
+      // Stay rooms move together with their stay, occupancy records and gateway
+      const { data: stay, error: stayError } = await findOpenStayForRoom(id);
+      if (stayError) {
+        throw new AppError('DATABASE_ERROR', 'Database error: Unable to check stay for room.', { cause: stayError });
+      }
+      if (stay) {
+        throw new AppError(
+          'CONFLICT',
+          `Room belongs to stay ${stay.id}; change check_out via /api/stays/${stay.id}/extend or /shorten.`,
+          { details: { stay_id: stay.id } }
+        );
+      }
+      updateFields.ten_min_warning_sent = false;
+    }
 
     const { data, error } = await updateRoom(id, updateFields);
     if (error) {
-      console.error('[Rooms] Error updating room data:', error);
-      return res.status(500).json({
-        success: false,
-        message: 'Database error: Error updating room data',
-        error,
-      });
+      throw new AppError('DATABASE_ERROR', 'Database error: Error updating room data', { cause: error });
+    }
+    if (updateFields.check_out !== undefined) {
+      if (data.check_out) await scheduleRoomCheckOutJobs(data);
+      else await cancelRoomJobs(data.id);
     }
-    return res.status(200).json({ success: true, message: 'Room updated successfully', data });
+    return sendSuccess(res, 'Room updated successfully', data);
   } catch (error) {
-    console.error('[Rooms] Unexpected error in modifyRoom:', error);
-    return res.status(500).json({ success: false, message: 'Internal server error', error });
+    return next(error);
   }
 };
 
@@ -257,22 +210,16 @@ export const modifyRoom = async (req, res) => {
  * DELETE /api/rooms/:id
  * Delete a room by its ID.
  */
-export const removeRoom = async (req, res) => {
+export const removeRoom = async (req, res, next) => {
   try {
     const { id } = req.params;
     const { data, error } = await deleteRoom(id);
     if (error) {
-      console.error('[Rooms] Error deleting room:', error);
-      return res.status(500).json({
-        success: false,
-        message: 'Database error: Error deleting room',
-        error,
-      });
+      throw new AppError('DATABASE_ERROR', 'Database error: Error deleting room', { cause: error });
     }
-    return res.status(200).json({ success: true, message: 'Room deleted successfully', data });
+    return sendSuccess(res, 'Room deleted successfully', data);
   } catch (error) {
-    console.error('[Rooms] Unexpected error in removeRoom:', error);
-    return res.status(500).json({ success: false, message: 'Internal server error', error });
+    return next(error);
   }
 };
 
@@ -280,23 +227,18 @@ export const removeRoom = async (req, res) => {
  * POST /api/rooms/:id/checkin
  * Check a guest into a room (set check_in time and status = 'occupied').
  */
-export const roomCheckIn = async (req, res) => {
+export const roomCheckIn = async (req, res, next) => {
   try {
     const { id } = req.params;
     const checkInTime = req.body.check_in || new Date().toISOString();
     const { data, error } = await checkInRoom(id, checkInTime);
     if (error) {
-      console.error('[Rooms] Error during check-in:', error);
-      return res.status(500).json({
-        success: false,
-        message: 'Database error: Error during check-in',
-        error,
-      });
+      throw new AppError('DATABASE_ERROR', 'Database error: Error during check-in', { cause: error });
     }
-    return res.status(200).json({ success: true, message: 'Check-in successful', data });
+    await scheduleRoomCheckOutJobs(data);
+    return sendSuccess(res, 'Check-in successful', data);
   } catch (error) {
-    console.error('[Rooms] Unexpected error in roomCheckIn:', error);
-    return res.status(500).json({ success: false, message: 'Internal server error', error });
+    return next(error);
   }
 };
 
@@ -306,22 +248,14 @@ export const roomCheckIn = async (req, res) => {
  *   - Clears occupant fields (setting the room to 'available').
  *   - Calls the Pi-based /api/deactivate-internet endpoint.
  */
-export const roomCheckOut = async (req, res) => {
+export const roomCheckOut = async (req, res, next) => {
   try {
     const { id } = req.params;
 
     // "Early Check-Out" reason
     const result = await checkOutRoomById(id, 'Early Check-Out');
     if (!result.success) {
-      console.error('[Rooms] Error during check-out:', result.error);
-      if (result.error?.message?.includes('Room not found')) {
-        return res.status(404).json({ success: false, message: 'Room not found' });
-      }
-      return res.status(500).json({
-        success: false,
-        message: 'Database error: Error during check-out',
-        error: result.error,
-      });
+      throw appErrorFromRpc(result.error, 'Database error: Error during check-out');
     }
 
     // occupantId is the original occupant's guest_id
@@ -330,31 +264,12 @@ export const roomCheckOut = async (req, res) => {
 
     // If occupantId is present, call the Pi-based /api/deactivate-internet
     if (occupantId) {
-      try {
-        const mikrotikApiUrl =
-          process.env.MIKROTIK_API_URL || `https://${process.env.MIKROTIK_HOST}`;
-        const apiKey = process.env.PUBLIC_API_KEY;
-
-        await axios.post(
-          `${mikrotikApiUrl}/api/deactivate-internet`,
-          { guest_id: occupantId },
-          { headers: { 'x-api-key': apiKey } }
-        );
-
-        console.log(`[Rooms] Called /api/deactivate-internet for occupantId=${occupantId}`);
-      } catch (err) {
-        console.error('[Rooms] Error calling /api/deactivate-internet:', err.message);
-      }
+      await deactivateGuestInternet(occupantId);
     }
 
-    return res.status(200).json({
-      success: true,
-      message: 'Check-out successful',
-      data: updatedRoom,
-    });
+    return sendSuccess(res, 'Check-out successful', updatedRoom);
   } catch (error) {
-    console.error('[Rooms] Unexpected error in roomCheckOut:', error);
-    return res.status(500).json({ success: false, message: 'Internal server error', error });
+    return next(error);
   }
 };
 
@@ -362,39 +277,25 @@ export const roomCheckOut = async (req, res) => {
  * PUT /api/rooms/:room_number/update-status
  * Update a room's status by room_number.
  */
-export const updateRoomStatusByNumber = async (req, res) => {
+export const updateRoomStatusByNumber = async (req, res, next) => {
   try {
     const { room_number } = req.params;
     const { status, note } = req.body;
     if (!room_number || !status) {
-      return res.status(400).json({
-        success: false,
-        message: 'Missing room_number or status in request.',
-      });
+      throw new AppError('BAD_REQUEST', 'Missing room_number or status in request.');
     }
 
     const { data: existingRoom, error: findError } = await findRoomByNumber(room_number);
     if (findError) {
-      console.error('[Rooms] Error finding room by number:', findError);
-      return res.status(500).json({
-        success: false,
-        message: 'Database error: Could not find room.',
-        error: findError.message,
-      });
+      throw new AppError('DATABASE_ERROR', 'Database error: Could not find room.', { cause: findError });
     }
     if (!existingRoom) {
-      return res.status(404).json({
-        success: false,
-        message: `Room ${room_number} not found.`,
-      });
+      throw new AppError('ROOM_NOT_FOUND', `Room ${room_number} not found.`);
     }
 
     // Disallow changing from 'occupied' to anything else unless guest is checked out
     if (existingRoom.status === 'occupied' && status !== 'occupied') {
-      return res.status(400).json({
-        success: false,
-        message: `Room #${room_number} is Occupied. Please check out the guest before changing status to ${status}.`,
-      });
+      throw new AppError('ROOM_OCCUPIED', `Room #${room_number} is Occupied. Please check out the guest before changing status to ${status}.`);
     }
 
     const { data: updatedRoom, error: updateError } = await updateRoomByNumber(
@@ -402,31 +303,14 @@ export const updateRoomStatusByNumber = async (req, res) => {
       { status }
     );
     if (updateError) {
-      console.error('[Rooms] Error updating room status:', updateError);
-      return res.status(500).json({
-        success: false,
-        message: 'Database error: Unable to update room status.',
-        error: updateError.message,
-      });
+      throw new AppError('DATABASE_ERROR', 'Database error: Unable to update room status.', { cause: updateError });
     }
     if (!updatedRoom) {
-      return res.status(404).json({
-        success: false,
-        message: `Room ${room_number} could not be updated.`,
-      });
+      throw new AppError('ROOM_NOT_FOUND', `Room ${room_number} could not be updated.`);
     }
 
-    return res.status(200).json({
-      success: true,
-      message: `Room #${room_number} status updated to ${status}.`,
-      data: updatedRoom,
-    });
+    return sendSuccess(res, `Room #${room_number} status updated to ${status}.`, updatedRoom);
   } catch (err) {
-    console.error('[Rooms] Unexpected error in updateRoomStatusByNumber:', err);
-    return res.status(500).json({
-      success: false,
-      message: 'Internal server error',
-      error: err,
-    });
+    return next(err);
   }
 };
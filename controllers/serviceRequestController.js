@@ -7,20 +7,18 @@ import {
 import { createNotification } from '../models/notificationModel.js';
 import { createRequestLog } from '../models/requestLogsModel.js';
 import { sendNotification } from '../services/fcmService.js';
+import { AppError } from '../utils/appError.js';
+import { sendSuccess } from '../utils/responseHelper.js';
 
-export const submitServiceRequest = async (req, res) => {
+export const submitServiceRequest = async (req, res, next) => {
   try {
     const { guest_id, guest_name, service_type, description, delay_minutes } = req.body;
 
     if (!guest_id || !guest_name || !service_type || !description || delay_minutes == null) {
-      return res.status(400).json({
-        message: 'All fields are required: guest_id, guest_name, service_type, description, delay_minutes'
-      });
+      throw new AppError('BAD_REQUEST', 'All fields are required: guest_id, guest_name, service_type, description, delay_minutes');
     }
     if (typeof delay_minutes !== 'number' || delay_minutes <= 0) {
-      return res.status(400).json({
-        message: 'delay_minutes must be a positive number'
-      });
+      throw new AppError('BAD_REQUEST', 'delay_minutes must be a positive number');
     }
 
     // 1) Verify guest
@@ -31,11 +29,10 @@ export const submitServiceRequest = async (req, res) => {
       .maybeSingle();
 
     if (guestError) {
-      console.error('[submitServiceRequest] Error checking guest existence:', guestError);
-      return res.status(500).json({ message: 'Error checking guest', error: guestError.message });
+      throw new AppError('DATABASE_ERROR', 'Error checking guest', { cause: guestError });
     }
     if (!guest) {
-      return res.status(404).json({ message: 'Guest not found' });
+      throw new AppError('GUEST_NOT_FOUND', 'Guest not found');
     }
 
     // 2) Build payload
@@ -61,11 +58,7 @@ export const submitServiceRequest = async (req, res) => {
     // 4) Insert service request
     const { data, error } = await createServiceRequest(requestPayload);
     if (error) {
-      console.error('[submitServiceRequest] Database error:', error);
-      return res.status(500).json({
-        message: 'Database error: Unable to submit service request',
-        error: error.message
-      });
+      throw new AppError('DATABASE_ERROR', 'Database error: Unable to submit service request', { cause: error });
     }
     const newRequestId = data.id;
 
@@ -134,26 +127,22 @@ export const submitServiceRequest = async (req, res) => {
       console.error('[submitServiceRequest] Unexpected error creating admin notifications:', notifCatchErr);
     }
 
-    return res.status(201).json({
-      message: 'Service request submitted successfully',
-      data
-    });
+    return sendSuccess(res, 'Service request submitted successfully', data, 201);
   } catch (error) {
-    console.error('[submitServiceRequest] Unexpected Error:', error);
-    return res.status(500).json({ message: 'Internal server error' });
+    return next(error);
   }
 };
 
-export const updateServiceRequestStatus = async (req, res) => {
+export const updateServiceRequestStatus = async (req, res, next) => {
   try {
     const { request_id } = req.params;
     const { status } = req.body;
     if (!request_id || !status) {
-      return res.status(400).json({ message: 'Missing request_id or status in request.' });
+      throw new AppError('BAD_REQUEST', 'Missing request_id or status in request.');
     }
     const reqIdNum = parseInt(request_id, 10);
     if (isNaN(reqIdNum)) {
-      return res.status(400).json({ message: 'Invalid request_id format.' });
+      throw new AppError('BAD_REQUEST', 'Invalid request_id format.');
     }
 
     const { data: updatedData, error: updateError } = await supabase
@@ -171,17 +160,13 @@ export const updateServiceRequestStatus = async (req, res) => {
         status,
         created_at
       `)
-      .single();
+      .maybeSingle();
 
     if (updateError) {
-      console.error('[updateServiceRequestStatus] Error updating service request status:', updateError);
-      return res.status(500).json({
-        message: 'Database error: Unable to update status',
-        error: updateError.message
-      });
+      throw new AppError('DATABASE_ERROR', 'Database error: Unable to update status', { cause: updateError });
     }
     if (!updatedData) {
-      return res.status(404).json({ message: 'Service request not found.' });
+      throw new AppError('SERVICE_REQUEST_NOT_FOUND', 'Service request not found.');
     }
 
     // 2) Log the status change
@@ -266,22 +251,18 @@ export const updateServiceRequestStatus = async (req, res) => {
       console.error('[updateServiceRequestStatus] Unexpected error notifying guest about status change:', notifCatchErr);
     }
 
-    return res.status(200).json({
-      message: `Service request #${request_id} status updated to ${status}.`,
-      data: updatedData
-    });
+    return sendSuccess(res, `Service request #${request_id} status updated to ${status}.`, updatedData);
   } catch (err) {
-    console.error('[updateServiceRequestStatus] Unexpected Error:', err);
-    return res.status(500).json({ message: 'Internal server error' });
+    return next(err);
   }
 };
 
-export const getServiceRequests = async (req, res) => {
+export const getServiceRequests = async (req, res, next) => {
   try {
     const { guest_id } = req.params;
     const { limit = 10, offset = 0 } = req.query;
     if (!guest_id) {
-      return res.status(400).json({ message: 'Guest ID is required' });
+      throw new AppError('BAD_REQUEST', 'Guest ID is required');
     }
     const { data, error } = await getServiceRequestsByGuest(
       guest_id,
@@ -289,21 +270,13 @@ export const getServiceRequests = async (req, res) => {
       parseInt(offset, 10)
     );
     if (error) {
-      console.error('[getServiceRequests] Database error:', error);
-      return res.status(500).json({
-        message: 'Database error: Unable to fetch service requests',
-        error: error.message
-      });
+      throw new AppError('DATABASE_ERROR', 'Database error: Unable to fetch service requests', { cause: error });
     }
     if (!data || data.length === 0) {
-      return res.status(404).json({ message: 'No service requests found for this guest' });
+      throw new AppError('SERVICE_REQUEST_NOT_FOUND', 'No service requests found for this guest');
     }
-    return res.status(200).json({
-      message: 'Service requests fetched successfully',
-      data
-    });
+    return sendSuccess(res, 'Service requests fetched successfully', data);
   } catch (error) {
-    console.error('[getServiceRequests] Unexpected Error:', error);
-    return res.status(500).json({ message: 'Internal server error' });
+    return next(error);
   }
 };
@@ -0,0 +1,68 @@
+// controllers/settingsController.js
+import { listSettings, updateSetting, resetSetting } from '../services/settingsService.js';
+import { AppError } from '../utils/appError.js';
+import { sendSuccess } from '../utils/responseHelper.js';
+
+const findSetting = async (name) => {
+  const setting = (await listSettings()).find((s) => s.name === name);
+  if (!setting) {
+    throw new AppError('SETTING_NOT_FOUND', `Unknown setting '${name}'.`);
+  }
+  return setting;
+};
+
+/**
+ * GET /api/settings
+ * Every tunable with its current value, default, bounds and description.
+ */
+export const listSettingsController = async (req, res, next) => {
+  try {
+    const settings = await listSettings();
+    return sendSuccess(res, 'Settings fetched successfully.', settings);
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * GET /api/settings/:name
+ */
+export const getSettingController = async (req, res, next) => {
+  try {
+    const setting = await findSetting(req.params.name);
+    return sendSuccess(res, 'Setting fetched successfully.', setting);
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * PUT /api/settings/:name
+ * Body: { value }. Takes effect on this instance at once, elsewhere within the
+ * settings cache TTL.
+ */
+export const updateSettingController = async (req, res, next) => {
+  try {
+    const { name } = req.params;
+    await updateSetting(name, req.body.value);
+    const setting = await findSetting(name);
+    return sendSuccess(res, `Setting '${name}' updated.`, setting);
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * DELETE /api/settings/:name
+ * Drop the stored value so the default applies again.
+ */
+export const resetSettingController = async (req, res, next) => {
+  try {
+    const { name } = req.params;
+    await resetSetting(name);
+    const setting = await findSetting(name);
+    return sendSuccess(res, `Setting '${name}' reset to its default.`, setting);
+  } catch (error) {
+    return next(error);
+  }
+};
@@ -0,0 +1,256 @@
+// controllers/staffAccessController.js
+import {
+  createShift,
+  listShifts,
+  deleteShift,
+  listRoomRules,
+  createRoomRule,
+  updateRoomRule,
+  deleteRoomRule,
+  createAssignment,
+  listAssignments,
+  deleteAssignment,
+} from '../models/staffAccessModel.js';
+import { getAdminById } from '../models/adminModel.js';
+import { findRoomByNumber } from '../models/roomsModel.js';
+import { isStaffRole } from '../config/roles.js';
+import { AppError } from '../utils/appError.js';
+import { sendSuccess } from '../utils/responseHelper.js';
+
+const RULE_FIELDS = ['role', 'room_statuses', 'assigned_only', 'description', 'enabled'];
+
+const pick = (body, fields) =>
+  Object.fromEntries(fields.filter((f) => body[f] !== undefined).map((f) => [f, body[f]]));
+
+const createdBy = (req) => (isStaffRole(req.user?.role) ? req.user.id : null);
+
+const loadStaff = async (id) => {
+  const { data: admin, error } = await getAdminById(Number(id));
+  if (error) {
+    throw new AppError('DATABASE_ERROR', 'Database error: Unable to fetch staff member.', { cause: error });
+  }
+  if (!admin) {
+    throw new AppError('ADMIN_NOT_FOUND', `Staff member ${id} not found.`);
+  }
+  return admin;
+};
+
+const loadRoom = async (roomNumber) => {
+  const { data: room, error } = await findRoomByNumber(roomNumber);
+  if (error) {
+    throw new AppError('DATABASE_ERROR', 'Database error: Unable to fetch room.', { cause: error });
+  }
+  if (!room) {
+    throw new AppError('ROOM_NOT_FOUND', `Room #${roomNumber} not found.`);
+  }
+  return room;
+};
+
+/**
+ * GET /api/staff-access/shifts?admin_id=&from=&to=&limit=&offset=
+ * Shifts overlapping the given range, earliest first.
+ */
+export const listShiftsController = async (req, res, next) => {
+  try {
+    const { admin_id, from, to } = req.query;
+    const { data, error } = await listShifts({
+      admin_id,
+      from,
+      to,
+      limit: Number(req.query.limit) || 100,
+      offset: Number(req.query.offset) || 0,
+    });
+    if (error) {
+      throw new AppError('DATABASE_ERROR', 'Database error: Unable to fetch shifts.', { cause: error });
+    }
+    return sendSuccess(res, 'Shifts fetched successfully.', data);
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * POST /api/staff-access/shifts
+ * Staff cards open doors only while their holder has a shift covering the tap.
+ */
+export const createShiftController = async (req, res, next) => {
+  try {
+    const { admin_id, starts_at, ends_at, notes = null } = req.body;
+    if (new Date(ends_at) <= new Date(starts_at)) {
+      throw new AppError('BAD_REQUEST', 'ends_at must be after starts_at.');
+    }
+    const admin = await loadStaff(admin_id);
+    const { data, error } = await createShift({
+      admin_id: admin.id,
+      starts_at,
+      ends_at,
+      notes,
+      created_by: createdBy(req),
+    });
+    if (error) {
+      throw new AppError('DATABASE_ERROR', 'Database error: Unable to create shift.', { cause: error });
+    }
+    return sendSuccess(res, `Shift added for ${admin.username}.`, data, 201);
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * DELETE /api/staff-access/shifts/:id
+ */
+export const deleteShiftController = async (req, res, next) => {
+  try {
+    const { data, error } = await deleteShift(req.params.id);
+    if (error) {
+      throw new AppError('DATABASE_ERROR', 'Database error: Unable to delete shift.', { cause: error });
+    }
+    if (!data) {
+      throw new AppError('SHIFT_NOT_FOUND', `Shift ${req.params.id} not found.`);
+    }
+    return sendSuccess(res, 'Shift deleted.', data);
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * GET /api/staff-access/rules?role=
+ */
+export const listRoomRulesController = async (req, res, next) => {
+  try {
+    const { data, error } = await listRoomRules({ role: req.query.role });
+    if (error) {
+      throw new AppError('DATABASE_ERROR', 'Database error: Unable to fetch staff room rules.', { cause: error });
+    }
+    return sendSuccess(res, 'Staff room rules fetched successfully.', data);
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * POST /api/staff-access/rules
+ * Let a staff role into rooms in the given statuses (any status when
+ * room_statuses is omitted); assigned_only also requires a room assignment.
+ */
+export const createRoomRuleController = async (req, res, next) => {
+  try {
+    const { data, error } = await createRoomRule(pick(req.body, RULE_FIELDS));
+    if (error) {
+      throw new AppError('DATABASE_ERROR', 'Database error: Unable to create staff room rule.', { cause: error });
+    }
+    return sendSuccess(res, `Room rule added for ${data.role}.`, data, 201);
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * PUT /api/staff-access/rules/:id
+ */
+export const updateRoomRuleController = async (req, res, next) => {
+  try {
+    const fields = pick(req.body, RULE_FIELDS);
+    if (Object.keys(fields).length === 0) {
+      throw new AppError('BAD_REQUEST', 'Nothing to update.');
+    }
+    const { data, error } = await updateRoomRule(req.params.id, fields);
+    if (error) {
+      throw new AppError('DATABASE_ERROR', 'Database error: Unable to update staff room rule.', { cause: error });
+    }
+    if (!data) {
+      throw new AppError('STAFF_RULE_NOT_FOUND', `Staff room rule ${req.params.id} not found.`);
+    }
+    return sendSuccess(res, 'Staff room rule updated.', data);
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * DELETE /api/staff-access/rules/:id
+ */
+export const deleteRoomRuleController = async (req, res, next) => {
+  try {
+    const { data, error } = await deleteRoomRule(req.params.id);
+    if (error) {
+      throw new AppError('DATABASE_ERROR', 'Database error: Unable to delete staff room rule.', { cause: error });
+    }
+    if (!data) {
+      throw new AppError('STAFF_RULE_NOT_FOUND', `Staff room rule ${req.params.id} not found.`);
+    }
+    return sendSuccess(res, 'Staff room rule deleted.', data);
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * GET /api/staff-access/assignments?admin_id=&room_number=&active=
+ * `active=true` keeps only assignments in effect now.
+ */
+export const listAssignmentsController = async (req, res, next) => {
+  try {
+    const { admin_id, room_number, active } = req.query;
+    const room = room_number ? await loadRoom(room_number) : null;
+    const { data, error } = await listAssignments({
+      admin_id,
+      room_id: room?.id,
+      activeAt: active === 'true' ? new Date().toISOString() : undefined,
+    });
+    if (error) {
+      throw new AppError('DATABASE_ERROR', 'Database error: Unable to fetch room assignments.', { cause: error });
+    }
+    return sendSuccess(res, 'Room assignments fetched successfully.', data);
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * POST /api/staff-access/assignments
+ * Assign a room to a staff member, for rules marked assigned_only. Starts now
+ * unless starts_at is given; runs until removed unless ends_at is given.
+ */
+export const createAssignmentController = async (req, res, next) => {
+  try {
+    const { admin_id, room_number, starts_at = new Date().toISOString(), ends_at = null } = req.body;
+    if (ends_at && new Date(ends_at) <= new Date(starts_at)) {
+      throw new AppError('BAD_REQUEST', 'ends_at must be after starts_at.');
+    }
+    const admin = await loadStaff(admin_id);
+    const room = await loadRoom(room_number);
+    const { data, error } = await createAssignment({
+      admin_id: admin.id,
+      room_id: room.id,
+      starts_at,
+      ends_at,
+      created_by: createdBy(req),
+    });
+    if (error) {
+      throw new AppError('DATABASE_ERROR', 'Database error: Unable to assign room.', { cause: error });
+    }
+    return sendSuccess(res, `Room #${room.room_number} assigned to ${admin.username}.`, data, 201);
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * DELETE /api/staff-access/assignments/:id
+ */
+export const deleteAssignmentController = async (req, res, next) => {
+  try {
+    const { data, error } = await deleteAssignment(req.params.id);
+    if (error) {
+      throw new AppError('DATABASE_ERROR', 'Database error: Unable to delete room assignment.', { cause: error });
+    }
+    if (!data) {
+      throw new AppError('ASSIGNMENT_NOT_FOUND', `Room assignment ${req.params.id} not found.`);
+    }
+    return sendSuccess(res, 'Room assignment removed.', data);
+  } catch (error) {
+    return next(error);
+  }
+};
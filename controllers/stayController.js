@@ -0,0 +1,339 @@
+// controllers/stayController.js
+import {
+  getStaysByGuest,
+  getOpenStayRooms,
+  addGuestToStay,
+  findStayGuest,
+  issueStayCard,
+  getStayCardById,
+  revokeStayCards,
+  updateStay,
+} from '../models/stayModel.js';
+import { checkOutRoomById } from '../models/roomsModel.js';
+import { findRFIDByUID, assignRFIDToGuest, unassignRFID, resetRFIDsByIds } from '../models/rfidModel.js';
+import { isStaffRole } from '../config/roles.js';
+import { deactivateGuestInternet } from '../services/gatewayService.js';
+import {
+  loadStay,
+  loadGuest,
+  reserveRoomForStay,
+  openStay,
+  rescheduleStayCheckOut,
+} from '../services/stayService.js';
+import { generateStayPin, removeStayPin } from '../services/keypadPinService.js';
+import { signOutStayDevices } from '../services/wifiPortalService.js';
+import { AppError } from '../utils/appError.js';
+import { sendSuccess } from '../utils/responseHelper.js';
+
+/**
+ * POST /api/stays
+ * Create a stay for a primary guest with one or more rooms and optional companions.
+ */
+export const createStayController = async (req, res, next) => {
+  try {
+    const { primary_guest_id, room_numbers, check_in, check_out, companion_ids = [], notes, add_ons = [] } = req.body;
+
+    const created = await openStay({
+      primary_guest_id,
+      room_numbers,
+      check_in,
+      check_out,
+      companion_ids,
+      notes,
+      add_ons,
+      created_by: isStaffRole(req.user?.role) ? req.user.id : null,
+    });
+    return sendSuccess(res, 'Stay created successfully.', created, 201);
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * GET /api/stays/:id
+ */
+export const getStayController = async (req, res, next) => {
+  try {
+    const stay = await loadStay(req.params.id);
+    return sendSuccess(res, 'Stay fetched successfully.', stay);
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * GET /api/stays/guest/:guest_id
+ * Stays the guest belongs to, as primary guest or companion.
+ */
+export const getGuestStaysController = async (req, res, next) => {
+  try {
+    const { data, error } = await getStaysByGuest(req.params.guest_id);
+    if (error) {
+      throw new AppError('DATABASE_ERROR', 'Database error: Unable to fetch stays.', { cause: error });
+    }
+    return sendSuccess(res, 'Stays fetched successfully.', data);
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * POST /api/stays/:id/rooms
+ * Reserve another room on an open stay.
+ */
+export const addStayRoomController = async (req, res, next) => {
+  try {
+    const stay = await loadStay(req.params.id, { requireOpen: true });
+    const guest = await loadGuest(stay.primary_guest_id);
+    const { password, ...occupantSnapshot } = guest;
+
+    const room = await reserveRoomForStay(stay, req.body.room_number, occupantSnapshot);
+    return sendSuccess(res, `Room ${room.room_number} added to stay ${stay.id}.`, room, 201);
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * POST /api/stays/:id/guests
+ * Add a companion to an open stay.
+ */
+export const addStayGuestController = async (req, res, next) => {
+  try {
+    const stay = await loadStay(req.params.id, { requireOpen: true });
+    const { guest_id } = req.body;
+    await loadGuest(guest_id);
+
+    const { error } = await addGuestToStay(stay.id, guest_id);
+    if (error) {
+      throw new AppError('DATABASE_ERROR', 'Database error: Unable to add companion.', { cause: error });
+    }
+    const updated = await loadStay(stay.id);
+    return sendSuccess(res, `Guest ${guest_id} added to stay ${stay.id}.`, updated, 201);
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * POST /api/stays/:id/cards
+ * Issue an available RFID card to a guest on the stay. room_numbers limits the
+ * card to some of the stay's rooms; omit it to open every room on the stay.
+ */
+export const issueStayCardController = async (req, res, next) => {
+  try {
+    const stay = await loadStay(req.params.id, { requireOpen: true });
+    const { rfid_uid, guest_id, room_numbers } = req.body;
+
+    const { data: membership, error: memberError } = await findStayGuest(stay.id, guest_id);
+    if (memberError) {
+      throw new AppError('DATABASE_ERROR', 'Database error: Unable to check stay guests.', { cause: memberError });
+    }
+    if (!membership) {
+      throw new AppError('GUEST_NOT_ON_STAY', `Guest ${guest_id} is not on stay ${stay.id}.`);
+    }
+
+    let roomIds = null;
+    if (room_numbers && room_numbers.length > 0) {
+      const { data: openRooms, error: roomsError } = await getOpenStayRooms(stay.id);
+      if (roomsError) {
+        throw new AppError('DATABASE_ERROR', 'Database error: Unable to fetch stay rooms.', { cause: roomsError });
+      }
+      roomIds = room_numbers.map((number) => {
+        const room = openRooms.find((r) => String(r.room_number) === String(number));
+        if (!room) {
+          throw new AppError('ROOM_NOT_ON_STAY', `Room ${number} is not on stay ${stay.id}.`);
+        }
+        return room.id;
+      });
+    }
+
+    const { data: rfid, error: rfidError } = await findRFIDByUID(rfid_uid);
+    if (rfidError) {
+      throw new AppError('DATABASE_ERROR', 'Database error: Unable to check RFID.', { cause: rfidError });
+    }
+    if (!rfid) {
+      throw new AppError('RFID_NOT_FOUND', `RFID ${rfid_uid} does not exist in the database.`);
+    }
+    if (rfid.status !== 'available') {
+      throw new AppError('RFID_NOT_AVAILABLE', `RFID ${rfid_uid} is not available. Current status: ${rfid.status}.`);
+    }
+
+    const { data: assigned, error: assignError } = await assignRFIDToGuest(rfid_uid, guest_id);
+    if (assignError) {
+      throw new AppError('DATABASE_ERROR', 'Database error: Unable to assign RFID.', { cause: assignError });
+    }
+    if (!assigned) {
+      throw new AppError('RFID_NOT_AVAILABLE', 'Failed to assign RFID. Possibly the RFID is no longer available.');
+    }
+
+    const { data: card, error: cardError } = await issueStayCard({
+      stay_id: stay.id,
+      rfid_id: assigned.id,
+      guest_id,
+      room_ids: roomIds,
+    });
+    if (cardError) {
+      await unassignRFID(rfid_uid);
+      throw new AppError('DATABASE_ERROR', 'Database error: Unable to issue stay card.', { cause: cardError });
+    }
+
+    return sendSuccess(res, `RFID ${rfid_uid} issued on stay ${stay.id}.`, { ...card, rfid: assigned }, 201);
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * DELETE /api/stays/:id/cards/:card_id
+ * Revoke a card on the stay and return its RFID tag to the pool.
+ */
+export const revokeStayCardController = async (req, res, next) => {
+  try {
+    const { id, card_id } = req.params;
+    const { data: card, error } = await getStayCardById(card_id);
+    if (error) {
+      throw new AppError('DATABASE_ERROR', 'Database error: Unable to fetch stay card.', { cause: error });
+    }
+    if (!card || String(card.stay_id) !== String(id) || card.revoked_at) {
+      throw new AppError('STAY_CARD_NOT_FOUND', `No live card ${card_id} on stay ${id}.`);
+    }
+
+    const { error: revokeError } = await revokeStayCards('id', card.id, 'revoked_by_staff');
+    if (revokeError) {
+      throw new AppError('DATABASE_ERROR', 'Database error: Unable to revoke stay card.', { cause: revokeError });
+    }
+    const { error: resetError } = await resetRFIDsByIds([card.rfid_id]);
+    if (resetError) {
+      throw new AppError('DATABASE_ERROR', 'Database error: Unable to release RFID.', { cause: resetError });
+    }
+
+    return sendSuccess(res, `Card ${card.id} revoked.`, card);
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * PUT /api/stays/:id/add-ons
+ * Replace the stay's booking add-ons (e.g. parking bought mid-stay); access
+ * policies requiring an add-on take effect on the next tap.
+ */
+export const setStayAddOnsController = async (req, res, next) => {
+  try {
+    const stay = await loadStay(req.params.id, { requireOpen: true });
+    const add_ons = [...new Set(req.body.add_ons)];
+    const { data, error } = await updateStay(stay.id, { add_ons });
+    if (error) {
+      throw new AppError('DATABASE_ERROR', 'Database error: Unable to update stay add-ons.', { cause: error });
+    }
+    return sendSuccess(res, `Stay ${stay.id} add-ons updated.`, data);
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * Shared body of the extend/shorten endpoints: the new check_out must move in
+ * the requested direction and stay after both now and the stay's check_in.
+ */
+const changeStayCheckOut = async (req, res, next, direction) => {
+  try {
+    const stay = await loadStay(req.params.id, { requireOpen: true });
+    const newCheckOut = new Date(req.body.check_out);
+    const current = new Date(stay.check_out);
+
+    if (direction === 'extend' && newCheckOut <= current) {
+      throw new AppError('BAD_REQUEST', `check_out must be later than the current ${stay.check_out}.`);
+    }
+    if (direction === 'shorten' && newCheckOut >= current) {
+      throw new AppError('BAD_REQUEST', `check_out must be earlier than the current ${stay.check_out}.`);
+    }
+    if (newCheckOut <= new Date() || newCheckOut <= new Date(stay.check_in)) {
+      throw new AppError('BAD_REQUEST', 'check_out must be in the future and after check_in; use checkout to end the stay now.');
+    }
+
+    const { stay: updated, gatewaySynced } = await rescheduleStayCheckOut(stay, newCheckOut);
+    const verb = direction === 'extend' ? 'extended' : 'shortened';
+    return sendSuccess(res, `Stay ${stay.id} ${verb} to ${updated.check_out}.`, { ...updated, gatewaySynced });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * POST /api/stays/:id/extend
+ * Push check_out later, if no reservation on the stay's rooms is in the way.
+ */
+export const extendStayController = (req, res, next) => changeStayCheckOut(req, res, next, 'extend');
+
+/**
+ * POST /api/stays/:id/shorten
+ * Early departure: pull check_out earlier but keep the stay open until then.
+ */
+export const shortenStayController = (req, res, next) => changeStayCheckOut(req, res, next, 'shorten');
+
+/**
+ * POST /api/stays/:id/checkout
+ * Check out every room still held by the stay; the last room closes the stay.
+ */
+export const checkOutStayController = async (req, res, next) => {
+  try {
+    const stay = await loadStay(req.params.id, { requireOpen: true });
+    const { data: openRooms, error } = await getOpenStayRooms(stay.id);
+    if (error) {
+      throw new AppError('DATABASE_ERROR', 'Database error: Unable to fetch stay rooms.', { cause: error });
+    }
+
+    const checkedOut = [];
+    for (const room of openRooms) {
+      const result = await checkOutRoomById(room.id, 'Stay Check-Out');
+      if (!result.success) {
+        throw new AppError('DATABASE_ERROR', `Error checking out room ${room.room_number}.`, {
+          cause: result.error,
+          details: { checkedOut },
+        });
+      }
+      checkedOut.push(room.room_number);
+    }
+
+    await deactivateGuestInternet(stay.primary_guest_id);
+    // The rooms are out already; housekeeping retries any device left signed in
+    await signOutStayDevices(stay.id).catch((err) =>
+      console.error(`[Stay] Unable to sign out Wi-Fi devices of stay ${stay.id}:`, err)
+    );
+
+    const closed = await loadStay(stay.id);
+    return sendSuccess(res, `Stay ${stay.id} checked out.`, closed);
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * POST /api/stays/:id/keypad-pin
+ * Give the stay a new door keypad PIN (replacing any earlier one). The PIN
+ * is only returned here; hand it to the guest.
+ */
+export const setStayKeypadPinController = async (req, res, next) => {
+  try {
+    const createdBy = isStaffRole(req.user?.role) ? req.user.id : null;
+    const result = await generateStayPin(req.params.id, createdBy);
+    return sendSuccess(res, `Keypad PIN set for stay ${result.stay_id}. It is not shown again.`, result, 201);
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * DELETE /api/stays/:id/keypad-pin
+ * Turn the stay's keypad PIN off.
+ */
+export const removeStayKeypadPinController = async (req, res, next) => {
+  try {
+    await removeStayPin(req.params.id);
+    return sendSuccess(res, `Keypad PIN removed from stay ${req.params.id}.`);
+  } catch (error) {
+    return next(error);
+  }
+};
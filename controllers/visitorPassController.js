@@ -0,0 +1,99 @@
+// controllers/visitorPassController.js
+import {
+  issueVisitorPass,
+  listPasses,
+  revokePass,
+  verifyVisitorPass,
+} from '../services/visitorPassService.js';
+import { resolveTapDoor } from '../services/deviceService.js';
+import { ROLES } from '../config/roles.js';
+import { AppError } from '../utils/appError.js';
+import { sendSuccess } from '../utils/responseHelper.js';
+
+/**
+ * POST /api/visitor-passes
+ * A checked-in guest issues a QR or PIN pass for one of their rooms. The code
+ * is returned once.
+ */
+export const issueVisitorPassController = async (req, res, next) => {
+  try {
+    const { guest_id, room_number, visitor_name, code_type, one_time, valid_from, valid_until } = req.body;
+    const result = await issueVisitorPass({
+      guestId: guest_id,
+      roomNumber: room_number,
+      visitorName: visitor_name || null,
+      codeType: code_type || 'qr',
+      oneTime: one_time === undefined ? true : one_time === true || one_time === 'true',
+      validFrom: valid_from || null,
+      validUntil: valid_until || null,
+    });
+    return sendSuccess(res, 'Visitor pass issued successfully.', result, 201);
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * GET /api/visitor-passes/guest/:guest_id?live=true
+ */
+export const getGuestVisitorPassesController = async (req, res, next) => {
+  try {
+    const passes = await listPasses({ guestId: req.params.guest_id, liveOnly: req.query.live === 'true' });
+    return sendSuccess(res, 'Visitor passes fetched successfully.', passes);
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * GET /api/visitor-passes/stay/:stay_id?live=true
+ */
+export const getStayVisitorPassesController = async (req, res, next) => {
+  try {
+    const passes = await listPasses({ stayId: req.params.stay_id, liveOnly: req.query.live === 'true' });
+    return sendSuccess(res, 'Visitor passes fetched successfully.', passes);
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * DELETE /api/visitor-passes/:id
+ * Guests revoke their own passes from the app; staff any pass.
+ */
+export const revokeVisitorPassController = async (req, res, next) => {
+  try {
+    const ownerGuestId = req.user.role === ROLES.GUEST ? req.user.id : null;
+    const pass = await revokePass(req.params.id, ownerGuestId);
+    return sendSuccess(res, 'Visitor pass revoked successfully.', pass);
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * POST /api/visitor-passes/verify
+ * A door gateway relays a scanned QR code or an entered PIN. The door is
+ * resolved like an RFID tap (device_id, else room_number); the decision is
+ * logged either way.
+ */
+export const verifyVisitorPassController = async (req, res, next) => {
+  try {
+    const { code, pin, room_number, device_id } = req.body;
+    if (Boolean(code) === Boolean(pin)) {
+      throw new AppError('BAD_REQUEST', 'Send either code (QR) or pin.');
+    }
+    const { door, roomNumber } = await resolveTapDoor(req.device, device_id, room_number);
+    const deviceCode = door ? door.code : device_id || null;
+    const access = await verifyVisitorPass({ code, pin, door, roomNumber, deviceCode });
+    return sendSuccess(res, `Visitor access to room ${access.room.room_number} granted.`, {
+      pass: access.pass,
+      hostGuestId: access.pass.guest_id,
+      room: access.room,
+      deviceId: deviceCode,
+    });
+  } catch (error) {
+    if (error.code === 'KEYPAD_LOCKED') res.set('Retry-After', String(error.details.retryAfterSeconds));
+    return next(error);
+  }
+};
@@ -0,0 +1,100 @@
+// controllers/wifiPortalController.js
+import {
+  portalLogin,
+  portalStatus,
+  signOutDevice,
+  getStayWifi,
+  issueWifiVoucher,
+  revokeVoucher,
+} from '../services/wifiPortalService.js';
+import { isStaffRole } from '../config/roles.js';
+import { AppError } from '../utils/appError.js';
+import { sendSuccess } from '../utils/responseHelper.js';
+
+/**
+ * POST /api/wifi/portal/login
+ * The gateway relays a captive portal sign-in for a device on guest_dhcp:
+ * room number + last name, or a voucher. The device is bound to the stay and
+ * whitelisted until check-out.
+ */
+export const portalLoginController = async (req, res, next) => {
+  try {
+    const { mac, ip, room_number, last_name, voucher } = req.body;
+    if (!voucher && !(room_number && last_name)) {
+      throw new AppError('BAD_REQUEST', 'Send either voucher, or room_number and last_name.');
+    }
+    const result = await portalLogin({ mac, ip, roomNumber: room_number, lastName: last_name, voucher }, req);
+    return sendSuccess(res, `Device ${result.device.mac} is online until ${result.expiresAt}.`, result);
+  } catch (error) {
+    if (error.code === 'TOO_MANY_LOGIN_ATTEMPTS') res.set('Retry-After', String(error.details.retryAfterSeconds));
+    return next(error);
+  }
+};
+
+/**
+ * GET /api/wifi/portal/status?mac=
+ * Whether a device is signed in, so the portal page can skip the form.
+ */
+export const portalStatusController = async (req, res, next) => {
+  try {
+    const status = await portalStatus(req.query.mac);
+    const message = status.authorized ? `Device ${status.mac} is signed in.` : `Device ${status.mac} is not signed in.`;
+    return sendSuccess(res, message, status);
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * POST /api/wifi/devices/sign-out
+ * Sign a device out (from the portal, or staff freeing one of the stay's
+ * device slots) and take it off the whitelist.
+ */
+export const signOutDeviceController = async (req, res, next) => {
+  try {
+    const device = await signOutDevice(req.body.mac);
+    return sendSuccess(res, `Device ${device.mac} signed out.`, device);
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * GET /api/wifi/stays/:id
+ * A stay's signed-in devices, its device limit and its vouchers.
+ */
+export const getStayWifiController = async (req, res, next) => {
+  try {
+    const wifi = await getStayWifi(req.params.id);
+    return sendSuccess(res, `Wi-Fi for stay ${wifi.stay_id} fetched.`, wifi);
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * POST /api/wifi/stays/:id/vouchers
+ * Issue a voucher for the stay. The code is returned once.
+ */
+export const issueWifiVoucherController = async (req, res, next) => {
+  try {
+    const createdBy = isStaffRole(req.user?.role) ? req.user.id : null;
+    const result = await issueWifiVoucher(req.params.id, createdBy);
+    return sendSuccess(res, `Wi-Fi voucher issued for stay ${result.voucher.stay_id}. It is not shown again.`, result, 201);
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * DELETE /api/wifi/vouchers/:id
+ * Revoke a voucher; devices already signed in with it keep their access.
+ */
+export const revokeWifiVoucherController = async (req, res, next) => {
+  try {
+    const voucher = await revokeVoucher(req.params.id);
+    return sendSuccess(res, `Wi-Fi voucher ${voucher.id} revoked.`, voucher);
+  } catch (error) {
+    return next(error);
+  }
+};
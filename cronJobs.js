@@ -1,187 +1,199 @@
 // cronJobs.js
 import cron from 'node-cron';
-import fetch from 'node-fetch';
 import supabase from './config/supabase.js';
-import { createNotification } from './models/notificationModel.js';
+import { findUserById } from './models/userModel.js';
 import { checkOutRoomById } from './models/roomsModel.js';
+import { getOpenStayRooms } from './models/stayModel.js';
+import {
+  getReservationById,
+  getUpcomingReservations,
+  updateReservation,
+} from './models/reservationModel.js';
+import { updateOpenRecordsForRoom } from './models/roomOccupancyHistoryModel.js';
+import { promoteReservation } from './services/stayService.js';
+import { pruneCardChanges } from './models/cardSyncModel.js';
+import { purgeFinishedJobs } from './models/scheduledJobModel.js';
+import { purgeExpiredChallenges } from './models/cardCredentialModel.js';
+import { deactivateGuestInternet, pushCardSyncCursor } from './services/gatewayService.js';
+import { startCardSyncWatcher } from './services/cardSyncService.js';
+import { sendReminder } from './services/reminderService.js';
+import { sendMasterCardAlert } from './services/staffAccessService.js';
+import { checkAccessEvents } from './services/anomalyService.js';
+import { sendVisitorPassNotice } from './services/visitorPassService.js';
+import { signOutLapsedDevices } from './services/wifiPortalService.js';
+import { getSetting } from './services/settingsService.js';
+import {
+  JOB_TYPES,
+  registerJobHandler,
+  scheduleRoomCheckOutJobs,
+  scheduleReservationJobs,
+  enqueueOnce,
+  startJobWorker,
+} from './services/jobScheduler.js';
 
-const BACKEND_BASE_URL =
-  "https://smartaccesscontrol-backend-production.up.railway.app/api";
+// Room check-outs, reminders and reservation promotions are durable jobs in
+// scheduled_jobs, scheduled when a stay or reservation is created or changed
+// (see services/jobScheduler.js). Handlers re-check the current row
+// before acting, so a job made stale by a later change is a no-op.
 
-// —————————————————————————————————————————————————————————————————————————————
-// AUTO-CHECKOUT LOGIC (every 30s)
-// —————————————————————————————————————————————————————————————————————————————
+const sameInstant = (a, b) => Boolean(a && b) && new Date(a).getTime() === new Date(b).getTime();
 
-// 1) Get all occupied rooms with a non-null check_out
-async function getOccupiedRooms() {
-  const { data, error } = await supabase
-    .from('rooms')
-    .select('*')
-    .eq('status', 'occupied')
-    .not('check_out', 'is', null);
-
-  if (error) {
-    console.error('[cronJobs] getOccupiedRooms error:', error);
-    return [];
-  }
+async function loadRoom(roomId) {
+  const { data, error } = await supabase.from('rooms').select('*').eq('id', roomId).maybeSingle();
+  if (error) throw new Error(`Unable to load room ${roomId}: ${error.message}`);
   return data;
 }
 
-// 2) Parse a room's check_out into a Date
-function parseCheckOutDate(checkOutString) {
-  if (!checkOutString) return null;
-  try {
-    return new Date(checkOutString);
-  } catch (err) {
-    console.error('[cronJobs] parseCheckOutDate error:', err);
+// —————————————————————————————————————————————————————————————————————————————
+// ROOM CHECK-OUT JOBS
+// —————————————————————————————————————————————————————————————————————————————
+
+// Reminders whose room/check_out no longer match (moved, checked out) are
+// stale: the reschedule already queued their replacements.
+async function loadRoomForReminder(job) {
+  const room = await loadRoom(job.payload.room_id);
+  if (!room || room.status !== 'occupied' || !sameInstant(room.check_out, job.payload.check_out)) {
     return null;
   }
+  return room;
+}
+
+async function loadGuest(guestId) {
+  if (!guestId) return null;
+  const { data, error } = await findUserById(guestId);
+  if (error) throw new Error(`Unable to load guest ${guestId}: ${error.message}`);
+  return data;
 }
 
-// 3) Send a “10 minutes left” warning if time is almost up
-async function sendTenMinWarning(room) {
-  const guestId = room.guest_id;
-  if (!guestId) return;
-  const adminId = 1; // or fetch dynamically
-
-  await createNotification({
-    recipient_guest_id: guestId,
-    title: '10 Minutes Left for Your Stay',
-    message: `Your check-out is in 10 minutes (Room #${room.room_number}).`,
-    notification_type: 'checkout_reminder',
+registerJobHandler(JOB_TYPES.ROOM_CHECKOUT_WARNING, async (job) => {
+  const room = await loadRoomForReminder(job);
+  if (!room) return { skipped: 'stale' };
+
+  const result = await sendReminder('checkout_warning', {
+    guest: await loadGuest(room.guest_id),
+    roomNumber: room.room_number,
+    checkOut: room.check_out,
+    minutesBefore: job.payload.minutes_before,
+    data: { roomId: room.id.toString() },
   });
-  await createNotification({
-    recipient_admin_id: adminId,
-    title: 'Guest Check-Out Reminder',
-    message: `Room #${room.room_number} has 10 minutes left.`,
-    notification_type: 'checkout_reminder',
+
+  const { error } = await supabase.from('rooms').update({ ten_min_warning_sent: true }).eq('id', room.id);
+  if (error) console.error('[cronJobs] Error flagging ten_min_warning_sent:', error);
+  return result;
+});
+
+registerJobHandler(JOB_TYPES.ROOM_LATE_CHECKOUT_OFFER, async (job) => {
+  const room = await loadRoomForReminder(job);
+  if (!room) return { skipped: 'stale' };
+
+  return sendReminder('late_checkout_offer', {
+    guest: await loadGuest(room.guest_id),
+    roomNumber: room.room_number,
+    checkOut: room.check_out,
+    minutesBefore: job.payload.minutes_before,
+    data: { roomId: room.id.toString() },
   });
-  console.log(`[cronJobs] Sent 10-min warning for room #${room.room_number}`);
-}
+});
 
-// 4) Find the open occupant record in room_occupancy_history
-async function findOpenOccupancyRecord(guestId, roomId) {
-  const { data, error } = await supabase
-    .from('room_occupancy_history')
-    .select('*')
-    .eq('guest_id', guestId)
-    .eq('room_id', roomId)
-    .is('check_out', null)
-    .maybeSingle();
-
-  if (error) {
-    console.error('[cronJobs] findOpenOccupancyRecord error:', error);
-    return null;
+registerJobHandler(JOB_TYPES.ROOM_CHECKOUT, async (job) => {
+  const room = await loadRoom(job.payload.room_id);
+  if (
+    !room ||
+    !['reserved', 'occupied'].includes(room.status) ||
+    !sameInstant(room.check_out, job.payload.check_out)
+  ) {
+    return { skipped: 'stale' };
   }
-  return data;
-}
 
-// 5) POST to checkOutOccupancyHistory
-async function checkOutOccupancyHistory(occupancyId, reason = "Auto Check-Out") {
-  try {
-    const url = `${BACKEND_BASE_URL}/room-occupancy-history/${occupancyId}/checkout`;
-    const body = {
-      check_out: new Date().toISOString(),
-      check_out_reason: reason,
-      was_early_checkout: false,
-    };
-    const res = await fetch(url, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify(body),
-    });
-    if (res.ok) {
-      const payload = await res.json();
-      console.log(
-        `[cronJobs] Occupancy ID=${occupancyId} checked out: ${payload.message}`
-      );
-    } else {
-      console.error(
-        `[cronJobs] Failed occupancy checkout ID=${occupancyId}, HTTP ${res.status}`
-      );
-    }
-  } catch (err) {
-    console.error('[cronJobs] checkOutOccupancyHistory error:', err);
+  const res = await checkOutRoomById(room.id, 'Automatic Checkout');
+  if (!res.success) {
+    throw res.error instanceof Error ? res.error : new Error(res.error?.message || 'check-out failed');
   }
-}
+  console.log(`[cronJobs] Auto-checked out Room #${room.room_number}`);
 
-// -------------- Cron Job: Auto-Checkout (Runs every 30 seconds) --------------
-cron.schedule('*/30 * * * * *', async () => {
-  console.log('[cronJobs] Running auto-checkout job...');
-  try {
-    const rooms = await getOccupiedRooms();
-    const now = new Date();
-
-    for (const r of rooms) {
-      const coDate = parseCheckOutDate(r.check_out);
-      if (!coDate) continue;
-      const diff = coDate - now;
-
-      // → 10-min warning
-      if (diff > 0 && diff <= 10 * 60 * 1000 && !r.ten_min_warning_sent) {
-        await sendTenMinWarning(r);
-        const { error } = await supabase
-          .from('rooms')
-          .update({ ten_min_warning_sent: true })
-          .eq('id', r.id);
-        if (error)
-          console.error('[cronJobs] Error flagging ten_min_warning_sent:', error);
-      }
+  const { error: historyError } = await updateOpenRecordsForRoom(room.id, {
+    check_out: new Date().toISOString(),
+    check_out_reason: 'Auto Check-Out',
+    was_early_checkout: false,
+  });
+  if (historyError) console.error('[cronJobs] Error closing occupancy records:', room.id, historyError);
 
-      // → Auto-checkout
-      if (now >= coDate) {
-        const res = await checkOutRoomById(r.id, 'Automatic Checkout');
-        if (res.success) {
-          console.log(`[cronJobs] Auto-checked out Room #${r.room_number}`);
-          const occ = await findOpenOccupancyRecord(r.guest_id, r.id);
-          if (occ) await checkOutOccupancyHistory(occ.id, "Auto Check-Out");
-        } else {
-          console.error('[cronJobs] Error auto-checking out room:', r.id, res.error);
-        }
-      }
-    }
-  } catch (err) {
-    console.error('[cronJobs] Error in auto-checkout job:', err);
-  }
+  if (res.occupantId) await deactivateGuestInternet(res.occupantId);
+  return { room_number: room.room_number, occupant_id: res.occupantId };
+});
 
-  // → Pi Auto-Deactivate (only if configured)
-  const PI_URL = process.env.PI_GATEWAY_URL;
-  const API_KEY = process.env.PUBLIC_API_KEY;
-  if (PI_URL && API_KEY) {
-    try {
-      console.log('[cronJobs] Triggering Pi auto-deactivate…');
-      const resp = await fetch(`${PI_URL}/auto-deactivate-expired`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'x-api-key': API_KEY,
-        },
-        body: JSON.stringify({}),
-      });
-      if (!resp.ok) {
-        console.warn(
-          `[cronJobs] Pi auto-deactivate endpoint returned HTTP ${resp.status}`
-        );
-      } else {
-        const payload = await resp.json();
-        console.log('[cronJobs] Pi auto-deactivate response:', payload.message);
-      }
-    } catch (err) {
-      console.warn('[cronJobs] Pi auto-deactivate failed, skipping:', err.message);
-    }
-  } else {
-    console.log(
-      '[cronJobs] PI_GATEWAY_URL / PUBLIC_API_KEY not set — skipping Pi auto-deactivate.'
-    );
+// —————————————————————————————————————————————————————————————————————————————
+// RESERVATION PROMOTION JOBS
+// —————————————————————————————————————————————————————————————————————————————
+
+// A booked reservation becomes a stay holding the room at its check_in. A room
+// that is not free yet (previous guest still in) fails the job, which retries.
+registerJobHandler(JOB_TYPES.RESERVATION_PROMOTE, async (job) => {
+  const { data: reservation, error } = await getReservationById(job.payload.reservation_id);
+  if (error) throw new Error(`Unable to load reservation: ${error.message}`);
+  if (!reservation || reservation.status !== 'booked') return { skipped: 'not_booked' };
+  if (new Date(reservation.check_out) <= new Date()) return { skipped: 'lapsed' };
+
+  const { stay } = await promoteReservation(reservation);
+  console.log(
+    `[cronJobs] Promoted reservation ${reservation.id} to stay ${stay.id} (Room #${reservation.rooms?.room_number})`
+  );
+  return { stay_id: stay.id };
+});
+
+registerJobHandler(JOB_TYPES.RESERVATION_CHECKIN_REMINDER, async (job) => {
+  const { data: reservation, error } = await getReservationById(job.payload.reservation_id);
+  if (error) throw new Error(`Unable to load reservation: ${error.message}`);
+  if (
+    !reservation ||
+    reservation.status !== 'booked' ||
+    !sameInstant(reservation.check_in, job.payload.check_in)
+  ) {
+    return { skipped: 'stale' };
   }
+
+  return sendReminder('checkin_reminder', {
+    guest: await loadGuest(reservation.guest_id),
+    roomNumber: reservation.rooms?.room_number,
+    checkIn: reservation.check_in,
+    checkOut: reservation.check_out,
+    minutesBefore: job.payload.minutes_before,
+    data: { reservationId: reservation.id.toString() },
+  });
 });
 
+// —————————————————————————————————————————————————————————————————————————————
+// RECONCILIATION
+// —————————————————————————————————————————————————————————————————————————————
+
+// Make sure every held room and booked reservation has its jobs. Scheduling is
+// idempotent, so this covers rows written before the queue existed and any
+// schedule call that failed after its write went through.
+async function reconcileScheduledJobs() {
+  const { data: rooms, error: roomsErr } = await supabase
+    .from('rooms')
+    .select('id, check_out')
+    .in('status', ['reserved', 'occupied'])
+    .not('check_out', 'is', null);
+  if (roomsErr) console.error('[cronJobs] reconcile rooms:', roomsErr);
+  for (const room of rooms || []) {
+    await scheduleRoomCheckOutJobs(room);
+  }
+
+  const { data: reservations, error: resErr } = await getUpcomingReservations();
+  if (resErr) return;
+  for (const reservation of reservations) {
+    await scheduleReservationJobs(reservation);
+  }
+}
+
 // —————————————————————————————————————————————————————————————————————————————
 // HOUSEKEEPING LOGIC (every hour)
 // —————————————————————————————————————————————————————————————————————————————
 
 async function cleanupStaleMacs() {
-  const cutoff = new Date(Date.now() - 1000 * 60 * 60).toISOString();
+  const minutes = await getSetting('stale_mac_minutes');
+  const cutoff = new Date(Date.now() - minutes * 60 * 1000).toISOString();
   const { error } = await supabase
     .from('mac_addresses')
     .delete()
@@ -192,7 +204,7 @@ async function cleanupStaleMacs() {
 }
 
 async function cleanupNoShows() {
-  const Xmin = 15; // minutes
+  const Xmin = await getSetting('registration_no_show_minutes');
   const cutoff = new Date(Date.now() - Xmin * 60 * 1000).toISOString();
   const { error } = await supabase
     .from('room_occupancy_history')
@@ -205,8 +217,9 @@ async function cleanupNoShows() {
 }
 
 async function cleanupServiceRequests() {
+  const days = await getSetting('service_request_retention_days');
   const cutoff = new Date(
-    Date.now() - 30 * 24 * 60 * 60 * 1000
+    Date.now() - days * 24 * 60 * 60 * 1000
   ).toISOString();
   const { error } = await supabase
     .from('service_requests')
@@ -218,8 +231,9 @@ async function cleanupServiceRequests() {
 }
 
 async function cleanupNotifications() {
+  const days = await getSetting('notification_retention_days');
   const cutoff = new Date(
-    Date.now() - 7 * 24 * 60 * 60 * 1000
+    Date.now() - days * 24 * 60 * 60 * 1000
   ).toISOString();
   const { error } = await supabase
     .from('notifications')
@@ -230,8 +244,9 @@ async function cleanupNotifications() {
 }
 
 async function cleanupRequestLogs() {
+  const days = await getSetting('request_log_retention_days');
   const cutoff = new Date(
-    Date.now() - 90 * 24 * 60 * 60 * 1000
+    Date.now() - days * 24 * 60 * 60 * 1000
   ).toISOString();
   const { error } = await supabase
     .from('request_logs')
@@ -241,33 +256,136 @@ async function cleanupRequestLogs() {
   else console.log('[Housekeeping] cleaned request_logs');
 }
 
+// Promoted reservations whose guest never tapped in within the grace period
+// after check_in are released; booked ones that could never be promoted lapse
+// at check_out.
 async function cleanupOrphanedReservations() {
   const nowIso = new Date().toISOString();
-  const { data: rooms, error: fetchErr } = await supabase
-    .from('rooms')
-    .select('id,room_number')
-    .eq('status', 'reserved')
-    .lt('check_in', nowIso);
+  const graceMinutes = await getSetting('reservation_no_show_grace_minutes');
+
+  const { data: lapsed, error: lapsedErr } = await supabase
+    .from('reservations')
+    .update({ status: 'no_show', updated_at: nowIso })
+    .eq('status', 'booked')
+    .lt('check_out', nowIso)
+    .select('id');
+  if (lapsedErr) console.error('[Housekeeping] lapse booked reservations:', lapsedErr);
+  else if (lapsed.length) console.log(`[Housekeeping] ${lapsed.length} booked reservation(s) marked no_show`);
 
+  const cutoff = new Date(Date.now() - graceMinutes * 60 * 1000).toISOString();
+  const { data: unclaimed, error: fetchErr } = await supabase
+    .from('reservations')
+    .select('id, stay_id, stays!inner ( status )')
+    .eq('status', 'promoted')
+    .eq('stays.status', 'reserved')
+    .lt('check_in', cutoff);
   if (fetchErr) {
-    console.error(
-      '[Housekeeping] fetch orphaned reservations:',
-      fetchErr
-    );
+    console.error('[Housekeeping] fetch unclaimed reservations:', fetchErr);
     return;
   }
-  for (const r of rooms) {
-    const res = await checkOutRoomById(r.id, 'No-show cleanup');
-    if (res.success) {
-      console.log(`[Housekeeping] reset reserved Room #${r.room_number}`);
-    } else {
-      console.error('[Housekeeping] error resetting room:', r.id, res.error);
+
+  for (const r of unclaimed) {
+    // Flag first so closing the stay does not mark it 'completed'
+    const { data: flagged, error: flagErr } = await updateReservation(
+      r.id,
+      { status: 'no_show' },
+      { onlyIfStatus: ['promoted'] }
+    );
+    if (flagErr || !flagged) continue;
+
+    const { data: rooms, error: roomsErr } = await getOpenStayRooms(r.stay_id);
+    if (roomsErr) {
+      console.error('[Housekeeping] fetch stay rooms:', r.stay_id, roomsErr);
+      continue;
+    }
+    for (const room of rooms) {
+      const res = await checkOutRoomById(room.id, 'No-show cleanup');
+      if (res.success) {
+        console.log(`[Housekeeping] released no-show Room #${room.room_number} (reservation ${r.id})`);
+      } else {
+        console.error('[Housekeeping] error releasing room:', room.id, res.error);
+      }
     }
   }
 }
 
-// Hourly housekeeping
-cron.schedule('0 * * * *', async () => {
+async function cleanupCardSyncChanges() {
+  const days = await getSetting('card_sync_retention_days');
+  const cutoff = new Date(
+    Date.now() - days * 24 * 60 * 60 * 1000
+  ).toISOString();
+  const { data, error } = await pruneCardChanges(cutoff);
+  if (error) console.error('[Housekeeping] old card_sync_changes:', error);
+  else console.log(`[Housekeeping] pruned ${data} card_sync_changes row(s)`);
+}
+
+async function cleanupFinishedJobs() {
+  const days = await getSetting('job_retention_days');
+  const cutoff = new Date(
+    Date.now() - days * 24 * 60 * 60 * 1000
+  ).toISOString();
+  const { error } = await purgeFinishedJobs(cutoff);
+  if (error) console.error('[Housekeeping] old scheduled_jobs:', error);
+  else console.log('[Housekeeping] purged finished scheduled_jobs');
+}
+
+async function cleanupCardChallenges() {
+  // Expired challenges can no longer be answered; keep an hour for debugging
+  const cutoff = new Date(Date.now() - 60 * 60 * 1000).toISOString();
+  const { error } = await purgeExpiredChallenges(cutoff);
+  if (error) console.error('[Housekeeping] expired card_challenges:', error);
+  else console.log('[Housekeeping] purged expired card_challenges');
+}
+
+async function signOutLapsedWifiDevices() {
+  // Captive portal devices past check-out or on a closed stay
+  try {
+    const count = await signOutLapsedDevices();
+    console.log(`[Housekeeping] signed out ${count} lapsed Wi-Fi devices`);
+  } catch (err) {
+    console.error('[Housekeeping] lapsed Wi-Fi devices:', err);
+  }
+}
+
+// —————————————————————————————————————————————————————————————————————————————
+// MASTER CARD ALERTS
+// —————————————————————————————————————————————————————————————————————————————
+
+// Mandatory: throws (and is retried) until at least one staff member is reached.
+registerJobHandler(JOB_TYPES.MASTER_CARD_ALERT, (job) => sendMasterCardAlert(job.payload));
+
+// —————————————————————————————————————————————————————————————————————————————
+// ACCESS ANOMALY RULES
+// —————————————————————————————————————————————————————————————————————————————
+
+// Queued for every stored access event (see services/anomalyService.js).
+registerJobHandler(JOB_TYPES.ACCESS_ANOMALY_CHECK, (job) => checkAccessEvents(job.payload.access_log_ids));
+
+// —————————————————————————————————————————————————————————————————————————————
+// VISITOR PASS NOTICES
+// —————————————————————————————————————————————————————————————————————————————
+
+// Tells the guest who issued a pass each time it opens their door.
+registerJobHandler(JOB_TYPES.VISITOR_PASS_USED, (job) => sendVisitorPassNotice(job.payload));
+
+// —————————————————————————————————————————————————————————————————————————————
+// GATEWAY CARD SYNC
+// —————————————————————————————————————————————————————————————————————————————
+
+// One nudge per new change cursor (see startCardSyncWatcher). Not retried: the
+// next change sends a newer cursor and the gateway also polls on its own.
+registerJobHandler(JOB_TYPES.CARD_SYNC_PUSH, async (job) => {
+  const pushed = await pushCardSyncCursor(job.payload.cursor);
+  return { pushed };
+});
+
+// Re-derive every schedule, e.g. after the reminder policy changed
+registerJobHandler(JOB_TYPES.RECONCILE, async () => {
+  await reconcileScheduledJobs();
+});
+
+// Hourly housekeeping, run as a job so only one instance does it per hour
+registerJobHandler(JOB_TYPES.HOUSEKEEPING, async () => {
   console.log('[Housekeeping] running hourly cleanup…');
   await cleanupStaleMacs();
   await cleanupNoShows();
@@ -275,4 +393,21 @@ cron.schedule('0 * * * *', async () => {
   await cleanupNotifications();
   await cleanupRequestLogs();
   await cleanupOrphanedReservations();
+  await cleanupCardSyncChanges();
+  await cleanupFinishedJobs();
+  await cleanupCardChallenges();
+  await signOutLapsedWifiDevices();
+  await reconcileScheduledJobs();
+});
+
+cron.schedule('0 * * * *', async () => {
+  const hour = new Date().toISOString().slice(0, 13);
+  await enqueueOnce(JOB_TYPES.HOUSEKEEPING, `${JOB_TYPES.HOUSEKEEPING}:${hour}`);
 });
+
+reconcileScheduledJobs()
+  .catch((err) => console.error('[cronJobs] Initial job reconciliation failed:', err))
+  .finally(() => {
+    startJobWorker();
+    startCardSyncWatcher();
+  });
@@ -1,26 +1,19 @@
-import supabase from '../config/supabase.js';
+import { isStaffRole, ROLES } from '../config/roles.js';
+import { sendError } from '../utils/responseHelper.js';
 
-export const authorizeAdmin = async (req, res, next) => {
-    try {
-        const { username } = req.body;
-
-        if (!username) {
-            return res.status(400).json({ message: 'Username required for admin verification' });
-        }
-
-        const { data: admin, error } = await supabase
-            .from('admins')
-            .select('id, role')
-            .eq('username', username)
-            .maybeSingle();
-
-        if (error || !admin || admin.role !== 'admin') {
-            return res.status(403).json({ message: 'Forbidden: Admin access required' });
-        }
-
-        next();
-    } catch (error) {
-        console.error('❌ Error verifying admin:', error);
-        res.status(500).json({ message: 'Server error during admin verification' });
+/**
+ * authorizeAdmin
+ * Must run after authenticate(). Only lets through staff tokens whose role is
+ * 'admin' or 'superadmin'. Identity comes from the verified token, never from
+ * the request body.
+ */
+export const authorizeAdmin = (req, res, next) => {
+    const role = req.user?.role;
+    if (!role) {
+        return sendError(res, 401, 'UNAUTHENTICATED', 'Authentication required.');
+    }
+    if (!isStaffRole(role) || ![ROLES.ADMIN, ROLES.SUPERADMIN].includes(role)) {
+        return sendError(res, 403, 'FORBIDDEN', 'Forbidden: Admin access required');
     }
+    next();
 };
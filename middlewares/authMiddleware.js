@@ -0,0 +1,124 @@
+// middlewares/authMiddleware.js
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import dotenv from 'dotenv';
+import { ROLES, hasPermission, isStaffRole } from '../config/roles.js';
+import { authenticateDeviceKey } from '../services/deviceService.js';
+import { sendError } from '../utils/responseHelper.js';
+
+dotenv.config();
+
+/**
+ * Constant-time string comparison for shared secrets.
+ */
+function safeEqual(a, b) {
+  const bufA = Buffer.from(String(a));
+  const bufB = Buffer.from(String(b));
+  if (bufA.length !== bufB.length) return false;
+  return crypto.timingSafeEqual(bufA, bufB);
+}
+
+/**
+ * authenticate
+ * Accepts either:
+ *  - "Authorization: Bearer <jwt>" issued by the admin/guest login endpoints,
+ *  - "x-device-key: <key>" issued to a registered reader or gateway, or
+ *  - "x-api-key: <PUBLIC_API_KEY>" used by the Pi gateway and internal jobs.
+ * On success, sets req.user = { id, role }; device keys also set req.device.
+ */
+export const authenticate = (req, res, next) => {
+  const deviceKey = req.headers['x-device-key'];
+  if (deviceKey) {
+    return authenticateDeviceKey(deviceKey)
+      .then((device) => {
+        if (!device) {
+          return sendError(res, 401, 'INVALID_DEVICE_KEY', 'Unknown or disabled device key.');
+        }
+        req.user = { id: null, role: ROLES.GATEWAY };
+        req.device = device;
+        return next();
+      })
+      .catch(next);
+  }
+
+  const apiKey = req.headers['x-api-key'];
+  if (apiKey && process.env.PUBLIC_API_KEY && safeEqual(apiKey, process.env.PUBLIC_API_KEY)) {
+    req.user = { id: null, role: ROLES.GATEWAY };
+    return next();
+  }
+
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+  if (scheme !== 'Bearer' || !token) {
+    return sendError(res, 401, 'UNAUTHENTICATED', 'Authentication required: missing bearer token.');
+  }
+
+  try {
+    const payload = jwt.verify(token, process.env.JWT_SECRET);
+    if (!payload || !payload.role) {
+      return sendError(res, 401, 'INVALID_TOKEN', 'Invalid token payload.');
+    }
+    req.user = { id: payload.id, role: payload.role };
+    return next();
+  } catch (err) {
+    console.warn('[Auth] Token verification failed:', err.message);
+    return sendError(res, 401, 'INVALID_TOKEN', 'Invalid or expired token.');
+  }
+};
+
+/**
+ * authorize(permission, { ownerParam, ownerType })
+ * Grants access when the authenticated role holds `permission`, or when the
+ * caller owns the resource: `ownerParam` is looked up in req.params, req.body
+ * and req.query and compared with req.user.id.
+ *  - ownerType 'guest' (default): the caller must be a guest.
+ *  - ownerType 'staff': the caller must be a staff member.
+ */
+export const authorize = (permission, { ownerParam = null, ownerType = 'guest' } = {}) => {
+  return (req, res, next) => {
+    if (!req.user) {
+      return sendError(res, 401, 'UNAUTHENTICATED', 'Authentication required.');
+    }
+
+    if (hasPermission(req.user.role, permission)) {
+      return next();
+    }
+
+    if (ownerParam) {
+      const ownerValue =
+        req.params?.[ownerParam] ?? req.body?.[ownerParam] ?? req.query?.[ownerParam];
+      const callerMatchesType =
+        ownerType === 'staff' ? isStaffRole(req.user.role) : req.user.role === ROLES.GUEST;
+      if (
+        callerMatchesType &&
+        ownerValue != null &&
+        req.user.id != null &&
+        String(ownerValue) === String(req.user.id)
+      ) {
+        return next();
+      }
+    }
+
+    return sendError(
+      res,
+      403,
+      'FORBIDDEN',
+      `Forbidden: '${req.user.role}' is not allowed to perform '${permission}'.`
+    );
+  };
+};
+
+/**
+ * bindGuestIdentity(field)
+ * For guest tokens, overwrites req.body[field] with the id from the token so
+ * the mobile app no longer needs to send (and cannot spoof) its own guest id.
+ * Staff requests pass through untouched.
+ */
+export const bindGuestIdentity = (field) => {
+  return (req, res, next) => {
+    if (req.user?.role === ROLES.GUEST) {
+      req.body = { ...(req.body || {}), [field]: req.user.id };
+    }
+    next();
+  };
+};
@@ -1,7 +1,27 @@
+// middlewares/errorHandler.js
+import { AppError } from '../utils/appError.js';
+import { formatErrorResponse } from '../utils/responseHelper.js';
+
+/**
+ * Last middleware in the chain. Renders AppError as the standard error
+ * envelope; anything else is logged and reported as INTERNAL_ERROR without
+ * leaking internals.
+ */
 export const errorHandler = (err, req, res, next) => {
-    console.error(err.stack);
-    res.status(err.status || 500).json({
-        success: false,
-        message: err.message || 'Server Error'
-    });
+  if (err instanceof AppError) {
+    if (err.status >= 500) {
+      console.error(`[${err.code}] ${req.method} ${req.originalUrl}: ${err.message}`, err.cause || '');
+    }
+    return res.status(err.status).json(formatErrorResponse(err.code, err.message, err.details));
+  }
+
+  // Malformed JSON bodies rejected by express.json()
+  if (err.type === 'entity.parse.failed') {
+    return res.status(400).json(formatErrorResponse('BAD_REQUEST', 'Malformed JSON body.'));
+  }
+
+  console.error(err.stack);
+  return res
+    .status(500)
+    .json(formatErrorResponse('INTERNAL_ERROR', 'Internal server error.'));
 };
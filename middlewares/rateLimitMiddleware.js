@@ -1,11 +1,12 @@
 // rateLimitMiddleware.js
 import rateLimit from 'express-rate-limit';
+import { formatErrorResponse } from '../utils/responseHelper.js';
 
 // Create the underlying limiter with the desired options.
 const globalLimiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
   max: 100, // Limit each IP to 100 requests per window
-  message: { message: 'Too many requests, please try again later' },
+  message: formatErrorResponse('RATE_LIMITED', 'Too many requests, please try again later'),
 });
 
 export const apiLimiter = (req, res, next) => {
@@ -0,0 +1,28 @@
+// middlewares/validateRequest.js
+import { checkSchema, validationResult } from 'express-validator';
+import { sendError } from '../utils/responseHelper.js';
+
+/**
+ * validate(schema)
+ * Runs an express-validator schema against the request and stops with a
+ * VALIDATION_FAILED error when any field fails; `details` lists the fields:
+ *   [{ field, location, message }]
+ * Returns an array of middleware, which Express accepts anywhere a single
+ * handler is expected.
+ */
+export const validate = (schema) => [
+  ...checkSchema(schema),
+  (req, res, next) => {
+    const result = validationResult(req);
+    if (result.isEmpty()) {
+      return next();
+    }
+
+    const errors = result.array({ onlyFirstError: true }).map((err) => ({
+      field: err.path,
+      location: err.location,
+      message: err.msg,
+    }));
+    return sendError(res, 422, 'VALIDATION_FAILED', 'Validation failed.', errors);
+  },
+];
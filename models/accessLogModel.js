@@ -66,6 +66,128 @@ export const saveAccessDenied = async (rfid_uid, timestamp, latency) => {
   }
 };
 
+/**
+ * Save a staff or master card tap decided by the server, granted or denied.
+ * `reason` records why (e.g. 'off_shift', 'master_card').
+ */
+export const saveCardTapEvent = async ({
+  rfid_uid,
+  admin_id = null,
+  card_type,
+  access_status,
+  room_number = null,
+  zone_id = null,
+  device_id = null,
+  reason = null,
+}) => {
+  try {
+    const { data, error } = await supabase
+      .from("access_logs")
+      .insert([
+        {
+          rfid_uid,
+          guest_id: null,
+          admin_id,
+          card_type,
+          access_status,
+          door_unlocked: access_status === "granted",
+          timestamp: new Date().toISOString(),
+          latency: 0,
+          room_number,
+          zone_id,
+          device_id,
+          reason,
+        },
+      ])
+      .select("id, rfid_uid, admin_id, card_type, access_status, door_unlocked, timestamp, room_number, zone_id, device_id, reason")
+      .single();
+
+    if (error) {
+      console.error("[saveCardTapEvent] Error:", error);
+      return { data: null, error };
+    }
+    return { data };
+  } catch (err) {
+    console.error("[saveCardTapEvent] Unexpected error:", err);
+    return { data: null, error: err };
+  }
+};
+
+/**
+ * Save a door decision made on something other than an RFID card alone (a
+ * mobile key, a visitor pass, a keypad PIN or card + PIN), granted or denied.
+ * The credential's id is null when what was presented could not be matched
+ * to one.
+ */
+export const saveCredentialEvent = async ({
+  credential_type,
+  rfid_uid = null,
+  mobile_key_id = null,
+  visitor_pass_id = null,
+  guest_id = null,
+  access_status,
+  room_number = null,
+  zone_id = null,
+  device_id = null,
+  reason = null,
+}) => {
+  try {
+    const { data, error } = await supabase
+      .from("access_logs")
+      .insert([
+        {
+          rfid_uid,
+          guest_id,
+          credential_type,
+          mobile_key_id,
+          visitor_pass_id,
+          access_status,
+          door_unlocked: access_status === "granted",
+          timestamp: new Date().toISOString(),
+          latency: 0,
+          room_number,
+          zone_id,
+          device_id,
+          reason,
+        },
+      ])
+      .select("id, rfid_uid, guest_id, credential_type, mobile_key_id, visitor_pass_id, access_status, door_unlocked, timestamp, room_number, zone_id, device_id, reason")
+      .single();
+
+    if (error) {
+      console.error("[saveCredentialEvent] Error:", error);
+      return { data: null, error };
+    }
+    return { data };
+  } catch (err) {
+    console.error("[saveCredentialEvent] Unexpected error:", err);
+    return { data: null, error: err };
+  }
+};
+
+/**
+ * Save a batch of access events uploaded by a door controller.
+ * Rows whose (device_id, idempotency_key) already exists are skipped; only the
+ * rows actually inserted are returned.
+ */
+export const saveAccessEventBatch = async (rows) => {
+  try {
+    const { data, error } = await supabase
+      .from("access_logs")
+      .upsert(rows, { onConflict: "device_id,idempotency_key", ignoreDuplicates: true })
+      .select("id, idempotency_key");
+
+    if (error) {
+      console.error("[saveAccessEventBatch] Error:", error);
+      return { data: null, error };
+    }
+    return { data: data || [] };
+  } catch (err) {
+    console.error("[saveAccessEventBatch] Unexpected error:", err);
+    return { data: null, error: err };
+  }
+};
+
 /**
  * Get Access Logs for a Given Guest ID
  * Retrieves paginated access log entries including latency.
@@ -74,7 +196,7 @@ export const getAccessLogs = async (guest_id, limit = 10, offset = 0) => {
   try {
     const { data, error } = await supabase
       .from("access_logs")
-      .select("id, rfid_uid, guest_id, access_status, door_unlocked, timestamp, latency")
+      .select("id, rfid_uid, guest_id, credential_type, mobile_key_id, visitor_pass_id, access_status, door_unlocked, timestamp, latency, device_id, door_id, device_time, received_at")
       .eq("guest_id", guest_id)
       .order("timestamp", { ascending: false })
       .range(offset, offset + limit - 1);
@@ -91,27 +213,100 @@ export const getAccessLogs = async (guest_id, limit = 10, offset = 0) => {
 };
 
 /**
- * (Optional) Get count of recent 'denied' entries for a specific RFID within X minutes.
+ * Access log rows by id (the events an anomaly check was queued for).
  */
-export const getRecentDenialsForRFID = async (rfid_uid, timeWindowMinutes = 10) => {
+export const getAccessLogsByIds = async (ids) => {
   try {
-    const now = new Date();
-    const cutoff = new Date(now.getTime() - timeWindowMinutes * 60000).toISOString();
-
-    const { count, error } = await supabase
+    const { data, error } = await supabase
       .from("access_logs")
-      .select("id, rfid_uid", { count: "exact", head: true })
-      .eq("rfid_uid", rfid_uid)
+      .select("id, rfid_uid, guest_id, admin_id, card_type, credential_type, mobile_key_id, visitor_pass_id, access_status, door_unlocked, timestamp, device_id, door_id, room_number, zone_id, reason")
+      .in("id", ids)
+      .order("timestamp", { ascending: true });
+
+    if (error) {
+      console.error("[getAccessLogsByIds] Error:", error);
+      return { data: null, error };
+    }
+    return { data: data || [] };
+  } catch (err) {
+    console.error("[getAccessLogsByIds] Unexpected error:", err);
+    return { data: null, error: err };
+  }
+};
+
+/**
+ * Narrow a query to the rows of one credential: `match` maps columns to
+ * values, null meaning the column is empty (e.g. { rfid_uid } or
+ * { credential_type: 'mobile_key', mobile_key_id: null, device_id }).
+ */
+const matchCredential = (query, match) =>
+  Object.entries(match).reduce(
+    (q, [column, value]) => (value === null ? q.is(column, null) : q.eq(column, value)),
+    query
+  );
+
+/**
+ * Count the 'denied' entries for one credential (see matchCredential) within
+ * X minutes before `at` (default: now).
+ */
+export const getRecentDenials = async (match, timeWindowMinutes = 10, at = new Date()) => {
+  try {
+    const until = new Date(at);
+    const cutoff = new Date(until.getTime() - timeWindowMinutes * 60000).toISOString();
+
+    const { count, error } = await matchCredential(
+      supabase.from("access_logs").select("id", { count: "exact", head: true }),
+      match
+    )
       .eq("access_status", "denied")
-      .gte("timestamp", cutoff);
+      .gte("timestamp", cutoff)
+      .lte("timestamp", until.toISOString());
 
     if (error) {
-      console.error("[getRecentDenialsForRFID] Error:", error);
+      console.error("[getRecentDenials] Error:", error);
       return { count: 0, error };
     }
     return { count: count || 0 };
   } catch (err) {
-    console.error("[getRecentDenialsForRFID] Unexpected error:", err);
+    console.error("[getRecentDenials] Unexpected error:", err);
     return { count: 0, error: err };
   }
 };
+
+/**
+ * Distinct doors one credential (see matchCredential) was presented at within
+ * X minutes before `at`. A door is the reader's door_id, else its device_id,
+ * else the room or zone named on the event; events naming none of them are
+ * not counted.
+ */
+export const getRecentDoors = async (match, timeWindowMinutes = 10, at = new Date()) => {
+  try {
+    const until = new Date(at);
+    const cutoff = new Date(until.getTime() - timeWindowMinutes * 60000).toISOString();
+
+    const { data, error } = await matchCredential(
+      supabase.from("access_logs").select("device_id, door_id, room_number, zone_id"),
+      match
+    )
+      .gte("timestamp", cutoff)
+      .lte("timestamp", until.toISOString());
+
+    if (error) {
+      console.error("[getRecentDoors] Error:", error);
+      return { data: null, error };
+    }
+    const doors = new Set();
+    for (const row of data || []) {
+      const door =
+        row.door_id ||
+        row.device_id ||
+        (row.room_number ? `room:${row.room_number}` : null) ||
+        (row.zone_id ? `zone:${row.zone_id}` : null);
+      if (door) doors.add(door);
+    }
+    return { data: [...doors] };
+  } catch (err) {
+    console.error("[getRecentDoors] Unexpected error:", err);
+    return { data: null, error: err };
+  }
+};
@@ -0,0 +1,199 @@
+// models/accessZoneModel.js
+import supabase from '../config/supabase.js';
+
+const ZONE_SELECT = '*, access_policies ( * )';
+
+/**
+ * Insert an access zone.
+ */
+export const createZone = async (fields) => {
+  try {
+    const { data, error } = await supabase
+      .from('access_zones')
+      .insert([fields])
+      .select(ZONE_SELECT)
+      .single();
+    if (error) {
+      console.error('[AccessZoneModel] Error creating zone:', error);
+      return { data: null, error };
+    }
+    return { data, error: null };
+  } catch (err) {
+    console.error('[AccessZoneModel] Unexpected error in createZone:', err);
+    return { data: null, error: err };
+  }
+};
+
+/**
+ * Every zone with its policies.
+ */
+export const listZones = async () => {
+  try {
+    const { data, error } = await supabase
+      .from('access_zones')
+      .select(ZONE_SELECT)
+      .order('code', { ascending: true });
+    if (error) {
+      console.error('[AccessZoneModel] Error listing zones:', error);
+      return { data: null, error };
+    }
+    return { data: data || [], error: null };
+  } catch (err) {
+    console.error('[AccessZoneModel] Unexpected error in listZones:', err);
+    return { data: null, error: err };
+  }
+};
+
+/**
+ * Fetch a zone with its policies (null if missing).
+ */
+export const getZoneById = async (id) => {
+  try {
+    const { data, error } = await supabase
+      .from('access_zones')
+      .select(ZONE_SELECT)
+      .eq('id', id)
+      .maybeSingle();
+    if (error) {
+      console.error('[AccessZoneModel] Error fetching zone:', error);
+      return { data: null, error };
+    }
+    return { data, error: null };
+  } catch (err) {
+    console.error('[AccessZoneModel] Unexpected error in getZoneById:', err);
+    return { data: null, error: err };
+  }
+};
+
+/**
+ * Update a zone. Returns data = null when it does not exist.
+ */
+export const updateZone = async (id, fields) => {
+  try {
+    const { data, error } = await supabase
+      .from('access_zones')
+      .update({ ...fields, updated_at: new Date().toISOString() })
+      .eq('id', id)
+      .select(ZONE_SELECT)
+      .maybeSingle();
+    if (error) {
+      console.error('[AccessZoneModel] Error updating zone:', error);
+      return { data: null, error };
+    }
+    return { data, error: null };
+  } catch (err) {
+    console.error('[AccessZoneModel] Unexpected error in updateZone:', err);
+    return { data: null, error: err };
+  }
+};
+
+/**
+ * Delete a zone and its policies. Doors and rooms bound to it are unbound.
+ */
+export const deleteZone = async (id) => {
+  try {
+    const { data, error } = await supabase
+      .from('access_zones')
+      .delete()
+      .eq('id', id)
+      .select('id, code')
+      .maybeSingle();
+    if (error) {
+      console.error('[AccessZoneModel] Error deleting zone:', error);
+      return { data: null, error };
+    }
+    return { data, error: null };
+  } catch (err) {
+    console.error('[AccessZoneModel] Unexpected error in deleteZone:', err);
+    return { data: null, error: err };
+  }
+};
+
+/**
+ * Insert a policy for a zone.
+ */
+export const createPolicy = async (fields) => {
+  try {
+    const { data, error } = await supabase
+      .from('access_policies')
+      .insert([fields])
+      .select('*')
+      .single();
+    if (error) {
+      console.error('[AccessZoneModel] Error creating policy:', error);
+      return { data: null, error };
+    }
+    return { data, error: null };
+  } catch (err) {
+    console.error('[AccessZoneModel] Unexpected error in createPolicy:', err);
+    return { data: null, error: err };
+  }
+};
+
+/**
+ * Fetch a policy of a zone (null if missing).
+ */
+export const getPolicyById = async (zoneId, policyId) => {
+  try {
+    const { data, error } = await supabase
+      .from('access_policies')
+      .select('*')
+      .eq('zone_id', zoneId)
+      .eq('id', policyId)
+      .maybeSingle();
+    if (error) {
+      console.error('[AccessZoneModel] Error fetching policy:', error);
+      return { data: null, error };
+    }
+    return { data, error: null };
+  } catch (err) {
+    console.error('[AccessZoneModel] Unexpected error in getPolicyById:', err);
+    return { data: null, error: err };
+  }
+};
+
+/**
+ * Update a policy. Returns data = null when it does not exist.
+ */
+export const updatePolicy = async (zoneId, policyId, fields) => {
+  try {
+    const { data, error } = await supabase
+      .from('access_policies')
+      .update({ ...fields, updated_at: new Date().toISOString() })
+      .eq('zone_id', zoneId)
+      .eq('id', policyId)
+      .select('*')
+      .maybeSingle();
+    if (error) {
+      console.error('[AccessZoneModel] Error updating policy:', error);
+      return { data: null, error };
+    }
+    return { data, error: null };
+  } catch (err) {
+    console.error('[AccessZoneModel] Unexpected error in updatePolicy:', err);
+    return { data: null, error: err };
+  }
+};
+
+/**
+ * Delete a policy. Returns the deleted row, or data = null when missing.
+ */
+export const deletePolicy = async (zoneId, policyId) => {
+  try {
+    const { data, error } = await supabase
+      .from('access_policies')
+      .delete()
+      .eq('zone_id', zoneId)
+      .eq('id', policyId)
+      .select('id, name')
+      .maybeSingle();
+    if (error) {
+      console.error('[AccessZoneModel] Error deleting policy:', error);
+      return { data: null, error };
+    }
+    return { data, error: null };
+  } catch (err) {
+    console.error('[AccessZoneModel] Unexpected error in deletePolicy:', err);
+    return { data: null, error: err };
+  }
+};
@@ -42,7 +42,7 @@ export async function getAllAdmins() {
   try {
     const { data, error } = await supabase
       .from('admins')
-      .select('id, username, email, role');
+      .select('id, username, email, role, on_duty');
 
     if (error) {
       console.error('[getAllAdmins] Error fetching admins:', error);
@@ -157,4 +157,25 @@ export async function fetchAllAdminIds() {
     console.error('[fetchAllAdminIds] Unexpected error:', err);
     return [];
   }
-}
\ No newline at end of file
+}
+/**
+ * Fetches the admins currently on duty, with the fields needed to reach them.
+ * Returns an array or an empty array on error.
+ */
+export async function fetchOnDutyAdmins() {
+  try {
+    const { data, error } = await supabase
+      .from('admins')
+      .select('id, username, email, fcm_token')
+      .eq('on_duty', true);
+
+    if (error) {
+      console.error('[fetchOnDutyAdmins] Error fetching on-duty admins:', error);
+      return [];
+    }
+    return data || [];
+  } catch (err) {
+    console.error('[fetchOnDutyAdmins] Unexpected error:', err);
+    return [];
+  }
+}
@@ -0,0 +1,144 @@
+// models/anomalyModel.js
+// Access anomalies raised by services/anomalyService.js
+// (config/migrations/015_access_anomalies.sql).
+import supabase from '../config/supabase.js';
+
+/**
+ * Record an anomaly.
+ */
+export const createAnomaly = async (fields) => {
+  try {
+    const { data, error } = await supabase
+      .from('access_anomalies')
+      .insert([fields])
+      .select('*')
+      .single();
+    if (error) {
+      console.error('[AnomalyModel] Error creating anomaly:', error);
+      return { data: null, error };
+    }
+    return { data, error: null };
+  } catch (err) {
+    console.error('[AnomalyModel] Unexpected error in createAnomaly:', err);
+    return { data: null, error: err };
+  }
+};
+
+/**
+ * Set fields on an anomaly after it was raised (suspension, staff reached).
+ */
+export const updateAnomaly = async (id, fields) => {
+  try {
+    const { data, error } = await supabase
+      .from('access_anomalies')
+      .update(fields)
+      .eq('id', id)
+      .select('*')
+      .maybeSingle();
+    if (error) {
+      console.error('[AnomalyModel] Error updating anomaly:', error);
+      return { data: null, error };
+    }
+    return { data, error: null };
+  } catch (err) {
+    console.error('[AnomalyModel] Unexpected error in updateAnomaly:', err);
+    return { data: null, error: err };
+  }
+};
+
+/**
+ * The latest anomaly of `rule` for a credential (access_anomalies.credential_key)
+ * raised at or after `since`, or null.
+ */
+export const findRecentAnomaly = async (credentialKey, rule, since) => {
+  try {
+    const { data, error } = await supabase
+      .from('access_anomalies')
+      .select('id, created_at')
+      .eq('credential_key', credentialKey)
+      .eq('rule', rule)
+      .gte('created_at', since)
+      .order('created_at', { ascending: false })
+      .limit(1)
+      .maybeSingle();
+    if (error) {
+      console.error('[AnomalyModel] Error finding recent anomaly:', error);
+      return { data: null, error };
+    }
+    return { data, error: null };
+  } catch (err) {
+    console.error('[AnomalyModel] Unexpected error in findRecentAnomaly:', err);
+    return { data: null, error: err };
+  }
+};
+
+/**
+ * Anomalies, newest first, optionally filtered by status, rule, card or
+ * credential type.
+ */
+export const listAnomalies = async ({ status, rule, rfid_uid, credential_type, limit = 50, offset = 0 } = {}) => {
+  try {
+    let query = supabase
+      .from('access_anomalies')
+      .select('*')
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+    if (status) query = query.eq('status', status);
+    if (rule) query = query.eq('rule', rule);
+    if (rfid_uid) query = query.eq('rfid_uid', rfid_uid);
+    if (credential_type) query = query.eq('credential_type', credential_type);
+    const { data, error } = await query;
+    if (error) {
+      console.error('[AnomalyModel] Error listing anomalies:', error);
+      return { data: null, error };
+    }
+    return { data: data || [], error: null };
+  } catch (err) {
+    console.error('[AnomalyModel] Unexpected error in listAnomalies:', err);
+    return { data: null, error: err };
+  }
+};
+
+/**
+ * Find an anomaly by id. Returns data = null when missing.
+ */
+export const getAnomalyById = async (id) => {
+  try {
+    const { data, error } = await supabase
+      .from('access_anomalies')
+      .select('*')
+      .eq('id', id)
+      .maybeSingle();
+    if (error) {
+      console.error('[AnomalyModel] Error fetching anomaly:', error);
+      return { data: null, error };
+    }
+    return { data, error: null };
+  } catch (err) {
+    console.error('[AnomalyModel] Unexpected error in getAnomalyById:', err);
+    return { data: null, error: err };
+  }
+};
+
+/**
+ * Mark an open anomaly resolved. Returns data = null when it is not open.
+ */
+export const resolveAnomaly = async (id, { resolved_by = null, resolution_note = null } = {}) => {
+  try {
+    const { data, error } = await supabase
+      .from('access_anomalies')
+      .update({ status: 'resolved', resolved_by, resolution_note, resolved_at: new Date().toISOString() })
+      .eq('id', id)
+      .eq('status', 'open')
+      .select('*')
+      .maybeSingle();
+    if (error) {
+      console.error('[AnomalyModel] Error resolving anomaly:', error);
+      return { data: null, error };
+    }
+    return { data, error: null };
+  } catch (err) {
+    console.error('[AnomalyModel] Unexpected error in resolveAnomaly:', err);
+    return { data: null, error: err };
+  }
+};
@@ -0,0 +1,120 @@
+// models/cardCredentialModel.js
+// Card keys and single-use challenges behind challenge-response cards
+// (config/migrations/017_card_credentials.sql). Key material only leaves this
+// module encrypted; see services/cardCredentialService.js.
+import supabase from '../config/supabase.js';
+
+/**
+ * The encrypted key of a card, or data = null when it has none.
+ */
+export const getCardKey = async (rfidId) => {
+  try {
+    const { data, error } = await supabase
+      .from('rfid_tags')
+      .select('id, rfid_uid, credential_mode, key_ciphertext, key_version')
+      .eq('id', rfidId)
+      .maybeSingle();
+    if (error) {
+      console.error('[CardCredentialModel] Error fetching card key:', error);
+      return { data: null, error };
+    }
+    return { data: data?.key_ciphertext ? data : null, error: null };
+  } catch (err) {
+    console.error('[CardCredentialModel] Unexpected error in getCardKey:', err);
+    return { data: null, error: err };
+  }
+};
+
+/**
+ * Switch a card's credential mode: 'challenge' with its encrypted key, or
+ * back to 'legacy_uid' (key cleared). Returns the card without key material.
+ */
+export const setCardCredential = async (rfidId, { credential_mode, key_ciphertext = null, key_version = null }) => {
+  try {
+    const { data, error } = await supabase
+      .from('rfid_tags')
+      .update({
+        credential_mode,
+        key_ciphertext,
+        key_version,
+        key_provisioned_at: key_ciphertext ? new Date().toISOString() : null,
+      })
+      .eq('id', rfidId)
+      .select('id, rfid_uid, guest_id, admin_id, card_type, credential_mode, key_version, key_provisioned_at, status, created_at')
+      .maybeSingle();
+    if (error) {
+      console.error('[CardCredentialModel] Error setting card credential:', error);
+      return { data: null, error };
+    }
+    return { data, error: null };
+  } catch (err) {
+    console.error('[CardCredentialModel] Unexpected error in setCardCredential:', err);
+    return { data: null, error: err };
+  }
+};
+
+/**
+ * Store a challenge issued to a card.
+ */
+export const createChallenge = async ({ rfid_id, challenge, device_code = null, expires_at }) => {
+  try {
+    const { data, error } = await supabase
+      .from('card_challenges')
+      .insert([{ rfid_id, challenge, device_code, expires_at }])
+      .select('id, challenge, expires_at')
+      .single();
+    if (error) {
+      console.error('[CardCredentialModel] Error creating challenge:', error);
+      return { data: null, error };
+    }
+    return { data, error: null };
+  } catch (err) {
+    console.error('[CardCredentialModel] Unexpected error in createChallenge:', err);
+    return { data: null, error: err };
+  }
+};
+
+/**
+ * Use up an unexpired challenge issued to the card. Returns data = null when
+ * there is no such challenge or it was already used, so each one is answered
+ * at most once.
+ */
+export const consumeChallenge = async (challengeId, rfidId) => {
+  try {
+    const now = new Date().toISOString();
+    const { data, error } = await supabase
+      .from('card_challenges')
+      .update({ used_at: now })
+      .eq('id', challengeId)
+      .eq('rfid_id', rfidId)
+      .is('used_at', null)
+      .gt('expires_at', now)
+      .select('id, challenge, device_code, expires_at')
+      .maybeSingle();
+    if (error) {
+      console.error('[CardCredentialModel] Error consuming challenge:', error);
+      return { data: null, error };
+    }
+    return { data, error: null };
+  } catch (err) {
+    console.error('[CardCredentialModel] Unexpected error in consumeChallenge:', err);
+    return { data: null, error: err };
+  }
+};
+
+/**
+ * Delete challenges that expired before `cutoff` (used or not).
+ */
+export const purgeExpiredChallenges = async (cutoff) => {
+  try {
+    const { error } = await supabase.from('card_challenges').delete().lt('expires_at', cutoff);
+    if (error) {
+      console.error('[CardCredentialModel] Error purging challenges:', error);
+      return { error };
+    }
+    return { error: null };
+  } catch (err) {
+    console.error('[CardCredentialModel] Unexpected error in purgeExpiredChallenges:', err);
+    return { error: err };
+  }
+};
@@ -0,0 +1,97 @@
+// models/cardSyncModel.js
+// Wrappers around the card sync functions in
+// config/migrations/010_card_sync.sql.
+import supabase from '../config/supabase.js';
+
+/**
+ * Gateway entries for every assigned/active card, keyed by rfid_uid.
+ */
+export const getCardEntries = async () => {
+  try {
+    const { data, error } = await supabase.rpc('card_sync_entries', { p_uids: null });
+    if (error) {
+      console.error('[CardSyncModel] card_sync_entries failed:', error);
+      return { data: null, error };
+    }
+    return { data: data || {}, error: null };
+  } catch (err) {
+    console.error('[CardSyncModel] Unexpected error in getCardEntries:', err);
+    return { data: null, error: err };
+  }
+};
+
+/**
+ * Full card list plus the cursor it is current as of.
+ * Returns data = { cursor, cards }.
+ */
+export const getCardSnapshot = async () => {
+  try {
+    const { data, error } = await supabase.rpc('card_sync_snapshot');
+    if (error) {
+      console.error('[CardSyncModel] card_sync_snapshot failed:', error);
+      return { data: null, error };
+    }
+    return { data, error: null };
+  } catch (err) {
+    console.error('[CardSyncModel] Unexpected error in getCardSnapshot:', err);
+    return { data: null, error: err };
+  }
+};
+
+/**
+ * Cards changed after `since`.
+ * Returns data = { cursor, full_resync, has_more, cards, revoked }.
+ */
+export const getCardDelta = async (since, limit = 1000) => {
+  try {
+    const { data, error } = await supabase.rpc('card_sync_delta', { p_since: since, p_limit: limit });
+    if (error) {
+      console.error('[CardSyncModel] card_sync_delta failed:', error);
+      return { data: null, error };
+    }
+    return { data, error: null };
+  } catch (err) {
+    console.error('[CardSyncModel] Unexpected error in getCardDelta:', err);
+    return { data: null, error: err };
+  }
+};
+
+/**
+ * Highest logged change seq (0 when nothing was logged yet). Unlocked read,
+ * good enough to notice that something changed.
+ */
+export const getLatestCardChangeSeq = async () => {
+  try {
+    const { data, error } = await supabase
+      .from('card_sync_changes')
+      .select('seq')
+      .order('seq', { ascending: false })
+      .limit(1)
+      .maybeSingle();
+    if (error) {
+      console.error('[CardSyncModel] Error fetching latest change seq:', error);
+      return { data: null, error };
+    }
+    return { data: data ? Number(data.seq) : 0, error: null };
+  } catch (err) {
+    console.error('[CardSyncModel] Unexpected error in getLatestCardChangeSeq:', err);
+    return { data: null, error: err };
+  }
+};
+
+/**
+ * Delete change rows older than `before` (the newest row is always kept).
+ */
+export const pruneCardChanges = async (before) => {
+  try {
+    const { data, error } = await supabase.rpc('prune_card_sync_changes', { p_before: before });
+    if (error) {
+      console.error('[CardSyncModel] prune_card_sync_changes failed:', error);
+      return { data: null, error };
+    }
+    return { data, error: null };
+  } catch (err) {
+    console.error('[CardSyncModel] Unexpected error in pruneCardChanges:', err);
+    return { data: null, error: err };
+  }
+};
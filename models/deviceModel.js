@@ -0,0 +1,183 @@
+// models/deviceModel.js
+import supabase from '../config/supabase.js';
+
+// Everything except the key hash, plus the guarded room's number and zone code.
+const DEVICE_COLUMNS =
+  'id, code, name, kind, status, room_id, zone_id, area, gateway_id, api_key_prefix, firmware_version, ' +
+  'last_seen_at, last_ip, created_at, updated_at, rooms(room_number), access_zones(code)';
+
+/**
+ * Insert a device. `api_key_hash` and `api_key_prefix` come from
+ * services/deviceService.js; the plain key is never stored.
+ */
+export const createDevice = async (fields) => {
+  try {
+    const { data, error } = await supabase
+      .from('devices')
+      .insert([fields])
+      .select(DEVICE_COLUMNS)
+      .single();
+    if (error) {
+      console.error('[DeviceModel] Error creating device:', error);
+      return { data: null, error };
+    }
+    return { data, error: null };
+  } catch (err) {
+    console.error('[DeviceModel] Unexpected error in createDevice:', err);
+    return { data: null, error: err };
+  }
+};
+
+/**
+ * List devices, optionally filtered by kind, status or room.
+ */
+export const listDevices = async ({ kind, status, room_id } = {}) => {
+  try {
+    let query = supabase.from('devices').select(DEVICE_COLUMNS).order('code', { ascending: true });
+    if (kind) query = query.eq('kind', kind);
+    if (status) query = query.eq('status', status);
+    if (room_id) query = query.eq('room_id', room_id);
+    const { data, error } = await query;
+    if (error) {
+      console.error('[DeviceModel] Error listing devices:', error);
+      return { data: null, error };
+    }
+    return { data: data || [], error: null };
+  } catch (err) {
+    console.error('[DeviceModel] Unexpected error in listDevices:', err);
+    return { data: null, error: err };
+  }
+};
+
+/**
+ * Find a device by id. Returns data = null when missing.
+ */
+export const getDeviceById = async (id) => {
+  try {
+    const { data, error } = await supabase
+      .from('devices')
+      .select(DEVICE_COLUMNS)
+      .eq('id', id)
+      .maybeSingle();
+    if (error) {
+      console.error('[DeviceModel] Error fetching device:', error);
+      return { data: null, error };
+    }
+    return { data, error: null };
+  } catch (err) {
+    console.error('[DeviceModel] Unexpected error in getDeviceById:', err);
+    return { data: null, error: err };
+  }
+};
+
+/**
+ * Find a device by its wire code. Returns data = null when missing.
+ */
+export const getDeviceByCode = async (code) => {
+  try {
+    const { data, error } = await supabase
+      .from('devices')
+      .select(DEVICE_COLUMNS)
+      .eq('code', code)
+      .maybeSingle();
+    if (error) {
+      console.error('[DeviceModel] Error fetching device by code:', error);
+      return { data: null, error };
+    }
+    return { data, error: null };
+  } catch (err) {
+    console.error('[DeviceModel] Unexpected error in getDeviceByCode:', err);
+    return { data: null, error: err };
+  }
+};
+
+/**
+ * Find the device holding an API key, by the key's hash.
+ */
+export const findDeviceByKeyHash = async (api_key_hash) => {
+  try {
+    const { data, error } = await supabase
+      .from('devices')
+      .select(DEVICE_COLUMNS)
+      .eq('api_key_hash', api_key_hash)
+      .maybeSingle();
+    if (error) {
+      console.error('[DeviceModel] Error finding device by key:', error);
+      return { data: null, error };
+    }
+    return { data, error: null };
+  } catch (err) {
+    console.error('[DeviceModel] Unexpected error in findDeviceByKeyHash:', err);
+    return { data: null, error: err };
+  }
+};
+
+/**
+ * Update a device. Returns data = null when it does not exist.
+ */
+export const updateDevice = async (id, fields) => {
+  try {
+    const { data, error } = await supabase
+      .from('devices')
+      .update({ ...fields, updated_at: new Date().toISOString() })
+      .eq('id', id)
+      .select(DEVICE_COLUMNS)
+      .maybeSingle();
+    if (error) {
+      console.error('[DeviceModel] Error updating device:', error);
+      return { data: null, error };
+    }
+    return { data, error: null };
+  } catch (err) {
+    console.error('[DeviceModel] Unexpected error in updateDevice:', err);
+    return { data: null, error: err };
+  }
+};
+
+/**
+ * Record a heartbeat: last_seen_at, the caller's IP and (when reported) the
+ * firmware version.
+ */
+export const touchDevice = async (id, { ip = null, firmware_version } = {}) => {
+  try {
+    const now = new Date().toISOString();
+    const fields = { last_seen_at: now, last_ip: ip, updated_at: now };
+    if (firmware_version) fields.firmware_version = firmware_version;
+    const { data, error } = await supabase
+      .from('devices')
+      .update(fields)
+      .eq('id', id)
+      .select(DEVICE_COLUMNS)
+      .maybeSingle();
+    if (error) {
+      console.error('[DeviceModel] Error recording heartbeat:', error);
+      return { data: null, error };
+    }
+    return { data, error: null };
+  } catch (err) {
+    console.error('[DeviceModel] Unexpected error in touchDevice:', err);
+    return { data: null, error: err };
+  }
+};
+
+/**
+ * Delete a device. Returns the deleted row, or data = null when missing.
+ */
+export const deleteDevice = async (id) => {
+  try {
+    const { data, error } = await supabase
+      .from('devices')
+      .delete()
+      .eq('id', id)
+      .select('id, code')
+      .maybeSingle();
+    if (error) {
+      console.error('[DeviceModel] Error deleting device:', error);
+      return { data: null, error };
+    }
+    return { data, error: null };
+  } catch (err) {
+    console.error('[DeviceModel] Unexpected error in deleteDevice:', err);
+    return { data: null, error: err };
+  }
+};
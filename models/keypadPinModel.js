@@ -0,0 +1,130 @@
+// models/keypadPinModel.js
+// Stay keypad PINs and per-room keypad lockouts
+// (config/migrations/020_keypad_pins.sql). PIN hashes never leave the
+// service layer; see services/keypadPinService.js.
+import supabase from '../config/supabase.js';
+
+/**
+ * The stay's PIN row (with its hash), or data = null when it has none.
+ */
+export const getStayPin = async (stayId) => {
+  try {
+    const { data, error } = await supabase
+      .from('stay_keypad_pins')
+      .select('stay_id, pin_hash, created_by, created_at')
+      .eq('stay_id', stayId)
+      .maybeSingle();
+    if (error) {
+      console.error('[KeypadPinModel] Error fetching stay PIN:', error);
+      return { data: null, error };
+    }
+    return { data, error: null };
+  } catch (err) {
+    console.error('[KeypadPinModel] Unexpected error in getStayPin:', err);
+    return { data: null, error: err };
+  }
+};
+
+/**
+ * Set (or replace) the stay's PIN hash.
+ */
+export const upsertStayPin = async ({ stay_id, pin_hash, created_by = null }) => {
+  try {
+    const { data, error } = await supabase
+      .from('stay_keypad_pins')
+      .upsert([{ stay_id, pin_hash, created_by, created_at: new Date().toISOString() }], { onConflict: 'stay_id' })
+      .select('stay_id, created_by, created_at')
+      .single();
+    if (error) {
+      console.error('[KeypadPinModel] Error saving stay PIN:', error);
+      return { data: null, error };
+    }
+    return { data, error: null };
+  } catch (err) {
+    console.error('[KeypadPinModel] Unexpected error in upsertStayPin:', err);
+    return { data: null, error: err };
+  }
+};
+
+/**
+ * Remove the stay's PIN. Returns data = true when there was one.
+ */
+export const deleteStayPin = async (stayId) => {
+  try {
+    const { data, error } = await supabase
+      .from('stay_keypad_pins')
+      .delete()
+      .eq('stay_id', stayId)
+      .select('stay_id');
+    if (error) {
+      console.error('[KeypadPinModel] Error deleting stay PIN:', error);
+      return { data: null, error };
+    }
+    return { data: (data || []).length > 0, error: null };
+  } catch (err) {
+    console.error('[KeypadPinModel] Unexpected error in deleteStayPin:', err);
+    return { data: null, error: err };
+  }
+};
+
+/**
+ * Fetch the lockout counters of a room's keypad (null if none).
+ */
+export const getKeypadLockout = async (roomId) => {
+  try {
+    const { data, error } = await supabase
+      .from('keypad_lockouts')
+      .select('*')
+      .eq('room_id', roomId)
+      .maybeSingle();
+    if (error) {
+      console.error('[KeypadPinModel] Error fetching keypad lockout:', error);
+      return { data: null, error };
+    }
+    return { data, error: null };
+  } catch (err) {
+    console.error('[KeypadPinModel] Unexpected error in getKeypadLockout:', err);
+    return { data: null, error: err };
+  }
+};
+
+/**
+ * Count a wrong PIN on a room's keypad and lock it at the threshold,
+ * atomically (record_keypad_failure, config/migrations/023_keypad_failure_counter.sql).
+ * Returns the updated lockout row.
+ */
+export const incrementKeypadFailure = async (roomId, { maxAttempts, baseMinutes, maxMinutes }) => {
+  try {
+    const { data, error } = await supabase.rpc('record_keypad_failure', {
+      p_room_id: roomId,
+      p_max_attempts: maxAttempts,
+      p_base_minutes: baseMinutes,
+      p_max_minutes: maxMinutes,
+    });
+    if (error) {
+      console.error('[KeypadPinModel] Error recording keypad failure:', error);
+      return { data: null, error };
+    }
+    return { data, error: null };
+  } catch (err) {
+    console.error('[KeypadPinModel] Unexpected error in incrementKeypadFailure:', err);
+    return { data: null, error: err };
+  }
+};
+
+/**
+ * Clear the lockout counters of the given rooms' keypads.
+ */
+export const deleteKeypadLockouts = async (roomIds) => {
+  try {
+    const { error } = await supabase.from('keypad_lockouts').delete().in('room_id', roomIds);
+    if (error) {
+      console.error('[KeypadPinModel] Error clearing keypad lockouts:', error);
+      return { error };
+    }
+    return { error: null };
+  } catch (err) {
+    console.error('[KeypadPinModel] Unexpected error in deleteKeypadLockouts:', err);
+    return { error: err };
+  }
+};
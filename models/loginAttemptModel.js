@@ -0,0 +1,135 @@
+// models/loginAttemptModel.js
+import supabase from '../config/supabase.js';
+
+/**
+ * Fetch the lockout row for an identifier (null if it has never failed).
+ */
+export const getLoginLockout = async (subject_type, identifier) => {
+  try {
+    const { data, error } = await supabase
+      .from('login_lockouts')
+      .select('*')
+      .eq('subject_type', subject_type)
+      .eq('identifier', identifier)
+      .maybeSingle();
+    if (error) {
+      console.error('[LoginAttemptModel] Error fetching lockout:', error);
+      return { data: null, error };
+    }
+    return { data, error: null };
+  } catch (err) {
+    console.error('[LoginAttemptModel] Unexpected error in getLoginLockout:', err);
+    return { data: null, error: err };
+  }
+};
+
+/**
+ * Count a failed attempt and lock the identifier at the threshold, atomically
+ * (record_login_failure, config/migrations/022_login_failure_counter.sql).
+ * Returns the updated lockout row.
+ */
+export const incrementLoginFailure = async (subject_type, identifier, { maxAttempts, baseMinutes, maxMinutes }) => {
+  try {
+    const { data, error } = await supabase.rpc('record_login_failure', {
+      p_subject_type: subject_type,
+      p_identifier: identifier,
+      p_max_attempts: maxAttempts,
+      p_base_minutes: baseMinutes,
+      p_max_minutes: maxMinutes,
+    });
+    if (error) {
+      console.error('[LoginAttemptModel] Error recording login failure:', error);
+      return { data: null, error };
+    }
+    return { data, error: null };
+  } catch (err) {
+    console.error('[LoginAttemptModel] Unexpected error in incrementLoginFailure:', err);
+    return { data: null, error: err };
+  }
+};
+
+/**
+ * Remove the lockout row (successful login or admin unlock).
+ */
+export const deleteLoginLockout = async (subject_type, identifier) => {
+  try {
+    const { data, error } = await supabase
+      .from('login_lockouts')
+      .delete()
+      .eq('subject_type', subject_type)
+      .eq('identifier', identifier)
+      .select('*');
+    if (error) {
+      console.error('[LoginAttemptModel] Error deleting lockout:', error);
+      return { data: null, error };
+    }
+    return { data, error: null };
+  } catch (err) {
+    console.error('[LoginAttemptModel] Unexpected error in deleteLoginLockout:', err);
+    return { data: null, error: err };
+  }
+};
+
+/**
+ * List identifiers that are currently locked out.
+ */
+export const getActiveLockouts = async () => {
+  try {
+    const { data, error } = await supabase
+      .from('login_lockouts')
+      .select('*')
+      .gt('locked_until', new Date().toISOString())
+      .order('locked_until', { ascending: false });
+    if (error) {
+      console.error('[LoginAttemptModel] Error fetching active lockouts:', error);
+      return { data: null, error };
+    }
+    return { data, error: null };
+  } catch (err) {
+    console.error('[LoginAttemptModel] Unexpected error in getActiveLockouts:', err);
+    return { data: null, error: err };
+  }
+};
+
+/**
+ * Append a row to the login audit trail.
+ */
+export const saveLoginAudit = async (auditData) => {
+  try {
+    const { error } = await supabase.from('login_audit').insert([auditData]);
+    if (error) {
+      console.error('[LoginAttemptModel] Error saving login audit:', error);
+      return { error };
+    }
+    return { error: null };
+  } catch (err) {
+    console.error('[LoginAttemptModel] Unexpected error in saveLoginAudit:', err);
+    return { error: err };
+  }
+};
+
+/**
+ * Fetch audit rows, newest first, optionally filtered.
+ */
+export const getLoginAudit = async ({ subject_type, identifier, success, limit = 50, offset = 0 } = {}) => {
+  try {
+    let query = supabase
+      .from('login_audit')
+      .select('*')
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+    if (subject_type) query = query.eq('subject_type', subject_type);
+    if (identifier) query = query.eq('identifier', identifier);
+    if (typeof success === 'boolean') query = query.eq('success', success);
+
+    const { data, error } = await query;
+    if (error) {
+      console.error('[LoginAttemptModel] Error fetching login audit:', error);
+      return { data: null, error };
+    }
+    return { data, error: null };
+  } catch (err) {
+    console.error('[LoginAttemptModel] Unexpected error in getLoginAudit:', err);
+    return { data: null, error: err };
+  }
+};
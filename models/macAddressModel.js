@@ -126,3 +126,108 @@ export const upsertMacAddress = async (mac, status) => {
     return { data: null, error: err };
   }
 };
+
+/**
+ * Bind a MAC to a stay after a captive portal sign-in, unless the stay already
+ * has `limit` other devices signed in (bind_wifi_device,
+ * config/migrations/024_wifi_device_limit.sql; map errors with
+ * appErrorFromRpc()). Updates the existing record (leases are stored by
+ * /api/mikrotik/store-leases) or creates one.
+ */
+export const bindMacToStay = async (mac, { ip, guest_id, stay_id, auth_method, voucher_id = null, expires_at, limit }) => {
+  try {
+    const { data, error } = await supabase.rpc('bind_wifi_device', {
+      p_mac: mac,
+      p_ip: ip,
+      p_guest_id: guest_id,
+      p_stay_id: stay_id,
+      p_auth_method: auth_method,
+      p_voucher_id: voucher_id,
+      p_expires_at: expires_at,
+      p_limit: limit,
+    });
+    if (error) {
+      console.error('[MAC Model] Error binding MAC to stay:', error);
+      return { data: null, error };
+    }
+    return { data, error: null };
+  } catch (err) {
+    console.error('[MAC Model] Unexpected error in bindMacToStay:', err);
+    return { data: null, error: err };
+  }
+};
+
+/**
+ * Devices currently signed in on a stay (authenticated and not expired).
+ */
+export const getStayMacs = async (stayId) => {
+  try {
+    const { data, error } = await supabase
+      .from('mac_addresses')
+      .select('*')
+      .eq('stay_id', stayId)
+      .eq('status', 'authenticated')
+      .gt('expires_at', new Date().toISOString())
+      .order('authenticated_at', { ascending: true });
+    if (error) {
+      console.error('[MAC Model] Error fetching stay MACs:', error);
+      return { data: null, error };
+    }
+    return { data: data || [], error: null };
+  } catch (err) {
+    console.error('[MAC Model] Unexpected error in getStayMacs:', err);
+    return { data: null, error: err };
+  }
+};
+
+/**
+ * Signed-in devices whose stay binding has lapsed: past expires_at, or on a
+ * stay that has been checked out or canceled.
+ */
+export const getLapsedMacBindings = async () => {
+  try {
+    const [expired, closed] = await Promise.all([
+      supabase
+        .from('mac_addresses')
+        .select('id, mac, ip, stay_id, guest_id')
+        .eq('status', 'authenticated')
+        .lte('expires_at', new Date().toISOString()),
+      supabase
+        .from('mac_addresses')
+        .select('id, mac, ip, stay_id, guest_id, stays!inner ( status )')
+        .eq('status', 'authenticated')
+        .in('stays.status', ['checked_out', 'canceled']),
+    ]);
+    const error = expired.error || closed.error;
+    if (error) {
+      console.error('[MAC Model] Error fetching lapsed MAC bindings:', error);
+      return { data: null, error };
+    }
+    const byId = new Map([...(expired.data || []), ...(closed.data || [])].map(({ stays, ...m }) => [m.id, m]));
+    return { data: [...byId.values()], error: null };
+  } catch (err) {
+    console.error('[MAC Model] Unexpected error in getLapsedMacBindings:', err);
+    return { data: null, error: err };
+  }
+};
+
+/**
+ * Sign devices out (status 'unauthenticated'); the stay binding is kept.
+ */
+export const releaseMacs = async (ids) => {
+  try {
+    const { data, error } = await supabase
+      .from('mac_addresses')
+      .update({ status: 'unauthenticated' })
+      .in('id', ids)
+      .select();
+    if (error) {
+      console.error('[MAC Model] Error releasing MACs:', error);
+      return { data: null, error };
+    }
+    return { data: data || [], error: null };
+  } catch (err) {
+    console.error('[MAC Model] Unexpected error in releaseMacs:', err);
+    return { data: null, error: err };
+  }
+};
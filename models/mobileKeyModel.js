@@ -0,0 +1,114 @@
+// models/mobileKeyModel.js
+// Mobile keys issued to the guest app (config/migrations/018_mobile_keys.sql).
+// Only the key record lives here; the signed token is built and checked in
+// services/mobileKeyService.js.
+import supabase from '../config/supabase.js';
+
+const MOBILE_KEY_SELECT =
+  'id, stay_id, guest_id, phone_hash, expires_at, issued_by, issued_at, last_used_at, revoked_at, revoked_reason';
+
+/**
+ * Record a key issued to a guest's phone.
+ */
+export const createMobileKey = async ({ stay_id, guest_id, phone_hash, expires_at, issued_by = null }) => {
+  try {
+    const { data, error } = await supabase
+      .from('mobile_keys')
+      .insert([{ stay_id, guest_id, phone_hash, expires_at, issued_by }])
+      .select(MOBILE_KEY_SELECT)
+      .single();
+    if (error) {
+      console.error('[MobileKeyModel] Error creating mobile key:', error);
+      return { data: null, error };
+    }
+    return { data, error: null };
+  } catch (err) {
+    console.error('[MobileKeyModel] Unexpected error in createMobileKey:', err);
+    return { data: null, error: err };
+  }
+};
+
+/**
+ * Fetch one mobile key by ID.
+ */
+export const getMobileKeyById = async (keyId) => {
+  try {
+    const { data, error } = await supabase
+      .from('mobile_keys')
+      .select(MOBILE_KEY_SELECT)
+      .eq('id', keyId)
+      .maybeSingle();
+    if (error) {
+      console.error('[MobileKeyModel] Error fetching mobile key:', error);
+      return { data: null, error };
+    }
+    return { data, error: null };
+  } catch (err) {
+    console.error('[MobileKeyModel] Unexpected error in getMobileKeyById:', err);
+    return { data: null, error: err };
+  }
+};
+
+/**
+ * List keys, newest first. `liveOnly` leaves out revoked and expired keys.
+ */
+export const listMobileKeys = async ({ stay_id, guest_id, liveOnly = false } = {}) => {
+  try {
+    let query = supabase.from('mobile_keys').select(MOBILE_KEY_SELECT).order('issued_at', { ascending: false });
+    if (stay_id) query = query.eq('stay_id', stay_id);
+    if (guest_id) query = query.eq('guest_id', guest_id);
+    if (liveOnly) query = query.is('revoked_at', null).gt('expires_at', new Date().toISOString());
+    const { data, error } = await query;
+    if (error) {
+      console.error('[MobileKeyModel] Error listing mobile keys:', error);
+      return { data: null, error };
+    }
+    return { data: data || [], error: null };
+  } catch (err) {
+    console.error('[MobileKeyModel] Unexpected error in listMobileKeys:', err);
+    return { data: null, error: err };
+  }
+};
+
+/**
+ * Revoke live keys matching every column in `match` (e.g. { id }, or
+ * { stay_id, guest_id, phone_hash }).
+ */
+export const revokeMobileKeys = async (match, reason) => {
+  try {
+    const { data, error } = await supabase
+      .from('mobile_keys')
+      .update({ revoked_at: new Date().toISOString(), revoked_reason: reason })
+      .match(match)
+      .is('revoked_at', null)
+      .select(MOBILE_KEY_SELECT);
+    if (error) {
+      console.error('[MobileKeyModel] Error revoking mobile keys:', error);
+      return { data: null, error };
+    }
+    return { data: data || [], error: null };
+  } catch (err) {
+    console.error('[MobileKeyModel] Unexpected error in revokeMobileKeys:', err);
+    return { data: null, error: err };
+  }
+};
+
+/**
+ * Note that a key just opened a door.
+ */
+export const touchMobileKey = async (keyId) => {
+  try {
+    const { error } = await supabase
+      .from('mobile_keys')
+      .update({ last_used_at: new Date().toISOString() })
+      .eq('id', keyId);
+    if (error) {
+      console.error('[MobileKeyModel] Error touching mobile key:', error);
+      return { error };
+    }
+    return { error: null };
+  } catch (err) {
+    console.error('[MobileKeyModel] Unexpected error in touchMobileKey:', err);
+    return { error: err };
+  }
+};
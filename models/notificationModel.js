@@ -48,6 +48,28 @@ export const createNotification = async (notifData) => {
   }
 };
 
+/**
+ * Get a single notification by ID.
+ */
+export const getNotificationById = async (notif_id) => {
+  try {
+    const { data, error } = await supabase
+      .from('notifications')
+      .select('*')
+      .eq('id', notif_id)
+      .maybeSingle();
+
+    if (error) {
+      console.error('[NotificationModel] getNotificationById() Error:', error);
+      return { data: null, error };
+    }
+    return { data, error: null };
+  } catch (err) {
+    console.error('[NotificationModel] Unexpected Error in getNotificationById():', err);
+    return { data: null, error: err };
+  }
+};
+
 /**
  * Get notifications by Guest ID.
  */
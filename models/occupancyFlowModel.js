@@ -0,0 +1,232 @@
+// models/occupancyFlowModel.js
+// Wrappers around the transactional check-in/check-out and stay functions in
+// config/migrations/006_occupancy_functions.sql and later. Each call is atomic; map
+// errors with appErrorFromRpc() to surface the function's error codes.
+import supabase from '../config/supabase.js';
+
+/**
+ * Reserve a room, assign the card, open the occupancy record and create the
+ * single-room stay in one transaction.
+ * Returns data = { room_id, stay_id, occupancy_record_id, rfid_id, rfid_uid }.
+ */
+export const registerFlowTx = async ({
+  guest_id,
+  room_number,
+  check_in,
+  check_out,
+  rfid_id,
+  created_by = null,
+  occupant_snapshot = {},
+}) => {
+  try {
+    const { data, error } = await supabase.rpc('register_flow', {
+      p_guest_id: guest_id,
+      p_room_number: room_number.toString(),
+      p_check_in: check_in,
+      p_check_out: check_out,
+      p_rfid_id: rfid_id,
+      p_created_by: created_by,
+      p_occupant_snapshot: occupant_snapshot,
+    });
+    if (error) {
+      console.error('[OccupancyFlowModel] register_flow failed:', error);
+      return { data: null, error };
+    }
+    return { data, error: null };
+  } catch (err) {
+    console.error('[OccupancyFlowModel] Unexpected error in registerFlowTx:', err);
+    return { data: null, error: err };
+  }
+};
+
+/**
+ * Apply a successful door tap: promote the room, activate stay and card, and
+ * find or open the occupancy record. default_hours is the stay length for a
+ * room with neither a booked check-out nor hours_stay.
+ * Returns data = { room, rfid, occupancy_history_id }.
+ */
+export const checkInByCardTx = async ({
+  rfid_id,
+  room_id,
+  guest_id,
+  stay_id = null,
+  occupant_snapshot = {},
+  default_hours = 1,
+}) => {
+  try {
+    const { data, error } = await supabase.rpc('check_in_by_card', {
+      p_rfid_id: rfid_id,
+      p_room_id: room_id,
+      p_guest_id: guest_id,
+      p_stay_id: stay_id,
+      p_occupant_snapshot: occupant_snapshot,
+      p_default_hours: default_hours,
+    });
+    if (error) {
+      console.error('[OccupancyFlowModel] check_in_by_card failed:', error);
+      return { data: null, error };
+    }
+    return { data, error: null };
+  } catch (err) {
+    console.error('[OccupancyFlowModel] Unexpected error in checkInByCardTx:', err);
+    return { data: null, error: err };
+  }
+};
+
+/**
+ * Clear a room and release it from its stay (cards, tags, stay and reservation).
+ * Returns data = { room, occupant_id, stay_id, stay_closed, revoked_card_ids }.
+ */
+export const checkOutRoomTx = async (roomId, reason = 'room_checked_out') => {
+  try {
+    const { data, error } = await supabase.rpc('check_out_room', {
+      p_room_id: roomId,
+      p_reason: reason,
+    });
+    if (error) {
+      console.error('[OccupancyFlowModel] check_out_room failed:', error);
+      return { data: null, error };
+    }
+    return { data, error: null };
+  } catch (err) {
+    console.error('[OccupancyFlowModel] Unexpected error in checkOutRoomTx:', err);
+    return { data: null, error: err };
+  }
+};
+
+/**
+ * Swap a lost guest card for an available one on the same stay
+ * (config/migrations/016_card_replacement.sql).
+ * Returns data = { stay_id, guest_id, stay_card_id, old_rfid, new_rfid,
+ * occupancy_record_ids, room_numbers }.
+ */
+export const replaceCardTx = async ({ old_rfid_id, new_rfid_id, replaced_by = null, note = null }) => {
+  try {
+    const { data, error } = await supabase.rpc('replace_card', {
+      p_old_rfid_id: old_rfid_id,
+      p_new_rfid_id: new_rfid_id,
+      p_replaced_by: replaced_by,
+      p_note: note,
+    });
+    if (error) {
+      console.error('[OccupancyFlowModel] replace_card failed:', error);
+      return { data: null, error };
+    }
+    return { data, error: null };
+  } catch (err) {
+    console.error('[OccupancyFlowModel] Unexpected error in replaceCardTx:', err);
+    return { data: null, error: err };
+  }
+};
+
+/**
+ * Open a stay with its rooms and companions
+ * (config/migrations/030_stay_functions.sql).
+ * Returns data = { stay_id, rooms } with the reserved room rows.
+ */
+export const openStayTx = async ({
+  primary_guest_id,
+  room_numbers,
+  check_in,
+  check_out,
+  companion_ids = [],
+  notes = null,
+  created_by = null,
+  add_ons = [],
+  occupant_snapshot = {},
+}) => {
+  try {
+    const { data, error } = await supabase.rpc('open_stay', {
+      p_primary_guest_id: primary_guest_id,
+      p_room_numbers: room_numbers.map((roomNumber) => roomNumber.toString()),
+      p_check_in: check_in,
+      p_check_out: check_out,
+      p_companion_ids: companion_ids,
+      p_notes: notes,
+      p_created_by: created_by,
+      p_add_ons: add_ons,
+      p_occupant_snapshot: occupant_snapshot,
+    });
+    if (error) {
+      console.error('[OccupancyFlowModel] open_stay failed:', error);
+      return { data: null, error };
+    }
+    return { data, error: null };
+  } catch (err) {
+    console.error('[OccupancyFlowModel] Unexpected error in openStayTx:', err);
+    return { data: null, error: err };
+  }
+};
+
+/**
+ * Reserve another room on an open stay and open its occupancy record.
+ * Returns data = the reserved room row.
+ */
+export const addStayRoomTx = async ({ stay_id, room_number, occupant_snapshot = {} }) => {
+  try {
+    const { data, error } = await supabase.rpc('add_stay_room', {
+      p_stay_id: stay_id,
+      p_room_number: room_number.toString(),
+      p_occupant_snapshot: occupant_snapshot,
+    });
+    if (error) {
+      console.error('[OccupancyFlowModel] add_stay_room failed:', error);
+      return { data: null, error };
+    }
+    return { data, error: null };
+  } catch (err) {
+    console.error('[OccupancyFlowModel] Unexpected error in addStayRoomTx:', err);
+    return { data: null, error: err };
+  }
+};
+
+/**
+ * Open the stay for a booked reservation and mark it promoted.
+ * Returns data = { stay_id, rooms, reservation }.
+ */
+export const promoteReservationTx = async ({
+  reservation_id,
+  check_in = null,
+  created_by = null,
+  occupant_snapshot = {},
+}) => {
+  try {
+    const { data, error } = await supabase.rpc('promote_reservation', {
+      p_reservation_id: reservation_id,
+      p_check_in: check_in,
+      p_created_by: created_by,
+      p_occupant_snapshot: occupant_snapshot,
+    });
+    if (error) {
+      console.error('[OccupancyFlowModel] promote_reservation failed:', error);
+      return { data: null, error };
+    }
+    return { data, error: null };
+  } catch (err) {
+    console.error('[OccupancyFlowModel] Unexpected error in promoteReservationTx:', err);
+    return { data: null, error: err };
+  }
+};
+
+/**
+ * Move an open stay's check_out along with its rooms, promoted reservations,
+ * open occupancy records and Wi-Fi devices
+ * (config/migrations/031_stay_check_out_function.sql).
+ * Returns data = { stay_id, old_check_out, rooms } with the updated room rows.
+ */
+export const rescheduleStayCheckOutTx = async (stayId, checkOut) => {
+  try {
+    const { data, error } = await supabase.rpc('reschedule_stay_check_out', {
+      p_stay_id: stayId,
+      p_check_out: checkOut,
+    });
+    if (error) {
+      console.error('[OccupancyFlowModel] reschedule_stay_check_out failed:', error);
+      return { data: null, error };
+    }
+    return { data, error: null };
+  } catch (err) {
+    console.error('[OccupancyFlowModel] Unexpected error in rescheduleStayCheckOutTx:', err);
+    return { data: null, error: err };
+  }
+};
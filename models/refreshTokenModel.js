@@ -0,0 +1,140 @@
+// models/refreshTokenModel.js
+import supabase from '../config/supabase.js';
+
+/**
+ * Insert a new refresh token row (hash only).
+ */
+export const createRefreshToken = async ({
+  guest_id,
+  family_id,
+  token_hash,
+  expires_at,
+  user_agent = null,
+  ip = null,
+}) => {
+  try {
+    const { data, error } = await supabase
+      .from('guest_refresh_tokens')
+      .insert([{ guest_id, family_id, token_hash, expires_at, user_agent, ip }])
+      .select('id, guest_id, family_id, expires_at, created_at')
+      .single();
+    if (error) {
+      console.error('[RefreshTokenModel] Error creating refresh token:', error);
+      return { data: null, error };
+    }
+    return { data, error: null };
+  } catch (err) {
+    console.error('[RefreshTokenModel] Unexpected error in createRefreshToken:', err);
+    return { data: null, error: err };
+  }
+};
+
+/**
+ * Find a refresh token row by its hash.
+ */
+export const findRefreshTokenByHash = async (token_hash) => {
+  try {
+    const { data, error } = await supabase
+      .from('guest_refresh_tokens')
+      .select('*')
+      .eq('token_hash', token_hash)
+      .maybeSingle();
+    if (error) {
+      console.error('[RefreshTokenModel] Error finding refresh token:', error);
+      return { data: null, error };
+    }
+    return { data, error: null };
+  } catch (err) {
+    console.error('[RefreshTokenModel] Unexpected error in findRefreshTokenByHash:', err);
+    return { data: null, error: err };
+  }
+};
+
+/**
+ * Mark a token as rotated. Only succeeds while the token is still live, so two
+ * concurrent refreshes with the same token cannot both win; the loser gets
+ * data = null and must treat it as reuse.
+ */
+export const markRefreshTokenRotated = async (id) => {
+  try {
+    const { data, error } = await supabase
+      .from('guest_refresh_tokens')
+      .update({ revoked_at: new Date().toISOString(), revoked_reason: 'rotated' })
+      .eq('id', id)
+      .is('revoked_at', null)
+      .select('id, family_id')
+      .maybeSingle();
+    if (error) {
+      console.error('[RefreshTokenModel] Error rotating refresh token:', error);
+      return { data: null, error };
+    }
+    return { data, error: null };
+  } catch (err) {
+    console.error('[RefreshTokenModel] Unexpected error in markRefreshTokenRotated:', err);
+    return { data: null, error: err };
+  }
+};
+
+/**
+ * Link a rotated token to its replacement (for auditing the chain).
+ */
+export const setRefreshTokenReplacement = async (id, replacedBy) => {
+  try {
+    const { error } = await supabase
+      .from('guest_refresh_tokens')
+      .update({ replaced_by: replacedBy })
+      .eq('id', id);
+    if (error) {
+      console.error('[RefreshTokenModel] Error linking replacement token:', error);
+      return { error };
+    }
+    return { error: null };
+  } catch (err) {
+    console.error('[RefreshTokenModel] Unexpected error in setRefreshTokenReplacement:', err);
+    return { error: err };
+  }
+};
+
+/**
+ * Revoke every still-live token in a family.
+ */
+export const revokeRefreshTokenFamily = async (family_id, reason = 'signed_out') => {
+  try {
+    const { data, error } = await supabase
+      .from('guest_refresh_tokens')
+      .update({ revoked_at: new Date().toISOString(), revoked_reason: reason })
+      .eq('family_id', family_id)
+      .is('revoked_at', null)
+      .select('id');
+    if (error) {
+      console.error('[RefreshTokenModel] Error revoking token family:', error);
+      return { data: null, error };
+    }
+    return { data, error: null };
+  } catch (err) {
+    console.error('[RefreshTokenModel] Unexpected error in revokeRefreshTokenFamily:', err);
+    return { data: null, error: err };
+  }
+};
+
+/**
+ * Revoke every still-live token for a guest (all devices).
+ */
+export const revokeAllRefreshTokensForGuest = async (guest_id, reason = 'signed_out') => {
+  try {
+    const { data, error } = await supabase
+      .from('guest_refresh_tokens')
+      .update({ revoked_at: new Date().toISOString(), revoked_reason: reason })
+      .eq('guest_id', guest_id)
+      .is('revoked_at', null)
+      .select('id');
+    if (error) {
+      console.error('[RefreshTokenModel] Error revoking guest tokens:', error);
+      return { data: null, error };
+    }
+    return { data, error: null };
+  } catch (err) {
+    console.error('[RefreshTokenModel] Unexpected error in revokeAllRefreshTokensForGuest:', err);
+    return { data: null, error: err };
+  }
+};
@@ -0,0 +1,161 @@
+// models/reservationModel.js
+import supabase from '../config/supabase.js';
+
+// Reservations that still hold their room's date range.
+export const HOLDING_RESERVATION_STATUSES = ['booked', 'promoted'];
+
+const RESERVATION_SELECT = '*, rooms ( id, room_number, room_type, capacity, status )';
+
+/**
+ * Insert a new reservation.
+ */
+export const createReservation = async (reservationData) => {
+  try {
+    const { data, error } = await supabase
+      .from('reservations')
+      .insert([reservationData])
+      .select(RESERVATION_SELECT)
+      .single();
+    if (error) {
+      console.error('[ReservationModel] Error creating reservation:', error);
+      return { data: null, error };
+    }
+    return { data, error: null };
+  } catch (err) {
+    console.error('[ReservationModel] Unexpected error in createReservation:', err);
+    return { data: null, error: err };
+  }
+};
+
+/**
+ * Fetch a reservation by ID (null if missing).
+ */
+export const getReservationById = async (id) => {
+  try {
+    const { data, error } = await supabase
+      .from('reservations')
+      .select(RESERVATION_SELECT)
+      .eq('id', id)
+      .maybeSingle();
+    if (error) {
+      console.error('[ReservationModel] Error fetching reservation:', error);
+      return { data: null, error };
+    }
+    return { data, error: null };
+  } catch (err) {
+    console.error('[ReservationModel] Unexpected error in getReservationById:', err);
+    return { data: null, error: err };
+  }
+};
+
+/**
+ * List reservations, optionally filtered by guest, room, status and a date
+ * window (reservations overlapping [from, to)). Ordered by check_in.
+ */
+export const listReservations = async ({
+  guest_id,
+  room_id,
+  status,
+  from,
+  to,
+  limit = 50,
+  offset = 0,
+} = {}) => {
+  try {
+    let query = supabase
+      .from('reservations')
+      .select(RESERVATION_SELECT)
+      .order('check_in', { ascending: true })
+      .range(offset, offset + limit - 1);
+
+    if (guest_id) query = query.eq('guest_id', guest_id);
+    if (room_id) query = query.eq('room_id', room_id);
+    if (status) query = query.eq('status', status);
+    if (from) query = query.gt('check_out', from);
+    if (to) query = query.lt('check_in', to);
+
+    const { data, error } = await query;
+    if (error) {
+      console.error('[ReservationModel] Error listing reservations:', error);
+      return { data: null, error };
+    }
+    return { data, error: null };
+  } catch (err) {
+    console.error('[ReservationModel] Unexpected error in listReservations:', err);
+    return { data: null, error: err };
+  }
+};
+
+/**
+ * Holding reservations overlapping [checkIn, checkOut), optionally for a set
+ * of rooms and ignoring one reservation (the one being edited or promoted).
+ */
+export const findOverlappingReservations = async (checkIn, checkOut, { roomIds = null, excludeId = null } = {}) => {
+  try {
+    let query = supabase
+      .from('reservations')
+      .select('id, room_id, guest_id, check_in, check_out, status')
+      .in('status', HOLDING_RESERVATION_STATUSES)
+      .lt('check_in', checkOut)
+      .gt('check_out', checkIn);
+
+    if (roomIds) query = query.in('room_id', roomIds);
+    if (excludeId) query = query.neq('id', excludeId);
+
+    const { data, error } = await query;
+    if (error) {
+      console.error('[ReservationModel] Error finding overlapping reservations:', error);
+      return { data: null, error };
+    }
+    return { data, error: null };
+  } catch (err) {
+    console.error('[ReservationModel] Unexpected error in findOverlappingReservations:', err);
+    return { data: null, error: err };
+  }
+};
+
+/**
+ * Update a reservation, optionally only if it is still in one of `onlyIfStatus`.
+ * Returns data = null when no row matched.
+ */
+export const updateReservation = async (id, updateFields, { onlyIfStatus = null } = {}) => {
+  try {
+    let query = supabase
+      .from('reservations')
+      .update({ ...updateFields, updated_at: new Date().toISOString() })
+      .eq('id', id);
+    if (onlyIfStatus) query = query.in('status', onlyIfStatus);
+
+    const { data, error } = await query.select(RESERVATION_SELECT).maybeSingle();
+    if (error) {
+      console.error('[ReservationModel] Error updating reservation:', error);
+      return { data: null, error };
+    }
+    return { data, error: null };
+  } catch (err) {
+    console.error('[ReservationModel] Unexpected error in updateReservation:', err);
+    return { data: null, error: err };
+  }
+};
+
+/**
+ * Booked reservations whose range has not ended yet (due now or in the future).
+ */
+export const getUpcomingReservations = async (nowIso = new Date().toISOString()) => {
+  try {
+    const { data, error } = await supabase
+      .from('reservations')
+      .select(RESERVATION_SELECT)
+      .eq('status', 'booked')
+      .gt('check_out', nowIso)
+      .order('check_in', { ascending: true });
+    if (error) {
+      console.error('[ReservationModel] Error fetching upcoming reservations:', error);
+      return { data: null, error };
+    }
+    return { data, error: null };
+  } catch (err) {
+    console.error('[ReservationModel] Unexpected error in getUpcomingReservations:', err);
+    return { data: null, error: err };
+  }
+};
@@ -3,13 +3,13 @@ import supabase from '../config/supabase.js';
 
 /**
  * Find an RFID by its UID.
- * Only selects columns that actually exist in rfid_tags: id, rfid_uid, guest_id, status, created_at.
+ * Only selects columns that actually exist in rfid_tags: id, rfid_uid, guest_id, admin_id, card_type, status, created_at.
  */
 export const findRFIDByUID = async (rfid_uid) => {
   try {
     const { data, error } = await supabase
       .from('rfid_tags')
-      .select('id, rfid_uid, guest_id, status, created_at')
+      .select('id, rfid_uid, guest_id, admin_id, card_type, credential_mode, status, created_at')
       .eq('rfid_uid', rfid_uid)
       .maybeSingle();
 
@@ -25,13 +25,13 @@ export const findRFIDByUID = async (rfid_uid) => {
 };
 
 /**
- * Get all RFID tags (id, rfid_uid, guest_id, status, created_at).
+ * Get all RFID tags (id, rfid_uid, guest_id, admin_id, card_type, status, created_at).
  */
 export const getAllRFIDs = async () => {
   try {
     const { data, error } = await supabase
       .from('rfid_tags')
-      .select('id, rfid_uid, guest_id, status, created_at');
+      .select('id, rfid_uid, guest_id, admin_id, card_type, credential_mode, status, created_at');
     if (error) {
       console.error('[getAllRFIDs] Error fetching RFID tags:', error);
       return { data: null, error };
@@ -50,7 +50,7 @@ export const getAvailableRFIDs = async () => {
   try {
     const { data, error } = await supabase
       .from('rfid_tags')
-      .select('id, rfid_uid, guest_id, status, created_at')
+      .select('id, rfid_uid, guest_id, admin_id, card_type, credential_mode, status, created_at')
       .eq('status', 'available');
     if (error) {
       console.error('[getAvailableRFIDs] Error fetching available RFID tags:', error);
@@ -76,7 +76,7 @@ export const assignRFIDToGuest = async (rfid_uid, guest_id) => {
       })
       .eq('rfid_uid', rfid_uid)
       .eq('status', 'available')
-      .select('id, rfid_uid, guest_id, status, created_at')
+      .select('id, rfid_uid, guest_id, admin_id, card_type, credential_mode, status, created_at')
       .maybeSingle();
     if (error) {
       console.error('[assignRFIDToGuest] Error assigning RFID:', error);
@@ -89,6 +89,35 @@ export const assignRFIDToGuest = async (rfid_uid, guest_id) => {
   }
 };
 
+/**
+ * Assign an available RFID to a staff member as a 'staff' or 'master' card.
+ * Staff cards are active straight away and keep their holder until unassigned.
+ */
+export const assignRFIDToStaff = async (rfid_uid, admin_id, card_type = 'staff') => {
+  try {
+    const { data, error } = await supabase
+      .from('rfid_tags')
+      .update({
+        admin_id,
+        card_type,
+        guest_id: null,
+        status: 'active',
+      })
+      .eq('rfid_uid', rfid_uid)
+      .eq('status', 'available')
+      .select('id, rfid_uid, guest_id, admin_id, card_type, credential_mode, status, created_at')
+      .maybeSingle();
+    if (error) {
+      console.error('[assignRFIDToStaff] Error assigning RFID:', error);
+      return { data: null, error };
+    }
+    return { data, error: null };
+  } catch (err) {
+    console.error('[assignRFIDToStaff] Unexpected error:', err);
+    return { data: null, error: err };
+  }
+};
+
 /**
  * Activate an RFID (set status -> 'active').
  */
@@ -99,7 +128,7 @@ export const activateRFID = async (rfid_uid) => {
       .update({ status: 'active' })
       .eq('rfid_uid', rfid_uid)
       .eq('status', 'assigned')
-      .select('id, rfid_uid, guest_id, status, created_at')
+      .select('id, rfid_uid, guest_id, admin_id, card_type, credential_mode, status, created_at')
       .maybeSingle();
     if (error) {
       console.error('[activateRFID] Error activating RFID:', error);
@@ -122,7 +151,7 @@ export const markRFIDLost = async (rfid_uid) => {
       .update({ status: 'lost' })
       .eq('rfid_uid', rfid_uid)
       .neq('status', 'lost')
-      .select('id, rfid_uid, guest_id, status, created_at')
+      .select('id, rfid_uid, guest_id, admin_id, card_type, credential_mode, status, created_at')
       .maybeSingle();
     if (error) {
       console.error('[markRFIDLost] Error marking RFID lost:', error);
@@ -144,10 +173,12 @@ export const unassignRFID = async (rfid_uid) => {
       .from('rfid_tags')
       .update({
         guest_id: null,
+        admin_id: null,
+        card_type: 'guest',
         status: 'available',
       })
       .eq('rfid_uid', rfid_uid)
-      .select('id, rfid_uid, guest_id, status, created_at')
+      .select('id, rfid_uid, guest_id, admin_id, card_type, credential_mode, status, created_at')
       .maybeSingle();
     if (error) {
       console.error('[unassignRFID] Error unassigning RFID:', error);
@@ -160,6 +191,54 @@ export const unassignRFID = async (rfid_uid) => {
   }
 };
 
+/**
+ * Suspend an in-service RFID (assigned/active -> 'suspended'). Returns
+ * data = null when the card was not in service.
+ */
+export const suspendRFID = async (rfid_uid) => {
+  try {
+    const { data, error } = await supabase
+      .from('rfid_tags')
+      .update({ status: 'suspended' })
+      .eq('rfid_uid', rfid_uid)
+      .in('status', ['assigned', 'active'])
+      .select('id, rfid_uid, guest_id, admin_id, card_type, credential_mode, status, created_at')
+      .maybeSingle();
+    if (error) {
+      console.error('[suspendRFID] Error suspending RFID:', error);
+      return { data: null, error };
+    }
+    return { data, error: null };
+  } catch (err) {
+    console.error('[suspendRFID] Unexpected error:', err);
+    return { data: null, error: err };
+  }
+};
+
+/**
+ * Put a suspended RFID back in service with the given status
+ * ('assigned' or 'active'). Returns data = null when it is not suspended.
+ */
+export const reinstateRFID = async (rfid_uid, status) => {
+  try {
+    const { data, error } = await supabase
+      .from('rfid_tags')
+      .update({ status })
+      .eq('rfid_uid', rfid_uid)
+      .eq('status', 'suspended')
+      .select('id, rfid_uid, guest_id, admin_id, card_type, credential_mode, status, created_at')
+      .maybeSingle();
+    if (error) {
+      console.error('[reinstateRFID] Error reinstating RFID:', error);
+      return { data: null, error };
+    }
+    return { data, error: null };
+  } catch (err) {
+    console.error('[reinstateRFID] Unexpected error:', err);
+    return { data: null, error: err };
+  }
+};
+
 /**
  * Reset all RFID tags for a specific guest to 'available'.
  */
@@ -172,7 +251,7 @@ export const resetRFIDByGuest = async (guest_id) => {
         status: 'available',
       })
       .match({ guest_id })
-      .select('id, rfid_uid, guest_id, status, created_at');
+      .select('id, rfid_uid, guest_id, admin_id, card_type, credential_mode, status, created_at');
     if (error) {
       console.error('[resetRFIDByGuest] Error resetting RFID:', error);
       return { data: null, error };
@@ -183,3 +262,28 @@ export const resetRFIDByGuest = async (guest_id) => {
     return { data: null, error: err };
   }
 };
+
+/**
+ * Reset specific RFID tags (by ID) to 'available'.
+ */
+export const resetRFIDsByIds = async (ids) => {
+  try {
+    if (!ids || ids.length === 0) return { data: [], error: null };
+    const { data, error } = await supabase
+      .from('rfid_tags')
+      .update({
+        guest_id: null,
+        status: 'available',
+      })
+      .in('id', ids)
+      .select('id, rfid_uid, guest_id, admin_id, card_type, credential_mode, status, created_at');
+    if (error) {
+      console.error('[resetRFIDsByIds] Error resetting RFID tags:', error);
+      return { data: null, error };
+    }
+    return { data, error: null };
+  } catch (err) {
+    console.error('[resetRFIDsByIds] Unexpected error:', err);
+    return { data: null, error: err };
+  }
+};
@@ -177,3 +177,26 @@ export const checkOutOccupancyRecord = async (id, checkOutTime, checkOutReason,
     return { data: null, error: err };
   }
 };
+
+/**
+ * Update every still-open record (registered and checkin rows) for a room,
+ * e.g. to keep hours_stay in step when the stay's check_out moves.
+ */
+export const updateOpenRecordsForRoom = async (roomId, updateData) => {
+  try {
+    const { data, error } = await supabase
+      .from('room_occupancy_history')
+      .update(updateData)
+      .eq('room_id', roomId)
+      .is('check_out', null)
+      .select('*');
+    if (error) {
+      console.error('[RoomOccupancyHistoryModel] Error updating open records for room:', error);
+      return { data: null, error };
+    }
+    return { data, error: null };
+  } catch (err) {
+    console.error('[RoomOccupancyHistoryModel] Unexpected error in updateOpenRecordsForRoom:', err);
+    return { data: null, error: err };
+  }
+};
@@ -1,7 +1,8 @@
 // models/roomsModel.js
 import supabase from '../config/supabase.js';
 import { createNotification } from './notificationModel.js';
-import { resetRFIDByGuest } from './rfidModel.js';
+import { checkOutRoomTx } from './occupancyFlowModel.js';
+import { cancelPendingJobs } from './scheduledJobModel.js';
 import { fetchAllAdminIds } from './adminModel.js';
 
 /**
@@ -88,6 +89,26 @@ export const getRoomById = async (roomId) => {
   }
 };
 
+/**
+ * Rooms held by a guest (legacy single-room flow), optionally only in the
+ * given statuses.
+ */
+export const getRoomsByGuest = async (guestId, statuses = null) => {
+  try {
+    let query = supabase.from('rooms').select('*').eq('guest_id', guestId);
+    if (statuses) query = query.in('status', statuses);
+    const { data, error } = await query;
+    if (error) {
+      console.error('[RoomsModel] Error fetching rooms by guest:', error);
+      return { data: null, error };
+    }
+    return { data: data || [], error: null };
+  } catch (err) {
+    console.error('[RoomsModel] Unexpected error in getRoomsByGuest:', err);
+    return { data: null, error: err };
+  }
+};
+
 /**
  * Fetch all rooms.
  */
@@ -261,41 +282,31 @@ async function notifyAllAdmins(title, message, notificationType = 'room_status',
 
 /**
  * checkOutRoomById:
- * 1) Fetch the room by ID
- * 2) Clear occupant fields in DB (checkOutRoom)
- * 3) If occupant was present, notify occupant & reset RFID
- * 4) Notify all admins
- * 5) Return occupantId as well so the controller can call /api/deactivate-internet
+ * 1) Clear the room and release it from its stay in one transaction
+ *    (check_out_room: cards that no longer open any room are revoked and their
+ *    RFID tags freed; rooms not on a stay free every tag of their guest)
+ * 2) Notify the occupant
+ * 3) Notify all admins
+ * 4) Return occupantId as well so the controller can call /api/deactivate-internet
  */
 export const checkOutRoomById = async (roomId, reason = 'Automatic Checkout') => {
   try {
-    // 1) Fetch the current room record
-    const { data: roomData, error: fetchError } = await getRoomById(roomId);
-    if (fetchError) {
-      console.error('[RoomsModel] Error fetching room data:', fetchError);
-      return { success: false, error: fetchError };
-    }
-    if (!roomData) {
-      return { success: false, error: new Error('Room not found') };
+    // 1) Clear occupant fields and release the stay atomically
+    const { data: result, error: checkOutError } = await checkOutRoomTx(roomId);
+    if (checkOutError) {
+      return { success: false, error: checkOutError };
     }
 
-    const currentGuestId = roomData.guest_id;
-    const roomNumber = roomData.room_number;
+    const updatedRoom = result.room;
+    const currentGuestId = result.occupant_id;
+    const roomNumber = updatedRoom.room_number;
 
-    // 2) Clear occupant fields in the DB.
-    const { data: updatedRoom, error: updateError } = await checkOutRoom(roomId);
-    if (updateError) {
-      console.error('[RoomsModel] Error during check-out:', updateError);
-      return { success: false, error: updateError };
-    }
-    if (!updatedRoom) {
-      return { success: false, error: new Error('Room not found or could not be checked out') };
-    }
+    // Scheduled warning/check-out jobs for this room are now moot
+    await cancelPendingJobs(`room:${roomId}`);
 
-    // 3) If an occupant was present, notify occupant and reset RFID tags
+    // 2) If an occupant was present, notify them
     if (currentGuestId) {
       try {
-        // Notify occupant
         const notifTitle = reason;
         const notifMessage = `You have been checked out of Room #${roomNumber}.`;
         const { error: occupantNotifErr } = await createNotification({
@@ -307,18 +318,12 @@ export const checkOutRoomById = async (roomId, reason = 'Automatic Checkout') =>
         if (occupantNotifErr) {
           console.error('[RoomsModel] Failed to create occupant check-out notification:', occupantNotifErr);
         }
-
-        // Reset RFID tags
-        const { error: rfidResetError } = await resetRFIDByGuest(currentGuestId);
-        if (rfidResetError) {
-          console.error('[RoomsModel] Error resetting RFID tags:', rfidResetError);
-        }
       } catch (notifyErr) {
         console.error('[RoomsModel] Error handling guest notifications during checkout:', notifyErr);
       }
     }
 
-    // 4) Notify all admins
+    // 3) Notify all admins
     try {
       const adminTitle = 'Room Checked Out';
       const adminMessage = `Room #${roomNumber} was checked out (ID: ${roomId}). Reason: ${reason}.`;
@@ -327,7 +332,7 @@ export const checkOutRoomById = async (roomId, reason = 'Automatic Checkout') =>
       console.error('[RoomsModel] Error sending admin check-out notification:', adminNotifErr);
     }
 
-    // 5) Return occupantId so the controller can call /api/deactivate-internet
+    // 4) Return occupantId so the controller can call /api/deactivate-internet
     return {
       success: true,
       data: updatedRoom,
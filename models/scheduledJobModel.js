@@ -0,0 +1,243 @@
+// models/scheduledJobModel.js
+import supabase from '../config/supabase.js';
+
+/**
+ * Insert a pending job. A job whose dedupe_key already exists is left alone,
+ * except that a canceled one is revived with the new run_at (e.g. a stay
+ * extended and then shortened back). Returns data = null for a live duplicate.
+ */
+export const scheduleJob = async ({
+  type,
+  subject = null,
+  payload = {},
+  run_at,
+  dedupe_key = null,
+  max_attempts = 5,
+}) => {
+  try {
+    const { data, error } = await supabase
+      .from('scheduled_jobs')
+      .upsert([{ type, subject, payload, run_at, dedupe_key, max_attempts }], {
+        onConflict: 'dedupe_key',
+        ignoreDuplicates: true,
+      })
+      .select('*');
+    if (error) {
+      console.error('[ScheduledJobModel] Error scheduling job:', error);
+      return { data: null, error };
+    }
+    if (data && data.length > 0) return { data: data[0], error: null };
+    if (!dedupe_key) return { data: null, error: null };
+
+    const { data: revived, error: reviveError } = await supabase
+      .from('scheduled_jobs')
+      .update({
+        status: 'pending',
+        run_at,
+        payload,
+        attempts: 0,
+        last_error: null,
+        updated_at: new Date().toISOString(),
+      })
+      .eq('dedupe_key', dedupe_key)
+      .eq('status', 'canceled')
+      .select('*')
+      .maybeSingle();
+    if (reviveError) {
+      console.error('[ScheduledJobModel] Error reviving canceled job:', reviveError);
+      return { data: null, error: reviveError };
+    }
+    return { data: revived, error: null };
+  } catch (err) {
+    console.error('[ScheduledJobModel] Unexpected error in scheduleJob:', err);
+    return { data: null, error: err };
+  }
+};
+
+/**
+ * Cancel pending jobs for a subject, optionally keeping the given dedupe keys.
+ */
+export const cancelPendingJobs = async (subject, { exceptKeys = [] } = {}) => {
+  try {
+    let query = supabase
+      .from('scheduled_jobs')
+      .update({ status: 'canceled', updated_at: new Date().toISOString() })
+      .eq('subject', subject)
+      .eq('status', 'pending');
+    if (exceptKeys.length > 0) {
+      query = query.not('dedupe_key', 'in', `(${exceptKeys.map((k) => `"${k}"`).join(',')})`);
+    }
+    const { data, error } = await query.select('id');
+    if (error) {
+      console.error('[ScheduledJobModel] Error canceling jobs:', error);
+      return { data: null, error };
+    }
+    return { data, error: null };
+  } catch (err) {
+    console.error('[ScheduledJobModel] Unexpected error in cancelPendingJobs:', err);
+    return { data: null, error: err };
+  }
+};
+
+/**
+ * Claim due jobs for this worker (claim_scheduled_jobs, SKIP LOCKED).
+ */
+export const claimJobs = async (workerId, limit = 10) => {
+  try {
+    const { data, error } = await supabase.rpc('claim_scheduled_jobs', {
+      p_worker: workerId,
+      p_limit: limit,
+    });
+    if (error) {
+      console.error('[ScheduledJobModel] Error claiming jobs:', error);
+      return { data: null, error };
+    }
+    return { data: data || [], error: null };
+  } catch (err) {
+    console.error('[ScheduledJobModel] Unexpected error in claimJobs:', err);
+    return { data: null, error: err };
+  }
+};
+
+/**
+ * Mark a claimed job done.
+ */
+export const completeJob = async (id, result = null) => {
+  try {
+    const now = new Date().toISOString();
+    const { data, error } = await supabase
+      .from('scheduled_jobs')
+      .update({ status: 'done', result, last_error: null, completed_at: now, updated_at: now })
+      .eq('id', id)
+      .select('*')
+      .maybeSingle();
+    if (error) {
+      console.error('[ScheduledJobModel] Error completing job:', error);
+      return { data: null, error };
+    }
+    return { data, error: null };
+  } catch (err) {
+    console.error('[ScheduledJobModel] Unexpected error in completeJob:', err);
+    return { data: null, error: err };
+  }
+};
+
+/**
+ * Record a failed attempt: back to 'pending' at retryAt, or 'failed' for good
+ * when retryAt is null.
+ */
+export const failJob = async (id, message, retryAt = null) => {
+  try {
+    const { data, error } = await supabase
+      .from('scheduled_jobs')
+      .update({
+        status: retryAt ? 'pending' : 'failed',
+        run_at: retryAt || undefined,
+        last_error: message,
+        locked_by: null,
+        locked_at: null,
+        updated_at: new Date().toISOString(),
+      })
+      .eq('id', id)
+      .select('*')
+      .maybeSingle();
+    if (error) {
+      console.error('[ScheduledJobModel] Error recording job failure:', error);
+      return { data: null, error };
+    }
+    return { data, error: null };
+  } catch (err) {
+    console.error('[ScheduledJobModel] Unexpected error in failJob:', err);
+    return { data: null, error: err };
+  }
+};
+
+/**
+ * List jobs, newest run_at first, with optional status/type/subject filters.
+ */
+export const listJobs = async ({ status, type, subject, limit = 50, offset = 0 } = {}) => {
+  try {
+    let query = supabase
+      .from('scheduled_jobs')
+      .select('*')
+      .order('run_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+    if (status) query = query.eq('status', status);
+    if (type) query = query.eq('type', type);
+    if (subject) query = query.eq('subject', subject);
+
+    const { data, error } = await query;
+    if (error) {
+      console.error('[ScheduledJobModel] Error listing jobs:', error);
+      return { data: null, error };
+    }
+    return { data, error: null };
+  } catch (err) {
+    console.error('[ScheduledJobModel] Unexpected error in listJobs:', err);
+    return { data: null, error: err };
+  }
+};
+
+/**
+ * Fetch a job by ID (null if missing).
+ */
+export const getJobById = async (id) => {
+  try {
+    const { data, error } = await supabase.from('scheduled_jobs').select('*').eq('id', id).maybeSingle();
+    if (error) {
+      console.error('[ScheduledJobModel] Error fetching job:', error);
+      return { data: null, error };
+    }
+    return { data, error: null };
+  } catch (err) {
+    console.error('[ScheduledJobModel] Unexpected error in getJobById:', err);
+    return { data: null, error: err };
+  }
+};
+
+/**
+ * Move a job between statuses only if it is still in one of `fromStatuses`.
+ * Returns data = null when no row matched.
+ */
+export const transitionJob = async (id, fromStatuses, updateFields) => {
+  try {
+    const { data, error } = await supabase
+      .from('scheduled_jobs')
+      .update({ ...updateFields, updated_at: new Date().toISOString() })
+      .eq('id', id)
+      .in('status', fromStatuses)
+      .select('*')
+      .maybeSingle();
+    if (error) {
+      console.error('[ScheduledJobModel] Error updating job:', error);
+      return { data: null, error };
+    }
+    return { data, error: null };
+  } catch (err) {
+    console.error('[ScheduledJobModel] Unexpected error in transitionJob:', err);
+    return { data: null, error: err };
+  }
+};
+
+/**
+ * Delete finished (done/canceled/failed) jobs completed or last touched
+ * before `before`.
+ */
+export const purgeFinishedJobs = async (before) => {
+  try {
+    const { data, error } = await supabase
+      .from('scheduled_jobs')
+      .delete()
+      .in('status', ['done', 'canceled', 'failed'])
+      .lt('updated_at', before)
+      .select('id');
+    if (error) {
+      console.error('[ScheduledJobModel] Error purging finished jobs:', error);
+      return { data: null, error };
+    }
+    return { data, error: null };
+  } catch (err) {
+    console.error('[ScheduledJobModel] Unexpected error in purgeFinishedJobs:', err);
+    return { data: null, error: err };
+  }
+};
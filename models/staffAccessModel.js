@@ -0,0 +1,262 @@
+// models/staffAccessModel.js
+// Shifts, room rules and room assignments behind staff RFID cards
+// (config/migrations/014_staff_cards.sql).
+import supabase from '../config/supabase.js';
+
+// -----------------------------------------------------------------------------
+// Shifts
+// -----------------------------------------------------------------------------
+
+/**
+ * Insert a shift for a staff member.
+ */
+export const createShift = async ({ admin_id, starts_at, ends_at, notes = null, created_by = null }) => {
+  try {
+    const { data, error } = await supabase
+      .from('staff_shifts')
+      .insert([{ admin_id, starts_at, ends_at, notes, created_by }])
+      .select('*')
+      .single();
+    if (error) {
+      console.error('[StaffAccessModel] Error creating shift:', error);
+      return { data: null, error };
+    }
+    return { data, error: null };
+  } catch (err) {
+    console.error('[StaffAccessModel] Unexpected error in createShift:', err);
+    return { data: null, error: err };
+  }
+};
+
+/**
+ * Shifts overlapping [from, to), optionally for one staff member.
+ */
+export const listShifts = async ({ admin_id, from, to, limit = 100, offset = 0 } = {}) => {
+  try {
+    let query = supabase
+      .from('staff_shifts')
+      .select('*, admins!staff_shifts_admin_id_fkey ( id, username, role )')
+      .order('starts_at', { ascending: true })
+      .range(offset, offset + limit - 1);
+    if (admin_id) query = query.eq('admin_id', admin_id);
+    if (from) query = query.gt('ends_at', from);
+    if (to) query = query.lt('starts_at', to);
+    const { data, error } = await query;
+    if (error) {
+      console.error('[StaffAccessModel] Error listing shifts:', error);
+      return { data: null, error };
+    }
+    return { data: data || [], error: null };
+  } catch (err) {
+    console.error('[StaffAccessModel] Unexpected error in listShifts:', err);
+    return { data: null, error: err };
+  }
+};
+
+/**
+ * Delete a shift. Returns data = null when it does not exist.
+ */
+export const deleteShift = async (id) => {
+  try {
+    const { data, error } = await supabase
+      .from('staff_shifts')
+      .delete()
+      .eq('id', id)
+      .select('*')
+      .maybeSingle();
+    if (error) {
+      console.error('[StaffAccessModel] Error deleting shift:', error);
+      return { data: null, error };
+    }
+    return { data, error: null };
+  } catch (err) {
+    console.error('[StaffAccessModel] Unexpected error in deleteShift:', err);
+    return { data: null, error: err };
+  }
+};
+
+/**
+ * The staff member's shift covering `at`, or null when off shift.
+ */
+export const findActiveShift = async (adminId, at = new Date().toISOString()) => {
+  try {
+    const { data, error } = await supabase
+      .from('staff_shifts')
+      .select('*')
+      .eq('admin_id', adminId)
+      .lte('starts_at', at)
+      .gt('ends_at', at)
+      .order('ends_at', { ascending: false })
+      .limit(1)
+      .maybeSingle();
+    if (error) {
+      console.error('[StaffAccessModel] Error finding active shift:', error);
+      return { data: null, error };
+    }
+    return { data, error: null };
+  } catch (err) {
+    console.error('[StaffAccessModel] Unexpected error in findActiveShift:', err);
+    return { data: null, error: err };
+  }
+};
+
+// -----------------------------------------------------------------------------
+// Room rules
+// -----------------------------------------------------------------------------
+
+/**
+ * Every room rule, optionally only those of one role.
+ */
+export const listRoomRules = async ({ role, enabledOnly = false } = {}) => {
+  try {
+    let query = supabase.from('staff_room_rules').select('*').order('role').order('id');
+    if (role) query = query.eq('role', role);
+    if (enabledOnly) query = query.eq('enabled', true);
+    const { data, error } = await query;
+    if (error) {
+      console.error('[StaffAccessModel] Error listing room rules:', error);
+      return { data: null, error };
+    }
+    return { data: data || [], error: null };
+  } catch (err) {
+    console.error('[StaffAccessModel] Unexpected error in listRoomRules:', err);
+    return { data: null, error: err };
+  }
+};
+
+/**
+ * Insert a room rule.
+ */
+export const createRoomRule = async (fields) => {
+  try {
+    const { data, error } = await supabase
+      .from('staff_room_rules')
+      .insert([fields])
+      .select('*')
+      .single();
+    if (error) {
+      console.error('[StaffAccessModel] Error creating room rule:', error);
+      return { data: null, error };
+    }
+    return { data, error: null };
+  } catch (err) {
+    console.error('[StaffAccessModel] Unexpected error in createRoomRule:', err);
+    return { data: null, error: err };
+  }
+};
+
+/**
+ * Update a room rule. Returns data = null when it does not exist.
+ */
+export const updateRoomRule = async (id, fields) => {
+  try {
+    const { data, error } = await supabase
+      .from('staff_room_rules')
+      .update({ ...fields, updated_at: new Date().toISOString() })
+      .eq('id', id)
+      .select('*')
+      .maybeSingle();
+    if (error) {
+      console.error('[StaffAccessModel] Error updating room rule:', error);
+      return { data: null, error };
+    }
+    return { data, error: null };
+  } catch (err) {
+    console.error('[StaffAccessModel] Unexpected error in updateRoomRule:', err);
+    return { data: null, error: err };
+  }
+};
+
+/**
+ * Delete a room rule. Returns data = null when it does not exist.
+ */
+export const deleteRoomRule = async (id) => {
+  try {
+    const { data, error } = await supabase
+      .from('staff_room_rules')
+      .delete()
+      .eq('id', id)
+      .select('*')
+      .maybeSingle();
+    if (error) {
+      console.error('[StaffAccessModel] Error deleting room rule:', error);
+      return { data: null, error };
+    }
+    return { data, error: null };
+  } catch (err) {
+    console.error('[StaffAccessModel] Unexpected error in deleteRoomRule:', err);
+    return { data: null, error: err };
+  }
+};
+
+// -----------------------------------------------------------------------------
+// Room assignments
+// -----------------------------------------------------------------------------
+
+/**
+ * Assign a room to a staff member.
+ */
+export const createAssignment = async ({ admin_id, room_id, starts_at, ends_at = null, created_by = null }) => {
+  try {
+    const { data, error } = await supabase
+      .from('staff_room_assignments')
+      .insert([{ admin_id, room_id, starts_at, ends_at, created_by }])
+      .select('*, rooms ( room_number )')
+      .single();
+    if (error) {
+      console.error('[StaffAccessModel] Error creating assignment:', error);
+      return { data: null, error };
+    }
+    return { data, error: null };
+  } catch (err) {
+    console.error('[StaffAccessModel] Unexpected error in createAssignment:', err);
+    return { data: null, error: err };
+  }
+};
+
+/**
+ * Assignments, optionally for one staff member or room; `activeAt` keeps only
+ * those in effect at that time.
+ */
+export const listAssignments = async ({ admin_id, room_id, activeAt } = {}) => {
+  try {
+    let query = supabase
+      .from('staff_room_assignments')
+      .select('*, rooms ( room_number ), admins!staff_room_assignments_admin_id_fkey ( id, username, role )')
+      .order('starts_at', { ascending: false });
+    if (admin_id) query = query.eq('admin_id', admin_id);
+    if (room_id) query = query.eq('room_id', room_id);
+    if (activeAt) query = query.lte('starts_at', activeAt).or(`ends_at.is.null,ends_at.gt."${activeAt}"`);
+    const { data, error } = await query;
+    if (error) {
+      console.error('[StaffAccessModel] Error listing assignments:', error);
+      return { data: null, error };
+    }
+    return { data: data || [], error: null };
+  } catch (err) {
+    console.error('[StaffAccessModel] Unexpected error in listAssignments:', err);
+    return { data: null, error: err };
+  }
+};
+
+/**
+ * Delete an assignment. Returns data = null when it does not exist.
+ */
+export const deleteAssignment = async (id) => {
+  try {
+    const { data, error } = await supabase
+      .from('staff_room_assignments')
+      .delete()
+      .eq('id', id)
+      .select('*')
+      .maybeSingle();
+    if (error) {
+      console.error('[StaffAccessModel] Error deleting assignment:', error);
+      return { data: null, error };
+    }
+    return { data, error: null };
+  } catch (err) {
+    console.error('[StaffAccessModel] Unexpected error in deleteAssignment:', err);
+    return { data: null, error: err };
+  }
+};
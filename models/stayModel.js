@@ -0,0 +1,289 @@
+// models/stayModel.js
+import supabase from '../config/supabase.js';
+
+// Stays that still hold rooms and cards.
+export const OPEN_STAY_STATUSES = ['reserved', 'active'];
+
+const STAY_DETAIL_SELECT = `
+  *,
+  stay_rooms ( room_id, added_at, released_at, rooms ( id, room_number, status ) ),
+  stay_guests ( guest_id, role, added_at ),
+  stay_cards ( id, rfid_id, guest_id, room_ids, issued_at, revoked_at, revoked_reason, rfid_tags ( rfid_uid, status ) )
+`;
+
+/**
+ * Fetch a stay with its rooms, guests and cards.
+ */
+export const getStayById = async (stayId) => {
+  try {
+    const { data, error } = await supabase
+      .from('stays')
+      .select(STAY_DETAIL_SELECT)
+      .eq('id', stayId)
+      .maybeSingle();
+    if (error) {
+      console.error('[StayModel] Error fetching stay:', error);
+      return { data: null, error };
+    }
+    return { data, error: null };
+  } catch (err) {
+    console.error('[StayModel] Unexpected error in getStayById:', err);
+    return { data: null, error: err };
+  }
+};
+
+/**
+ * List the stays a guest belongs to (as primary guest or companion), newest first.
+ */
+export const getStaysByGuest = async (guestId) => {
+  try {
+    const { data: links, error: linkError } = await supabase
+      .from('stay_guests')
+      .select('stay_id')
+      .eq('guest_id', guestId);
+    if (linkError) {
+      console.error('[StayModel] Error fetching guest stay links:', linkError);
+      return { data: null, error: linkError };
+    }
+    if (!links || links.length === 0) return { data: [], error: null };
+
+    const { data, error } = await supabase
+      .from('stays')
+      .select(STAY_DETAIL_SELECT)
+      .in('id', links.map((l) => l.stay_id))
+      .order('check_in', { ascending: false });
+    if (error) {
+      console.error('[StayModel] Error fetching guest stays:', error);
+      return { data: null, error };
+    }
+    return { data, error: null };
+  } catch (err) {
+    console.error('[StayModel] Unexpected error in getStaysByGuest:', err);
+    return { data: null, error: err };
+  }
+};
+
+/**
+ * Update top-level stay fields (status, check_in, check_out, notes).
+ */
+export const updateStay = async (stayId, updateFields) => {
+  try {
+    const { data, error } = await supabase
+      .from('stays')
+      .update({ ...updateFields, updated_at: new Date().toISOString() })
+      .eq('id', stayId)
+      .select('*')
+      .maybeSingle();
+    if (error) {
+      console.error('[StayModel] Error updating stay:', error);
+      return { data: null, error };
+    }
+    return { data, error: null };
+  } catch (err) {
+    console.error('[StayModel] Unexpected error in updateStay:', err);
+    return { data: null, error: err };
+  }
+};
+
+/**
+ * Find the open stay currently holding a room (null if none).
+ */
+export const findOpenStayForRoom = async (roomId) => {
+  try {
+    const { data, error } = await supabase
+      .from('stay_rooms')
+      .select('stay_id, room_id, stays!inner ( * )')
+      .eq('room_id', roomId)
+      .is('released_at', null)
+      .in('stays.status', OPEN_STAY_STATUSES)
+      .maybeSingle();
+    if (error) {
+      console.error('[StayModel] Error finding open stay for room:', error);
+      return { data: null, error };
+    }
+    return { data: data ? data.stays : null, error: null };
+  } catch (err) {
+    console.error('[StayModel] Unexpected error in findOpenStayForRoom:', err);
+    return { data: null, error: err };
+  }
+};
+
+/**
+ * Rooms still held by a stay (not yet released), with their room numbers.
+ */
+export const getOpenStayRooms = async (stayId) => {
+  try {
+    const { data, error } = await supabase
+      .from('stay_rooms')
+      .select('room_id, rooms ( * )')
+      .eq('stay_id', stayId)
+      .is('released_at', null);
+    if (error) {
+      console.error('[StayModel] Error fetching open stay rooms:', error);
+      return { data: null, error };
+    }
+    return { data: (data || []).map((r) => r.rooms).filter(Boolean), error: null };
+  } catch (err) {
+    console.error('[StayModel] Unexpected error in getOpenStayRooms:', err);
+    return { data: null, error: err };
+  }
+};
+
+/**
+ * Add a guest (companion by default) to a stay. Re-adding is a no-op.
+ */
+export const addGuestToStay = async (stayId, guestId, role = 'companion') => {
+  try {
+    const { data, error } = await supabase
+      .from('stay_guests')
+      .upsert([{ stay_id: stayId, guest_id: guestId, role }], {
+        onConflict: 'stay_id,guest_id',
+        ignoreDuplicates: true,
+      })
+      .select('*');
+    if (error) {
+      console.error('[StayModel] Error adding guest to stay:', error);
+      return { data: null, error };
+    }
+    return { data, error: null };
+  } catch (err) {
+    console.error('[StayModel] Unexpected error in addGuestToStay:', err);
+    return { data: null, error: err };
+  }
+};
+
+/**
+ * Fetch a guest's membership row on a stay (null if not on it).
+ */
+export const findStayGuest = async (stayId, guestId) => {
+  try {
+    const { data, error } = await supabase
+      .from('stay_guests')
+      .select('*')
+      .eq('stay_id', stayId)
+      .eq('guest_id', guestId)
+      .maybeSingle();
+    if (error) {
+      console.error('[StayModel] Error fetching stay guest:', error);
+      return { data: null, error };
+    }
+    return { data, error: null };
+  } catch (err) {
+    console.error('[StayModel] Unexpected error in findStayGuest:', err);
+    return { data: null, error: err };
+  }
+};
+
+/**
+ * Record a card issued on a stay. room_ids = null gives access to every room on the stay.
+ */
+export const issueStayCard = async ({ stay_id, rfid_id, guest_id, room_ids = null }) => {
+  try {
+    const { data, error } = await supabase
+      .from('stay_cards')
+      .insert([{ stay_id, rfid_id, guest_id, room_ids }])
+      .select('*')
+      .single();
+    if (error) {
+      console.error('[StayModel] Error issuing stay card:', error);
+      return { data: null, error };
+    }
+    return { data, error: null };
+  } catch (err) {
+    console.error('[StayModel] Unexpected error in issueStayCard:', err);
+    return { data: null, error: err };
+  }
+};
+
+/**
+ * Find the live (unrevoked) stay card for an RFID tag, with its open stay.
+ */
+export const findLiveCardByRFID = async (rfidId) => {
+  try {
+    const { data, error } = await supabase
+      .from('stay_cards')
+      .select('*, stays!inner ( * )')
+      .eq('rfid_id', rfidId)
+      .is('revoked_at', null)
+      .in('stays.status', OPEN_STAY_STATUSES)
+      .maybeSingle();
+    if (error) {
+      console.error('[StayModel] Error finding live card by RFID:', error);
+      return { data: null, error };
+    }
+    return { data, error: null };
+  } catch (err) {
+    console.error('[StayModel] Unexpected error in findLiveCardByRFID:', err);
+    return { data: null, error: err };
+  }
+};
+
+/**
+ * All live cards on open stays, with the card UID and the stay's open rooms.
+ * Used to build the gateway's card cache in one round trip.
+ */
+export const getAllLiveStayCards = async () => {
+  try {
+    const { data, error } = await supabase
+      .from('stay_cards')
+      .select(`
+        id, stay_id, rfid_id, guest_id, room_ids,
+        rfid_tags!inner ( rfid_uid, status, created_at ),
+        stays!inner ( status, check_in, check_out, stay_rooms ( room_id, released_at, rooms ( room_number ) ) )
+      `)
+      .is('revoked_at', null)
+      .in('stays.status', OPEN_STAY_STATUSES)
+      .in('rfid_tags.status', ['assigned', 'active']);
+    if (error) {
+      console.error('[StayModel] Error fetching live stay cards:', error);
+      return { data: null, error };
+    }
+    return { data, error: null };
+  } catch (err) {
+    console.error('[StayModel] Unexpected error in getAllLiveStayCards:', err);
+    return { data: null, error: err };
+  }
+};
+
+/**
+ * Fetch one stay card by ID.
+ */
+export const getStayCardById = async (cardId) => {
+  try {
+    const { data, error } = await supabase
+      .from('stay_cards')
+      .select('*, rfid_tags ( rfid_uid, status )')
+      .eq('id', cardId)
+      .maybeSingle();
+    if (error) {
+      console.error('[StayModel] Error fetching stay card:', error);
+      return { data: null, error };
+    }
+    return { data, error: null };
+  } catch (err) {
+    console.error('[StayModel] Unexpected error in getStayCardById:', err);
+    return { data: null, error: err };
+  }
+};
+
+/**
+ * Revoke live stay cards matching the given column (e.g. 'id', 'rfid_id', 'stay_id').
+ */
+export const revokeStayCards = async (column, value, reason) => {
+  try {
+    const { data, error } = await supabase
+      .from('stay_cards')
+      .update({ revoked_at: new Date().toISOString(), revoked_reason: reason })
+      .eq(column, value)
+      .is('revoked_at', null)
+      .select('*');
+    if (error) {
+      console.error('[StayModel] Error revoking stay cards:', error);
+      return { data: null, error };
+    }
+    return { data: data || [], error: null };
+  } catch (err) {
+    console.error('[StayModel] Unexpected error in revokeStayCards:', err);
+    return { data: null, error: err };
+  }
+};
@@ -1,7 +1,7 @@
 import supabase from '../config/supabase.js';
 
 export const getSystemSetting = async (settingName) => {
-    return await supabase.from('system_settings').select('setting_value').eq('setting_name', settingName).single();
+    return await supabase.from('system_settings').select('setting_value').eq('setting_name', settingName).maybeSingle();
 };
 
 export const updateSystemSetting = async (settingName, value) => {
@@ -10,3 +10,19 @@ export const updateSystemSetting = async (settingName, value) => {
         .update({ setting_value: value, updated_at: new Date() })
         .eq('setting_name', settingName);
 };
+
+export const upsertSystemSetting = async (settingName, value) => {
+    return await supabase
+        .from('system_settings')
+        .upsert({ setting_name: settingName, setting_value: value, updated_at: new Date() }, { onConflict: 'setting_name' })
+        .select('setting_name, setting_value, updated_at')
+        .single();
+};
+
+export const listSystemSettings = async () => {
+    return await supabase.from('system_settings').select('setting_name, setting_value, updated_at');
+};
+
+export const deleteSystemSetting = async (settingName) => {
+    return await supabase.from('system_settings').delete().eq('setting_name', settingName);
+};
@@ -1,5 +1,9 @@
 // models/userModel.js
 import supabase from '../config/supabase.js';
+import {
+  revokeRefreshTokenFamily,
+  revokeAllRefreshTokensForGuest,
+} from './refreshTokenModel.js';
 
 /**
  * Find guest by email (unique).
@@ -18,7 +22,9 @@ export const findUserByEmail = async (email) => {
         membership_start,
         membership_renewals,
         avatar_url,
-        byte_size
+        byte_size,
+        email_verified_at,
+        phone_verified_at
       `)
       .eq('email', email)
       .maybeSingle();
@@ -50,7 +56,9 @@ export const findUserByPhone = async (phone) => {
         membership_start,
         membership_renewals,
         avatar_url,
-        byte_size
+        byte_size,
+        email_verified_at,
+        phone_verified_at
       `)
       .eq('phone', phone);
     if (error) {
@@ -81,7 +89,10 @@ export const findUserById = async (id) => {
         membership_start,
         membership_renewals,
         avatar_url,
-        byte_size
+        byte_size,
+        email_verified_at,
+        phone_verified_at,
+        fcm_token
       `)
       .eq('id', id)
       .maybeSingle();
@@ -117,7 +128,9 @@ export const createUser = async (userData) => {
         membership_start,
         membership_renewals,
         avatar_url,
-        byte_size
+        byte_size,
+        email_verified_at,
+        phone_verified_at
       `)
       .single();
     if (error) {
@@ -150,7 +163,9 @@ export const updateUser = async (id, updateFields) => {
         membership_start,
         membership_renewals,
         avatar_url,
-        byte_size
+        byte_size,
+        email_verified_at,
+        phone_verified_at
       `)
       .maybeSingle();
     if (error) {
@@ -166,11 +181,15 @@ export const updateUser = async (id, updateFields) => {
 
 /**
  * Sign out a guest by ID.
+ * Revokes a single refresh token family (one device) when familyId is given,
+ * otherwise every refresh token the guest holds.
  */
-export const signOutUser = async (guestId) => {
+export const signOutUser = async (guestId, familyId = null) => {
   try {
-    // For now, no real logic – just returning success
-    return { error: null };
+    const { error } = familyId
+      ? await revokeRefreshTokenFamily(familyId, 'signed_out')
+      : await revokeAllRefreshTokensForGuest(guestId, 'signed_out');
+    return { error: error || null };
   } catch (err) {
     console.error('[UserModel] Error signing out user:', err);
     return { error: err };
@@ -194,7 +213,9 @@ export const searchUsersByQuery = async (query) => {
         membership_start,
         membership_renewals,
         avatar_url,
-        byte_size
+        byte_size,
+        email_verified_at,
+        phone_verified_at
       `)
       .or(`name.ilike.%${query}%,email.ilike.%${query}%,phone.ilike.%${query}%`);
 
@@ -0,0 +1,145 @@
+// models/verificationCodeModel.js
+import supabase from '../config/supabase.js';
+
+/**
+ * Insert a new verification code row (hash only).
+ */
+export const createVerificationCode = async (codeData) => {
+  try {
+    const { data, error } = await supabase
+      .from('verification_codes')
+      .insert([codeData])
+      .select('id, subject_type, subject_id, purpose, channel, destination, expires_at, created_at')
+      .single();
+    if (error) {
+      console.error('[VerificationCodeModel] Error creating code:', error);
+      return { data: null, error };
+    }
+    return { data, error: null };
+  } catch (err) {
+    console.error('[VerificationCodeModel] Unexpected error in createVerificationCode:', err);
+    return { data: null, error: err };
+  }
+};
+
+/**
+ * Fetch the newest unconsumed code for a subject and purpose.
+ */
+export const findLatestActiveCode = async (subjectType, subjectId, purpose) => {
+  try {
+    const { data, error } = await supabase
+      .from('verification_codes')
+      .select('*')
+      .eq('subject_type', subjectType)
+      .eq('subject_id', subjectId)
+      .eq('purpose', purpose)
+      .is('consumed_at', null)
+      .order('created_at', { ascending: false })
+      .limit(1)
+      .maybeSingle();
+    if (error) {
+      console.error('[VerificationCodeModel] Error finding active code:', error);
+      return { data: null, error };
+    }
+    return { data, error: null };
+  } catch (err) {
+    console.error('[VerificationCodeModel] Unexpected error in findLatestActiveCode:', err);
+    return { data: null, error: err };
+  }
+};
+
+/**
+ * Creation times of the codes issued since `since`, oldest first, either for a
+ * subject and purpose or for a requesting IP ({ subjectType, subjectId,
+ * purpose } or { requestedIp }).
+ */
+export const findCodesIssuedSince = async ({ subjectType, subjectId, purpose, requestedIp }, since) => {
+  try {
+    let query = supabase.from('verification_codes').select('created_at').gte('created_at', since);
+    if (requestedIp) {
+      query = query.eq('requested_ip', requestedIp);
+    } else {
+      query = query.eq('subject_type', subjectType).eq('subject_id', subjectId).eq('purpose', purpose);
+    }
+    const { data, error } = await query.order('created_at', { ascending: true });
+    if (error) {
+      console.error('[VerificationCodeModel] Error finding recent codes:', error);
+      return { data: [], error };
+    }
+    return { data: data || [], error: null };
+  } catch (err) {
+    console.error('[VerificationCodeModel] Unexpected error in findCodesIssuedSince:', err);
+    return { data: [], error: err };
+  }
+};
+
+/**
+ * Claim one attempt at a code (claim_code_attempt in
+ * config/migrations/027_verification_code_attempts.sql). data is the code with
+ * its new attempt count, or null when the code is used, expired or out of
+ * attempts.
+ */
+export const claimCodeAttempt = async (id, maxAttempts) => {
+  try {
+    const { data, error } = await supabase.rpc('claim_code_attempt', {
+      p_id: id,
+      p_max_attempts: maxAttempts,
+    });
+    if (error) {
+      console.error('[VerificationCodeModel] Error claiming code attempt:', error);
+      return { data: null, error };
+    }
+    return { data: data?.[0] ?? null, error: null };
+  } catch (err) {
+    console.error('[VerificationCodeModel] Unexpected error in claimCodeAttempt:', err);
+    return { data: null, error: err };
+  }
+};
+
+/**
+ * Consume a code. Only succeeds while the code is still unconsumed, so the
+ * same code can never be redeemed twice.
+ */
+export const consumeCode = async (id) => {
+  try {
+    const { data, error } = await supabase
+      .from('verification_codes')
+      .update({ consumed_at: new Date().toISOString() })
+      .eq('id', id)
+      .is('consumed_at', null)
+      .select('id')
+      .maybeSingle();
+    if (error) {
+      console.error('[VerificationCodeModel] Error consuming code:', error);
+      return { data: null, error };
+    }
+    return { data, error: null };
+  } catch (err) {
+    console.error('[VerificationCodeModel] Unexpected error in consumeCode:', err);
+    return { data: null, error: err };
+  }
+};
+
+/**
+ * Invalidate every outstanding code for a subject and purpose
+ * (called before issuing a replacement).
+ */
+export const invalidateCodes = async (subjectType, subjectId, purpose) => {
+  try {
+    const { error } = await supabase
+      .from('verification_codes')
+      .update({ consumed_at: new Date().toISOString() })
+      .eq('subject_type', subjectType)
+      .eq('subject_id', subjectId)
+      .eq('purpose', purpose)
+      .is('consumed_at', null);
+    if (error) {
+      console.error('[VerificationCodeModel] Error invalidating codes:', error);
+      return { error };
+    }
+    return { error: null };
+  } catch (err) {
+    console.error('[VerificationCodeModel] Unexpected error in invalidateCodes:', err);
+    return { error: err };
+  }
+};
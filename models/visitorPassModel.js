@@ -0,0 +1,146 @@
+// models/visitorPassModel.js
+// Visitor passes issued by guests (config/migrations/019_visitor_passes.sql).
+// Only the hash of a pass code is stored; see services/visitorPassService.js.
+import supabase from '../config/supabase.js';
+
+const VISITOR_PASS_SELECT = `
+  id, stay_id, guest_id, room_id, visitor_name, code_type, max_uses, use_count,
+  valid_from, valid_until, last_used_at, revoked_at, revoked_reason, created_at,
+  rooms ( room_number )
+`;
+
+/**
+ * Record a pass. A PIN already live on the room fails with the unique
+ * violation (23505) so the caller can draw another.
+ */
+export const createVisitorPass = async (fields) => {
+  try {
+    const { data, error } = await supabase
+      .from('visitor_passes')
+      .insert([fields])
+      .select(VISITOR_PASS_SELECT)
+      .single();
+    if (error) {
+      if (error.code !== '23505') console.error('[VisitorPassModel] Error creating visitor pass:', error);
+      return { data: null, error };
+    }
+    return { data, error: null };
+  } catch (err) {
+    console.error('[VisitorPassModel] Unexpected error in createVisitorPass:', err);
+    return { data: null, error: err };
+  }
+};
+
+/**
+ * Fetch one pass by ID, with its code hash for checking a presented code.
+ */
+export const getVisitorPassById = async (passId) => {
+  try {
+    const { data, error } = await supabase
+      .from('visitor_passes')
+      .select(`${VISITOR_PASS_SELECT}, code_hash`)
+      .eq('id', passId)
+      .maybeSingle();
+    if (error) {
+      console.error('[VisitorPassModel] Error fetching visitor pass:', error);
+      return { data: null, error };
+    }
+    return { data, error: null };
+  } catch (err) {
+    console.error('[VisitorPassModel] Unexpected error in getVisitorPassById:', err);
+    return { data: null, error: err };
+  }
+};
+
+/**
+ * The unrevoked PIN pass on a room whose code hashes to `codeHash`, or null.
+ */
+export const findLivePinPass = async (roomId, codeHash) => {
+  try {
+    const { data, error } = await supabase
+      .from('visitor_passes')
+      .select(`${VISITOR_PASS_SELECT}, code_hash`)
+      .eq('room_id', roomId)
+      .eq('code_type', 'pin')
+      .eq('code_hash', codeHash)
+      .is('revoked_at', null)
+      .maybeSingle();
+    if (error) {
+      console.error('[VisitorPassModel] Error finding PIN pass:', error);
+      return { data: null, error };
+    }
+    return { data, error: null };
+  } catch (err) {
+    console.error('[VisitorPassModel] Unexpected error in findLivePinPass:', err);
+    return { data: null, error: err };
+  }
+};
+
+/**
+ * List passes, newest first. `liveOnly` leaves out revoked and ended passes.
+ */
+export const listVisitorPasses = async ({ stay_id, guest_id, liveOnly = false } = {}) => {
+  try {
+    let query = supabase.from('visitor_passes').select(VISITOR_PASS_SELECT).order('created_at', { ascending: false });
+    if (stay_id) query = query.eq('stay_id', stay_id);
+    if (guest_id) query = query.eq('guest_id', guest_id);
+    if (liveOnly) query = query.is('revoked_at', null).gt('valid_until', new Date().toISOString());
+    const { data, error } = await query;
+    if (error) {
+      console.error('[VisitorPassModel] Error listing visitor passes:', error);
+      return { data: null, error };
+    }
+    return { data: data || [], error: null };
+  } catch (err) {
+    console.error('[VisitorPassModel] Unexpected error in listVisitorPasses:', err);
+    return { data: null, error: err };
+  }
+};
+
+/**
+ * Count one use, only if nobody else counted one since `seenCount` was read.
+ * Returns data = null when the pass changed under us (or was revoked).
+ */
+export const recordVisitorPassUse = async (passId, seenCount) => {
+  try {
+    const { data, error } = await supabase
+      .from('visitor_passes')
+      .update({ use_count: seenCount + 1, last_used_at: new Date().toISOString() })
+      .eq('id', passId)
+      .eq('use_count', seenCount)
+      .is('revoked_at', null)
+      .select(VISITOR_PASS_SELECT)
+      .maybeSingle();
+    if (error) {
+      console.error('[VisitorPassModel] Error recording visitor pass use:', error);
+      return { data: null, error };
+    }
+    return { data, error: null };
+  } catch (err) {
+    console.error('[VisitorPassModel] Unexpected error in recordVisitorPassUse:', err);
+    return { data: null, error: err };
+  }
+};
+
+/**
+ * Revoke one pass. Returns data = null when it was already revoked.
+ */
+export const revokeVisitorPass = async (passId, reason) => {
+  try {
+    const { data, error } = await supabase
+      .from('visitor_passes')
+      .update({ revoked_at: new Date().toISOString(), revoked_reason: reason })
+      .eq('id', passId)
+      .is('revoked_at', null)
+      .select(VISITOR_PASS_SELECT)
+      .maybeSingle();
+    if (error) {
+      console.error('[VisitorPassModel] Error revoking visitor pass:', error);
+      return { data: null, error };
+    }
+    return { data, error: null };
+  } catch (err) {
+    console.error('[VisitorPassModel] Unexpected error in revokeVisitorPass:', err);
+    return { data: null, error: err };
+  }
+};
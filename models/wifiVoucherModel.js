@@ -0,0 +1,93 @@
+// models/wifiVoucherModel.js
+// Guest Wi-Fi vouchers (config/migrations/021_wifi_portal.sql). Only the
+// hash of a voucher code is stored; see services/wifiPortalService.js.
+import supabase from '../config/supabase.js';
+
+const WIFI_VOUCHER_SELECT = 'id, stay_id, created_by, created_at, revoked_at';
+
+/**
+ * Record a voucher. A colliding code fails with the unique violation (23505)
+ * so the caller can draw another.
+ */
+export const createWifiVoucher = async ({ stay_id, code_hash, created_by = null }) => {
+  try {
+    const { data, error } = await supabase
+      .from('wifi_vouchers')
+      .insert([{ stay_id, code_hash, created_by }])
+      .select(WIFI_VOUCHER_SELECT)
+      .single();
+    if (error) {
+      if (error.code !== '23505') console.error('[WifiVoucherModel] Error creating voucher:', error);
+      return { data: null, error };
+    }
+    return { data, error: null };
+  } catch (err) {
+    console.error('[WifiVoucherModel] Unexpected error in createWifiVoucher:', err);
+    return { data: null, error: err };
+  }
+};
+
+/**
+ * The voucher whose code hashes to `codeHash` (revoked or not), or null.
+ */
+export const findWifiVoucherByHash = async (codeHash) => {
+  try {
+    const { data, error } = await supabase
+      .from('wifi_vouchers')
+      .select(WIFI_VOUCHER_SELECT)
+      .eq('code_hash', codeHash)
+      .maybeSingle();
+    if (error) {
+      console.error('[WifiVoucherModel] Error finding voucher:', error);
+      return { data: null, error };
+    }
+    return { data, error: null };
+  } catch (err) {
+    console.error('[WifiVoucherModel] Unexpected error in findWifiVoucherByHash:', err);
+    return { data: null, error: err };
+  }
+};
+
+/**
+ * List a stay's vouchers, newest first.
+ */
+export const listWifiVouchers = async (stayId) => {
+  try {
+    const { data, error } = await supabase
+      .from('wifi_vouchers')
+      .select(WIFI_VOUCHER_SELECT)
+      .eq('stay_id', stayId)
+      .order('created_at', { ascending: false });
+    if (error) {
+      console.error('[WifiVoucherModel] Error listing vouchers:', error);
+      return { data: null, error };
+    }
+    return { data: data || [], error: null };
+  } catch (err) {
+    console.error('[WifiVoucherModel] Unexpected error in listWifiVouchers:', err);
+    return { data: null, error: err };
+  }
+};
+
+/**
+ * Revoke a live voucher. Returns data = null when it was not live.
+ */
+export const revokeWifiVoucher = async (voucherId) => {
+  try {
+    const { data, error } = await supabase
+      .from('wifi_vouchers')
+      .update({ revoked_at: new Date().toISOString() })
+      .eq('id', voucherId)
+      .is('revoked_at', null)
+      .select(WIFI_VOUCHER_SELECT)
+      .maybeSingle();
+    if (error) {
+      console.error('[WifiVoucherModel] Error revoking voucher:', error);
+      return { data: null, error };
+    }
+    return { data, error: null };
+  } catch (err) {
+    console.error('[WifiVoucherModel] Unexpected error in revokeWifiVoucher:', err);
+    return { data: null, error: err };
+  }
+};
@@ -4,18 +4,32 @@ import express from "express";
 import {
   logAccessGranted,
   logAccessDenied,
+  logAccessBatch,
   getAccessLogsByGuest,
 } from "../controllers/accessLogsController.js";
+import { authenticate, authorize } from "../middlewares/authMiddleware.js";
+import { validate } from "../middlewares/validateRequest.js";
+import {
+  logAccessGrantedSchema,
+  logAccessDeniedSchema,
+  logAccessBatchSchema,
+  getAccessLogsSchema,
+} from "../validators/accessLogValidators.js";
 
 const router = express.Router();
 
+router.use(authenticate);
+
 // Endpoint to log an access granted event.
-router.post("/granted", logAccessGranted);
+router.post("/granted", authorize("access_logs:write"), validate(logAccessGrantedSchema), logAccessGranted);
 
 // Endpoint to log an access denied event.
-router.post("/denied", logAccessDenied);
+router.post("/denied", authorize("access_logs:write"), validate(logAccessDeniedSchema), logAccessDenied);
+
+// Endpoint to upload events a door controller buffered while offline.
+router.post("/batch", authorize("access_logs:write"), validate(logAccessBatchSchema), logAccessBatch);
 
 // Endpoint to fetch access logs for a given guest ID.
-router.get("/:guest_id", getAccessLogsByGuest);
+router.get("/:guest_id", authorize("access_logs:read", { ownerParam: "guest_id" }), validate(getAccessLogsSchema), getAccessLogsByGuest);
 
 export default router;
@@ -0,0 +1,52 @@
+// routes/accessZoneRoutes.js
+import express from 'express';
+import {
+  listZonesController,
+  getZoneController,
+  createZoneController,
+  updateZoneController,
+  deleteZoneController,
+  createPolicyController,
+  updatePolicyController,
+  deletePolicyController,
+} from '../controllers/accessZoneController.js';
+import { authenticate, authorize } from '../middlewares/authMiddleware.js';
+import { validate } from '../middlewares/validateRequest.js';
+import {
+  zoneIdParamSchema,
+  policyParamSchema,
+  createZoneSchema,
+  updateZoneSchema,
+  createPolicySchema,
+  updatePolicySchema,
+} from '../validators/accessZoneValidators.js';
+
+const router = express.Router();
+
+router.use(authenticate);
+
+// GET /api/access-zones => zones with their policies
+router.get('/', authorize('zones:read'), listZonesController);
+
+// GET /api/access-zones/:id
+router.get('/:id', authorize('zones:read'), validate(zoneIdParamSchema), getZoneController);
+
+// POST /api/access-zones
+router.post('/', authorize('zones:manage'), validate(createZoneSchema), createZoneController);
+
+// PUT /api/access-zones/:id
+router.put('/:id', authorize('zones:manage'), validate(updateZoneSchema), updateZoneController);
+
+// DELETE /api/access-zones/:id
+router.delete('/:id', authorize('zones:manage'), validate(zoneIdParamSchema), deleteZoneController);
+
+// POST /api/access-zones/:id/policies => grant by membership level / add-on and time window
+router.post('/:id/policies', authorize('zones:manage'), validate(createPolicySchema), createPolicyController);
+
+// PUT /api/access-zones/:id/policies/:policyId
+router.put('/:id/policies/:policyId', authorize('zones:manage'), validate(updatePolicySchema), updatePolicyController);
+
+// DELETE /api/access-zones/:id/policies/:policyId
+router.delete('/:id/policies/:policyId', authorize('zones:manage'), validate(policyParamSchema), deletePolicyController);
+
+export default router;
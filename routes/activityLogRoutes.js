@@ -4,13 +4,21 @@ import {
   logServiceRequestActivity,
   getServiceRequestLogsForRequest,
 } from '../controllers/activityLogController.js';
+import { authenticate, authorize } from '../middlewares/authMiddleware.js';
+import { validate } from '../middlewares/validateRequest.js';
+import {
+  createActivityLogSchema,
+  requestIdParamSchema,
+} from '../validators/requestLogValidators.js';
 
 const router = express.Router();
 
+router.use(authenticate);
+
 // Create a new service request log (timestamps in UTC)
-router.post('/', logServiceRequestActivity);
+router.post('/', authorize('request_logs:write'), validate(createActivityLogSchema), logServiceRequestActivity);
 
 // Fetch logs for a specific service request
-router.get('/:request_id', getServiceRequestLogsForRequest);
+router.get('/:request_id', authorize('request_logs:read'), validate(requestIdParamSchema), getServiceRequestLogsForRequest);
 
 export default router;
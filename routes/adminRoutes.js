@@ -3,38 +3,80 @@ import express from 'express';
 import {
   createAdmin,
   loginAdmin,
+  forgotAdminPassword,
+  resetAdminPassword,
   changeAdminPassword,
   updateAdminProfile,
+  verifyAdminEmail,
   uploadAdminAvatar,
   signOutAdmin,
   getAllAdminsController,
   updateAdminFcmToken,
+  unlockLoginAccount,
+  getLockedAccounts,
+  getLoginAuditController,
 } from '../controllers/adminController.js';
+import { authenticate, authorize } from '../middlewares/authMiddleware.js';
+import { validate } from '../middlewares/validateRequest.js';
+import {
+  loginAdminSchema,
+  forgotAdminPasswordSchema,
+  resetAdminPasswordSchema,
+  createAdminSchema,
+  changeAdminPasswordSchema,
+  updateAdminProfileSchema,
+  verifyAdminEmailSchema,
+  uploadAdminAvatarSchema,
+  updateAdminFcmTokenSchema,
+  unlockLoginAccountSchema,
+  loginAuditQuerySchema,
+} from '../validators/adminValidators.js';
 
 const router = express.Router();
 
-// POST /api/admins/create
-router.post('/create', createAdmin);
+// POST /api/admins/login (public)
+router.post('/login', validate(loginAdminSchema), loginAdmin);
+
+// POST /api/admins/forgot-password (public)
+router.post('/forgot-password', validate(forgotAdminPasswordSchema), forgotAdminPassword);
+
+// POST /api/admins/reset-password (public)
+router.post('/reset-password', validate(resetAdminPasswordSchema), resetAdminPassword);
+
+// Everything below requires a valid token
+router.use(authenticate);
 
-// POST /api/admins/login
-router.post('/login', loginAdmin);
+// POST /api/admins/create
+router.post('/create', authorize('admins:manage'), validate(createAdminSchema), createAdmin);
 
 // POST /api/admins/change_password
-router.post('/change_password', changeAdminPassword);
+router.post('/change_password', authorize('admins:manage', { ownerParam: 'adminId', ownerType: 'staff' }), validate(changeAdminPasswordSchema), changeAdminPassword);
 
 // POST /api/admins/edit_profile
-router.post('/edit_profile', updateAdminProfile);
+router.post('/edit_profile', authorize('admins:manage', { ownerParam: 'adminId', ownerType: 'staff' }), validate(updateAdminProfileSchema), updateAdminProfile);
+
+// POST /api/admins/verify-email => confirm a pending email change with its code
+router.post('/verify-email', authorize('admins:manage', { ownerParam: 'adminId', ownerType: 'staff' }), validate(verifyAdminEmailSchema), verifyAdminEmail);
 
 // POST /api/admins/upload_avatar
-router.post('/upload_avatar', uploadAdminAvatar);
+router.post('/upload_avatar', authorize('admins:manage', { ownerParam: 'adminId', ownerType: 'staff' }), validate(uploadAdminAvatarSchema), uploadAdminAvatar);
 
 // POST /api/admins/sign_out
 router.post('/sign_out', signOutAdmin);
 
 // POST /api/admins/update-fcm-token
-router.post('/update-fcm-token', updateAdminFcmToken);
+router.post('/update-fcm-token', authorize('admins:manage', { ownerParam: 'adminId', ownerType: 'staff' }), validate(updateAdminFcmTokenSchema), updateAdminFcmToken);
 
 // GET /api/admins
-router.get('/', getAllAdminsController);
+router.get('/', authorize('admins:read'), getAllAdminsController);
+
+// GET /api/admins/locked-accounts
+router.get('/locked-accounts', authorize('security:read'), getLockedAccounts);
+
+// GET /api/admins/login-audit
+router.get('/login-audit', authorize('security:read'), validate(loginAuditQuerySchema), getLoginAuditController);
+
+// POST /api/admins/unlock-account
+router.post('/unlock-account', authorize('security:manage'), validate(unlockLoginAccountSchema), unlockLoginAccount);
 
 export default router;
@@ -0,0 +1,38 @@
+// routes/anomalyRoutes.js
+import express from 'express';
+import {
+  getAnomalyPolicyController,
+  updateAnomalyPolicyController,
+  listAnomaliesController,
+  getAnomalyController,
+  resolveAnomalyController,
+} from '../controllers/anomalyController.js';
+import { authenticate, authorize } from '../middlewares/authMiddleware.js';
+import { validate } from '../middlewares/validateRequest.js';
+import {
+  updateAnomalyPolicySchema,
+  listAnomaliesQuerySchema,
+  anomalyIdParamSchema,
+  resolveAnomalySchema,
+} from '../validators/anomalyValidators.js';
+
+const router = express.Router();
+
+router.use(authenticate);
+
+// GET /api/access-anomalies/policy => rules, cooldown, alert channels
+router.get('/policy', authorize('settings:read'), getAnomalyPolicyController);
+
+// PUT /api/access-anomalies/policy => partial update
+router.put('/policy', authorize('settings:manage'), validate(updateAnomalyPolicySchema), updateAnomalyPolicyController);
+
+// GET /api/access-anomalies => newest first, ?status=open for the ones to handle
+router.get('/', authorize('anomalies:read'), validate(listAnomaliesQuerySchema), listAnomaliesController);
+
+// GET /api/access-anomalies/:id
+router.get('/:id', authorize('anomalies:read'), validate(anomalyIdParamSchema), getAnomalyController);
+
+// POST /api/access-anomalies/:id/resolve => close it, optionally reinstating a suspended card
+router.post('/:id/resolve', authorize('anomalies:manage'), validate(resolveAnomalySchema), resolveAnomalyController);
+
+export default router;
@@ -1,9 +1,11 @@
 // routes/authRoutes.js
 import express from 'express';
 import { loginAdmin } from '../controllers/authController.js';
+import { validate } from '../middlewares/validateRequest.js';
+import { loginAdminSchema } from '../validators/adminValidators.js';
 
 const router = express.Router();
 
-router.post('/login', loginAdmin);
+router.post('/login', validate(loginAdminSchema), loginAdmin);
 
 export default router;
@@ -0,0 +1,47 @@
+// routes/deviceRoutes.js
+import express from 'express';
+import {
+  listDevicesController,
+  getDeviceController,
+  createDeviceController,
+  updateDeviceController,
+  rotateDeviceKeyController,
+  deleteDeviceController,
+  deviceHeartbeatController,
+} from '../controllers/deviceController.js';
+import { authenticate, authorize } from '../middlewares/authMiddleware.js';
+import { validate } from '../middlewares/validateRequest.js';
+import {
+  deviceIdParamSchema,
+  listDevicesQuerySchema,
+  createDeviceSchema,
+  updateDeviceSchema,
+  heartbeatSchema,
+} from '../validators/deviceValidators.js';
+
+const router = express.Router();
+
+router.use(authenticate);
+
+// POST /api/devices/heartbeat => a reader or gateway reports in (device key)
+router.post('/heartbeat', authorize('devices:heartbeat'), validate(heartbeatSchema), deviceHeartbeatController);
+
+// GET /api/devices?kind=&status=&room_number=
+router.get('/', authorize('devices:read'), validate(listDevicesQuerySchema), listDevicesController);
+
+// GET /api/devices/:id
+router.get('/:id', authorize('devices:read'), validate(deviceIdParamSchema), getDeviceController);
+
+// POST /api/devices => register a device; the response holds its API key
+router.post('/', authorize('devices:manage'), validate(createDeviceSchema), createDeviceController);
+
+// PUT /api/devices/:id
+router.put('/:id', authorize('devices:manage'), validate(updateDeviceSchema), updateDeviceController);
+
+// POST /api/devices/:id/rotate-key => new API key, old one revoked
+router.post('/:id/rotate-key', authorize('devices:manage'), validate(deviceIdParamSchema), rotateDeviceKeyController);
+
+// DELETE /api/devices/:id
+router.delete('/:id', authorize('devices:manage'), validate(deviceIdParamSchema), deleteDeviceController);
+
+export default router;
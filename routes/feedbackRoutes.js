@@ -5,16 +5,25 @@ import {
   getGuestFeedback,
   replyToFeedbackComplaint
 } from '../controllers/feedbackController.js';
+import { authenticate, authorize, bindGuestIdentity } from '../middlewares/authMiddleware.js';
+import { validate } from '../middlewares/validateRequest.js';
+import {
+  submitFeedbackSchema,
+  getGuestFeedbackSchema,
+  replyToFeedbackSchema,
+} from '../validators/feedbackValidators.js';
 
 const router = express.Router();
 
+router.use(authenticate);
+
 // Create a new feedback/complaint
-router.post('/submit', submitGuestFeedback);
+router.post('/submit', bindGuestIdentity('guest_id'), authorize('feedback:create', { ownerParam: 'guest_id' }), validate(submitFeedbackSchema), submitGuestFeedback);
 
 // Fetch feedback for a specific guest by guest_id
-router.get('/guest/:guest_id', getGuestFeedback);
+router.get('/guest/:guest_id', authorize('feedback:read', { ownerParam: 'guest_id' }), validate(getGuestFeedbackSchema), getGuestFeedback);
 
 // Admin replies to a feedback/complaint
-router.put('/:id/reply', replyToFeedbackComplaint);
+router.put('/:id/reply', authorize('feedback:reply'), validate(replyToFeedbackSchema), replyToFeedbackComplaint);
 
 export default router;
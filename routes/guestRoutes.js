@@ -3,46 +3,92 @@ import express from 'express';
 import {
   registerGuest,
   loginGuest,
+  refreshGuestSession,
+  verifyGuestContact,
+  resendGuestVerification,
+  forgotGuestPassword,
+  resetGuestPassword,
   fetchGuestProfileById,
   changeGuestPassword,
   updateGuestProfile,
+  updateGuestMembership,
   signOutGuest,
   uploadGuestAvatar,
   searchGuests,
   getAllGuests,
   updateGuestFcmToken,
 } from '../controllers/guestController.js';
+import { authenticate, authorize, bindGuestIdentity } from '../middlewares/authMiddleware.js';
+import { validate } from '../middlewares/validateRequest.js';
+import {
+  registerGuestSchema,
+  loginGuestSchema,
+  refreshGuestSessionSchema,
+  verifyGuestContactSchema,
+  resendGuestVerificationSchema,
+  forgotGuestPasswordSchema,
+  resetGuestPasswordSchema,
+  searchGuestsSchema,
+  guestIdParamSchema,
+  changeGuestPasswordSchema,
+  updateGuestProfileSchema,
+  updateGuestMembershipSchema,
+  uploadGuestAvatarSchema,
+  signOutGuestSchema,
+  updateGuestFcmTokenSchema,
+} from '../validators/guestValidators.js';
 
 const router = express.Router();
 
-// GET /api/guests/  => getAllGuests
-router.get('/', getAllGuests);
+// POST /api/guests/register (public)
+router.post('/register', validate(registerGuestSchema), registerGuest);
 
-// GET /api/guests/search?query=...
-router.get('/search', searchGuests);
+// POST /api/guests/login (public)
+router.post('/login', validate(loginGuestSchema), loginGuest);
+
+// POST /api/guests/refresh (public; authenticated by the refresh token itself)
+router.post('/refresh', validate(refreshGuestSessionSchema), refreshGuestSession);
+
+// POST /api/guests/verify (public) => confirm email/phone with a code
+router.post('/verify', validate(verifyGuestContactSchema), verifyGuestContact);
+
+// POST /api/guests/resend-verification (public)
+router.post('/resend-verification', validate(resendGuestVerificationSchema), resendGuestVerification);
 
-// POST /api/guests/register
-router.post('/register', registerGuest);
+// POST /api/guests/forgot-password (public)
+router.post('/forgot-password', validate(forgotGuestPasswordSchema), forgotGuestPassword);
 
-// POST /api/guests/login
-router.post('/login', loginGuest);
+// POST /api/guests/reset-password (public)
+router.post('/reset-password', validate(resetGuestPasswordSchema), resetGuestPassword);
+
+// Everything below requires a valid token
+router.use(authenticate);
+
+// GET /api/guests/  => getAllGuests
+router.get('/', authorize('guests:read'), getAllGuests);
+
+// GET /api/guests/search?query=...
+router.get('/search', authorize('guests:read'), validate(searchGuestsSchema), searchGuests);
 
 // GET /api/guests/:guestId
-router.get('/:guestId', fetchGuestProfileById);
+router.get('/:guestId', authorize('guests:read', { ownerParam: 'guestId' }), validate(guestIdParamSchema), fetchGuestProfileById);
 
 // POST /api/guests/change_password
-router.post('/change_password', changeGuestPassword);
+router.post('/change_password', bindGuestIdentity('guestId'), authorize('guests:write', { ownerParam: 'guestId' }), validate(changeGuestPasswordSchema), changeGuestPassword);
 
 // POST /api/guests/edit_profile
-router.post('/edit_profile', updateGuestProfile);
+router.post('/edit_profile', bindGuestIdentity('guestId'), authorize('guests:write', { ownerParam: 'guestId' }), validate(updateGuestProfileSchema), updateGuestProfile);
+
+// PUT /api/guests/:guestId/membership (staff only)
+router.put('/:guestId/membership', authorize('guests:write'), validate(updateGuestMembershipSchema), updateGuestMembership);
 
 // POST /api/guests/upload_avatar
-router.post('/upload_avatar', uploadGuestAvatar);
+router.post('/upload_avatar', bindGuestIdentity('guestId'), authorize('guests:write', { ownerParam: 'guestId' }), validate(uploadGuestAvatarSchema), uploadGuestAvatar);
 
 // POST /api/guests/sign_out
-router.post('/sign_out', signOutGuest);
+router.post('/sign_out', bindGuestIdentity('guestId'), authorize('guests:write', { ownerParam: 'guestId' }), validate(signOutGuestSchema), signOutGuest);
 
 // NEW: POST /api/guests/update-fcm-token
-router.post('/update-fcm-token', updateGuestFcmToken);
+router.post('/update-fcm-token', bindGuestIdentity('guestId'), authorize('guests:write', { ownerParam: 'guestId' }), validate(updateGuestFcmTokenSchema), updateGuestFcmToken);
 
 export default router;
@@ -1,9 +1,14 @@
 // routes/hotelRoutes.js
 import express from 'express';
 import { registerFlow } from '../controllers/hotelController.js';
+import { authenticate, authorize } from '../middlewares/authMiddleware.js';
+import { validate } from '../middlewares/validateRequest.js';
+import { registerFlowSchema } from '../validators/hotelValidators.js';
 
 const router = express.Router();
 
-router.post('/register-flow', registerFlow);
+router.use(authenticate);
+
+router.post('/register-flow', authorize('hotel:register'), validate(registerFlowSchema), registerFlow);
 
 export default router;
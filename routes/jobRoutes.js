@@ -0,0 +1,29 @@
+// routes/jobRoutes.js
+import express from 'express';
+import {
+  listJobsController,
+  getJobController,
+  retryJobController,
+  cancelJobController,
+} from '../controllers/jobController.js';
+import { authenticate, authorize } from '../middlewares/authMiddleware.js';
+import { validate } from '../middlewares/validateRequest.js';
+import { jobIdParamSchema, listJobsQuerySchema } from '../validators/jobValidators.js';
+
+const router = express.Router();
+
+router.use(authenticate);
+
+// GET /api/jobs?status=&type=&subject= => scheduled jobs, latest run_at first
+router.get('/', authorize('jobs:read'), validate(listJobsQuerySchema), listJobsController);
+
+// GET /api/jobs/:id
+router.get('/:id', authorize('jobs:read'), validate(jobIdParamSchema), getJobController);
+
+// POST /api/jobs/:id/retry => run a failed or canceled job again now
+router.post('/:id/retry', authorize('jobs:manage'), validate(jobIdParamSchema), retryJobController);
+
+// POST /api/jobs/:id/cancel => drop a pending job
+router.post('/:id/cancel', authorize('jobs:manage'), validate(jobIdParamSchema), cancelJobController);
+
+export default router;
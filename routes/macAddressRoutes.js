@@ -9,28 +9,37 @@ import {
   updateMacAddressStatus,
   verifyMacAddress,
 } from '../controllers/macAddressController.js';
+import { authenticate, authorize } from '../middlewares/authMiddleware.js';
+import { validate } from '../middlewares/validateRequest.js';
+import {
+  createMacAddressSchema,
+  macBodySchema,
+  updateMacAddressStatusSchema,
+} from '../validators/macAddressValidators.js';
 
 const router = express.Router();
 
+router.use(authenticate);
+
 // POST: create a new MAC address record
-router.post('/', createMacAddress);
+router.post('/', authorize('network:manage'), validate(createMacAddressSchema), createMacAddress);
 
 // GET: all MAC addresses
-router.get('/all', getAllMacAddresses);
+router.get('/all', authorize('network:read'), getAllMacAddresses);
 
 // GET: all "unauthenticated" MAC addresses
-router.get('/unauthenticated', getUnauthenticatedMacAddresses);
+router.get('/unauthenticated', authorize('network:read'), getUnauthenticatedMacAddresses);
 
 // POST: authenticate a MAC address
-router.post('/authenticate', authenticateMacAddress);
+router.post('/authenticate', authorize('network:manage'), validate(macBodySchema), authenticateMacAddress);
 
 // POST: deauthenticate a MAC address
-router.post('/deauthenticate', deauthenticateMacAddress);
+router.post('/deauthenticate', authorize('network:manage'), validate(macBodySchema), deauthenticateMacAddress);
 
 // PUT: update status for a MAC address (upsert)
-router.put('/update-status', updateMacAddressStatus);
+router.put('/update-status', authorize('network:manage'), validate(updateMacAddressStatusSchema), updateMacAddressStatus);
 
 // POST: verify if a MAC address is valid/authenticated
-router.post('/verify', verifyMacAddress);
+router.post('/verify', authorize('network:read'), validate(macBodySchema), verifyMacAddress);
 
 export default router;
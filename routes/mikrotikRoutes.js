@@ -5,16 +5,19 @@ import {
   storeGuestDhcpLeases,
   syncMikrotikStatus,
 } from '../controllers/mikrotikController.js';
+import { authenticate, authorize } from '../middlewares/authMiddleware.js';
 
 const router = express.Router();
 
+router.use(authenticate);
+
 // GET: Retrieve guest_dhcp leases from MikroTik
-router.get('/leases', getGuestDhcpLeases);
+router.get('/leases', authorize('network:read'), getGuestDhcpLeases);
 
 // POST: Poll and store DHCP leases from guest_dhcp into Supabase
-router.post('/store-leases', storeGuestDhcpLeases);
+router.post('/store-leases', authorize('network:manage'), storeGuestDhcpLeases);
 
 // POST: Synchronize authenticated MAC addresses into MikroTik
-router.post('/activate-internet', syncMikrotikStatus);
+router.post('/activate-internet', authorize('network:manage'), syncMikrotikStatus);
 
 export default router;
@@ -0,0 +1,54 @@
+// routes/mobileKeyRoutes.js
+import express from 'express';
+import {
+  issueMobileKeyController,
+  getGuestMobileKeysController,
+  getStayMobileKeysController,
+  revokeMobileKeyController,
+  verifyMobileKeyController,
+  getMobileKeyPublicKeyController,
+} from '../controllers/mobileKeyController.js';
+import { authenticate, authorize, bindGuestIdentity } from '../middlewares/authMiddleware.js';
+import { validate } from '../middlewares/validateRequest.js';
+import {
+  issueMobileKeySchema,
+  guestMobileKeysSchema,
+  stayMobileKeysSchema,
+  mobileKeyIdParamSchema,
+  verifyMobileKeySchema,
+} from '../validators/mobileKeyValidators.js';
+
+const router = express.Router();
+
+router.use(authenticate);
+
+// POST /api/mobile-keys => issue a key for a phone (guests: for themselves)
+router.post(
+  '/',
+  bindGuestIdentity('guest_id'),
+  authorize('mobile_keys:manage', { ownerParam: 'guest_id' }),
+  validate(issueMobileKeySchema),
+  issueMobileKeyController
+);
+
+// POST /api/mobile-keys/verify => door gateway checks a token from BLE or a QR code
+router.post('/verify', authorize('rfid:verify'), validate(verifyMobileKeySchema), verifyMobileKeyController);
+
+// GET /api/mobile-keys/public-key => key for checking token signatures on the gateway
+router.get('/public-key', authorize('rfid:sync'), getMobileKeyPublicKeyController);
+
+// GET /api/mobile-keys/guest/:guest_id => a guest's keys (guests: own only)
+router.get(
+  '/guest/:guest_id',
+  authorize('mobile_keys:read', { ownerParam: 'guest_id' }),
+  validate(guestMobileKeysSchema),
+  getGuestMobileKeysController
+);
+
+// GET /api/mobile-keys/stay/:stay_id => keys issued on a stay
+router.get('/stay/:stay_id', authorize('mobile_keys:read'), validate(stayMobileKeysSchema), getStayMobileKeysController);
+
+// DELETE /api/mobile-keys/:id => revoke a key
+router.delete('/:id', authorize('mobile_keys:manage'), validate(mobileKeyIdParamSchema), revokeMobileKeyController);
+
+export default router;
@@ -14,42 +14,54 @@ import {
   // IMPORT the new controller method:
   createGuestAndAdminNotification
 } from '../controllers/notificationController.js';
+import { authenticate, authorize } from '../middlewares/authMiddleware.js';
+import { validate } from '../middlewares/validateRequest.js';
+import {
+  createGuestNotificationSchema,
+  createAdminNotificationSchema,
+  createBothNotificationSchema,
+  notificationIdParamSchema,
+  guestIdParamSchema,
+  adminIdParamSchema,
+} from '../validators/notificationValidators.js';
 
 const router = express.Router();
 
+router.use(authenticate);
+
 // POST /api/notifications  (for Guest)
-router.post('/', createNewNotification);
+router.post('/', authorize('notifications:create'), validate(createGuestNotificationSchema), createNewNotification);
 
 // POST /api/notifications/admin  (for Admin)
-router.post('/admin', createAdminNotification);
+router.post('/admin', authorize('notifications:create'), validate(createAdminNotificationSchema), createAdminNotification);
 
 // *** NEW ***
 // POST /api/notifications/both -> creates two notifications:
 // one for a guest, one for an admin.
-router.post('/both', createGuestAndAdminNotification);
+router.post('/both', authorize('notifications:create'), validate(createBothNotificationSchema), createGuestAndAdminNotification);
 
 // GET /api/notifications/guest/:guest_id
-router.get('/guest/:guest_id', getGuestNotifications);
+router.get('/guest/:guest_id', authorize('notifications:read', { ownerParam: 'guest_id' }), validate(guestIdParamSchema), getGuestNotifications);
 
 // GET /api/notifications/admin/:admin_id
-router.get('/admin/:admin_id', getAdminNotifications);
+router.get('/admin/:admin_id', authorize('notifications:read', { ownerParam: 'admin_id', ownerType: 'staff' }), validate(adminIdParamSchema), getAdminNotifications);
 
 // PUT /api/notifications/:id/mark-read
-router.put('/:id/mark-read', markNotifRead);
+router.put('/:id/mark-read', authorize('notifications:update'), validate(notificationIdParamSchema), markNotifRead);
 
 // PUT /api/notifications/admin/:admin_id/mark-all-read
-router.put('/admin/:admin_id/mark-all-read', markAllAdminNotifsRead);
+router.put('/admin/:admin_id/mark-all-read', authorize('notifications:read', { ownerParam: 'admin_id', ownerType: 'staff' }), validate(adminIdParamSchema), markAllAdminNotifsRead);
 
 // PUT /api/notifications/guest/:guest_id/mark-all-read
-router.put('/guest/:guest_id/mark-all-read', markAllGuestNotifsRead);
+router.put('/guest/:guest_id/mark-all-read', authorize('notifications:read', { ownerParam: 'guest_id' }), validate(guestIdParamSchema), markAllGuestNotifsRead);
 
 // DELETE /api/notifications/admin/:admin_id/clear-all
-router.delete('/admin/:admin_id/clear-all', clearAllAdminNotifs);
+router.delete('/admin/:admin_id/clear-all', authorize('notifications:read', { ownerParam: 'admin_id', ownerType: 'staff' }), validate(adminIdParamSchema), clearAllAdminNotifs);
 
 // DELETE /api/notifications/guest/:guest_id/clear-all
-router.delete('/guest/:guest_id/clear-all', clearAllGuestNotifs);
+router.delete('/guest/:guest_id/clear-all', authorize('notifications:read', { ownerParam: 'guest_id' }), validate(guestIdParamSchema), clearAllGuestNotifs);
 
 // DELETE /api/notifications/:id
-router.delete('/:id', removeNotification);
+router.delete('/:id', authorize('notifications:update'), validate(notificationIdParamSchema), removeNotification);
 
 export default router;
@@ -0,0 +1,26 @@
+// routes/reminderRoutes.js
+import express from 'express';
+import {
+  getReminderPolicyController,
+  updateReminderPolicyController,
+} from '../controllers/reminderController.js';
+import { authenticate, authorize } from '../middlewares/authMiddleware.js';
+import { validate } from '../middlewares/validateRequest.js';
+import { updateReminderPolicySchema } from '../validators/reminderValidators.js';
+
+const router = express.Router();
+
+router.use(authenticate);
+
+// GET /api/reminders/policy => warnings, check-in reminder, late check-out offer
+router.get('/policy', authorize('settings:read'), getReminderPolicyController);
+
+// PUT /api/reminders/policy => partial update; scheduled reminders are rebuilt
+router.put(
+  '/policy',
+  authorize('settings:manage'),
+  validate(updateReminderPolicySchema),
+  updateReminderPolicyController
+);
+
+export default router;
@@ -5,16 +5,24 @@ import {
   getAllLogs,
   getLogsForRequest
 } from '../controllers/requestLogsController.js';
+import { authenticate, authorize } from '../middlewares/authMiddleware.js';
+import { validate } from '../middlewares/validateRequest.js';
+import {
+  createRequestLogSchema,
+  requestIdParamSchema,
+} from '../validators/requestLogValidators.js';
 
 const router = express.Router();
 
+router.use(authenticate);
+
 // POST /api/request-logs -> create a new log entry
-router.post('/', createNewRequestLog);
+router.post('/', authorize('request_logs:write'), validate(createRequestLogSchema), createNewRequestLog);
 
 // GET /api/request-logs -> fetch all logs
-router.get('/', getAllLogs);
+router.get('/', authorize('request_logs:read'), getAllLogs);
 
 // GET /api/request-logs/:request_id -> fetch logs for a specific request
-router.get('/:request_id', getLogsForRequest);
+router.get('/:request_id', authorize('request_logs:read'), validate(requestIdParamSchema), getLogsForRequest);
 
 export default router;
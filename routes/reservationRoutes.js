@@ -0,0 +1,72 @@
+// routes/reservationRoutes.js
+import express from 'express';
+import {
+  searchAvailabilityController,
+  createReservationController,
+  listReservationsController,
+  getGuestReservationsController,
+  getReservationController,
+  updateReservationController,
+  cancelReservationController,
+  promoteReservationController,
+} from '../controllers/reservationController.js';
+import { authenticate, authorize } from '../middlewares/authMiddleware.js';
+import { validate } from '../middlewares/validateRequest.js';
+import {
+  reservationIdParamSchema,
+  guestReservationsParamSchema,
+  availabilityQuerySchema,
+  listReservationsQuerySchema,
+  createReservationSchema,
+  updateReservationSchema,
+} from '../validators/reservationValidators.js';
+
+const router = express.Router();
+
+router.use(authenticate);
+
+// GET /api/reservations/availability?check_in=&check_out=&room_type=&capacity=
+router.get(
+  '/availability',
+  authorize('reservations:read'),
+  validate(availabilityQuerySchema),
+  searchAvailabilityController
+);
+
+// POST /api/reservations => book a room for a future date range
+router.post('/', authorize('reservations:write'), validate(createReservationSchema), createReservationController);
+
+// GET /api/reservations => filtered list
+router.get('/', authorize('reservations:read'), validate(listReservationsQuerySchema), listReservationsController);
+
+// GET /api/reservations/guest/:guest_id => a guest's reservations (guests: own only)
+router.get(
+  '/guest/:guest_id',
+  authorize('reservations:read', { ownerParam: 'guest_id' }),
+  validate(guestReservationsParamSchema),
+  getGuestReservationsController
+);
+
+// GET /api/reservations/:id
+router.get('/:id', authorize('reservations:read'), validate(reservationIdParamSchema), getReservationController);
+
+// PATCH /api/reservations/:id => change room, dates or details of a booked reservation
+router.patch('/:id', authorize('reservations:write'), validate(updateReservationSchema), updateReservationController);
+
+// POST /api/reservations/:id/cancel
+router.post(
+  '/:id/cancel',
+  authorize('reservations:write'),
+  validate(reservationIdParamSchema),
+  cancelReservationController
+);
+
+// POST /api/reservations/:id/promote => check in now instead of waiting for the job
+router.post(
+  '/:id/promote',
+  authorize('reservations:write'),
+  validate(reservationIdParamSchema),
+  promoteReservationController
+);
+
+export default router;
@@ -2,6 +2,8 @@
 
 import express from 'express';
 import { resetDatabase } from '../config/setup_db.js';
+import { AppError } from '../utils/appError.js';
+import { sendSuccess } from '../utils/responseHelper.js';
 
 const router = express.Router();
 
@@ -12,17 +14,17 @@ const router = express.Router();
  * Usage (assuming your Railway domain and port are configured):
  *    GET https://smartaccesscontrol.up.railway.app/api/setup/reset?secret=YOUR_SECRET
  */
-router.get('/reset', async (req, res) => {
+router.get('/reset', async (req, res, next) => {
   const secret = req.query.secret;
   if (secret !== process.env.SETUP_DB_SECRET) {
-    return res.status(403).json({ message: 'Forbidden: Invalid secret key.' });
+    return next(new AppError('FORBIDDEN', 'Forbidden: Invalid secret key.'));
   }
   try {
     await resetDatabase();
-    return res.status(200).json({ message: 'Database reset successfully.' });
+    return sendSuccess(res, 'Database reset successfully.');
   } catch (err) {
     console.error('Error resetting database:', err);
-    return res.status(500).json({ message: 'Internal server error while resetting database.' });
+    return next(new AppError('INTERNAL_ERROR', 'Internal server error while resetting database.'));
   }
 });
 
@@ -5,45 +5,93 @@ import {
   getAllRFIDTags,
   getAvailableRFIDTags,
   assignRFID,
+  assignStaffRFID,
   activateRFIDTag,
   markRFIDAsLost,
+  replaceRFIDCard,
   unassignRFIDTag,
   verifyRFID,
+  verifyKeypadPin,
+  issueCardChallenge,
+  setRFIDCredential,
   updateRFIDStatus,
   getValidRFIDCards,
   postVerifyActions,
+  getCardSyncSnapshot,
+  getCardSyncChanges,
+  getCardSyncPublicKey,
 } from '../controllers/rfidController.js';
+import { authenticate, authorize } from '../middlewares/authMiddleware.js';
+import { validate } from '../middlewares/validateRequest.js';
+import {
+  assignRFIDSchema,
+  assignStaffRFIDSchema,
+  replaceRFIDSchema,
+  rfidUidBodySchema,
+  verifyRFIDSchema,
+  verifyKeypadPinSchema,
+  cardChallengeSchema,
+  cardCredentialSchema,
+  updateRFIDStatusSchema,
+  cardSyncChangesQuerySchema,
+} from '../validators/rfidValidators.js';
 
 const router = express.Router();
 
+router.use(authenticate);
+
 // GET all RFID tags
-router.get('/all', getAllRFIDTags);
+router.get('/all', authorize('rfid:read'), getAllRFIDTags);
 
 // GET available RFID tags
-router.get('/available', getAvailableRFIDTags);
+router.get('/available', authorize('rfid:read'), getAvailableRFIDTags);
 
 // POST: Assign an RFID to a guest
-router.post('/assign', assignRFID);
+router.post('/assign', authorize('rfid:manage'), validate(assignRFIDSchema), assignRFID);
+
+// POST: Issue a staff or master card to a staff member
+router.post('/assign-staff', authorize('staff_access:manage'), validate(assignStaffRFIDSchema), assignStaffRFID);
 
 // POST: Activate an assigned RFID
-router.post('/activate', activateRFIDTag);
+router.post('/activate', authorize('rfid:manage'), validate(rfidUidBodySchema), activateRFIDTag);
 
 // POST: Mark an RFID as lost
-router.post('/lost', markRFIDAsLost);
+router.post('/lost', authorize('rfid:manage'), validate(rfidUidBodySchema), markRFIDAsLost);
+
+// POST: Replace a lost guest card on the same stay
+router.post('/replace', authorize('rfid:manage'), validate(replaceRFIDSchema), replaceRFIDCard);
 
 // POST: Unassign an RFID (set to available)
-router.post('/unassign', unassignRFIDTag);
+router.post('/unassign', authorize('rfid:manage'), validate(rfidUidBodySchema), unassignRFIDTag);
 
 // POST: Verify an RFID for door access
-router.post('/verify', verifyRFID);
+router.post('/verify', authorize('rfid:verify'), validate(verifyRFIDSchema), verifyRFID);
+
+// POST: Verify a PIN entered at a room's door keypad (no card)
+router.post('/verify-pin', authorize('rfid:verify'), validate(verifyKeypadPinSchema), verifyKeypadPin);
+
+// POST: Single-use challenge for a challenge-response card, before /verify
+router.post('/challenge', authorize('rfid:verify'), validate(cardChallengeSchema), issueCardChallenge);
+
+// POST: Provision a card key (challenge) or fall back to UID-only matching
+router.post('/credential', authorize('rfid:manage'), validate(cardCredentialSchema), setRFIDCredential);
 
 // PUT: Update RFID status
-router.put('/update-status', updateRFIDStatus);
+router.put('/update-status', authorize('rfid:manage'), validate(updateRFIDStatusSchema), updateRFIDStatus);
 
 // GET: Valid RFID→Guest mappings for local caching
-router.get('/valid-cards', getValidRFIDCards);
+router.get('/valid-cards', authorize('rfid:sync'), getValidRFIDCards);
+
+// GET: Signed full card list + cursor (gateway offline cache)
+router.get('/sync/snapshot', authorize('rfid:sync'), getCardSyncSnapshot);
+
+// GET: Signed card changes since a cursor, including revocations
+router.get('/sync/changes', authorize('rfid:sync'), validate(cardSyncChangesQuerySchema), getCardSyncChanges);
+
+// GET: Public key for verifying sync payloads
+router.get('/sync/public-key', authorize('rfid:sync'), getCardSyncPublicKey);
 
 // POST: Consolidated post-verification actions
-router.post('/post-verify-actions', postVerifyActions);
+router.post('/post-verify-actions', authorize('rfid:verify'), validate(rfidUidBodySchema), postVerifyActions);
 
 export default router;
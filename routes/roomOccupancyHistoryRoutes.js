@@ -9,20 +9,32 @@ import {
   checkInHistory,
   checkOutHistory,
 } from '../controllers/roomOccupancyHistoryController.js';
+import { authenticate, authorize } from '../middlewares/authMiddleware.js';
+import { validate } from '../middlewares/validateRequest.js';
+import {
+  historyIdParamSchema,
+  addHistorySchema,
+  searchHistorySchema,
+  updateHistorySchema,
+  checkInHistorySchema,
+  checkOutHistorySchema,
+} from '../validators/occupancyHistoryValidators.js';
 
 const router = express.Router();
 
+router.use(authenticate);
+
 // Search route first to avoid param conflicts
-router.get('/search', searchHistory);
+router.get('/search', authorize('occupancy:read'), validate(searchHistorySchema), searchHistory);
 
 // Standard CRUD routes
-router.get('/:id', getHistoryRecord);
-router.get('/', getHistoryRecords);
-router.post('/', addHistoryRecord);
-router.put('/:id', updateHistoryRecord);
+router.get('/:id', authorize('occupancy:read'), validate(historyIdParamSchema), getHistoryRecord);
+router.get('/', authorize('occupancy:read'), getHistoryRecords);
+router.post('/', authorize('occupancy:write'), validate(addHistorySchema), addHistoryRecord);
+router.put('/:id', authorize('occupancy:write'), validate(updateHistorySchema), updateHistoryRecord);
 
 // New check-in/check-out endpoints
-router.post('/:id/checkin', checkInHistory);
-router.post('/:id/checkout', checkOutHistory);
+router.post('/:id/checkin', authorize('occupancy:write'), validate(checkInHistorySchema), checkInHistory);
+router.post('/:id/checkout', authorize('occupancy:write'), validate(checkOutHistorySchema), checkOutHistory);
 
 export default router;
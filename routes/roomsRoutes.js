@@ -12,36 +12,48 @@ import {
   assignRoomByNumber,
   updateRoomStatusByNumber,
 } from '../controllers/roomsController.js';
+import { authenticate, authorize } from '../middlewares/authMiddleware.js';
+import { validate } from '../middlewares/validateRequest.js';
+import {
+  addRoomSchema,
+  assignRoomSchema,
+  roomIdParamSchema,
+  modifyRoomSchema,
+  roomCheckInSchema,
+  updateRoomStatusSchema,
+} from '../validators/roomsValidators.js';
 
 const router = express.Router();
 
+router.use(authenticate);
+
 // Create a new room record (for creating a reservation)
-router.post('/', addRoom);
+router.post('/', authorize('rooms:write'), validate(addRoomSchema), addRoom);
 
 // Get all rooms
-router.get('/', getRooms);
+router.get('/', authorize('rooms:read'), getRooms);
 
 // Get a specific room by ID
-router.get('/:id', getRoom);
+router.get('/:id', authorize('rooms:read'), validate(roomIdParamSchema), getRoom);
 
 /**
  * IMPORTANT: Place this route above '/:id' so Express doesn't interpret "assign" as an :id.
  */
-router.put('/assign', assignRoomByNumber);
+router.put('/assign', authorize('rooms:write'), validate(assignRoomSchema), assignRoomByNumber);
 
 // Update room details by room ID
-router.put('/:id', modifyRoom);
+router.put('/:id', authorize('rooms:write'), validate(modifyRoomSchema), modifyRoom);
 
 // Delete a room record by ID
-router.delete('/:id', removeRoom);
+router.delete('/:id', authorize('rooms:delete'), validate(roomIdParamSchema), removeRoom);
 
 // Check-In endpoint: sets check_in time and status='occupied'
-router.post('/:id/checkin', roomCheckIn);
+router.post('/:id/checkin', authorize('rooms:write'), validate(roomCheckInSchema), roomCheckIn);
 
 // Check-Out endpoint: sets occupant fields to NULL, status='available'
-router.post('/:id/checkout', roomCheckOut);
+router.post('/:id/checkout', authorize('rooms:checkout'), validate(roomIdParamSchema), roomCheckOut);
 
 // Update room status by room_number
-router.put('/:room_number/update-status', updateRoomStatusByNumber);
+router.put('/:room_number/update-status', authorize('rooms:status'), validate(updateRoomStatusSchema), updateRoomStatusByNumber);
 
 export default router;
@@ -5,16 +5,25 @@ import {
   getServiceRequests,
   updateServiceRequestStatus
 } from '../controllers/serviceRequestController.js';
+import { authenticate, authorize, bindGuestIdentity } from '../middlewares/authMiddleware.js';
+import { validate } from '../middlewares/validateRequest.js';
+import {
+  submitServiceRequestSchema,
+  updateServiceRequestStatusSchema,
+  getServiceRequestsSchema,
+} from '../validators/serviceRequestValidators.js';
 
 const router = express.Router();
 
+router.use(authenticate);
+
 // POST /api/service-requests/submit -> create a request
-router.post('/submit', submitServiceRequest);
+router.post('/submit', bindGuestIdentity('guest_id'), authorize('service_requests:create', { ownerParam: 'guest_id' }), validate(submitServiceRequestSchema), submitServiceRequest);
 
 // PUT /api/service-requests/:request_id/update-status -> update request status
-router.put('/:request_id/update-status', updateServiceRequestStatus);
+router.put('/:request_id/update-status', authorize('service_requests:update'), validate(updateServiceRequestStatusSchema), updateServiceRequestStatus);
 
 // GET /api/service-requests/:guest_id -> fetch a guest's requests
-router.get('/:guest_id', getServiceRequests);
+router.get('/:guest_id', authorize('service_requests:read', { ownerParam: 'guest_id' }), validate(getServiceRequestsSchema), getServiceRequests);
 
 export default router;
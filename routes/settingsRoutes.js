@@ -0,0 +1,29 @@
+// routes/settingsRoutes.js
+import express from 'express';
+import {
+  listSettingsController,
+  getSettingController,
+  updateSettingController,
+  resetSettingController,
+} from '../controllers/settingsController.js';
+import { authenticate, authorize } from '../middlewares/authMiddleware.js';
+import { validate } from '../middlewares/validateRequest.js';
+import { settingNameParamSchema, updateSettingSchema } from '../validators/settingsValidators.js';
+
+const router = express.Router();
+
+router.use(authenticate);
+
+// GET /api/settings => registry of tunables with current values
+router.get('/', authorize('settings:read'), listSettingsController);
+
+// GET /api/settings/:name
+router.get('/:name', authorize('settings:read'), validate(settingNameParamSchema), getSettingController);
+
+// PUT /api/settings/:name => { value }
+router.put('/:name', authorize('settings:manage'), validate(updateSettingSchema), updateSettingController);
+
+// DELETE /api/settings/:name => back to the default
+router.delete('/:name', authorize('settings:manage'), validate(settingNameParamSchema), resetSettingController);
+
+export default router;
@@ -0,0 +1,62 @@
+// routes/staffAccessRoutes.js
+import express from 'express';
+import {
+  listShiftsController,
+  createShiftController,
+  deleteShiftController,
+  listRoomRulesController,
+  createRoomRuleController,
+  updateRoomRuleController,
+  deleteRoomRuleController,
+  listAssignmentsController,
+  createAssignmentController,
+  deleteAssignmentController,
+} from '../controllers/staffAccessController.js';
+import { authenticate, authorize } from '../middlewares/authMiddleware.js';
+import { validate } from '../middlewares/validateRequest.js';
+import {
+  staffAccessIdParamSchema,
+  listShiftsQuerySchema,
+  createShiftSchema,
+  listRoomRulesQuerySchema,
+  createRoomRuleSchema,
+  updateRoomRuleSchema,
+  listAssignmentsQuerySchema,
+  createAssignmentSchema,
+} from '../validators/staffAccessValidators.js';
+
+const router = express.Router();
+
+router.use(authenticate);
+
+// GET /api/staff-access/shifts => shifts overlapping ?from/?to
+router.get('/shifts', authorize('staff_access:read'), validate(listShiftsQuerySchema), listShiftsController);
+
+// POST /api/staff-access/shifts
+router.post('/shifts', authorize('staff_access:manage'), validate(createShiftSchema), createShiftController);
+
+// DELETE /api/staff-access/shifts/:id
+router.delete('/shifts/:id', authorize('staff_access:manage'), validate(staffAccessIdParamSchema), deleteShiftController);
+
+// GET /api/staff-access/rules => which roles may open which rooms
+router.get('/rules', authorize('staff_access:read'), validate(listRoomRulesQuerySchema), listRoomRulesController);
+
+// POST /api/staff-access/rules
+router.post('/rules', authorize('staff_access:manage'), validate(createRoomRuleSchema), createRoomRuleController);
+
+// PUT /api/staff-access/rules/:id
+router.put('/rules/:id', authorize('staff_access:manage'), validate(updateRoomRuleSchema), updateRoomRuleController);
+
+// DELETE /api/staff-access/rules/:id
+router.delete('/rules/:id', authorize('staff_access:manage'), validate(staffAccessIdParamSchema), deleteRoomRuleController);
+
+// GET /api/staff-access/assignments
+router.get('/assignments', authorize('staff_access:read'), validate(listAssignmentsQuerySchema), listAssignmentsController);
+
+// POST /api/staff-access/assignments => room assigned to a staff member
+router.post('/assignments', authorize('staff_access:manage'), validate(createAssignmentSchema), createAssignmentController);
+
+// DELETE /api/staff-access/assignments/:id
+router.delete('/assignments/:id', authorize('staff_access:manage'), validate(staffAccessIdParamSchema), deleteAssignmentController);
+
+export default router;
@@ -0,0 +1,80 @@
+// routes/stayRoutes.js
+import express from 'express';
+import {
+  createStayController,
+  getStayController,
+  getGuestStaysController,
+  addStayRoomController,
+  addStayGuestController,
+  issueStayCardController,
+  revokeStayCardController,
+  setStayAddOnsController,
+  extendStayController,
+  shortenStayController,
+  checkOutStayController,
+  setStayKeypadPinController,
+  removeStayKeypadPinController,
+} from '../controllers/stayController.js';
+import { authenticate, authorize } from '../middlewares/authMiddleware.js';
+import { validate } from '../middlewares/validateRequest.js';
+import {
+  stayIdParamSchema,
+  guestStaysParamSchema,
+  createStaySchema,
+  addStayRoomSchema,
+  addStayGuestSchema,
+  issueStayCardSchema,
+  revokeStayCardSchema,
+  changeStayCheckOutSchema,
+  setStayAddOnsSchema,
+} from '../validators/stayValidators.js';
+
+const router = express.Router();
+
+router.use(authenticate);
+
+// POST /api/stays => create a stay with rooms and companions
+router.post('/', authorize('stays:write'), validate(createStaySchema), createStayController);
+
+// GET /api/stays/guest/:guest_id => stays a guest belongs to (guests: own only)
+router.get(
+  '/guest/:guest_id',
+  authorize('stays:read', { ownerParam: 'guest_id' }),
+  validate(guestStaysParamSchema),
+  getGuestStaysController
+);
+
+// GET /api/stays/:id
+router.get('/:id', authorize('stays:read'), validate(stayIdParamSchema), getStayController);
+
+// POST /api/stays/:id/rooms => reserve another room on the stay
+router.post('/:id/rooms', authorize('stays:write'), validate(addStayRoomSchema), addStayRoomController);
+
+// POST /api/stays/:id/guests => add a companion
+router.post('/:id/guests', authorize('stays:write'), validate(addStayGuestSchema), addStayGuestController);
+
+// POST /api/stays/:id/cards => issue an RFID card on the stay
+router.post('/:id/cards', authorize('rfid:manage'), validate(issueStayCardSchema), issueStayCardController);
+
+// DELETE /api/stays/:id/cards/:card_id => revoke a card
+router.delete('/:id/cards/:card_id', authorize('rfid:manage'), validate(revokeStayCardSchema), revokeStayCardController);
+
+// PUT /api/stays/:id/add-ons => replace booking add-ons (parking, spa, ...)
+router.put('/:id/add-ons', authorize('stays:write'), validate(setStayAddOnsSchema), setStayAddOnsController);
+
+// POST /api/stays/:id/extend => move check_out later
+router.post('/:id/extend', authorize('stays:write'), validate(changeStayCheckOutSchema), extendStayController);
+
+// POST /api/stays/:id/shorten => early departure, move check_out earlier
+router.post('/:id/shorten', authorize('stays:write'), validate(changeStayCheckOutSchema), shortenStayController);
+
+// POST /api/stays/:id/checkout => check out every room on the stay
+router.post('/:id/checkout', authorize('rooms:checkout'), validate(stayIdParamSchema), checkOutStayController);
+
+// POST /api/stays/:id/keypad-pin => new door keypad PIN, returned once
+router.post('/:id/keypad-pin', authorize('stays:write'), validate(stayIdParamSchema), setStayKeypadPinController);
+
+// DELETE /api/stays/:id/keypad-pin => turn the keypad PIN off
+router.delete('/:id/keypad-pin', authorize('stays:write'), validate(stayIdParamSchema), removeStayKeypadPinController);
+
+export default router;
@@ -0,0 +1,56 @@
+// routes/visitorPassRoutes.js
+import express from 'express';
+import {
+  issueVisitorPassController,
+  getGuestVisitorPassesController,
+  getStayVisitorPassesController,
+  revokeVisitorPassController,
+  verifyVisitorPassController,
+} from '../controllers/visitorPassController.js';
+import { authenticate, authorize, bindGuestIdentity } from '../middlewares/authMiddleware.js';
+import { validate } from '../middlewares/validateRequest.js';
+import {
+  issueVisitorPassSchema,
+  guestVisitorPassesSchema,
+  stayVisitorPassesSchema,
+  visitorPassIdParamSchema,
+  verifyVisitorPassSchema,
+} from '../validators/visitorPassValidators.js';
+
+const router = express.Router();
+
+router.use(authenticate);
+
+// POST /api/visitor-passes => a checked-in guest issues a pass for their room
+router.post(
+  '/',
+  bindGuestIdentity('guest_id'),
+  authorize('visitor_passes:manage', { ownerParam: 'guest_id' }),
+  validate(issueVisitorPassSchema),
+  issueVisitorPassController
+);
+
+// POST /api/visitor-passes/verify => door gateway checks a QR code or PIN
+router.post('/verify', authorize('rfid:verify'), validate(verifyVisitorPassSchema), verifyVisitorPassController);
+
+// GET /api/visitor-passes/guest/:guest_id => passes a guest issued (guests: own only)
+router.get(
+  '/guest/:guest_id',
+  authorize('visitor_passes:read', { ownerParam: 'guest_id' }),
+  validate(guestVisitorPassesSchema),
+  getGuestVisitorPassesController
+);
+
+// GET /api/visitor-passes/stay/:stay_id => passes issued on a stay
+router.get('/stay/:stay_id', authorize('visitor_passes:read'), validate(stayVisitorPassesSchema), getStayVisitorPassesController);
+
+// DELETE /api/visitor-passes/:id => revoke (guests: own passes only)
+router.delete(
+  '/:id',
+  bindGuestIdentity('guest_id'),
+  authorize('visitor_passes:manage', { ownerParam: 'guest_id' }),
+  validate(visitorPassIdParamSchema),
+  revokeVisitorPassController
+);
+
+export default router;
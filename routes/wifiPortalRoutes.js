@@ -0,0 +1,43 @@
+// routes/wifiPortalRoutes.js
+import express from 'express';
+import {
+  portalLoginController,
+  portalStatusController,
+  signOutDeviceController,
+  getStayWifiController,
+  issueWifiVoucherController,
+  revokeWifiVoucherController,
+} from '../controllers/wifiPortalController.js';
+import { authenticate, authorize } from '../middlewares/authMiddleware.js';
+import { validate } from '../middlewares/validateRequest.js';
+import {
+  wifiPortalLoginSchema,
+  wifiPortalStatusSchema,
+  wifiDeviceSchema,
+  wifiStayParamSchema,
+  wifiVoucherIdParamSchema,
+} from '../validators/wifiPortalValidators.js';
+
+const router = express.Router();
+
+router.use(authenticate);
+
+// POST /api/wifi/portal/login => gateway relays a captive portal sign-in
+router.post('/portal/login', authorize('wifi:portal'), validate(wifiPortalLoginSchema), portalLoginController);
+
+// GET /api/wifi/portal/status => is this device signed in?
+router.get('/portal/status', authorize('wifi:portal'), validate(wifiPortalStatusSchema), portalStatusController);
+
+// POST /api/wifi/devices/sign-out => sign a device out and drop it from the whitelist
+router.post('/devices/sign-out', authorize('network:manage'), validate(wifiDeviceSchema), signOutDeviceController);
+
+// GET /api/wifi/stays/:id => signed-in devices, device limit and vouchers
+router.get('/stays/:id', authorize('network:read'), validate(wifiStayParamSchema), getStayWifiController);
+
+// POST /api/wifi/stays/:id/vouchers => issue a voucher, returned once
+router.post('/stays/:id/vouchers', authorize('network:manage'), validate(wifiStayParamSchema), issueWifiVoucherController);
+
+// DELETE /api/wifi/vouchers/:id => revoke a voucher
+router.delete('/vouchers/:id', authorize('network:manage'), validate(wifiVoucherIdParamSchema), revokeWifiVoucherController);
+
+export default router;
@@ -22,11 +22,24 @@ import resetRoutes from './routes/resetRoutes.js';
 import roomOccupancyHistoryRoutes from './routes/roomOccupancyHistoryRoutes.js';
 import hotelRoutes from './routes/hotelRoutes.js';
 import requestLogsRoutes from './routes/requestLogsRoutes.js';
+import stayRoutes from './routes/stayRoutes.js';
+import reservationRoutes from './routes/reservationRoutes.js';
+import jobRoutes from './routes/jobRoutes.js';
+import reminderRoutes from './routes/reminderRoutes.js';
+import settingsRoutes from './routes/settingsRoutes.js';
+import deviceRoutes from './routes/deviceRoutes.js';
+import accessZoneRoutes from './routes/accessZoneRoutes.js';
+import staffAccessRoutes from './routes/staffAccessRoutes.js';
+import anomalyRoutes from './routes/anomalyRoutes.js';
+import mobileKeyRoutes from './routes/mobileKeyRoutes.js';
+import visitorPassRoutes from './routes/visitorPassRoutes.js';
+import wifiPortalRoutes from './routes/wifiPortalRoutes.js';
 
 // NEW: Import cron jobs
 import './cronJobs.js';
 
 import { errorHandler } from './middlewares/errorHandler.js';
+import { sendError } from './utils/responseHelper.js';
 
 dotenv.config();
 const app = express();
@@ -67,16 +80,25 @@ app.use('/api/mikrotik', mikrotikRoutes);
 app.use('/api/setup', resetRoutes);
 app.use('/api/room-occupancy-history', roomOccupancyHistoryRoutes);
 app.use('/api/hotel', hotelRoutes);
+app.use('/api/stays', stayRoutes);
+app.use('/api/reservations', reservationRoutes);
+app.use('/api/jobs', jobRoutes);
+app.use('/api/reminders', reminderRoutes);
+app.use('/api/settings', settingsRoutes);
+app.use('/api/devices', deviceRoutes);
+app.use('/api/access-zones', accessZoneRoutes);
+app.use('/api/staff-access', staffAccessRoutes);
+app.use('/api/access-anomalies', anomalyRoutes);
+app.use('/api/mobile-keys', mobileKeyRoutes);
+app.use('/api/visitor-passes', visitorPassRoutes);
+app.use('/api/wifi', wifiPortalRoutes);
 
 // Root and Catch-All Routes
 app.get('/', (req, res) => {
   res.send('Welcome to the Smart Access Control API.');
 });
 app.all('*', (req, res) => {
-  res.status(404).json({
-    success: false,
-    message: 'Endpoint not found. Please check your URL and try again.'
-  });
+  sendError(res, 404, 'NOT_FOUND', 'Endpoint not found. Please check your URL and try again.');
 });
 
 // Error Handling Middleware
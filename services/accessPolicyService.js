@@ -0,0 +1,92 @@
+// services/accessPolicyService.js
+// Decides whether a guest's card opens a common-area zone (gym, pool,
+// parking, an elevator floor). See config/migrations/013_access_zones.sql for
+// the zone and policy model.
+import { getZoneById } from '../models/accessZoneModel.js';
+import { AppError } from '../utils/appError.js';
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const toMinutes = (time) => {
+  const [hours, minutes] = String(time).split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+/**
+ * Weekday (0 = Sunday) and minutes past midnight of `now` in `timezone`.
+ */
+const localClock = (now, timezone) => {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      weekday: 'short',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23',
+    })
+      .formatToParts(now)
+      .map((p) => [p.type, p.value])
+  );
+  return { weekday: WEEKDAYS.indexOf(parts.weekday), minutes: Number(parts.hour) * 60 + Number(parts.minute) };
+};
+
+/**
+ * True when `now` falls inside the policy's weekday/time-of-day window. A
+ * window ending before it starts runs past midnight and belongs to the day
+ * it starts on.
+ */
+export const isWithinWindow = (policy, now = new Date()) => {
+  const { weekday, minutes } = localClock(now, policy.timezone || 'UTC');
+  const onDay = (day) => !policy.weekdays || policy.weekdays.map(Number).includes(day);
+
+  if (!policy.start_time || !policy.end_time) return onDay(weekday);
+
+  const start = toMinutes(policy.start_time);
+  const end = toMinutes(policy.end_time);
+  if (start <= end) return onDay(weekday) && minutes >= start && minutes < end;
+  return (onDay(weekday) && minutes >= start) || (onDay((weekday + 6) % 7) && minutes < end);
+};
+
+/**
+ * True when the policy's membership and add-on conditions hold for the guest.
+ */
+export const policyApplies = (policy, { membershipLevel, addOns = [] }) => {
+  if (policy.membership_levels && policy.membership_levels.length > 0) {
+    const level = String(membershipLevel || 'Regular').toLowerCase();
+    if (!policy.membership_levels.some((l) => String(l).toLowerCase() === level)) return false;
+  }
+  if (policy.add_on && !addOns.includes(policy.add_on)) return false;
+  return true;
+};
+
+/**
+ * Evaluate a tap on a zone door for a guest who currently holds rooms.
+ *  - roomZoneIds: zones of the rooms the card opens (their floors).
+ * Returns { zone, granted, via, policy, reason }; throws ZONE_NOT_FOUND when
+ * the door points at a zone that no longer exists.
+ */
+export const evaluateZoneAccess = async (zoneId, { membershipLevel, addOns = [], roomZoneIds = [] }, now = new Date()) => {
+  const { data: zone, error } = await getZoneById(zoneId);
+  if (error) {
+    throw new AppError('DATABASE_ERROR', 'Database error: Unable to load access zone.', { cause: error });
+  }
+  if (!zone) {
+    throw new AppError('ZONE_NOT_FOUND', `Access zone ${zoneId} not found.`);
+  }
+  const { access_policies: policies = [], ...zoneInfo } = zone;
+
+  if (zone.staff_only) {
+    return { zone: zoneInfo, granted: false, reason: 'staff_only' };
+  }
+  if (roomZoneIds.map(String).includes(String(zone.id))) {
+    return { zone: zoneInfo, granted: true, via: 'room', policy: null };
+  }
+
+  const enabled = policies.filter((p) => p.enabled);
+  const applicable = enabled.filter((p) => policyApplies(p, { membershipLevel, addOns }));
+  const match = applicable.find((p) => isWithinWindow(p, now));
+  if (match) {
+    return { zone: zoneInfo, granted: true, via: 'policy', policy: { id: match.id, name: match.name } };
+  }
+  return { zone: zoneInfo, granted: false, reason: applicable.length > 0 ? 'outside_hours' : 'not_entitled' };
+};
@@ -0,0 +1,347 @@
+// services/anomalyService.js
+// Anomaly rules run over every stored access event, driven by the
+// 'anomaly_policy' system setting: repeated denials for one credential, one
+// credential presented at many doors in a short period, use of a card marked
+// lost, and a door opened outside the card's stay. A match is recorded in
+// access_anomalies, staff on duty are alerted, and rules with auto_suspend
+// take the card out of service until staff resolve the anomaly.
+import { upsertSystemSetting } from '../models/systemSettingsModel.js';
+import {
+  getAccessLogsByIds,
+  getRecentDenials,
+  getRecentDoors,
+} from '../models/accessLogModel.js';
+import { createAnomaly, updateAnomaly, findRecentAnomaly } from '../models/anomalyModel.js';
+import { findRFIDByUID, suspendRFID } from '../models/rfidModel.js';
+import { findLiveCardByRFID } from '../models/stayModel.js';
+import { getRoomsByGuest } from '../models/roomsModel.js';
+import { fetchOnDutyAdmins } from '../models/adminModel.js';
+import { createNotification } from '../models/notificationModel.js';
+import { sendNotification } from './fcmService.js';
+import { getSetting, invalidateSettings } from './settingsService.js';
+
+export const ANOMALY_POLICY_SETTING = 'anomaly_policy';
+export const ANOMALY_RULES = ['repeated_denials', 'door_hopping', 'lost_card', 'outside_stay'];
+export const ANOMALY_CHANNELS = ['in_app', 'fcm'];
+
+/**
+ * cooldown_minutes: one anomaly per rule and credential within this period, so a
+ * burst of taps raises a single alert.
+ */
+export const DEFAULT_ANOMALY_POLICY = {
+  cooldown_minutes: 15,
+  staff_channels: ['in_app', 'fcm'],
+  repeated_denials: { enabled: true, threshold: 3, window_minutes: 10, auto_suspend: false },
+  door_hopping: { enabled: true, threshold: 4, window_minutes: 5, auto_suspend: false },
+  lost_card: { enabled: true },
+  outside_stay: { enabled: true, grace_minutes: 15, auto_suspend: false },
+};
+
+const ALERT_TITLES = {
+  repeated_denials: 'Repeated Access Denials',
+  door_hopping: 'Card Used at Many Doors',
+  lost_card: 'Lost Card Used',
+  outside_stay: 'Access Outside Stay',
+};
+
+const mergePolicy = (stored = {}) => {
+  const policy = {
+    cooldown_minutes: stored.cooldown_minutes ?? DEFAULT_ANOMALY_POLICY.cooldown_minutes,
+    staff_channels: stored.staff_channels || DEFAULT_ANOMALY_POLICY.staff_channels,
+  };
+  for (const rule of ANOMALY_RULES) {
+    policy[rule] = { ...DEFAULT_ANOMALY_POLICY[rule], ...(stored[rule] || {}) };
+  }
+  return policy;
+};
+
+/**
+ * Current anomaly policy: the stored setting merged over the defaults.
+ */
+export const getAnomalyPolicy = async () => mergePolicy(await getSetting(ANOMALY_POLICY_SETTING));
+
+/**
+ * Save a (partial) policy on top of the current one and return the result.
+ */
+export const saveAnomalyPolicy = async (changes) => {
+  const current = await getAnomalyPolicy();
+  const next = mergePolicy({
+    cooldown_minutes: changes.cooldown_minutes ?? current.cooldown_minutes,
+    staff_channels: changes.staff_channels || current.staff_channels,
+    ...Object.fromEntries(ANOMALY_RULES.map((rule) => [rule, { ...current[rule], ...(changes[rule] || {}) }])),
+  });
+  const { error } = await upsertSystemSetting(ANOMALY_POLICY_SETTING, JSON.stringify(next));
+  if (!error) invalidateSettings(ANOMALY_POLICY_SETTING);
+  return { data: error ? null : next, error };
+};
+
+const unwrap = ({ data, error }, what) => {
+  if (error) throw new Error(`Unable to ${what}: ${error.message || error}`);
+  return data;
+};
+
+/**
+ * Stay window of a guest card: the stay it was issued on, or the rooms its
+ * guest holds. Null when the card belongs to no stay at all.
+ */
+const stayWindowFor = async (card, guestId) => {
+  const stayCard = card ? unwrap(await findLiveCardByRFID(card.id), 'look up stay card') : null;
+  if (stayCard) return { check_in: stayCard.stays.check_in, check_out: stayCard.stays.check_out };
+  if (!guestId) return null;
+
+  const rooms = unwrap(await getRoomsByGuest(guestId, ['reserved', 'occupied']), 'fetch guest rooms');
+  const checkIns = rooms.map((r) => r.check_in).filter(Boolean).map((t) => new Date(t).getTime());
+  const checkOuts = rooms.map((r) => r.check_out).filter(Boolean).map((t) => new Date(t).getTime());
+  if (rooms.length === 0) return null;
+  return {
+    check_in: checkIns.length ? new Date(Math.min(...checkIns)).toISOString() : null,
+    check_out: checkOuts.length ? new Date(Math.max(...checkOuts)).toISOString() : null,
+  };
+};
+
+/**
+ * A credential with no id of its own (a forged or garbled token, a wrong code,
+ * any keypad PIN) is followed per door: every such attempt of that credential
+ * type at the same reader, else at the same room.
+ */
+const unmatchedAtDoor = (event, emptyColumns, label) => {
+  let door;
+  if (event.device_id) door = { column: 'device_id', value: event.device_id, key: event.device_id };
+  else if (event.room_number) door = { column: 'room_number', value: event.room_number, key: `room:${event.room_number}` };
+  else return null;
+  return {
+    type: event.credential_type,
+    key: `${event.credential_type}@${door.key}`,
+    match: { credential_type: event.credential_type, rfid_uid: null, ...emptyColumns, [door.column]: door.value },
+    label,
+    perDoor: true,
+  };
+};
+
+/**
+ * What the rules follow an event by, per access_logs.credential_type. Each
+ * returns { type, key, match, label, perDoor }: key files the anomaly (and its
+ * cooldown), match picks the credential's events out of access_logs (see
+ * models/accessLogModel.js), label names it in alerts. Null when there is
+ * nothing to follow. Events carrying a card UID are always followed by card.
+ */
+const CREDENTIALS = {
+  mobile_key: (event) =>
+    event.mobile_key_id
+      ? {
+          type: 'mobile_key',
+          key: `mobile_key:${event.mobile_key_id}`,
+          match: { mobile_key_id: event.mobile_key_id },
+          label: `Mobile key ${event.mobile_key_id}`,
+          perDoor: false,
+        }
+      : unmatchedAtDoor(event, { mobile_key_id: null }, 'An unrecognised mobile key'),
+
+  // An unmatched pass includes wrong visitor PINs typed at the keypad
+  visitor_pass: (event) =>
+    event.visitor_pass_id
+      ? {
+          type: 'visitor_pass',
+          key: `visitor_pass:${event.visitor_pass_id}`,
+          match: { visitor_pass_id: event.visitor_pass_id },
+          label: `Visitor pass ${event.visitor_pass_id}`,
+          perDoor: false,
+        }
+      : unmatchedAtDoor(event, { visitor_pass_id: null }, 'An unrecognised visitor pass'),
+
+  // PIN-only keypad entries; card + PIN entries carry the card UID
+  pin: (event) => unmatchedAtDoor(event, {}, 'Keypad PIN entry'),
+};
+
+const credentialOf = (event) => {
+  if (event.rfid_uid) {
+    return {
+      type: event.credential_type || 'rfid',
+      key: event.rfid_uid,
+      match: { rfid_uid: event.rfid_uid },
+      label: `Card ${event.rfid_uid}`,
+      perDoor: false,
+    };
+  }
+  return CREDENTIALS[event.credential_type]?.(event) ?? null;
+};
+
+/**
+ * One check per rule. Each returns the anomaly details, or null when the
+ * event does not match. lost_card and outside_stay concern cards only.
+ */
+const RULE_CHECKS = {
+  lost_card: async (event, rule, card) =>
+    card?.status === 'lost' ? { card_status: 'lost', access_status: event.access_status } : null,
+
+  repeated_denials: async (event, rule, card, credential) => {
+    if (event.access_status !== 'denied') return null;
+    const { count, error } = await getRecentDenials(credential.match, rule.window_minutes, event.timestamp);
+    if (error) throw new Error(`Unable to count denials: ${error.message || error}`);
+    return count >= rule.threshold ? { denials: count, window_minutes: rule.window_minutes } : null;
+  },
+
+  // Followed per door, a credential is only ever seen at one.
+  door_hopping: async (event, rule, card, credential) => {
+    if (credential.perDoor) return null;
+    const doors = unwrap(
+      await getRecentDoors(credential.match, rule.window_minutes, event.timestamp),
+      'list recent doors'
+    );
+    return doors.length >= rule.threshold ? { doors, window_minutes: rule.window_minutes } : null;
+  },
+
+  // Only doors that actually opened: a denial outside the stay is the system working.
+  outside_stay: async (event, rule, card) => {
+    if (!event.rfid_uid || event.access_status !== 'granted') return null;
+    if ((event.card_type || card?.card_type || 'guest') !== 'guest') return null;
+    const window = await stayWindowFor(card, event.guest_id || card?.guest_id);
+    if (!window) return { reason: 'no_stay' };
+
+    const at = new Date(event.timestamp).getTime();
+    const graceMs = rule.grace_minutes * 60 * 1000;
+    if (window.check_in && at < new Date(window.check_in).getTime() - graceMs) {
+      return { reason: 'before_check_in', ...window };
+    }
+    if (window.check_out && at > new Date(window.check_out).getTime() + graceMs) {
+      return { reason: 'after_check_out', ...window };
+    }
+    return null;
+  },
+};
+
+const describe = (anomaly, event, credential) => {
+  const where = event.door_id || event.device_id || (event.room_number ? `Room #${event.room_number}` : null);
+  const at = where ? ` at ${where}` : '';
+  const { details } = anomaly;
+  switch (anomaly.rule) {
+    case 'repeated_denials':
+      return `${credential.label} was denied ${details.denials} times in ${details.window_minutes} minutes${at}.`;
+    case 'door_hopping':
+      return `${credential.label} was presented at ${details.doors.length} doors in ${details.window_minutes} minutes.`;
+    case 'lost_card':
+      return `Card ${anomaly.rfid_uid}, marked lost, was presented${at}.`;
+    default:
+      return details.reason === 'no_stay'
+        ? `Card ${anomaly.rfid_uid} opened a door${at} without a stay.`
+        : `Card ${anomaly.rfid_uid} opened a door${at} outside its stay window.`;
+  }
+};
+
+/**
+ * Alert staff on duty over the policy's channels. Returns how many were
+ * reached; failures are logged, never thrown.
+ */
+const alertStaff = async (anomaly, event, credential, channels) => {
+  const title = ALERT_TITLES[anomaly.rule];
+  const message = `${describe(anomaly, event, credential)}${anomaly.suspended ? ' The card was suspended.' : ''}`;
+  const admins = await fetchOnDutyAdmins();
+
+  let reached = 0;
+  for (const admin of admins) {
+    let sent = false;
+    if (channels.includes('in_app')) {
+      const { error } = await createNotification({
+        recipient_admin_id: admin.id,
+        title,
+        message,
+        notification_type: 'access_anomaly',
+      });
+      if (error) console.error(`[AnomalyService] Unable to notify admin ${admin.id}:`, error);
+      else sent = true;
+    }
+    if (channels.includes('fcm') && admin.fcm_token) {
+      try {
+        await sendNotification(admin.fcm_token, title, message, {
+          type: 'access_anomaly',
+          rule: anomaly.rule,
+          anomalyId: anomaly.id.toString(),
+          credentialType: credential.type,
+          credentialKey: credential.key,
+          ...(anomaly.rfid_uid && { rfidUid: anomaly.rfid_uid }),
+          userType: 'admin',
+          adminId: admin.id.toString(),
+        });
+        sent = true;
+      } catch (err) {
+        console.error(`[AnomalyService] FCM to admin ${admin.id} failed:`, err.message || err);
+      }
+    }
+    if (sent) reached += 1;
+  }
+  return reached;
+};
+
+const raise = async (rule, details, event, card, credential, policy) => {
+  const { data: anomaly, error } = await createAnomaly({
+    rule,
+    rfid_uid: event.rfid_uid || null,
+    credential_type: credential.type,
+    credential_key: credential.key,
+    rfid_id: card?.id ?? null,
+    guest_id: event.guest_id || card?.guest_id || null,
+    admin_id: event.admin_id || card?.admin_id || null,
+    access_log_id: event.id,
+    details,
+  });
+  if (error) throw new Error(`Unable to record anomaly: ${error.message || error}`);
+
+  const updates = {};
+  if (policy[rule].auto_suspend && card && ['assigned', 'active'].includes(card.status)) {
+    const { data: suspended, error: suspendError } = await suspendRFID(card.rfid_uid);
+    if (suspendError) {
+      console.error(`[AnomalyService] Unable to suspend card ${card.rfid_uid}:`, suspendError);
+    } else if (suspended) {
+      Object.assign(updates, { suspended: true, previous_status: card.status });
+      card.status = suspended.status;
+    }
+  }
+  Object.assign(anomaly, updates);
+  updates.staff_notified = await alertStaff(anomaly, event, credential, policy.staff_channels);
+
+  const { data: saved } = await updateAnomaly(anomaly.id, updates);
+  console.log(
+    `[AnomalyService] ${rule} on ${credential.key} (anomaly ${anomaly.id}, ` +
+      `suspended: ${Boolean(updates.suspended)}, staff: ${updates.staff_notified}).`
+  );
+  return saved || { ...anomaly, ...updates };
+};
+
+/**
+ * Run every enabled rule over one stored access event. Returns the anomalies
+ * raised (none while a rule's cooldown for this credential is running, nor
+ * for an event with no credential to follow).
+ */
+export const evaluateAccessEvent = async (event, policy) => {
+  const credential = credentialOf(event);
+  if (!credential) return [];
+  const card = event.rfid_uid ? unwrap(await findRFIDByUID(event.rfid_uid), 'look up card') : null;
+  const cooldownStart = new Date(Date.now() - policy.cooldown_minutes * 60 * 1000).toISOString();
+
+  const raised = [];
+  for (const rule of ANOMALY_RULES) {
+    if (!policy[rule].enabled) continue;
+    const details = await RULE_CHECKS[rule](event, policy[rule], card, credential);
+    if (!details) continue;
+    const recent = unwrap(await findRecentAnomaly(credential.key, rule, cooldownStart), 'check cooldown');
+    if (recent) continue;
+    raised.push(await raise(rule, details, event, card, credential, policy));
+  }
+  return raised;
+};
+
+/**
+ * Check the access_logs rows with these ids, oldest first (the job behind
+ * JOB_TYPES.ACCESS_ANOMALY_CHECK). Throws on database errors so the job is
+ * retried; the cooldown keeps a retry from raising the same anomaly twice.
+ */
+export const checkAccessEvents = async (logIds) => {
+  const events = unwrap(await getAccessLogsByIds(logIds), 'load access events');
+  const policy = await getAnomalyPolicy();
+
+  const anomalies = [];
+  for (const event of events) {
+    anomalies.push(...(await evaluateAccessEvent(event, policy)));
+  }
+  return { events: events.length, anomalies: anomalies.map((a) => a.id) };
+};
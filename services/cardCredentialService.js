@@ -0,0 +1,186 @@
+// services/cardCredentialService.js
+// Challenge-response credentials for RFID cards, so a copied UID alone no
+// longer opens a door. Each 'challenge' card holds a 16-byte key diversified
+// from its UID:
+//
+//   key      = HKDF-SHA256(CARD_MASTER_KEY, info = "card-key:v<version>:<UID>")
+//   response = first 16 bytes of HMAC-SHA256(key, challenge || UID), as hex
+//
+// The reader asks POST /api/rfid/challenge for a single-use challenge, has the
+// card answer it and sends challenge_id + response with POST /api/rfid/verify.
+// Keys are stored encrypted with CARD_KEY_ENCRYPTION_KEY (AES-256-GCM, the UID
+// as associated data), so a copied row cannot be moved to another card. Both
+// keys are 32 bytes, hex encoded; CARD_MASTER_KEY_VERSION (default 1) is
+// bumped when the master key is rotated. Cards in 'legacy_uid' mode match on
+// the UID alone while the 'legacy_uid_cards_allowed' setting is on.
+import crypto from 'crypto';
+import {
+  getCardKey,
+  setCardCredential,
+  createChallenge,
+  consumeChallenge,
+} from '../models/cardCredentialModel.js';
+import { getSetting } from './settingsService.js';
+import { AppError } from '../utils/appError.js';
+
+const CARD_KEY_BYTES = 16;
+const CHALLENGE_BYTES = 16;
+const RESPONSE_BYTES = 16;
+const IV_BYTES = 12;
+const TAG_BYTES = 16;
+
+let keys = null;
+
+const loadKeys = () => {
+  if (keys) return keys;
+  const master = Buffer.from(process.env.CARD_MASTER_KEY || '', 'hex');
+  const storage = Buffer.from(process.env.CARD_KEY_ENCRYPTION_KEY || '', 'hex');
+  if (master.length !== 32 || storage.length !== 32) {
+    throw new AppError('CARD_KEYS_UNAVAILABLE', 'Card credential keys are not configured.');
+  }
+  const version = parseInt(process.env.CARD_MASTER_KEY_VERSION || '1', 10);
+  keys = { master, storage, version: Number.isInteger(version) && version > 0 ? version : 1 };
+  return keys;
+};
+
+const uidBytes = (rfidUid) => Buffer.from(rfidUid, 'hex');
+
+const diversifyKey = (rfidUid, version) => {
+  const { master } = loadKeys();
+  const info = `card-key:v${version}:${rfidUid.toUpperCase()}`;
+  return Buffer.from(crypto.hkdfSync('sha256', master, Buffer.alloc(0), info, CARD_KEY_BYTES));
+};
+
+const encryptKey = (key, rfidUid) => {
+  const { storage } = loadKeys();
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv('aes-256-gcm', storage, iv);
+  cipher.setAAD(uidBytes(rfidUid));
+  const ciphertext = Buffer.concat([cipher.update(key), cipher.final()]);
+  return Buffer.concat([iv, cipher.getAuthTag(), ciphertext]).toString('base64');
+};
+
+const decryptKey = (stored, rfidUid) => {
+  const { storage } = loadKeys();
+  const raw = Buffer.from(stored, 'base64');
+  try {
+    const decipher = crypto.createDecipheriv('aes-256-gcm', storage, raw.subarray(0, IV_BYTES));
+    decipher.setAAD(uidBytes(rfidUid));
+    decipher.setAuthTag(raw.subarray(IV_BYTES, IV_BYTES + TAG_BYTES));
+    return Buffer.concat([decipher.update(raw.subarray(IV_BYTES + TAG_BYTES)), decipher.final()]);
+  } catch (err) {
+    throw new AppError('CARD_KEYS_UNAVAILABLE', 'Stored card key cannot be decrypted.', { cause: err });
+  }
+};
+
+const expectedResponse = (key, challengeHex, rfidUid) =>
+  crypto
+    .createHmac('sha256', key)
+    .update(Buffer.concat([Buffer.from(challengeHex, 'hex'), uidBytes(rfidUid)]))
+    .digest()
+    .subarray(0, RESPONSE_BYTES);
+
+/**
+ * Move a card to 'challenge' mode with a freshly diversified key, or back to
+ * 'legacy_uid'. The plain key is returned once, for the encoder to write to
+ * the card; only its encrypted form is stored.
+ */
+export const setCredentialMode = async (rfid, mode) => {
+  if (mode === 'legacy_uid') {
+    const { data, error } = await setCardCredential(rfid.id, { credential_mode: 'legacy_uid' });
+    if (error) {
+      throw new AppError('DATABASE_ERROR', 'Database error: Unable to update card credential.', { cause: error });
+    }
+    return { rfid: data, key: null };
+  }
+
+  const { version } = loadKeys();
+  const key = diversifyKey(rfid.rfid_uid, version);
+  const { data, error } = await setCardCredential(rfid.id, {
+    credential_mode: 'challenge',
+    key_ciphertext: encryptKey(key, rfid.rfid_uid),
+    key_version: version,
+  });
+  if (error) {
+    throw new AppError('DATABASE_ERROR', 'Database error: Unable to store card key.', { cause: error });
+  }
+  return { rfid: data, key: key.toString('hex').toUpperCase() };
+};
+
+/**
+ * A challenge for the card to answer. Legacy cards get none: the reader
+ * verifies them by UID as before.
+ */
+export const issueChallenge = async (rfid, deviceCode = null) => {
+  if (rfid.credential_mode !== 'challenge') {
+    return { credential_mode: rfid.credential_mode };
+  }
+  const ttlSeconds = await getSetting('card_challenge_ttl_seconds');
+  const { data, error } = await createChallenge({
+    rfid_id: rfid.id,
+    challenge: crypto.randomBytes(CHALLENGE_BYTES).toString('hex').toUpperCase(),
+    device_code: deviceCode,
+    expires_at: new Date(Date.now() + ttlSeconds * 1000).toISOString(),
+  });
+  if (error) {
+    throw new AppError('DATABASE_ERROR', 'Database error: Unable to issue card challenge.', { cause: error });
+  }
+  return { credential_mode: 'challenge', challenge_id: data.id, challenge: data.challenge, expires_at: data.expires_at };
+};
+
+/**
+ * Check the credential presented with a tap. Legacy cards pass on the UID
+ * while the setting allows it; challenge cards must answer an unexpired
+ * challenge issued to them (and to the same reader, when one asked).
+ * Throws CARD_CREDENTIAL_REQUIRED, CARD_CHALLENGE_INVALID or
+ * CARD_RESPONSE_INVALID.
+ */
+export const verifyCardCredential = async (rfid, { challengeId, response, deviceCode = null }) => {
+  if (rfid.credential_mode !== 'challenge') {
+    if (!(await getSetting('legacy_uid_cards_allowed'))) {
+      throw new AppError('CARD_CREDENTIAL_REQUIRED', 'Access denied: This card must be reissued before it can be used.', {
+        details: { credential_mode: rfid.credential_mode },
+      });
+    }
+    return { credential_mode: rfid.credential_mode };
+  }
+
+  if (!challengeId || !response) {
+    throw new AppError('CARD_CREDENTIAL_REQUIRED', 'This card requires challenge_id and response.', {
+      details: { credential_mode: 'challenge' },
+    });
+  }
+
+  const { data: challenge, error } = await consumeChallenge(challengeId, rfid.id);
+  if (error) {
+    throw new AppError('DATABASE_ERROR', 'Database error: Unable to check card challenge.', { cause: error });
+  }
+  if (!challenge || (challenge.device_code && deviceCode && challenge.device_code !== deviceCode)) {
+    throw new AppError('CARD_CHALLENGE_INVALID', 'Card challenge is unknown, expired or already used.');
+  }
+
+  const { data: stored, error: keyError } = await getCardKey(rfid.id);
+  if (keyError) {
+    throw new AppError('DATABASE_ERROR', 'Database error: Unable to load card key.', { cause: keyError });
+  }
+  if (!stored) {
+    throw new AppError('CARD_KEYS_UNAVAILABLE', `No key is stored for card ${rfid.rfid_uid}.`);
+  }
+
+  const expected = expectedResponse(decryptKey(stored.key_ciphertext, rfid.rfid_uid), challenge.challenge, rfid.rfid_uid);
+  const given = Buffer.from(response, 'hex');
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+    throw new AppError('CARD_RESPONSE_INVALID', 'Access denied: Card response is not valid.');
+  }
+  return { credential_mode: 'challenge', challenge_id: challenge.id };
+};
+
+/**
+ * Strip key material from a card row (e.g. one returned by a database
+ * function as a whole row).
+ */
+export const toPublicCard = (card) => {
+  if (!card) return card;
+  const { key_ciphertext, ...rest } = card;
+  return rest;
+};
@@ -0,0 +1,121 @@
+// services/cardSyncService.js
+// Card list sync for the Pi gateway's offline cache. Snapshots and deltas are
+// signed with Ed25519 (CARD_SYNC_SIGNING_KEY, a PKCS#8 PEM private key); the
+// gateway only needs the public key from GET /api/rfid/sync/public-key.
+//
+// Envelope: { alg, key_id, payload, signature }. `payload` is the JSON text
+// that was signed and `signature` is base64 over its UTF-8 bytes; verify
+// before parsing.
+import crypto from 'crypto';
+import { getCardSnapshot, getCardDelta, getLatestCardChangeSeq } from '../models/cardSyncModel.js';
+import { AppError } from '../utils/appError.js';
+import { JOB_TYPES, enqueueOnce } from './jobScheduler.js';
+
+let signingKey = null;
+
+const loadSigningKey = () => {
+  if (signingKey) return signingKey;
+  const pem = process.env.CARD_SYNC_SIGNING_KEY;
+  if (!pem) {
+    throw new AppError('SYNC_SIGNING_UNAVAILABLE', 'Card sync signing key is not configured.');
+  }
+  try {
+    const privateKey = crypto.createPrivateKey(pem.replace(/\\n/g, '\n'));
+    const publicKey = crypto.createPublicKey(privateKey);
+    const der = publicKey.export({ type: 'spki', format: 'der' });
+    signingKey = {
+      privateKey,
+      publicKeyPem: publicKey.export({ type: 'spki', format: 'pem' }),
+      keyId: crypto.createHash('sha256').update(der).digest('hex').slice(0, 16),
+    };
+    return signingKey;
+  } catch (err) {
+    throw new AppError('SYNC_SIGNING_UNAVAILABLE', 'Card sync signing key is invalid.', { cause: err });
+  }
+};
+
+const sign = (body) => {
+  const { privateKey, keyId } = loadSigningKey();
+  const payload = JSON.stringify(body);
+  const signature = crypto.sign(null, Buffer.from(payload, 'utf8'), privateKey).toString('base64');
+  return { alg: 'Ed25519', key_id: keyId, payload, signature };
+};
+
+/**
+ * Public half of the signing key, for gateways to pin.
+ */
+export const getSigningPublicKey = () => {
+  const { publicKeyPem, keyId } = loadSigningKey();
+  return { alg: 'Ed25519', key_id: keyId, public_key: publicKeyPem };
+};
+
+/**
+ * Signed full card list. Apply it by replacing the local cache and storing
+ * `cursor`, then continue with deltas from that cursor.
+ */
+export const buildSignedSnapshot = async () => {
+  loadSigningKey();
+  const { data, error } = await getCardSnapshot();
+  if (error) {
+    throw new AppError('DATABASE_ERROR', 'Database error: Unable to build card snapshot.', { cause: error });
+  }
+  return sign({
+    type: 'snapshot',
+    cursor: Number(data.cursor),
+    generated_at: new Date().toISOString(),
+    cards: data.cards,
+  });
+};
+
+/**
+ * Signed changes since `since`: upsert `cards`, delete `revoked`, store
+ * `cursor`, and ask again while `has_more`. A `full_resync` delta carries the
+ * whole list and replaces the cache instead.
+ */
+export const buildSignedDelta = async (since, limit) => {
+  loadSigningKey();
+  const { data, error } = await getCardDelta(since, limit);
+  if (error) {
+    throw new AppError('DATABASE_ERROR', 'Database error: Unable to fetch card changes.', { cause: error });
+  }
+  return sign({
+    type: 'delta',
+    since,
+    cursor: Number(data.cursor),
+    full_resync: data.full_resync,
+    has_more: data.has_more,
+    generated_at: new Date().toISOString(),
+    cards: data.cards,
+    revoked: data.revoked,
+  });
+};
+
+/**
+ * Watch the change log and queue one gateway push per new cursor. Every
+ * instance watches; the dedupe key makes the push itself run once.
+ * Returns a function that stops the watcher.
+ */
+export const startCardSyncWatcher = ({ intervalMs = 2000 } = {}) => {
+  let lastSeen = null;
+  let busy = false;
+
+  const tick = async () => {
+    if (busy) return;
+    busy = true;
+    try {
+      const { data: seq, error } = await getLatestCardChangeSeq();
+      if (error) return;
+      if (lastSeen !== null && seq > lastSeen) {
+        await enqueueOnce(JOB_TYPES.CARD_SYNC_PUSH, `${JOB_TYPES.CARD_SYNC_PUSH}:${seq}`, { cursor: seq });
+      }
+      lastSeen = seq;
+    } catch (err) {
+      console.error('[CardSync] Watcher tick failed:', err);
+    } finally {
+      busy = false;
+    }
+  };
+
+  const timer = setInterval(tick, intervalMs);
+  return () => clearInterval(timer);
+};
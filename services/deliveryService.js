@@ -0,0 +1,49 @@
+// services/deliveryService.js
+import dotenv from 'dotenv';
+import * as consoleTransport from './transports/consoleTransport.js';
+import * as fileTransport from './transports/fileTransport.js';
+import * as smtpTransport from './transports/smtpTransport.js';
+import * as smsTransport from './transports/smsTransport.js';
+
+dotenv.config();
+
+const TRANSPORTS = {
+  console: consoleTransport,
+  file: fileTransport,
+  smtp: smtpTransport,
+  sms: smsTransport,
+};
+
+/**
+ * Transport per channel, chosen by env:
+ *   EMAIL_TRANSPORT = console | file | smtp   (default: console)
+ *   SMS_TRANSPORT   = console | file | sms    (default: console)
+ */
+function resolveTransport(channel) {
+  const name =
+    channel === 'sms'
+      ? process.env.SMS_TRANSPORT || 'console'
+      : process.env.EMAIL_TRANSPORT || 'console';
+  const transport = TRANSPORTS[name];
+  if (!transport) {
+    throw new Error(`Unknown ${channel} transport "${name}"`);
+  }
+  return transport;
+}
+
+/**
+ * Deliver a message over 'email' or 'sms'.
+ * Returns { success, error } and never throws, so callers can decide whether a
+ * failed delivery should fail the request.
+ */
+export const sendMessage = async ({ channel, to, subject, body }) => {
+  try {
+    if (!to) throw new Error(`No ${channel} destination provided.`);
+    const transport = resolveTransport(channel);
+    const result = await transport.send({ channel, to, subject, body });
+    return { success: true, result, error: null };
+  } catch (err) {
+    console.error(`[DeliveryService] Failed to send ${channel} to ${to}:`, err.message);
+    return { success: false, result: null, error: err };
+  }
+};
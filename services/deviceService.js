@@ -0,0 +1,89 @@
+// services/deviceService.js
+// API keys and identity for registered door readers and gateways. A device
+// authenticates with "x-device-key: <key>"; only the key's SHA-256 hash is
+// stored. The key is looked up on every request, so disabling, rotating or
+// deleting a device takes effect at once on every instance.
+import crypto from 'crypto';
+import { findDeviceByKeyHash, getDeviceByCode } from '../models/deviceModel.js';
+import { hashToken } from './tokenService.js';
+import { AppError } from '../utils/appError.js';
+
+const KEY_PREFIX_LENGTH = 10;
+
+/**
+ * New device API key plus the values persisted for it. The key itself is
+ * shown once, when the device is created or its key rotated.
+ */
+export const generateDeviceKey = () => {
+  const key = `dk_${crypto.randomBytes(32).toString('base64url')}`;
+  return { key, api_key_hash: hashToken(key), api_key_prefix: key.slice(0, KEY_PREFIX_LENGTH) };
+};
+
+/**
+ * The active device holding `key`, or null for an unknown or disabled one.
+ * Throws on a database error so the caller can answer 500 instead of 401.
+ */
+export const authenticateDeviceKey = async (key) => {
+  const { data, error } = await findDeviceByKeyHash(hashToken(key));
+  if (error) {
+    throw new AppError('DATABASE_ERROR', 'Database error: Unable to look up device.', { cause: error });
+  }
+  return data && data.status === 'active' ? data : null;
+};
+
+/**
+ * Resolve the device an event or tap is reported for.
+ *  - No code: the calling device itself (null for shared-key and staff callers).
+ *  - A code: that device, which must be active. A calling device may only
+ *    report for itself or for the readers registered behind it.
+ */
+export const resolveReportingDevice = async (caller, code) => {
+  if (!code || (caller && caller.code === code)) return caller || null;
+
+  const { data: device, error } = await getDeviceByCode(code);
+  if (error) {
+    throw new AppError('DATABASE_ERROR', 'Database error: Unable to look up device.', { cause: error });
+  }
+  if (!device) {
+    throw new AppError('DEVICE_NOT_FOUND', `Device '${code}' is not registered.`);
+  }
+  if (device.status !== 'active') {
+    throw new AppError('DEVICE_DISABLED', `Device '${code}' is disabled.`);
+  }
+  if (caller && String(device.gateway_id) !== String(caller.id)) {
+    throw new AppError('DEVICE_NOT_AUTHORIZED', `Device '${caller.code}' cannot report for '${code}'.`);
+  }
+  return device;
+};
+
+/**
+ * The door a tap was made at: the reporting reader (see resolveReportingDevice)
+ * when it is a door reader, which fixes the room or zone; otherwise
+ * `roomNumber` as sent. Returns { reporter, door, roomNumber }.
+ */
+export const resolveTapDoor = async (caller, code, roomNumber) => {
+  const reporter = await resolveReportingDevice(caller, code);
+  const door = reporter?.kind === 'door_reader' ? reporter : null;
+  if (!door || door.zone_id) {
+    return { reporter, door, roomNumber };
+  }
+  if (!door.room_id) {
+    throw new AppError('ROOM_ACCESS_DENIED', `Access denied: ${door.code} does not guard a room or an access zone.`, {
+      details: { device_id: door.code, area: door.area },
+    });
+  }
+  const boundRoom = door.rooms?.room_number;
+  if (roomNumber && String(roomNumber) !== String(boundRoom)) {
+    throw new AppError('DEVICE_DOOR_MISMATCH', `Device ${door.code} guards room ${boundRoom}, not ${roomNumber}.`, {
+      details: { device_id: door.code, room_number: boundRoom },
+    });
+  }
+  return { reporter, door, roomNumber: boundRoom };
+};
+
+/**
+ * True when the device sent a heartbeat within the last `offlineMinutes`.
+ */
+export const isDeviceOnline = (device, offlineMinutes) =>
+  Boolean(device.last_seen_at) &&
+  Date.now() - new Date(device.last_seen_at).getTime() <= offlineMinutes * 60 * 1000;
@@ -0,0 +1,102 @@
+// services/gatewayService.js
+// Calls into the Pi gateway (door controllers + guest Wi-Fi). Failures are
+// logged and reported back as false; callers never fail a request because the
+// gateway is unreachable.
+import axios from 'axios';
+import dotenv from 'dotenv';
+dotenv.config();
+
+const gatewayUrl = () => process.env.MIKROTIK_API_URL || `https://${process.env.MIKROTIK_HOST}`;
+
+const gatewayHeaders = () => ({ 'x-api-key': process.env.PUBLIC_API_KEY });
+
+/**
+ * Remove a guest's devices from the internet whitelist.
+ */
+export const deactivateGuestInternet = async (guestId) => {
+  try {
+    await axios.post(
+      `${gatewayUrl()}/api/deactivate-internet`,
+      { guest_id: guestId },
+      { headers: gatewayHeaders() }
+    );
+    console.log(`[Gateway] Called /api/deactivate-internet for guest_id=${guestId}`);
+    return true;
+  } catch (err) {
+    console.error('[Gateway] Error calling /api/deactivate-internet:', err.message);
+    return false;
+  }
+};
+
+/**
+ * Whitelist one device signed in through the captive portal until `expiresAt`
+ * (the stay's check-out).
+ */
+export const activateDeviceInternet = async ({ mac, ip, guestId, stayId, expiresAt }) => {
+  try {
+    await axios.post(
+      `${gatewayUrl()}/api/activate-device`,
+      { mac, ip, guest_id: guestId, stay_id: stayId, expires_at: expiresAt },
+      { headers: gatewayHeaders() }
+    );
+    console.log(`[Gateway] Called /api/activate-device for mac=${mac}`);
+    return true;
+  } catch (err) {
+    console.error('[Gateway] Error calling /api/activate-device:', err.message);
+    return false;
+  }
+};
+
+/**
+ * Remove one device from the internet whitelist.
+ */
+export const deactivateDeviceInternet = async ({ mac, ip }) => {
+  try {
+    await axios.post(`${gatewayUrl()}/api/deactivate-device`, { mac, ip }, { headers: gatewayHeaders() });
+    console.log(`[Gateway] Called /api/deactivate-device for mac=${mac}`);
+    return true;
+  } catch (err) {
+    console.error('[Gateway] Error calling /api/deactivate-device:', err.message);
+    return false;
+  }
+};
+
+/**
+ * Tell the gateway a stay's check-out moved so it can refresh its card cache
+ * and the internet whitelist expiry for the stay's guests.
+ */
+export const pushStayExpiry = async ({ stayId, guestIds, rfidUids, roomNumbers, checkOut }) => {
+  try {
+    await axios.post(
+      `${gatewayUrl()}/api/update-expiry`,
+      {
+        stay_id: stayId,
+        guest_ids: guestIds,
+        rfid_uids: rfidUids,
+        room_numbers: roomNumbers,
+        check_out: checkOut,
+      },
+      { headers: gatewayHeaders() }
+    );
+    console.log(`[Gateway] Called /api/update-expiry for stay_id=${stayId}`);
+    return true;
+  } catch (err) {
+    console.error('[Gateway] Error calling /api/update-expiry:', err.message);
+    return false;
+  }
+};
+
+/**
+ * Nudge the gateway to pull card changes now (GET /api/rfid/sync/changes)
+ * instead of waiting for its next poll.
+ */
+export const pushCardSyncCursor = async (cursor) => {
+  try {
+    await axios.post(`${gatewayUrl()}/api/card-sync`, { cursor }, { headers: gatewayHeaders() });
+    console.log(`[Gateway] Called /api/card-sync for cursor=${cursor}`);
+    return true;
+  } catch (err) {
+    console.error('[Gateway] Error calling /api/card-sync:', err.message);
+    return false;
+  }
+};
@@ -0,0 +1,237 @@
+// services/jobScheduler.js
+// Durable scheduled jobs (scheduled_jobs, migration 007). Callers schedule work
+// for an exact time; every server instance runs the worker loop, and the
+// SKIP LOCKED claim makes sure each job is executed by only one of them.
+// Handlers are registered by type (see cronJobs.js) and must be idempotent:
+// a job whose worker died mid-run is claimed again after the lock timeout.
+import os from 'os';
+import {
+  scheduleJob,
+  cancelPendingJobs,
+  claimJobs,
+  completeJob,
+  failJob,
+} from '../models/scheduledJobModel.js';
+import { getReminderPolicy } from './reminderService.js';
+
+export const JOB_TYPES = {
+  ROOM_CHECKOUT_WARNING: 'room.checkout_warning',
+  ROOM_LATE_CHECKOUT_OFFER: 'room.late_checkout_offer',
+  ROOM_CHECKOUT: 'room.checkout',
+  RESERVATION_CHECKIN_REMINDER: 'reservation.checkin_reminder',
+  RESERVATION_PROMOTE: 'reservation.promote',
+  HOUSEKEEPING: 'housekeeping.hourly',
+  RECONCILE: 'jobs.reconcile',
+  CARD_SYNC_PUSH: 'cards.push',
+  MASTER_CARD_ALERT: 'alerts.master_card',
+  ACCESS_ANOMALY_CHECK: 'alerts.access_anomaly_check',
+  VISITOR_PASS_USED: 'alerts.visitor_pass_used',
+};
+
+const RETRY_BASE_MS = 30 * 1000;
+const RETRY_MAX_MS = 30 * 60 * 1000;
+
+const roomSubject = (roomId) => `room:${roomId}`;
+const reservationSubject = (reservationId) => `reservation:${reservationId}`;
+
+/**
+ * One reminder job per minutes_before offset of an enabled policy rule, for
+ * offsets that have not already passed.
+ */
+const reminderJobs = (rule, type, eventAt, keyPrefix) => {
+  if (!rule?.enabled) return [];
+  const eventMs = new Date(eventAt).getTime();
+  return rule.minutes_before
+    .map((minutes) => ({
+      type,
+      run_at: new Date(eventMs - minutes * 60 * 1000),
+      minutes_before: minutes,
+      dedupe_key: `${type}:${keyPrefix}:${minutes}`,
+    }))
+    .filter((job) => job.run_at > new Date())
+    .map((job) => ({ ...job, run_at: job.run_at.toISOString() }));
+};
+
+/**
+ * (Re)schedule the check-out warnings, the late check-out offer (per the
+ * reminder policy) and the automatic check-out for a room's current check_out.
+ * Jobs for an older check_out or a dropped offset are canceled; scheduling the
+ * same check_out twice is a no-op.
+ */
+export const scheduleRoomCheckOutJobs = async (room) => {
+  if (!room?.check_out) return;
+  const checkOut = new Date(room.check_out).toISOString();
+  const keyPrefix = `${room.id}:${checkOut}`;
+  const policy = await getReminderPolicy();
+
+  const jobs = [
+    { type: JOB_TYPES.ROOM_CHECKOUT, run_at: checkOut, dedupe_key: `${JOB_TYPES.ROOM_CHECKOUT}:${keyPrefix}` },
+    ...reminderJobs(policy.checkout_warning, JOB_TYPES.ROOM_CHECKOUT_WARNING, checkOut, keyPrefix),
+    ...reminderJobs(policy.late_checkout_offer, JOB_TYPES.ROOM_LATE_CHECKOUT_OFFER, checkOut, keyPrefix),
+  ];
+
+  await cancelPendingJobs(roomSubject(room.id), { exceptKeys: jobs.map((job) => job.dedupe_key) });
+  for (const { minutes_before, ...job } of jobs) {
+    await scheduleJob({
+      ...job,
+      subject: roomSubject(room.id),
+      payload: { room_id: room.id, check_out: checkOut, ...(minutes_before ? { minutes_before } : {}) },
+    });
+  }
+};
+
+/**
+ * Drop pending jobs for a room (it was checked out).
+ */
+export const cancelRoomJobs = (roomId) => cancelPendingJobs(roomSubject(roomId));
+
+/**
+ * (Re)schedule promotion of a booked reservation at its check_in, and the
+ * check-in reminders the policy asks for.
+ */
+export const scheduleReservationJobs = async (reservation) => {
+  const checkIn = new Date(reservation.check_in).toISOString();
+  const keyPrefix = `${reservation.id}:${checkIn}`;
+  const policy = await getReminderPolicy();
+
+  const jobs = [
+    {
+      type: JOB_TYPES.RESERVATION_PROMOTE,
+      run_at: checkIn,
+      dedupe_key: `${JOB_TYPES.RESERVATION_PROMOTE}:${keyPrefix}`,
+      max_attempts: 10,
+    },
+    ...reminderJobs(policy.checkin_reminder, JOB_TYPES.RESERVATION_CHECKIN_REMINDER, checkIn, keyPrefix),
+  ];
+
+  await cancelPendingJobs(reservationSubject(reservation.id), { exceptKeys: jobs.map((job) => job.dedupe_key) });
+  for (const { minutes_before, ...job } of jobs) {
+    await scheduleJob({
+      ...job,
+      subject: reservationSubject(reservation.id),
+      payload: { reservation_id: reservation.id, check_in: checkIn, ...(minutes_before ? { minutes_before } : {}) },
+    });
+  }
+};
+
+/**
+ * Drop pending jobs for a reservation (canceled or promoted by hand).
+ */
+export const cancelReservationJobs = (reservationId) => cancelPendingJobs(reservationSubject(reservationId));
+
+/**
+ * Enqueue a job at most once per dedupe key, e.g. periodic work that every
+ * instance's timer tries to enqueue.
+ */
+export const enqueueOnce = (type, dedupeKey, payload = {}) =>
+  scheduleJob({ type, payload, run_at: new Date().toISOString(), dedupe_key: dedupeKey, max_attempts: 1 });
+
+/**
+ * Queue the staff alert for a master card use; retried until it reaches
+ * someone (see services/staffAccessService.js).
+ */
+export const scheduleMasterCardAlert = (alert) =>
+  scheduleJob({
+    type: JOB_TYPES.MASTER_CARD_ALERT,
+    subject: `rfid:${alert.rfid_uid}`,
+    payload: alert,
+    run_at: new Date().toISOString(),
+    dedupe_key: alert.access_log_id ? `${JOB_TYPES.MASTER_CARD_ALERT}:${alert.access_log_id}` : null,
+    max_attempts: 10,
+  });
+
+/**
+ * Queue the anomaly rules for newly stored access_logs rows (see
+ * services/anomalyService.js).
+ */
+export const scheduleAnomalyCheck = (logIds) => {
+  const ids = logIds.filter(Boolean);
+  if (ids.length === 0) return Promise.resolve({ data: null, error: null });
+  return scheduleJob({
+    type: JOB_TYPES.ACCESS_ANOMALY_CHECK,
+    payload: { access_log_ids: ids },
+    run_at: new Date().toISOString(),
+    dedupe_key: `${JOB_TYPES.ACCESS_ANOMALY_CHECK}:${ids[0]}:${ids.length}`,
+    max_attempts: 3,
+  });
+};
+
+/**
+ * Queue the notice to a guest that a visitor pass they issued was used (see
+ * services/visitorPassService.js).
+ */
+export const scheduleVisitorPassNotice = (notice) =>
+  scheduleJob({
+    type: JOB_TYPES.VISITOR_PASS_USED,
+    subject: `guest:${notice.guest_id}`,
+    payload: notice,
+    run_at: new Date().toISOString(),
+    dedupe_key: notice.access_log_id ? `${JOB_TYPES.VISITOR_PASS_USED}:${notice.access_log_id}` : null,
+    max_attempts: 5,
+  });
+
+// -----------------------------------------------------------------------------
+// Worker
+// -----------------------------------------------------------------------------
+
+const handlers = new Map();
+
+/**
+ * Register the function that runs jobs of `type`. It receives the job row; its
+ * return value is stored as the job's result, a throw schedules a retry.
+ */
+export const registerJobHandler = (type, handler) => {
+  handlers.set(type, handler);
+};
+
+const retryDelay = (attempts) => Math.min(RETRY_BASE_MS * 2 ** (attempts - 1), RETRY_MAX_MS);
+
+const runJob = async (job) => {
+  const handler = handlers.get(job.type);
+  if (!handler) {
+    await failJob(job.id, `No handler registered for job type '${job.type}'`);
+    return;
+  }
+  try {
+    const result = await handler(job);
+    await completeJob(job.id, result ?? null);
+  } catch (err) {
+    const message = `${err.code ? `${err.code}: ` : ''}${err.message}`;
+    const retryAt = job.attempts < job.max_attempts
+      ? new Date(Date.now() + retryDelay(job.attempts)).toISOString()
+      : null;
+    console.warn(
+      `[JobScheduler] Job ${job.id} (${job.type}) attempt ${job.attempts}/${job.max_attempts} failed: ${message}`
+    );
+    await failJob(job.id, message, retryAt);
+  }
+};
+
+/**
+ * Poll for due jobs every `intervalMs` and run them one after another.
+ * Returns a function that stops the loop.
+ */
+export const startJobWorker = ({ intervalMs = 5000, batchSize = 10 } = {}) => {
+  const workerId = `${os.hostname()}:${process.pid}`;
+  let busy = false;
+
+  const tick = async () => {
+    if (busy) return;
+    busy = true;
+    try {
+      const { data: jobs, error } = await claimJobs(workerId, batchSize);
+      if (error) return;
+      for (const job of jobs) {
+        await runJob(job);
+      }
+    } catch (err) {
+      console.error('[JobScheduler] Worker tick failed:', err);
+    } finally {
+      busy = false;
+    }
+  };
+
+  const timer = setInterval(tick, intervalMs);
+  console.log(`[JobScheduler] Worker ${workerId} polling every ${intervalMs}ms.`);
+  return () => clearInterval(timer);
+};
@@ -0,0 +1,233 @@
+// services/keypadPinService.js
+// Keypad PINs: a 6-digit PIN per stay, for when the guest's card fails or is
+// left in the room. It is generated at registration (POST
+// /api/hotel/register-flow with keypad_pin) or by staff, shown once and
+// stored as a bcrypt hash.
+//  - A normal room opens on the PIN alone (POST /api/rfid/verify-pin).
+//  - A room with requires_card_and_pin opens only on a card tap that also
+//    carries the PIN (POST /api/rfid/verify with pin).
+// keypad_pin_max_attempts wrong PINs in a row lock the room's keypad for
+// keypad_lockout_minutes, doubling with each lockout like staff logins.
+// Every PIN decision is written to access_logs.
+import crypto from 'crypto';
+import bcrypt from 'bcryptjs';
+import {
+  getStayPin,
+  upsertStayPin,
+  deleteStayPin,
+  getKeypadLockout,
+  incrementKeypadFailure,
+  deleteKeypadLockouts,
+} from '../models/keypadPinModel.js';
+import { findRoomByNumber } from '../models/roomsModel.js';
+import { findOpenStayForRoom, getOpenStayRooms } from '../models/stayModel.js';
+import { saveCredentialEvent } from '../models/accessLogModel.js';
+import { getSetting } from './settingsService.js';
+import { loadStay } from './stayService.js';
+import { scheduleAnomalyCheck } from './jobScheduler.js';
+import { AppError } from '../utils/appError.js';
+
+const MAX_LOCKOUT_MINUTES = 24 * 60;
+
+const DENIALS = {
+  locked_out: ['KEYPAD_LOCKED', 'Too many wrong PINs. The keypad is locked; please try again later.'],
+  wrong_pin: ['PIN_INVALID', 'Access denied: Wrong PIN.'],
+  pin_required: ['PIN_REQUIRED', 'Access denied: This room opens only with your card and PIN; enter your PIN.'],
+  card_required: ['PIN_CARD_REQUIRED', 'Access denied: This room opens only with your card and PIN.'],
+  not_checked_in: ['STAY_NOT_STARTED', 'Access denied: Your stay has not started yet.'],
+  stay_ended: ['STAY_ENDED', 'Access denied: Your stay has ended.'],
+};
+
+const newPin = () => String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+
+/**
+ * Give an open stay a new PIN, replacing any earlier one, and clear keypad
+ * lockouts on its rooms. Returns { stay_id, pin }; the PIN is not kept.
+ */
+export const generateStayPin = async (stayId, createdBy = null) => {
+  const stay = await loadStay(stayId, { requireOpen: true });
+
+  const pin = newPin();
+  const { data, error } = await upsertStayPin({
+    stay_id: stay.id,
+    pin_hash: await bcrypt.hash(pin, 10),
+    created_by: createdBy,
+  });
+  if (error) {
+    throw new AppError('DATABASE_ERROR', 'Database error: Unable to save keypad PIN.', { cause: error });
+  }
+
+  const roomIds = (stay.stay_rooms || []).filter((r) => !r.released_at).map((r) => r.room_id);
+  if (roomIds.length) {
+    const { error: clearError } = await deleteKeypadLockouts(roomIds);
+    if (clearError) console.error(`[KeypadPin] Unable to clear keypad lockouts for stay ${stay.id}:`, clearError);
+  }
+  return { stay_id: data.stay_id, pin, created_at: data.created_at };
+};
+
+/**
+ * Turn the stay's PIN off. Throws STAY_PIN_NOT_FOUND when it had none.
+ */
+export const removeStayPin = async (stayId) => {
+  const { data: removed, error } = await deleteStayPin(stayId);
+  if (error) {
+    throw new AppError('DATABASE_ERROR', 'Database error: Unable to remove keypad PIN.', { cause: error });
+  }
+  if (!removed) {
+    throw new AppError('STAY_PIN_NOT_FOUND', `Stay ${stayId} has no keypad PIN.`);
+  }
+};
+
+/**
+ * Seconds the room's keypad stays locked (0 when it is not). Fails open on
+ * database errors, like the login lockout. Visitor pass PINs typed at the
+ * same keypad share the lockout (services/visitorPassService.js).
+ */
+export const lockedForSeconds = async (roomId) => {
+  const { data: lockout, error } = await getKeypadLockout(roomId);
+  if (error || !lockout?.locked_until) return 0;
+  const remainingMs = new Date(lockout.locked_until).getTime() - Date.now();
+  return remainingMs > 0 ? Math.ceil(remainingMs / 1000) : 0;
+};
+
+/**
+ * Count a wrong PIN on the room's keypad and lock it at the threshold. The
+ * database keeps the count in one statement, like recordLoginFailure.
+ */
+export const recordPinFailure = async (roomId) => {
+  const { data: lockout } = await incrementKeypadFailure(roomId, {
+    maxAttempts: await getSetting('keypad_pin_max_attempts'),
+    baseMinutes: await getSetting('keypad_lockout_minutes'),
+    maxMinutes: MAX_LOCKOUT_MINUTES,
+  });
+  if (lockout?.failed_count === 0 && lockout.locked_until) {
+    const minutes = Math.round((new Date(lockout.locked_until).getTime() - Date.now()) / 60000);
+    console.warn(`[KeypadPin] Keypad of room #${roomId} locked for ${minutes} minutes.`);
+  }
+};
+
+/**
+ * Reset the room's wrong-PIN count after a PIN that matched.
+ */
+export const clearPinFailures = async (roomId) => {
+  const { error } = await deleteKeypadLockouts([roomId]);
+  if (error) console.error(`[KeypadPin] Unable to reset keypad of room #${roomId}:`, error);
+};
+
+/**
+ * Check `pin` against the PIN of the stay holding `room`. Returns
+ * { ok, reason, stay, retryAfterSeconds }. A room without a stay or a stay
+ * without a PIN answers like a wrong PIN.
+ */
+const checkPin = async (room, pin) => {
+  const retryAfterSeconds = await lockedForSeconds(room.id);
+  if (retryAfterSeconds > 0) return { ok: false, reason: 'locked_out', stay: null, retryAfterSeconds };
+
+  const { data: stay, error: stayError } = await findOpenStayForRoom(room.id);
+  if (stayError) {
+    throw new AppError('DATABASE_ERROR', 'Database error: Unable to look up stay.', { cause: stayError });
+  }
+  const { data: stayPin, error: pinError } = stay ? await getStayPin(stay.id) : { data: null };
+  if (pinError) {
+    throw new AppError('DATABASE_ERROR', 'Database error: Unable to look up keypad PIN.', { cause: pinError });
+  }
+  if (!stayPin || !(await bcrypt.compare(String(pin), stayPin.pin_hash))) {
+    await recordPinFailure(room.id);
+    return { ok: false, reason: 'wrong_pin', stay };
+  }
+
+  await clearPinFailures(room.id);
+  return { ok: true, reason: 'pin', stay };
+};
+
+const logDecision = async ({ credentialType, rfidUid = null, granted, reason, stay, room, deviceCode }) => {
+  const { data: logEntry, error } = await saveCredentialEvent({
+    credential_type: credentialType,
+    rfid_uid: rfidUid,
+    guest_id: stay?.primary_guest_id ?? null,
+    access_status: granted ? 'granted' : 'denied',
+    room_number: room.room_number,
+    device_id: deviceCode,
+    reason,
+  });
+  if (error) {
+    console.error(`[KeypadPin] Unable to log ${credentialType} entry at room ${room.room_number}:`, error);
+    return;
+  }
+  const { error: checkError } = await scheduleAnomalyCheck([logEntry.id]);
+  if (checkError) console.error('[KeypadPin] Unable to queue anomaly check:', checkError);
+};
+
+const deny = (reason, extra = {}) => {
+  const [code, message] = DENIALS[reason];
+  return new AppError(code, message, { details: { reason, ...extra } });
+};
+
+/**
+ * A PIN entered alone at a room keypad (`door` from resolveTapDoor, or
+ * `roomNumber`). Opens while the stay's room is checked in and not past its
+ * check-out; two-factor rooms refuse it. Returns { room, stay }.
+ */
+export const verifyKeypadPin = async ({ pin, door = null, roomNumber = null, deviceCode = null }) => {
+  if (door?.zone_id) {
+    throw new AppError('ROOM_ACCESS_DENIED', `Access denied: ${door.code} has no room keypad.`);
+  }
+  if (!roomNumber) {
+    throw new AppError('DOOR_REQUIRED', 'A PIN is entered at a door; device_id or room_number is required.');
+  }
+  const { data: room, error } = await findRoomByNumber(roomNumber);
+  if (error) {
+    throw new AppError('DATABASE_ERROR', 'Error fetching room information.', { cause: error });
+  }
+  if (!room) {
+    throw new AppError('ROOM_NOT_FOUND', `Room #${roomNumber} not found.`);
+  }
+
+  if (room.requires_card_and_pin) {
+    await logDecision({ credentialType: 'pin', granted: false, reason: 'card_required', stay: null, room, deviceCode });
+    throw deny('card_required');
+  }
+
+  const check = await checkPin(room, pin);
+  if (!check.ok) {
+    await logDecision({ credentialType: 'pin', granted: false, reason: check.reason, stay: check.stay, room, deviceCode });
+    throw deny(check.reason, check.retryAfterSeconds ? { retryAfterSeconds: check.retryAfterSeconds } : {});
+  }
+
+  // The PIN does not check anyone in: the room must already be occupied
+  const now = new Date();
+  const { data: rooms, error: roomsError } = await getOpenStayRooms(check.stay.id);
+  if (roomsError) {
+    throw new AppError('DATABASE_ERROR', 'Error fetching room information.', { cause: roomsError });
+  }
+  const current = rooms.find((r) => String(r.id) === String(room.id)) || room;
+  let reason = null;
+  if (check.stay.status !== 'active' || current.status !== 'occupied') reason = 'not_checked_in';
+  else if (now >= new Date(check.stay.check_out) || (current.check_out && now >= new Date(current.check_out))) {
+    reason = 'stay_ended';
+  }
+  await logDecision({ credentialType: 'pin', granted: !reason, reason: reason || 'pin', stay: check.stay, room, deviceCode });
+  if (reason) throw deny(reason);
+  return { room: current, stay: check.stay };
+};
+
+/**
+ * Second factor for a card tap on `room` (see verifyRFID). Rooms without
+ * requires_card_and_pin pass untouched (returns false); otherwise the PIN
+ * must match the stay's and the decision is logged as 'rfid_pin'.
+ */
+export const checkCardPin = async (rfidUid, room, pin, deviceCode = null) => {
+  if (!room.requires_card_and_pin) return false;
+
+  const entry = { credentialType: 'rfid_pin', rfidUid, room, deviceCode };
+  if (!pin) {
+    await logDecision({ ...entry, granted: false, reason: 'pin_required', stay: null });
+    throw deny('pin_required');
+  }
+  const check = await checkPin(room, pin);
+  await logDecision({ ...entry, granted: check.ok, reason: check.reason, stay: check.stay });
+  if (!check.ok) {
+    throw deny(check.reason, check.retryAfterSeconds ? { retryAfterSeconds: check.retryAfterSeconds } : {});
+  }
+  return true;
+};
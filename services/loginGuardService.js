@@ -0,0 +1,104 @@
+// services/loginGuardService.js
+import dotenv from 'dotenv';
+import {
+  getLoginLockout,
+  incrementLoginFailure,
+  deleteLoginLockout,
+  saveLoginAudit,
+} from '../models/loginAttemptModel.js';
+
+dotenv.config();
+
+const MAX_FAILED_ATTEMPTS = Number(process.env.LOGIN_MAX_FAILED_ATTEMPTS) || 5;
+const BASE_LOCKOUT_MINUTES = Number(process.env.LOGIN_LOCKOUT_MINUTES) || 15;
+const MAX_LOCKOUT_MINUTES = 24 * 60;
+const BASE_DELAY_MS = 500;
+const MAX_DELAY_MS = 8000;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Identifiers are compared case-insensitively and without surrounding spaces.
+ */
+export const normalizeIdentifier = (identifier) => String(identifier || '').trim().toLowerCase();
+
+async function audit(subjectType, identifier, req, { success, reason = null, subjectId = null }) {
+  await saveLoginAudit({
+    subject_type: subjectType,
+    identifier,
+    subject_id: subjectId,
+    success,
+    reason,
+    ip: req.ip || null,
+    user_agent: req.get('user-agent') || null,
+  });
+}
+
+/**
+ * Check whether an identifier may attempt to log in right now.
+ * Returns { allowed, retryAfterSeconds }. Fails open on database errors so an
+ * outage of the lockout table does not lock every account out.
+ */
+export const checkLoginAllowed = async (subjectType, rawIdentifier, req) => {
+  const identifier = normalizeIdentifier(rawIdentifier);
+  const { data: lockout, error } = await getLoginLockout(subjectType, identifier);
+  if (error || !lockout || !lockout.locked_until) {
+    return { allowed: true, retryAfterSeconds: 0 };
+  }
+
+  const remainingMs = new Date(lockout.locked_until).getTime() - Date.now();
+  if (remainingMs <= 0) {
+    return { allowed: true, retryAfterSeconds: 0 };
+  }
+
+  await audit(subjectType, identifier, req, { success: false, reason: 'locked_out' });
+  return { allowed: false, retryAfterSeconds: Math.ceil(remainingMs / 1000) };
+};
+
+/**
+ * Record a failed attempt, lock the identifier once it reaches the threshold
+ * and slow the response down progressively. Each successive lockout of the
+ * same identifier doubles in length, unless `escalate` is false (identifiers
+ * anyone can fail on behalf of others keep the base lockout). The count is
+ * kept by the database in one statement, so parallel failures cannot
+ * overwrite each other.
+ */
+export const recordLoginFailure = async (
+  subjectType,
+  rawIdentifier,
+  req,
+  { reason, subjectId = null, escalate = true } = {}
+) => {
+  const identifier = normalizeIdentifier(rawIdentifier);
+  await audit(subjectType, identifier, req, { success: false, reason, subjectId });
+
+  const { data: lockout } = await incrementLoginFailure(subjectType, identifier, {
+    maxAttempts: MAX_FAILED_ATTEMPTS,
+    baseMinutes: BASE_LOCKOUT_MINUTES,
+    maxMinutes: escalate ? MAX_LOCKOUT_MINUTES : BASE_LOCKOUT_MINUTES,
+  });
+  if (lockout?.failed_count === 0 && lockout.locked_until) {
+    const minutes = Math.round((new Date(lockout.locked_until).getTime() - Date.now()) / 60000);
+    console.warn(`[LoginGuard] ${subjectType} "${identifier}" locked for ${minutes} minutes.`);
+  }
+
+  const attempt = Math.max(lockout?.failed_count || 0, 1);
+  await sleep(Math.min(BASE_DELAY_MS * 2 ** (attempt - 1), MAX_DELAY_MS));
+};
+
+/**
+ * Record a successful login and reset the identifier's counters.
+ */
+export const recordLoginSuccess = async (subjectType, rawIdentifier, req, subjectId) => {
+  const identifier = normalizeIdentifier(rawIdentifier);
+  await audit(subjectType, identifier, req, { success: true, subjectId });
+  await deleteLoginLockout(subjectType, identifier);
+};
+
+/**
+ * Clear a lockout manually (admin action).
+ */
+export const unlockLogin = async (subjectType, rawIdentifier) => {
+  const identifier = normalizeIdentifier(rawIdentifier);
+  return deleteLoginLockout(subjectType, identifier);
+};
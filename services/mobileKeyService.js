@@ -0,0 +1,318 @@
+// services/mobileKeyService.js
+// Mobile keys: the guest app opens doors with a signed, time-bound token
+// instead of an RFID card. A token is bound to one stay, one guest and the
+// phone it was issued to, and stops working at the latest when the stay
+// checks out (018_mobile_keys.sql revokes it then).
+//
+// Token format (the same string goes in the QR code and the BLE payload):
+//
+//   MK1.<payload>.<signature>
+//
+// `payload` is base64url JSON { v, kid, sid, gid, iat, exp, k }: key id, stay,
+// guest, issue and expiry times (Unix seconds) and the signing key id.
+// `signature` is base64url Ed25519 over the ASCII text "MK1.<payload>", made
+// with MOBILE_KEY_SIGNING_KEY (a PKCS#8 PEM private key). Gateways may pin the
+// public key (GET /api/mobile-keys/public-key) to drop forged tokens early,
+// but only POST /api/mobile-keys/verify knows about revocation. Every unlock
+// also carries the app's install id, which must be the phone the key was
+// issued to; a token alone does not open a door.
+import crypto from 'crypto';
+import {
+  createMobileKey,
+  getMobileKeyById,
+  listMobileKeys,
+  revokeMobileKeys,
+  touchMobileKey,
+} from '../models/mobileKeyModel.js';
+import { getStayById, getOpenStayRooms, OPEN_STAY_STATUSES } from '../models/stayModel.js';
+import { findUserById } from '../models/userModel.js';
+import { saveCredentialEvent } from '../models/accessLogModel.js';
+import { evaluateZoneAccess } from './accessPolicyService.js';
+import { getSetting } from './settingsService.js';
+import { hashToken } from './tokenService.js';
+import { scheduleAnomalyCheck } from './jobScheduler.js';
+import { AppError } from '../utils/appError.js';
+
+export const MOBILE_KEY_FORMAT = 'MK1';
+
+const DENIALS = {
+  invalid_token: ['MOBILE_KEY_INVALID', 'Access denied: This mobile key is not valid.'],
+  expired: ['MOBILE_KEY_EXPIRED', 'Access denied: This mobile key has expired. Open the app to refresh it.'],
+  revoked: ['MOBILE_KEY_REVOKED', 'Access denied: This mobile key has been revoked.'],
+  wrong_phone: ['MOBILE_KEY_DEVICE_MISMATCH', 'Access denied: This mobile key belongs to another phone.'],
+  not_checked_in: ['STAY_NOT_STARTED', 'Access denied: Your stay has not started yet.'],
+  stay_ended: ['STAY_ENDED', 'Access denied: Your stay has ended.'],
+  not_on_stay: ['ROOM_ACCESS_DENIED', 'Access denied: This key does not open this room.'],
+  card_required: ['PIN_CARD_REQUIRED', 'Access denied: This room opens only with your card and PIN.'],
+  staff_only: ['ZONE_ACCESS_DENIED', 'Access denied: This door is for staff only.'],
+  outside_hours: ['ZONE_ACCESS_DENIED', 'Access denied: This area is closed to you at this time.'],
+  not_entitled: ['ZONE_ACCESS_DENIED', 'Access denied: Your booking does not include this area.'],
+};
+
+let signingKey = null;
+
+const loadSigningKey = () => {
+  if (signingKey) return signingKey;
+  const pem = process.env.MOBILE_KEY_SIGNING_KEY;
+  if (!pem) {
+    throw new AppError('MOBILE_KEY_SIGNING_UNAVAILABLE', 'Mobile key signing key is not configured.');
+  }
+  try {
+    const privateKey = crypto.createPrivateKey(pem.replace(/\\n/g, '\n'));
+    const publicKey = crypto.createPublicKey(privateKey);
+    const der = publicKey.export({ type: 'spki', format: 'der' });
+    signingKey = {
+      privateKey,
+      publicKey,
+      publicKeyPem: publicKey.export({ type: 'spki', format: 'pem' }),
+      keyId: crypto.createHash('sha256').update(der).digest('hex').slice(0, 16),
+    };
+    return signingKey;
+  } catch (err) {
+    throw new AppError('MOBILE_KEY_SIGNING_UNAVAILABLE', 'Mobile key signing key is invalid.', { cause: err });
+  }
+};
+
+const signToken = (claims) => {
+  const { privateKey, keyId } = loadSigningKey();
+  const payload = Buffer.from(JSON.stringify({ v: 1, ...claims, k: keyId }), 'utf8').toString('base64url');
+  const signed = `${MOBILE_KEY_FORMAT}.${payload}`;
+  const signature = crypto.sign(null, Buffer.from(signed, 'ascii'), privateKey).toString('base64url');
+  return `${signed}.${signature}`;
+};
+
+/**
+ * Claims of a well-formed token signed by our key, or null. Expiry is left
+ * to the caller so an expired key can be told apart from a forged one.
+ */
+const readToken = (token) => {
+  const { publicKey } = loadSigningKey();
+  const parts = String(token).split('.');
+  if (parts.length !== 3 || parts[0] !== MOBILE_KEY_FORMAT) return null;
+  try {
+    const ok = crypto.verify(
+      null,
+      Buffer.from(`${parts[0]}.${parts[1]}`, 'ascii'),
+      publicKey,
+      Buffer.from(parts[2], 'base64url')
+    );
+    if (!ok) return null;
+    const claims = JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'));
+    return claims && claims.v === 1 && claims.kid ? claims : null;
+  } catch {
+    return null;
+  }
+};
+
+const toPublicKey = ({ phone_hash, ...key }) => key;
+
+/**
+ * Public half of the signing key, for gateways to pin.
+ */
+export const getMobileKeyPublicKey = () => {
+  const { publicKeyPem, keyId } = loadSigningKey();
+  return { alg: 'Ed25519', format: MOBILE_KEY_FORMAT, key_id: keyId, public_key: publicKeyPem };
+};
+
+/**
+ * Issue a key for `guestId` on an open stay, bound to the phone's install id.
+ * A key already issued to the same phone on the stay is revoked. The key runs
+ * for the mobile_key_ttl_hours setting, never past the stay's check-out; the
+ * app asks for a new one when it expires.
+ */
+export const issueMobileKey = async ({ stayId, guestId, phoneId, issuedBy = null }) => {
+  loadSigningKey();
+  const { data: stay, error: stayError } = await getStayById(stayId);
+  if (stayError) {
+    throw new AppError('DATABASE_ERROR', 'Database error: Unable to look up stay.', { cause: stayError });
+  }
+  if (!stay) {
+    throw new AppError('STAY_NOT_FOUND', `Stay ${stayId} not found.`);
+  }
+  const now = new Date();
+  if (!OPEN_STAY_STATUSES.includes(stay.status) || new Date(stay.check_out) <= now) {
+    throw new AppError('STAY_CLOSED', `Stay ${stayId} is ${stay.status}; no mobile key can be issued.`);
+  }
+  if (!(stay.stay_guests || []).some((g) => String(g.guest_id) === String(guestId))) {
+    throw new AppError('GUEST_NOT_ON_STAY', `Guest ${guestId} is not on stay ${stayId}.`);
+  }
+
+  const phone_hash = hashToken(phoneId);
+  const { error: revokeError } = await revokeMobileKeys(
+    { stay_id: stay.id, guest_id: guestId, phone_hash },
+    'reissued'
+  );
+  if (revokeError) {
+    throw new AppError('DATABASE_ERROR', 'Database error: Unable to revoke the previous mobile key.', { cause: revokeError });
+  }
+
+  const ttlHours = await getSetting('mobile_key_ttl_hours');
+  const expiresAt = new Date(Math.min(now.getTime() + ttlHours * 60 * 60 * 1000, new Date(stay.check_out).getTime()));
+  const { data: key, error } = await createMobileKey({
+    stay_id: stay.id,
+    guest_id: guestId,
+    phone_hash,
+    expires_at: expiresAt.toISOString(),
+    issued_by: issuedBy,
+  });
+  if (error) {
+    throw new AppError('DATABASE_ERROR', 'Database error: Unable to issue mobile key.', { cause: error });
+  }
+
+  const token = signToken({
+    kid: key.id,
+    sid: key.stay_id,
+    gid: key.guest_id,
+    iat: Math.floor(now.getTime() / 1000),
+    exp: Math.floor(expiresAt.getTime() / 1000),
+  });
+  return { key: toPublicKey(key), token, format: MOBILE_KEY_FORMAT };
+};
+
+/**
+ * Keys of a stay and/or guest, newest first (without the phone hash).
+ */
+export const listKeys = async ({ stayId, guestId, liveOnly = false }) => {
+  const { data, error } = await listMobileKeys({ stay_id: stayId, guest_id: guestId, liveOnly });
+  if (error) {
+    throw new AppError('DATABASE_ERROR', 'Database error: Unable to list mobile keys.', { cause: error });
+  }
+  return data.map(toPublicKey);
+};
+
+/**
+ * Revoke one key (lost phone, guest request). Revoking a revoked key
+ * returns it unchanged.
+ */
+export const revokeKey = async (keyId, reason = 'revoked') => {
+  const { data: key, error } = await getMobileKeyById(keyId);
+  if (error) {
+    throw new AppError('DATABASE_ERROR', 'Database error: Unable to look up mobile key.', { cause: error });
+  }
+  if (!key) {
+    throw new AppError('MOBILE_KEY_NOT_FOUND', `Mobile key ${keyId} not found.`);
+  }
+  if (key.revoked_at) return toPublicKey(key);
+
+  const { data: revoked, error: revokeError } = await revokeMobileKeys({ id: key.id }, reason);
+  if (revokeError) {
+    throw new AppError('DATABASE_ERROR', 'Database error: Unable to revoke mobile key.', { cause: revokeError });
+  }
+  return toPublicKey(revoked[0] || key);
+};
+
+/**
+ * Room the key is used on: the door's room, or the stay's only live room.
+ */
+const pickRoom = (rooms, roomNumber, now) => {
+  const live = (r) => r.status === 'occupied' && !(r.check_out && now >= new Date(r.check_out));
+  if (!roomNumber) {
+    const liveRooms = rooms.filter(live);
+    if (liveRooms.length > 1) {
+      throw new AppError('DOOR_REQUIRED', 'This key opens several rooms; device_id or room_number of the door is required.', {
+        details: { room_numbers: liveRooms.map((r) => r.room_number) },
+      });
+    }
+    return liveRooms.length ? { room: liveRooms[0] } : { reason: 'stay_ended' };
+  }
+  const room = rooms.find((r) => String(r.room_number) === String(roomNumber));
+  if (!room) return { reason: 'not_on_stay' };
+  return live(room) ? { room } : { reason: 'stay_ended' };
+};
+
+/**
+ * Decide an unlock. Returns { granted, reason, key, guest, stay, room, zone };
+ * never throws for a denial.
+ */
+const decide = async (token, { phoneId, door, roomNumber }, now) => {
+  const claims = readToken(token);
+  if (!claims) return { granted: false, reason: 'invalid_token', key: null };
+
+  const { data: key, error } = await getMobileKeyById(claims.kid);
+  if (error) {
+    throw new AppError('DATABASE_ERROR', 'Database error: Unable to look up mobile key.', { cause: error });
+  }
+  if (!key || String(key.stay_id) !== String(claims.sid) || String(key.guest_id) !== String(claims.gid)) {
+    return { granted: false, reason: 'invalid_token', key: null };
+  }
+  const denied = (reason, extra = {}) => ({ granted: false, reason, key, ...extra });
+  if (key.revoked_at) return denied('revoked');
+  if (now.getTime() >= claims.exp * 1000 || now >= new Date(key.expires_at)) return denied('expired');
+  if (!phoneId || hashToken(phoneId) !== key.phone_hash) return denied('wrong_phone');
+
+  const { data: stay, error: stayError } = await getStayById(key.stay_id);
+  if (stayError) {
+    throw new AppError('DATABASE_ERROR', 'Database error: Unable to look up stay.', { cause: stayError });
+  }
+  if (!stay || !OPEN_STAY_STATUSES.includes(stay.status) || now >= new Date(stay.check_out)) {
+    return denied('stay_ended');
+  }
+  // Rooms are checked in at the desk or with the first card tap
+  if (stay.status !== 'active' || now < new Date(stay.check_in)) return denied('not_checked_in');
+
+  const { data: rooms, error: roomsError } = await getOpenStayRooms(stay.id);
+  if (roomsError) {
+    throw new AppError('DATABASE_ERROR', 'Error fetching room information.', { cause: roomsError });
+  }
+
+  if (door?.zone_id) {
+    const { data: guest, error: guestError } = await findUserById(key.guest_id);
+    if (guestError) {
+      throw new AppError('DATABASE_ERROR', 'Database error: Unable to look up guest.', { cause: guestError });
+    }
+    const access = await evaluateZoneAccess(
+      door.zone_id,
+      {
+        membershipLevel: guest?.membership_level,
+        addOns: stay.add_ons || [],
+        roomZoneIds: rooms.filter((r) => r.status === 'occupied').map((r) => r.zone_id).filter(Boolean),
+      },
+      now
+    );
+    return access.granted
+      ? { granted: true, reason: access.via, key, guest, stay, room: null, zone: access.zone, policy: access.policy }
+      : denied(access.reason, { stay, zone: access.zone });
+  }
+
+  const { room, reason } = pickRoom(rooms, roomNumber, now);
+  if (!room) return denied(reason, { stay });
+  // Two-factor rooms take the card and keypad PIN only (keypadPinService)
+  if (room.requires_card_and_pin) return denied('card_required', { stay, room });
+  return { granted: true, reason: 'stay', key, stay, room, zone: null };
+};
+
+/**
+ * Check a token presented at a door (`door` from resolveTapDoor, or
+ * `roomNumber` alone). Every decision is logged to access_logs with
+ * credential_type 'mobile_key'; a denial then throws.
+ */
+export const verifyMobileKey = async (token, { phoneId = null, door = null, roomNumber = null, deviceCode = null }) => {
+  const now = new Date();
+  const decision = await decide(token, { phoneId, door, roomNumber }, now);
+
+  const { data: logEntry, error: logError } = await saveCredentialEvent({
+    credential_type: 'mobile_key',
+    mobile_key_id: decision.key?.id ?? null,
+    guest_id: decision.key?.guest_id ?? null,
+    access_status: decision.granted ? 'granted' : 'denied',
+    room_number: decision.room?.room_number ?? (door?.zone_id ? null : roomNumber),
+    zone_id: door?.zone_id ?? null,
+    device_id: deviceCode,
+    reason: decision.reason,
+  });
+  if (logError) {
+    console.error(`[MobileKey] Unable to log unlock for key ${decision.key?.id ?? '(unreadable)'}:`, logError);
+  } else {
+    const { error: checkError } = await scheduleAnomalyCheck([logEntry.id]);
+    if (checkError) console.error('[MobileKey] Unable to queue anomaly check:', checkError);
+  }
+
+  if (!decision.granted) {
+    const [code, message] = DENIALS[decision.reason];
+    throw new AppError(code, message, { details: { reason: decision.reason, device_id: deviceCode } });
+  }
+
+  const { error: touchError } = await touchMobileKey(decision.key.id);
+  if (touchError) console.error(`[MobileKey] Unable to record use of key ${decision.key.id}:`, touchError);
+  return { ...decision, key: toPublicKey(decision.key) };
+};
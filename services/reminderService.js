@@ -0,0 +1,188 @@
+// services/reminderService.js
+// Guest and staff reminders driven by the 'reminder_policy' system setting:
+// which reminders are sent and how long before the event, the channels used
+// for each audience and the message templates. Staff copies go to every admin
+// who is on duty.
+import { upsertSystemSetting } from '../models/systemSettingsModel.js';
+import { fetchOnDutyAdmins } from '../models/adminModel.js';
+import { createNotification } from '../models/notificationModel.js';
+import { sendNotification } from './fcmService.js';
+import { sendMessage } from './deliveryService.js';
+import { getSetting, invalidateSettings } from './settingsService.js';
+
+export const REMINDER_POLICY_SETTING = 'reminder_policy';
+export const REMINDER_KINDS = ['checkout_warning', 'checkin_reminder', 'late_checkout_offer'];
+export const REMINDER_CHANNELS = ['in_app', 'fcm', 'email'];
+
+// notifications.notification_type per reminder
+const NOTIFICATION_TYPES = {
+  checkout_warning: 'checkout_reminder',
+  checkin_reminder: 'checkin_reminder',
+  late_checkout_offer: 'late_checkout_offer',
+};
+
+/**
+ * Placeholders: {{guest_name}}, {{room_number}}, {{minutes_left}},
+ * {{check_in}}, {{check_out}}.
+ */
+export const DEFAULT_REMINDER_POLICY = {
+  timezone: 'UTC',
+  checkout_warning: {
+    enabled: true,
+    minutes_before: [10],
+    guest_channels: ['in_app', 'fcm'],
+    staff_channels: ['in_app'],
+    guest_title: '{{minutes_left}} Minutes Left for Your Stay',
+    guest_message: 'Your check-out is in {{minutes_left}} minutes (Room #{{room_number}}).',
+    staff_title: 'Guest Check-Out Reminder',
+    staff_message: 'Room #{{room_number}} has {{minutes_left}} minutes left.',
+  },
+  checkin_reminder: {
+    enabled: true,
+    minutes_before: [24 * 60],
+    guest_channels: ['in_app', 'fcm', 'email'],
+    staff_channels: [],
+    guest_title: 'See You Tomorrow',
+    guest_message: 'Hi {{guest_name}}, your stay in Room #{{room_number}} starts {{check_in}}.',
+    staff_title: 'Upcoming Arrival',
+    staff_message: '{{guest_name}} arrives in Room #{{room_number}} at {{check_in}}.',
+  },
+  late_checkout_offer: {
+    enabled: false,
+    minutes_before: [120],
+    guest_channels: ['in_app', 'fcm'],
+    staff_channels: [],
+    guest_title: 'Need More Time?',
+    guest_message: 'Your check-out from Room #{{room_number}} is at {{check_out}}. Ask the front desk about a late check-out.',
+    staff_title: 'Late Check-Out Offer Sent',
+    staff_message: 'Room #{{room_number}} was offered a late check-out.',
+  },
+};
+
+/**
+ * Overlay a stored policy on the defaults, rule by rule, so a policy saved
+ * before a field existed still gets that field.
+ */
+const mergePolicy = (stored = {}) => {
+  const policy = { timezone: stored.timezone || DEFAULT_REMINDER_POLICY.timezone };
+  for (const kind of REMINDER_KINDS) {
+    policy[kind] = { ...DEFAULT_REMINDER_POLICY[kind], ...(stored[kind] || {}) };
+  }
+  return policy;
+};
+
+/**
+ * Current reminder policy: the stored setting merged over the defaults. A
+ * missing or unreadable setting falls back to the defaults.
+ */
+export const getReminderPolicy = async () => mergePolicy(await getSetting(REMINDER_POLICY_SETTING));
+
+/**
+ * Save a (partial) policy on top of the current one and return the result.
+ */
+export const saveReminderPolicy = async (changes) => {
+  const current = await getReminderPolicy();
+  const next = mergePolicy({
+    timezone: changes.timezone || current.timezone,
+    ...Object.fromEntries(REMINDER_KINDS.map((kind) => [kind, { ...current[kind], ...(changes[kind] || {}) }])),
+  });
+  const { error } = await upsertSystemSetting(REMINDER_POLICY_SETTING, JSON.stringify(next));
+  if (!error) invalidateSettings(REMINDER_POLICY_SETTING);
+  return { data: error ? null : next, error };
+};
+
+const formatTime = (value, timezone) => {
+  if (!value) return '';
+  try {
+    return new Date(value).toLocaleString('en-US', { timeZone: timezone, dateStyle: 'medium', timeStyle: 'short' });
+  } catch (err) {
+    return new Date(value).toISOString();
+  }
+};
+
+/**
+ * Replace {{placeholder}} tokens; unknown placeholders render empty.
+ */
+export const renderTemplate = (template, vars) =>
+  (template || '').replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) => (vars[key] ?? '').toString());
+
+const deliver = async (channels, recipient, { title, message, notificationType, data }) => {
+  const delivered = [];
+  for (const channel of channels) {
+    try {
+      if (channel === 'in_app') {
+        const { error } = await createNotification({
+          ...(recipient.type === 'guest'
+            ? { recipient_guest_id: recipient.id }
+            : { recipient_admin_id: recipient.id }),
+          title,
+          message,
+          notification_type: notificationType,
+        });
+        if (error) throw error;
+      } else if (channel === 'fcm') {
+        if (!recipient.fcm_token) continue;
+        await sendNotification(recipient.fcm_token, title, message, {
+          ...data,
+          userType: recipient.type,
+          [`${recipient.type}Id`]: recipient.id.toString(),
+        });
+      } else if (channel === 'email') {
+        if (!recipient.email) continue;
+        const { success, error } = await sendMessage({ channel: 'email', to: recipient.email, subject: title, body: message });
+        if (!success) throw error;
+      }
+      delivered.push(channel);
+    } catch (err) {
+      console.error(`[ReminderService] ${channel} delivery to ${recipient.type} ${recipient.id} failed:`, err.message || err);
+    }
+  }
+  return delivered;
+};
+
+/**
+ * Send one reminder of `kind` to the guest and to on-duty staff, over the
+ * channels the policy selects. Delivery failures are logged, never thrown.
+ * Returns { skipped } when the reminder is disabled, otherwise what was sent.
+ */
+export const sendReminder = async (kind, { guest, roomNumber, checkIn, checkOut, minutesBefore, data = {} }) => {
+  const policy = await getReminderPolicy();
+  const rule = policy[kind];
+  if (!rule?.enabled) return { skipped: 'disabled' };
+
+  const vars = {
+    guest_name: guest?.name || 'Guest',
+    room_number: roomNumber,
+    minutes_left: minutesBefore,
+    check_in: formatTime(checkIn, policy.timezone),
+    check_out: formatTime(checkOut, policy.timezone),
+  };
+  const payload = { ...data, type: kind, roomNumber: String(roomNumber) };
+  const notificationType = NOTIFICATION_TYPES[kind];
+
+  const guestChannels = guest
+    ? await deliver(rule.guest_channels, { ...guest, type: 'guest' }, {
+        title: renderTemplate(rule.guest_title, vars),
+        message: renderTemplate(rule.guest_message, vars),
+        notificationType,
+        data: payload,
+      })
+    : [];
+
+  let staffNotified = 0;
+  if (rule.staff_channels.length > 0) {
+    const admins = await fetchOnDutyAdmins();
+    for (const admin of admins) {
+      const sent = await deliver(rule.staff_channels, { ...admin, type: 'admin' }, {
+        title: renderTemplate(rule.staff_title, vars),
+        message: renderTemplate(rule.staff_message, vars),
+        notificationType,
+        data: payload,
+      });
+      if (sent.length > 0) staffNotified += 1;
+    }
+  }
+
+  console.log(`[ReminderService] Sent ${kind} for Room #${roomNumber} (guest: ${guestChannels.join(',') || 'none'}, staff: ${staffNotified})`);
+  return { guest_channels: guestChannels, staff_notified: staffNotified };
+};
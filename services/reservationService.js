@@ -0,0 +1,79 @@
+// services/reservationService.js
+// Date-range rules shared by reservations, stays and the registration flow.
+import supabase from '../config/supabase.js';
+import { findOverlappingReservations } from '../models/reservationModel.js';
+import { AppError } from '../utils/appError.js';
+
+/**
+ * True when a room's current occupant (rooms.check_out) still holds it at `checkIn`.
+ */
+const isHeldAt = (room, checkIn) => {
+  if (!['reserved', 'occupied'].includes(room.status)) return false;
+  if (!room.check_out) return true;
+  return new Date(room.check_out) > new Date(checkIn);
+};
+
+/**
+ * Throw RESERVATION_CONFLICT unless [checkIn, checkOut) is free for the room:
+ * no other holding reservation overlaps it and, when `checkCurrentHold` is set,
+ * the current occupant is gone by checkIn.
+ */
+export const assertRoomBookable = async (room, checkIn, checkOut, { excludeId = null, checkCurrentHold = true } = {}) => {
+  const { data: overlaps, error } = await findOverlappingReservations(checkIn, checkOut, {
+    roomIds: [room.id],
+    excludeId,
+  });
+  if (error) {
+    throw new AppError('DATABASE_ERROR', 'Database error: Unable to check reservations.', { cause: error });
+  }
+  if (overlaps.length > 0) {
+    throw new AppError('RESERVATION_CONFLICT', `Room ${room.room_number} is already booked for part of that period.`, {
+      details: {
+        conflicts: overlaps.map(({ id, check_in, check_out }) => ({ reservation_id: id, check_in, check_out })),
+      },
+    });
+  }
+  if (checkCurrentHold && isHeldAt(room, checkIn)) {
+    throw new AppError('RESERVATION_CONFLICT', `Room ${room.room_number} is occupied until ${room.check_out || 'further notice'}.`, {
+      details: { conflicts: [{ room_status: room.status, check_out: room.check_out }] },
+    });
+  }
+};
+
+/**
+ * Rooms free for the whole of [checkIn, checkOut), optionally filtered by
+ * room_type and minimum capacity. Rooms in maintenance only count as free for
+ * ranges that start after today.
+ */
+export const findAvailableRooms = async ({ checkIn, checkOut, roomType = null, minCapacity = null }) => {
+  let query = supabase
+    .from('rooms')
+    .select('id, room_number, room_type, capacity, status, check_out')
+    .order('room_number', { ascending: true });
+  if (roomType) query = query.eq('room_type', roomType);
+  if (minCapacity) query = query.gte('capacity', minCapacity);
+
+  const { data: rooms, error } = await query;
+  if (error) {
+    throw new AppError('DATABASE_ERROR', 'Database error: Unable to fetch rooms.', { cause: error });
+  }
+  if (rooms.length === 0) return [];
+
+  const { data: overlaps, error: overlapError } = await findOverlappingReservations(checkIn, checkOut, {
+    roomIds: rooms.map((r) => r.id),
+  });
+  if (overlapError) {
+    throw new AppError('DATABASE_ERROR', 'Database error: Unable to check reservations.', { cause: overlapError });
+  }
+  const booked = new Set(overlaps.map((r) => String(r.room_id)));
+
+  const endOfToday = new Date();
+  endOfToday.setHours(23, 59, 59, 999);
+  const startsLater = new Date(checkIn) > endOfToday;
+
+  return rooms
+    .filter((room) => !booked.has(String(room.id)))
+    .filter((room) => !isHeldAt(room, checkIn))
+    .filter((room) => room.status !== 'maintenance' || startsLater)
+    .map(({ check_out, ...room }) => room);
+};
@@ -0,0 +1,300 @@
+// services/settingsService.js
+// Typed registry of the operator-tunable settings stored in system_settings.
+// Every setting has a type, a default and bounds; reads go through a short
+// in-memory cache. A write clears this instance's cache entry at once; other
+// instances pick the change up when their entry expires (CACHE_TTL_MS).
+import {
+  getSystemSetting,
+  listSystemSettings,
+  upsertSystemSetting,
+  deleteSystemSetting,
+} from '../models/systemSettingsModel.js';
+import { AppError } from '../utils/appError.js';
+
+const CACHE_TTL_MS = 30 * 1000;
+
+export const SETTINGS = {
+  registration_no_show_minutes: {
+    type: 'integer',
+    default: 15,
+    min: 1,
+    max: 24 * 60,
+    description: 'Minutes after registration before an occupancy record nobody checked in to is removed.',
+  },
+  reservation_no_show_grace_minutes: {
+    type: 'integer',
+    default: 60,
+    min: 0,
+    max: 24 * 60,
+    description: 'Minutes after check-in before a promoted reservation nobody tapped in to is released.',
+  },
+  stale_mac_minutes: {
+    type: 'integer',
+    default: 60,
+    min: 5,
+    max: 7 * 24 * 60,
+    description: 'Minutes before an unauthenticated MAC address is purged.',
+  },
+  service_request_retention_days: {
+    type: 'integer',
+    default: 30,
+    min: 1,
+    max: 3650,
+    description: 'Days completed or rejected service requests are kept.',
+  },
+  notification_retention_days: {
+    type: 'integer',
+    default: 7,
+    min: 1,
+    max: 3650,
+    description: 'Days notifications are kept (read ones are purged at the next run).',
+  },
+  request_log_retention_days: {
+    type: 'integer',
+    default: 90,
+    min: 1,
+    max: 3650,
+    description: 'Days request logs are kept.',
+  },
+  card_sync_retention_days: {
+    type: 'integer',
+    default: 7,
+    min: 1,
+    max: 365,
+    description: 'Days card changes are kept for gateway delta sync; older cursors get a full resync.',
+  },
+  job_retention_days: {
+    type: 'integer',
+    default: 14,
+    min: 1,
+    max: 365,
+    description: 'Days finished scheduled jobs are kept for inspection.',
+  },
+  device_offline_minutes: {
+    type: 'integer',
+    default: 5,
+    min: 1,
+    max: 24 * 60,
+    description: 'Minutes without a heartbeat before a door reader or gateway is listed as offline.',
+  },
+  card_challenge_ttl_seconds: {
+    type: 'integer',
+    default: 30,
+    min: 5,
+    max: 300,
+    description: 'Seconds a reader has to return the card\'s answer to a challenge.',
+  },
+  legacy_uid_cards_allowed: {
+    type: 'boolean',
+    default: true,
+    description: 'Whether cards not yet provisioned with a key still open doors on their UID alone.',
+  },
+  mobile_key_ttl_hours: {
+    type: 'integer',
+    default: 24,
+    min: 1,
+    max: 24 * 30,
+    description: 'Hours a mobile key works before the app must fetch a new one (never past check-out).',
+  },
+  visitor_pass_default_hours: {
+    type: 'integer',
+    default: 4,
+    min: 1,
+    max: 24 * 7,
+    description: 'Hours a visitor pass works when the guest does not pick an end (never past check-out).',
+  },
+  keypad_pin_max_attempts: {
+    type: 'integer',
+    default: 5,
+    min: 1,
+    max: 50,
+    description: 'Wrong keypad PINs in a row before a room keypad is locked.',
+  },
+  keypad_lockout_minutes: {
+    type: 'integer',
+    default: 15,
+    min: 1,
+    max: 24 * 60,
+    description: 'Minutes of the first keypad lockout; each further lockout doubles it (capped at a day).',
+  },
+  wifi_devices_per_stay: {
+    type: 'integer',
+    default: 5,
+    min: 1,
+    max: 50,
+    description: 'Devices a stay may sign in to guest Wi-Fi through the captive portal at once.',
+  },
+  default_stay_hours: {
+    type: 'number',
+    default: 1,
+    min: 0.25,
+    max: 24 * 30,
+    description: 'Stay length used at first tap for a room without hours_stay or a booked check-out.',
+  },
+  reminder_policy: {
+    type: 'json',
+    default: {},
+    readOnly: true,
+    description: 'Reminder schedule, channels and templates; change it through /api/reminders/policy.',
+  },
+  anomaly_policy: {
+    type: 'json',
+    default: {},
+    readOnly: true,
+    description: 'Access anomaly rules, alert channels and auto-suspension; change it through /api/access-anomalies/policy.',
+  },
+};
+
+const cache = new Map();
+
+const definitionFor = (name) => {
+  const definition = SETTINGS[name];
+  if (!definition) {
+    throw new AppError('SETTING_NOT_FOUND', `Unknown setting '${name}'.`);
+  }
+  return definition;
+};
+
+/**
+ * Coerce a raw value to the setting's type. Returns { value } or { error }.
+ */
+const coerce = (definition, raw) => {
+  switch (definition.type) {
+    case 'integer':
+    case 'number': {
+      const value = typeof raw === 'string' && raw.trim() !== '' ? Number(raw) : raw;
+      if (typeof value !== 'number' || !Number.isFinite(value)) return { error: 'Must be a number.' };
+      if (definition.type === 'integer' && !Number.isInteger(value)) return { error: 'Must be an integer.' };
+      if (definition.min != null && value < definition.min) return { error: `Must be at least ${definition.min}.` };
+      if (definition.max != null && value > definition.max) return { error: `Must be at most ${definition.max}.` };
+      return { value };
+    }
+    case 'boolean':
+      if (raw === true || raw === 'true') return { value: true };
+      if (raw === false || raw === 'false') return { value: false };
+      return { error: 'Must be true or false.' };
+    case 'json':
+      if (raw === null || typeof raw !== 'object') return { error: 'Must be an object.' };
+      return { value: raw };
+    default:
+      return { error: `Unsupported setting type '${definition.type}'.` };
+  }
+};
+
+// setting_value holds JSON text; tolerate rows written by hand as bare values.
+const decode = (stored) => {
+  if (typeof stored !== 'string') return stored;
+  try {
+    return JSON.parse(stored);
+  } catch {
+    return stored;
+  }
+};
+
+const fromStored = (name, stored) => {
+  const definition = SETTINGS[name];
+  if (stored === undefined || stored === null) return definition.default;
+  const { value, error } = coerce(definition, decode(stored));
+  if (error) {
+    console.error(`[SettingsService] Stored value of '${name}' is invalid (${error}); using the default.`);
+    return definition.default;
+  }
+  return value;
+};
+
+/**
+ * Current value of a setting: the stored value, or the default when unset or
+ * unreadable. Never throws for a registered setting.
+ */
+export const getSetting = async (name) => {
+  definitionFor(name);
+  const cached = cache.get(name);
+  if (cached && cached.expiresAt > Date.now()) return cached.value;
+
+  const { data, error } = await getSystemSetting(name);
+  if (error) {
+    console.error(`[SettingsService] Error loading '${name}', using the default:`, error);
+    return cached ? cached.value : SETTINGS[name].default;
+  }
+  const value = fromStored(name, data?.setting_value);
+  cache.set(name, { value, expiresAt: Date.now() + CACHE_TTL_MS });
+  return value;
+};
+
+/**
+ * Drop cached values (one setting, or all of them).
+ */
+export const invalidateSettings = (name = null) => {
+  if (name) cache.delete(name);
+  else cache.clear();
+};
+
+/**
+ * Every registered setting with its current value and metadata.
+ */
+export const listSettings = async () => {
+  const { data, error } = await listSystemSettings();
+  if (error) {
+    throw new AppError('DATABASE_ERROR', 'Database error: Unable to fetch settings.', { cause: error });
+  }
+  const rows = new Map((data || []).map((row) => [row.setting_name, row]));
+
+  return Object.entries(SETTINGS).map(([name, definition]) => {
+    const row = rows.get(name);
+    return {
+      name,
+      value: fromStored(name, row?.setting_value),
+      default: definition.default,
+      type: definition.type,
+      min: definition.min ?? null,
+      max: definition.max ?? null,
+      read_only: Boolean(definition.readOnly),
+      is_default: !row,
+      description: definition.description,
+      updated_at: row?.updated_at ?? null,
+    };
+  });
+};
+
+const assertWritable = (name) => {
+  const definition = definitionFor(name);
+  if (definition.readOnly) {
+    throw new AppError('SETTING_READ_ONLY', `Setting '${name}' cannot be changed here.`, {
+      details: { description: definition.description },
+    });
+  }
+  return definition;
+};
+
+/**
+ * Validate and store a new value. Throws VALIDATION_FAILED for a bad value.
+ */
+export const updateSetting = async (name, rawValue) => {
+  const definition = assertWritable(name);
+  const { value, error: invalid } = coerce(definition, rawValue);
+  if (invalid) {
+    throw new AppError('VALIDATION_FAILED', `Invalid value for '${name}'.`, {
+      details: [{ field: 'value', location: 'body', message: invalid }],
+    });
+  }
+
+  const { error } = await upsertSystemSetting(name, JSON.stringify(value));
+  if (error) {
+    throw new AppError('DATABASE_ERROR', `Database error: Unable to save setting '${name}'.`, { cause: error });
+  }
+  invalidateSettings(name);
+  return value;
+};
+
+/**
+ * Remove the stored value so the default applies again.
+ */
+export const resetSetting = async (name) => {
+  const definition = assertWritable(name);
+  const { error } = await deleteSystemSetting(name);
+  if (error) {
+    throw new AppError('DATABASE_ERROR', `Database error: Unable to reset setting '${name}'.`, { cause: error });
+  }
+  invalidateSettings(name);
+  return definition.default;
+};
@@ -0,0 +1,183 @@
+// services/staffAccessService.js
+// Door decisions for staff and master RFID cards. Staff cards open doors only
+// during one of the holder's shifts: rooms where a rule for the holder's role
+// allows it, and any access zone. Master cards open every door at any time,
+// and every use alerts staff through a durable job. Every decision is logged
+// to access_logs, granted or denied.
+import { getAdminById, fetchOnDutyAdmins, getAllAdmins } from '../models/adminModel.js';
+import { findActiveShift, listRoomRules, listAssignments } from '../models/staffAccessModel.js';
+import { saveCardTapEvent } from '../models/accessLogModel.js';
+import { createNotification } from '../models/notificationModel.js';
+import { getZoneById } from '../models/accessZoneModel.js';
+import { sendNotification } from './fcmService.js';
+import { scheduleMasterCardAlert, scheduleAnomalyCheck } from './jobScheduler.js';
+import { AppError } from '../utils/appError.js';
+
+const DENIAL_MESSAGES = {
+  no_holder: 'Access denied: This staff card has no holder.',
+  off_shift: 'Access denied: You are not on shift.',
+  no_rule: 'Access denied: Your role may not enter this room now.',
+};
+
+const ALERT_ROLES = ['manager', 'admin', 'superadmin'];
+
+const loadHolder = async (adminId) => {
+  if (!adminId) return null;
+  const { data, error } = await getAdminById(Number(adminId));
+  if (error) {
+    throw new AppError('DATABASE_ERROR', 'Database error: Unable to look up card holder.', { cause: error });
+  }
+  return data;
+};
+
+/**
+ * First enabled rule of the holder's role that lets them into `room` now.
+ */
+const findRoomRule = async (admin, room, nowIso) => {
+  const { data: rules, error } = await listRoomRules({ role: admin.role, enabledOnly: true });
+  if (error) {
+    throw new AppError('DATABASE_ERROR', 'Database error: Unable to load staff room rules.', { cause: error });
+  }
+  const byStatus = rules.filter((r) => !r.room_statuses || r.room_statuses.includes(room.status));
+  const unconditional = byStatus.find((r) => !r.assigned_only);
+  if (unconditional || byStatus.length === 0) return unconditional || null;
+
+  const { data: assignments, error: assignmentError } = await listAssignments({
+    admin_id: admin.id,
+    room_id: room.id,
+    activeAt: nowIso,
+  });
+  if (assignmentError) {
+    throw new AppError('DATABASE_ERROR', 'Database error: Unable to load room assignments.', { cause: assignmentError });
+  }
+  return assignments.length > 0 ? byStatus[0] : null;
+};
+
+/**
+ * Decide a staff/master card tap on a room (`room` row) or a zone (`zoneId`).
+ * Returns { granted, reason, admin, rule, shift }; never throws for a denial.
+ */
+const decide = async (rfid, { room, zoneId }, now) => {
+  const admin = await loadHolder(rfid.admin_id);
+  if (!admin) return { granted: false, reason: 'no_holder', admin: null };
+  if (rfid.card_type === 'master') return { granted: true, reason: 'master_card', admin };
+
+  const nowIso = now.toISOString();
+  const { data: shift, error } = await findActiveShift(admin.id, nowIso);
+  if (error) {
+    throw new AppError('DATABASE_ERROR', 'Database error: Unable to look up shift.', { cause: error });
+  }
+  if (!shift) return { granted: false, reason: 'off_shift', admin };
+  if (zoneId) return { granted: true, reason: 'on_shift', admin, shift };
+
+  const rule = await findRoomRule(admin, room, nowIso);
+  if (!rule) return { granted: false, reason: 'no_rule', admin, shift };
+  return { granted: true, reason: rule.assigned_only ? 'assigned_room' : 'room_rule', admin, shift, rule };
+};
+
+/**
+ * Verify a staff or master card tap and log it. Throws ROOM_ACCESS_DENIED
+ * (after logging) when the card may not open the door.
+ *  - room: the room row behind the door, or null for a zone door
+ *  - zoneId: the zone behind the door, or null for a room door
+ *  - deviceCode: the reader that saw the tap, when known
+ */
+export const verifyStaffTap = async (rfid, { room = null, zoneId = null, deviceCode = null }) => {
+  const now = new Date();
+  const decision = await decide(rfid, { room, zoneId }, now);
+
+  const { data: logEntry, error: logError } = await saveCardTapEvent({
+    rfid_uid: rfid.rfid_uid,
+    admin_id: decision.admin?.id ?? null,
+    card_type: rfid.card_type,
+    access_status: decision.granted ? 'granted' : 'denied',
+    room_number: room?.room_number ?? null,
+    zone_id: zoneId,
+    device_id: deviceCode,
+    reason: decision.reason,
+  });
+  if (logError) {
+    console.error(`[StaffAccess] Unable to log ${rfid.card_type} card tap for ${rfid.rfid_uid}:`, logError);
+  } else {
+    const { error: checkError } = await scheduleAnomalyCheck([logEntry.id]);
+    if (checkError) console.error('[StaffAccess] Unable to queue anomaly check:', checkError);
+  }
+
+  if (rfid.card_type === 'master') {
+    const alert = {
+      access_log_id: logEntry?.id ?? null,
+      rfid_uid: rfid.rfid_uid,
+      admin_id: decision.admin?.id ?? null,
+      holder: decision.admin?.username ?? null,
+      room_number: room?.room_number ?? null,
+      zone_id: zoneId,
+      device_id: deviceCode,
+      granted: decision.granted,
+      at: now.toISOString(),
+    };
+    const { error: scheduleError } = await scheduleMasterCardAlert(alert);
+    if (scheduleError) {
+      // The alert is mandatory: deliver it inline when it cannot be queued.
+      await sendMasterCardAlert(alert).catch((err) =>
+        console.error('[StaffAccess] Master card alert failed:', err)
+      );
+    }
+  }
+
+  if (!decision.granted) {
+    throw new AppError('ROOM_ACCESS_DENIED', DENIAL_MESSAGES[decision.reason], {
+      details: { reason: decision.reason, card_type: rfid.card_type },
+    });
+  }
+  return decision;
+};
+
+/**
+ * Alert staff to a master card use: in-app notification (and FCM when a token
+ * is on file) to everyone on duty, or to every manager/admin when nobody is.
+ * Throws when nobody could be reached so the job is retried.
+ */
+export const sendMasterCardAlert = async (alert) => {
+  let recipients = await fetchOnDutyAdmins();
+  if (recipients.length === 0) {
+    const { data } = await getAllAdmins();
+    recipients = (data || []).filter((a) => ALERT_ROLES.includes(a.role));
+  }
+
+  let where = alert.room_number ? `Room #${alert.room_number}` : 'a door';
+  if (!alert.room_number && alert.zone_id) {
+    const { data: zone } = await getZoneById(alert.zone_id);
+    if (zone) where = zone.name;
+  }
+  const title = 'Master Card Used';
+  const message =
+    `Master card ${alert.rfid_uid} (${alert.holder || 'no holder'}) was used at ${where}` +
+    `${alert.device_id ? ` via ${alert.device_id}` : ''}; access ${alert.granted ? 'granted' : 'denied'}.`;
+
+  let reached = 0;
+  for (const admin of recipients) {
+    const { error } = await createNotification({
+      recipient_admin_id: admin.id,
+      title,
+      message,
+      notification_type: 'master_card_alert',
+    });
+    if (error) {
+      console.error(`[StaffAccess] Unable to notify admin ${admin.id} of master card use:`, error);
+      continue;
+    }
+    reached += 1;
+    if (admin.fcm_token) {
+      await sendNotification(admin.fcm_token, title, message, {
+        type: 'master_card_alert',
+        userType: 'admin',
+        adminId: admin.id.toString(),
+      }).catch((err) => console.error(`[StaffAccess] FCM to admin ${admin.id} failed:`, err.message || err));
+    }
+  }
+  if (reached === 0) {
+    throw new Error('Master card alert reached no staff member.');
+  }
+  console.log(`[StaffAccess] Master card alert for ${alert.rfid_uid} sent to ${reached} staff member(s).`);
+  return { reached };
+};
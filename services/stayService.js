@@ -0,0 +1,279 @@
+// services/stayService.js
+// Opening stays and reserving their rooms. Shared by the stays API, manual
+// reservation promotion and the reservation promotion job.
+import { getStayById, OPEN_STAY_STATUSES } from '../models/stayModel.js';
+import { findRFIDByUID } from '../models/rfidModel.js';
+import {
+  replaceCardTx,
+  openStayTx,
+  addStayRoomTx,
+  promoteReservationTx,
+  rescheduleStayCheckOutTx,
+} from '../models/occupancyFlowModel.js';
+import { findUserById } from '../models/userModel.js';
+import { createNotification } from '../models/notificationModel.js';
+import { sendNotification } from './fcmService.js';
+import { pushStayExpiry } from './gatewayService.js';
+import { toPublicCard } from './cardCredentialService.js';
+import { scheduleRoomCheckOutJobs, cancelReservationJobs } from './jobScheduler.js';
+import { AppError, appErrorFromRpc } from '../utils/appError.js';
+
+/**
+ * Load a stay or throw STAY_NOT_FOUND; with requireOpen, also reject closed stays.
+ */
+export const loadStay = async (stayId, { requireOpen = false } = {}) => {
+  const { data: stay, error } = await getStayById(stayId);
+  if (error) {
+    throw new AppError('DATABASE_ERROR', 'Database error: Unable to fetch stay.', { cause: error });
+  }
+  if (!stay) {
+    throw new AppError('STAY_NOT_FOUND', `Stay ${stayId} not found.`);
+  }
+  if (requireOpen && !OPEN_STAY_STATUSES.includes(stay.status)) {
+    throw new AppError('STAY_CLOSED', `Stay ${stayId} is ${stay.status}.`, { details: { status: stay.status } });
+  }
+  return stay;
+};
+
+/**
+ * Load a guest or throw GUEST_NOT_FOUND.
+ */
+export const loadGuest = async (guestId) => {
+  const { data: guest, error } = await findUserById(guestId);
+  if (error) {
+    throw new AppError('DATABASE_ERROR', 'Database error: Unable to fetch guest.', { cause: error });
+  }
+  if (!guest) {
+    throw new AppError('GUEST_NOT_FOUND', `Guest ${guestId} not found.`);
+  }
+  return guest;
+};
+
+/**
+ * Load the primary guest (who must have verified email and phone) and any
+ * companions. Returns the primary guest's occupant snapshot.
+ */
+const loadStayGuests = async (primaryGuestId, companionIds = []) => {
+  const guest = await loadGuest(primaryGuestId);
+  if (!guest.email_verified_at || !guest.phone_verified_at) {
+    throw new AppError('CONTACT_NOT_VERIFIED', 'Guest must verify both email and phone before registration');
+  }
+  for (const companionId of companionIds) {
+    await loadGuest(companionId);
+  }
+  const { password, ...occupantSnapshot } = guest;
+  return occupantSnapshot;
+};
+
+/**
+ * Reserve an available room on an open stay for its primary guest and open its
+ * occupancy record (add_stay_room, one transaction).
+ */
+export const reserveRoomForStay = async (stay, roomNumber, occupantSnapshot) => {
+  const { data: reserved, error } = await addStayRoomTx({
+    stay_id: stay.id,
+    room_number: roomNumber,
+    occupant_snapshot: occupantSnapshot,
+  });
+  if (error) {
+    throw appErrorFromRpc(error, `Room ${roomNumber} could not be added to the stay; nothing was changed.`);
+  }
+
+  await scheduleRoomCheckOutJobs(reserved);
+  return reserved;
+};
+
+/**
+ * Open a stay for a primary guest with one or more rooms and optional companions.
+ * The stay, its guests and every room are written in one transaction (open_stay):
+ * if any room cannot be reserved, nothing is kept.
+ */
+export const openStay = async ({
+  primary_guest_id,
+  room_numbers,
+  check_in,
+  check_out,
+  companion_ids = [],
+  notes = null,
+  created_by = null,
+  add_ons = [],
+}) => {
+  const occupantSnapshot = await loadStayGuests(primary_guest_id, companion_ids);
+
+  const { data: opened, error } = await openStayTx({
+    primary_guest_id,
+    room_numbers,
+    check_in: new Date(check_in).toISOString(),
+    check_out: new Date(check_out).toISOString(),
+    companion_ids,
+    notes,
+    created_by,
+    add_ons,
+    occupant_snapshot: occupantSnapshot,
+  });
+  if (error) {
+    throw appErrorFromRpc(error, 'Unable to open the stay; nothing was changed.');
+  }
+
+  for (const room of opened.rooms) {
+    await scheduleRoomCheckOutJobs(room);
+  }
+  return loadStay(opened.stay_id);
+};
+
+/**
+ * Turn a booked reservation into a stay holding its room and mark it promoted,
+ * in one transaction (promote_reservation).
+ * `checkIn` moves the start earlier for guests who arrive ahead of time.
+ * Throws RESERVATION_NOT_BOOKED if another caller promoted or canceled it first.
+ */
+export const promoteReservation = async (reservation, { createdBy = null, checkIn = null } = {}) => {
+  if (reservation.status !== 'booked') {
+    throw new AppError('RESERVATION_NOT_BOOKED', `Reservation ${reservation.id} is ${reservation.status}.`, {
+      details: { status: reservation.status },
+    });
+  }
+  const occupantSnapshot = await loadStayGuests(reservation.guest_id);
+
+  const { data: promoted, error } = await promoteReservationTx({
+    reservation_id: reservation.id,
+    check_in: checkIn ? new Date(checkIn).toISOString() : null,
+    created_by: createdBy,
+    occupant_snapshot: occupantSnapshot,
+  });
+  if (error) {
+    throw appErrorFromRpc(error, `Unable to promote reservation ${reservation.id}; nothing was changed.`);
+  }
+
+  for (const room of promoted.rooms) {
+    await scheduleRoomCheckOutJobs(room);
+  }
+  await cancelReservationJobs(reservation.id);
+  const stay = await loadStay(promoted.stay_id);
+  return { reservation: promoted.reservation, stay };
+};
+
+/**
+ * In-app notification plus FCM push to every guest on the stay. Delivery
+ * failures are logged; they never undo the change being announced.
+ */
+const notifyStayGuests = async (stay, title, message, data = {}) => {
+  for (const { guest_id } of stay.stay_guests || []) {
+    try {
+      const { error } = await createNotification({
+        recipient_guest_id: guest_id,
+        title,
+        message,
+        notification_type: 'stay_update',
+      });
+      if (error) {
+        console.error('[StayService] Failed to create notification for guest:', guest_id, error);
+      }
+
+      const { data: guest } = await findUserById(guest_id);
+      if (guest?.fcm_token) {
+        await sendNotification(guest.fcm_token, title, message, {
+          ...data,
+          stayId: stay.id.toString(),
+          userType: 'guest',
+          guestId: guest_id.toString(),
+        });
+      }
+    } catch (err) {
+      console.error('[StayService] Error notifying guest about stay change:', guest_id, err);
+    }
+  }
+};
+
+/**
+ * Move an open stay's check_out (extension or early departure) and bring every
+ * copy of it along: the stay, its promoted reservation, each room's check_out
+ * and hours_stay, the open occupancy records, the 10-minute warning flag and
+ * the Wi-Fi device expiry, in one transaction (reschedule_stay_check_out).
+ * An extension must not run into another reservation on any of the rooms.
+ * The scheduled check-out jobs follow; guests are notified and the gateway
+ * gets the new expiry.
+ */
+export const rescheduleStayCheckOut = async (stay, checkOut) => {
+  const oldCheckOut = new Date(stay.check_out).toISOString();
+  const newCheckOut = new Date(checkOut).toISOString();
+
+  const { data: result, error } = await rescheduleStayCheckOutTx(stay.id, newCheckOut);
+  if (error) {
+    if (error.code === '23P01') {
+      throw new AppError('RESERVATION_CONFLICT', 'A room on this stay was booked for part of that period in the meantime.');
+    }
+    throw appErrorFromRpc(error, 'Unable to move the stay check-out; nothing was changed.');
+  }
+
+  const { rooms } = result;
+  for (const room of rooms) {
+    await scheduleRoomCheckOutJobs(room);
+  }
+
+  const updated = await loadStay(stay.id);
+  const roomNumbers = rooms.map((r) => r.room_number);
+  const extended = newCheckOut > oldCheckOut;
+
+  await notifyStayGuests(
+    updated,
+    extended ? 'Your Stay Has Been Extended' : 'Your Check-Out Has Moved Earlier',
+    `Check-out for Room #${roomNumbers.join(', #')} is now ${newCheckOut}.`,
+    { checkOut: newCheckOut }
+  );
+
+  const gatewaySynced = await pushStayExpiry({
+    stayId: stay.id,
+    guestIds: (updated.stay_guests || []).map((g) => g.guest_id),
+    rfidUids: (updated.stay_cards || []).filter((c) => !c.revoked_at).map((c) => c.rfid_tags?.rfid_uid).filter(Boolean),
+    roomNumbers,
+    checkOut: newCheckOut,
+  });
+
+  return { stay: updated, gatewaySynced };
+};
+
+const loadCard = async (rfidUid) => {
+  const { data: rfid, error } = await findRFIDByUID(rfidUid);
+  if (error) {
+    throw new AppError('DATABASE_ERROR', 'Database error: Unable to look up RFID.', { cause: error });
+  }
+  if (!rfid) {
+    throw new AppError('RFID_NOT_FOUND', `RFID ${rfidUid} does not exist in the database.`);
+  }
+  return rfid;
+};
+
+/**
+ * Replace a lost guest card with an available one, keeping the stay: the old
+ * card is marked lost and revoked, the new one opens the same rooms and the
+ * open occupancy records move to it (see replace_card in
+ * config/migrations/016_card_replacement.sql). Gateways drop the old UID
+ * through card sync. The card's guest is told; a failed notification never
+ * undoes the swap.
+ */
+export const replaceLostCard = async ({ oldRfidUid, newRfidUid, replacedBy = null, note = null }) => {
+  const oldCard = await loadCard(oldRfidUid);
+  const newCard = await loadCard(newRfidUid);
+
+  const { data: result, error } = await replaceCardTx({
+    old_rfid_id: oldCard.id,
+    new_rfid_id: newCard.id,
+    replaced_by: replacedBy,
+    note,
+  });
+  if (error) {
+    throw appErrorFromRpc(error, 'Error replacing the card.');
+  }
+
+  const rooms = result.room_numbers.length ? ` for Room #${result.room_numbers.join(', #')}` : '';
+  await notifyStayGuests(
+    { id: result.stay_id, stay_guests: [{ guest_id: result.guest_id }] },
+    'Your Room Card Was Replaced',
+    `Your lost card no longer opens any door. Please use your new card${rooms}.`,
+    { type: 'card_replaced', rfidUid: result.new_rfid.rfid_uid }
+  );
+
+  console.log(`[StayService] Card ${oldRfidUid} replaced by ${newRfidUid} on stay ${result.stay_id}.`);
+  return { ...result, old_rfid: toPublicCard(result.old_rfid), new_rfid: toPublicCard(result.new_rfid) };
+};
@@ -0,0 +1,50 @@
+// services/tokenService.js
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const GUEST_ACCESS_TOKEN_EXPIRY = process.env.GUEST_ACCESS_TOKEN_EXPIRY || '15m';
+const GUEST_REFRESH_TOKEN_DAYS = Number(process.env.GUEST_REFRESH_TOKEN_DAYS) || 30;
+
+/**
+ * Sign a staff access token (same claims the admin login has always issued).
+ */
+export const signStaffAccessToken = (admin) =>
+  jwt.sign(
+    { id: admin.id, role: admin.role },
+    process.env.JWT_SECRET,
+    { expiresIn: process.env.ACCESS_TOKEN_EXPIRY || '1h' }
+  );
+
+/**
+ * Sign a short-lived guest access token.
+ */
+export const signGuestAccessToken = (guestId) =>
+  jwt.sign(
+    { id: guestId, role: 'guest' },
+    process.env.JWT_SECRET,
+    { expiresIn: GUEST_ACCESS_TOKEN_EXPIRY }
+  );
+
+/**
+ * Generate an opaque refresh token plus the values we persist for it.
+ * Only the hash is ever stored server-side.
+ */
+export const generateRefreshToken = () => {
+  const token = crypto.randomBytes(48).toString('base64url');
+  const expiresAt = new Date(Date.now() + GUEST_REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000);
+  return { token, tokenHash: hashToken(token), expiresAt: expiresAt.toISOString() };
+};
+
+/**
+ * SHA-256 hex digest used to look up refresh tokens.
+ */
+export const hashToken = (token) =>
+  crypto.createHash('sha256').update(String(token)).digest('hex');
+
+/**
+ * New family identifier for a fresh login.
+ */
+export const newTokenFamily = () => crypto.randomUUID();
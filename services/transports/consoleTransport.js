@@ -0,0 +1,9 @@
+// services/transports/consoleTransport.js
+
+/**
+ * Development transport: prints the message to stdout.
+ */
+export const send = async ({ channel, to, subject, body }) => {
+  console.log(`[Delivery:console] (${channel}) to=${to} subject="${subject || ''}"\n${body}`);
+  return { success: true };
+};
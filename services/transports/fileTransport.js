@@ -0,0 +1,21 @@
+// services/transports/fileTransport.js
+import fs from 'fs';
+import path from 'path';
+
+const outboxFile = process.env.DELIVERY_OUTBOX_FILE || path.join('logs', 'outbox.log');
+
+/**
+ * Development transport: appends each message as one JSON line to the outbox file.
+ */
+export const send = async ({ channel, to, subject, body }) => {
+  const line = JSON.stringify({
+    sent_at: new Date().toISOString(),
+    channel,
+    to,
+    subject: subject || null,
+    body,
+  });
+  await fs.promises.mkdir(path.dirname(outboxFile), { recursive: true });
+  await fs.promises.appendFile(outboxFile, `${line}\n`);
+  return { success: true };
+};
@@ -0,0 +1,22 @@
+// services/transports/smsTransport.js
+import axios from 'axios';
+
+/**
+ * Production SMS transport.
+ * Posts { to, from, message } to a generic HTTP SMS gateway configured with
+ * SMS_API_URL / SMS_API_KEY / SMS_SENDER.
+ */
+export const send = async ({ to, body }) => {
+  if (!process.env.SMS_API_URL) {
+    throw new Error('SMS_API_URL is not configured.');
+  }
+  const resp = await axios.post(
+    process.env.SMS_API_URL,
+    { to, from: process.env.SMS_SENDER || null, message: body },
+    {
+      headers: { Authorization: `Bearer ${process.env.SMS_API_KEY || ''}` },
+      timeout: 10000,
+    }
+  );
+  return { success: true, id: resp.data?.id ?? null };
+};
@@ -0,0 +1,215 @@
+// services/verificationService.js
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+import {
+  createVerificationCode,
+  findLatestActiveCode,
+  findCodesIssuedSince,
+  claimCodeAttempt,
+  consumeCode,
+  invalidateCodes,
+} from '../models/verificationCodeModel.js';
+import { sendMessage } from './deliveryService.js';
+import { checkLoginAllowed, recordLoginFailure, recordLoginSuccess } from './loginGuardService.js';
+
+dotenv.config();
+
+const CODE_TTL_MINUTES = {
+  password_reset: Number(process.env.RESET_CODE_TTL_MINUTES) || 15,
+  verify_email: Number(process.env.VERIFY_CODE_TTL_MINUTES) || 30,
+  verify_phone: Number(process.env.VERIFY_CODE_TTL_MINUTES) || 30,
+};
+const MAX_CODE_ATTEMPTS = 5;
+// Codes issued per hour: per subject and purpose, and per requesting IP
+const ISSUE_WINDOW_MS = 60 * 60 * 1000;
+const MAX_CODES_PER_SUBJECT = Number(process.env.VERIFY_MAX_CODES_PER_HOUR) || 5;
+const MAX_CODES_PER_IP = Number(process.env.VERIFY_MAX_CODES_PER_IP_PER_HOUR) || 20;
+
+const MESSAGES = {
+  password_reset: {
+    subject: 'Your password reset code',
+    body: (code, ttl) =>
+      `Your Smart Access Control password reset code is ${code}. It expires in ${ttl} minutes. If you did not request this, ignore this message.`,
+  },
+  verify_email: {
+    subject: 'Verify your email address',
+    body: (code, ttl) =>
+      `Your Smart Access Control email verification code is ${code}. It expires in ${ttl} minutes.`,
+  },
+  verify_phone: {
+    subject: 'Verify your phone number',
+    body: (code, ttl) =>
+      `Your Smart Access Control phone verification code is ${code}. It expires in ${ttl} minutes.`,
+  },
+};
+
+/**
+ * Keyed hash so a leaked table cannot be brute-forced offline
+ * (6-digit codes are otherwise trivial to enumerate).
+ */
+function hashCode(code) {
+  return crypto
+    .createHmac('sha256', process.env.JWT_SECRET || 'verification-codes')
+    .update(String(code))
+    .digest('hex');
+}
+
+function safeEqualHex(a, b) {
+  const bufA = Buffer.from(a, 'hex');
+  const bufB = Buffer.from(b, 'hex');
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+/**
+ * Check whether another code may be issued for a subject and purpose, and to
+ * a requesting IP, within the hourly limits. Either scope may be left out
+ * (no subjectId, or no requestedIp).
+ * Returns { allowed, retryAfterSeconds, error }.
+ */
+export const checkIssueAllowed = async ({ subjectType, subjectId = null, purpose, requestedIp = null }) => {
+  const since = new Date(Date.now() - ISSUE_WINDOW_MS).toISOString();
+  const scopes = [];
+  if (subjectId) scopes.push([{ subjectType, subjectId, purpose }, MAX_CODES_PER_SUBJECT]);
+  if (requestedIp) scopes.push([{ requestedIp }, MAX_CODES_PER_IP]);
+
+  let retryAfterSeconds = 0;
+  for (const [scope, limit] of scopes) {
+    const { data: issued, error } = await findCodesIssuedSince(scope, since);
+    if (error) return { allowed: false, retryAfterSeconds: 0, error };
+    if (issued.length >= limit) {
+      // A slot frees up when the oldest code that still counts leaves the window
+      const freedAt = new Date(issued[issued.length - limit].created_at).getTime() + ISSUE_WINDOW_MS;
+      retryAfterSeconds = Math.max(retryAfterSeconds, Math.ceil((freedAt - Date.now()) / 1000), 1);
+    }
+  }
+  return { allowed: retryAfterSeconds === 0, retryAfterSeconds, error: null };
+};
+
+/**
+ * Issue a fresh 6-digit code, invalidating any outstanding one for the same
+ * subject and purpose, and deliver it over the given channel. requestedIp is
+ * stored for the per-IP limit of checkIssueAllowed().
+ */
+export const issueCode = async ({ subjectType, subjectId, purpose, channel, destination, requestedIp = null }) => {
+  const code = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+  const ttl = CODE_TTL_MINUTES[purpose];
+  if (!ttl) {
+    return { success: false, error: new Error(`Unknown verification purpose: ${purpose}`) };
+  }
+
+  const { error: invalidateError } = await invalidateCodes(subjectType, subjectId, purpose);
+  if (invalidateError) return { success: false, error: invalidateError };
+
+  const { error: createError } = await createVerificationCode({
+    subject_type: subjectType,
+    subject_id: subjectId,
+    purpose,
+    channel,
+    destination,
+    code_hash: hashCode(code),
+    requested_ip: requestedIp,
+    expires_at: new Date(Date.now() + ttl * 60 * 1000).toISOString(),
+  });
+  if (createError) return { success: false, error: createError };
+
+  const template = MESSAGES[purpose];
+  const { success, error: sendError } = await sendMessage({
+    channel,
+    to: destination,
+    subject: template.subject,
+    body: template.body(code, ttl),
+  });
+  return { success, error: sendError };
+};
+
+/**
+ * Check and consume a code.
+ * Returns { valid, reason, error } where reason is one of
+ * 'not_found' | 'expired' | 'too_many_attempts' | 'mismatch'.
+ */
+export const checkCode = async ({ subjectType, subjectId, purpose, code }) => {
+  const { data: record, error } = await findLatestActiveCode(subjectType, subjectId, purpose);
+  if (error) return { valid: false, reason: null, error };
+  if (!record) return { valid: false, reason: 'not_found', error: null };
+
+  if (new Date(record.expires_at) <= new Date()) {
+    await consumeCode(record.id);
+    return { valid: false, reason: 'expired', error: null };
+  }
+
+  // The attempt is counted before the code is compared
+  const { data: claimed, error: claimError } = await claimCodeAttempt(record.id, MAX_CODE_ATTEMPTS);
+  if (claimError) return { valid: false, reason: null, error: claimError };
+  if (!claimed) {
+    await consumeCode(record.id);
+    return { valid: false, reason: 'too_many_attempts', error: null };
+  }
+
+  if (!safeEqualHex(hashCode(code), record.code_hash)) {
+    return { valid: false, reason: 'mismatch', error: null };
+  }
+
+  const { data: consumed, error: consumeError } = await consumeCode(record.id);
+  if (consumeError) return { valid: false, reason: null, error: consumeError };
+  if (!consumed) return { valid: false, reason: 'not_found', error: null };
+  return { valid: true, reason: null, error: null };
+};
+
+/**
+ * Wrong codes also count against the login lockouts (subject_type
+ * 'verification'), once per subject the code was tried for and once for the
+ * client IP. Unlike a code's own attempt limit, these counts survive a new
+ * code, so requesting codes over and over does not buy more guesses.
+ * subjects: [{ subjectType, subjectId }].
+ */
+const guessKeys = (subjects, req) => [
+  ...subjects.map(({ subjectType, subjectId }) => `${subjectType}:${subjectId}`),
+  `ip:${req.ip}`,
+];
+
+/**
+ * Check whether codes may be tried for these subjects from this client.
+ * Returns { allowed, retryAfterSeconds }.
+ */
+export const checkGuessAllowed = async (subjects, req) => {
+  const checks = await Promise.all(guessKeys(subjects, req).map((key) => checkLoginAllowed('verification', key, req)));
+  return {
+    allowed: checks.every((c) => c.allowed),
+    retryAfterSeconds: Math.max(0, ...checks.map((c) => c.retryAfterSeconds)),
+  };
+};
+
+/**
+ * Count a wrong code (any failed checkCode() reason) for these subjects and
+ * the client IP.
+ */
+export const recordWrongCode = async (subjects, req, reason) => {
+  const subjectId = subjects.length === 1 ? subjects[0].subjectId : null;
+  await Promise.all(
+    guessKeys(subjects, req).map((key) => recordLoginFailure('verification', key, req, { reason, subjectId }))
+  );
+};
+
+/**
+ * Reset the subject's count after a right code. The IP's count is kept, as
+ * the client may be trying other accounts.
+ */
+export const recordRightCode = async ({ subjectType, subjectId }, req) => {
+  await recordLoginSuccess('verification', `${subjectType}:${subjectId}`, req, subjectId);
+};
+
+/**
+ * Human-readable message for a failed checkCode() reason.
+ */
+export const describeCodeFailure = (reason) => {
+  switch (reason) {
+    case 'expired':
+      return 'The code has expired. Please request a new one.';
+    case 'too_many_attempts':
+      return 'Too many incorrect attempts. Please request a new code.';
+    case 'mismatch':
+      return 'The code is incorrect.';
+    default:
+      return 'No active code found. Please request a new one.';
+  }
+};
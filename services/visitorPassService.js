@@ -0,0 +1,356 @@
+// services/visitorPassService.js
+// Visitor passes: a checked-in guest lets someone into one of their rooms.
+// A pass is a QR code or a 6-digit PIN, one-time or good for any number of
+// uses inside its window, and its window stays inside the guest's stay. The
+// guest is told (in-app and FCM, through a durable job) whenever it is used.
+//
+// QR code text: VP1.<pass id>.<secret>. A PIN is typed at the room's door, so
+// the door (device_id or room_number) picks the pass. Only keyed hashes of
+// secrets and PINs are stored; both are shown once, when the pass is issued.
+// Wrong PINs count toward the room keypad's lockout (keypadPinService.js).
+import crypto from 'crypto';
+import {
+  createVisitorPass,
+  getVisitorPassById,
+  findLivePinPass,
+  listVisitorPasses,
+  recordVisitorPassUse,
+  revokeVisitorPass,
+} from '../models/visitorPassModel.js';
+import { findRoomByNumber } from '../models/roomsModel.js';
+import { findOpenStayForRoom, findStayGuest, getOpenStayRooms, getStayById } from '../models/stayModel.js';
+import { findUserById } from '../models/userModel.js';
+import { createNotification } from '../models/notificationModel.js';
+import { saveCredentialEvent } from '../models/accessLogModel.js';
+import { sendNotification } from './fcmService.js';
+import { getSetting } from './settingsService.js';
+import { lockedForSeconds, recordPinFailure, clearPinFailures } from './keypadPinService.js';
+import { scheduleVisitorPassNotice, scheduleAnomalyCheck } from './jobScheduler.js';
+import { AppError } from '../utils/appError.js';
+
+export const VISITOR_PASS_FORMAT = 'VP1';
+
+const PIN_ATTEMPTS = 5;
+
+const DENIALS = {
+  invalid_code: ['VISITOR_PASS_INVALID', 'Access denied: This visitor pass is not valid.'],
+  revoked: ['VISITOR_PASS_REVOKED', 'Access denied: This visitor pass has been revoked.'],
+  not_yet_valid: ['VISITOR_PASS_NOT_YET_VALID', 'Access denied: This visitor pass is not valid yet.'],
+  expired: ['VISITOR_PASS_EXPIRED', 'Access denied: This visitor pass has expired.'],
+  used_up: ['VISITOR_PASS_USED_UP', 'Access denied: This visitor pass has already been used.'],
+  wrong_room: ['ROOM_ACCESS_DENIED', 'Access denied: This visitor pass is for another room.'],
+  stay_ended: ['STAY_ENDED', 'Access denied: The stay this pass belongs to has ended.'],
+  card_required: ['PIN_CARD_REQUIRED', 'Access denied: This room opens only with the guest\'s card and PIN.'],
+  locked_out: ['KEYPAD_LOCKED', 'Too many wrong PINs. The keypad is locked; please try again later.'],
+};
+
+const newPin = () => String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+
+/**
+ * Keyed hash of a PIN or QR secret. Deterministic, so a live PIN can still be
+ * looked up by its hash, but without the key a leaked table cannot be brute-
+ * forced offline (a plain hash of a 6-digit PIN falls in a million tries).
+ */
+const hashPassCode = (code) =>
+  crypto
+    .createHmac('sha256', process.env.JWT_SECRET || 'visitor-passes')
+    .update(String(code))
+    .digest('hex');
+
+const toPublicPass = ({ code_hash, rooms, ...pass }) => ({ ...pass, room_number: rooms?.room_number ?? null });
+
+/**
+ * Issue a pass on `roomNumber` for a guest checked in to it. The window
+ * defaults to now until visitor_pass_default_hours later and is clipped to
+ * the stay; an explicit window must fit inside it. The code is returned once.
+ */
+export const issueVisitorPass = async ({
+  guestId,
+  roomNumber,
+  visitorName = null,
+  codeType = 'qr',
+  oneTime = true,
+  validFrom = null,
+  validUntil = null,
+}) => {
+  const { data: room, error: roomError } = await findRoomByNumber(roomNumber);
+  if (roomError) {
+    throw new AppError('DATABASE_ERROR', 'Error fetching room information.', { cause: roomError });
+  }
+  if (!room) {
+    throw new AppError('ROOM_NOT_FOUND', `Room #${roomNumber} not found.`);
+  }
+
+  const { data: stay, error: stayError } = await findOpenStayForRoom(room.id);
+  if (stayError) {
+    throw new AppError('DATABASE_ERROR', 'Database error: Unable to look up stay.', { cause: stayError });
+  }
+  const { data: member, error: memberError } = stay ? await findStayGuest(stay.id, guestId) : { data: null };
+  if (memberError) {
+    throw new AppError('DATABASE_ERROR', 'Database error: Unable to look up stay guest.', { cause: memberError });
+  }
+  if (!member) {
+    throw new AppError('GUEST_NOT_ON_STAY', `Guest ${guestId} is not staying in room #${roomNumber}.`);
+  }
+
+  const now = new Date();
+  if (stay.status !== 'active' || room.status !== 'occupied') {
+    throw new AppError('GUEST_NOT_CHECKED_IN', `Room #${roomNumber} is not checked in yet; passes can be issued once it is.`);
+  }
+  const stayEnds = new Date(
+    Math.min(new Date(stay.check_out).getTime(), room.check_out ? new Date(room.check_out).getTime() : Infinity)
+  );
+  if (stayEnds <= now) {
+    throw new AppError('STAY_ENDED', 'Your stay has ended.');
+  }
+
+  const from = validFrom ? new Date(validFrom) : now;
+  let until;
+  if (validUntil) {
+    until = new Date(validUntil);
+  } else {
+    const defaultHours = await getSetting('visitor_pass_default_hours');
+    until = new Date(Math.min(from.getTime() + defaultHours * 60 * 60 * 1000, stayEnds.getTime()));
+  }
+  if (from >= until || until <= now || from < new Date(stay.check_in) || until > stayEnds) {
+    throw new AppError('VISITOR_PASS_WINDOW_INVALID', 'A visitor pass must start before it ends and fit inside your stay.', {
+      details: { check_in: stay.check_in, check_out: stayEnds.toISOString() },
+    });
+  }
+
+  const fields = {
+    stay_id: stay.id,
+    guest_id: guestId,
+    room_id: room.id,
+    visitor_name: visitorName,
+    code_type: codeType,
+    max_uses: oneTime ? 1 : null,
+    valid_from: from.toISOString(),
+    valid_until: until.toISOString(),
+  };
+
+  if (codeType === 'pin') {
+    // A PIN may only be live once per room; draw again on a collision.
+    for (let attempt = 0; attempt < PIN_ATTEMPTS; attempt += 1) {
+      const pin = newPin();
+      const { data: pass, error } = await createVisitorPass({ ...fields, code_hash: hashPassCode(pin) });
+      if (!error) return { pass: toPublicPass(pass), pin };
+      if (error.code !== '23505') {
+        throw new AppError('DATABASE_ERROR', 'Database error: Unable to issue visitor pass.', { cause: error });
+      }
+    }
+    throw new AppError('DATABASE_ERROR', 'Unable to draw an unused PIN for this room; try again.');
+  }
+
+  const secret = crypto.randomBytes(16).toString('base64url');
+  const { data: pass, error } = await createVisitorPass({ ...fields, code_hash: hashPassCode(secret) });
+  if (error) {
+    throw new AppError('DATABASE_ERROR', 'Database error: Unable to issue visitor pass.', { cause: error });
+  }
+  return { pass: toPublicPass(pass), qr_code: `${VISITOR_PASS_FORMAT}.${pass.id}.${secret}` };
+};
+
+/**
+ * Passes of a stay and/or guest, newest first (without code hashes).
+ */
+export const listPasses = async ({ stayId, guestId, liveOnly = false }) => {
+  const { data, error } = await listVisitorPasses({ stay_id: stayId, guest_id: guestId, liveOnly });
+  if (error) {
+    throw new AppError('DATABASE_ERROR', 'Database error: Unable to list visitor passes.', { cause: error });
+  }
+  return data.map(toPublicPass);
+};
+
+/**
+ * Revoke a pass. A guest (`ownerGuestId`) may only revoke their own; staff
+ * pass null. Revoking a revoked pass returns it unchanged.
+ */
+export const revokePass = async (passId, ownerGuestId = null) => {
+  const { data: pass, error } = await getVisitorPassById(passId);
+  if (error) {
+    throw new AppError('DATABASE_ERROR', 'Database error: Unable to look up visitor pass.', { cause: error });
+  }
+  if (!pass || (ownerGuestId != null && String(pass.guest_id) !== String(ownerGuestId))) {
+    throw new AppError('VISITOR_PASS_NOT_FOUND', `Visitor pass ${passId} not found.`);
+  }
+  if (pass.revoked_at) return toPublicPass(pass);
+
+  const { data: revoked, error: revokeError } = await revokeVisitorPass(pass.id, ownerGuestId != null ? 'guest' : 'staff');
+  if (revokeError) {
+    throw new AppError('DATABASE_ERROR', 'Database error: Unable to revoke visitor pass.', { cause: revokeError });
+  }
+  return toPublicPass(revoked || pass);
+};
+
+/**
+ * The pass behind a QR code or, with the room, a PIN; null when none matches.
+ * A PIN that matches no pass is a wrong PIN on the room's keypad.
+ */
+const findPass = async ({ code, pin, room }) => {
+  if (pin) {
+    const { data, error } = await findLivePinPass(room.id, hashPassCode(pin));
+    if (error) {
+      throw new AppError('DATABASE_ERROR', 'Database error: Unable to look up visitor pass.', { cause: error });
+    }
+    if (data) await clearPinFailures(room.id);
+    else await recordPinFailure(room.id);
+    return data;
+  }
+
+  const parts = String(code).split('.');
+  if (parts.length !== 3 || parts[0] !== VISITOR_PASS_FORMAT) return null;
+  const { data, error } = await getVisitorPassById(parts[1]);
+  if (error) {
+    // A malformed id is a bad code, not a database fault
+    if (error.code === '22P02') return null;
+    throw new AppError('DATABASE_ERROR', 'Database error: Unable to look up visitor pass.', { cause: error });
+  }
+  const given = Buffer.from(hashPassCode(parts[2]), 'hex');
+  return data && crypto.timingSafeEqual(given, Buffer.from(data.code_hash, 'hex')) ? data : null;
+};
+
+const loadRoom = async (roomNumber) => {
+  const { data: room, error } = await findRoomByNumber(roomNumber);
+  if (error) {
+    throw new AppError('DATABASE_ERROR', 'Error fetching room information.', { cause: error });
+  }
+  return room;
+};
+
+/**
+ * Decide a pass use. Returns { granted, reason, pass, room } (plus
+ * retryAfterSeconds while the keypad is locked); never throws for a denial.
+ */
+const decide = async ({ code, pin, door, roomNumber }, now) => {
+  if (door?.zone_id) return { granted: false, reason: 'wrong_room', pass: null, room: null };
+  if (pin && !roomNumber) {
+    throw new AppError('DOOR_REQUIRED', 'A PIN is entered at a door; device_id or room_number is required.');
+  }
+  const doorRoom = roomNumber ? await loadRoom(roomNumber) : null;
+  if (roomNumber && !doorRoom) return { granted: false, reason: 'wrong_room', pass: null, room: null };
+  if (pin) {
+    const retryAfterSeconds = await lockedForSeconds(doorRoom.id);
+    if (retryAfterSeconds > 0) {
+      return { granted: false, reason: 'locked_out', pass: null, room: doorRoom, retryAfterSeconds };
+    }
+  }
+
+  const pass = await findPass({ code, pin, room: doorRoom });
+  if (!pass) return { granted: false, reason: 'invalid_code', pass: null, room: doorRoom };
+  const denied = (reason) => ({ granted: false, reason, pass, room: doorRoom });
+  if (doorRoom && String(doorRoom.id) !== String(pass.room_id)) return denied('wrong_room');
+  if (pass.revoked_at) return denied('revoked');
+  if (now < new Date(pass.valid_from)) return denied('not_yet_valid');
+  if (now >= new Date(pass.valid_until)) return denied('expired');
+  if (pass.max_uses != null && pass.use_count >= pass.max_uses) return denied('used_up');
+
+  // The host's stay must still hold the room
+  const { data: stay, error: stayError } = await getStayById(pass.stay_id);
+  if (stayError) {
+    throw new AppError('DATABASE_ERROR', 'Database error: Unable to look up stay.', { cause: stayError });
+  }
+  if (!stay || stay.status !== 'active' || now >= new Date(stay.check_out)) return denied('stay_ended');
+  const { data: rooms, error: roomsError } = await getOpenStayRooms(stay.id);
+  if (roomsError) {
+    throw new AppError('DATABASE_ERROR', 'Error fetching room information.', { cause: roomsError });
+  }
+  const room = rooms.find((r) => String(r.id) === String(pass.room_id));
+  if (!room || room.status !== 'occupied' || (room.check_out && now >= new Date(room.check_out))) {
+    return denied('stay_ended');
+  }
+  if (room.requires_card_and_pin) return denied('card_required');
+
+  const { data: used, error: useError } = await recordVisitorPassUse(pass.id, pass.use_count);
+  if (useError) {
+    throw new AppError('DATABASE_ERROR', 'Database error: Unable to record visitor pass use.', { cause: useError });
+  }
+  if (!used) return denied('used_up');
+  return { granted: true, reason: 'visitor_pass', pass: { ...used, code_hash: pass.code_hash }, room };
+};
+
+/**
+ * Check a QR code or PIN presented at a door (`door` from resolveTapDoor, or
+ * `roomNumber` alone). Every decision is logged to access_logs with
+ * credential_type 'visitor_pass'; a use notifies the guest who issued the
+ * pass, and a denial throws.
+ */
+export const verifyVisitorPass = async ({ code = null, pin = null, door = null, roomNumber = null, deviceCode = null }) => {
+  const now = new Date();
+  const decision = await decide({ code, pin, door, roomNumber }, now);
+
+  const { data: logEntry, error: logError } = await saveCredentialEvent({
+    credential_type: 'visitor_pass',
+    visitor_pass_id: decision.pass?.id ?? null,
+    guest_id: decision.pass?.guest_id ?? null,
+    access_status: decision.granted ? 'granted' : 'denied',
+    room_number: decision.room?.room_number ?? roomNumber,
+    zone_id: door?.zone_id ?? null,
+    device_id: deviceCode,
+    reason: decision.reason,
+  });
+  if (logError) {
+    console.error(`[VisitorPass] Unable to log use of pass ${decision.pass?.id ?? '(unmatched)'}:`, logError);
+  } else {
+    const { error: checkError } = await scheduleAnomalyCheck([logEntry.id]);
+    if (checkError) console.error('[VisitorPass] Unable to queue anomaly check:', checkError);
+  }
+
+  if (!decision.granted) {
+    const [code, message] = DENIALS[decision.reason];
+    throw new AppError(code, message, {
+      details: {
+        reason: decision.reason,
+        device_id: deviceCode,
+        ...(decision.retryAfterSeconds && { retryAfterSeconds: decision.retryAfterSeconds }),
+      },
+    });
+  }
+
+  const notice = {
+    visitor_pass_id: decision.pass.id,
+    access_log_id: logEntry?.id ?? null,
+    guest_id: decision.pass.guest_id,
+    room_number: decision.room.room_number,
+    visitor_name: decision.pass.visitor_name,
+    at: now.toISOString(),
+  };
+  const { error: scheduleError } = await scheduleVisitorPassNotice(notice);
+  if (scheduleError) {
+    await sendVisitorPassNotice(notice).catch((err) =>
+      console.error('[VisitorPass] Visitor pass notice failed:', err)
+    );
+  }
+  return { ...decision, pass: toPublicPass(decision.pass) };
+};
+
+/**
+ * Tell the guest who issued a pass that it was used: in-app notification,
+ * and FCM when a token is on file. Throws when the notification cannot be
+ * stored so the job is retried.
+ */
+export const sendVisitorPassNotice = async (notice) => {
+  const who = notice.visitor_name || 'Your visitor';
+  const title = 'Visitor Pass Used';
+  const message = `${who} used a visitor pass to open Room #${notice.room_number}.`;
+
+  const { error } = await createNotification({
+    recipient_guest_id: notice.guest_id,
+    title,
+    message,
+    notification_type: 'visitor_pass_used',
+  });
+  if (error) {
+    throw new Error(`Unable to store visitor pass notice: ${error.message || error}`);
+  }
+
+  const { data: guest } = await findUserById(notice.guest_id);
+  if (guest?.fcm_token) {
+    await sendNotification(guest.fcm_token, title, message, {
+      type: 'visitor_pass_used',
+      visitorPassId: String(notice.visitor_pass_id),
+      roomNumber: String(notice.room_number),
+      userType: 'guest',
+      guestId: String(notice.guest_id),
+    });
+  }
+};
@@ -0,0 +1,354 @@
+// services/wifiPortalService.js
+// Captive portal for guest Wi-Fi. A device joining guest_dhcp is sent to the
+// portal page on the Pi gateway, which relays the sign-in here with the
+// device's MAC and IP:
+//  - room number + last name of a guest on the stay holding the room, or
+//  - a voucher handed out at the desk for a stay (XXXX-XXXX).
+// The MAC is then bound to the stay in mac_addresses (expires_at = the stay's
+// check-out) and the gateway whitelists it. A stay binds at most
+// wifi_devices_per_stay devices; signing in again from a bound device does
+// not use another slot. Wrong sign-ins are throttled with the login lockouts
+// per MAC, per client IP and, for room sign-ins, per room, so a device that
+// changes its MAC gets no more guesses at a room's last names. The room
+// lockout never escalates and does not apply to devices already signed in on
+// the room's stay, so strangers cannot keep its guests off the portal. Devices
+// are signed out when the stay checks out, and the hourly housekeeping signs
+// out any whose binding has lapsed.
+import crypto from 'crypto';
+import {
+  findMacRecord,
+  bindMacToStay,
+  getStayMacs,
+  getLapsedMacBindings,
+  releaseMacs,
+} from '../models/macAddressModel.js';
+import {
+  createWifiVoucher,
+  findWifiVoucherByHash,
+  listWifiVouchers,
+  revokeWifiVoucher,
+} from '../models/wifiVoucherModel.js';
+import { findRoomByNumber } from '../models/roomsModel.js';
+import { findOpenStayForRoom, getStayById, OPEN_STAY_STATUSES } from '../models/stayModel.js';
+import { findUserById } from '../models/userModel.js';
+import { checkLoginAllowed, recordLoginFailure, recordLoginSuccess, unlockLogin } from './loginGuardService.js';
+import { activateDeviceInternet, deactivateDeviceInternet } from './gatewayService.js';
+import { getSetting } from './settingsService.js';
+import { loadStay } from './stayService.js';
+import { hashToken } from './tokenService.js';
+import { AppError, appErrorFromRpc } from '../utils/appError.js';
+
+// No 0/O, 1/I/L: vouchers are read off paper and typed on phones
+const VOUCHER_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const VOUCHER_ATTEMPTS = 5;
+
+const SUBJECT = 'wifi';
+
+/**
+ * MACs are stored as the router reports them: upper case, colon-separated.
+ */
+export const normalizeMac = (mac) => String(mac || '').trim().toUpperCase().replace(/-/g, ':');
+
+const normalizeVoucher = (code) => String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+const newVoucherCode = () => {
+  const chars = Array.from({ length: 8 }, () => VOUCHER_ALPHABET[crypto.randomInt(VOUCHER_ALPHABET.length)]);
+  return `${chars.slice(0, 4).join('')}-${chars.slice(4).join('')}`;
+};
+
+const nameWords = (name) =>
+  String(name || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean);
+
+/**
+ * "Berg", "van der Berg" and "VAN DER BERG" all match "Anna van der Berg".
+ */
+const lastNameMatches = (fullName, lastName) => {
+  const name = nameWords(fullName);
+  const last = nameWords(lastName);
+  if (last.length === 0 || last.length > name.length) return false;
+  return last.every((word, i) => name[name.length - last.length + i] === word);
+};
+
+/**
+ * The stay holding `roomNumber` and the guest on it whose last name matches,
+ * or null.
+ */
+const findStayByRoomAndName = async (roomNumber, lastName) => {
+  const { data: room, error: roomError } = await findRoomByNumber(roomNumber);
+  if (roomError) {
+    throw new AppError('DATABASE_ERROR', 'Error fetching room information.', { cause: roomError });
+  }
+  if (!room) return null;
+
+  const { data: openStay, error: stayError } = await findOpenStayForRoom(room.id);
+  if (stayError) {
+    throw new AppError('DATABASE_ERROR', 'Database error: Unable to look up stay.', { cause: stayError });
+  }
+  if (!openStay) return null;
+  const { data: stay, error: detailError } = await getStayById(openStay.id);
+  if (detailError) {
+    throw new AppError('DATABASE_ERROR', 'Database error: Unable to look up stay.', { cause: detailError });
+  }
+
+  for (const { guest_id } of stay?.stay_guests || []) {
+    const { data: guest, error: guestError } = await findUserById(guest_id);
+    if (guestError) {
+      throw new AppError('DATABASE_ERROR', 'Database error: Unable to look up guest.', { cause: guestError });
+    }
+    if (guest && lastNameMatches(guest.name, lastName)) return { stay, guestId: guest.id };
+  }
+  return null;
+};
+
+/**
+ * The stay a live voucher belongs to (signed in as its primary guest), or null.
+ */
+const findStayByVoucher = async (code) => {
+  const { data: voucher, error } = await findWifiVoucherByHash(hashToken(normalizeVoucher(code)));
+  if (error) {
+    throw new AppError('DATABASE_ERROR', 'Database error: Unable to look up voucher.', { cause: error });
+  }
+  if (!voucher || voucher.revoked_at) return null;
+
+  const { data: stay, error: stayError } = await getStayById(voucher.stay_id);
+  if (stayError) {
+    throw new AppError('DATABASE_ERROR', 'Database error: Unable to look up stay.', { cause: stayError });
+  }
+  return stay ? { stay, guestId: stay.primary_guest_id, voucher } : null;
+};
+
+/**
+ * Lockout identifiers of a sign-in: the MAC as is (the identifier staff unlock
+ * a device by), then ip:<client IP> and room:<room number>.
+ */
+const throttleKeys = (mac, ip, roomNumber) => [mac, `ip:${ip}`, ...(roomNumber ? [`room:${roomNumber}`] : [])];
+
+// Anyone can fail a room's sign-in, so its lockout stays at the base length
+const isRoomKey = (key) => key.startsWith('room:');
+
+/**
+ * Whether the device is signed in on the stay currently holding the room.
+ */
+const isBoundToRoom = async (mac, roomNumber) => {
+  const record = await findMacRecord(mac);
+  if (!record || record.status !== 'authenticated' || !record.stay_id) return false;
+
+  const { data: room, error: roomError } = await findRoomByNumber(roomNumber);
+  if (roomError) {
+    throw new AppError('DATABASE_ERROR', 'Error fetching room information.', { cause: roomError });
+  }
+  if (!room) return false;
+  const { data: openStay, error: stayError } = await findOpenStayForRoom(room.id);
+  if (stayError) {
+    throw new AppError('DATABASE_ERROR', 'Database error: Unable to look up stay.', { cause: stayError });
+  }
+  return Boolean(openStay) && String(openStay.id) === String(record.stay_id);
+};
+
+const toPublicDevice = ({ id, mac, ip, status, guest_id, stay_id, auth_method, authenticated_at, expires_at }) => ({
+  id,
+  mac,
+  ip,
+  status,
+  guest_id,
+  stay_id,
+  auth_method,
+  authenticated_at,
+  expires_at,
+});
+
+/**
+ * Sign devices out and take them off the gateway whitelist. Returns the
+ * number signed out.
+ */
+const releaseDevices = async (devices) => {
+  if (devices.length === 0) return 0;
+  const { data: released, error } = await releaseMacs(devices.map((d) => d.id));
+  if (error) {
+    throw new AppError('DATABASE_ERROR', 'Database error: Unable to sign devices out.', { cause: error });
+  }
+  for (const device of released) {
+    await deactivateDeviceInternet({ mac: device.mac, ip: device.ip });
+  }
+  return released.length;
+};
+
+/**
+ * Sign a device in from the captive portal. `req` is the gateway's request
+ * (for the login audit). Returns { device, stayId, expiresAt, whitelisted };
+ * whitelisted is false when the gateway could not be reached (the device
+ * is picked up by the next /api/mikrotik/activate-internet sync).
+ */
+export const portalLogin = async ({ mac: rawMac, ip, roomNumber = null, lastName = null, voucher = null }, req) => {
+  const mac = normalizeMac(rawMac);
+  // A device already on the room's stay is not held back by the room's lockout
+  const roomKeyNumber = voucher || (await isBoundToRoom(mac, roomNumber)) ? null : roomNumber;
+  const keys = throttleKeys(mac, ip, roomKeyNumber);
+  const checks = await Promise.all(keys.map((key) => checkLoginAllowed(SUBJECT, key, req)));
+  if (checks.some((c) => !c.allowed)) {
+    const retryAfterSeconds = Math.max(...checks.map((c) => c.retryAfterSeconds));
+    throw new AppError('TOO_MANY_LOGIN_ATTEMPTS', 'Too many failed sign-ins. Please try again later.', {
+      details: { retryAfterSeconds },
+    });
+  }
+
+  const match = voucher ? await findStayByVoucher(voucher) : await findStayByRoomAndName(roomNumber, lastName);
+  if (!match) {
+    const reason = voucher ? 'invalid_voucher' : 'unknown_guest';
+    await Promise.all(
+      keys.map((key) => recordLoginFailure(SUBJECT, key, req, { reason, escalate: !isRoomKey(key) }))
+    );
+    throw new AppError(
+      'WIFI_LOGIN_FAILED',
+      voucher ? 'This voucher is not valid.' : 'No guest with that last name is staying in that room.'
+    );
+  }
+
+  const { stay, guestId } = match;
+  const now = new Date();
+  if (!OPEN_STAY_STATUSES.includes(stay.status) || now >= new Date(stay.check_out)) {
+    throw new AppError('STAY_ENDED', 'This stay has ended.');
+  }
+  if (now < new Date(stay.check_in)) {
+    throw new AppError('STAY_NOT_STARTED', 'Wi-Fi access starts with your stay.', {
+      details: { check_in: stay.check_in },
+    });
+  }
+
+  // The device limit is checked by the database, under a lock on the stay
+  const { data: device, error: bindError } = await bindMacToStay(mac, {
+    ip,
+    guest_id: guestId,
+    stay_id: stay.id,
+    auth_method: voucher ? 'voucher' : 'room_last_name',
+    voucher_id: match.voucher ? match.voucher.id : null,
+    expires_at: new Date(stay.check_out).toISOString(),
+    limit: await getSetting('wifi_devices_per_stay'),
+  });
+  if (bindError) {
+    throw appErrorFromRpc(bindError, 'Database error: Unable to sign the device in.');
+  }
+  await recordLoginSuccess(SUBJECT, mac, req, guestId);
+  await Promise.all(keys.slice(1).map((key) => unlockLogin(SUBJECT, key)));
+
+  const whitelisted = await activateDeviceInternet({
+    mac,
+    ip,
+    guestId,
+    stayId: stay.id,
+    expiresAt: device.expires_at,
+  });
+  return { device: toPublicDevice(device), stayId: stay.id, expiresAt: device.expires_at, whitelisted };
+};
+
+/**
+ * Whether a device is signed in, for the portal page.
+ */
+export const portalStatus = async (rawMac) => {
+  const mac = normalizeMac(rawMac);
+  const record = await findMacRecord(mac);
+  const authorized = Boolean(
+    record && record.status === 'authenticated' && record.expires_at && new Date(record.expires_at) > new Date()
+  );
+  return {
+    mac,
+    authorized,
+    stay_id: authorized ? record.stay_id : null,
+    expires_at: authorized ? record.expires_at : null,
+  };
+};
+
+/**
+ * Sign one device out (portal "sign out" or staff freeing a slot).
+ */
+export const signOutDevice = async (rawMac) => {
+  const mac = normalizeMac(rawMac);
+  const record = await findMacRecord(mac);
+  if (!record || record.status !== 'authenticated') {
+    throw new AppError('WIFI_DEVICE_NOT_FOUND', `No signed-in device with MAC ${mac}.`);
+  }
+  await releaseDevices([record]);
+  return toPublicDevice({ ...record, status: 'unauthenticated' });
+};
+
+/**
+ * Sign out every device on a stay (stay check-out).
+ */
+export const signOutStayDevices = async (stayId) => {
+  const { data: devices, error } = await getStayMacs(stayId);
+  if (error) {
+    throw new AppError('DATABASE_ERROR', 'Database error: Unable to fetch stay devices.', { cause: error });
+  }
+  return releaseDevices(devices);
+};
+
+/**
+ * Sign out devices past their stay's check-out or on a closed stay.
+ */
+export const signOutLapsedDevices = async () => {
+  const { data: devices, error } = await getLapsedMacBindings();
+  if (error) {
+    throw new AppError('DATABASE_ERROR', 'Database error: Unable to fetch lapsed devices.', { cause: error });
+  }
+  return releaseDevices(devices);
+};
+
+/**
+ * A stay's Wi-Fi: signed-in devices, the device limit and its vouchers.
+ */
+export const getStayWifi = async (stayId) => {
+  const stay = await loadStay(stayId);
+  const { data: devices, error } = await getStayMacs(stay.id);
+  if (error) {
+    throw new AppError('DATABASE_ERROR', 'Database error: Unable to fetch stay devices.', { cause: error });
+  }
+  const { data: vouchers, error: voucherError } = await listWifiVouchers(stay.id);
+  if (voucherError) {
+    throw new AppError('DATABASE_ERROR', 'Database error: Unable to fetch vouchers.', { cause: voucherError });
+  }
+  return {
+    stay_id: stay.id,
+    limit: await getSetting('wifi_devices_per_stay'),
+    devices: devices.map(toPublicDevice),
+    vouchers,
+  };
+};
+
+/**
+ * Issue a voucher for an open stay. The code is returned once.
+ */
+export const issueWifiVoucher = async (stayId, createdBy = null) => {
+  const stay = await loadStay(stayId, { requireOpen: true });
+  for (let attempt = 0; attempt < VOUCHER_ATTEMPTS; attempt += 1) {
+    const code = newVoucherCode();
+    const { data: voucher, error } = await createWifiVoucher({
+      stay_id: stay.id,
+      code_hash: hashToken(normalizeVoucher(code)),
+      created_by: createdBy,
+    });
+    if (!error) return { voucher, code };
+    if (error.code !== '23505') {
+      throw new AppError('DATABASE_ERROR', 'Database error: Unable to issue voucher.', { cause: error });
+    }
+  }
+  throw new AppError('DATABASE_ERROR', 'Unable to draw an unused voucher code; try again.');
+};
+
+/**
+ * Revoke a voucher. Devices already signed in with it stay signed in.
+ */
+export const revokeVoucher = async (voucherId) => {
+  const { data: voucher, error } = await revokeWifiVoucher(voucherId);
+  if (error) {
+    throw new AppError('DATABASE_ERROR', 'Database error: Unable to revoke voucher.', { cause: error });
+  }
+  if (!voucher) {
+    throw new AppError('WIFI_VOUCHER_NOT_FOUND', `No live voucher ${voucherId}.`);
+  }
+  return voucher;
+};
@@ -0,0 +1,91 @@
+-- test/db/base_schema.sql
+-- The tables that predate config/migrations (they live in the Supabase
+-- project and no migration creates them), reduced to the columns the
+-- migrations and the database functions touch. Columns that a migration adds
+-- later (rooms.room_type, rfid_tags.card_type, access_logs.reason, ...) are
+-- left to that migration.
+
+CREATE TABLE admins (
+  id         BIGSERIAL PRIMARY KEY,
+  username   TEXT NOT NULL,
+  email      TEXT,
+  password   TEXT,
+  role       TEXT NOT NULL DEFAULT 'staff',
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE TABLE guests (
+  id                  BIGSERIAL PRIMARY KEY,
+  name                TEXT NOT NULL,
+  email               TEXT,
+  phone               TEXT,
+  password            TEXT,
+  membership_level    TEXT,
+  membership_start    TIMESTAMPTZ,
+  membership_renewals INTEGER NOT NULL DEFAULT 0,
+  avatar_url          TEXT,
+  byte_size           INTEGER,
+  created_at          TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE TABLE rooms (
+  id                   BIGSERIAL PRIMARY KEY,
+  room_number          TEXT NOT NULL UNIQUE,
+  status               TEXT NOT NULL DEFAULT 'available',
+  guest_id             BIGINT REFERENCES guests(id) ON DELETE SET NULL,
+  hours_stay           NUMERIC,
+  registration_time    TIMESTAMPTZ,
+  check_in             TIMESTAMPTZ,
+  check_out            TIMESTAMPTZ,
+  ten_min_warning_sent BOOLEAN NOT NULL DEFAULT false
+);
+
+CREATE TABLE rfid_tags (
+  id         BIGSERIAL PRIMARY KEY,
+  rfid_uid   TEXT NOT NULL UNIQUE,
+  guest_id   BIGINT REFERENCES guests(id) ON DELETE SET NULL,
+  status     TEXT NOT NULL DEFAULT 'available',
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE TABLE room_occupancy_history (
+  id                     BIGSERIAL PRIMARY KEY,
+  room_id                BIGINT REFERENCES rooms(id) ON DELETE CASCADE,
+  guest_id               BIGINT REFERENCES guests(id) ON DELETE SET NULL,
+  rfid_id                BIGINT REFERENCES rfid_tags(id) ON DELETE SET NULL,
+  registration_time      TIMESTAMPTZ,
+  check_in               TIMESTAMPTZ,
+  check_out              TIMESTAMPTZ,
+  hours_stay             NUMERIC,
+  check_out_reason       TEXT,
+  was_early_checkout     BOOLEAN NOT NULL DEFAULT false,
+  occupant_snapshot      JSONB NOT NULL DEFAULT '{}'::jsonb,
+  mac_addresses_snapshot JSONB NOT NULL DEFAULT '{}'::jsonb,
+  event_indicator        TEXT
+);
+
+CREATE TABLE access_logs (
+  id            BIGSERIAL PRIMARY KEY,
+  rfid_uid      TEXT NOT NULL,
+  guest_id      BIGINT REFERENCES guests(id) ON DELETE SET NULL,
+  access_status TEXT NOT NULL,
+  door_unlocked BOOLEAN NOT NULL DEFAULT false,
+  "timestamp"   TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE TABLE mac_addresses (
+  id         BIGSERIAL PRIMARY KEY,
+  guest_id   BIGINT REFERENCES guests(id) ON DELETE SET NULL,
+  rfid_uid   TEXT,
+  mac        TEXT NOT NULL,
+  ip         TEXT,
+  status     TEXT NOT NULL DEFAULT 'pending',
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE TABLE system_settings (
+  id            BIGSERIAL PRIMARY KEY,
+  setting_name  TEXT NOT NULL,
+  setting_value TEXT,
+  updated_at    TIMESTAMPTZ NOT NULL DEFAULT now()
+);
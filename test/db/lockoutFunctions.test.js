@@ -0,0 +1,111 @@
+// test/db/lockoutFunctions.test.js
+// The failure counters behind the login and keypad lockouts
+// (config/migrations/022_login_failure_counter.sql,
+// 023_keypad_failure_counter.sql): the threshold, the doubling lockouts and
+// parallel failures that must all be counted.
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestDatabase, skipReason } from './harness.js';
+
+const MINUTE = 60 * 1000;
+
+const lockedMinutes = (row) => Math.round((row.locked_until.getTime() - Date.now()) / MINUTE);
+
+describe('lockout functions', { skip: skipReason }, () => {
+  let db;
+  let q;
+
+  before(async () => {
+    db = await createTestDatabase();
+    q = async (sql, params = []) => (await db.client.query(sql, params)).rows;
+  });
+
+  after(async () => {
+    await db?.close();
+  });
+
+  beforeEach(async () => {
+    await db.reset();
+  });
+
+  describe('record_login_failure', () => {
+    const fail = async (client = db.client) =>
+      (await client.query("SELECT * FROM record_login_failure('guest', 'ana@example.com', 3, 15)")).rows[0];
+
+    it('counts failures and locks at the threshold', async () => {
+      assert.equal((await fail()).failed_count, 1);
+      assert.equal((await fail()).failed_count, 2);
+
+      const locked = await fail();
+      assert.equal(locked.failed_count, 0);
+      assert.equal(locked.lockout_count, 1);
+      assert.equal(lockedMinutes(locked), 15);
+    });
+
+    it('doubles each lockout and starts over once a lock has expired', async () => {
+      for (let i = 0; i < 3; i += 1) await fail();
+      await q("UPDATE login_lockouts SET locked_until = now() - interval '1 second'");
+
+      const fresh = await fail();
+      assert.equal(fresh.failed_count, 1);
+      assert.equal(fresh.locked_until, null);
+
+      await fail();
+      const relocked = await fail();
+      assert.equal(relocked.lockout_count, 2);
+      assert.equal(lockedMinutes(relocked), 30);
+    });
+
+    it('counts every one of several parallel failures', async () => {
+      const clients = await Promise.all([1, 2, 3, 4].map(() => db.connect()));
+      try {
+        await Promise.all(clients.map((client) => fail(client)));
+      } finally {
+        await Promise.all(clients.map((client) => client.end()));
+      }
+
+      const [row] = await q('SELECT failed_count, lockout_count, locked_until FROM login_lockouts');
+      assert.equal(row.lockout_count, 1);
+      assert.equal(row.failed_count, 1);
+      assert.ok(row.locked_until > new Date());
+    });
+
+    it('counts contact verification failures (025_verification_limits.sql)', async () => {
+      const [row] = await q("SELECT * FROM record_login_failure('verification', 'guest:1', 3, 15)");
+      assert.equal(row.failed_count, 1);
+    });
+  });
+
+  describe('record_keypad_failure', () => {
+    let roomId;
+
+    beforeEach(async () => {
+      [{ id: roomId }] = await q("INSERT INTO rooms (room_number) VALUES ('101') RETURNING id");
+    });
+
+    const fail = async (client = db.client) =>
+      (await client.query('SELECT * FROM record_keypad_failure($1, 3, 10)', [roomId])).rows[0];
+
+    it('counts wrong PINs and locks the keypad at the threshold', async () => {
+      await fail();
+      assert.equal((await fail()).failed_count, 2);
+
+      const locked = await fail();
+      assert.equal(locked.failed_count, 0);
+      assert.equal(locked.lockout_count, 1);
+      assert.equal(lockedMinutes(locked), 10);
+    });
+
+    it('counts every one of several parallel wrong PINs', async () => {
+      const clients = await Promise.all([1, 2, 3, 4].map(() => db.connect()));
+      try {
+        await Promise.all(clients.map((client) => fail(client)));
+      } finally {
+        await Promise.all(clients.map((client) => client.end()));
+      }
+
+      const [row] = await q('SELECT failed_count, lockout_count FROM keypad_lockouts WHERE room_id = $1', [roomId]);
+      assert.deepEqual(row, { failed_count: 1, lockout_count: 1 });
+    });
+  });
+});
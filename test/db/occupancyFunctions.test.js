@@ -0,0 +1,248 @@
+// test/db/occupancyFunctions.test.js
+// register_flow, check_in_by_card and check_out_room
+// (config/migrations/006_occupancy_functions.sql): a successful call commits
+// every change, a failing one leaves the database exactly as it found it.
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestDatabase, skipReason } from './harness.js';
+
+const HOUR = 60 * 60 * 1000;
+const hoursFromNow = (hours) => new Date(Date.now() + hours * HOUR).toISOString();
+
+describe('occupancy functions', { skip: skipReason }, () => {
+  let db;
+  let q;
+
+  before(async () => {
+    db = await createTestDatabase();
+    q = async (sql, params = []) => (await db.client.query(sql, params)).rows;
+  });
+
+  after(async () => {
+    await db?.close();
+  });
+
+  beforeEach(async () => {
+    await db.reset();
+  });
+
+  const addGuest = async (name = 'Ana Cruz') =>
+    (await q('INSERT INTO guests (name) VALUES ($1) RETURNING id', [name]))[0].id;
+
+  const addRoom = async (roomNumber, fields = {}) =>
+    (await q(
+      `INSERT INTO rooms (room_number, status, guest_id, hours_stay)
+       VALUES ($1, $2, $3, $4) RETURNING id`,
+      [roomNumber, fields.status || 'available', fields.guest_id || null, fields.hours_stay || null]
+    ))[0].id;
+
+  const addTag = async (rfidUid, fields = {}) =>
+    (await q(
+      'INSERT INTO rfid_tags (rfid_uid, status, guest_id) VALUES ($1, $2, $3) RETURNING id',
+      [rfidUid, fields.status || 'available', fields.guest_id || null]
+    ))[0].id;
+
+  const registerFlow = async ({ guestId, roomNumber, rfidId, checkIn = hoursFromNow(0), checkOut = hoursFromNow(24) }) =>
+    (await q(
+      `SELECT register_flow(p_guest_id => $1, p_room_number => $2, p_check_in => $3,
+                            p_check_out => $4, p_rfid_id => $5) AS result`,
+      [guestId, roomNumber, checkIn, checkOut, rfidId]
+    ))[0].result;
+
+  const checkInByCard = async ({ rfidId, roomId, guestId, stayId = null }) =>
+    (await q(
+      `SELECT check_in_by_card(p_rfid_id => $1, p_room_id => $2, p_guest_id => $3,
+                               p_stay_id => $4, p_default_hours => 2) AS result`,
+      [rfidId, roomId, guestId, stayId]
+    ))[0].result;
+
+  const checkOutRoom = async (roomId) =>
+    (await q('SELECT check_out_room($1) AS result', [roomId]))[0].result;
+
+  // The call must fail with `code` and change nothing.
+  const assertRolledBack = async (call, code) => {
+    const before = await db.snapshot();
+    await assert.rejects(call(), (err) => {
+      assert.equal(err.message, code);
+      return true;
+    });
+    assert.deepEqual(await db.snapshot(), before);
+  };
+
+  describe('register_flow', () => {
+    it('reserves the room, assigns the card and opens the stay', async () => {
+      const guestId = await addGuest();
+      const roomId = await addRoom('101');
+      const rfidId = await addTag('CARD-1');
+
+      const result = await registerFlow({ guestId, roomNumber: '101', rfidId });
+      assert.equal(String(result.room_id), String(roomId));
+      assert.equal(result.rfid_uid, 'CARD-1');
+
+      const [room] = await q('SELECT status, guest_id FROM rooms WHERE id = $1', [roomId]);
+      assert.deepEqual(room, { status: 'reserved', guest_id: guestId });
+      const [tag] = await q('SELECT status, guest_id FROM rfid_tags WHERE id = $1', [rfidId]);
+      assert.deepEqual(tag, { status: 'assigned', guest_id: guestId });
+
+      const [stay] = await q('SELECT primary_guest_id, status FROM stays WHERE id = $1', [result.stay_id]);
+      assert.deepEqual(stay, { primary_guest_id: guestId, status: 'reserved' });
+      assert.equal((await q('SELECT 1 FROM stay_rooms WHERE stay_id = $1 AND room_id = $2', [result.stay_id, roomId])).length, 1);
+      assert.equal((await q('SELECT 1 FROM stay_guests WHERE stay_id = $1', [result.stay_id])).length, 1);
+      assert.equal((await q('SELECT 1 FROM stay_cards WHERE stay_id = $1 AND revoked_at IS NULL', [result.stay_id])).length, 1);
+
+      const [history] = await q('SELECT room_id, event_indicator FROM room_occupancy_history WHERE id = $1', [result.occupancy_record_id]);
+      assert.deepEqual(history, { room_id: roomId, event_indicator: 'registered' });
+    });
+
+    it('rolls back on RESERVATION_CONFLICT', async () => {
+      const guestId = await addGuest();
+      const otherGuestId = await addGuest('Ben Ode');
+      const roomId = await addRoom('101');
+      const rfidId = await addTag('CARD-1');
+      await q(
+        `INSERT INTO reservations (room_id, guest_id, check_in, check_out, status)
+         VALUES ($1, $2, $3, $4, 'booked')`,
+        [roomId, otherGuestId, hoursFromNow(12), hoursFromNow(36)]
+      );
+
+      await assertRolledBack(() => registerFlow({ guestId, roomNumber: '101', rfidId }), 'RESERVATION_CONFLICT');
+    });
+
+    it('rolls back on RFID_NOT_AVAILABLE for a card held by another guest', async () => {
+      const guestId = await addGuest();
+      const otherGuestId = await addGuest('Ben Ode');
+      await addRoom('101');
+      const rfidId = await addTag('CARD-1', { status: 'active', guest_id: otherGuestId });
+
+      await assertRolledBack(() => registerFlow({ guestId, roomNumber: '101', rfidId }), 'RFID_NOT_AVAILABLE');
+    });
+
+    it('rolls back on RFID_NOT_AVAILABLE for a card already on another stay', async () => {
+      const guestId = await addGuest();
+      await addRoom('101');
+      await addRoom('102');
+      const rfidId = await addTag('CARD-1');
+      await registerFlow({ guestId, roomNumber: '101', rfidId });
+
+      await assertRolledBack(() => registerFlow({ guestId, roomNumber: '102', rfidId }), 'RFID_NOT_AVAILABLE');
+    });
+
+    it('undoes its earlier writes when a later step fails', async () => {
+      const guestId = await addGuest();
+      const roomId = await addRoom('101');
+      const rfidId = await addTag('CARD-1');
+      // The room is marked available but an open stay still holds it, so the
+      // stay_rooms insert near the end violates uq_stay_rooms_open_room.
+      const [{ id: staleStayId }] = await q(
+        'INSERT INTO stays (primary_guest_id, check_in, check_out) VALUES ($1, $2, $3) RETURNING id',
+        [guestId, hoursFromNow(-48), hoursFromNow(-24)]
+      );
+      await q('INSERT INTO stay_rooms (stay_id, room_id) VALUES ($1, $2)', [staleStayId, roomId]);
+
+      const before = await db.snapshot();
+      await assert.rejects(registerFlow({ guestId, roomNumber: '101', rfidId }), { code: '23505' });
+      assert.deepEqual(await db.snapshot(), before);
+    });
+  });
+
+  describe('check_in_by_card', () => {
+    it('occupies the room until the stay check-out and activates stay and card', async () => {
+      const guestId = await addGuest();
+      const roomId = await addRoom('101');
+      const rfidId = await addTag('CARD-1');
+      const checkOut = hoursFromNow(24);
+      const registered = await registerFlow({ guestId, roomNumber: '101', rfidId, checkOut });
+
+      const result = await checkInByCard({ rfidId, roomId, guestId, stayId: registered.stay_id });
+      assert.equal(result.room.status, 'occupied');
+      assert.equal(result.rfid.status, 'active');
+      assert.equal(String(result.occupancy_history_id), String(registered.occupancy_record_id));
+
+      const [room] = await q('SELECT status, check_out FROM rooms WHERE id = $1', [roomId]);
+      assert.equal(room.status, 'occupied');
+      assert.equal(room.check_out.toISOString(), checkOut);
+      const [stay] = await q('SELECT status FROM stays WHERE id = $1', [registered.stay_id]);
+      assert.equal(stay.status, 'active');
+      const [tag] = await q('SELECT status FROM rfid_tags WHERE id = $1', [rfidId]);
+      assert.equal(tag.status, 'active');
+    });
+
+    it('rolls back on STAY_ENDED', async () => {
+      const guestId = await addGuest();
+      const roomId = await addRoom('101');
+      const rfidId = await addTag('CARD-1', { status: 'assigned', guest_id: guestId });
+
+      await assertRolledBack(() => checkInByCard({ rfidId, roomId, guestId }), 'STAY_ENDED');
+    });
+
+    it('undoes the room promotion when opening the occupancy record fails', async () => {
+      const guestId = await addGuest();
+      const roomId = await addRoom('101', { status: 'reserved', guest_id: guestId, hours_stay: 3 });
+      // No such card: the room is promoted first, then the occupancy insert
+      // fails on its rfid_id foreign key.
+      const before = await db.snapshot();
+      await assert.rejects(checkInByCard({ rfidId: 999999, roomId, guestId }), { code: '23503' });
+      assert.deepEqual(await db.snapshot(), before);
+    });
+  });
+
+  describe('check_out_room', () => {
+    const occupiedStay = async () => {
+      const guestId = await addGuest();
+      const roomId = await addRoom('101');
+      const rfidId = await addTag('CARD-1');
+      const registered = await registerFlow({ guestId, roomNumber: '101', rfidId });
+      await checkInByCard({ rfidId, roomId, guestId, stayId: registered.stay_id });
+      const [{ id: reservationId }] = await q(
+        `INSERT INTO reservations (room_id, guest_id, stay_id, check_in, check_out, status)
+         VALUES ($1, $2, $3, $4, $5, 'promoted') RETURNING id`,
+        [roomId, guestId, registered.stay_id, hoursFromNow(0), hoursFromNow(24)]
+      );
+      return { guestId, roomId, rfidId, stayId: registered.stay_id, reservationId };
+    };
+
+    it('frees the room, revokes the cards and closes the stay', async () => {
+      const { roomId, rfidId, stayId, reservationId } = await occupiedStay();
+
+      const result = await checkOutRoom(roomId);
+      assert.equal(result.stay_closed, true);
+      assert.equal(result.revoked_card_ids.length, 1);
+
+      const [room] = await q('SELECT status, guest_id, check_out FROM rooms WHERE id = $1', [roomId]);
+      assert.deepEqual(room, { status: 'available', guest_id: null, check_out: null });
+      const [tag] = await q('SELECT status, guest_id FROM rfid_tags WHERE id = $1', [rfidId]);
+      assert.deepEqual(tag, { status: 'available', guest_id: null });
+      const [stay] = await q('SELECT status FROM stays WHERE id = $1', [stayId]);
+      assert.equal(stay.status, 'checked_out');
+      assert.equal((await q('SELECT 1 FROM stay_cards WHERE stay_id = $1 AND revoked_at IS NULL', [stayId])).length, 0);
+      assert.equal((await q('SELECT 1 FROM stay_rooms WHERE stay_id = $1 AND released_at IS NULL', [stayId])).length, 0);
+      const [reservation] = await q('SELECT status FROM reservations WHERE id = $1', [reservationId]);
+      assert.equal(reservation.status, 'completed');
+    });
+
+    it('rolls back on ROOM_NOT_FOUND', async () => {
+      await occupiedStay();
+      await assertRolledBack(() => checkOutRoom(999999), 'ROOM_NOT_FOUND');
+    });
+
+    it('undoes every release when its last step fails', async () => {
+      const { roomId } = await occupiedStay();
+      // Fail the final reservation update, after the room, cards, tags and stay
+      // have all been written.
+      await q(`
+        CREATE FUNCTION test_fail_reservation_update() RETURNS TRIGGER
+        LANGUAGE plpgsql AS $$ BEGIN RAISE EXCEPTION 'TEST_FAILURE'; END; $$;
+        CREATE TRIGGER test_fail_reservation_update BEFORE UPDATE ON reservations
+          FOR EACH ROW EXECUTE FUNCTION test_fail_reservation_update();
+      `);
+      try {
+        await assertRolledBack(() => checkOutRoom(roomId), 'TEST_FAILURE');
+      } finally {
+        await q(`
+          DROP TRIGGER test_fail_reservation_update ON reservations;
+          DROP FUNCTION test_fail_reservation_update();
+        `);
+      }
+    });
+  });
+});
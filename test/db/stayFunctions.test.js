@@ -0,0 +1,242 @@
+// test/db/stayFunctions.test.js
+// open_stay, add_stay_room, promote_reservation
+// (config/migrations/030_stay_functions.sql) and reschedule_stay_check_out
+// (031_stay_check_out_function.sql): a successful call commits every change, a
+// failing one leaves the database exactly as it found it.
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestDatabase, skipReason } from './harness.js';
+
+const HOUR = 60 * 60 * 1000;
+const hoursFromNow = (hours) => new Date(Date.now() + hours * HOUR).toISOString();
+
+describe('stay functions', { skip: skipReason }, () => {
+  let db;
+  let q;
+
+  before(async () => {
+    db = await createTestDatabase();
+    q = async (sql, params = []) => (await db.client.query(sql, params)).rows;
+  });
+
+  after(async () => {
+    await db?.close();
+  });
+
+  beforeEach(async () => {
+    await db.reset();
+  });
+
+  const addGuest = async (name = 'Ana Cruz') =>
+    (await q('INSERT INTO guests (name) VALUES ($1) RETURNING id', [name]))[0].id;
+
+  const addRoom = async (roomNumber, status = 'available') =>
+    (await q('INSERT INTO rooms (room_number, status) VALUES ($1, $2) RETURNING id', [roomNumber, status]))[0].id;
+
+  const addReservation = async ({ roomId, guestId, checkIn = hoursFromNow(0), checkOut = hoursFromNow(24), status = 'booked' }) =>
+    (await q(
+      `INSERT INTO reservations (room_id, guest_id, check_in, check_out, status)
+       VALUES ($1, $2, $3, $4, $5) RETURNING id`,
+      [roomId, guestId, checkIn, checkOut, status]
+    ))[0].id;
+
+  const openStay = async ({ guestId, roomNumbers, companionIds = [], checkIn = hoursFromNow(0), checkOut = hoursFromNow(24) }) =>
+    (await q(
+      `SELECT open_stay(p_primary_guest_id => $1, p_room_numbers => $2, p_check_in => $3,
+                        p_check_out => $4, p_companion_ids => $5) AS result`,
+      [guestId, roomNumbers, checkIn, checkOut, companionIds]
+    ))[0].result;
+
+  const addStayRoom = async (stayId, roomNumber) =>
+    (await q('SELECT add_stay_room(p_stay_id => $1, p_room_number => $2) AS result', [stayId, roomNumber]))[0].result;
+
+  const promoteReservation = async (reservationId, checkIn = null) =>
+    (await q('SELECT promote_reservation(p_reservation_id => $1, p_check_in => $2) AS result', [reservationId, checkIn]))[0]
+      .result;
+
+  const rescheduleCheckOut = async (stayId, checkOut) =>
+    (await q('SELECT reschedule_stay_check_out($1, $2) AS result', [stayId, checkOut]))[0].result;
+
+  // The call must fail with `code` and change nothing.
+  const assertRolledBack = async (call, code) => {
+    const before = await db.snapshot();
+    await assert.rejects(call(), (err) => {
+      assert.equal(err.message, code);
+      return true;
+    });
+    assert.deepEqual(await db.snapshot(), before);
+  };
+
+  describe('open_stay', () => {
+    it('creates the stay with its guests and reserves every room', async () => {
+      const guestId = await addGuest();
+      const companionId = await addGuest('Ben Ode');
+      const roomIds = [await addRoom('101'), await addRoom('102')];
+
+      const result = await openStay({ guestId, roomNumbers: ['101', '102'], companionIds: [companionId] });
+      assert.deepEqual(result.rooms.map((room) => room.status), ['reserved', 'reserved']);
+
+      const [stay] = await q('SELECT primary_guest_id, status FROM stays WHERE id = $1', [result.stay_id]);
+      assert.deepEqual(stay, { primary_guest_id: guestId, status: 'reserved' });
+      const guests = await q('SELECT guest_id, role FROM stay_guests WHERE stay_id = $1 ORDER BY role DESC', [result.stay_id]);
+      assert.deepEqual(guests, [
+        { guest_id: guestId, role: 'primary' },
+        { guest_id: companionId, role: 'companion' },
+      ]);
+      const linked = await q('SELECT room_id FROM stay_rooms WHERE stay_id = $1 ORDER BY room_id', [result.stay_id]);
+      assert.deepEqual(linked.map((row) => row.room_id), roomIds);
+      const history = await q("SELECT room_id FROM room_occupancy_history WHERE event_indicator = 'registered' ORDER BY room_id");
+      assert.deepEqual(history.map((row) => row.room_id), roomIds);
+    });
+
+    it('keeps none of the rooms when a later one is taken', async () => {
+      const guestId = await addGuest();
+      await addRoom('101');
+      await addRoom('102', 'occupied');
+
+      await assertRolledBack(() => openStay({ guestId, roomNumbers: ['101', '102'] }), 'ROOM_NOT_AVAILABLE');
+    });
+
+    it('rolls back on RESERVATION_CONFLICT', async () => {
+      const guestId = await addGuest();
+      const roomId = await addRoom('101');
+      await addReservation({ roomId, guestId: await addGuest('Ben Ode'), checkIn: hoursFromNow(12), checkOut: hoursFromNow(36) });
+
+      await assertRolledBack(() => openStay({ guestId, roomNumbers: ['101'] }), 'RESERVATION_CONFLICT');
+    });
+  });
+
+  describe('add_stay_room', () => {
+    it('reserves another room on the stay', async () => {
+      const guestId = await addGuest();
+      await addRoom('101');
+      const roomId = await addRoom('102');
+      const { stay_id: stayId } = await openStay({ guestId, roomNumbers: ['101'] });
+
+      const room = await addStayRoom(stayId, '102');
+      assert.equal(room.status, 'reserved');
+      assert.equal((await q('SELECT 1 FROM stay_rooms WHERE stay_id = $1 AND room_id = $2', [stayId, roomId])).length, 1);
+    });
+
+    it('rolls back on STAY_CLOSED', async () => {
+      const guestId = await addGuest();
+      await addRoom('101');
+      await addRoom('102');
+      const { stay_id: stayId } = await openStay({ guestId, roomNumbers: ['101'] });
+      await q("UPDATE stays SET status = 'checked_out' WHERE id = $1", [stayId]);
+
+      await assertRolledBack(() => addStayRoom(stayId, '102'), 'STAY_CLOSED');
+    });
+  });
+
+  describe('promote_reservation', () => {
+    it('opens the stay and marks the reservation promoted', async () => {
+      const guestId = await addGuest();
+      const roomId = await addRoom('101');
+      const reservationId = await addReservation({ roomId, guestId, checkIn: hoursFromNow(1) });
+      const checkIn = hoursFromNow(0);
+
+      const result = await promoteReservation(reservationId, checkIn);
+      assert.equal(result.reservation.status, 'promoted');
+      assert.equal(String(result.reservation.stay_id), String(result.stay_id));
+      assert.equal(result.reservation.rooms.room_number, '101');
+
+      const [stay] = await q('SELECT check_in FROM stays WHERE id = $1', [result.stay_id]);
+      assert.equal(stay.check_in.toISOString(), checkIn);
+      const [room] = await q('SELECT status, guest_id FROM rooms WHERE id = $1', [roomId]);
+      assert.deepEqual(room, { status: 'reserved', guest_id: guestId });
+    });
+
+    it('rolls back on RESERVATION_NOT_BOOKED', async () => {
+      const guestId = await addGuest();
+      const roomId = await addRoom('101');
+      const reservationId = await addReservation({ roomId, guestId, status: 'canceled' });
+
+      await assertRolledBack(() => promoteReservation(reservationId), 'RESERVATION_NOT_BOOKED');
+    });
+
+    it('leaves no stay behind when the reservation update fails', async () => {
+      const guestId = await addGuest();
+      const roomId = await addRoom('101');
+      const reservationId = await addReservation({ roomId, guestId });
+      // Fail the final reservation update, after the stay and room are written.
+      await q(`
+        CREATE FUNCTION test_fail_reservation_update() RETURNS TRIGGER
+        LANGUAGE plpgsql AS $$ BEGIN RAISE EXCEPTION 'TEST_FAILURE'; END; $$;
+        CREATE TRIGGER test_fail_reservation_update BEFORE UPDATE ON reservations
+          FOR EACH ROW EXECUTE FUNCTION test_fail_reservation_update();
+      `);
+      try {
+        await assertRolledBack(() => promoteReservation(reservationId), 'TEST_FAILURE');
+      } finally {
+        await q(`
+          DROP TRIGGER test_fail_reservation_update ON reservations;
+          DROP FUNCTION test_fail_reservation_update();
+        `);
+      }
+    });
+  });
+
+  describe('reschedule_stay_check_out', () => {
+    const promotedStay = async () => {
+      const guestId = await addGuest();
+      const roomId = await addRoom('101');
+      const reservationId = await addReservation({ roomId, guestId });
+      const { stay_id: stayId } = await promoteReservation(reservationId);
+      await q(
+        `INSERT INTO mac_addresses (guest_id, mac, status, stay_id, expires_at)
+         VALUES ($1, 'AA:BB:CC:DD:EE:FF', 'authenticated', $2, $3)`,
+        [guestId, stayId, hoursFromNow(24)]
+      );
+      return { guestId, roomId, reservationId, stayId };
+    };
+
+    it('moves the stay, its rooms, reservation, occupancy records and devices', async () => {
+      const { roomId, reservationId, stayId } = await promotedStay();
+      const checkOut = hoursFromNow(48);
+
+      const result = await rescheduleCheckOut(stayId, checkOut);
+      assert.deepEqual(result.rooms.map((room) => room.id), [Number(roomId)]);
+
+      const [stay] = await q('SELECT check_out FROM stays WHERE id = $1', [stayId]);
+      assert.equal(stay.check_out.toISOString(), checkOut);
+      const [room] = await q('SELECT check_out, hours_stay, ten_min_warning_sent FROM rooms WHERE id = $1', [roomId]);
+      assert.equal(room.check_out.toISOString(), checkOut);
+      assert.equal(Math.round(Number(room.hours_stay)), 48);
+      assert.equal(room.ten_min_warning_sent, false);
+      const [history] = await q('SELECT hours_stay FROM room_occupancy_history WHERE room_id = $1', [roomId]);
+      assert.equal(Number(history.hours_stay), Number(room.hours_stay));
+      const [reservation] = await q('SELECT check_out FROM reservations WHERE id = $1', [reservationId]);
+      assert.equal(reservation.check_out.toISOString(), checkOut);
+      const [device] = await q('SELECT expires_at FROM mac_addresses');
+      assert.equal(device.expires_at.toISOString(), checkOut);
+    });
+
+    it('rolls back on RESERVATION_CONFLICT', async () => {
+      const { roomId, stayId } = await promotedStay();
+      await addReservation({ roomId, guestId: await addGuest('Ben Ode'), checkIn: hoursFromNow(30), checkOut: hoursFromNow(40) });
+
+      await assertRolledBack(() => rescheduleCheckOut(stayId, hoursFromNow(48)), 'RESERVATION_CONFLICT');
+    });
+
+    it('undoes every change when its last step fails', async () => {
+      const { stayId } = await promotedStay();
+      // Fail the final device update, after the rooms, records, reservation and
+      // stay have all been written.
+      await q(`
+        CREATE FUNCTION test_fail_mac_update() RETURNS TRIGGER
+        LANGUAGE plpgsql AS $$ BEGIN RAISE EXCEPTION 'TEST_FAILURE'; END; $$;
+        CREATE TRIGGER test_fail_mac_update BEFORE UPDATE ON mac_addresses
+          FOR EACH ROW EXECUTE FUNCTION test_fail_mac_update();
+      `);
+      try {
+        await assertRolledBack(() => rescheduleCheckOut(stayId, hoursFromNow(12)), 'TEST_FAILURE');
+      } finally {
+        await q(`
+          DROP TRIGGER test_fail_mac_update ON mac_addresses;
+          DROP FUNCTION test_fail_mac_update();
+        `);
+      }
+    });
+  });
+});
@@ -0,0 +1,61 @@
+// test/db/verificationFunctions.test.js
+// claim_code_attempt (config/migrations/027_verification_code_attempts.sql):
+// a code gives out exactly its allowed attempts, also to parallel guesses.
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestDatabase, skipReason } from './harness.js';
+
+describe('verification code functions', { skip: skipReason }, () => {
+  let db;
+  let q;
+  let codeId;
+
+  before(async () => {
+    db = await createTestDatabase();
+    q = async (sql, params = []) => (await db.client.query(sql, params)).rows;
+  });
+
+  after(async () => {
+    await db?.close();
+  });
+
+  beforeEach(async () => {
+    await db.reset();
+    [{ id: codeId }] = await q(
+      `INSERT INTO verification_codes (subject_type, subject_id, purpose, channel, destination, code_hash, expires_at)
+       VALUES ('guest', 1, 'password_reset', 'email', 'ana@example.com', 'x', now() + interval '15 minutes')
+       RETURNING id`
+    );
+  });
+
+  const claim = async (client = db.client) =>
+    (await client.query('SELECT * FROM claim_code_attempt($1, 3)', [codeId])).rows[0];
+
+  it('counts each attempt and refuses once the code is out of attempts', async () => {
+    assert.equal((await claim()).attempts, 1);
+    assert.equal((await claim()).attempts, 2);
+    assert.equal((await claim()).attempts, 3);
+    assert.equal(await claim(), undefined);
+  });
+
+  it('refuses a used or expired code', async () => {
+    await q('UPDATE verification_codes SET consumed_at = now()');
+    assert.equal(await claim(), undefined);
+    await q("UPDATE verification_codes SET consumed_at = NULL, expires_at = now() - interval '1 second'");
+    assert.equal(await claim(), undefined);
+  });
+
+  it('gives out no more than the limit to parallel guesses', async () => {
+    const clients = await Promise.all([1, 2, 3, 4, 5].map(() => db.connect()));
+    let claims;
+    try {
+      claims = await Promise.all(clients.map((client) => claim(client)));
+    } finally {
+      await Promise.all(clients.map((client) => client.end()));
+    }
+
+    assert.equal(claims.filter(Boolean).length, 3);
+    const [{ attempts }] = await q('SELECT attempts FROM verification_codes');
+    assert.equal(attempts, 3);
+  });
+});
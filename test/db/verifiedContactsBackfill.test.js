@@ -0,0 +1,53 @@
+// test/db/verifiedContactsBackfill.test.js
+// config/migrations/026_verified_contacts_backfill.sql: guests who were never
+// sent a verification code are marked verified, everyone else is left alone.
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createTestDatabase, skipReason } from './harness.js';
+
+const BACKFILL = path.join(
+  path.dirname(fileURLToPath(import.meta.url)),
+  '../../config/migrations/026_verified_contacts_backfill.sql'
+);
+
+describe('verified contacts backfill', { skip: skipReason }, () => {
+  let db;
+  let q;
+
+  before(async () => {
+    db = await createTestDatabase();
+    q = async (sql, params = []) => (await db.client.query(sql, params)).rows;
+  });
+
+  after(async () => {
+    await db?.close();
+  });
+
+  beforeEach(async () => {
+    await db.reset();
+  });
+
+  const addGuest = async (name) => (await q('INSERT INTO guests (name) VALUES ($1) RETURNING id', [name]))[0].id;
+
+  const verifiedAt = async (guestId) =>
+    (await q('SELECT email_verified_at, phone_verified_at FROM guests WHERE id = $1', [guestId]))[0];
+
+  it('verifies guests who were never sent a code and no one else', async () => {
+    const legacyId = await addGuest('Ana Cruz');
+    const pendingId = await addGuest('Ben Ode');
+    await q(
+      `INSERT INTO verification_codes (subject_type, subject_id, purpose, channel, destination, code_hash, expires_at)
+       VALUES ('guest', $1, 'verify_email', 'email', 'ben@example.com', 'x', now() + interval '30 minutes')`,
+      [pendingId]
+    );
+
+    await q(await fs.readFile(BACKFILL, 'utf8'));
+
+    const legacy = await verifiedAt(legacyId);
+    assert.ok(legacy.email_verified_at && legacy.phone_verified_at);
+    assert.deepEqual(await verifiedAt(pendingId), { email_verified_at: null, phone_verified_at: null });
+  });
+});
@@ -0,0 +1,82 @@
+// test/db/wifiFunctions.test.js
+// bind_wifi_device (config/migrations/024_wifi_device_limit.sql): a stay binds
+// at most p_limit devices, also when they sign in at the same moment.
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestDatabase, skipReason } from './harness.js';
+
+const HOUR = 60 * 60 * 1000;
+const hoursFromNow = (hours) => new Date(Date.now() + hours * HOUR).toISOString();
+
+describe('wifi functions', { skip: skipReason }, () => {
+  let db;
+  let q;
+  let stayId;
+
+  before(async () => {
+    db = await createTestDatabase();
+    q = async (sql, params = []) => (await db.client.query(sql, params)).rows;
+  });
+
+  after(async () => {
+    await db?.close();
+  });
+
+  beforeEach(async () => {
+    await db.reset();
+    const [{ id: guestId }] = await q("INSERT INTO guests (name) VALUES ('Ana Cruz') RETURNING id");
+    [{ id: stayId }] = await q(
+      `INSERT INTO stays (primary_guest_id, status, check_in, check_out)
+       VALUES ($1, 'active', $2, $3) RETURNING id`,
+      [guestId, hoursFromNow(-1), hoursFromNow(24)]
+    );
+  });
+
+  const bind = async (mac, { client = db.client, limit = 2 } = {}) =>
+    (await client.query(
+      `SELECT * FROM bind_wifi_device($1, '10.5.50.20', NULL, $2, 'room_last_name', NULL, $3, $4)`,
+      [mac, stayId, hoursFromNow(24), limit]
+    )).rows[0];
+
+  const liveDevices = async () =>
+    (await q("SELECT mac FROM mac_addresses WHERE stay_id = $1 AND status = 'authenticated' ORDER BY mac", [stayId]))
+      .map((r) => r.mac);
+
+  it('binds devices up to the limit and refuses the next one', async () => {
+    const device = await bind('AA:BB:CC:00:00:01');
+    assert.equal(device.status, 'authenticated');
+    await bind('AA:BB:CC:00:00:02');
+
+    await assert.rejects(bind('AA:BB:CC:00:00:03'), (err) => {
+      assert.equal(err.message, 'WIFI_DEVICE_LIMIT');
+      assert.equal(JSON.parse(err.detail).devices.length, 2);
+      return true;
+    });
+    assert.deepEqual(await liveDevices(), ['AA:BB:CC:00:00:01', 'AA:BB:CC:00:00:02']);
+  });
+
+  it('lets a bound device sign in again and reuses a stored lease', async () => {
+    await q("INSERT INTO mac_addresses (mac, status) VALUES ('AA:BB:CC:00:00:02', 'pending')");
+    await bind('AA:BB:CC:00:00:01');
+    await bind('AA:BB:CC:00:00:02');
+    await bind('AA:BB:CC:00:00:01');
+
+    assert.equal((await q('SELECT 1 FROM mac_addresses')).length, 2);
+  });
+
+  it('never binds more than the limit when devices sign in in parallel', async () => {
+    const clients = await Promise.all([1, 2, 3, 4].map(() => db.connect()));
+    let results;
+    try {
+      results = await Promise.allSettled(
+        clients.map((client, i) => bind(`AA:BB:CC:00:00:0${i + 1}`, { client }))
+      );
+    } finally {
+      await Promise.all(clients.map((client) => client.end()));
+    }
+
+    assert.equal(results.filter((r) => r.status === 'fulfilled').length, 2);
+    assert.ok(results.filter((r) => r.status === 'rejected').every((r) => r.reason.message === 'WIFI_DEVICE_LIMIT'));
+    assert.equal((await liveDevices()).length, 2);
+  });
+});
@@ -0,0 +1,46 @@
+// utils/appError.js
+import { ERROR_CODES, statusForCode } from '../config/errorCodes.js';
+
+/**
+ * AppError
+ * Thrown by controllers (and anything they call) for expected failures.
+ * middlewares/errorHandler.js turns it into the standard error envelope:
+ *   { success: false, code, message, details }
+ *
+ *   throw new AppError('ROOM_NOT_AVAILABLE', `Room ${n} is not available.`);
+ *   throw new AppError('DATABASE_ERROR', 'Unable to fetch rooms.', { cause: error });
+ *
+ * options.status overrides the default status of the code; options.details is
+ * sent to the client as-is; options.cause is only logged.
+ */
+export class AppError extends Error {
+  constructor(code, message, { status, details = null, cause = null } = {}) {
+    super(message);
+    this.name = 'AppError';
+    this.code = code;
+    this.status = status || statusForCode(code);
+    this.details = details;
+    this.cause = cause;
+  }
+}
+
+/**
+ * Map an error from supabase.rpc() to an AppError. The database functions
+ * (config/migrations/006_occupancy_functions.sql) raise expected failures with
+ * SQLSTATE P0001, the error code as MESSAGE, the human text as HINT and an
+ * optional JSON object as DETAIL. Anything else becomes DATABASE_ERROR.
+ */
+export const appErrorFromRpc = (error, fallbackMessage) => {
+  if (error?.code === 'P0001' && ERROR_CODES[error.message]) {
+    let details = null;
+    if (error.details) {
+      try {
+        details = JSON.parse(error.details);
+      } catch {
+        details = { detail: error.details };
+      }
+    }
+    return new AppError(error.message, error.hint || error.message, { details });
+  }
+  return new AppError('DATABASE_ERROR', fallbackMessage, { cause: error });
+};
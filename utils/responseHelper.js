@@ -1,14 +1,30 @@
 // utils/responseHelper.js
+// The single response contract shared by every endpoint:
+//   success: { success: true, message, data }
+//   error:   { success: false, code, message, details }
 
-export const formatErrorResponse = (message, data = null) => ({
-    success: false,
-    message,
-    data,
-  });
-  
-  export const formatSuccessResponse = (message, data = null) => ({
-    success: true,
-    message,
-    data,
-  });
-  
\ No newline at end of file
+export const formatSuccessResponse = (message, data = null) => ({
+  success: true,
+  message,
+  data,
+});
+
+export const formatErrorResponse = (code, message, details = null) => ({
+  success: false,
+  code,
+  message,
+  details,
+});
+
+/**
+ * Send a success envelope.
+ */
+export const sendSuccess = (res, message, data = null, status = 200) =>
+  res.status(status).json(formatSuccessResponse(message, data));
+
+/**
+ * Send an error envelope directly (for middleware that does not go through
+ * errorHandler). Controllers should throw AppError instead.
+ */
+export const sendError = (res, status, code, message, details = null) =>
+  res.status(status).json(formatErrorResponse(code, message, details));
@@ -0,0 +1,46 @@
+// validators/accessLogValidators.js
+import {
+  idField,
+  stringField,
+  rfidUidField,
+  numberField,
+  enumField,
+  isoTimestampField,
+  paginationQuery,
+} from './common.js';
+
+export const ACCESS_EVENT_BATCH_MAX = 500;
+
+export const logAccessGrantedSchema = {
+  rfid_uid: rfidUidField('body'),
+  guest_id: idField('body'),
+  latency: numberField('body', { optional: true }),
+};
+
+export const logAccessDeniedSchema = {
+  rfid_uid: rfidUidField('body'),
+  latency: numberField('body', { optional: true }),
+};
+
+export const getAccessLogsSchema = {
+  guest_id: idField('params'),
+  ...paginationQuery,
+};
+
+export const logAccessBatchSchema = {
+  device_id: stringField('body', { max: 64 }),
+  events: {
+    in: ['body'],
+    isArray: {
+      options: { min: 1, max: ACCESS_EVENT_BATCH_MAX },
+      errorMessage: `Must be a list of 1-${ACCESS_EVENT_BATCH_MAX} events.`,
+    },
+  },
+  'events.*.idempotency_key': stringField('body', { max: 128 }),
+  'events.*.door_id': stringField('body', { max: 64 }),
+  'events.*.rfid_uid': rfidUidField('body'),
+  'events.*.access_status': enumField('body', ['granted', 'denied']),
+  'events.*.guest_id': idField('body', { optional: true }),
+  'events.*.device_time': isoTimestampField('body'),
+  'events.*.latency': numberField('body', { optional: true }),
+};
@@ -0,0 +1,82 @@
+// validators/accessZoneValidators.js
+import { idField, stringField, booleanField, integerField } from './common.js';
+
+const zoneCodeField = (location, { optional = false } = {}) => ({
+  ...stringField(location, { optional, max: 64 }),
+  matches: {
+    options: [/^[a-z0-9][a-z0-9._-]*$/],
+    errorMessage: 'Must be lowercase letters, digits, dots, dashes or underscores.',
+  },
+});
+
+// HH:MM or HH:MM:SS, 24-hour clock.
+const timeField = (location) => ({
+  in: [location],
+  optional: { options: { values: 'null' } },
+  matches: { options: [/^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/], errorMessage: 'Must be a time (HH:MM).' },
+});
+
+const timezoneField = (location) => ({
+  in: [location],
+  optional: { options: { values: 'null' } },
+  custom: {
+    options: (value) => {
+      new Intl.DateTimeFormat('en-US', { timeZone: value });
+      return true;
+    },
+    errorMessage: 'Must be an IANA time zone (e.g. Asia/Manila).',
+  },
+});
+
+const listField = (location, max, errorMessage) => ({
+  in: [location],
+  optional: { options: { values: 'null' } },
+  isArray: { options: { max }, errorMessage },
+});
+
+export const zoneIdParamSchema = {
+  id: idField('params'),
+};
+
+export const policyParamSchema = {
+  id: idField('params'),
+  policyId: idField('params'),
+};
+
+export const createZoneSchema = {
+  code: zoneCodeField('body'),
+  name: stringField('body', { max: 100 }),
+  description: stringField('body', { optional: true, max: 500 }),
+  staff_only: booleanField('body', { optional: true }),
+};
+
+export const updateZoneSchema = {
+  id: idField('params'),
+  code: zoneCodeField('body', { optional: true }),
+  name: stringField('body', { optional: true, max: 100 }),
+  description: stringField('body', { optional: true, max: 500 }),
+  staff_only: booleanField('body', { optional: true }),
+};
+
+const policyFields = (optionalName) => ({
+  name: stringField('body', { optional: optionalName, max: 100 }),
+  membership_levels: listField('body', 20, 'Must be a list of at most 20 membership levels.'),
+  'membership_levels.*': stringField('body', { max: 50 }),
+  add_on: stringField('body', { optional: true, max: 50 }),
+  weekdays: listField('body', 7, 'Must be a list of weekdays (0 = Sunday ... 6 = Saturday).'),
+  'weekdays.*': integerField('body', { min: 0, max: 6 }),
+  start_time: timeField('body'),
+  end_time: timeField('body'),
+  timezone: timezoneField('body'),
+  enabled: booleanField('body', { optional: true }),
+});
+
+export const createPolicySchema = {
+  id: idField('params'),
+  ...policyFields(false),
+};
+
+export const updatePolicySchema = {
+  ...policyParamSchema,
+  ...policyFields(true),
+};
@@ -0,0 +1,80 @@
+// validators/adminValidators.js
+import {
+  idField,
+  stringField,
+  emailField,
+  passwordField,
+  newPasswordField,
+  enumField,
+  booleanField,
+  urlField,
+  paginationQuery,
+  LOGIN_SUBJECT_TYPES,
+} from './common.js';
+import { STAFF_ROLES } from '../config/roles.js';
+
+export const loginAdminSchema = {
+  identifier: stringField('body'),
+  password: passwordField('body'),
+};
+
+export const forgotAdminPasswordSchema = {
+  identifier: stringField('body'),
+};
+
+export const resetAdminPasswordSchema = {
+  identifier: stringField('body'),
+  code: {
+    in: ['body'],
+    matches: { options: [/^\d{6}$/], errorMessage: 'Must be a 6-digit code.' },
+  },
+  newPassword: newPasswordField('body'),
+};
+
+export const createAdminSchema = {
+  username: stringField('body', { min: 3, max: 50 }),
+  email: emailField('body'),
+  password: newPasswordField('body'),
+  role: enumField('body', STAFF_ROLES, { optional: true }),
+};
+
+export const changeAdminPasswordSchema = {
+  adminId: idField('body'),
+  currentPassword: passwordField('body'),
+  newPassword: newPasswordField('body'),
+};
+
+export const updateAdminProfileSchema = {
+  adminId: idField('body'),
+  username: stringField('body', { optional: true, min: 3, max: 50 }),
+  email: emailField('body', { optional: true }),
+  role: enumField('body', STAFF_ROLES, { optional: true }),
+  on_duty: booleanField('body', { optional: true }),
+};
+
+export const verifyAdminEmailSchema = {
+  adminId: idField('body'),
+  code: resetAdminPasswordSchema.code,
+};
+
+export const uploadAdminAvatarSchema = {
+  adminId: idField('body'),
+  newAvatarUrl: urlField('body'),
+};
+
+export const updateAdminFcmTokenSchema = {
+  adminId: idField('body'),
+  fcmToken: stringField('body', { max: 4096 }),
+};
+
+export const unlockLoginAccountSchema = {
+  subject_type: enumField('body', LOGIN_SUBJECT_TYPES),
+  identifier: stringField('body'),
+};
+
+export const loginAuditQuerySchema = {
+  subject_type: enumField('query', LOGIN_SUBJECT_TYPES, { optional: true }),
+  identifier: stringField('query', { optional: true }),
+  success: booleanField('query', { optional: true }),
+  ...paginationQuery,
+};
@@ -0,0 +1,61 @@
+// validators/anomalyValidators.js
+import {
+  idField,
+  stringField,
+  enumField,
+  integerField,
+  booleanField,
+  rfidUidField,
+  paginationQuery,
+  CREDENTIAL_TYPES,
+} from './common.js';
+import { ANOMALY_RULES, ANOMALY_CHANNELS } from '../services/anomalyService.js';
+
+const ruleObject = (rule) => ({
+  [rule]: { in: ['body'], optional: true, isObject: { errorMessage: 'Must be an object.' } },
+  [`${rule}.enabled`]: booleanField('body', { optional: true }),
+});
+
+// Every field is optional: a PUT changes only what it sends.
+export const updateAnomalyPolicySchema = {
+  cooldown_minutes: integerField('body', { optional: true, min: 0, max: 24 * 60 }),
+  staff_channels: {
+    in: ['body'],
+    optional: true,
+    isArray: { errorMessage: 'Must be an array of channels.' },
+  },
+  'staff_channels.*': {
+    in: ['body'],
+    isIn: { options: [ANOMALY_CHANNELS], errorMessage: `Must be one of: ${ANOMALY_CHANNELS.join(', ')}.` },
+  },
+  ...ruleObject('repeated_denials'),
+  'repeated_denials.threshold': integerField('body', { optional: true, min: 2, max: 100 }),
+  'repeated_denials.window_minutes': integerField('body', { optional: true, min: 1, max: 24 * 60 }),
+  'repeated_denials.auto_suspend': booleanField('body', { optional: true }),
+  ...ruleObject('door_hopping'),
+  'door_hopping.threshold': integerField('body', { optional: true, min: 2, max: 100 }),
+  'door_hopping.window_minutes': integerField('body', { optional: true, min: 1, max: 24 * 60 }),
+  'door_hopping.auto_suspend': booleanField('body', { optional: true }),
+  ...ruleObject('lost_card'),
+  ...ruleObject('outside_stay'),
+  'outside_stay.grace_minutes': integerField('body', { optional: true, min: 0, max: 24 * 60 }),
+  'outside_stay.auto_suspend': booleanField('body', { optional: true }),
+};
+
+export const listAnomaliesQuerySchema = {
+  status: enumField('query', ['open', 'resolved'], { optional: true }),
+  rule: enumField('query', ANOMALY_RULES, { optional: true }),
+  rfid_uid: rfidUidField('query', { optional: true }),
+  credential_type: enumField('query', CREDENTIAL_TYPES, { optional: true }),
+  ...paginationQuery,
+};
+
+export const anomalyIdParamSchema = {
+  id: idField('params'),
+};
+
+export const resolveAnomalySchema = {
+  id: idField('params'),
+  note: stringField('body', { optional: true, max: 1000 }),
+  reinstate: booleanField('body', { optional: true }),
+};
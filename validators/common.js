@@ -0,0 +1,167 @@
+// validators/common.js
+// Reusable field definitions for express-validator schemas (see
+// middlewares/validateRequest.js). Each helper returns the config for one field.
+
+export const ROOM_STATUSES = ['available', 'reserved', 'occupied', 'maintenance', 'cleaning'];
+export const RFID_STATUSES = ['available', 'assigned', 'active', 'lost', 'suspended'];
+export const SERVICE_REQUEST_STATUSES = ['pending', 'in_progress', 'completed', 'canceled', 'rejected'];
+export const MAC_STATUSES = ['pending', 'connected', 'unauthenticated', 'authenticated'];
+export const FEEDBACK_TYPES = ['feedback', 'complaint'];
+export const FEEDBACK_STATUSES = ['pending', 'in_progress', 'resolved', 'closed'];
+export const CONTACT_CHANNELS = ['email', 'phone'];
+export const CREDENTIAL_TYPES = ['rfid', 'mobile_key', 'visitor_pass', 'pin', 'rfid_pin'];
+export const LOGIN_SUBJECT_TYPES = ['guest', 'admin', 'wifi', 'verification'];
+
+// 4, 7 or 10 byte card UIDs written as hex, e.g. "04A1B2C3D4E5F6".
+const RFID_UID_PATTERN = /^(?:[0-9A-Fa-f]{8}|[0-9A-Fa-f]{14}|[0-9A-Fa-f]{20})$/;
+
+// Treat missing and null as "not provided" for optional fields.
+const optionalFlag = (optional) => (optional ? { optional: { options: { values: 'null' } } } : {});
+
+const requiredFlag = (optional) =>
+  optional ? {} : { exists: { options: { values: 'null' }, errorMessage: 'Is required.', bail: true } };
+
+export const idField = (location, { optional = false } = {}) => ({
+  in: [location],
+  ...optionalFlag(optional),
+  ...requiredFlag(optional),
+  isInt: { options: { min: 1 }, errorMessage: 'Must be a positive integer.' },
+});
+
+export const stringField = (location, { optional = false, min = 1, max = 255 } = {}) => ({
+  in: [location],
+  ...optionalFlag(optional),
+  ...requiredFlag(optional),
+  isString: { errorMessage: 'Must be a string.', bail: true },
+  trim: true,
+  isLength: { options: { min, max }, errorMessage: `Must be between ${min} and ${max} characters.` },
+});
+
+export const emailField = (location, { optional = false } = {}) => ({
+  in: [location],
+  ...optionalFlag(optional),
+  ...requiredFlag(optional),
+  isEmail: { errorMessage: 'Must be a valid email address.' },
+});
+
+export const phoneField = (location, { optional = false } = {}) => ({
+  in: [location],
+  ...optionalFlag(optional),
+  ...requiredFlag(optional),
+  matches: {
+    options: [/^\+?[0-9][0-9 -]{6,19}$/],
+    errorMessage: 'Must be a valid phone number.',
+  },
+});
+
+export const passwordField = (location, { optional = false, min = 1 } = {}) => ({
+  in: [location],
+  ...optionalFlag(optional),
+  ...requiredFlag(optional),
+  isString: { errorMessage: 'Must be a string.', bail: true },
+  isLength: { options: { min, max: 128 }, errorMessage: `Must be between ${min} and 128 characters.` },
+});
+
+// Passwords being set (register/change/reset) must meet the minimum length.
+export const newPasswordField = (location) => passwordField(location, { min: 8 });
+
+export const enumField = (location, values, { optional = false } = {}) => ({
+  in: [location],
+  ...optionalFlag(optional),
+  ...requiredFlag(optional),
+  isIn: { options: [values], errorMessage: `Must be one of: ${values.join(', ')}.` },
+});
+
+export const isoTimestampField = (location, { optional = false } = {}) => ({
+  in: [location],
+  ...optionalFlag(optional),
+  ...requiredFlag(optional),
+  isISO8601: { options: { strict: true }, errorMessage: 'Must be an ISO 8601 timestamp.' },
+});
+
+export const macAddressField = (location, { optional = false } = {}) => ({
+  in: [location],
+  ...optionalFlag(optional),
+  ...requiredFlag(optional),
+  isMACAddress: { errorMessage: 'Must be a valid MAC address (e.g. AA:BB:CC:DD:EE:FF).' },
+});
+
+export const ipField = (location, { optional = false } = {}) => ({
+  in: [location],
+  ...optionalFlag(optional),
+  ...requiredFlag(optional),
+  isIP: { errorMessage: 'Must be a valid IP address.' },
+});
+
+export const rfidUidField = (location, { optional = false } = {}) => ({
+  in: [location],
+  ...optionalFlag(optional),
+  ...requiredFlag(optional),
+  matches: {
+    options: [RFID_UID_PATTERN],
+    errorMessage: 'Must be a 4, 7 or 10 byte hex UID.',
+  },
+});
+
+export const roomNumberField = (location, { optional = false } = {}) => ({
+  in: [location],
+  ...optionalFlag(optional),
+  ...requiredFlag(optional),
+  matches: {
+    options: [/^[A-Za-z0-9-]{1,10}$/],
+    errorMessage: 'Must be 1-10 letters, digits or dashes.',
+  },
+});
+
+export const numberField = (location, { optional = false, min = 0, max } = {}) => ({
+  in: [location],
+  ...optionalFlag(optional),
+  ...requiredFlag(optional),
+  isFloat: {
+    options: max === undefined ? { min } : { min, max },
+    errorMessage: max === undefined ? `Must be a number >= ${min}.` : `Must be a number between ${min} and ${max}.`,
+  },
+});
+
+export const integerField = (location, { optional = false, min = 0, max } = {}) => ({
+  in: [location],
+  ...optionalFlag(optional),
+  ...requiredFlag(optional),
+  isInt: {
+    options: max === undefined ? { min } : { min, max },
+    errorMessage: max === undefined ? `Must be an integer >= ${min}.` : `Must be an integer between ${min} and ${max}.`,
+  },
+});
+
+export const booleanField = (location, { optional = false } = {}) => ({
+  in: [location],
+  ...optionalFlag(optional),
+  ...requiredFlag(optional),
+  isBoolean: { errorMessage: 'Must be true or false.' },
+});
+
+export const urlField = (location, { optional = false } = {}) => ({
+  in: [location],
+  ...optionalFlag(optional),
+  ...requiredFlag(optional),
+  isURL: { errorMessage: 'Must be a valid URL.' },
+});
+
+// Booking add-ons ('parking', 'spa', ...) that access policies can require.
+export const addOnsField = (location, { optional = true } = {}) => ({
+  in: [location],
+  ...optionalFlag(optional),
+  ...requiredFlag(optional),
+  isArray: { options: { max: 20 }, errorMessage: 'Must be a list of at most 20 add-ons.' },
+});
+
+export const addOnItemField = (location) => ({
+  in: [location],
+  matches: { options: [/^[a-z0-9][a-z0-9_-]{0,49}$/], errorMessage: 'Must be a lowercase add-on code.' },
+});
+
+// limit/offset query parameters used by the paginated list endpoints.
+export const paginationQuery = {
+  limit: integerField('query', { optional: true, min: 1, max: 500 }),
+  offset: integerField('query', { optional: true, min: 0 }),
+};
@@ -0,0 +1,50 @@
+// validators/deviceValidators.js
+import { idField, stringField, enumField, roomNumberField } from './common.js';
+
+export const DEVICE_KINDS = ['door_reader', 'gateway'];
+export const DEVICE_STATUSES = ['active', 'disabled'];
+
+const deviceCodeField = (location, { optional = false } = {}) => ({
+  ...stringField(location, { optional, max: 64 }),
+  matches: {
+    options: [/^[A-Za-z0-9][A-Za-z0-9._-]*$/],
+    errorMessage: 'Must be letters, digits, dots, dashes or underscores.',
+  },
+});
+
+export const deviceIdParamSchema = {
+  id: idField('params'),
+};
+
+export const listDevicesQuerySchema = {
+  kind: enumField('query', DEVICE_KINDS, { optional: true }),
+  status: enumField('query', DEVICE_STATUSES, { optional: true }),
+  room_number: roomNumberField('query', { optional: true }),
+};
+
+export const createDeviceSchema = {
+  code: deviceCodeField('body'),
+  name: stringField('body', { max: 100 }),
+  kind: enumField('body', DEVICE_KINDS),
+  room_number: roomNumberField('body', { optional: true }),
+  zone_id: idField('body', { optional: true }),
+  area: stringField('body', { optional: true, max: 100 }),
+  gateway_id: idField('body', { optional: true }),
+  firmware_version: stringField('body', { optional: true, max: 50 }),
+};
+
+// room_number, zone_id, gateway_id and area accept null to clear the binding.
+export const updateDeviceSchema = {
+  id: idField('params'),
+  name: stringField('body', { optional: true, max: 100 }),
+  status: enumField('body', DEVICE_STATUSES, { optional: true }),
+  room_number: roomNumberField('body', { optional: true }),
+  zone_id: idField('body', { optional: true }),
+  area: stringField('body', { optional: true, max: 100 }),
+  gateway_id: idField('body', { optional: true }),
+  firmware_version: stringField('body', { optional: true, max: 50 }),
+};
+
+export const heartbeatSchema = {
+  firmware_version: stringField('body', { optional: true, max: 50 }),
+};
@@ -0,0 +1,27 @@
+// validators/feedbackValidators.js
+import {
+  idField,
+  stringField,
+  enumField,
+  FEEDBACK_TYPES,
+  FEEDBACK_STATUSES,
+} from './common.js';
+
+export const submitFeedbackSchema = {
+  guest_id: idField('body'),
+  guest_name: stringField('body', { max: 100 }),
+  feedback_type: enumField('body', FEEDBACK_TYPES),
+  description: stringField('body', { max: 2000 }),
+};
+
+export const getGuestFeedbackSchema = {
+  guest_id: idField('params'),
+};
+
+export const replyToFeedbackSchema = {
+  id: idField('params'),
+  admin_reply: stringField('body', { max: 2000 }),
+  status: enumField('body', FEEDBACK_STATUSES, { optional: true }),
+  admin_id: idField('body'),
+  guest_id: idField('body'),
+};
@@ -0,0 +1,94 @@
+// validators/guestValidators.js
+import {
+  idField,
+  stringField,
+  emailField,
+  phoneField,
+  passwordField,
+  newPasswordField,
+  enumField,
+  urlField,
+  CONTACT_CHANNELS,
+} from './common.js';
+
+export const registerGuestSchema = {
+  name: stringField('body', { max: 100 }),
+  email: emailField('body'),
+  phone: phoneField('body'),
+  password: newPasswordField('body'),
+};
+
+export const loginGuestSchema = {
+  identifier: stringField('body'),
+  password: passwordField('body'),
+};
+
+export const refreshGuestSessionSchema = {
+  refreshToken: stringField('body', { max: 512 }),
+};
+
+export const verifyGuestContactSchema = {
+  guestId: idField('body'),
+  channel: enumField('body', CONTACT_CHANNELS),
+  code: {
+    in: ['body'],
+    matches: { options: [/^\d{6}$/], errorMessage: 'Must be a 6-digit code.' },
+  },
+};
+
+export const resendGuestVerificationSchema = {
+  guestId: idField('body'),
+  channel: enumField('body', CONTACT_CHANNELS),
+};
+
+export const forgotGuestPasswordSchema = {
+  identifier: stringField('body'),
+};
+
+export const resetGuestPasswordSchema = {
+  identifier: stringField('body'),
+  code: verifyGuestContactSchema.code,
+  newPassword: newPasswordField('body'),
+};
+
+export const searchGuestsSchema = {
+  query: stringField('query', { max: 100 }),
+};
+
+export const guestIdParamSchema = {
+  guestId: idField('params'),
+};
+
+export const changeGuestPasswordSchema = {
+  guestId: idField('body'),
+  currentPassword: passwordField('body'),
+  newPassword: newPasswordField('body'),
+};
+
+export const updateGuestProfileSchema = {
+  guestId: idField('body'),
+  name: stringField('body', { optional: true, max: 100 }),
+  email: emailField('body', { optional: true }),
+  phone: phoneField('body', { optional: true }),
+  avatarUrl: urlField('body', { optional: true }),
+};
+
+export const updateGuestMembershipSchema = {
+  guestId: idField('params'),
+  membershipLevel: stringField('body', { max: 50 }),
+};
+
+export const uploadGuestAvatarSchema = {
+  guestId: idField('body'),
+  newAvatarUrl: urlField('body'),
+};
+
+export const signOutGuestSchema = {
+  guestId: idField('body'),
+  refreshToken: stringField('body', { optional: true, max: 512 }),
+};
+
+export const updateGuestFcmTokenSchema = {
+  guestId: idField('body'),
+  fcmToken: stringField('body', { max: 4096 }),
+};
@@ -0,0 +1,18 @@
+// validators/hotelValidators.js
+import { idField, roomNumberField, isoTimestampField, booleanField } from './common.js';
+
+export const registerFlowSchema = {
+  guest_id: idField('body'),
+  room_number: roomNumberField('body'),
+  check_in: isoTimestampField('body'),
+  check_out: {
+    ...isoTimestampField('body'),
+    custom: {
+      options: (value, { req }) => new Date(value) > new Date(req.body.check_in),
+      errorMessage: 'Must be after check_in.',
+    },
+  },
+  rfid_id: idField('body'),
+  // Also give the stay a door keypad PIN (returned once as keypadPin)
+  keypad_pin: booleanField('body', { optional: true }),
+};
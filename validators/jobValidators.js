@@ -0,0 +1,15 @@
+// validators/jobValidators.js
+import { idField, stringField, enumField, paginationQuery } from './common.js';
+
+export const JOB_STATUSES = ['pending', 'running', 'done', 'failed', 'canceled'];
+
+export const jobIdParamSchema = {
+  id: idField('params'),
+};
+
+export const listJobsQuerySchema = {
+  status: enumField('query', JOB_STATUSES, { optional: true }),
+  type: stringField('query', { optional: true, max: 100 }),
+  subject: stringField('query', { optional: true, max: 100 }),
+  ...paginationQuery,
+};
@@ -0,0 +1,27 @@
+// validators/macAddressValidators.js
+import {
+  idField,
+  rfidUidField,
+  macAddressField,
+  ipField,
+  enumField,
+  MAC_STATUSES,
+} from './common.js';
+
+export const createMacAddressSchema = {
+  guest_id: idField('body', { optional: true }),
+  rfid_uid: rfidUidField('body', { optional: true }),
+  mac: macAddressField('body'),
+  ip: ipField('body'),
+  status: enumField('body', MAC_STATUSES, { optional: true }),
+};
+
+// authenticate / deauthenticate / verify only need the MAC.
+export const macBodySchema = {
+  mac: macAddressField('body'),
+};
+
+export const updateMacAddressStatusSchema = {
+  mac: macAddressField('body'),
+  status: enumField('body', MAC_STATUSES),
+};
@@ -0,0 +1,32 @@
+// validators/mobileKeyValidators.js
+import { idField, stringField, roomNumberField, booleanField } from './common.js';
+
+export const issueMobileKeySchema = {
+  guest_id: idField('body'),
+  stay_id: idField('body'),
+  phone_id: stringField('body', { min: 8, max: 128 }),
+};
+
+export const guestMobileKeysSchema = {
+  guest_id: idField('params'),
+  live: booleanField('query', { optional: true }),
+};
+
+export const stayMobileKeysSchema = {
+  stay_id: idField('params'),
+  live: booleanField('query', { optional: true }),
+};
+
+export const mobileKeyIdParamSchema = {
+  id: {
+    in: ['params'],
+    isUUID: { errorMessage: 'Must be a mobile key id.' },
+  },
+};
+
+export const verifyMobileKeySchema = {
+  token: stringField('body', { max: 2048 }),
+  phone_id: stringField('body', { min: 8, max: 128 }),
+  room_number: roomNumberField('body', { optional: true }),
+  device_id: stringField('body', { optional: true, max: 64 }),
+};
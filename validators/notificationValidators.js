@@ -0,0 +1,42 @@
+// validators/notificationValidators.js
+import { idField, stringField } from './common.js';
+
+const notificationFields = {
+  title: stringField('body', { max: 200 }),
+  message: stringField('body', { max: 2000 }),
+  notification_type: stringField('body', { optional: true, max: 50 }),
+  note_message: stringField('body', { optional: true, max: 2000 }),
+};
+
+export const createGuestNotificationSchema = {
+  recipient_guest_id: idField('body'),
+  ...notificationFields,
+};
+
+export const createAdminNotificationSchema = {
+  recipient_admin_id: idField('body'),
+  ...notificationFields,
+};
+
+export const createBothNotificationSchema = {
+  guest_id: idField('body'),
+  admin_id: idField('body'),
+  guest_title: stringField('body', { max: 200 }),
+  guest_message: stringField('body', { max: 2000 }),
+  admin_title: stringField('body', { max: 200 }),
+  admin_message: stringField('body', { max: 2000 }),
+  notification_type: notificationFields.notification_type,
+  note_message: notificationFields.note_message,
+};
+
+export const notificationIdParamSchema = {
+  id: idField('params'),
+};
+
+export const guestIdParamSchema = {
+  guest_id: idField('params'),
+};
+
+export const adminIdParamSchema = {
+  admin_id: idField('params'),
+};
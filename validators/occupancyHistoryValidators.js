@@ -0,0 +1,46 @@
+// validators/occupancyHistoryValidators.js
+import {
+  idField,
+  stringField,
+  numberField,
+  isoTimestampField,
+  roomNumberField,
+} from './common.js';
+
+export const historyIdParamSchema = {
+  id: idField('params'),
+};
+
+export const searchHistorySchema = {
+  query: stringField('query', { max: 100 }),
+};
+
+export const addHistorySchema = {
+  guest_id: idField('body'),
+  room_number: roomNumberField('body'),
+  rfid_id: idField('body', { optional: true }),
+  check_in: isoTimestampField('body', { optional: true }),
+  check_out: isoTimestampField('body', { optional: true }),
+  hours_stay: numberField('body', { optional: true, min: 0.01 }),
+};
+
+export const updateHistorySchema = {
+  id: idField('params'),
+  guest_id: idField('body', { optional: true }),
+  room_number: roomNumberField('body', { optional: true }),
+  check_in: isoTimestampField('body', { optional: true }),
+  check_out: isoTimestampField('body', { optional: true }),
+  hours_stay: numberField('body', { optional: true, min: 0.01 }),
+};
+
+export const checkInHistorySchema = {
+  id: idField('params'),
+  check_in: isoTimestampField('body', { optional: true }),
+  hours_stay: numberField('body', { optional: true, min: 0.01 }),
+};
+
+export const checkOutHistorySchema = {
+  id: idField('params'),
+  check_out: isoTimestampField('body', { optional: true }),
+  check_out_reason: stringField('body', { optional: true, max: 100 }),
+};
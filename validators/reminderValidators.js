@@ -0,0 +1,47 @@
+// validators/reminderValidators.js
+import { stringField, integerField, booleanField } from './common.js';
+import { REMINDER_KINDS, REMINDER_CHANNELS } from '../services/reminderService.js';
+
+const channelList = (field) => ({
+  [field]: {
+    in: ['body'],
+    optional: true,
+    isArray: { errorMessage: 'Must be an array of channels.' },
+  },
+  [`${field}.*`]: {
+    in: ['body'],
+    isIn: { options: [REMINDER_CHANNELS], errorMessage: `Must be one of: ${REMINDER_CHANNELS.join(', ')}.` },
+  },
+});
+
+// Every field is optional: a PUT changes only what it sends.
+const reminderRuleFields = (kind) => ({
+  [kind]: { in: ['body'], optional: true, isObject: { errorMessage: 'Must be an object.' } },
+  [`${kind}.enabled`]: booleanField('body', { optional: true }),
+  [`${kind}.minutes_before`]: {
+    in: ['body'],
+    optional: true,
+    isArray: { options: { min: 1, max: 10 }, errorMessage: 'Must be an array of 1-10 offsets.' },
+  },
+  [`${kind}.minutes_before.*`]: integerField('body', { min: 1, max: 14 * 24 * 60 }),
+  ...channelList(`${kind}.guest_channels`),
+  ...channelList(`${kind}.staff_channels`),
+  [`${kind}.guest_title`]: stringField('body', { optional: true, max: 200 }),
+  [`${kind}.guest_message`]: stringField('body', { optional: true, max: 1000 }),
+  [`${kind}.staff_title`]: stringField('body', { optional: true, max: 200 }),
+  [`${kind}.staff_message`]: stringField('body', { optional: true, max: 1000 }),
+});
+
+export const updateReminderPolicySchema = {
+  timezone: {
+    ...stringField('body', { optional: true, max: 64 }),
+    custom: {
+      options: (value) => {
+        new Intl.DateTimeFormat('en-US', { timeZone: value });
+        return true;
+      },
+      errorMessage: 'Must be an IANA time zone, e.g. Asia/Manila.',
+    },
+  },
+  ...Object.assign({}, ...REMINDER_KINDS.map(reminderRuleFields)),
+};
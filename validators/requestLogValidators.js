@@ -0,0 +1,24 @@
+// validators/requestLogValidators.js
+import { idField, stringField, integerField, paginationQuery } from './common.js';
+
+export const createRequestLogSchema = {
+  request_id: idField('body', { optional: true }),
+  admin_id: idField('body', { optional: true }),
+  guest_id: idField('body', { optional: true }),
+  log_type: stringField('body', { optional: true, max: 50 }),
+  log_message: stringField('body', { optional: true, max: 2000 }),
+  request_size: integerField('body', { optional: true }),
+};
+
+export const createActivityLogSchema = {
+  request_id: idField('body'),
+  admin_id: idField('body', { optional: true }),
+  guest_id: idField('body', { optional: true }),
+  log_type: stringField('body', { max: 50 }),
+  log_message: stringField('body', { max: 2000 }),
+};
+
+export const requestIdParamSchema = {
+  request_id: idField('params'),
+  ...paginationQuery,
+};
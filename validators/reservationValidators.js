@@ -0,0 +1,74 @@
+// validators/reservationValidators.js
+import {
+  idField,
+  stringField,
+  integerField,
+  roomNumberField,
+  isoTimestampField,
+  enumField,
+  addOnsField,
+  addOnItemField,
+  paginationQuery,
+} from './common.js';
+
+export const RESERVATION_STATUSES = ['booked', 'promoted', 'completed', 'canceled', 'no_show'];
+
+const checkOutAfter = (location) => ({
+  ...isoTimestampField(location),
+  custom: {
+    options: (value, { req }) => new Date(value) > new Date(req[location].check_in),
+    errorMessage: 'Must be after check_in.',
+  },
+});
+
+export const reservationIdParamSchema = {
+  id: idField('params'),
+};
+
+export const guestReservationsParamSchema = {
+  guest_id: idField('params'),
+};
+
+export const availabilityQuerySchema = {
+  check_in: isoTimestampField('query'),
+  check_out: checkOutAfter('query'),
+  room_type: stringField('query', { optional: true, max: 50 }),
+  capacity: integerField('query', { optional: true, min: 1, max: 20 }),
+};
+
+export const listReservationsQuerySchema = {
+  guest_id: idField('query', { optional: true }),
+  room_number: roomNumberField('query', { optional: true }),
+  status: enumField('query', RESERVATION_STATUSES, { optional: true }),
+  from: isoTimestampField('query', { optional: true }),
+  to: isoTimestampField('query', { optional: true }),
+  ...paginationQuery,
+};
+
+export const createReservationSchema = {
+  guest_id: idField('body'),
+  room_number: roomNumberField('body'),
+  check_in: {
+    ...isoTimestampField('body'),
+    custom: {
+      options: (value) => new Date(value) > new Date(Date.now() - 5 * 60 * 1000),
+      errorMessage: 'Must not be in the past.',
+    },
+  },
+  check_out: checkOutAfter('body'),
+  guests_count: integerField('body', { optional: true, min: 1, max: 20 }),
+  notes: stringField('body', { optional: true, max: 1000 }),
+  add_ons: addOnsField('body'),
+  'add_ons.*': addOnItemField('body'),
+};
+
+export const updateReservationSchema = {
+  id: idField('params'),
+  room_number: roomNumberField('body', { optional: true }),
+  check_in: isoTimestampField('body', { optional: true }),
+  check_out: isoTimestampField('body', { optional: true }),
+  guests_count: integerField('body', { optional: true, min: 1, max: 20 }),
+  notes: stringField('body', { optional: true, max: 1000 }),
+  add_ons: addOnsField('body'),
+  'add_ons.*': addOnItemField('body'),
+};
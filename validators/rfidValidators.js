@@ -0,0 +1,76 @@
+// validators/rfidValidators.js
+import { idField, stringField, rfidUidField, roomNumberField, enumField, integerField, RFID_STATUSES } from './common.js';
+
+export const assignRFIDSchema = {
+  guest_id: idField('body'),
+  rfid_uid: rfidUidField('body'),
+};
+
+export const assignStaffRFIDSchema = {
+  admin_id: idField('body'),
+  rfid_uid: rfidUidField('body'),
+  card_type: enumField('body', ['staff', 'master'], { optional: true }),
+};
+
+export const replaceRFIDSchema = {
+  old_rfid_uid: rfidUidField('body'),
+  new_rfid_uid: rfidUidField('body'),
+  note: stringField('body', { optional: true, max: 500 }),
+};
+
+// activate / lost / unassign / post-verify-actions only need the card UID.
+export const rfidUidBodySchema = {
+  rfid_uid: rfidUidField('body'),
+};
+
+export const verifyRFIDSchema = {
+  rfid_uid: rfidUidField('body'),
+  room_number: roomNumberField('body', { optional: true }),
+  device_id: stringField('body', { optional: true, max: 64 }),
+  // Challenge-response cards: the challenge from /challenge and the card's answer
+  challenge_id: {
+    in: ['body'],
+    optional: { options: { values: 'null' } },
+    isUUID: { errorMessage: 'Must be a challenge id.' },
+  },
+  response: {
+    in: ['body'],
+    optional: { options: { values: 'null' } },
+    matches: { options: [/^[0-9A-Fa-f]{32}$/], errorMessage: 'Must be a 16 byte hex response.' },
+  },
+  // Keypad PIN entered with the tap, for rooms with requires_card_and_pin
+  pin: {
+    in: ['body'],
+    optional: { options: { values: 'null' } },
+    matches: { options: [/^\d{6}$/], errorMessage: 'Must be a 6-digit PIN.' },
+  },
+};
+
+export const verifyKeypadPinSchema = {
+  pin: {
+    in: ['body'],
+    matches: { options: [/^\d{6}$/], errorMessage: 'Must be a 6-digit PIN.' },
+  },
+  room_number: roomNumberField('body', { optional: true }),
+  device_id: stringField('body', { optional: true, max: 64 }),
+};
+
+export const cardChallengeSchema = {
+  rfid_uid: rfidUidField('body'),
+  device_id: stringField('body', { optional: true, max: 64 }),
+};
+
+export const cardCredentialSchema = {
+  rfid_uid: rfidUidField('body'),
+  mode: enumField('body', ['challenge', 'legacy_uid']),
+};
+
+export const updateRFIDStatusSchema = {
+  rfid_uid: rfidUidField('body'),
+  status: enumField('body', RFID_STATUSES),
+};
+
+export const cardSyncChangesQuerySchema = {
+  since: integerField('query', { min: 0 }),
+  limit: integerField('query', { optional: true, min: 1, max: 5000 }),
+};
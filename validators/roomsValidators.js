@@ -0,0 +1,52 @@
+// validators/roomsValidators.js
+import {
+  idField,
+  roomNumberField,
+  numberField,
+  integerField,
+  isoTimestampField,
+  enumField,
+  stringField,
+  booleanField,
+  ROOM_STATUSES,
+} from './common.js';
+
+export const addRoomSchema = {
+  guest_id: idField('body'),
+  room_number: roomNumberField('body'),
+  hours_stay: numberField('body', { min: 0.01 }),
+  room_type: stringField('body', { optional: true, max: 50 }),
+  capacity: integerField('body', { optional: true, min: 1, max: 20 }),
+};
+
+export const assignRoomSchema = addRoomSchema;
+
+export const roomIdParamSchema = {
+  id: idField('params'),
+};
+
+export const modifyRoomSchema = {
+  id: idField('params'),
+  guest_id: idField('body', { optional: true }),
+  room_number: roomNumberField('body', { optional: true }),
+  hours_stay: numberField('body', { optional: true, min: 0.01 }),
+  status: enumField('body', ROOM_STATUSES, { optional: true }),
+  check_in: isoTimestampField('body', { optional: true }),
+  check_out: isoTimestampField('body', { optional: true }),
+  room_type: stringField('body', { optional: true, max: 50 }),
+  capacity: integerField('body', { optional: true, min: 1, max: 20 }),
+  zone_id: idField('body', { optional: true }),
+  // High-security rooms: the door opens only on card + keypad PIN
+  requires_card_and_pin: booleanField('body', { optional: true }),
+};
+
+export const roomCheckInSchema = {
+  id: idField('params'),
+  check_in: isoTimestampField('body', { optional: true }),
+};
+
+export const updateRoomStatusSchema = {
+  room_number: roomNumberField('params'),
+  status: enumField('body', ROOM_STATUSES),
+  note: stringField('body', { optional: true, max: 500 }),
+};
@@ -0,0 +1,33 @@
+// validators/serviceRequestValidators.js
+import {
+  idField,
+  stringField,
+  numberField,
+  enumField,
+  paginationQuery,
+  SERVICE_REQUEST_STATUSES,
+} from './common.js';
+
+export const submitServiceRequestSchema = {
+  guest_id: idField('body'),
+  guest_name: stringField('body', { max: 100 }),
+  service_type: stringField('body', { max: 50 }),
+  description: stringField('body', { max: 2000 }),
+  delay_minutes: {
+    ...numberField('body', { min: 1 }),
+    custom: {
+      options: (value) => typeof value === 'number',
+      errorMessage: 'Must be a JSON number.',
+    },
+  },
+};
+
+export const updateServiceRequestStatusSchema = {
+  request_id: idField('params'),
+  status: enumField('body', SERVICE_REQUEST_STATUSES),
+};
+
+export const getServiceRequestsSchema = {
+  guest_id: idField('params'),
+  ...paginationQuery,
+};
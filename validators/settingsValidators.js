@@ -0,0 +1,19 @@
+// validators/settingsValidators.js
+// Values are type-checked against the settings registry in the service.
+
+const settingNameField = {
+  in: ['params'],
+  matches: { options: [/^[a-z][a-z0-9_]{0,63}$/], errorMessage: 'Must be a setting name.' },
+};
+
+export const settingNameParamSchema = {
+  name: settingNameField,
+};
+
+export const updateSettingSchema = {
+  name: settingNameField,
+  value: {
+    in: ['body'],
+    exists: { options: { values: 'null' }, errorMessage: 'Is required.' },
+  },
+};
@@ -0,0 +1,69 @@
+// validators/staffAccessValidators.js
+import { STAFF_ROLES } from '../config/roles.js';
+import {
+  ROOM_STATUSES,
+  idField,
+  stringField,
+  enumField,
+  booleanField,
+  isoTimestampField,
+  roomNumberField,
+  paginationQuery,
+} from './common.js';
+
+const roomStatusesField = (location) => ({
+  in: [location],
+  optional: { options: { values: 'null' } },
+  isArray: { options: { min: 1, max: ROOM_STATUSES.length }, errorMessage: 'Must be a non-empty list of room statuses.' },
+});
+
+export const staffAccessIdParamSchema = {
+  id: idField('params'),
+};
+
+export const listShiftsQuerySchema = {
+  admin_id: idField('query', { optional: true }),
+  from: isoTimestampField('query', { optional: true }),
+  to: isoTimestampField('query', { optional: true }),
+  ...paginationQuery,
+};
+
+export const createShiftSchema = {
+  admin_id: idField('body'),
+  starts_at: isoTimestampField('body'),
+  ends_at: isoTimestampField('body'),
+  notes: stringField('body', { optional: true, max: 500 }),
+};
+
+export const listRoomRulesQuerySchema = {
+  role: enumField('query', STAFF_ROLES, { optional: true }),
+};
+
+const roomRuleFields = (optional) => ({
+  role: enumField('body', STAFF_ROLES, { optional }),
+  room_statuses: roomStatusesField('body'),
+  'room_statuses.*': enumField('body', ROOM_STATUSES),
+  assigned_only: booleanField('body', { optional: true }),
+  description: stringField('body', { optional: true, max: 500 }),
+  enabled: booleanField('body', { optional: true }),
+});
+
+export const createRoomRuleSchema = roomRuleFields(false);
+
+export const updateRoomRuleSchema = {
+  id: idField('params'),
+  ...roomRuleFields(true),
+};
+
+export const listAssignmentsQuerySchema = {
+  admin_id: idField('query', { optional: true }),
+  room_number: roomNumberField('query', { optional: true }),
+  active: booleanField('query', { optional: true }),
+};
+
+export const createAssignmentSchema = {
+  admin_id: idField('body'),
+  room_number: roomNumberField('body'),
+  starts_at: isoTimestampField('body', { optional: true }),
+  ends_at: isoTimestampField('body', { optional: true }),
+};
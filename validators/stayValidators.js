@@ -0,0 +1,81 @@
+// validators/stayValidators.js
+import {
+  idField,
+  stringField,
+  roomNumberField,
+  rfidUidField,
+  isoTimestampField,
+  addOnsField,
+  addOnItemField,
+} from './common.js';
+
+const roomNumberList = ({ optional = false } = {}) => ({
+  in: ['body'],
+  ...(optional ? { optional: { options: { values: 'null' } } } : {}),
+  isArray: { options: { min: 1, max: 20 }, errorMessage: 'Must be a list of 1-20 room numbers.' },
+});
+
+export const stayIdParamSchema = {
+  id: idField('params'),
+};
+
+export const guestStaysParamSchema = {
+  guest_id: idField('params'),
+};
+
+export const createStaySchema = {
+  primary_guest_id: idField('body'),
+  room_numbers: roomNumberList(),
+  'room_numbers.*': roomNumberField('body'),
+  check_in: isoTimestampField('body'),
+  check_out: {
+    ...isoTimestampField('body'),
+    custom: {
+      options: (value, { req }) => new Date(value) > new Date(req.body.check_in),
+      errorMessage: 'Must be after check_in.',
+    },
+  },
+  companion_ids: {
+    in: ['body'],
+    optional: { options: { values: 'null' } },
+    isArray: { options: { max: 20 }, errorMessage: 'Must be a list of at most 20 guest IDs.' },
+  },
+  'companion_ids.*': idField('body'),
+  notes: stringField('body', { optional: true, max: 1000 }),
+  add_ons: addOnsField('body'),
+  'add_ons.*': addOnItemField('body'),
+};
+
+export const addStayRoomSchema = {
+  id: idField('params'),
+  room_number: roomNumberField('body'),
+};
+
+export const addStayGuestSchema = {
+  id: idField('params'),
+  guest_id: idField('body'),
+};
+
+export const issueStayCardSchema = {
+  id: idField('params'),
+  rfid_uid: rfidUidField('body'),
+  guest_id: idField('body'),
+  room_numbers: roomNumberList({ optional: true }),
+  'room_numbers.*': roomNumberField('body'),
+};
+
+export const revokeStayCardSchema = {
+  id: idField('params'),
+  card_id: idField('params'),
+};
+
+export const changeStayCheckOutSchema = {
+  id: idField('params'),
+  check_out: isoTimestampField('body'),
+};
+
+export const setStayAddOnsSchema = {
+  id: idField('params'),
+  add_ons: addOnsField('body', { optional: false }),
+  'add_ons.*': addOnItemField('body'),
+};
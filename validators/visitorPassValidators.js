@@ -0,0 +1,41 @@
+// validators/visitorPassValidators.js
+import { idField, stringField, enumField, booleanField, isoTimestampField, roomNumberField } from './common.js';
+
+export const issueVisitorPassSchema = {
+  guest_id: idField('body'),
+  room_number: roomNumberField('body'),
+  visitor_name: stringField('body', { optional: true, max: 100 }),
+  code_type: enumField('body', ['qr', 'pin'], { optional: true }),
+  one_time: booleanField('body', { optional: true }),
+  valid_from: isoTimestampField('body', { optional: true }),
+  valid_until: isoTimestampField('body', { optional: true }),
+};
+
+export const guestVisitorPassesSchema = {
+  guest_id: idField('params'),
+  live: booleanField('query', { optional: true }),
+};
+
+export const stayVisitorPassesSchema = {
+  stay_id: idField('params'),
+  live: booleanField('query', { optional: true }),
+};
+
+export const visitorPassIdParamSchema = {
+  id: {
+    in: ['params'],
+    isUUID: { errorMessage: 'Must be a visitor pass id.' },
+  },
+};
+
+// One of code (QR text) or pin.
+export const verifyVisitorPassSchema = {
+  code: stringField('body', { optional: true, max: 256 }),
+  pin: {
+    in: ['body'],
+    optional: { options: { values: 'null' } },
+    matches: { options: [/^\d{6}$/], errorMessage: 'Must be a 6-digit PIN.' },
+  },
+  room_number: roomNumberField('body', { optional: true }),
+  device_id: stringField('body', { optional: true, max: 64 }),
+};
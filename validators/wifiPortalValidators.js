@@ -0,0 +1,30 @@
+// validators/wifiPortalValidators.js
+import { idField, stringField, macAddressField, ipField, roomNumberField } from './common.js';
+
+// Either voucher, or room_number with last_name.
+export const wifiPortalLoginSchema = {
+  mac: macAddressField('body'),
+  ip: ipField('body'),
+  room_number: roomNumberField('body', { optional: true }),
+  last_name: stringField('body', { optional: true, max: 100 }),
+  voucher: stringField('body', { optional: true, max: 32 }),
+};
+
+export const wifiPortalStatusSchema = {
+  mac: macAddressField('query'),
+};
+
+export const wifiDeviceSchema = {
+  mac: macAddressField('body'),
+};
+
+export const wifiStayParamSchema = {
+  id: idField('params'),
+};
+
+export const wifiVoucherIdParamSchema = {
+  id: {
+    in: ['params'],
+    isUUID: { errorMessage: 'Must be a voucher id.' },
+  },
+};